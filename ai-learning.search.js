@@ -0,0 +1 @@
+window.HUB_SEARCH_INDEX = {"modules":[{"id":"learning-path","title":"AI/ML Learning Path"},{"id":"llm-fundamentals","title":"LLM Fundamentals"},{"id":"tokens-context-embeddings","title":"Tokens, Context Windows & Embeddings"},{"id":"prompting-temperature","title":"Prompting & Temperature"},{"id":"cot-vs-react","title":"Chain-of-Thought vs ReAct"},{"id":"tool-calling-function-calling","title":"Tool Calling & Function Calling"},{"id":"agent-reasoning-loops","title":"Agent Reasoning Loops"},{"id":"langchain-components","title":"LangChain Components"},{"id":"memory-context-management","title":"Memory Types & Context Management"},{"id":"output-parsers-structured-outputs","title":"Output Parsers & Structured Outputs"},{"id":"rag-vector-databases","title":"RAG & Vector Databases"},{"id":"error-handling-production","title":"Error Handling & Production Patterns"},{"id":"ml-system-design-best-practices","title":"ML System Design & Best Practices"},{"id":"hands-on-exercises","title":"Hands-On Exercises"},{"id":"interview-demo-prep","title":"Interview & Demo Preparation"},{"id":"quick-reference","title":"Quick Reference"}],"sections":[{"m":0,"id":"learning-path-aiml-learning-path-for-k8s-agent-project","title":"AI/ML Learning Path for K8s Agent Project","text":"","code":""},{"m":0,"id":"learning-path-your-journey-from-zero-to-confident-ml-engineer","title":"Your Journey from Zero to Confident ML Engineer","text":"Goal: Master AI concepts needed to build and explain a production-grade K8s troubleshooting agent Timeline: 8-12 hours of focused study before starting project Outcome: Be able to confidently explain every technical decision and compare alternatives","code":""},{"m":0,"id":"learning-path--learning-modules","title":"📚 Learning Modules","text":"","code":""},{"m":0,"id":"learning-path-phase-1-core-ai-fundamentals-2-3-hours","title":"Phase 1: Core AI Fundamentals (2-3 hours)","text":"Module 1: What are LLMs? (30 min) Module 2: Tokens, Context Windows, Embeddings (45 min) Module 3: Prompting & Temperature (45 min) Checkpoint: Can you explain how ChatGPT works to a 5-year old?","code":""},{"m":0,"id":"learning-path-phase-2-agentic-ai-2-3-hours","title":"Phase 2: Agentic AI (2-3 hours)","text":"Module 4: Chain-of-Thought vs ReAct (45 min) Module 5: Tool Calling & Function Calling (1 hour) Module 6: Agent Reasoning Loops (45 min) Checkpoint: Can you draw the ReAct pattern from memory?","code":""},{"m":0,"id":"learning-path-phase-3-langchain-framework-2-hours","title":"Phase 3: LangChain Framework (2 hours)","text":"Module 7: LangChain Components (45 min) Module 8: Memory Types (45 min) Module 9: Output Parsers (30 min) Checkpoint: Can you explain when to use each memory type?","code":""},{"m":0,"id":"learning-path-phase-4-production-ml-2-hours","title":"Phase 4: Production ML (2 hours)","text":"Module 10: RAG Architecture (45 min) Module 11: Error Handling & Fallbacks (45 min) Module 12: ML System Design (30 min) Checkpoint: Can you critique a production ML system?","code":""},{"m":0,"id":"learning-path-phase-5-hands-on-practice-2-3-hours","title":"Phase 5: Hands-On Practice (2-3 hours)","text":"Exercise 1: Call an LLM API (30 min) Exercise 2: Build a simple tool (30 min) Exercise 3: Create a basic agent (1 hour) Exercise 4: Add memory (30 min) Checkpoint: Can you build a simple agent from scratch?","code":""},{"m":0,"id":"learning-path--how-to-use-this-guide","title":"🎯 How to Use This Guide","text":"Study each module in order - concepts build on each other Take notes in your own words - don't just read Complete the checkpoint questions - test your understanding Do ALL hands-on exercises - reading is not enough Explain concepts out loud - pretend you're teaching someone","code":""},{"m":0,"id":"learning-path--progress-tracker","title":"📊 Progress Tracker","text":"Module Time Status Self-Rating (1-5) Notes Module 1: LLMs 30m ⬜ - Module 2: Tokens 45m ⬜ - Module 3: Prompting 45m ⬜ - Module 4: CoT vs ReAct 45m ⬜ - Module 5: Tool Calling 1h ⬜ - Module 6: Agent Loops 45m ⬜ - Module 7: LangChain 45m ⬜ - Module 8: Memory 45m ⬜ - Module 9: Parsers 30m ⬜ - Module 10: RAG 45m ⬜ - Module 11: Error Handling 45m ⬜ - Module 12: ML Systems 30m ⬜ - Exercise 1 30m ⬜ - Exercise 2 30m ⬜ - Exercise 3 1h ⬜ - Exercise 4 30m ⬜ -","code":""},{"m":0,"id":"learning-path--when-youre-ready","title":"🚀 When You're Ready","text":"After completing ALL modules and exercises, you should be able to: ✅ Explain what an LLM is and how it generates text ✅ Describe the difference between CoT and ReAct patterns ✅ Design tools for an agent with proper schemas ✅ Choose the right memory type for your use case ✅ Parse LLM outputs safely with validation ✅ Handle errors and edge cases in production ✅ Compare alternatives and justify decisions If you can do all of the above, you're ready to build the K8s agent project with confidence!","code":""},{"m":0,"id":"learning-path--study-tips","title":"📝 Study Tips","text":"Don't rush - Understanding > Speed Take breaks - 25 min study, 5 min break Practice explaining - Teach it back to yourself Ask \"why\" - Don't just memorize, understand Connect to experience - Relate to your K8s knowledge Start with: 01_LLM_Fundamentals.md","code":""},{"m":1,"id":"llm-fundamentals-module-1-what-are-large-language-models-llms","title":"Module 1: What are Large Language Models (LLMs)?","text":"Time: 30 minutes Goal: Understand what LLMs are, how they work at a high level, and their capabilities/limitations","code":""},{"m":1,"id":"llm-fundamentals--what-is-an-llm","title":"🤖 What is an LLM?","text":"","code":""},{"m":1,"id":"llm-fundamentals-simple-definition","title":"Simple Definition","text":"A Large Language Model is a neural network trained on massive amounts of text that learns to predict the next word in a sequence. Analogy: Think of it like super-advanced autocomplete on your phone. Type \"The weather is...\" and your phone suggests \"nice\", \"bad\", \"sunny\". An LLM does this at a much more sophisticated level.","code":""},{"m":1,"id":"llm-fundamentals--how-llms-work-high-level","title":"🧠 How LLMs Work (High Level)","text":"","code":""},{"m":1,"id":"llm-fundamentals-1-training-phase","title":"1. Training Phase","text":"","code":"Step 1: Collect Data - Scrape billions of web pages, books, code repositories - For GPT-4: ~13 trillion words - For Llama 3: ~15 trillion words Step 2: Tokenization - Break text into tokens (roughly words/sub-words) - \"Hello world\" → [\"Hello\", \" world\"] - Each token gets a number ID Step 3: Learn Patterns - Show the model: \"The cat sat on the ___\" - Model predicts: \"mat\" (90%), \"floor\" (5%), \"chair\" (3%) - Adjust model weights to improve predictions - Repeat trillions of times Result: Model learns grammar, facts, reasoning patterns"},{"m":1,"id":"llm-fundamentals-2-inference-phase-using-the-model","title":"2. Inference Phase (Using the Model)","text":"","code":"You: \"Why is my Kubernetes pod failing?\" LLM Process: 1. Convert to tokens: [\"Why\", \" is\", \" my\", \" Kubernetes\", \" pod\", \" failing\", \"?\"] 2. Process through neural network layers 3. Generate probability distribution for next token 4. Sample a token: \"There\" (60% probability) 5. Add to sequence: \"Why...failing? There\" 6. Repeat until natural stopping point Output: \"There could be several reasons: port conflicts, resource limits, image pull errors...\""},{"m":1,"id":"llm-fundamentals--key-concepts","title":"📊 Key Concepts","text":"","code":""},{"m":1,"id":"llm-fundamentals-1-tokens","title":"1. Tokens","text":"","code":"Token ≈ Word (but not exactly) Examples: \"Hello world\" → 2 tokens \"Kubernetes\" → 1 token \"GPT-4\" → 2 tokens (G, PT-4) \"API\" → 1 token Why it matters: - LLMs have TOKEN limits, not word limits - GPT-4: 8K tokens ≈ 6K words - Every API call costs per token"},{"m":1,"id":"llm-fundamentals-2-context-window","title":"2. Context Window","text":"","code":"Context Window = Maximum tokens LLM can \"remember\" at once GPT-4: 8,192 tokens (standard) or 32,768 tokens (extended) Llama 3: 8,192 tokens Claude 3: 200,000 tokens What fits in 8K tokens? - ~10 pages of text - ~300 lines of code - 20-30 back-and-forth messages What happens when you exceed it? - Older messages get \"forgotten\" - Need memory management strategies"},{"m":1,"id":"llm-fundamentals-3-temperature-creativity-control","title":"3. Temperature (Creativity Control)","text":"","code":"Temperature = 0.0 → Deterministic (always same answer) Temperature = 0.7 → Balanced (default for most uses) Temperature = 1.0 → Creative (more variety, more \"risky\") Temperature = 2.0 → Chaotic (probably nonsense) Example: \"Name a fruit\" Temp 0.0: Always says \"apple\" (most probable) Temp 0.7: \"apple\", \"banana\", \"orange\" (varies) Temp 2.0: \"dragonfruit\", \"persimmon\", \"starfruit\" (unusual) For your K8s agent: Use 0.0-0.3 (need consistency!)"},{"m":1,"id":"llm-fundamentals-4-parameters-model-size","title":"4. Parameters (Model Size)","text":"","code":"Parameter = A single \"knob\" the model can adjust Model sizes: - GPT-3: 175 billion parameters - GPT-4: ~1.7 trillion parameters (estimated) - Llama 3 7B: 7 billion parameters - Llama 3 70B: 70 billion parameters More parameters = ✅ Better at complex reasoning ✅ More knowledge ❌ Slower inference ❌ More expensive ❌ More memory needed For your project: - Copilot (GPT-4 based): ~1.7T params - Best accuracy - Llama 3 70B: Good balance - Llama 3 7B: Fast, good enough for many tasks"},{"m":1,"id":"llm-fundamentals--what-llms-can-and-cannot-do","title":"🎯 What LLMs Can and Cannot Do","text":"","code":""},{"m":1,"id":"llm-fundamentals--llms-are-good-at","title":"✅ LLMs Are Good At:","text":"Text Generation Writing code Explaining concepts Translating languages Pattern Recognition Finding errors in logs Identifying common issues Suggesting fixes based on similar problems Reasoning (to an extent) Following instructions Breaking down complex tasks Making logical connections","code":""},{"m":1,"id":"llm-fundamentals--llms-are-bad-at","title":"❌ LLMs Are BAD At:","text":"Math & Calculations \"What is 4729 × 8361?\" → Often wrong Solution: Give it a calculator tool! Current Information Training data has a cutoff date GPT-4 knowledge ends in April 2023 Solution: Give it a search tool! Deterministic Tasks \"List all pods in alphabetical order\" → May vary Solution: Use traditional code for exact operations! Accessing External Systems Cannot directly run kubectl get pods Solution: Give it tools to call functions!","code":""},{"m":1,"id":"llm-fundamentals--llm-limitations-critical-to-understand","title":"🔍 LLM Limitations (Critical to Understand)","text":"","code":""},{"m":1,"id":"llm-fundamentals-1-hallucinations","title":"1. Hallucinations","text":"","code":"Problem: LLM confidently generates false information Example: You: \"What's the fix for K8s error XYZ123?\" LLM: \"Run command: kubectl fix --error XYZ123\" Reality: That command doesn't exist! Why: LLM learned patterns, not truth Solution: Always validate LLM outputs"},{"m":1,"id":"llm-fundamentals-2-consistency","title":"2. Consistency","text":"","code":"Problem: Same input → Different outputs Ask twice: \"Is the pod healthy?\" Response 1: \"Yes, pod is running\" Response 2: \"No, pod is in CrashLoopBackOff\" Why: Probabilistic sampling Solution: Use low temperature (0.0-0.3) for factual tasks"},{"m":1,"id":"llm-fundamentals-3-token-limits","title":"3. Token Limits","text":"","code":"Problem: Cannot process infinite context Your K8s cluster has 1000 pods Logs are 100MB LLM can only see 8K tokens ≈ 6K words Solution: - Summarize logs before sending to LLM - Use RAG to retrieve only relevant parts - Process in chunks"},{"m":1,"id":"llm-fundamentals-️-llm-architectures-youll-hear-about","title":"🏗️ LLM Architectures You'll Hear About","text":"","code":""},{"m":1,"id":"llm-fundamentals-transformer-architecture","title":"Transformer Architecture","text":"","code":"What: Neural network design that powers all modern LLMs Invented: 2017 (Paper: \"Attention Is All You Need\") Key innovation: Attention mechanism Before Transformers: \"The cat sat on the mat\" Model processed word-by-word sequentially → Slow With Transformers: Model processes all words simultaneously Attention mechanism figures out relationships \"cat\" and \"mat\" are related → Much faster and better"},{"m":1,"id":"llm-fundamentals-pre-training--fine-tuning","title":"Pre-training + Fine-tuning","text":"","code":"Step 1: Pre-training (Expensive) - Train on all of internet - Learn general language patterns - Cost: $10M - $100M for GPT-4 scale Step 2: Fine-tuning (Cheaper) - Train on specific domain data - Example: Medical diagnosis, legal documents - Cost: $1K - $100K Your project could use: - Pre-trained Llama 3 (free, open source) - Fine-tune on your K8s issues (if you had 1000+ examples)"},{"m":1,"id":"llm-fundamentals--self-check-questions","title":"📝 Self-Check Questions","text":"Test yourself before moving to Module 2: What is an LLM in one sentence? Answer A neural network trained on massive text data that predicts the next word in a sequence. Why do LLMs have token limits? Answer The attention mechanism has quadratic complexity - doubling tokens = 4x memory/compute. Physical limits force a maximum context window. When should you use temperature = 0.0 vs 1.0? Answer Temp 0.0 for factual/consistent outputs (diagnostics, data extraction). Temp 1.0 for creative tasks (brainstorming, story writing). What's the difference between 7B and 70B parameter models? Answer 70B has 10x more parameters = better reasoning and knowledge, but slower and more expensive to run. 7B is faster, cheaper, good for simpler tasks. Why can't LLMs run kubectl directly? Answer LLMs only generate text. They can't execute code or interact with systems. Need to give them tools/functions to call external systems. What is a hallucination? Answer When an LLM confidently generates false information that sounds plausible. Happens because it's trained to predict text patterns, not verify truth.","code":""},{"m":1,"id":"llm-fundamentals--key-takeaways","title":"🎓 Key Takeaways","text":"✅ LLMs predict next tokens based on patterns learned from training data ✅ They have token limits (context windows) you must manage ✅ Temperature controls randomness/creativity of outputs ✅ Larger models (more parameters) = better but slower ✅ LLMs hallucinate and need validation ✅ LLMs can't directly interact with systems - need tools","code":""},{"m":1,"id":"llm-fundamentals--ready-for-module-2","title":"🚀 Ready for Module 2?","text":"If you can explain: What an LLM is to someone non-technical Why token limits matter When to use different temperatures Why LLMs need tools to be useful → Move to 02_Tokens_Context_Embeddings.md Otherwise, re-read the sections you're unclear on and try explaining them out loud!","code":""},{"m":2,"id":"tokens-context-embeddings-module-2-tokens-context-windows-and-embeddings","title":"Module 2: Tokens, Context Windows, and Embeddings","text":"Time: 45 minutes Goal: Deep dive into tokens, understand context management, and learn about embeddings","code":""},{"m":2,"id":"tokens-context-embeddings--tokens-the-currency-of-llms","title":"🎫 Tokens: The Currency of LLMs","text":"","code":""},{"m":2,"id":"tokens-context-embeddings-what-exactly-is-a-token","title":"What Exactly is a Token?","text":"","code":"Token = Smallest unit an LLM processes NOT always a word! Examples: \"Hello\" → 1 token \"Hello world\" → 2 tokens [\"Hello\", \" world\"] \"don't\" → 2 tokens [\"don\", \"'t\"] \"Kubernetes\" → 1 token [\"Kubernetes\"] \"kubectl\" → 2 tokens [\"k\", \"ubectl\"] \"GPT-4\" → 2 tokens [\"G\", \"PT-4\"] \"<|endoftext|>\" → 1 special token Why weird splits? - Tokenizer trained on common patterns - Common words = 1 token - Rare words = multiple tokens - Keeps vocabulary manageable (~50K tokens)"},{"m":2,"id":"tokens-context-embeddings-counting-tokens","title":"Counting Tokens","text":"","code":"# Using tiktoken (OpenAI's tokenizer) import tiktoken encoder = tiktoken.encoding_for_model(\"gpt-4\") text = \"Why is my Kubernetes pod failing?\" tokens = encoder.encode(text) print(f\"Tokens: {tokens}\") print(f\"Count: {len(tokens)}\") # Output: # Tokens: [10445, 374, 856, 39195, 7661, 22109, 30] # Count: 7 tokens # Rule of thumb: # 1 token ≈ 0.75 words (English) # 100 tokens ≈ 75 words # 1000 tokens ≈ 750 words or 3-4 paragraphs"},{"m":2,"id":"tokens-context-embeddings--context-windows-the-memory-limit","title":"🪟 Context Windows: The Memory Limit","text":"","code":""},{"m":2,"id":"tokens-context-embeddings-what-is-a-context-window","title":"What is a Context Window?","text":"","code":"Context Window = Maximum number of tokens LLM can process at once Includes: 1. System prompt 2. Conversation history 3. Your current question 4. LLM's response (being generated) Example with 8K token limit: System prompt: 200 tokens User message 1: 50 tokens Assistant reply 1: 100 tokens User message 2: 50 tokens Assistant reply 2: 100 tokens ... (conversation continues) Current question: 100 tokens --- Total so far: 600 tokens Remaining: 7,400 tokens for response + future messages"},{"m":2,"id":"tokens-context-embeddings-model-context-limits","title":"Model Context Limits","text":"Model Context Window Typical Use GPT-4 8K tokens Standard API calls GPT-4-32K 32K tokens Long documents GPT-4-Turbo 128K tokens Very long context Claude 3 200K tokens Entire codebases Llama 3 7B 8K tokens Your project (free) Llama 3 70B 8K tokens Better quality, same limit 8K tokens example: ~6,000 words ~25 pages of text ~300 lines of code 20-30 back-and-forth messages","code":""},{"m":2,"id":"tokens-context-embeddings-️-what-happens-when-you-hit-the-limit","title":"⚠️ What Happens When You Hit the Limit?","text":"","code":""},{"m":2,"id":"tokens-context-embeddings-problem-context-overflow","title":"Problem: Context Overflow","text":"","code":"Scenario: Debugging session with your K8s agent Message 1: \"Check nginx pod\" (50 tokens) Reply 1: \"Pod is CrashLoopBackOff...\" (100 tokens) Message 2: \"Get logs\" (10 tokens) Reply 2: \"Error: port 80 in use...\" (500 tokens - long logs) Message 3: \"Check other pods\" (15 tokens) Reply 3: \"Found 5 pods...\" (200 tokens) ... 15 more exchanges ... Message 20: \"What was the original issue?\" Problem: Message 1-5 exceeded 8K limit! Result: LLM forgot the original nginx problem!"},{"m":2,"id":"tokens-context-embeddings-solutions","title":"Solutions:","text":"","code":""},{"m":2,"id":"tokens-context-embeddings-solution-1-sliding-window-memory","title":"Solution 1: Sliding Window Memory","text":"","code":"from langchain.memory import ConversationBufferWindowMemory memory = ConversationBufferWindowMemory( k=10 # Keep only last 10 messages ) # Automatically drops old messages # Pros: Simple, predictable # Cons: Loses important context"},{"m":2,"id":"tokens-context-embeddings-solution-2-summarization","title":"Solution 2: Summarization","text":"","code":"from langchain.memory import ConversationSummaryMemory memory = ConversationSummaryMemory( llm=llm # Uses LLM to summarize! ) # Old messages get condensed: # Before: \"Check nginx → CrashLoopBackOff → Port 80 in use\" # After (summary): \"Diagnosed nginx port conflict\" # Pros: Preserves key info # Cons: Extra LLM calls (cost)"},{"m":2,"id":"tokens-context-embeddings-solution-3-chunk-and-process","title":"Solution 3: Chunk and Process","text":"","code":"# For large inputs (logs, code files) def process_large_logs(logs): # Split into chunks chunks = split_into_chunks(logs, chunk_size=2000) summaries = [] for chunk in chunks: summary = llm.summarize(chunk) summaries.append(summary) # Final analysis on summaries only return llm.analyze(summaries) # 100K token logs → 10 x 2K chunks → 10 x 100 token summaries # = 1000 tokens to analyze (fits in context!)"},{"m":2,"id":"tokens-context-embeddings--embeddings-numeric-representations-of-text","title":"🔢 Embeddings: Numeric Representations of Text","text":"","code":""},{"m":2,"id":"tokens-context-embeddings-what-are-embeddings","title":"What are Embeddings?","text":"","code":"Embedding = A vector (list of numbers) that represents text Example: \"Kubernetes pod\" → [0.2, -0.5, 0.8, ..., 0.1] (1536 numbers) \"K8s container\" → [0.3, -0.4, 0.7, ..., 0.2] (similar!) \"Pizza recipe\" → [-0.9, 0.1, -0.2, ..., 0.5] (very different!) Why useful: - Similar meanings = similar vectors - Can compute similarity mathematically - Enables semantic search"},{"m":2,"id":"tokens-context-embeddings-how-embeddings-work","title":"How Embeddings Work","text":"","code":"Text → Embedding Model → Vector Models: - OpenAI: text-embedding-ada-002 (1536 dimensions) - Sentence Transformers: all-MiniLM-L6-v2 (384 dimensions) - Cohere: embed-english-v3.0 (1024 dimensions) Process: 1. Text: \"nginx pod failing\" 2. Model converts to: [0.5, -0.2, ...] # 1536 numbers 3. Store in vector database 4. Later search: \"container crash\" → find similar vectors"},{"m":2,"id":"tokens-context-embeddings-practical-example","title":"Practical Example","text":"","code":"from openai import OpenAI client = OpenAI() # Create embeddings text1 = \"Kubernetes pod is crashing\" text2 = \"Container keeps failing\" text3 = \"How to bake cookies\" emb1 = client.embeddings.create(input=text1, model=\"text-embedding-ada-002\") emb2 = client.embeddings.create(input=text2, model=\"text-embedding-ada-002\") emb3 = client.embeddings.create(input=text3, model=\"text-embedding-ada-002\") # Compute similarity (cosine similarity) similarity_1_2 = cosine_similarity(emb1, emb2) # ~0.85 (very similar!) similarity_1_3 = cosine_similarity(emb1, emb3) # ~0.12 (not similar) # Use case: Find similar past incidents # User: \"My pod won't start\" # Search embeddings → Find \"pod startup failure\" from last week # Retrieve that solution"},{"m":2,"id":"tokens-context-embeddings--when-to-use-embeddings-in-your-project","title":"🎯 When to Use Embeddings in Your Project","text":"","code":""},{"m":2,"id":"tokens-context-embeddings-use-case-1-semantic-search-in-documentation","title":"Use Case 1: Semantic Search in Documentation","text":"","code":"Problem: You have 1000 pages of K8s docs User asks: \"How do I fix ImagePullBackOff?\" Without embeddings: - Keyword search for \"ImagePullBackOff\" - Might miss docs that say \"image pull failure\" or \"cannot pull container image\" With embeddings: 1. Convert all docs to embeddings (one-time setup) 2. Store in vector database (Chroma, Pinecone) 3. User query → embedding 4. Find most similar doc embeddings 5. Return relevant docs even with different wording!"},{"m":2,"id":"tokens-context-embeddings-use-case-2-finding-similar-past-incidents","title":"Use Case 2: Finding Similar Past Incidents","text":"","code":"Problem: Same issues happen repeatedly Solution: 1. Store all resolved incidents with embeddings - Incident 1: \"nginx CrashLoopBackOff due to port conflict\" - Incident 2: \"API service OOMKilled, increased memory\" 2. New incident: \"nginx keeps restarting\" → Find similar embedding → Suggest \"Check port conflicts\" This is how chatbots \"remember\" past conversations semantically!"},{"m":2,"id":"tokens-context-embeddings-use-case-3-code-search","title":"Use Case 3: Code Search","text":"","code":"User: \"Find code that handles pod failures\" Traditional search: grep for \"pod\" and \"failure\" → Misses code with different variable names Embedding search: - Finds semantically similar code - \"container crash handler\" - \"k8s restart logic\" - \"pod error management\" All related code, even with different keywords!"},{"m":2,"id":"tokens-context-embeddings-️-vector-databases","title":"🏗️ Vector Databases","text":"","code":""},{"m":2,"id":"tokens-context-embeddings-what-are-they","title":"What are They?","text":"","code":"Vector Database = Database optimized for storing and searching embeddings Popular options: - Chroma (free, local, great for learning) - Pinecone (managed, scalable) - Weaviate (open-source, production-ready) - Milvus (high performance) Why special database? - Regular DB: Search exact matches (SQL WHERE clause) - Vector DB: Search similar vectors (nearest neighbor)"},{"m":2,"id":"tokens-context-embeddings-example-with-chroma","title":"Example with Chroma","text":"","code":"from langchain.vectorstores import Chroma from langchain.embeddings import OpenAIEmbeddings # 1. Create vector store vectorstore = Chroma( collection_name=\"k8s_incidents\", embedding_function=OpenAIEmbeddings() ) # 2. Add documents incidents = [ \"nginx pod failing due to port 80 conflict\", \"postgres OOMKilled, need more memory\", \"api service ImagePullBackOff, wrong image tag\" ] vectorstore.add_texts(incidents) # 3. Search semantically query = \"container memory issue\" results = vectorstore.similarity_search(query, k=2) # Returns: # 1. \"postgres OOMKilled...\" (most similar!) # 2. \"api service ImagePullBackOff...\" (less similar)"},{"m":2,"id":"tokens-context-embeddings--token--context-management-strategies","title":"📊 Token & Context Management Strategies","text":"","code":""},{"m":2,"id":"tokens-context-embeddings-strategy-1-prompt-compression","title":"Strategy 1: Prompt Compression","text":"","code":"Bad prompt (verbose): \"You are a helpful assistant that helps with Kubernetes. You should be polite and professional. You have access to kubectl commands. You should analyze pod status carefully. If you're not sure, you should ask for more information...\" (200 tokens!) Good prompt (concise): \"K8s troubleshooting expert. Use kubectl tools. Be precise.\" (15 tokens!) Saved: 185 tokens for actual content!"},{"m":2,"id":"tokens-context-embeddings-strategy-2-smart-truncation","title":"Strategy 2: Smart Truncation","text":"","code":"def truncate_logs(logs, max_tokens=1000): \"\"\"Keep most relevant parts of logs\"\"\" # Get last N lines (most recent) recent_logs = logs[-50:] # Extract error lines error_logs = [line for line in logs if \"error\" in line.lower()] # Combine relevant_logs = error_logs + recent_logs # Truncate to token limit return truncate_to_tokens(relevant_logs, max_tokens) # 100K token logs → 1K token summary # Fits in context, keeps important info!"},{"m":2,"id":"tokens-context-embeddings-strategy-3-hierarchical-processing","title":"Strategy 3: Hierarchical Processing","text":"","code":"For large codebase analysis: Level 1: Summarize each file (parallel) file1.py → \"Authentication logic\" (50 tokens) file2.py → \"Database models\" (50 tokens) file3.py → \"API routes\" (50 tokens) Level 2: Combine summaries (150 tokens total) → Ask LLM: \"Which file likely has the bug?\" → \"file3.py (API routes)\" Level 3: Deep dive only that file → Read full file, analyze in detail Instead of: All files (10K tokens) → Overflow! We do: Summaries (150 tokens) → Focus (500 tokens) = Fits!"},{"m":2,"id":"tokens-context-embeddings--self-check-questions","title":"📝 Self-Check Questions","text":"How many tokens is \"Kubernetes pod is failing\"? Answer Approximately 6-7 tokens. \"Kubernetes\"=1, \"pod\"=1, \"is\"=1, \"failing\"=1, plus spaces. Use tiktoken to count exactly. What happens when you exceed context window? Answer Older messages get truncated/forgotten. LLM cannot see the full conversation history. Need memory management strategies. When would you use embeddings vs direct LLM calls? Answer Embeddings: Semantic search in large document sets, finding similar items. LLM: Generation, reasoning, specific questions. Why use a vector database instead of regular database? Answer Vector DBs are optimized for similarity search (nearest neighbors). Regular DBs only do exact matches. Need special algorithms (HNSW, IVF) for fast vector search. How would you handle 100K token logs in 8K context window? Answer Chunk into smaller pieces, summarize each chunk, analyze summaries. Or extract only error lines and recent logs. Or use embeddings to find relevant sections.","code":""},{"m":2,"id":"tokens-context-embeddings--key-takeaways","title":"🎓 Key Takeaways","text":"✅ Tokens are the atomic unit - 1 token ≈ 0.75 words ✅ Context windows are hard limits - plan for overflow ✅ Embeddings convert text to vectors for similarity search ✅ Vector databases enable semantic search at scale ✅ Always count tokens before sending to LLM ✅ Use compression, truncation, chunking for large inputs","code":""},{"m":2,"id":"tokens-context-embeddings--next-steps","title":"🚀 Next Steps","text":"Can you explain: Why token limits matter for conversation agents? How embeddings enable semantic search? When to use vector databases? → Ready for 03_Prompting_Temperature.md","code":""},{"m":3,"id":"prompting-temperature-module-3-prompting--temperature","title":"Module 3: Prompting & Temperature","text":"Study Time : ~45 minutes Prerequisites : Module 1 (LLM Fundamentals)","code":""},{"m":3,"id":"prompting-temperature--learning-objectives","title":"🎯 Learning Objectives","text":"By the end of this module, you'll understand: How to write effective prompts that get better results What temperature controls and when to adjust it Other sampling parameters (top_p, top_k, max_tokens) Prompt engineering patterns for different use cases Why prompting matters for your K8s agent","code":""},{"m":3,"id":"prompting-temperature--what-is-prompting","title":"📝 What is Prompting?","text":"Prompting is how you communicate with an LLM. It's the art and science of crafting inputs that get the outputs you want.","code":""},{"m":3,"id":"prompting-temperature-why-it-matters","title":"Why It Matters","text":"The same LLM can give vastly different results based on how you prompt it:","code":""},{"m":3,"id":"prompting-temperature-bad-prompt","title":"Bad Prompt","text":"","code":"User: \"Fix my Kubernetes.\" LLM: \"I need more information. What's wrong with your Kubernetes cluster?\""},{"m":3,"id":"prompting-temperature-good-prompt","title":"Good Prompt","text":"Key Difference : Specificity. Good prompts provide context, constraints, and clear expectations.","code":"User: \"My pod nginx-deployment-abc123 in namespace production is stuck in CrashLoopBackOff state. The logs show 'Error: ECONNREFUSED connecting to database at db-service:5432'. How can I troubleshoot this?\" LLM: \"The pod can't connect to the database. Let's check: 1. Is the database pod running? Check with: kubectl get pods -l app=database 2. Is the service correctly configured? Check with: kubectl get svc db-service 3. Are the network policies allowing traffic? ...\""},{"m":3,"id":"prompting-temperature--temperature-the-creativity-dial","title":"🔥 Temperature: The Creativity Dial","text":"","code":""},{"m":3,"id":"prompting-temperature-what-is-temperature","title":"What is Temperature?","text":"Temperature controls randomness in the LLM's outputs. Range : 0.0 to 2.0 (typically use 0.0 to 1.0) Low (0.0) : Deterministic, consistent, factual High (1.0+) : Creative, varied, unpredictable","code":""},{"m":3,"id":"prompting-temperature-how-it-works-simplified","title":"How It Works (Simplified)","text":"When predicting the next token, the LLM assigns probabilities:","code":"Input: \"The capital of France is\" Predictions: - \"Paris\" → 95% probability - \"paris\" → 3% probability - \"Lyon\" → 1% probability - \"London\" → 0.5% probability - \"banana\" → 0.01% probability"},{"m":3,"id":"prompting-temperature-temperature--00","title":"Temperature = 0.0","text":"Always picks the highest probability token → \"Paris\"","code":""},{"m":3,"id":"prompting-temperature-temperature--07","title":"Temperature = 0.7","text":"Samples from the distribution, weighted by probabilities → Usually \"Paris\", sometimes \"paris\"","code":""},{"m":3,"id":"prompting-temperature-temperature--15","title":"Temperature = 1.5","text":"Flattens probabilities more → Could pick \"Lyon\" or even \"London\" sometimes","code":""},{"m":3,"id":"prompting-temperature-visual-analogy","title":"Visual Analogy","text":"Think of temperature as a slider:","code":"0.0 ========| 1.0 Robot Creative Human - Repeatable - Varied - Factual - Imaginative - Safe - Risky - Boring - Interesting"},{"m":3,"id":"prompting-temperature-️-when-to-use-different-temperatures","title":"🎚️ When to Use Different Temperatures","text":"","code":""},{"m":3,"id":"prompting-temperature-temperature-00---03-deterministic","title":"Temperature 0.0 - 0.3: Deterministic","text":"Use for : ✅ Code generation (want correct syntax) ✅ Data extraction (want accurate parsing) ✅ Math/logic problems ✅ Tool calling in agents (want consistent tool selection) ✅ Your K8s agent (want reliable diagnostics) Example :","code":"from openai import OpenAI client = OpenAI() response = client.chat.completions.create( model=\"gpt-4\", messages=[ {\"role\": \"user\", \"content\": \"Extract the pod name from: 'Pod nginx-abc123 is failing'\"} ], temperature=0.0 # Want exact extraction ) # Output: \"nginx-abc123\" (same every time)"},{"m":3,"id":"prompting-temperature-temperature-04---07-balanced","title":"Temperature 0.4 - 0.7: Balanced","text":"Use for : ✅ Chatbots (want varied but reasonable responses) ✅ Summaries (want natural language) ✅ Explanations (want readability) ✅ General Q&A Example :","code":"response = client.chat.completions.create( model=\"gpt-4\", messages=[ {\"role\": \"user\", \"content\": \"Explain Kubernetes pods to a beginner\"} ], temperature=0.7 # Want natural, engaging explanation )"},{"m":3,"id":"prompting-temperature-temperature-08---10-creative","title":"Temperature 0.8 - 1.0: Creative","text":"Use for : ✅ Creative writing (stories, marketing copy) ✅ Brainstorming (want diverse ideas) ✅ Humor generation ❌ NOT for your K8s agent (too unpredictable) Example :","code":"response = client.chat.completions.create( model=\"gpt-4\", messages=[ {\"role\": \"user\", \"content\": \"Write a haiku about Kubernetes\"} ], temperature=1.0 # Want creative poetry )"},{"m":3,"id":"prompting-temperature-temperature-10-experimental","title":"Temperature 1.0+: Experimental","text":"Use for : ✅ Art projects ✅ Exploring unexpected outputs ❌ Production systems (too risky)","code":""},{"m":3,"id":"prompting-temperature-️-other-sampling-parameters","title":"🛠️ Other Sampling Parameters","text":"","code":""},{"m":3,"id":"prompting-temperature-max_tokens","title":"max_tokens","text":"Controls the maximum length of the response. Use cases : Prevent overly long responses Control costs (you pay per token) Force concise answers","code":"response = client.chat.completions.create( model=\"gpt-4\", messages=[{\"role\": \"user\", \"content\": \"Explain Kubernetes\"}], max_tokens=50 # Stop after 50 tokens (~37 words) )"},{"m":3,"id":"prompting-temperature-top_p-nucleus-sampling","title":"top_p (Nucleus Sampling)","text":"Alternative to temperature. Samples from the smallest set of tokens whose cumulative probability exceeds p . Comparison : temperature=0.7 → Adjusts all probabilities top_p=0.9 → Only considers top 90% of tokens, ignores rare ones Rule of Thumb : Use temperature OR top_p, not both.","code":"response = client.chat.completions.create( model=\"gpt-4\", messages=[{\"role\": \"user\", \"content\": \"What is a pod?\"}], top_p=0.9 # Consider tokens that make up top 90% of probability )"},{"m":3,"id":"prompting-temperature-top_k","title":"top_k","text":"Limits sampling to the top k most probable tokens. Less common in modern APIs (OpenAI doesn't expose it). More common with Hugging Face models.","code":"# Only consider the top 50 most likely tokens top_k=50"},{"m":3,"id":"prompting-temperature--prompt-engineering-patterns","title":"📚 Prompt Engineering Patterns","text":"","code":""},{"m":3,"id":"prompting-temperature-pattern-1-zero-shot-prompting","title":"Pattern 1: Zero-Shot Prompting","text":"Ask the model to do something without examples. When to use : Simple tasks, well-known domains","code":"prompt = \"Classify this as positive or negative sentiment: 'I love this product!'\" # Output: \"Positive\""},{"m":3,"id":"prompting-temperature-pattern-2-few-shot-prompting","title":"Pattern 2: Few-Shot Prompting","text":"Provide examples before asking. When to use : Complex tasks, need specific format, improve accuracy","code":"prompt = \"\"\" Classify sentiment as positive or negative: Example 1: \"Great service!\" → Positive Example 2: \"Terrible experience.\" → Negative Example 3: \"Not what I expected.\" → Negative Now classify: \"Amazing quality!\" \"\"\" # Output: \"Positive\""},{"m":3,"id":"prompting-temperature-pattern-3-chain-of-thought-cot","title":"Pattern 3: Chain-of-Thought (CoT)","text":"Ask the model to think step-by-step. Output : When to use : Complex reasoning, debugging, multi-step problems","code":"prompt = \"\"\" A pod is crashing. The logs show \"OOMKilled\". Let's diagnose step by step: 1. What does OOMKilled mean? 2. What could cause this? 3. How do we fix it? \"\"\" 1. OOMKilled means the pod exceeded its memory limit and was killed by the kernel's Out-Of-Memory killer. 2. Causes: Memory leak, underestimated resource limits, traffic spike 3. Fixes: Increase memory limit, find and fix memory leak, add horizontal pod autoscaler"},{"m":3,"id":"prompting-temperature-pattern-4-role-prompting","title":"Pattern 4: Role Prompting","text":"Tell the model what role to play. When to use : Need specific expertise, tone, or perspective","code":"prompt = \"\"\" You are an expert Kubernetes administrator with 10 years of experience. A junior developer asks: \"Why is my pod pending?\" Respond as the expert: \"\"\""},{"m":3,"id":"prompting-temperature-pattern-5-constrained-output","title":"Pattern 5: Constrained Output","text":"Specify the exact format you want. When to use : Need structured output for parsing, APIs, downstream systems","code":"prompt = \"\"\" Extract pod information from this text: \"Pod nginx-abc123 in namespace production is CrashLoopBackOff\" Respond in JSON format: { \"pod_name\": \"...\", \"namespace\": \"...\", \"status\": \"...\" } \"\"\""},{"m":3,"id":"prompting-temperature--prompting-for-your-k8s-agent","title":"🤖 Prompting for Your K8s Agent","text":"","code":""},{"m":3,"id":"prompting-temperature-system-prompt-define-agent-behavior","title":"System Prompt (Define Agent Behavior)","text":"Why this works : ✅ Clear role definition ✅ Explicit guidelines ✅ Lists available tools ✅ Sets expectations (use tools, don't guess)","code":"system_prompt = \"\"\" You are a Kubernetes troubleshooting assistant. Your role is to help users diagnose and resolve cluster issues. Guidelines: - Use the provided tools to gather real cluster data - Think step-by-step before taking actions - Always explain your reasoning - If you don't have enough information, use tools to gather it - Provide actionable recommendations - Be concise but thorough Available tools: - GetPodStatus: Check if a pod is Running, Pending, CrashLoopBackOff, etc. - GetPodLogs: Retrieve pod logs for error analysis - DescribePod: Get detailed pod configuration and events - AnalyzeErrors: Extract and explain error messages - CheckResources: Verify CPU/memory limits and usage Always use tools rather than guessing. If unsure, ask for clarification. \"\"\""},{"m":3,"id":"prompting-temperature-user-query-optimization","title":"User Query Optimization","text":"Help users write better queries:","code":""},{"m":3,"id":"prompting-temperature-bad-user-query","title":"Bad User Query","text":"","code":"\"Help me with Kubernetes\""},{"m":3,"id":"prompting-temperature-good-user-query","title":"Good User Query","text":"Your agent should handle both , but better input = better output.","code":"\"Pod nginx-deployment-5678 in namespace production is stuck in CrashLoopBackOff. Can you help diagnose why?\""},{"m":3,"id":"prompting-temperature-temperature-for-agents","title":"Temperature for Agents","text":"Why 0.0? ✅ Consistent tool selection (won't randomly pick wrong tool) ✅ Reliable reasoning (same input = same output) ✅ Easier to debug (reproducible behavior) ✅ Safer in production (no surprises)","code":"agent_executor = AgentExecutor( agent=agent, tools=tools, temperature=0.0, # ⭐ Critical for consistent tool calling max_iterations=5 )"},{"m":3,"id":"prompting-temperature--practical-examples","title":"🎯 Practical Examples","text":"","code":""},{"m":3,"id":"prompting-temperature-example-1-bad-vs-good-prompting","title":"Example 1: Bad vs Good Prompting","text":"","code":""},{"m":3,"id":"prompting-temperature-bad","title":"Bad","text":"Problems : Too vague (what issue?) High temperature makes it unpredictable 10 tokens can't give meaningful answer","code":"prompt = \"Kubernetes issue\" temperature = 1.5 # Way too high max_tokens = 10 # Too short"},{"m":3,"id":"prompting-temperature-good","title":"Good","text":"","code":"prompt = \"\"\" You are a K8s expert. Analyze this scenario: Pod: payment-service-abc123 Namespace: production Status: CrashLoopBackOff Recent logs: \"Error: Connection timeout to redis-cache:6379\" Step-by-step diagnosis: \"\"\" temperature = 0.0 # Deterministic max_tokens = 500 # Enough for thorough answer"},{"m":3,"id":"prompting-temperature-example-2-tool-calling-with-low-temperature","title":"Example 2: Tool Calling with Low Temperature","text":"With temperature=0.0 : Run 1: GetPodStatus → GetPodLogs → DescribePod Run 2: GetPodStatus → GetPodLogs → DescribePod (same!) With temperature=1.0 : Run 1: GetPodStatus → GetPodLogs → DescribePod Run 2: DescribePod → GetPodStatus → CheckResources (different!)","code":"from langchain.chat_models import ChatOpenAI from langchain.agents import create_react_agent, AgentExecutor llm = ChatOpenAI( model=\"gpt-4\", temperature=0.0 # ⭐ Critical for agents ) agent = create_react_agent(llm, tools, prompt_template) agent_executor = AgentExecutor(agent=agent, tools=tools) # This will consistently call the right tools result = agent_executor.invoke({ \"input\": \"Why is pod nginx-abc in CrashLoopBackOff?\" })"},{"m":3,"id":"prompting-temperature-example-3-prompt-engineering-for-error-analysis","title":"Example 3: Prompt Engineering for Error Analysis","text":"","code":"error_analysis_prompt = \"\"\" You are analyzing Kubernetes errors. For each error: 1. Identify the error type 2. Explain the root cause 3. Suggest 2-3 fixes 4. Rank fixes by likelihood of success Error log: {log_content} Analysis: \"\"\" response = llm.invoke( error_analysis_prompt.format(log_content=pod_logs), temperature=0.2 # Low but not 0 for slight variation in explanations )"},{"m":3,"id":"prompting-temperature-️-common-prompting-mistakes","title":"⚠️ Common Prompting Mistakes","text":"","code":""},{"m":3,"id":"prompting-temperature-mistake-1-too-vague","title":"Mistake 1: Too Vague","text":"❌ Bad : \"Fix my app\" ✅ Good : \"Pod cart-service-xyz is failing with exit code 137 (OOMKilled). Memory limit is 128Mi. How should I fix this?\"","code":""},{"m":3,"id":"prompting-temperature-mistake-2-wrong-temperature","title":"Mistake 2: Wrong Temperature","text":"❌ Bad : Using temperature=1.0 for tool calling (inconsistent tool selection) ✅ Good : Using temperature=0.0 for agents, 0.7 for explanations","code":""},{"m":3,"id":"prompting-temperature-mistake-3-no-context","title":"Mistake 3: No Context","text":"❌ Bad : \"What's wrong?\" ✅ Good : \"Previous message said pod is Pending. Now checking: kubectl describe pod shows 'Insufficient CPU'. What should I do?\"","code":""},{"m":3,"id":"prompting-temperature-mistake-4-ignoring-format","title":"Mistake 4: Ignoring Format","text":"❌ Bad : Expecting JSON but not asking for it ✅ Good : Explicitly stating \"Respond in JSON format: {field1: ..., field2: ...}\"","code":""},{"m":3,"id":"prompting-temperature-mistake-5-not-testing","title":"Mistake 5: Not Testing","text":"❌ Bad : Using same prompt/temperature in production without testing ✅ Good : Testing with multiple examples, adjusting temperature based on results","code":""},{"m":3,"id":"prompting-temperature--hands-on-practice","title":"🧪 Hands-On Practice","text":"","code":""},{"m":3,"id":"prompting-temperature-exercise-1-temperature-experiment","title":"Exercise 1: Temperature Experiment","text":"Try this with different temperatures: Observe : At 0.0, same output every time. At 1.0, varied outputs.","code":"from openai import OpenAI client = OpenAI() prompt = \"List 5 common Kubernetes issues\" for temp in [0.0, 0.5, 1.0]: print(f\"\\n--- Temperature: {temp} ---\") response = client.chat.completions.create( model=\"gpt-4\", messages=[{\"role\": \"user\", \"content\": prompt}], temperature=temp ) print(response.choices[0].message.content)"},{"m":3,"id":"prompting-temperature-exercise-2-prompt-improvement","title":"Exercise 2: Prompt Improvement","text":"Improve this prompt: ❌ Bad : ✅ Better : (You write this!) Show Solution","code":"\"Help with Kubernetes\" \"\"\" I'm troubleshooting a Kubernetes issue: - Pod name: api-gateway-def456 - Namespace: staging - Status: ImagePullBackOff - Error message: \"Failed to pull image 'myregistry.io/api:v2.0.1': authentication required\" Please help diagnose: 1. What's causing this? 2. How do I verify the registry credentials? 3. What's the fix? \"\"\""},{"m":3,"id":"prompting-temperature-exercise-3-system-prompt-for-agent","title":"Exercise 3: System Prompt for Agent","text":"Write a system prompt for your K8s agent. Include: Role definition Guidelines Tool descriptions Expected behavior Show Solution","code":"system_prompt = \"\"\" You are an AI-powered Kubernetes troubleshooting assistant with expertise in cluster diagnostics and issue resolution. Your capabilities: - Analyze pod failures, resource issues, networking problems - Use kubectl-based tools to gather real cluster data - Provide step-by-step reasoning for all diagnoses - Suggest actionable fixes ranked by likelihood of success Available tools: 1. GetPodStatus(pod_name, namespace): Check pod state (Running, Pending, etc.) 2. GetPodLogs(pod_name, namespace, tail): Retrieve recent logs 3. DescribePod(pod_name, namespace): Get detailed config and events 4. AnalyzeErrors(log_text): Extract and explain errors 5. CheckResources(pod_name, namespace): Verify CPU/memory limits/usage Guidelines: - Always use tools to gather data before concluding - Think step-by-step: observe → hypothesize → verify → conclude - If stuck, use DescribePod to see events - Explain your reasoning at each step - Provide 2-3 potential fixes, ranked by likelihood - If you need more info, ask specific follow-up questions - Never guess - if unsure, gather more data with tools Response format: 1. Current Status: [What you observed] 2. Analysis: [Step-by-step reasoning] 3. Root Cause: [Conclusion] 4. Recommended Fixes: [Actionable steps] \"\"\""},{"m":3,"id":"prompting-temperature--cheat-sheet-temperature-guide","title":"📊 Cheat Sheet: Temperature Guide","text":"Use Case Temperature Why Code generation 0.0 - 0.2 Need correct syntax Data extraction 0.0 - 0.1 Need accuracy Tool calling (agents) 0.0 - 0.3 Need consistency K8s agent 0.0 Reliable diagnostics Explanations 0.5 - 0.7 Natural language Chatbots 0.6 - 0.8 Varied responses Creative writing 0.8 - 1.0 Imagination Brainstorming 0.7 - 1.0 Diverse ideas","code":""},{"m":3,"id":"prompting-temperature--self-check-questions","title":"🎓 Self-Check Questions","text":"","code":""},{"m":3,"id":"prompting-temperature-question-1-what-temperature-should-you-use-for-your-k8s-troubleshooting-agent","title":"Question 1: What temperature should you use for your K8s troubleshooting agent?","text":"Show Answer 0.0 or very close to it (0.0-0.2) Why : You want deterministic, consistent tool calling. If the agent sees the same error twice, it should take the same diagnostic steps. Higher temperature would cause unpredictable behavior (calling different tools, inconsistent reasoning).","code":""},{"m":3,"id":"prompting-temperature-question-2-when-would-you-use-temperature-08-10","title":"Question 2: When would you use temperature 0.8-1.0?","text":"Show Answer Creative tasks : Writing stories, generating marketing copy, brainstorming ideas, humor generation. NOT for : Code generation, data extraction, troubleshooting, tool calling, production systems.","code":""},{"m":3,"id":"prompting-temperature-question-3-whats-the-difference-between-zero-shot-and-few-shot-prompting","title":"Question 3: What's the difference between zero-shot and few-shot prompting?","text":"Show Answer Zero-shot : Ask the model without providing examples Example: \"Classify this sentiment: 'I love it!'\" Few-shot : Provide 2-3 examples before asking Example: \"Positive: 'Great!' | Negative: 'Terrible.' | Now classify: 'Love it!'\" When to use few-shot : Complex tasks, specific formats, need higher accuracy, model struggles with zero-shot.","code":""},{"m":3,"id":"prompting-temperature-question-4-write-a-prompt-that-would-work-well-with-temperature00","title":"Question 4: Write a prompt that would work well with temperature=0.0","text":"Show Answer Why this works at temp=0.0 : Precise extraction task, structured output, no creativity needed.","code":"\"\"\" Extract the following information from the log entry: - Timestamp - Pod name - Error message Log entry: \"2025-12-09 14:32:15 [ERROR] Pod nginx-abc123: Connection refused to database\" Respond in JSON format: { \"timestamp\": \"...\", \"pod_name\": \"...\", \"error_message\": \"...\" } \"\"\""},{"m":3,"id":"prompting-temperature-question-5-why-is-it-bad-to-use-temperature10-for-an-agent-that-calls-tools","title":"Question 5: Why is it bad to use temperature=1.0 for an agent that calls tools?","text":"Show Answer Problems : Inconsistent tool selection : Same error might trigger different tools each time Unreliable reasoning : Agent's thought process varies unpredictably Harder to debug : Can't reproduce issues Production risk : Might call wrong tool, give bad advice User confusion : Same question gets different diagnostic approaches Example : Run 1 (temp=1.0): GetPodStatus → GetPodLogs → success Run 2 (temp=1.0): DescribePod → CheckResources → missed the actual error With temp=0.0, both runs would take the same path.","code":""},{"m":3,"id":"prompting-temperature--key-takeaways","title":"🚀 Key Takeaways","text":"Prompting is critical : Same model, different prompts = vastly different results Temperature controls randomness : 0.0 = deterministic, 1.0 = creative For agents, use temp=0.0 : Ensures consistent tool calling and reasoning Provide context : Better prompts = better outputs System prompts set behavior : Define role, guidelines, and expectations Test different temperatures : Find what works best for your use case Use patterns : Zero-shot, few-shot, CoT, role prompting, constrained output","code":""},{"m":3,"id":"prompting-temperature--next-module","title":"🔗 Next Module","text":"Move on to Module 4: Chain-of-Thought vs ReAct to understand advanced reasoning patterns! Time to complete this module : 45 minutes Hands-on practice : 15-20 minutes Total : ~1 hour","code":""},{"m":4,"id":"cot-vs-react-module-4-chain-of-thought-vs-react-pattern","title":"Module 4: Chain-of-Thought vs ReAct Pattern","text":"Time: 45 minutes Goal: Understand different reasoning patterns and why ReAct is perfect for your K8s agent","code":""},{"m":4,"id":"cot-vs-react--reasoning-patterns-in-ai","title":"🧠 Reasoning Patterns in AI","text":"","code":""},{"m":4,"id":"cot-vs-react-the-evolution","title":"The Evolution","text":"","code":"2018: Direct Prompting \"What's 2+2?\" → \"4\" Problem: No reasoning, just pattern matching 2022: Chain-of-Thought (CoT) \"What's 2+2? Let's think step by step\" → \"2+2 means adding 2 and 2. That equals 4.\" Better: Shows reasoning! 2023: ReAct (Reasoning + Acting) \"What's 2+2? You have a calculator tool.\" → \"I should use the calculator. Action: calculate(2+2). Result: 4.\" Best: Can use tools to verify!"},{"m":4,"id":"cot-vs-react--chain-of-thought-cot","title":"🔗 Chain-of-Thought (CoT)","text":"","code":""},{"m":4,"id":"cot-vs-react-what-is-cot","title":"What is CoT?","text":"","code":"Chain-of-Thought = Making LLM show its reasoning steps Without CoT: User: \"Is the pod healthy?\" LLM: \"No\" With CoT: User: \"Is the pod healthy? Think step by step.\" LLM: \"Let me analyze: 1. Check pod status → CrashLoopBackOff 2. This means container is crashing 3. Crashing = not healthy Therefore: No, the pod is not healthy.\" Better because: You can see the reasoning, catch errors"},{"m":4,"id":"cot-vs-react-cot-patterns","title":"CoT Patterns","text":"","code":""},{"m":4,"id":"cot-vs-react-pattern-1-zero-shot-cot","title":"Pattern 1: Zero-Shot CoT","text":"","code":"User: \"Why is nginx failing? Let's think step by step.\" LLM: \"Step 1: Check if pod is running Step 2: Look at pod status Step 3: Check for errors in logs Step 4: Identify root cause Without looking at actual data, common causes could be: - Port conflicts - Image issues - Resource limits\" Problem: LLM is GUESSING! No real data!"},{"m":4,"id":"cot-vs-react-pattern-2-few-shot-cot","title":"Pattern 2: Few-Shot CoT","text":"","code":"User: \"Here are examples of good reasoning: Example 1: Problem: API pod failing Reasoning: Check status → CrashLoopBackOff → Check logs → Port 3000 in use → Conclusion: Port conflict Example 2: Problem: DB pod failing Reasoning: Check status → OOMKilled → Check memory limit → 512Mi → Conclusion: Need more memory Now analyze: nginx pod failing\" LLM: \"Let me follow the same pattern: Check status → CrashLoopBackOff Check logs → Error: listen tcp :80: bind: address already in use Conclusion: Port 80 conflict\" Better! LLM learned the reasoning pattern!"},{"m":4,"id":"cot-vs-react-️-react-pattern-what-youre-using","title":"⚛️ ReAct Pattern (What You're Using!)","text":"","code":""},{"m":4,"id":"cot-vs-react-what-is-react","title":"What is ReAct?","text":"","code":"ReAct = Reasoning + Acting Combines thinking with actions (tool calling) Pattern: Thought → Action → Observation → Thought → Action → ... Real example: Thought: \"I need to check pod status\" Action: GetPodStatus(namespace=\"default\", pod_name=\"nginx\") Observation: {\"status\": \"CrashLoopBackOff\", \"restarts\": 15} Thought: \"It's crashing, I should check logs\" Action: GetPodLogs(namespace=\"default\", pod_name=\"nginx\") Observation: \"Error: listen tcp :80: bind: address already in use\" Thought: \"Port conflict! I now know the issue\" Final Answer: \"nginx is crashing due to port 80 conflict\""},{"m":4,"id":"cot-vs-react-why-react-is-better-than-cot","title":"Why ReAct is Better than CoT","text":"Aspect Chain-of-Thought ReAct Can it verify facts? ❌ No, just reasoning ✅ Yes, calls tools! Can it interact with systems? ❌ No ✅ Yes (kubectl, APIs) Can it get real data? ❌ No, uses training data ✅ Yes, live data Accuracy Medium (might hallucinate) High (facts from tools) Use case Explaining concepts Diagnosing real issues For your K8s agent: ReAct is the ONLY choice! You need real cluster data.","code":""},{"m":4,"id":"cot-vs-react--react-loop-in-detail","title":"🔄 ReAct Loop in Detail","text":"","code":""},{"m":4,"id":"cot-vs-react-the-full-cycle","title":"The Full Cycle","text":"","code":"# This is what happens inside the agent while not finished and iterations < max_iterations: # 1. REASONING PHASE prompt = f\"\"\" Question: {user_question} Tools available: - GetPodStatus: Check if pod is running - GetPodLogs: Read container logs - DescribePod: Get detailed pod info Previous steps: {scratchpad} What should you do next? Format: Thought: ... Action: ... Action Input: ... \"\"\" response = llm.generate(prompt) # \"Thought: I need pod status. Action: GetPodStatus. Action Input: nginx\" # 2. PARSE RESPONSE thought = extract_thought(response) action = extract_action(response) # \"GetPodStatus\" action_input = extract_input(response) # \"nginx\" # 3. EXECUTION PHASE if action == \"GetPodStatus\": observation = get_pod_status_tool(action_input) elif action == \"GetPodLogs\": observation = get_pod_logs_tool(action_input) # ... other tools # 4. UPDATE SCRATCHPAD (memory) scratchpad += f\"\\nThought: {thought}\" scratchpad += f\"\\nAction: {action}\" scratchpad += f\"\\nAction Input: {action_input}\" scratchpad += f\"\\nObservation: {observation}\" # 5. CHECK IF DONE if \"Final Answer:\" in response: finished = True return extract_final_answer(response) iterations += 1 # Loop continues until agent says \"Final Answer\" or max iterations"},{"m":4,"id":"cot-vs-react--react-prompt-template","title":"🎯 ReAct Prompt Template","text":"","code":""},{"m":4,"id":"cot-vs-react-the-system-prompt","title":"The System Prompt","text":"","code":"You are a Kubernetes troubleshooting expert. Answer the user's question as best you can. You have access to the following tools: GetPodStatus: Check if a pod is running, pending, or failed. Input: pod_name GetPodLogs: Get logs from a pod's container. Input: pod_name DescribePod: Get detailed information about a pod including events. Input: pod_name SearchErrors: Search for common error patterns. Input: error_text Use the following format: Thought: What do I need to find out? Action: tool_name Action Input: input_to_tool Observation: result from tool ... (repeat Thought/Action/Observation as needed) Thought: I now know the final answer Final Answer: comprehensive answer to the original question Begin! Remember to always think before acting. Question: {user_question} {agent_scratchpad}"},{"m":4,"id":"cot-vs-react-example-execution","title":"Example Execution","text":"","code":"User: \"Why is my nginx pod in production namespace failing?\" Agent: Thought: I should check the pod status first to see what state it's in Action: GetPodStatus Action Input: nginx, production Observation: Pod nginx in namespace production is in CrashLoopBackOff with 15 restarts Thought: The pod is crashing repeatedly. I need to check the logs to see why Action: GetPodLogs Action Input: nginx, production Observation: 2024-12-08 10:30:15 nginx: [emerg] bind() to 0.0.0.0:80 failed (98: Address already in use) 2024-12-08 10:30:15 nginx: [emerg] still could not bind() Thought: Port 80 is already in use. Let me check what else is using that port Action: DescribePod Action Input: nginx, production Observation: Events: - Warning BackOff: Back-off restarting failed container - Normal Started: Started container nginx - Warning Failed: Error: failed to create containerd task Thought: I now have enough information. The nginx pod is crashing because port 80 is already bound by another process Final Answer: Your nginx pod is failing because it cannot bind to port 80 - another process is already using that port. This is why you see \"Address already in use\" errors and the pod is in CrashLoopBackOff. Solutions: 1) Stop the conflicting service using port 80, 2) Configure nginx to use a different port, or 3) Use a service/ingress instead of hostPort."},{"m":4,"id":"cot-vs-react--building-a-react-agent-langchain","title":"🔧 Building a ReAct Agent (LangChain)","text":"","code":""},{"m":4,"id":"cot-vs-react-step-1-define-tools","title":"Step 1: Define Tools","text":"","code":"from langchain.agents import Tool def get_pod_status(pod_name: str) -> str: \"\"\"Get status of a Kubernetes pod\"\"\" result = subprocess.run( [\"kubectl\", \"get\", \"pod\", pod_name, \"-o\", \"json\"], capture_output=True, text=True ) if result.returncode != 0: return f\"Error: {result.stderr}\" pod_data = json.loads(result.stdout) status = pod_data[\"status\"][\"phase\"] return f\"Pod {pod_name} status: {status}\" def get_pod_logs(pod_name: str) -> str: \"\"\"Get logs from a pod\"\"\" result = subprocess.run( [\"kubectl\", \"logs\", pod_name, \"--tail=50\"], capture_output=True, text=True ) return result.stdout or result.stderr # Create tools tools = [ Tool( name=\"GetPodStatus\", func=get_pod_status, description=\"Get the current status of a Kubernetes pod. Input should be the pod name.\" ), Tool( name=\"GetPodLogs\", func=get_pod_logs, description=\"Get logs from a pod to see errors. Input should be the pod name.\" ) ]"},{"m":4,"id":"cot-vs-react-step-2-create-agent","title":"Step 2: Create Agent","text":"","code":"from langchain.agents import create_react_agent, AgentExecutor from langchain_community.llms import Ollama from langchain.prompts import PromptTemplate # Initialize LLM llm = Ollama(model=\"llama3\", temperature=0.0) # ReAct prompt template react_prompt = PromptTemplate.from_template(\"\"\" Answer the following question. You have access to these tools: {tools} Use this format: Thought: reasoning about what to do Action: tool name Action Input: input to the tool Observation: result from tool ... (repeat as needed) Thought: I now know the answer Final Answer: the final answer Question: {input} {agent_scratchpad} \"\"\") # Create agent agent = create_react_agent( llm=llm, tools=tools, prompt=react_prompt ) # Wrap in executor agent_executor = AgentExecutor( agent=agent, tools=tools, verbose=True, # Shows reasoning steps! max_iterations=5, # Prevent infinite loops handle_parsing_errors=True # Graceful error handling ) # Use it! result = agent_executor.invoke({ \"input\": \"Why is nginx pod failing?\" }) print(result[\"output\"])"},{"m":4,"id":"cot-vs-react-️-important-react-configurations","title":"⚙️ Important ReAct Configurations","text":"","code":""},{"m":4,"id":"cot-vs-react-1-max-iterations","title":"1. Max Iterations","text":"","code":"agent_executor = AgentExecutor( agent=agent, tools=tools, max_iterations=5 # Stop after 5 tool calls ) # Why needed: # Prevent infinite loops if agent gets stuck # \"Check pod → Check logs → Check pod → Check logs → ...\" # Good value: 5-10 for most tasks # Too low (1-2): Agent can't gather enough info # Too high (20+): Expensive, might loop"},{"m":4,"id":"cot-vs-react-2-temperature","title":"2. Temperature","text":"","code":"llm = Ollama(model=\"llama3\", temperature=0.0) # For ReAct agents: Use LOW temperature (0.0 - 0.3) # Why: Need consistent, deterministic tool selection # High temperature → Agent might randomly pick wrong tools"},{"m":4,"id":"cot-vs-react-3-error-handling","title":"3. Error Handling","text":"","code":"agent_executor = AgentExecutor( agent=agent, tools=tools, handle_parsing_errors=True, # If agent outputs wrong format return_intermediate_steps=True # Get reasoning steps ) # handle_parsing_errors: If agent's output doesn't match format # return_intermediate_steps: Access full thought process"},{"m":4,"id":"cot-vs-react--cot-vs-react-when-to-use-what","title":"📊 CoT vs ReAct: When to Use What","text":"Use Case Best Pattern Why K8s Troubleshooting ✅ ReAct Need real cluster data Code Debugging ✅ ReAct Need to run code, check outputs Math Problems ✅ ReAct Give calculator tool Explaining Concepts CoT Just needs reasoning, no tools Writing Documentation CoT Pure text generation Answering Trivia Neither Direct prompting is fine","code":""},{"m":4,"id":"cot-vs-react--self-check-questions","title":"📝 Self-Check Questions","text":"What's the key difference between CoT and ReAct? Answer CoT only reasons with training data. ReAct can call tools to get real data and interact with systems. Draw the ReAct loop from memory Answer Thought → Action → Observation → Thought → Action → Observation → ... → Final Answer Why use temperature=0.0 for ReAct agents? Answer Need deterministic, consistent tool selection. High temperature causes random tool choices. What happens if you don't set max_iterations? Answer Agent might loop forever: \"Check pod → Check logs → Check pod → ...\". Wastes tokens and money. When would you use CoT instead of ReAct? Answer When no external tools needed - just explaining, reasoning, or generating text.","code":""},{"m":4,"id":"cot-vs-react--key-takeaways","title":"🎓 Key Takeaways","text":"✅ ReAct = Reasoning + Acting (thinking + tool use) ✅ ReAct is essential for interacting with real systems ✅ Loop: Thought → Action → Observation (repeat) ✅ Use max_iterations to prevent infinite loops ✅ Use low temperature for consistent tool selection ✅ CoT for reasoning only, ReAct when tools needed","code":""},{"m":4,"id":"cot-vs-react--next-module","title":"🚀 Next Module","text":"Ready to understand function calling in depth? → Continue to 05_Tool_Calling_Function_Calling.md","code":""},{"m":5,"id":"tool-calling-function-calling-module-5-tool-calling--function-calling","title":"Module 5: Tool Calling & Function Calling","text":"Time: 1 hour Goal: Master how LLMs interact with external systems through tools","code":""},{"m":5,"id":"tool-calling-function-calling--what-is-tool-calling","title":"🔧 What is Tool Calling?","text":"","code":""},{"m":5,"id":"tool-calling-function-calling-the-problem","title":"The Problem","text":"","code":"LLMs can only generate text. They CANNOT: ❌ Run kubectl commands ❌ Query databases ❌ Call APIs ❌ Read files ❌ Do math accurately But we NEED them to do these things!"},{"m":5,"id":"tool-calling-function-calling-the-solution-tool-calling","title":"The Solution: Tool Calling","text":"","code":"Tool Calling = Giving LLM the ability to request function executions Process: 1. LLM decides: \"I need to run kubectl get pods\" 2. LLM outputs: {\"tool\": \"GetPods\", \"input\": {\"namespace\": \"default\"}} 3. YOUR CODE executes the actual kubectl command 4. YOUR CODE returns result to LLM 5. LLM sees result, decides next step LLM doesn't execute - it just REQUESTS execution!"},{"m":5,"id":"tool-calling-function-calling-️-anatomy-of-a-tool","title":"🏗️ Anatomy of a Tool","text":"","code":""},{"m":5,"id":"tool-calling-function-calling-every-tool-has-3-parts","title":"Every Tool Has 3 Parts","text":"","code":"from langchain.tools import Tool def my_tool_function(input_param: str) -> str: \"\"\"The actual Python function that does the work\"\"\" result = do_something(input_param) return result tool = Tool( name=\"ToolName\", # 1️⃣ NAME (what LLM calls it) func=my_tool_function, # 2️⃣ FUNCTION (what gets executed) description=\"\"\" # 3️⃣ DESCRIPTION (how LLM knows when to use it) This tool does X. Use it when you need to Y. Input should be Z format. \"\"\" )"},{"m":5,"id":"tool-calling-function-calling-example-getpodstatus-tool","title":"Example: GetPodStatus Tool","text":"","code":"import subprocess import json from langchain.tools import Tool # The actual function def get_pod_status(pod_name: str) -> str: \"\"\"Get status of a Kubernetes pod\"\"\" try: result = subprocess.run( [\"kubectl\", \"get\", \"pod\", pod_name, \"-o\", \"json\"], capture_output=True, text=True, timeout=10 ) if result.returncode != 0: return f\"Error: Pod not found or kubectl error: {result.stderr}\" pod_data = json.loads(result.stdout) status = pod_data[\"status\"][\"phase\"] restarts = pod_data[\"status\"][\"containerStatuses\"][0][\"restartCount\"] return f\"Pod '{pod_name}' is {status} with {restarts} restarts\" except Exception as e: return f\"Error checking pod status: {str(e)}\" # Wrap as Tool get_pod_status_tool = Tool( name=\"GetPodStatus\", func=get_pod_status, description=\"\"\" Get the current status of a Kubernetes pod. Use this when you need to check if a pod is Running, Pending, Failed, or CrashLoopBackOff. Input: Just the pod name as a string (e.g., 'nginx' or 'api-service') Output: Status and restart count \"\"\" )"},{"m":5,"id":"tool-calling-function-calling--writing-good-tool-descriptions","title":"🎯 Writing GOOD Tool Descriptions","text":"","code":""},{"m":5,"id":"tool-calling-function-calling-bad-vs-good-descriptions","title":"Bad vs Good Descriptions","text":"","code":""},{"m":5,"id":"tool-calling-function-calling--bad-description","title":"❌ Bad Description","text":"","code":"Tool( name=\"GetPods\", func=get_pods, description=\"Gets pods\" ) # Problem: LLM doesn't know: # - WHEN to use it # - WHAT input format # - WHAT it returns"},{"m":5,"id":"tool-calling-function-calling--good-description","title":"✅ Good Description","text":"","code":"Tool( name=\"GetPods\", func=get_pods, description=\"\"\" Get list of all pods in a Kubernetes namespace. Use this when: - User asks to \"list pods\" or \"show all pods\" - Need to find a pod by name - Want overview of cluster state Input format: namespace name as string (e.g., \"default\", \"production\") Output: JSON list of pods with names, status, and age Example: Input: \"default\" Output: [{\"name\": \"nginx\", \"status\": \"Running\", \"age\": \"2d\"}] \"\"\" ) # LLM now knows exactly when and how to use this tool!"},{"m":5,"id":"tool-calling-function-calling-description-template","title":"Description Template","text":"","code":"Use this template for ALL your tools: \"\"\" [ONE SENTENCE: What this tool does] Use this when: - [Scenario 1] - [Scenario 2] - [Scenario 3] Input format: [Exact format expected] Output: [What it returns] Example: Input: [Example input] Output: [Example output] Special notes: [Any warnings or gotchas] \"\"\""},{"m":5,"id":"tool-calling-function-calling--how-tool-calling-works-under-the-hood","title":"🔄 How Tool Calling Works (Under the Hood)","text":"","code":""},{"m":5,"id":"tool-calling-function-calling-step-by-step-flow","title":"Step-by-Step Flow","text":"","code":"1. User asks: \"Is nginx pod running?\" 2. Agent receives tools: - GetPodStatus(pod_name) → Check pod status - GetPodLogs(pod_name) → Get logs - DescribePod(pod_name) → Get details 3. Agent generates: { \"thought\": \"I need to check pod status\", \"action\": \"GetPodStatus\", \"action_input\": \"nginx\" } 4. LangChain parser extracts: - Tool name: \"GetPodStatus\" - Input: \"nginx\" 5. LangChain finds matching tool and executes: result = get_pod_status(\"nginx\") 6. Tool returns: \"Pod 'nginx' is Running with 0 restarts\" 7. This is fed back to agent as \"Observation\" 8. Agent decides next step: - Need more info? Call another tool - Have enough info? Generate Final Answer"},{"m":5,"id":"tool-calling-function-calling-the-prompt-the-llm-sees","title":"The Prompt the LLM Sees","text":"","code":"You have access to these tools: GetPodStatus: Get the current status of a Kubernetes pod... GetPodLogs: Get logs from a pod... Question: Is nginx pod running? Thought: I need to check the pod status Action: GetPodStatus Action Input: nginx Observation: Pod 'nginx' is Running with 0 restarts Thought: I now know the answer Final Answer: Yes, the nginx pod is running successfully with no restarts."},{"m":5,"id":"tool-calling-function-calling--advanced-tool-patterns","title":"🏅 Advanced Tool Patterns","text":"","code":""},{"m":5,"id":"tool-calling-function-calling-pattern-1-structured-tools-type-safety","title":"Pattern 1: Structured Tools (Type Safety)","text":"","code":"from langchain.tools import StructuredTool from pydantic import BaseModel, Field # Define input schema class GetPodInput(BaseModel): pod_name: str = Field(description=\"Name of the pod to check\") namespace: str = Field( default=\"default\", description=\"Kubernetes namespace\" ) def get_pod_status_typed(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Get pod status with namespace support\"\"\" result = subprocess.run( [\"kubectl\", \"get\", \"pod\", pod_name, \"-n\", namespace, \"-o\", \"json\"], capture_output=True, text=True ) # ... processing ... return status # Create structured tool get_pod_tool = StructuredTool.from_function( func=get_pod_status_typed, name=\"GetPodStatus\", description=\"Check pod status in a specific namespace\", args_schema=GetPodInput # ✅ Type-safe inputs! ) # Now LLM must provide correct types: # ✅ {\"pod_name\": \"nginx\", \"namespace\": \"prod\"} # ❌ {\"pod\": \"nginx\"} ← Will error, missing required field"},{"m":5,"id":"tool-calling-function-calling-pattern-2-tool-with-error-handling","title":"Pattern 2: Tool with Error Handling","text":"","code":"def safe_get_pod_logs(pod_name: str, lines: int = 50) -> str: \"\"\"Get pod logs with comprehensive error handling\"\"\" # Validation if not pod_name: return \"Error: pod_name is required\" if lines < 1 or lines > 1000: return \"Error: lines must be between 1 and 1000\" try: # Execute command with timeout result = subprocess.run( [\"kubectl\", \"logs\", pod_name, f\"--tail={lines}\"], capture_output=True, text=True, timeout=30 # Don't hang forever ) if result.returncode != 0: # Parse kubectl errors if \"NotFound\" in result.stderr: return f\"Error: Pod '{pod_name}' not found\" elif \"Forbidden\" in result.stderr: return \"Error: Permission denied. Check RBAC settings\" else: return f\"Error: {result.stderr}\" if not result.stdout: return f\"Pod '{pod_name}' has no logs (may be starting)\" return result.stdout except subprocess.TimeoutExpired: return f\"Error: Timeout getting logs from pod '{pod_name}'\" except Exception as e: return f\"Unexpected error: {str(e)}\" # ✅ Robust tool that handles all edge cases!"},{"m":5,"id":"tool-calling-function-calling-pattern-3-tool-with-caching","title":"Pattern 3: Tool with Caching","text":"","code":"from functools import lru_cache import time @lru_cache(maxsize=100) def cached_get_pods(namespace: str, _cache_key: float) -> str: \"\"\"Get pods with 30-second cache\"\"\" result = subprocess.run( [\"kubectl\", \"get\", \"pods\", \"-n\", namespace, \"-o\", \"json\"], capture_output=True, text=True ) return result.stdout def get_pods_with_cache(namespace: str = \"default\") -> str: \"\"\"Public function that adds cache key\"\"\" # Cache key changes every 30 seconds cache_key = int(time.time() / 30) return cached_get_pods(namespace, cache_key) # Why cache? # If agent calls GetPods multiple times in one session, # don't hammer kubectl - use cached result!"},{"m":5,"id":"tool-calling-function-calling--designing-your-tool-set","title":"🎨 Designing Your Tool Set","text":"","code":""},{"m":5,"id":"tool-calling-function-calling-your-5-core-tools","title":"Your 5 Core Tools","text":"","code":"tools = [ # 1. Status Check (always needed first) Tool( name=\"GetPodStatus\", func=get_pod_status, description=\"Check if pod is Running/Pending/Failed...\" ), # 2. Logs (for error messages) Tool( name=\"GetPodLogs\", func=get_pod_logs, description=\"Get container logs to see errors...\" ), # 3. Detailed Info (when status isn't enough) Tool( name=\"DescribePod\", func=describe_pod, description=\"Get full pod details including events...\" ), # 4. Pattern Matching (identify known errors) Tool( name=\"AnalyzeErrors\", func=analyze_errors, description=\"Check logs for common error patterns...\" ), # 5. Resource Check (for OOMKilled, etc.) Tool( name=\"CheckResources\", func=check_resources, description=\"Check CPU and memory usage...\" ) ] # Agent uses them in order: # 1. GetPodStatus → See if failing # 2. GetPodLogs → Find error message # 3. AnalyzeErrors → Match to known patterns # 4. DescribePod → If still unclear, get full details # 5. CheckResources → If resource-related issue"},{"m":5,"id":"tool-calling-function-calling--common-tool-mistakes","title":"🚫 Common Tool Mistakes","text":"","code":""},{"m":5,"id":"tool-calling-function-calling-mistake-1-too-many-tools","title":"Mistake 1: Too Many Tools","text":"","code":"# ❌ Bad: 20 tools for every kubectl command tools = [ \"GetPods\", \"GetDeployments\", \"GetServices\", \"GetIngress\", \"GetConfigMaps\", \"GetSecrets\", \"GetNodes\", \"GetNamespaces\", \"GetPVCs\", \"GetPVs\", \"GetStatefulSets\", \"GetDaemonSets\", ... 8 more ] # Agent gets confused! Which one to use? # More tools = worse performance! # ✅ Good: 5-7 focused tools tools = [ \"GetPodStatus\", \"GetPodLogs\", \"DescribePod\", \"AnalyzeErrors\", \"CheckResources\" ] # Clear hierarchy, each tool has specific purpose"},{"m":5,"id":"tool-calling-function-calling-mistake-2-vague-descriptions","title":"Mistake 2: Vague Descriptions","text":"","code":"# ❌ Bad Tool( name=\"CheckPod\", description=\"Checks pod\" ) # LLM doesn't know: # - What aspect of pod? # - When to use vs other tools? # - What input format? # ✅ Good Tool( name=\"GetPodStatus\", description=\"\"\" Get current status (Running/Pending/Failed/CrashLoopBackOff). Use this FIRST when investigating pod issues. Input: pod_name (string) Output: Status and restart count \"\"\" )"},{"m":5,"id":"tool-calling-function-calling-mistake-3-no-error-handling","title":"Mistake 3: No Error Handling","text":"","code":"# ❌ Bad def get_logs(pod_name): result = subprocess.run([\"kubectl\", \"logs\", pod_name]) return result.stdout # What if it fails?! # Crashes agent if pod doesn't exist # No helpful error message # ✅ Good def get_logs(pod_name): try: result = subprocess.run( [\"kubectl\", \"logs\", pod_name], capture_output=True, timeout=30 ) if result.returncode != 0: return f\"Error: {result.stderr}\" return result.stdout or \"No logs available\" except Exception as e: return f\"Failed to get logs: {e}\" # Agent can handle errors gracefully"},{"m":5,"id":"tool-calling-function-calling--self-check-questions","title":"📝 Self-Check Questions","text":"What are the 3 essential parts of a tool? Answer Name (what LLM calls it), Function (what it executes), Description (when/how to use it) Why is tool description so important? Answer LLM decides which tool to use based ONLY on descriptions. Bad description = wrong tool selection = wrong diagnosis. What happens if a tool doesn't handle errors? Answer Agent crashes or gets stuck. Need try/except, validate inputs, return error messages as strings. Should you create a tool for every kubectl command? Answer No! Too many tools confuse the agent. Focus on 5-7 essential tools that cover common diagnostic workflows. What's the difference between Tool and StructuredTool? Answer StructuredTool adds Pydantic schema for type-safe inputs. Better for complex tools with multiple parameters.","code":""},{"m":5,"id":"tool-calling-function-calling--key-takeaways","title":"🎓 Key Takeaways","text":"✅ Tools let LLMs interact with real systems ✅ Every tool needs name, function, and clear description ✅ Good descriptions = better tool selection ✅ Always handle errors gracefully ✅ 5-7 focused tools > 20 generic tools ✅ Use StructuredTool for type safety","code":""},{"m":5,"id":"tool-calling-function-calling--ready-for-hands-on","title":"🚀 Ready for Hands-On?","text":"Can you: Explain what tool calling is? Write a tool description that helps LLM choose correctly? Implement error handling in tools? → Continue to 10_Hands_On_Exercises.md to practice!","code":""},{"m":6,"id":"agent-reasoning-loops-module-6-agent-reasoning-loops","title":"Module 6: Agent Reasoning Loops","text":"Study Time : ~45 minutes Prerequisites : Module 4 (CoT vs ReAct), Module 5 (Tool Calling)","code":""},{"m":6,"id":"agent-reasoning-loops--learning-objectives","title":"🎯 Learning Objectives","text":"By the end of this module, you'll understand: How agents make decisions in a loop The anatomy of a reasoning iteration How to control and debug agent loops Common loop problems and solutions Best practices for production agents","code":""},{"m":6,"id":"agent-reasoning-loops--what-is-a-reasoning-loop","title":"🔄 What is a Reasoning Loop?","text":"An agent reasoning loop is the iterative process where an agent: Observes the current state Thinks about what to do next Acts by calling a tool or giving a final answer Observes the result Repeats until the task is complete Think of it like a doctor diagnosing a patient: Doctor examines patient (observation) Doctor thinks \"could be infection\" (reasoning) Doctor orders blood test (action/tool call) Doctor sees elevated white blood cells (observation) Doctor thinks \"confirms infection\" (reasoning) Doctor prescribes antibiotics (final answer)","code":""},{"m":6,"id":"agent-reasoning-loops--react-loop-step-by-step","title":"🧠 ReAct Loop: Step-by-Step","text":"","code":""},{"m":6,"id":"agent-reasoning-loops-the-pattern","title":"The Pattern","text":"","code":"Thought → Action → Observation → Thought → Action → Observation → Final Answer"},{"m":6,"id":"agent-reasoning-loops-detailed-example-k8s-troubleshooting","title":"Detailed Example: K8s Troubleshooting","text":"User Query : \"Why is pod nginx-abc123 crashing?\"","code":""},{"m":6,"id":"agent-reasoning-loops-iteration-1","title":"Iteration 1","text":"","code":"Thought: \"I need to check the pod's current status first\" Action: GetPodStatus(pod_name=\"nginx-abc123\", namespace=\"default\") Observation: \"Pod nginx-abc123 is in CrashLoopBackOff state. Last restart: 2 minutes ago. Restart count: 15\""},{"m":6,"id":"agent-reasoning-loops-iteration-2","title":"Iteration 2","text":"","code":"Thought: \"CrashLoopBackOff means the container is repeatedly crashing. I should check the logs to see why\" Action: GetPodLogs(pod_name=\"nginx-abc123\", namespace=\"default\", tail=50) Observation: \"Error: Configuration file /etc/nginx/nginx.conf not found nginx: [emerg] cannot load configuration file\""},{"m":6,"id":"agent-reasoning-loops-iteration-3","title":"Iteration 3","text":"","code":"Thought: \"The pod is crashing because the nginx config file is missing. Let me check the pod's configuration to see how this file should be mounted\" Action: DescribePod(pod_name=\"nginx-abc123\", namespace=\"default\") Observation: \"Pod mounts ConfigMap 'nginx-config' at /etc/nginx/ ConfigMap Status: Not Found Event: MountVolume.SetUp failed for volume 'nginx-config': configmap 'nginx-config' not found\""},{"m":6,"id":"agent-reasoning-loops-final-answer","title":"Final Answer","text":"Total Iterations : 3 Tools Called : 3 Result : Complete diagnosis with actionable fix","code":"Thought: \"I have enough information to provide a complete diagnosis\" Final Answer: \"Pod nginx-abc123 is crashing because it's trying to mount a ConfigMap named 'nginx-config' that doesn't exist. Root Cause: Missing ConfigMap Fix: 1. Check if ConfigMap was deleted: kubectl get configmap nginx-config 2. Recreate the ConfigMap with the correct nginx configuration 3. Or update the Deployment to use an existing ConfigMap name The pod will start successfully once the ConfigMap exists.\""},{"m":6,"id":"agent-reasoning-loops-️-anatomy-of-an-iteration","title":"⚙️ Anatomy of an Iteration","text":"Each iteration has 3 components:","code":""},{"m":6,"id":"agent-reasoning-loops-1-thought-reasoning","title":"1. Thought (Reasoning)","text":"The agent's internal reasoning about what to do next. What makes a good thought : ✅ Refers to previous observations ✅ Explains why taking the next action ✅ Shows logical progression ❌ Doesn't repeat the same thought ❌ Doesn't contradict previous reasoning","code":"# Example thoughts: \"I need to check the pod status first\" \"CrashLoopBackOff suggests repeated failures, should check logs\" \"The logs show a config error, need to verify the ConfigMap\" \"I have enough information to answer now\""},{"m":6,"id":"agent-reasoning-loops-2-action-tool-call","title":"2. Action (Tool Call)","text":"The tool the agent decides to call, with parameters.","code":"# Good action: Action: GetPodLogs(pod_name=\"nginx-abc123\", namespace=\"default\", tail=50) # Bad action (wrong parameters): Action: GetPodLogs(pod_name=\"wrong-name\", namespace=\"default\") # Bad action (wrong tool for the situation): Action: CheckResources(pod_name=\"nginx-abc123\") # Doesn't help with config error"},{"m":6,"id":"agent-reasoning-loops-3-observation-tool-result","title":"3. Observation (Tool Result)","text":"The output returned by the tool.","code":"# Tool returns this: Observation: \"Error: Configuration file /etc/nginx/nginx.conf not found\" # Agent reads this and uses it in next Thought"},{"m":6,"id":"agent-reasoning-loops--controlling-the-loop","title":"🎮 Controlling the Loop","text":"","code":""},{"m":6,"id":"agent-reasoning-loops-max_iterations-prevent-infinite-loops","title":"max_iterations: Prevent Infinite Loops","text":"Why this matters : ❌ Without max_iterations : ✅ With max_iterations=5 : Best Practice : Set max_iterations=5-10 based on task complexity.","code":"from langchain.agents import AgentExecutor agent_executor = AgentExecutor( agent=agent, tools=tools, max_iterations=5, # Stop after 5 iterations max verbose=True ) Iteration 1: Check pod status Iteration 2: Check pod logs Iteration 3: Check pod status (repeating!) Iteration 4: Check pod logs (repeating!) Iteration 5: Check pod status (stuck in loop!) ... [infinite loop] Iteration 1: Check pod status Iteration 2: Check pod logs Iteration 3: Describe pod Iteration 4: Analyze error Iteration 5: Give final answer (forced to stop)"},{"m":6,"id":"agent-reasoning-loops-early_stopping_method-graceful-exits","title":"early_stopping_method: Graceful Exits","text":"Options : \"generate\" (recommended): Agent generates best answer it can when max_iterations is reached \"force\" : Agent is forced to return what it has immediately Use \"generate\" for better user experience.","code":"agent_executor = AgentExecutor( agent=agent, tools=tools, max_iterations=5, early_stopping_method=\"generate\" # or \"force\" ) \"Based on the logs I checked, the pod is crashing due to a config error. I would need to check the ConfigMap to provide a complete diagnosis.\" \"Agent stopped at max_iterations\" [Not helpful!]"},{"m":6,"id":"agent-reasoning-loops-return_intermediate_steps-debugging","title":"return_intermediate_steps: Debugging","text":"When to use : ✅ Debugging agent behavior ✅ Understanding why agent made certain choices ✅ Logging for analytics ❌ Production (adds overhead)","code":"result = agent_executor.invoke( {\"input\": \"Why is pod crashing?\"}, return_intermediate_steps=True # Get full loop details ) # Access the reasoning loop: for step in result[\"intermediate_steps\"]: action = step[0] # (tool_name, tool_input) observation = step[1] # tool output print(f\"Action: {action}\") print(f\"Observation: {observation}\")"},{"m":6,"id":"agent-reasoning-loops--common-loop-problems","title":"🐛 Common Loop Problems","text":"","code":""},{"m":6,"id":"agent-reasoning-loops-problem-1-infinite-loops","title":"Problem 1: Infinite Loops","text":"Symptom : Agent keeps calling the same tool repeatedly. Causes : Tool descriptions don't guide agent to next step Temperature too high (random tool selection) No memory (agent forgets what it did) Tool returns ambiguous output Solutions :","code":"Iteration 1: GetPodStatus → \"CrashLoopBackOff\" Iteration 2: GetPodStatus → \"CrashLoopBackOff\" Iteration 3: GetPodStatus → \"CrashLoopBackOff\" ... # 1. Better tool descriptions @tool def get_pod_status(pod_name: str) -> str: \"\"\"Get pod status. Use this FIRST to check if pod is Running, Pending, or CrashLoopBackOff. If CrashLoopBackOff, use GetPodLogs next to see why it's crashing. \"\"\" # ... implementation # 2. Lower temperature llm = ChatOpenAI(temperature=0.0) # Deterministic # 3. Add memory memory = ConversationBufferWindowMemory(k=10) # 4. Set max_iterations agent_executor = AgentExecutor( agent=agent, tools=tools, max_iterations=5 # Force stop )"},{"m":6,"id":"agent-reasoning-loops-problem-2-wrong-tool-selection","title":"Problem 2: Wrong Tool Selection","text":"Symptom : Agent calls tools that don't help. Causes : Vague tool descriptions Too many similar tools High temperature Solutions :","code":"User: \"Pod is out of memory\" Agent calls: GetPodStatus [Okay] Agent calls: GetPodLogs [Okay] Agent calls: AnalyzeErrors [Doesn't help for OOM] Agent calls: GetPodStatus [Repeating, doesn't help] # 1. Specific descriptions with use cases @tool def check_resources(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Check pod CPU and memory limits/usage. Use this when: - Pod shows OOMKilled error - Investigating resource limit issues - Pod is stuck in Pending state due to resource constraints NOT for: Network errors, image pull issues, config problems \"\"\" # ... implementation # 2. Reduce number of tools (5-7 max) # 3. Use temperature=0.0"},{"m":6,"id":"agent-reasoning-loops-problem-3-premature-exit","title":"Problem 3: Premature Exit","text":"Symptom : Agent gives up too early without gathering enough info. Causes : System prompt doesn't encourage tool use max_iterations too low Agent trained to defer to humans Solutions :","code":"User: \"Pod nginx-abc is failing\" Agent: \"I need more information to help. Please provide pod logs.\" [But agent has GetPodLogs tool it could have used!] system_prompt = \"\"\" You are a K8s troubleshooting assistant with diagnostic tools. IMPORTANT: Always use your tools to gather information before asking the user. - If you need logs, call GetPodLogs - If you need status, call GetPodStatus - If you need details, call DescribePod Only ask the user for information that your tools cannot provide (like business context or expected behavior). \"\"\" # Set reasonable max_iterations agent_executor = AgentExecutor( agent=agent, tools=tools, max_iterations=10 # Allow enough iterations to investigate )"},{"m":6,"id":"agent-reasoning-loops-problem-4-over-investigation","title":"Problem 4: Over-Investigation","text":"Symptom : Agent keeps gathering data even after it has the answer. Causes : System prompt encourages over-thoroughness Agent doesn't know when it has enough info Temperature creates randomness Solutions :","code":"User: \"Is pod nginx-abc running?\" Agent calls: GetPodStatus → \"Running\" Agent calls: GetPodLogs → [unnecessary] Agent calls: DescribePod → [unnecessary] Agent calls: CheckResources → [unnecessary] Final Answer: \"Yes, it's running\" system_prompt = \"\"\" You are a K8s troubleshooting assistant. Guidelines: - Use tools efficiently - only call what you need - If the answer is clear from one tool, provide it immediately - For simple status checks, GetPodStatus is usually sufficient - For crashes/errors, check status → logs → describe (in that order) - Stop once you have enough information to answer confidently \"\"\" # Use temperature=0.0 for deterministic behavior llm = ChatOpenAI(temperature=0.0)"},{"m":6,"id":"agent-reasoning-loops--loop-patterns-good-vs-bad","title":"📊 Loop Patterns: Good vs Bad","text":"","code":""},{"m":6,"id":"agent-reasoning-loops-pattern-1-linear-investigation-good","title":"Pattern 1: Linear Investigation (Good)","text":"Why good : Each step builds on the previous, logical progression, efficient.","code":"User: \"Pod is crashing\" ↓ Iteration 1: GetPodStatus → \"CrashLoopBackOff\" ↓ Iteration 2: GetPodLogs → \"OOMKilled error\" ↓ Iteration 3: CheckResources → \"Memory limit: 128Mi\" ↓ Final Answer: \"Pod exceeds 128Mi limit, increase to 256Mi\""},{"m":6,"id":"agent-reasoning-loops-pattern-2-circular-investigation-bad","title":"Pattern 2: Circular Investigation (Bad)","text":"Why bad : Repeating same tools, not progressing, wastes iterations.","code":"User: \"Pod is crashing\" ↓ Iteration 1: GetPodStatus → \"CrashLoopBackOff\" ↓ Iteration 2: GetPodLogs → \"Error message\" ↓ Iteration 3: GetPodStatus → \"CrashLoopBackOff\" [Repeating!] ↓ Iteration 4: GetPodLogs → \"Error message\" [Repeating!] ↓ Max iterations reached, no answer"},{"m":6,"id":"agent-reasoning-loops-pattern-3-shotgun-investigation-bad","title":"Pattern 3: Shotgun Investigation (Bad)","text":"Why bad : Random tool order, inefficient, confusing logic.","code":"User: \"Pod is crashing\" ↓ Iteration 1: CheckResources [Wrong first step] ↓ Iteration 2: AnalyzeErrors [No errors to analyze yet] ↓ Iteration 3: GetPodStatus [Should have been first!] ↓ Iteration 4: DescribePod [Okay but order is wrong] ↓ Iteration 5: GetPodLogs [Should have been second!]"},{"m":6,"id":"agent-reasoning-loops--best-practices-for-production","title":"🎯 Best Practices for Production","text":"","code":""},{"m":6,"id":"agent-reasoning-loops-1-design-logical-tool-order","title":"1. Design Logical Tool Order","text":"Guide the agent with tool descriptions:","code":"@tool def get_pod_status(pod_name: str) -> str: \"\"\"Step 1: Check pod status (Running, Pending, CrashLoopBackOff). Use this FIRST for any pod issue. Based on the status: - CrashLoopBackOff → Use GetPodLogs next - Pending → Use DescribePod next to see events - ImagePullBackOff → Use DescribePod next \"\"\" @tool def get_pod_logs(pod_name: str) -> str: \"\"\"Step 2: Get pod logs after confirming pod is crashing. Use this when GetPodStatus shows CrashLoopBackOff or Error state. Look for error messages in the logs. \"\"\" @tool def describe_pod(pod_name: str) -> str: \"\"\"Step 3: Get detailed pod info when status and logs aren't enough. Use this when: - You need to see pod events - Investigating Pending state - Checking volume mounts or ConfigMap issues \"\"\""},{"m":6,"id":"agent-reasoning-loops-2-monitor-loop-health","title":"2. Monitor Loop Health","text":"Track metrics:","code":"class LoopMonitor: def __init__(self): self.iteration_count = 0 self.tools_called = [] self.repeated_tools = 0 def track_iteration(self, action, observation): self.iteration_count += 1 # Detect repeated tools if action in self.tools_called: self.repeated_tools += 1 self.tools_called.append(action) # Alert if agent is stuck if self.repeated_tools > 2: print(\"⚠️ Warning: Agent repeating tools, may be stuck\") def get_stats(self): return { \"total_iterations\": self.iteration_count, \"unique_tools\": len(set(self.tools_called)), \"repeated_calls\": self.repeated_tools }"},{"m":6,"id":"agent-reasoning-loops-3-implement-circuit-breakers","title":"3. Implement Circuit Breakers","text":"Stop agent if it's clearly stuck:","code":"class SmartAgentExecutor: def __init__(self, agent_executor, max_repeats=2): self.agent_executor = agent_executor self.max_repeats = max_repeats self.tool_history = [] def invoke(self, input_dict): # Custom invoke that tracks tool calls for step in self.agent_executor.iter(input_dict): action = step.get(\"action\") # Check for repeated tools if self.tool_history.count(action) >= self.max_repeats: return { \"output\": \"Agent detected repeating pattern. Stopping to prevent infinite loop.\", \"status\": \"circuit_breaker_triggered\" } self.tool_history.append(action) return step"},{"m":6,"id":"agent-reasoning-loops-4-test-different-scenarios","title":"4. Test Different Scenarios","text":"Create test cases:","code":"test_cases = [ { \"query\": \"Is pod nginx-abc running?\", \"expected_tools\": [\"GetPodStatus\"], \"max_expected_iterations\": 1 }, { \"query\": \"Pod nginx-abc is crashing, why?\", \"expected_tools\": [\"GetPodStatus\", \"GetPodLogs\", \"DescribePod\"], \"max_expected_iterations\": 3 }, { \"query\": \"Pod is OOMKilled\", \"expected_tools\": [\"GetPodStatus\", \"GetPodLogs\", \"CheckResources\"], \"max_expected_iterations\": 3 } ] # Run tests for test in test_cases: result = agent_executor.invoke({\"input\": test[\"query\"]}) iterations = len(result[\"intermediate_steps\"]) assert iterations <= test[\"max_expected_iterations\"], \\ f\"Too many iterations: {iterations} > {test['max_expected_iterations']}\""},{"m":6,"id":"agent-reasoning-loops--debugging-agent-loops","title":"🔬 Debugging Agent Loops","text":"","code":""},{"m":6,"id":"agent-reasoning-loops-enable-verbose-mode","title":"Enable Verbose Mode","text":"Output :","code":"agent_executor = AgentExecutor( agent=agent, tools=tools, verbose=True # See all thoughts and actions ) > Entering new AgentExecutor chain... Thought: I need to check the pod status first Action: GetPodStatus Action Input: {\"pod_name\": \"nginx-abc123\", \"namespace\": \"default\"} Observation: Pod nginx-abc123 is in CrashLoopBackOff state Thought: Now I should check the logs to see why it's crashing Action: GetPodLogs Action Input: {\"pod_name\": \"nginx-abc123\", \"namespace\": \"default\", \"tail\": 50} Observation: Error: Configuration file not found Thought: I have enough information to answer Final Answer: Pod is crashing because the nginx config file is missing... > Finished chain."},{"m":6,"id":"agent-reasoning-loops-analyze-intermediate-steps","title":"Analyze Intermediate Steps","text":"","code":"result = agent_executor.invoke( {\"input\": \"Why is pod crashing?\"}, return_intermediate_steps=True ) # Check what the agent did steps = result[\"intermediate_steps\"] print(f\"Total iterations: {len(steps)}\") for i, (action, observation) in enumerate(steps, 1): print(f\"\\n--- Iteration {i} ---\") print(f\"Tool: {action.tool}\") print(f\"Input: {action.tool_input}\") print(f\"Output: {observation[:100]}...\") # First 100 chars"},{"m":6,"id":"agent-reasoning-loops-log-to-file-for-analysis","title":"Log to File for Analysis","text":"","code":"import logging logging.basicConfig( filename='agent_loops.log', level=logging.DEBUG, format='%(asctime)s - %(message)s' ) class LoggingAgentExecutor: def __init__(self, agent_executor): self.agent_executor = agent_executor def invoke(self, input_dict): logging.info(f\"Query: {input_dict['input']}\") result = self.agent_executor.invoke( input_dict, return_intermediate_steps=True ) # Log each iteration for i, (action, observation) in enumerate(result[\"intermediate_steps\"], 1): logging.info(f\"Iteration {i}: {action.tool} -> {observation[:200]}\") logging.info(f\"Final Answer: {result['output']}\") return result"},{"m":6,"id":"agent-reasoning-loops--self-check-questions","title":"🎓 Self-Check Questions","text":"","code":""},{"m":6,"id":"agent-reasoning-loops-question-1-what-are-the-3-components-of-each-iteration-in-a-react-loop","title":"Question 1: What are the 3 components of each iteration in a ReAct loop?","text":"Show Answer Thought : The agent's reasoning about what to do next Action : The tool call the agent decides to make (with parameters) Observation : The result returned by the tool Example:","code":"Thought: \"I need to check pod status\" Action: GetPodStatus(pod_name=\"nginx-abc\") Observation: \"Pod is CrashLoopBackOff\""},{"m":6,"id":"agent-reasoning-loops-question-2-why-should-you-set-max_iterations-for-production-agents","title":"Question 2: Why should you set max_iterations for production agents?","text":"Show Answer To prevent infinite loops. Without max_iterations, an agent might: Get stuck calling the same tool repeatedly Loop endlessly if it can't find a solution Waste compute resources and cost money Provide poor user experience (long wait times) Best practice : Set max_iterations=5-10 based on task complexity, and use early_stopping_method=\"generate\" to get the best partial answer if max is reached.","code":""},{"m":6,"id":"agent-reasoning-loops-question-3-what-causes-an-agent-to-get-stuck-in-an-infinite-loop","title":"Question 3: What causes an agent to get stuck in an infinite loop?","text":"Show Answer Common causes : Vague tool descriptions : Agent doesn't know what tool to call next High temperature : Random tool selection causes repeated calls No memory : Agent forgets what it already did Ambiguous tool outputs : Agent can't decide what to do with the result Conflicting tool descriptions : Multiple tools seem equally valid Solutions : Use temperature=0.0 for deterministic behavior Write clear tool descriptions with \"Use this when...\" guidance Add memory to track conversation history Include sequential hints (\"Use GetPodStatus FIRST, then GetPodLogs\") Set max_iterations as safety net","code":""},{"m":6,"id":"agent-reasoning-loops-question-4-design-a-good-reasoning-loop-for-this-query-pod-is-oomkilled","title":"Question 4: Design a good reasoning loop for this query: \"Pod is OOMKilled\"","text":"Show Answer Why this is good : ✅ Linear progression (status → resources → conclusion) ✅ Each step builds on previous observation ✅ Only 2 tool calls needed (efficient) ✅ Clear reasoning at each step ✅ Actionable final answer","code":"User Query: \"Pod cart-service-xyz is OOMKilled\" Iteration 1: Thought: \"OOMKilled means out of memory. Let me confirm the pod status.\" Action: GetPodStatus(pod_name=\"cart-service-xyz\", namespace=\"default\") Observation: \"Pod is in CrashLoopBackOff. Last exit code: 137 (OOMKilled)\" Iteration 2: Thought: \"Exit code 137 confirms OOMKilled. I should check resource limits.\" Action: CheckResources(pod_name=\"cart-service-xyz\", namespace=\"default\") Observation: \"Memory limit: 128Mi, Memory usage at crash: 145Mi\" Iteration 3: Thought: \"Pod is using 145Mi but limit is only 128Mi. I have enough info.\" Final Answer: \"Pod cart-service-xyz is being killed because it exceeds its 128Mi memory limit (using 145Mi). Fixes: 1. Increase memory limit to 256Mi in the deployment spec 2. Investigate if there's a memory leak causing high usage 3. Add horizontal pod autoscaling if traffic is increasing\""},{"m":6,"id":"agent-reasoning-loops-question-5-whats-the-difference-between-early_stopping_method-generate-vs-force","title":"Question 5: What's the difference between early_stopping_method \"generate\" vs \"force\"?","text":"Show Answer When max_iterations is reached: \"generate\" (recommended): Agent generates the best answer it can based on what it learned so far Example: \"Based on the logs I checked, the pod is crashing due to a missing config file. I would need to check the ConfigMap to provide a complete solution.\" Better user experience \"force\" : Agent immediately returns with minimal output Example: \"Agent stopped at max_iterations\" Poor user experience, not helpful Always use \"generate\" for production systems.","code":"agent_executor = AgentExecutor( agent=agent, tools=tools, max_iterations=5, early_stopping_method=\"generate\" # ✅ Use this )"},{"m":6,"id":"agent-reasoning-loops--key-takeaways","title":"🚀 Key Takeaways","text":"ReAct loop : Thought → Action → Observation → repeat Set max_iterations : Prevent infinite loops (5-10 is typical) Use temperature=0.0 : Ensures deterministic tool selection Guide with descriptions : Tell agent which tools to use when Monitor loop health : Track repeated tools, circular patterns Test different scenarios : Ensure agent handles various queries efficiently Enable verbose mode : Debug by seeing agent's reasoning Use \"generate\" stopping : Better user experience when max_iterations reached","code":""},{"m":6,"id":"agent-reasoning-loops--next-module","title":"🔗 Next Module","text":"Move on to Module 7: LangChain Components to understand the framework that powers these agents! Time to complete this module : 45 minutes Hands-on practice : 20 minutes Total : ~1 hour","code":""},{"m":7,"id":"langchain-components-module-7-langchain-components-deep-dive","title":"Module 7: LangChain Components Deep Dive","text":"Study Time : ~1 hour Prerequisites : Modules 1-6","code":""},{"m":7,"id":"langchain-components--learning-objectives","title":"🎯 Learning Objectives","text":"By the end of this module, you'll understand: What LangChain is and why it's useful Core components: LLMs, PromptTemplates, Chains, Agents, Tools How to compose components into applications Memory management in LangChain Best practices for your K8s agent","code":""},{"m":7,"id":"langchain-components--what-is-langchain","title":"🔗 What is LangChain?","text":"LangChain is a framework for building applications with LLMs. It provides: Abstractions : Common patterns wrapped in reusable components Chains : Connect multiple LLM calls and logic Agents : Autonomous systems that use tools Memory : Persist conversation context Integrations : Works with OpenAI, Anthropic, Ollama, etc.","code":""},{"m":7,"id":"langchain-components-why-use-langchain","title":"Why Use LangChain?","text":"","code":""},{"m":7,"id":"langchain-components-without-langchain-raw-api-calls","title":"Without LangChain (Raw API calls)","text":"Problems : ❌ Repetitive code ❌ Manual memory management ❌ No tool calling framework ❌ Hard to maintain","code":"# You write everything manually import openai def diagnose_pod(pod_name): # Call 1: Check status status_prompt = f\"Check status of pod {pod_name}\" status = openai.chat.completions.create(...) # Call 2: Analyze result analysis_prompt = f\"Analyze this status: {status}\" analysis = openai.chat.completions.create(...) # Call 3: Suggest fix fix_prompt = f\"Based on {analysis}, suggest fix\" fix = openai.chat.completions.create(...) # You handle memory, errors, retries manually return fix"},{"m":7,"id":"langchain-components-with-langchain","title":"With LangChain","text":"Benefits : ✅ Less boilerplate code ✅ Built-in memory management ✅ Tool calling framework ✅ Easy to extend","code":"from langchain.agents import create_react_agent, AgentExecutor from langchain_openai import ChatOpenAI from langchain.memory import ConversationBufferWindowMemory # Framework handles complexity llm = ChatOpenAI(temperature=0.0) memory = ConversationBufferWindowMemory(k=10) agent = create_react_agent(llm, tools, prompt_template) agent_executor = AgentExecutor(agent=agent, tools=tools, memory=memory) # One line to execute result = agent_executor.invoke({\"input\": \"Why is pod nginx-abc crashing?\"})"},{"m":7,"id":"langchain-components--core-components","title":"🧱 Core Components","text":"","code":""},{"m":7,"id":"langchain-components-1-llms-and-chat-models","title":"1. LLMs and Chat Models","text":"LLMs : Basic text completion models (GPT-3, older models) Chat Models (Modern, recommended): Designed for conversations Key Difference : LLMs : Simple text in, text out Chat Models : Message objects, roles (system/user/assistant), better for conversations For your agent : Use ChatOpenAI (chat model)","code":"from langchain.llms import OpenAI llm = OpenAI(temperature=0.7) result = llm.invoke(\"What is Kubernetes?\") # Returns: \"Kubernetes is a container orchestration platform...\" from langchain_openai import ChatOpenAI from langchain.schema import HumanMessage, SystemMessage chat = ChatOpenAI(model=\"gpt-4\", temperature=0.0) messages = [ SystemMessage(content=\"You are a K8s expert\"), HumanMessage(content=\"What is a pod?\") ] result = chat.invoke(messages) # Returns: Message object with .content"},{"m":7,"id":"langchain-components-2-prompt-templates","title":"2. Prompt Templates","text":"Reusable prompt structures with variables.","code":""},{"m":7,"id":"langchain-components-basic-template","title":"Basic Template","text":"","code":"from langchain.prompts import PromptTemplate template = PromptTemplate( input_variables=[\"pod_name\", \"error\"], template=\"\"\" Diagnose this Kubernetes issue: Pod: {pod_name} Error: {error} Provide step-by-step diagnosis: \"\"\" ) # Use the template prompt = template.format(pod_name=\"nginx-abc\", error=\"CrashLoopBackOff\") result = llm.invoke(prompt)"},{"m":7,"id":"langchain-components-chat-prompt-template-better-for-conversations","title":"Chat Prompt Template (Better for conversations)","text":"","code":"from langchain.prompts import ChatPromptTemplate chat_template = ChatPromptTemplate.from_messages([ (\"system\", \"You are a Kubernetes troubleshooting expert.\"), (\"human\", \"Pod {pod_name} is in {status} state. Help me diagnose.\"), (\"ai\", \"I'll help diagnose this issue. Let me check the pod first.\"), (\"human\", \"{follow_up}\") ]) # Use it messages = chat_template.format_messages( pod_name=\"nginx-abc\", status=\"CrashLoopBackOff\", follow_up=\"What should I check next?\" ) result = chat.invoke(messages)"},{"m":7,"id":"langchain-components-for-react-agents","title":"For ReAct Agents","text":"","code":"react_prompt = \"\"\" You are a Kubernetes troubleshooting assistant with access to diagnostic tools. Available tools: {tools} Tool Names: {tool_names} When troubleshooting: 1. Think step-by-step 2. Use tools to gather real data 3. Provide actionable recommendations Use this format: Question: the user's question Thought: think about what to do Action: the tool to use (must be one of [{tool_names}]) Action Input: the input to the tool Observation: the result of the action ... (repeat Thought/Action/Observation as needed) Thought: I now know the final answer Final Answer: the complete diagnosis and fix Question: {input} Thought: {agent_scratchpad} \"\"\" prompt = PromptTemplate.from_template(react_prompt)"},{"m":7,"id":"langchain-components-3-tools","title":"3. Tools","text":"Functions the agent can call.","code":""},{"m":7,"id":"langchain-components-basic-tool","title":"Basic Tool","text":"Key parts : @tool decorator makes it a LangChain tool Docstring is critical - agent reads this to decide when to use Type hints help agent understand parameters Error handling prevents crashes","code":"from langchain.tools import tool @tool def get_pod_status(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Get the status of a Kubernetes pod. Use this tool when you need to check if a pod is Running, Pending, CrashLoopBackOff, or in any other state. This should be your FIRST step when diagnosing pod issues. Args: pod_name: Name of the pod (required) namespace: Kubernetes namespace (default: default) Returns: String with pod status and conditions \"\"\" import subprocess try: result = subprocess.run( [\"kubectl\", \"get\", \"pod\", pod_name, \"-n\", namespace, \"-o\", \"wide\"], capture_output=True, text=True, timeout=5 ) if result.returncode != 0: return f\"Error: Pod {pod_name} not found in namespace {namespace}\" return result.stdout except Exception as e: return f\"Error checking pod status: {str(e)}\""},{"m":7,"id":"langchain-components-structured-tool-advanced","title":"Structured Tool (Advanced)","text":"Benefits of StructuredTool : ✅ Better input validation ✅ Clear parameter descriptions ✅ Type safety","code":"from langchain.tools import StructuredTool from pydantic import BaseModel, Field class PodStatusInput(BaseModel): pod_name: str = Field(description=\"Name of the pod to check\") namespace: str = Field(default=\"default\", description=\"Kubernetes namespace\") def get_pod_status_func(pod_name: str, namespace: str = \"default\") -> str: # Implementation here pass pod_status_tool = StructuredTool( name=\"GetPodStatus\", func=get_pod_status_func, description=\"Get status of a Kubernetes pod. Use first when diagnosing issues.\", args_schema=PodStatusInput )"},{"m":7,"id":"langchain-components-4-agents","title":"4. Agents","text":"Agents decide which tools to call and when.","code":""},{"m":7,"id":"langchain-components-create-react-agent","title":"Create ReAct Agent","text":"","code":"from langchain.agents import create_react_agent, AgentExecutor from langchain_openai import ChatOpenAI from langchain.prompts import PromptTemplate # 1. Define LLM llm = ChatOpenAI(model=\"gpt-4\", temperature=0.0) # 2. Define tools tools = [get_pod_status, get_pod_logs, describe_pod] # 3. Create prompt prompt = PromptTemplate.from_template(react_prompt_template) # 4. Create agent agent = create_react_agent( llm=llm, tools=tools, prompt=prompt ) # 5. Create executor (runs the agent) agent_executor = AgentExecutor( agent=agent, tools=tools, verbose=True, max_iterations=5, early_stopping_method=\"generate\", handle_parsing_errors=True # Gracefully handle LLM output errors )"},{"m":7,"id":"langchain-components-using-the-agent","title":"Using the Agent","text":"","code":"# Simple query result = agent_executor.invoke({ \"input\": \"Why is pod nginx-abc123 crashing?\" }) print(result[\"output\"])"},{"m":7,"id":"langchain-components-with-memory","title":"With Memory","text":"","code":"from langchain.memory import ConversationBufferWindowMemory memory = ConversationBufferWindowMemory( k=10, memory_key=\"chat_history\", return_messages=True ) agent_executor = AgentExecutor( agent=agent, tools=tools, memory=memory, # Add memory verbose=True ) # First query result1 = agent_executor.invoke({ \"input\": \"Check status of pod nginx-abc\" }) # Follow-up (agent remembers we're talking about nginx-abc) result2 = agent_executor.invoke({ \"input\": \"What are the logs?\" })"},{"m":7,"id":"langchain-components-5-memory","title":"5. Memory","text":"Stores conversation history so the agent remembers context.","code":""},{"m":7,"id":"langchain-components-conversationbuffermemory-simple","title":"ConversationBufferMemory (Simple)","text":"","code":"from langchain.memory import ConversationBufferMemory memory = ConversationBufferMemory() # Manually add to memory memory.save_context( {\"input\": \"Hello\"}, {\"output\": \"Hi! How can I help?\"} ) # Load memory print(memory.load_memory_variables({})) # Output: {\"history\": \"Human: Hello\\nAI: Hi! How can I help?\"}"},{"m":7,"id":"langchain-components-conversationbufferwindowmemory-recommended","title":"ConversationBufferWindowMemory (Recommended)","text":"","code":"from langchain.memory import ConversationBufferWindowMemory memory = ConversationBufferWindowMemory( k=10, # Keep last 10 exchanges memory_key=\"chat_history\", return_messages=True # Return as Message objects ) # Use with agent agent_executor = AgentExecutor( agent=agent, tools=tools, memory=memory )"},{"m":7,"id":"langchain-components-conversationsummarymemory-advanced","title":"ConversationSummaryMemory (Advanced)","text":"Comparison : Memory Type Pros Cons Use Case BufferMemory Simple, exact history Can overflow tokens Demos, short sessions BufferWindowMemory ⭐ Predictable, fixed size Loses old context Your K8s agent SummaryMemory Token efficient Extra LLM calls, costs Long sessions SummaryBufferMemory Best of both Complex Production at scale","code":"from langchain.memory import ConversationSummaryMemory from langchain_openai import ChatOpenAI llm = ChatOpenAI(temperature=0.0) memory = ConversationSummaryMemory( llm=llm, # Uses LLM to summarize memory_key=\"chat_history\" ) # Automatically summarizes long conversations"},{"m":7,"id":"langchain-components-6-chains-legacy-but-useful-to-know","title":"6. Chains (Legacy, but useful to know)","text":"Connect multiple components in sequence. Note : Modern LangChain uses LCEL (LangChain Expression Language) instead:","code":"from langchain.chains import LLMChain # Simple chain chain = LLMChain(llm=llm, prompt=prompt_template) result = chain.invoke({\"pod_name\": \"nginx-abc\", \"error\": \"CrashLoopBackOff\"}) # Modern approach with LCEL chain = prompt_template | llm | output_parser result = chain.invoke({\"pod_name\": \"nginx-abc\"})"},{"m":7,"id":"langchain-components-️-building-your-k8s-agent","title":"🏗️ Building Your K8s Agent","text":"","code":""},{"m":7,"id":"langchain-components-complete-example","title":"Complete Example","text":"","code":"from langchain.agents import create_react_agent, AgentExecutor from langchain_openai import ChatOpenAI from langchain.prompts import PromptTemplate from langchain.memory import ConversationBufferWindowMemory from langchain.tools import tool import subprocess # 1. Define Tools @tool def get_pod_status(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Get status of a Kubernetes pod. Use FIRST when diagnosing issues.\"\"\" result = subprocess.run( [\"kubectl\", \"get\", \"pod\", pod_name, \"-n\", namespace], capture_output=True, text=True, timeout=5 ) return result.stdout if result.returncode == 0 else f\"Error: {result.stderr}\" @tool def get_pod_logs(pod_name: str, namespace: str = \"default\", tail: int = 50) -> str: \"\"\"Get pod logs. Use when pod is crashing to see error messages.\"\"\" result = subprocess.run( [\"kubectl\", \"logs\", pod_name, \"-n\", namespace, f\"--tail={tail}\"], capture_output=True, text=True, timeout=10 ) return result.stdout if result.returncode == 0 else f\"Error: {result.stderr}\" @tool def describe_pod(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Get detailed pod info and events. Use when status and logs aren't enough.\"\"\" result = subprocess.run( [\"kubectl\", \"describe\", \"pod\", pod_name, \"-n\", namespace], capture_output=True, text=True, timeout=10 ) return result.stdout if result.returncode == 0 else f\"Error: {result.stderr}\" tools = [get_pod_status, get_pod_logs, describe_pod] # 2. Define Prompt react_prompt = \"\"\" You are a Kubernetes troubleshooting expert with access to diagnostic tools. Available tools: {tools} Use this format: Question: the user's question Thought: think about what to do next Action: the tool to use (one of [{tool_names}]) Action Input: the input for the tool Observation: the result from the tool ... (repeat Thought/Action/Observation as needed) Thought: I now know the final answer Final Answer: provide complete diagnosis and recommended fixes Guidelines: - Use GetPodStatus FIRST to check pod state - If CrashLoopBackOff, use GetPodLogs to see errors - If Pending or ImagePullBackOff, use DescribePod for events - Always provide actionable recommendations Question: {input} Thought: {agent_scratchpad} \"\"\" prompt = PromptTemplate.from_template(react_prompt) # 3. Create LLM llm = ChatOpenAI(model=\"gpt-4\", temperature=0.0) # 4. Create Agent agent = create_react_agent(llm=llm, tools=tools, prompt=prompt) # 5. Create Memory memory = ConversationBufferWindowMemory( k=10, memory_key=\"chat_history\", return_messages=True ) # 6. Create Agent Executor agent_executor = AgentExecutor( agent=agent, tools=tools, memory=memory, verbose=True, max_iterations=5, early_stopping_method=\"generate\", handle_parsing_errors=True ) # 7. Use It! if __name__ == \"__main__\": # First query result = agent_executor.invoke({ \"input\": \"Check if pod nginx-deployment-abc123 is running\" }) print(result[\"output\"]) # Follow-up query (agent remembers context) result = agent_executor.invoke({ \"input\": \"What are the logs?\" }) print(result[\"output\"])"},{"m":7,"id":"langchain-components--advanced-patterns","title":"🎨 Advanced Patterns","text":"","code":""},{"m":7,"id":"langchain-components-pattern-1-custom-output-parser","title":"Pattern 1: Custom Output Parser","text":"Parse agent output into structured format:","code":"from langchain.output_parsers import PydanticOutputParser from pydantic import BaseModel, Field class DiagnosisOutput(BaseModel): pod_name: str = Field(description=\"Name of the pod\") status: str = Field(description=\"Current pod status\") root_cause: str = Field(description=\"Root cause of the issue\") fixes: list[str] = Field(description=\"List of recommended fixes\") parser = PydanticOutputParser(pydantic_object=DiagnosisOutput) # Add to prompt format_instructions = parser.get_format_instructions() prompt_with_format = f\"{react_prompt}\\n\\n{format_instructions}\""},{"m":7,"id":"langchain-components-pattern-2-fallback-llm","title":"Pattern 2: Fallback LLM","text":"Use cheaper model, fallback to better one if needed:","code":"from langchain.chat_models import ChatOpenAI from langchain.llms import Ollama # Primary: Free local model primary_llm = Ollama(model=\"llama3\") # Fallback: Paid but better fallback_llm = ChatOpenAI(model=\"gpt-4\", temperature=0.0) # Create agent with fallback llm_with_fallback = primary_llm.with_fallbacks([fallback_llm]) agent = create_react_agent( llm=llm_with_fallback, tools=tools, prompt=prompt )"},{"m":7,"id":"langchain-components-pattern-3-streaming-responses","title":"Pattern 3: Streaming Responses","text":"Stream agent output in real-time:","code":"for chunk in agent_executor.stream({\"input\": \"Why is pod crashing?\"}): if \"output\" in chunk: print(chunk[\"output\"], end=\"\", flush=True)"},{"m":7,"id":"langchain-components-pattern-4-async-execution","title":"Pattern 4: Async Execution","text":"Run agent asynchronously:","code":"import asyncio async def diagnose_async(pod_name: str): result = await agent_executor.ainvoke({ \"input\": f\"Diagnose pod {pod_name}\" }) return result[\"output\"] # Use it result = asyncio.run(diagnose_async(\"nginx-abc\"))"},{"m":7,"id":"langchain-components--common-pitfalls","title":"🚨 Common Pitfalls","text":"","code":""},{"m":7,"id":"langchain-components-pitfall-1-not-handling-tool-errors","title":"Pitfall 1: Not Handling Tool Errors","text":"❌ Bad : ✅ Good :","code":"@tool def get_pod_status(pod_name: str) -> str: \"\"\"Get pod status.\"\"\" result = subprocess.run([\"kubectl\", \"get\", \"pod\", pod_name]) return result.stdout # Might crash if pod doesn't exist! @tool def get_pod_status(pod_name: str) -> str: \"\"\"Get pod status.\"\"\" try: result = subprocess.run( [\"kubectl\", \"get\", \"pod\", pod_name], capture_output=True, text=True, timeout=5 ) if result.returncode != 0: return f\"Error: {result.stderr}\" return result.stdout except subprocess.TimeoutExpired: return \"Error: Command timed out\" except Exception as e: return f\"Error: {str(e)}\""},{"m":7,"id":"langchain-components-pitfall-2-vague-tool-descriptions","title":"Pitfall 2: Vague Tool Descriptions","text":"❌ Bad : ✅ Good :","code":"@tool def check_pod(pod_name: str) -> str: \"\"\"Checks pod.\"\"\" # Too vague! @tool def get_pod_status(pod_name: str) -> str: \"\"\"Get the current status of a Kubernetes pod. Use this tool when you need to check if a pod is: - Running (healthy) - Pending (waiting to start) - CrashLoopBackOff (repeatedly crashing) - ImagePullBackOff (can't pull container image) - Error or Unknown state This should be your FIRST tool when diagnosing any pod issue. Based on the status, decide which tool to use next: - CrashLoopBackOff → Use GetPodLogs to see crash reason - Pending → Use DescribePod to see why it can't start - ImagePullBackOff → Use DescribePod to see image details \"\"\""},{"m":7,"id":"langchain-components-pitfall-3-not-setting-max_iterations","title":"Pitfall 3: Not Setting max_iterations","text":"❌ Bad : ✅ Good :","code":"agent_executor = AgentExecutor(agent=agent, tools=tools) # No max_iterations = potential infinite loop! agent_executor = AgentExecutor( agent=agent, tools=tools, max_iterations=5, early_stopping_method=\"generate\" )"},{"m":7,"id":"langchain-components-pitfall-4-using-high-temperature","title":"Pitfall 4: Using High Temperature","text":"❌ Bad : ✅ Good :","code":"llm = ChatOpenAI(temperature=1.0) # Too random for tool calling! llm = ChatOpenAI(temperature=0.0) # Deterministic, consistent"},{"m":7,"id":"langchain-components--self-check-questions","title":"🎓 Self-Check Questions","text":"","code":""},{"m":7,"id":"langchain-components-question-1-what-are-the-5-core-components-you-need-to-create-a-langchain-agent","title":"Question 1: What are the 5 core components you need to create a LangChain agent?","text":"Show Answer LLM : The language model (ChatOpenAI, Ollama, etc.) Tools : Functions the agent can call Prompt : Template that defines agent behavior (ReAct format) Agent : Created with create_react_agent(llm, tools, prompt) AgentExecutor : Runs the agent with configuration (max_iterations, memory, etc.) Optional but recommended: Memory : To maintain conversation context","code":""},{"m":7,"id":"langchain-components-question-2-whats-the-difference-between-conversationbuffermemory-and-conversationbufferwindowmemory","title":"Question 2: What's the difference between ConversationBufferMemory and ConversationBufferWindowMemory?","text":"Show Answer ConversationBufferMemory : Stores ALL conversation history Can overflow token limits in long conversations Best for: Short sessions, demos ConversationBufferWindowMemory : Stores only the last k exchanges Fixed memory size, predictable token usage Loses old context but prevents overflow Best for: Your K8s agent, multi-turn debugging Example:","code":"# Buffer: Stores everything memory = ConversationBufferMemory() # BufferWindow: Only keeps last 10 exchanges memory = ConversationBufferWindowMemory(k=10)"},{"m":7,"id":"langchain-components-question-3-why-is-the-tools-docstring-so-important","title":"Question 3: Why is the tool's docstring so important?","text":"Show Answer The docstring is the tool description that the agent reads to decide when to use the tool. Without good docstring : Agent doesn't know when to call the tool Might call wrong tools Gets confused with similar tools With good docstring : Agent knows exactly when to use it Understands what inputs are needed Knows what output to expect Best practices for docstrings : Start with what the tool does (one sentence) Explain WHEN to use it (\"Use this when...\") List valid input parameters Describe the output format Give examples if complex Suggest next steps (\"After this, use...\")","code":""},{"m":7,"id":"langchain-components-question-4-write-the-code-to-create-a-basic-k8s-agent-with-3-tools","title":"Question 4: Write the code to create a basic K8s agent with 3 tools","text":"Show Answer","code":"from langchain.agents import create_react_agent, AgentExecutor from langchain_openai import ChatOpenAI from langchain.prompts import PromptTemplate from langchain.tools import tool import subprocess # 1. Define tools @tool def get_pod_status(pod_name: str) -> str: \"\"\"Get pod status. Use FIRST.\"\"\" result = subprocess.run( [\"kubectl\", \"get\", \"pod\", pod_name], capture_output=True, text=True ) return result.stdout @tool def get_pod_logs(pod_name: str) -> str: \"\"\"Get pod logs. Use when pod is crashing.\"\"\" result = subprocess.run( [\"kubectl\", \"logs\", pod_name, \"--tail=50\"], capture_output=True, text=True ) return result.stdout @tool def describe_pod(pod_name: str) -> str: \"\"\"Get detailed pod info. Use for events and config.\"\"\" result = subprocess.run( [\"kubectl\", \"describe\", \"pod\", pod_name], capture_output=True, text=True ) return result.stdout tools = [get_pod_status, get_pod_logs, describe_pod] # 2. Define prompt react_prompt = \"\"\" Answer the following question using these tools: {tools} Use this format: Question: {input} Thought: [your reasoning] Action: [tool name] Action Input: [tool input] Observation: [tool output] ... (repeat as needed) Final Answer: [complete answer] Question: {input} {agent_scratchpad} \"\"\" # 3. Create agent llm = ChatOpenAI(model=\"gpt-4\", temperature=0.0) prompt = PromptTemplate.from_template(react_prompt) agent = create_react_agent(llm=llm, tools=tools, prompt=prompt) # 4. Create executor agent_executor = AgentExecutor( agent=agent, tools=tools, max_iterations=5, verbose=True ) # 5. Use it result = agent_executor.invoke({ \"input\": \"Why is pod nginx-abc crashing?\" }) print(result[\"output\"])"},{"m":7,"id":"langchain-components-question-5-whats-the-purpose-of-handle_parsing_errorstrue-in-agentexecutor","title":"Question 5: What's the purpose of handle_parsing_errors=True in AgentExecutor?","text":"Show Answer handle_parsing_errors=True makes the agent more robust by handling cases where the LLM generates malformed output. Without it : With it : Always use this in production to prevent crashes from occasional LLM formatting mistakes.","code":"# LLM outputs invalid format: \"Action: GetPodStatus nginx-abc\" # Missing proper JSON format # Result: Agent crashes with parsing error agent_executor = AgentExecutor( agent=agent, tools=tools, handle_parsing_errors=True # ✅ Graceful handling ) # LLM outputs invalid format → Agent catches it and asks LLM to retry # \"Please format your response correctly using Action: ... and Action Input: ...\""},{"m":7,"id":"langchain-components--key-takeaways","title":"🚀 Key Takeaways","text":"LangChain provides abstractions : Less boilerplate, more functionality Core components : LLM, Tools, Prompt, Agent, AgentExecutor, Memory Tools need excellent docstrings : Agent uses them to decide when to call Use ChatOpenAI with temperature=0.0 : Deterministic tool calling BufferWindowMemory is best : For your K8s agent (k=10) Set max_iterations : Prevent infinite loops (5-10 typical) Handle errors gracefully : Try/except in tools, handle_parsing_errors=True Test incrementally : Build tools → test individually → combine into agent","code":""},{"m":7,"id":"langchain-components--next-module","title":"🔗 Next Module","text":"Move on to Module 8: Memory Types & Context Management for deeper understanding of conversation memory! Time to complete this module : 1 hour Hands-on practice : 30 minutes Total : ~1.5 hours","code":""},{"m":8,"id":"memory-context-management-module-8-memory-types--context-management","title":"Module 8: Memory Types & Context Management","text":"Study Time : ~45 minutes Prerequisites : Module 7 (LangChain Components)","code":""},{"m":8,"id":"memory-context-management--learning-objectives","title":"🎯 Learning Objectives","text":"By the end of this module, you'll understand: Why memory is critical for conversational agents Different memory types and when to use each How to manage token limits with memory Best practices for production memory management How to choose the right memory for your K8s agent","code":""},{"m":8,"id":"memory-context-management--why-memory-matters","title":"🧠 Why Memory Matters","text":"","code":""},{"m":8,"id":"memory-context-management-without-memory","title":"Without Memory","text":"Problem : Agent has amnesia - doesn't remember we're talking about nginx-abc .","code":"agent = AgentExecutor(agent=agent, tools=tools) # No memory # Conversation 1 user: \"Check pod nginx-abc status\" agent: [calls GetPodStatus] \"Pod is CrashLoopBackOff\" # Conversation 2 user: \"What are the logs?\" agent: \"What pod? Please specify pod name.\" ❌"},{"m":8,"id":"memory-context-management-with-memory","title":"With Memory","text":"Benefit : Agent remembers context from previous messages.","code":"memory = ConversationBufferWindowMemory(k=10) agent = AgentExecutor(agent=agent, tools=tools, memory=memory) # Conversation 1 user: \"Check pod nginx-abc status\" agent: [calls GetPodStatus] \"Pod is CrashLoopBackOff\" # Conversation 2 user: \"What are the logs?\" agent: [calls GetPodLogs for nginx-abc] \"Error: Config file not found\" ✅"},{"m":8,"id":"memory-context-management--memory-types-overview","title":"📚 Memory Types Overview","text":"Memory Type Storage Strategy Token Usage Best For BufferMemory All messages Grows unbounded Demos, short sessions BufferWindowMemory ⭐ Last N messages Fixed, predictable Your K8s agent SummaryMemory Summarized history Low, but extra LLM calls Long sessions SummaryBufferMemory Hybrid: recent + summary Efficient Production at scale EntityMemory Key facts about entities Very efficient Customer service VectorStoreMemory Semantic search Flexible Large knowledge bases","code":""},{"m":8,"id":"memory-context-management-1️⃣-conversationbuffermemory","title":"1️⃣ ConversationBufferMemory","text":"","code":""},{"m":8,"id":"memory-context-management-how-it-works","title":"How It Works","text":"Stores all messages in order. Output :","code":"from langchain.memory import ConversationBufferMemory memory = ConversationBufferMemory() # Message 1 memory.save_context( {\"input\": \"Check pod nginx-abc\"}, {\"output\": \"Pod is Running\"} ) # Message 2 memory.save_context( {\"input\": \"What are the logs?\"}, {\"output\": \"No errors found\"} ) # View history print(memory.load_memory_variables({})) { \"history\": \"\"\" Human: Check pod nginx-abc AI: Pod is Running Human: What are the logs? AI: No errors found \"\"\" }"},{"m":8,"id":"memory-context-management-pros--cons","title":"Pros & Cons","text":"✅ Pros : Simple to understand Complete conversation history No information loss ❌ Cons : Token overflow : Long conversations exceed context window Cost : More tokens = more expensive Performance : Large history slows down responses","code":""},{"m":8,"id":"memory-context-management-when-to-use","title":"When to Use","text":"✅ Short demos (5-10 exchanges) ✅ Testing and debugging ❌ Production (risk of token overflow) ❌ Long troubleshooting sessions","code":""},{"m":8,"id":"memory-context-management-example","title":"Example","text":"","code":"from langchain.agents import AgentExecutor from langchain.memory import ConversationBufferMemory memory = ConversationBufferMemory( memory_key=\"chat_history\", return_messages=True # Return as Message objects ) agent_executor = AgentExecutor( agent=agent, tools=tools, memory=memory, verbose=True ) # Use it result = agent_executor.invoke({\"input\": \"Check pod nginx-abc\"}) # Memory stores: \"Human: Check pod nginx-abc\\nAI: [response]\""},{"m":8,"id":"memory-context-management-2️⃣-conversationbufferwindowmemory-","title":"2️⃣ ConversationBufferWindowMemory ⭐","text":"","code":""},{"m":8,"id":"memory-context-management-how-it-works-1","title":"How It Works","text":"Stores only the last N exchanges (sliding window). Output : Note : First exchange (\"Check pod nginx-abc\") is dropped!","code":"from langchain.memory import ConversationBufferWindowMemory memory = ConversationBufferWindowMemory( k=3 # Keep only last 3 exchanges ) # Exchanges 1-3 (all stored) memory.save_context({\"input\": \"Check pod nginx-abc\"}, {\"output\": \"Running\"}) memory.save_context({\"input\": \"Check pod redis-xyz\"}, {\"output\": \"Crashing\"}) memory.save_context({\"input\": \"What are redis logs?\"}, {\"output\": \"OOMKilled\"}) # Exchange 4 (oldest is dropped) memory.save_context({\"input\": \"How to fix?\"}, {\"output\": \"Increase memory\"}) # View memory (only last 3) print(memory.load_memory_variables({})) { \"history\": \"\"\" Human: Check pod redis-xyz AI: Crashing Human: What are redis logs? AI: OOMKilled Human: How to fix? AI: Increase memory \"\"\" }"},{"m":8,"id":"memory-context-management-pros--cons-1","title":"Pros & Cons","text":"✅ Pros : Fixed token usage : Never exceeds context window Predictable : Always uses exactly N exchanges Simple : Easy to reason about Cost-effective : Caps token usage ❌ Cons : Loses old context : Early conversation is forgotten No long-term memory : Can't remember things from 20 messages ago","code":""},{"m":8,"id":"memory-context-management-when-to-use-1","title":"When to Use","text":"✅ Your K8s agent (perfect for debugging sessions) ✅ Multi-turn troubleshooting (5-15 exchanges) ✅ Production with moderate sessions ❌ Very long sessions where early context matters","code":""},{"m":8,"id":"memory-context-management-choosing-k-window-size","title":"Choosing k (Window Size)","text":"Best Practice : Start with k=10 , adjust based on your use case.","code":"# Small window (k=5): 5 exchanges = 10 messages # - User asks 5 questions # - Agent responds 5 times # - Total: 10 messages stored # Medium window (k=10): 10 exchanges = 20 messages # - Good balance for most use cases # ⭐ Recommended for your K8s agent # Large window (k=20): 20 exchanges = 40 messages # - For complex multi-step debugging # - Watch out for token limits (especially with long tool outputs)"},{"m":8,"id":"memory-context-management-example-for-k8s-agent","title":"Example for K8s Agent","text":"","code":"from langchain.memory import ConversationBufferWindowMemory memory = ConversationBufferWindowMemory( k=10, # Last 10 exchanges (20 messages) memory_key=\"chat_history\", return_messages=True, input_key=\"input\", # Key for user input in invoke() output_key=\"output\" # Key for agent output ) agent_executor = AgentExecutor( agent=agent, tools=tools, memory=memory, max_iterations=5 ) # Conversation result1 = agent_executor.invoke({\"input\": \"Check pod nginx-abc\"}) # Memory: [User: \"Check pod nginx-abc\", AI: \"Running\"] result2 = agent_executor.invoke({\"input\": \"What are the logs?\"}) # Memory: [User: \"Check pod nginx-abc\", AI: \"Running\", # User: \"What are the logs?\", AI: \"[logs]\"] # Agent knows we're talking about nginx-abc!"},{"m":8,"id":"memory-context-management-3️⃣-conversationsummarymemory","title":"3️⃣ ConversationSummaryMemory","text":"","code":""},{"m":8,"id":"memory-context-management-how-it-works-2","title":"How It Works","text":"Uses an LLM to summarize old messages, keeping only the summary. Output (summarized by LLM):","code":"from langchain.memory import ConversationSummaryMemory from langchain_openai import ChatOpenAI llm = ChatOpenAI(temperature=0.0) memory = ConversationSummaryMemory( llm=llm, # LLM creates summaries memory_key=\"chat_history\" ) # Long conversation memory.save_context( {\"input\": \"Check pod nginx-abc status\"}, {\"output\": \"Pod nginx-abc is in CrashLoopBackOff state. Exit code 1.\"} ) memory.save_context( {\"input\": \"What are the logs?\"}, {\"output\": \"Logs show: Error: Cannot connect to database at db-service:5432\"} ) memory.save_context( {\"input\": \"Is the database pod running?\"}, {\"output\": \"Yes, database pod is Running and healthy.\"} ) # View memory (summarized) print(memory.load_memory_variables({})) { \"history\": \"User is troubleshooting pod nginx-abc which is crashing due to inability to connect to database at db-service:5432. Database pod itself is healthy and running.\" }"},{"m":8,"id":"memory-context-management-pros--cons-2","title":"Pros & Cons","text":"✅ Pros : Token efficient : Summary is much shorter than full history Retains key info : Important details preserved No context window overflow : Can handle very long sessions ❌ Cons : Extra LLM calls : Every save_context calls LLM (costs money, slower) Information loss : Summary might miss nuances Less predictable : Summary quality varies","code":""},{"m":8,"id":"memory-context-management-when-to-use-2","title":"When to Use","text":"✅ Very long sessions (50+ exchanges) ✅ When token budget is critical ❌ Your K8s agent (BufferWindow is simpler and sufficient) ❌ When you need exact message history","code":""},{"m":8,"id":"memory-context-management-example-1","title":"Example","text":"","code":"from langchain.memory import ConversationSummaryMemory from langchain_openai import ChatOpenAI llm = ChatOpenAI(temperature=0.0) memory = ConversationSummaryMemory( llm=llm, memory_key=\"chat_history\", return_messages=True ) agent_executor = AgentExecutor( agent=agent, tools=tools, memory=memory ) # Use it (LLM automatically summarizes after each exchange) result = agent_executor.invoke({\"input\": \"Check pod nginx-abc\"})"},{"m":8,"id":"memory-context-management-4️⃣-conversationsummarybuffermemory","title":"4️⃣ ConversationSummaryBufferMemory","text":"","code":""},{"m":8,"id":"memory-context-management-how-it-works-3","title":"How It Works","text":"Hybrid approach: Keep recent messages verbatim + summarize older ones. Memory contents :","code":"from langchain.memory import ConversationSummaryBufferMemory from langchain_openai import ChatOpenAI llm = ChatOpenAI(temperature=0.0) memory = ConversationSummaryBufferMemory( llm=llm, max_token_limit=200, # When history exceeds 200 tokens, summarize oldest memory_key=\"chat_history\" ) # Messages 1-5 (under 200 tokens, kept verbatim) for i in range(5): memory.save_context( {\"input\": f\"Question {i}\"}, {\"output\": f\"Answer {i}\"} ) # Message 6 (exceeds 200 tokens) # → Oldest messages summarized, recent ones kept verbatim memory.save_context( {\"input\": \"Question 6\"}, {\"output\": \"Answer 6\"} ) Summary: \"User asked questions 1-3 about pod status. Agent confirmed pods are running.\" Human: Question 4 AI: Answer 4 Human: Question 5 AI: Answer 5 Human: Question 6 AI: Answer 6"},{"m":8,"id":"memory-context-management-pros--cons-3","title":"Pros & Cons","text":"✅ Pros : Best of both worlds : Recent context verbatim, old context summarized Token efficient : Doesn't overflow Retains recent details : Last N messages are exact ❌ Cons : Most complex : Harder to understand and debug Extra LLM calls : For summarization (costs money) Overkill for simple use cases","code":""},{"m":8,"id":"memory-context-management-when-to-use-3","title":"When to Use","text":"✅ Production at scale (thousands of users, long sessions) ✅ Customer service bots (need full history) ❌ Your K8s agent demo (BufferWindow is sufficient)","code":""},{"m":8,"id":"memory-context-management--choosing-memory-for-your-k8s-agent","title":"🎯 Choosing Memory for Your K8s Agent","text":"","code":""},{"m":8,"id":"memory-context-management-recommendation-conversationbufferwindowmemory-","title":"Recommendation: ConversationBufferWindowMemory ⭐","text":"","code":"from langchain.memory import ConversationBufferWindowMemory memory = ConversationBufferWindowMemory( k=10, # Last 10 exchanges (20 messages) memory_key=\"chat_history\", return_messages=True )"},{"m":8,"id":"memory-context-management-why","title":"Why?","text":"Debugging sessions are short : Typical troubleshooting is 5-15 exchanges Need recent context : \"What are the logs?\" requires remembering which pod Predictable : Fixed token usage, won't overflow Simple : Easy to understand and debug No extra LLM calls : Unlike SummaryMemory (no added cost/latency)","code":""},{"m":8,"id":"memory-context-management-interview-answer","title":"Interview Answer","text":"\"I chose ConversationBufferWindowMemory with k=10 for my K8s agent because: Debugging sessions typically involve 5-15 exchanges, so a window of 10 is sufficient It prevents token overflow while maintaining recent context Fixed token usage makes performance predictable Simpler than SummaryMemory (no extra LLM calls) If I needed to support longer sessions in production, I'd upgrade to SummaryBufferMemory\"","code":""},{"m":8,"id":"memory-context-management--advanced-memory-patterns","title":"🔧 Advanced Memory Patterns","text":"","code":""},{"m":8,"id":"memory-context-management-pattern-1-separate-memory-per-session","title":"Pattern 1: Separate Memory per Session","text":"","code":"from uuid import uuid4 # Store memories per user session session_memories = {} def get_or_create_memory(session_id: str): if session_id not in session_memories: session_memories[session_id] = ConversationBufferWindowMemory(k=10) return session_memories[session_id] # Use it session_id = str(uuid4()) # Generate for new user memory = get_or_create_memory(session_id) agent_executor = AgentExecutor(agent=agent, tools=tools, memory=memory)"},{"m":8,"id":"memory-context-management-pattern-2-custom-memory-with-redis","title":"Pattern 2: Custom Memory with Redis","text":"","code":"import redis import json class RedisMemory: def __init__(self, session_id: str, redis_client): self.session_id = session_id self.redis = redis_client self.memory_key = f\"memory:{session_id}\" def save_context(self, inputs, outputs): # Load existing history history = self.load_memory_variables({}).get(\"history\", []) # Append new message history.append({\"human\": inputs[\"input\"], \"ai\": outputs[\"output\"]}) # Keep only last 10 history = history[-10:] # Save to Redis self.redis.set(self.memory_key, json.dumps(history)) def load_memory_variables(self, inputs): # Load from Redis data = self.redis.get(self.memory_key) if data: history = json.loads(data) formatted = \"\\n\".join([ f\"Human: {msg['human']}\\nAI: {msg['ai']}\" for msg in history ]) return {\"history\": formatted} return {\"history\": \"\"} # Use it redis_client = redis.Redis(host='localhost', port=6379) memory = RedisMemory(session_id=\"user123\", redis_client=redis_client)"},{"m":8,"id":"memory-context-management-pattern-3-memory-with-context-reset","title":"Pattern 3: Memory with Context Reset","text":"","code":"class ResettableMemory: def __init__(self, k=10): self.memory = ConversationBufferWindowMemory(k=k) def clear(self): \"\"\"Reset memory when switching topics\"\"\" self.memory.clear() def invoke_with_reset_check(self, agent_executor, user_input): # Check if user wants to change topic if \"new pod\" in user_input.lower() or \"different pod\" in user_input.lower(): print(\"Detected topic change, clearing memory...\") self.clear() return agent_executor.invoke({\"input\": user_input}) # Use it memory_manager = ResettableMemory(k=10) agent_executor = AgentExecutor(agent=agent, tools=tools, memory=memory_manager.memory) # User switches pods result = memory_manager.invoke_with_reset_check( agent_executor, \"Now check a different pod: redis-xyz\" )"},{"m":8,"id":"memory-context-management--token-management","title":"📊 Token Management","text":"","code":""},{"m":8,"id":"memory-context-management-calculating-memory-token-usage","title":"Calculating Memory Token Usage","text":"","code":"import tiktoken def count_tokens(text: str, model: str = \"gpt-4\") -> int: \"\"\"Count tokens in text\"\"\" encoding = tiktoken.encoding_for_model(model) return len(encoding.encode(text)) # Check memory size memory_text = memory.load_memory_variables({})[\"history\"] tokens = count_tokens(memory_text) print(f\"Current memory: {tokens} tokens\") # Warn if approaching limit if tokens > 6000: # GPT-4 has 8K context print(\"⚠️ Memory approaching token limit!\")"},{"m":8,"id":"memory-context-management-managing-token-overflow","title":"Managing Token Overflow","text":"","code":"class TokenAwareMemory: def __init__(self, max_tokens=2000, model=\"gpt-4\"): self.max_tokens = max_tokens self.model = model self.memory = ConversationBufferMemory() def save_context(self, inputs, outputs): # Save to memory self.memory.save_context(inputs, outputs) # Check token count history = self.memory.load_memory_variables({})[\"history\"] tokens = count_tokens(history, self.model) # If exceeds max, trim oldest messages if tokens > self.max_tokens: print(f\"Memory exceeded {self.max_tokens} tokens, trimming...\") # Switch to window memory or summarize self._trim_memory() def _trim_memory(self): # Implementation: Remove oldest messages pass"},{"m":8,"id":"memory-context-management--self-check-questions","title":"🎓 Self-Check Questions","text":"","code":""},{"m":8,"id":"memory-context-management-question-1-whats-the-key-difference-between-buffermemory-and-bufferwindowmemory","title":"Question 1: What's the key difference between BufferMemory and BufferWindowMemory?","text":"Show Answer ConversationBufferMemory : Stores ALL messages Token usage grows unbounded Can overflow context window in long conversations ConversationBufferWindowMemory : Stores only last k exchanges (sliding window) Fixed token usage (predictable) Loses old context but prevents overflow Example : For your K8s agent : Use BufferWindowMemory with k=10.","code":"# BufferMemory: Stores all 100 exchanges (might overflow!) buffer = ConversationBufferMemory() # BufferWindowMemory: Stores only last 10 exchanges (safe) window = ConversationBufferWindowMemory(k=10)"},{"m":8,"id":"memory-context-management-question-2-when-would-you-use-conversationsummarymemory","title":"Question 2: When would you use ConversationSummaryMemory?","text":"Show Answer Use ConversationSummaryMemory when : ✅ Very long sessions (50+ exchanges) ✅ Token budget is critical ✅ Need to retain key facts from old messages ✅ Willing to accept extra LLM calls for summarization Don't use when : ❌ Short sessions (BufferWindow is simpler) ❌ Need exact message history ❌ Want to minimize LLM calls (each save triggers summarization) For your K8s agent : BufferWindowMemory is sufficient since debugging sessions are typically short (5-15 exchanges).","code":""},{"m":8,"id":"memory-context-management-question-3-why-is-k10-a-good-choice-for-bufferwindowmemory-in-a-k8s-agent","title":"Question 3: Why is k=10 a good choice for BufferWindowMemory in a K8s agent?","text":"Show Answer k=10 means : Last 10 exchanges = 20 total messages (10 user + 10 agent) ≈ 2000-3000 tokens (depending on message length) Why it's good for K8s troubleshooting : Typical debugging flow : 5-10 exchanges \"Check pod status\" → \"Get logs\" → \"Describe pod\" → \"Fix recommendation\" Maintains context : Agent remembers which pod we're discussing Won't overflow : Even with long tool outputs, stays under context window Efficient : Not storing unnecessary old context If sessions were longer : Use k=20 or upgrade to SummaryBufferMemory.","code":""},{"m":8,"id":"memory-context-management-question-4-what-happens-if-you-dont-use-any-memory-with-an-agent","title":"Question 4: What happens if you don't use any memory with an agent?","text":"Show Answer Without memory : Problems : Agent has no context from previous messages User must repeat information every time Poor user experience Can't do multi-turn debugging Solution : Always add memory for conversational agents.","code":"agent_executor = AgentExecutor(agent=agent, tools=tools) # No memory # Exchange 1 user: \"Check pod nginx-abc\" agent: \"Pod is Running\" ✅ # Exchange 2 user: \"What are the logs?\" agent: \"Which pod? Please specify.\" ❌ <-- Forgot nginx-abc! memory = ConversationBufferWindowMemory(k=10) agent_executor = AgentExecutor(agent=agent, tools=tools, memory=memory)"},{"m":8,"id":"memory-context-management-question-5-how-would-you-clear-memory-when-a-user-wants-to-troubleshoot-a-different-pod","title":"Question 5: How would you clear memory when a user wants to troubleshoot a different pod?","text":"Show Answer Option 1: Manual clear Option 2: Detect topic change Option 3: Explicit reset command Best practice : Make it explicit - add a \"clear history\" button or command.","code":"memory.clear() # Wipes all history # Now start fresh with new pod result = agent_executor.invoke({\"input\": \"Check pod redis-xyz\"}) def invoke_with_topic_detection(user_input): # Keywords suggesting new topic if any(word in user_input.lower() for word in [\"new pod\", \"different pod\", \"switch to\"]): print(\"Detected new topic, clearing memory...\") memory.clear() return agent_executor.invoke({\"input\": user_input}) # Use it result = invoke_with_topic_detection(\"Now check a different pod: redis-xyz\") if user_input.strip() == \"/reset\": memory.clear() return \"Memory cleared. Ready for new topic!\" result = agent_executor.invoke({\"input\": user_input})"},{"m":8,"id":"memory-context-management--key-takeaways","title":"🚀 Key Takeaways","text":"Memory is essential : Enables multi-turn conversations BufferWindowMemory is best : For your K8s agent (k=10) Fixed window prevents overflow : Predictable token usage SummaryMemory for long sessions : But adds complexity and cost Monitor token usage : Especially with long tool outputs Clear memory when switching topics : Better user experience Use return_messages=True : For better integration with agents","code":""},{"m":8,"id":"memory-context-management--next-module","title":"🔗 Next Module","text":"Move on to Module 9: Output Parsers & Structured Outputs to learn how to get consistent, parseable responses! Time to complete this module : 45 minutes Hands-on practice : 20 minutes Total : ~1 hour","code":""},{"m":9,"id":"output-parsers-structured-outputs-module-9-output-parsers--structured-outputs","title":"Module 9: Output Parsers & Structured Outputs","text":"Study Time : ~30 minutes Prerequisites : Module 7 (LangChain Components)","code":""},{"m":9,"id":"output-parsers-structured-outputs--learning-objectives","title":"🎯 Learning Objectives","text":"By the end of this module, you'll understand: Why structured outputs matter Different output parser types How to enforce JSON/structured responses Error handling for malformed outputs Best practices for production systems","code":""},{"m":9,"id":"output-parsers-structured-outputs--why-structured-outputs","title":"📤 Why Structured Outputs?","text":"","code":""},{"m":9,"id":"output-parsers-structured-outputs-problem-unpredictable-text","title":"Problem: Unpredictable Text","text":"LLMs return free-form text by default: Issues : ❌ Hard to parse programmatically ❌ Inconsistent format ❌ Can't easily extract specific fields ❌ Difficult to display in UI (tables, cards, etc.)","code":"user: \"Diagnose pod nginx-abc\" agent: \"Well, the pod nginx-abc seems to be experiencing some issues. It's in CrashLoopBackOff state, which means... [long paragraph]\""},{"m":9,"id":"output-parsers-structured-outputs-solution-structured-outputs","title":"Solution: Structured Outputs","text":"Benefits : ✅ Easy to parse (JSON) ✅ Consistent structure ✅ Can extract specific fields ✅ Easy to display in UI ✅ Type-safe (if using Pydantic)","code":"user: \"Diagnose pod nginx-abc\" agent: { \"pod_name\": \"nginx-abc\", \"status\": \"CrashLoopBackOff\", \"root_cause\": \"Missing ConfigMap 'nginx-config'\", \"severity\": \"high\", \"recommended_fixes\": [ \"Create ConfigMap 'nginx-config' with nginx.conf\", \"Or update Deployment to reference existing ConfigMap\" ] }"},{"m":9,"id":"output-parsers-structured-outputs--output-parser-types","title":"🔧 Output Parser Types","text":"","code":""},{"m":9,"id":"output-parsers-structured-outputs-1-stroutputparser-default","title":"1. StrOutputParser (Default)","text":"Returns plain string. Use when : You want free-form text (explanations, summaries).","code":"from langchain_core.output_parsers import StrOutputParser parser = StrOutputParser() # LLM output: \"The pod is crashing\" result = parser.parse(\"The pod is crashing\") print(result) # \"The pod is crashing\""},{"m":9,"id":"output-parsers-structured-outputs-2-jsonoutputparser","title":"2. JSONOutputParser","text":"Parses JSON from LLM output. Output (format instructions for LLM):","code":"from langchain.output_parsers import ResponseSchema, StructuredOutputParser # Define expected fields response_schemas = [ ResponseSchema(name=\"pod_name\", description=\"Name of the pod\"), ResponseSchema(name=\"status\", description=\"Current pod status\"), ResponseSchema(name=\"root_cause\", description=\"Why pod is failing\") ] parser = StructuredOutputParser.from_response_schemas(response_schemas) # Get format instructions format_instructions = parser.get_format_instructions() print(format_instructions) The output should be a markdown code snippet formatted in the following schema: ```json { \"pod_name\": string // Name of the pod \"status\": string // Current pod status \"root_cause\": string // Why pod is failing } **Usage**: ```python from langchain.prompts import PromptTemplate from langchain_openai import ChatOpenAI # Create prompt with format instructions prompt = PromptTemplate( template=\"Diagnose this pod: {pod_name}\\n\\n{format_instructions}\", input_variables=[\"pod_name\"], partial_variables={\"format_instructions\": parser.get_format_instructions()} ) # Create chain llm = ChatOpenAI(temperature=0.0) chain = prompt | llm | parser # Invoke result = chain.invoke({\"pod_name\": \"nginx-abc\"}) print(result) # Output: {\"pod_name\": \"nginx-abc\", \"status\": \"CrashLoopBackOff\", \"root_cause\": \"...\"}"},{"m":9,"id":"output-parsers-structured-outputs-3-pydanticoutputparser-","title":"3. PydanticOutputParser ⭐","text":"Type-safe structured outputs using Pydantic models. Format instructions output : Usage : Benefits : ✅ Type safety (IDE autocomplete, type checking) ✅ Validation (Pydantic validates types) ✅ Clear schema definition ✅ Easy to extend","code":"from langchain.output_parsers import PydanticOutputParser from pydantic import BaseModel, Field from typing import List # Define output schema class PodDiagnosis(BaseModel): pod_name: str = Field(description=\"Name of the pod\") namespace: str = Field(description=\"Kubernetes namespace\") status: str = Field(description=\"Pod status (Running, CrashLoopBackOff, etc.)\") root_cause: str = Field(description=\"Root cause of the issue\") severity: str = Field(description=\"Severity: low, medium, high, critical\") recommended_fixes: List[str] = Field(description=\"List of recommended fixes\") # Create parser parser = PydanticOutputParser(pydantic_object=PodDiagnosis) # Get format instructions format_instructions = parser.get_format_instructions() The output should be formatted as a JSON instance that conforms to the JSON schema below. { \"properties\": { \"pod_name\": {\"type\": \"string\", \"description\": \"Name of the pod\"}, \"namespace\": {\"type\": \"string\", \"description\": \"Kubernetes namespace\"}, \"status\": {\"type\": \"string\", \"description\": \"Pod status\"}, \"root_cause\": {\"type\": \"string\", \"description\": \"Root cause\"}, \"severity\": {\"type\": \"string\", \"description\": \"Severity: low, medium, high, critical\"}, \"recommended_fixes\": {\"type\": \"array\", \"items\": {\"type\": \"string\"}} }, \"required\": [\"pod_name\", \"namespace\", \"status\", \"root_cause\", \"severity\", \"recommended_fixes\"] } from langchain.prompts import PromptTemplate from langchain_openai import ChatOpenAI prompt = PromptTemplate( template=\"\"\" You are a Kubernetes troubleshooting expert. Diagnose this pod: {pod_name} {format_instructions} \"\"\", input_variables=[\"pod_name\"], partial_variables={\"format_instructions\": parser.get_format_instructions()} ) llm = ChatOpenAI(model=\"gpt-4\", temperature=0.0) chain = prompt | llm | parser # Invoke result: PodDiagnosis = chain.invoke({\"pod_name\": \"nginx-abc\"}) # Type-safe access print(result.pod_name) # \"nginx-abc\" print(result.status) # \"CrashLoopBackOff\" print(result.severity) # \"high\" print(result.recommended_fixes[0]) # First fix"},{"m":9,"id":"output-parsers-structured-outputs-4-outputfixingparser","title":"4. OutputFixingParser","text":"Automatically fixes malformed outputs. Trade-off : ✅ More robust (handles malformed outputs) ❌ Extra LLM call (costs money, adds latency)","code":"from langchain.output_parsers import OutputFixingParser from langchain_openai import ChatOpenAI # Original parser base_parser = PydanticOutputParser(pydantic_object=PodDiagnosis) # Wrap with fixing parser fixing_parser = OutputFixingParser.from_llm( parser=base_parser, llm=ChatOpenAI(model=\"gpt-4\", temperature=0.0) ) # If LLM returns malformed JSON, fixing parser uses another LLM call to fix it malformed_output = '{\"pod_name\": \"nginx-abc\", \"status\": \"CrashLoopBackOff\"' # Missing closing } try: result = base_parser.parse(malformed_output) except Exception as e: print(f\"Base parser failed: {e}\") # Fixing parser tries to fix it result = fixing_parser.parse(malformed_output) print(f\"Fixed! {result}\")"},{"m":9,"id":"output-parsers-structured-outputs--complete-example-structured-k8s-diagnosis","title":"🎨 Complete Example: Structured K8s Diagnosis","text":"Example Output :","code":"from langchain.output_parsers import PydanticOutputParser from langchain.prompts import PromptTemplate from langchain_openai import ChatOpenAI from pydantic import BaseModel, Field from typing import List, Literal # 1. Define output schema class PodDiagnosis(BaseModel): pod_name: str = Field(description=\"Name of the pod being diagnosed\") namespace: str = Field(default=\"default\", description=\"Kubernetes namespace\") current_status: Literal[\"Running\", \"Pending\", \"CrashLoopBackOff\", \"Error\", \"Unknown\"] = \\ Field(description=\"Current pod status\") root_cause: str = Field(description=\"Root cause of the issue\") severity: Literal[\"low\", \"medium\", \"high\", \"critical\"] = \\ Field(description=\"Issue severity\") affected_components: List[str] = Field( description=\"List of affected components (containers, volumes, etc.)\" ) recommended_fixes: List[str] = Field( description=\"Ordered list of recommended fixes, most likely first\" ) kubectl_commands: List[str] = Field( description=\"Kubectl commands to apply fixes\" ) # 2. Create parser parser = PydanticOutputParser(pydantic_object=PodDiagnosis) # 3. Create prompt prompt = PromptTemplate( template=\"\"\" You are a Kubernetes expert. Diagnose the following pod issue: Pod Name: {pod_name} Namespace: {namespace} Status: {status} Logs: {logs} Events: {events} Provide a complete diagnosis. {format_instructions} \"\"\", input_variables=[\"pod_name\", \"namespace\", \"status\", \"logs\", \"events\"], partial_variables={\"format_instructions\": parser.get_format_instructions()} ) # 4. Create chain llm = ChatOpenAI(model=\"gpt-4\", temperature=0.0) diagnosis_chain = prompt | llm | parser # 5. Use it result: PodDiagnosis = diagnosis_chain.invoke({ \"pod_name\": \"nginx-abc123\", \"namespace\": \"production\", \"status\": \"CrashLoopBackOff\", \"logs\": \"Error: Config file /etc/nginx/nginx.conf not found\", \"events\": \"MountVolume.SetUp failed: configmap 'nginx-config' not found\" }) # 6. Access structured data print(f\"Pod: {result.pod_name}\") print(f\"Status: {result.current_status}\") print(f\"Severity: {result.severity}\") print(f\"Root Cause: {result.root_cause}\") print(\"\\nRecommended Fixes:\") for i, fix in enumerate(result.recommended_fixes, 1): print(f\" {i}. {fix}\") print(\"\\nCommands:\") for cmd in enumerate(result.kubectl_commands): print(f\" $ {cmd}\") Pod: nginx-abc123 Status: CrashLoopBackOff Severity: high Root Cause: Pod is trying to mount ConfigMap 'nginx-config' which doesn't exist Recommended Fixes: 1. Create the missing ConfigMap 'nginx-config' with required nginx configuration 2. Update Deployment to reference an existing ConfigMap 3. Verify ConfigMap name matches what's specified in pod spec Commands: $ kubectl create configmap nginx-config --from-file=nginx.conf $ kubectl get configmap -n production $ kubectl describe deployment nginx -n production"},{"m":9,"id":"output-parsers-structured-outputs--using-with-agents","title":"🔧 Using with Agents","text":"","code":""},{"m":9,"id":"output-parsers-structured-outputs-challenge","title":"Challenge","text":"Agents use ReAct pattern (Thought → Action → Observation), which conflicts with structured output.","code":""},{"m":9,"id":"output-parsers-structured-outputs-solution-separate-final-answer-parsing","title":"Solution: Separate Final Answer Parsing","text":"Pattern : Let agent work naturally, then structure the final output.","code":"from langchain.agents import create_react_agent, AgentExecutor from langchain.output_parsers import PydanticOutputParser from pydantic import BaseModel, Field class DiagnosisResult(BaseModel): root_cause: str = Field(description=\"Root cause\") fixes: List[str] = Field(description=\"Recommended fixes\") # Create agent as usual agent = create_react_agent(llm, tools, prompt) agent_executor = AgentExecutor(agent=agent, tools=tools) # Get agent output agent_output = agent_executor.invoke({\"input\": \"Diagnose pod nginx-abc\"}) # Parse final answer into structured format parser = PydanticOutputParser(pydantic_object=DiagnosisResult) parse_prompt = f\"\"\" Extract structured information from this diagnosis: {agent_output['output']} {parser.get_format_instructions()} \"\"\" structured_result = (llm | parser).invoke(parse_prompt) print(structured_result.root_cause) print(structured_result.fixes)"},{"m":9,"id":"output-parsers-structured-outputs-️-handling-parsing-errors","title":"⚠️ Handling Parsing Errors","text":"","code":""},{"m":9,"id":"output-parsers-structured-outputs-problem","title":"Problem","text":"LLM might not follow format perfectly:","code":"# Expected: {\"pod_name\": \"nginx-abc\", \"status\": \"Running\"} # Actual LLM output: \"The pod nginx-abc is Running\" # Not JSON!"},{"m":9,"id":"output-parsers-structured-outputs-solution-1-outputfixingparser","title":"Solution 1: OutputFixingParser","text":"","code":"from langchain.output_parsers import OutputFixingParser base_parser = PydanticOutputParser(pydantic_object=PodDiagnosis) fixing_parser = OutputFixingParser.from_llm( parser=base_parser, llm=ChatOpenAI(model=\"gpt-4\") ) # Automatically fixes malformed output result = fixing_parser.parse(malformed_output)"},{"m":9,"id":"output-parsers-structured-outputs-solution-2-retryoutputparser","title":"Solution 2: RetryOutputParser","text":"","code":"from langchain.output_parsers import RetryWithErrorOutputParser base_parser = PydanticOutputParser(pydantic_object=PodDiagnosis) # If parsing fails, retry with error message retry_parser = RetryWithErrorOutputParser.from_llm( parser=base_parser, llm=ChatOpenAI(model=\"gpt-4\") ) # Parse with original prompt try: result = base_parser.parse(llm_output) except Exception as e: # Retry with error context result = retry_parser.parse_with_prompt(llm_output, original_prompt)"},{"m":9,"id":"output-parsers-structured-outputs-solution-3-try-except-with-fallback","title":"Solution 3: Try-Except with Fallback","text":"","code":"def safe_parse(output: str, parser: PydanticOutputParser): try: return parser.parse(output) except Exception as e: print(f\"Parsing failed: {e}\") # Return default structure return PodDiagnosis( pod_name=\"unknown\", namespace=\"default\", current_status=\"Unknown\", root_cause=\"Failed to parse diagnosis\", severity=\"low\", affected_components=[], recommended_fixes=[\"Manual investigation required\"], kubectl_commands=[] ) result = safe_parse(llm_output, parser)"},{"m":9,"id":"output-parsers-structured-outputs--best-practices","title":"🎯 Best Practices","text":"","code":""},{"m":9,"id":"output-parsers-structured-outputs-1-keep-schemas-simple","title":"1. Keep Schemas Simple","text":"❌ Bad (too complex): ✅ Good (focused): Why : Simpler schemas have higher LLM compliance rates.","code":"class OverlyComplexDiagnosis(BaseModel): pod: PodInfo containers: List[ContainerInfo] volumes: List[VolumeInfo] network: NetworkInfo resource_usage: ResourceMetrics historical_data: List[HistoricalEvent] # ... 20 more fields class SimpleDiagnosis(BaseModel): pod_name: str status: str root_cause: str fixes: List[str]"},{"m":9,"id":"output-parsers-structured-outputs-2-use-descriptive-field-names","title":"2. Use Descriptive Field Names","text":"❌ Bad : ✅ Good :","code":"class Diagnosis(BaseModel): n: str # What is 'n'? s: str # What is 's'? f: List[str] # What is 'f'? class Diagnosis(BaseModel): pod_name: str = Field(description=\"Name of the pod\") status: str = Field(description=\"Current status\") fixes: List[str] = Field(description=\"Recommended fixes\")"},{"m":9,"id":"output-parsers-structured-outputs-3-provide-examples-in-descriptions","title":"3. Provide Examples in Descriptions","text":"","code":"class Diagnosis(BaseModel): severity: str = Field( description=\"Severity level. Must be one of: low, medium, high, critical. \" \"Example: 'high' for CrashLoopBackOff, 'low' for minor resource issues.\" )"},{"m":9,"id":"output-parsers-structured-outputs-4-use-enums-for-limited-choices","title":"4. Use Enums for Limited Choices","text":"","code":"from enum import Enum class PodStatus(str, Enum): RUNNING = \"Running\" PENDING = \"Pending\" CRASH_LOOP = \"CrashLoopBackOff\" ERROR = \"Error\" class Diagnosis(BaseModel): status: PodStatus # LLM must use one of these"},{"m":9,"id":"output-parsers-structured-outputs-5-set-defaults","title":"5. Set Defaults","text":"","code":"class Diagnosis(BaseModel): pod_name: str namespace: str = Field(default=\"default\") # Default value severity: str = Field(default=\"medium\")"},{"m":9,"id":"output-parsers-structured-outputs--self-check-questions","title":"🎓 Self-Check Questions","text":"","code":""},{"m":9,"id":"output-parsers-structured-outputs-question-1-why-use-structured-outputs-instead-of-free-form-text","title":"Question 1: Why use structured outputs instead of free-form text?","text":"Show Answer Structured outputs provide : Parseable data : Easy to extract specific fields Consistency : Same format every time Type safety : With Pydantic, compile-time checking UI integration : Easy to display in tables, cards, dashboards Downstream processing : Can feed into other systems Example :","code":"# Free-form: Hard to parse \"The pod nginx-abc is crashing because config is missing. Fix: create ConfigMap.\" # Structured: Easy to use { \"pod_name\": \"nginx-abc\", \"root_cause\": \"Missing ConfigMap\", \"fixes\": [\"Create ConfigMap nginx-config\"] }"},{"m":9,"id":"output-parsers-structured-outputs-question-2-whats-the-difference-between-jsonoutputparser-and-pydanticoutputparser","title":"Question 2: What's the difference between JSONOutputParser and PydanticOutputParser?","text":"Show Answer JSONOutputParser : Returns dict (untyped) Basic validation (is it valid JSON?) Lightweight PydanticOutputParser : Returns Pydantic model (typed) Full validation (types, required fields, constraints) IDE autocomplete and type checking More robust Example : For production : Use PydanticOutputParser for type safety.","code":"# JSONOutputParser result = {\"pod_name\": \"nginx-abc\"} # Just a dict print(result[\"pod_name\"]) # No autocomplete # PydanticOutputParser result: PodDiagnosis = ... # Typed model print(result.pod_name) # IDE autocomplete! ✅ print(result.status) # Type checking! ✅"},{"m":9,"id":"output-parsers-structured-outputs-question-3-when-would-you-use-outputfixingparser","title":"Question 3: When would you use OutputFixingParser?","text":"Show Answer Use OutputFixingParser when : LLM occasionally returns malformed JSON You need high reliability (can't have parsing failures) Willing to accept extra LLM call for fixing How it works : Trade-off : ✅ More robust ❌ Extra cost (additional LLM call) ❌ Extra latency Alternative : Use try-except with sensible defaults.","code":"fixing_parser = OutputFixingParser.from_llm( parser=base_parser, llm=ChatOpenAI(model=\"gpt-4\") ) # If LLM returns: '{\"pod_name\": \"nginx-abc\", \"status\": \"Running\"' (missing }) # OutputFixingParser makes another LLM call to fix it result = fixing_parser.parse(malformed_output) # Fixed!"},{"m":9,"id":"output-parsers-structured-outputs-question-4-how-do-you-use-structured-outputs-with-react-agents","title":"Question 4: How do you use structured outputs with ReAct agents?","text":"Show Answer Problem : ReAct agents output \"Thought → Action → Observation\" format, not structured JSON. Solution : Parse final answer separately. Pattern : Agent does reasoning → Extract structure from final answer.","code":"# 1. Let agent work naturally agent_executor = AgentExecutor(agent=agent, tools=tools) result = agent_executor.invoke({\"input\": \"Diagnose pod nginx-abc\"}) # 2. Parse the final answer into structured format parse_prompt = f\"\"\" Extract structured info from this diagnosis: {result['output']} {parser.get_format_instructions()} \"\"\" # 3. Get structured output structured = (llm | parser).invoke(parse_prompt) # 4. Use typed result print(structured.pod_name) print(structured.fixes)"},{"m":9,"id":"output-parsers-structured-outputs-question-5-write-a-pydantic-model-for-k8s-pod-diagnosis-with-5-fields","title":"Question 5: Write a Pydantic model for K8s pod diagnosis with 5 fields","text":"Show Answer Key features : ✅ Clear field descriptions ✅ Type hints (str, List, Literal) ✅ Enums for limited choices (Literal) ✅ Descriptive names ✅ Docstring for the class","code":"from pydantic import BaseModel, Field from typing import List, Literal class PodDiagnosis(BaseModel): \"\"\"Structured diagnosis of a Kubernetes pod issue\"\"\" pod_name: str = Field( description=\"Name of the pod being diagnosed\" ) status: Literal[\"Running\", \"Pending\", \"CrashLoopBackOff\", \"Error\"] = Field( description=\"Current pod status\" ) root_cause: str = Field( description=\"Root cause of the issue (one sentence)\" ) severity: Literal[\"low\", \"medium\", \"high\", \"critical\"] = Field( description=\"Issue severity\" ) fixes: List[str] = Field( description=\"Ordered list of recommended fixes (2-5 items)\" ) # Usage parser = PydanticOutputParser(pydantic_object=PodDiagnosis)"},{"m":9,"id":"output-parsers-structured-outputs--key-takeaways","title":"🚀 Key Takeaways","text":"Structured outputs enable programmatic use : JSON > free text PydanticOutputParser is best : Type-safe, validated, IDE support Simple schemas have higher compliance : Don't overcomplicate Use fixing parsers for robustness : But understand the cost Descriptive field names and examples help : LLM follows better Agents + structured outputs : Let agent reason, then parse final answer Always handle parsing errors : try-except or OutputFixingParser","code":""},{"m":9,"id":"output-parsers-structured-outputs--next-module","title":"🔗 Next Module","text":"Move on to Module 10: RAG Pattern & Vector Databases to learn about retrieval-augmented generation! Time to complete this module : 30 minutes Hands-on practice : 15 minutes Total : ~45 minutes","code":""},{"m":10,"id":"rag-vector-databases-module-10-rag-pattern--vector-databases","title":"Module 10: RAG Pattern & Vector Databases","text":"Study Time : ~45 minutes Prerequisites : Module 2 (Tokens & Embeddings)","code":""},{"m":10,"id":"rag-vector-databases--learning-objectives","title":"🎯 Learning Objectives","text":"By the end of this module, you'll understand: What RAG (Retrieval-Augmented Generation) is and why it's powerful When to use RAG vs other patterns How vector databases enable semantic search Complete RAG architecture Why RAG might NOT be needed for your K8s agent v1","code":""},{"m":10,"id":"rag-vector-databases--what-is-rag","title":"🔍 What is RAG?","text":"RAG = Retrieval-Augmented Generation A pattern where you: Retrieve relevant documents from a knowledge base Augment the LLM prompt with those documents Generate an answer based on retrieved context","code":""},{"m":10,"id":"rag-vector-databases-the-problem-rag-solves","title":"The Problem RAG Solves","text":"LLMs have limitations : ❌ Training data cutoff (can't know latest info) ❌ No access to private/internal docs ❌ Hallucinate facts they don't know ❌ Limited context window (can't fit all docs) Example : With RAG :","code":"user: \"What's our company's policy on Kubernetes resource limits?\" llm: \"I don't have access to your company's internal policies.\" ❌ user: \"What's our company's policy on Kubernetes resource limits?\" # System retrieves relevant docs from company knowledge base retrieved_docs = [ \"Engineering Policy Doc: All production pods must have memory limits...\", \"Best Practices: CPU limits should be 2x requests...\" ] # LLM generates answer using retrieved context llm: \"According to your Engineering Policy Doc, all production pods must have memory limits set to prevent OOM issues. CPU limits should be 2x requests...\" ✅"},{"m":10,"id":"rag-vector-databases-️-rag-architecture","title":"🏗️ RAG Architecture","text":"","code":"User Query: \"How do I fix OOMKilled pods?\" ↓ [1. Embed Query] ↓ Query Embedding: [0.234, -0.512, 0.891, ...] ↓ [2. Search Vector DB] ↓ Retrieved Docs: - \"OOMKilled means pod exceeded memory limit...\" - \"To fix: increase memory limit in deployment...\" - \"Common causes: memory leaks, undersized limits...\" ↓ [3. Augment Prompt] ↓ Prompt = \"Based on these docs: [retrieved docs] Answer: How do I fix OOMKilled pods?\" ↓ [4. Generate Answer] ↓ LLM: \"OOMKilled occurs when your pod exceeds its memory limit. Based on our docs, you should: 1. Increase memory limit in deployment 2. Check for memory leaks ...\""},{"m":10,"id":"rag-vector-databases--components-of-rag","title":"🧩 Components of RAG","text":"","code":""},{"m":10,"id":"rag-vector-databases-1-document-store","title":"1. Document Store","text":"Where you keep your knowledge base: Company runbooks K8s troubleshooting guides Internal documentation Support tickets (historical) Configuration examples Storage options : Files (PDF, Markdown, HTML) Databases (PostgreSQL, MongoDB) Cloud storage (S3, Google Drive)","code":""},{"m":10,"id":"rag-vector-databases-2-embeddings","title":"2. Embeddings","text":"Convert text into vectors for semantic search. Key concept : Similar texts → similar vectors","code":"from langchain_openai import OpenAIEmbeddings embeddings = OpenAIEmbeddings() # Convert text to vector doc_text = \"Pods with OOMKilled status need increased memory limits\" doc_vector = embeddings.embed_query(doc_text) print(doc_vector[:5]) # [0.234, -0.512, 0.891, -0.123, 0.456, ...] print(len(doc_vector)) # 1536 dimensions # These will have similar vectors: \"Pod is out of memory\" → [0.23, -0.51, 0.89, ...] \"Container exceeded memory limit\" → [0.25, -0.49, 0.87, ...] # These will have different vectors: \"Pod is out of memory\" → [0.23, -0.51, 0.89, ...] \"Image pull failed\" → [-0.61, 0.82, -0.34, ...]"},{"m":10,"id":"rag-vector-databases-3-vector-database","title":"3. Vector Database","text":"Stores embeddings and enables fast similarity search. Popular options : Chroma (local, open-source) ⭐ Best for demos Pinecone (managed, scalable) Weaviate (open-source, production-ready) Qdrant (high-performance) FAISS (Facebook AI, local)","code":""},{"m":10,"id":"rag-vector-databases-4-retriever","title":"4. Retriever","text":"Finds relevant documents for a query.","code":"from langchain.vectorstores import Chroma from langchain_openai import OpenAIEmbeddings # Create vector store vectorstore = Chroma( embedding_function=OpenAIEmbeddings(), persist_directory=\"./chroma_db\" ) # Create retriever retriever = vectorstore.as_retriever( search_type=\"similarity\", search_kwargs={\"k\": 3} # Return top 3 most relevant docs ) # Search query = \"Pod is OOMKilled\" relevant_docs = retriever.get_relevant_documents(query) for doc in relevant_docs: print(doc.page_content)"},{"m":10,"id":"rag-vector-databases-5-generator","title":"5. Generator","text":"LLM that generates the final answer.","code":"from langchain_openai import ChatOpenAI llm = ChatOpenAI(model=\"gpt-4\", temperature=0.0)"},{"m":10,"id":"rag-vector-databases--building-a-rag-system","title":"🔨 Building a RAG System","text":"","code":""},{"m":10,"id":"rag-vector-databases-step-1-load-documents","title":"Step 1: Load Documents","text":"","code":"from langchain.document_loaders import DirectoryLoader, TextLoader # Load all markdown files from a directory loader = DirectoryLoader( \"./runbooks\", glob=\"**/*.md\", loader_cls=TextLoader ) documents = loader.load() print(f\"Loaded {len(documents)} documents\")"},{"m":10,"id":"rag-vector-databases-step-2-split-documents","title":"Step 2: Split Documents","text":"Break large documents into chunks (LLMs have token limits). Why overlap? : Prevents cutting in the middle of important context.","code":"from langchain.text_splitter import RecursiveCharacterTextSplitter text_splitter = RecursiveCharacterTextSplitter( chunk_size=1000, # 1000 characters per chunk chunk_overlap=200, # 200 character overlap between chunks length_function=len ) chunks = text_splitter.split_documents(documents) print(f\"Split into {len(chunks)} chunks\")"},{"m":10,"id":"rag-vector-databases-step-3-create-embeddings--vector-store","title":"Step 3: Create Embeddings & Vector Store","text":"","code":"from langchain.vectorstores import Chroma from langchain_openai import OpenAIEmbeddings # Create embeddings embeddings = OpenAIEmbeddings() # Create vector store vectorstore = Chroma.from_documents( documents=chunks, embedding=embeddings, persist_directory=\"./chroma_db\" ) print(\"Vector store created!\")"},{"m":10,"id":"rag-vector-databases-step-4-create-retriever","title":"Step 4: Create Retriever","text":"","code":"retriever = vectorstore.as_retriever( search_type=\"similarity\", search_kwargs={\"k\": 5} # Return top 5 chunks )"},{"m":10,"id":"rag-vector-databases-step-5-create-rag-chain","title":"Step 5: Create RAG Chain","text":"","code":"from langchain.chains import RetrievalQA from langchain_openai import ChatOpenAI llm = ChatOpenAI(model=\"gpt-4\", temperature=0.0) qa_chain = RetrievalQA.from_chain_type( llm=llm, chain_type=\"stuff\", # \"stuff\" all docs into prompt retriever=retriever, return_source_documents=True # Show which docs were used )"},{"m":10,"id":"rag-vector-databases-step-6-use-it","title":"Step 6: Use It!","text":"","code":"query = \"How do I fix a pod that's OOMKilled?\" result = qa_chain.invoke({\"query\": query}) print(\"Answer:\") print(result[\"result\"]) print(\"\\nSource Documents:\") for i, doc in enumerate(result[\"source_documents\"], 1): print(f\"\\n{i}. {doc.page_content[:200]}...\")"},{"m":10,"id":"rag-vector-databases--complete-rag-example","title":"🔧 Complete RAG Example","text":"","code":"from langchain.document_loaders import DirectoryLoader, TextLoader from langchain.text_splitter import RecursiveCharacterTextSplitter from langchain.vectorstores import Chroma from langchain_openai import OpenAIEmbeddings, ChatOpenAI from langchain.chains import RetrievalQA # 1. Load documents loader = DirectoryLoader( \"./k8s_runbooks\", glob=\"**/*.md\", loader_cls=TextLoader ) documents = loader.load() # 2. Split into chunks text_splitter = RecursiveCharacterTextSplitter( chunk_size=1000, chunk_overlap=200 ) chunks = text_splitter.split_documents(documents) # 3. Create vector store embeddings = OpenAIEmbeddings() vectorstore = Chroma.from_documents( documents=chunks, embedding=embeddings, persist_directory=\"./chroma_db\" ) # 4. Create retriever retriever = vectorstore.as_retriever( search_type=\"similarity\", search_kwargs={\"k\": 5} ) # 5. Create RAG chain llm = ChatOpenAI(model=\"gpt-4\", temperature=0.0) qa_chain = RetrievalQA.from_chain_type( llm=llm, chain_type=\"stuff\", retriever=retriever, return_source_documents=True ) # 6. Query result = qa_chain.invoke({ \"query\": \"Pod is stuck in ImagePullBackOff. How do I fix it?\" }) print(result[\"result\"])"},{"m":10,"id":"rag-vector-databases--rag-vs-react-agents","title":"🆚 RAG vs ReAct Agents","text":"","code":""},{"m":10,"id":"rag-vector-databases-rag-retrieval-augmented-generation","title":"RAG (Retrieval-Augmented Generation)","text":"Best for : ✅ Large knowledge bases (100+ documents) ✅ Static information (docs, policies, guides) ✅ Questions that need context from docs ✅ Citing sources Not good for : ❌ Real-time data (cluster state) ❌ Actions (can't run kubectl) ❌ Multi-step reasoning with tools Example :","code":"User: \"What's our company policy on resource limits?\" RAG: [Retrieves policy doc] \"According to the policy, all pods must have limits...\""},{"m":10,"id":"rag-vector-databases-react-agents","title":"ReAct Agents","text":"Best for : ✅ Real-time data (kubectl commands) ✅ Actions (restart pod, check logs) ✅ Multi-step troubleshooting ✅ Tool calling Not good for : ❌ Large knowledge bases (can't fit in context) ❌ Document-heavy questions Example :","code":"User: \"Why is pod nginx-abc crashing?\" Agent: [Calls GetPodStatus] [Calls GetPodLogs] \"Pod is crashing because...\""},{"m":10,"id":"rag-vector-databases-rag--agents-best-of-both","title":"RAG + Agents (Best of Both)","text":"Combine them for powerful system: Example flow :","code":"# RAG tool for documentation @tool def search_runbooks(query: str) -> str: \"\"\"Search K8s troubleshooting runbooks. Use this when you need information from documentation, policies, or historical troubleshooting guides. \"\"\" result = qa_chain.invoke({\"query\": query}) return result[\"result\"] # Agent with RAG + kubectl tools tools = [ get_pod_status, get_pod_logs, describe_pod, search_runbooks # ⭐ RAG as a tool! ] agent = create_react_agent(llm, tools, prompt) User: \"Pod is OOMKilled. What should I do?\" Agent Thought: \"I should check runbooks for OOMKilled guidance\" Agent Action: search_runbooks(\"OOMKilled pod fix\") Observation: \"Runbook says to check memory limits and usage...\" Agent Thought: \"Now let me check this pod's actual memory limit\" Agent Action: CheckResources(pod_name=\"nginx-abc\") Observation: \"Memory limit: 128Mi, usage at crash: 145Mi\" Agent Final Answer: \"Based on runbook and current pod state, increase memory limit from 128Mi to 256Mi\""},{"m":10,"id":"rag-vector-databases--for-your-k8s-agent","title":"🎯 For Your K8s Agent","text":"","code":""},{"m":10,"id":"rag-vector-databases-version-1-demo-skip-rag-","title":"Version 1 (Demo): Skip RAG ⭐","text":"Why : ✅ ReAct with kubectl tools is sufficient for live troubleshooting ✅ Simpler architecture (faster to build) ✅ No need for document ingestion pipeline ✅ Can always add RAG later Use ReAct agent with tools : GetPodStatus GetPodLogs DescribePod CheckResources AnalyzeErrors","code":""},{"m":10,"id":"rag-vector-databases-version-2-production-add-rag","title":"Version 2 (Production): Add RAG","text":"When to add : ✅ Have large runbook library (50+ docs) ✅ Historical troubleshooting data ✅ Company-specific policies ✅ Want to cite sources Architecture :","code":"User Query ↓ ReAct Agent ├─ Kubectl Tools (get real cluster data) ├─ RAG Tool (search runbooks) └─ Analysis Tools ↓ Comprehensive Answer (live data + documented knowledge)"},{"m":10,"id":"rag-vector-databases--rag-best-practices","title":"📊 RAG Best Practices","text":"","code":""},{"m":10,"id":"rag-vector-databases-1-chunk-size-matters","title":"1. Chunk Size Matters","text":"","code":"# Too small: Loses context text_splitter = RecursiveCharacterTextSplitter(chunk_size=100) ❌ # Too large: Exceeds token limits text_splitter = RecursiveCharacterTextSplitter(chunk_size=10000) ❌ # Just right: 500-1500 characters text_splitter = RecursiveCharacterTextSplitter( chunk_size=1000, chunk_overlap=200 ) ✅"},{"m":10,"id":"rag-vector-databases-2-use-metadata","title":"2. Use Metadata","text":"","code":"from langchain.schema import Document # Add metadata to documents doc = Document( page_content=\"OOMKilled means pod exceeded memory limit...\", metadata={ \"source\": \"k8s-troubleshooting-guide.md\", \"section\": \"Memory Issues\", \"category\": \"OOM\", \"last_updated\": \"2025-01-01\" } ) # Filter by metadata retriever = vectorstore.as_retriever( search_kwargs={ \"k\": 5, \"filter\": {\"category\": \"OOM\"} # Only search OOM docs } )"},{"m":10,"id":"rag-vector-databases-3-rerank-results","title":"3. Rerank Results","text":"Not all retrieved docs are equally relevant:","code":"from langchain.retrievers import ContextualCompressionRetriever from langchain.retrievers.document_compressors import LLMChainExtractor # Base retriever base_retriever = vectorstore.as_retriever(search_kwargs={\"k\": 10}) # Compressor (reranks using LLM) compressor = LLMChainExtractor.from_llm(llm) # Compression retriever compression_retriever = ContextualCompressionRetriever( base_compressor=compressor, base_retriever=base_retriever ) # Returns only most relevant chunks docs = compression_retriever.get_relevant_documents(query)"},{"m":10,"id":"rag-vector-databases-4-monitor-retrieval-quality","title":"4. Monitor Retrieval Quality","text":"","code":"def evaluate_retrieval(query: str, expected_doc_ids: list): \"\"\"Check if retriever finds expected documents\"\"\" retrieved = retriever.get_relevant_documents(query) retrieved_ids = [doc.metadata[\"id\"] for doc in retrieved] # Calculate recall found = len(set(expected_doc_ids) & set(retrieved_ids)) recall = found / len(expected_doc_ids) print(f\"Recall: {recall:.2%}\") return recall # Test evaluate_retrieval( query=\"OOMKilled pod\", expected_doc_ids=[\"doc_memory_001\", \"doc_oom_guide_002\"] )"},{"m":10,"id":"rag-vector-databases--self-check-questions","title":"🎓 Self-Check Questions","text":"","code":""},{"m":10,"id":"rag-vector-databases-question-1-what-problem-does-rag-solve","title":"Question 1: What problem does RAG solve?","text":"Show Answer RAG solves the problem of LLMs not having access to specific/updated knowledge : Training data cutoff : LLMs don't know anything after their training date No private data : Can't access your company's internal docs Hallucinations : LLMs make up facts they don't know Limited context : Can't fit all docs in prompt RAG solution : Retrieve relevant docs from knowledge base → Augment prompt → Generate answer based on actual docs Example : Without RAG: \"I don't know your company's K8s policy\" With RAG: [Retrieves policy doc] \"According to your policy...\"","code":""},{"m":10,"id":"rag-vector-databases-question-2-what-are-the-5-components-of-a-rag-system","title":"Question 2: What are the 5 components of a RAG system?","text":"Show Answer Document Store : Where knowledge base is kept (files, DB, cloud) Embeddings : Convert text to vectors for semantic search Vector Database : Store embeddings, enable fast similarity search (Chroma, Pinecone) Retriever : Find relevant documents for a query Generator : LLM that generates final answer using retrieved docs Flow :","code":"Query → Embed → Search Vector DB → Retrieve Docs → Generate Answer"},{"m":10,"id":"rag-vector-databases-question-3-when-should-you-use-rag-vs-react-agents","title":"Question 3: When should you use RAG vs ReAct agents?","text":"Show Answer Use RAG when : ✅ Large knowledge base (100+ docs) ✅ Static information (policies, guides, runbooks) ✅ Need to cite sources ❌ But can't take actions or get real-time data Use ReAct agents when : ✅ Need real-time data (kubectl commands) ✅ Need to take actions (restart pod, scale deployment) ✅ Multi-step troubleshooting ❌ But don't have large document collection Use BOTH when : ✅ Need real-time troubleshooting + documented knowledge ✅ Make RAG a tool that agent can call Your K8s agent v1 : ReAct only (sufficient for live troubleshooting) Your K8s agent v2 : ReAct + RAG tool (adds runbook knowledge)","code":""},{"m":10,"id":"rag-vector-databases-question-4-why-is-chunk-overlap-important-in-document-splitting","title":"Question 4: Why is chunk overlap important in document splitting?","text":"Show Answer Without overlap : → Splits \"OOMKilled\" across chunks, loses context! With overlap (200 chars) : → Both chunks have full context! Best practice : chunk_overlap = 20% of chunk_size","code":"Chunk 1: \"...pods with memory limits. OOM\" Chunk 2: \"Killed pods need increased limits...\" Chunk 1: \"...pods with memory limits. OOMKilled pods need increased...\" Chunk 2: \"...OOMKilled pods need increased limits...\" text_splitter = RecursiveCharacterTextSplitter( chunk_size=1000, chunk_overlap=200 # 20% overlap )"},{"m":10,"id":"rag-vector-databases-question-5-how-would-you-add-rag-as-a-tool-in-your-k8s-agent","title":"Question 5: How would you add RAG as a tool in your K8s agent?","text":"Show Answer Agent flow : Calls search_runbooks(\"OOMKilled\") → Gets documented solution Calls check_resources(pod_name) → Gets actual pod limits Combines both → Gives answer based on runbook + real data","code":"from langchain.tools import tool from langchain.chains import RetrievalQA from langchain.vectorstores import Chroma from langchain_openai import OpenAIEmbeddings, ChatOpenAI # 1. Create RAG chain vectorstore = Chroma( embedding_function=OpenAIEmbeddings(), persist_directory=\"./runbooks_db\" ) qa_chain = RetrievalQA.from_chain_type( llm=ChatOpenAI(model=\"gpt-4\", temperature=0.0), retriever=vectorstore.as_retriever(search_kwargs={\"k\": 3}) ) # 2. Wrap RAG as a tool @tool def search_runbooks(query: str) -> str: \"\"\"Search Kubernetes troubleshooting runbooks and documentation. Use this tool when you need information about: - Company policies and best practices - Historical troubleshooting procedures - Common error patterns and solutions - Configuration examples Do NOT use for real-time cluster data - use kubectl tools instead. Args: query: What to search for in runbooks Returns: Relevant information from documentation \"\"\" result = qa_chain.invoke({\"query\": query}) return result[\"result\"] # 3. Add to agent tools tools = [ get_pod_status, # Real-time data get_pod_logs, # Real-time data describe_pod, # Real-time data search_runbooks # ⭐ RAG tool for documentation ] # 4. Create agent agent = create_react_agent(llm, tools, prompt) agent_executor = AgentExecutor(agent=agent, tools=tools) # 5. Agent can now use both! result = agent_executor.invoke({ \"input\": \"Pod is OOMKilled. What does our runbook say?\" })"},{"m":10,"id":"rag-vector-databases--key-takeaways","title":"🚀 Key Takeaways","text":"RAG = Retrieval + Augmentation + Generation : Gives LLMs access to knowledge bases Vector databases enable semantic search : Similar text → similar vectors RAG is for static knowledge : Docs, policies, runbooks ReAct agents are for real-time data : kubectl, APIs, actions Combine RAG + Agents : Make RAG a tool the agent can call For your K8s agent v1 : Skip RAG (ReAct is sufficient) For production v2 : Add RAG for runbook knowledge","code":""},{"m":10,"id":"rag-vector-databases--next-module","title":"🔗 Next Module","text":"Move on to Module 11: Error Handling & Production Patterns to learn how to build robust production systems! Time to complete this module : 45 minutes Hands-on practice : 30 minutes Total : ~1 hour 15 minutes","code":""},{"m":11,"id":"error-handling-production-module-11-error-handling--production-patterns","title":"Module 11: Error Handling & Production Patterns","text":"Study Time : ~45 minutes Prerequisites : Modules 1-10","code":""},{"m":11,"id":"error-handling-production--learning-objectives","title":"🎯 Learning Objectives","text":"By the end of this module, you'll understand: Common failure modes in AI systems Error handling patterns for LLMs and agents Retry logic and circuit breakers Logging and observability Production-ready code patterns How to make your K8s agent robust","code":""},{"m":11,"id":"error-handling-production-️-common-failure-modes","title":"⚠️ Common Failure Modes","text":"","code":""},{"m":11,"id":"error-handling-production-1-api-errors","title":"1. API Errors","text":"Problem : OpenAI/API rate limits, timeouts, network issues Solution : Try-except with retries","code":"# ❌ No error handling response = client.chat.completions.create( model=\"gpt-4\", messages=[{\"role\": \"user\", \"content\": \"Help\"}] ) # Crashes if API is down! import time from openai import OpenAI, APIError, RateLimitError client = OpenAI() def call_llm_with_retry(messages, max_retries=3): \"\"\"Call LLM with exponential backoff retry\"\"\" for attempt in range(max_retries): try: response = client.chat.completions.create( model=\"gpt-4\", messages=messages, timeout=30 # 30 second timeout ) return response.choices[0].message.content except RateLimitError: if attempt < max_retries - 1: wait_time = 2 ** attempt # Exponential backoff: 1s, 2s, 4s print(f\"Rate limited. Waiting {wait_time}s...\") time.sleep(wait_time) else: return \"Error: API rate limit exceeded. Try again later.\" except APIError as e: if attempt < max_retries - 1: print(f\"API error: {e}. Retrying...\") time.sleep(1) else: return f\"Error: API unavailable. {str(e)}\" except Exception as e: return f\"Unexpected error: {str(e)}\" return \"Error: Max retries exceeded\" # Use it result = call_llm_with_retry([ {\"role\": \"user\", \"content\": \"Why is pod crashing?\"} ])"},{"m":11,"id":"error-handling-production-2-tool-execution-errors","title":"2. Tool Execution Errors","text":"Problem : kubectl command fails, pod doesn't exist, timeout Solution : Comprehensive error handling","code":"# ❌ No error handling @tool def get_pod_status(pod_name: str) -> str: \"\"\"Get pod status\"\"\" result = subprocess.run([\"kubectl\", \"get\", \"pod\", pod_name]) return result.stdout # Crashes if pod doesn't exist! import subprocess from langchain.tools import tool @tool def get_pod_status(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Get status of a Kubernetes pod. Args: pod_name: Name of the pod namespace: K8s namespace (default: default) Returns: Pod status or error message \"\"\" try: result = subprocess.run( [\"kubectl\", \"get\", \"pod\", pod_name, \"-n\", namespace, \"-o\", \"wide\"], capture_output=True, text=True, timeout=10 # 10 second timeout ) if result.returncode != 0: # Command failed if \"not found\" in result.stderr.lower(): return f\"Pod '{pod_name}' not found in namespace '{namespace}'\" else: return f\"Error: {result.stderr.strip()}\" # Success return result.stdout.strip() except subprocess.TimeoutExpired: return f\"Error: kubectl command timed out after 10 seconds\" except FileNotFoundError: return \"Error: kubectl not found. Is it installed?\" except Exception as e: return f\"Unexpected error: {str(e)}\" # All errors return string messages, agent can handle gracefully"},{"m":11,"id":"error-handling-production-3-parsing-errors","title":"3. Parsing Errors","text":"Problem : Agent output doesn't match expected format Solution : handle_parsing_errors","code":"# ❌ Agent might return malformed output agent_executor = AgentExecutor(agent=agent, tools=tools) # Crashes if LLM returns invalid format! agent_executor = AgentExecutor( agent=agent, tools=tools, handle_parsing_errors=True, # ✅ Catch parsing errors handle_parsing_errors_message=\"Invalid format. Please use:\\nThought: ...\\nAction: ...\\nAction Input: ...\" )"},{"m":11,"id":"error-handling-production-4-infinite-loops","title":"4. Infinite Loops","text":"Problem : Agent repeats same action forever Solution : max_iterations","code":"# ❌ No iteration limit agent_executor = AgentExecutor(agent=agent, tools=tools) # Might loop forever! agent_executor = AgentExecutor( agent=agent, tools=tools, max_iterations=5, # ✅ Stop after 5 iterations early_stopping_method=\"generate\" # ✅ Generate best answer when limit hit )"},{"m":11,"id":"error-handling-production-5-token-overflow","title":"5. Token Overflow","text":"Problem : Conversation history exceeds context window Solution : Window memory","code":"# ❌ Unbounded memory memory = ConversationBufferMemory() # Grows forever, eventually crashes! memory = ConversationBufferWindowMemory( k=10, # ✅ Only keep last 10 exchanges memory_key=\"chat_history\" )"},{"m":11,"id":"error-handling-production--retry-patterns","title":"🔄 Retry Patterns","text":"","code":""},{"m":11,"id":"error-handling-production-pattern-1-simple-retry","title":"Pattern 1: Simple Retry","text":"","code":"def retry_on_failure(func, max_attempts=3): \"\"\"Simple retry wrapper\"\"\" for attempt in range(max_attempts): try: return func() except Exception as e: if attempt < max_attempts - 1: print(f\"Attempt {attempt + 1} failed: {e}. Retrying...\") continue else: print(f\"All {max_attempts} attempts failed\") raise"},{"m":11,"id":"error-handling-production-pattern-2-exponential-backoff","title":"Pattern 2: Exponential Backoff","text":"","code":"import time def exponential_backoff_retry(func, max_attempts=5, base_delay=1): \"\"\"Retry with exponential backoff: 1s, 2s, 4s, 8s, 16s\"\"\" for attempt in range(max_attempts): try: return func() except Exception as e: if attempt < max_attempts - 1: delay = base_delay * (2 ** attempt) print(f\"Attempt {attempt + 1} failed. Waiting {delay}s...\") time.sleep(delay) else: raise # Use it result = exponential_backoff_retry( lambda: agent_executor.invoke({\"input\": \"Diagnose pod\"}) )"},{"m":11,"id":"error-handling-production-pattern-3-retry-with-different-strategy","title":"Pattern 3: Retry with Different Strategy","text":"","code":"def retry_with_fallback(primary_func, fallback_func, max_attempts=3): \"\"\"Try primary, fallback to secondary on failure\"\"\" for attempt in range(max_attempts): try: return primary_func() except Exception as e: print(f\"Primary failed: {e}\") if attempt < max_attempts - 1: continue else: print(\"Falling back to secondary strategy...\") return fallback_func() # Example: Try GPT-4, fallback to GPT-3.5 result = retry_with_fallback( primary_func=lambda: call_gpt4(query), fallback_func=lambda: call_gpt35(query) )"},{"m":11,"id":"error-handling-production-️-circuit-breaker-pattern","title":"🛡️ Circuit Breaker Pattern","text":"Prevent cascading failures by \"opening the circuit\" when errors exceed threshold.","code":"from datetime import datetime, timedelta class CircuitBreaker: def __init__(self, failure_threshold=5, timeout=60): self.failure_threshold = failure_threshold self.timeout = timeout # seconds self.failures = 0 self.last_failure_time = None self.state = \"CLOSED\" # CLOSED, OPEN, HALF_OPEN def call(self, func): \"\"\"Execute function with circuit breaker protection\"\"\" # Check if circuit is open if self.state == \"OPEN\": if self._should_attempt_reset(): self.state = \"HALF_OPEN\" print(\"Circuit breaker HALF_OPEN, attempting call...\") else: raise Exception(\"Circuit breaker is OPEN. Service unavailable.\") # Try to call function try: result = func() self._on_success() return result except Exception as e: self._on_failure() raise def _on_success(self): \"\"\"Reset circuit on success\"\"\" self.failures = 0 self.state = \"CLOSED\" print(\"Circuit breaker CLOSED\") def _on_failure(self): \"\"\"Record failure\"\"\" self.failures += 1 self.last_failure_time = datetime.now() if self.failures >= self.failure_threshold: self.state = \"OPEN\" print(f\"Circuit breaker OPEN after {self.failures} failures\") def _should_attempt_reset(self): \"\"\"Check if timeout has passed\"\"\" if self.last_failure_time is None: return True return datetime.now() - self.last_failure_time > timedelta(seconds=self.timeout) # Use it breaker = CircuitBreaker(failure_threshold=3, timeout=30) try: result = breaker.call(lambda: agent_executor.invoke({\"input\": query})) except Exception as e: print(f\"Request failed: {e}\")"},{"m":11,"id":"error-handling-production--logging--observability","title":"📊 Logging & Observability","text":"","code":""},{"m":11,"id":"error-handling-production-pattern-1-structured-logging","title":"Pattern 1: Structured Logging","text":"","code":"import logging import json from datetime import datetime # Configure logging logging.basicConfig( level=logging.INFO, format='%(message)s' ) logger = logging.getLogger(__name__) def log_agent_call(query, result, duration, error=None): \"\"\"Log agent invocation with structured data\"\"\" log_entry = { \"timestamp\": datetime.utcnow().isoformat(), \"query\": query, \"success\": error is None, \"duration_ms\": duration * 1000, \"error\": str(error) if error else None, \"result_length\": len(result) if result else 0 } logger.info(json.dumps(log_entry)) # Use it import time query = \"Why is pod crashing?\" start_time = time.time() try: result = agent_executor.invoke({\"input\": query}) duration = time.time() - start_time log_agent_call(query, result[\"output\"], duration) except Exception as e: duration = time.time() - start_time log_agent_call(query, None, duration, error=e) raise"},{"m":11,"id":"error-handling-production-pattern-2-agent-step-logging","title":"Pattern 2: Agent Step Logging","text":"","code":"def log_agent_steps(agent_executor, query): \"\"\"Log each step of agent reasoning\"\"\" result = agent_executor.invoke( {\"input\": query}, return_intermediate_steps=True ) logger.info(f\"Query: {query}\") for i, (action, observation) in enumerate(result[\"intermediate_steps\"], 1): logger.info(f\"Step {i}:\") logger.info(f\" Tool: {action.tool}\") logger.info(f\" Input: {action.tool_input}\") logger.info(f\" Output: {observation[:200]}...\") # First 200 chars logger.info(f\"Final Answer: {result['output']}\") return result # Use it result = log_agent_steps(agent_executor, \"Diagnose pod nginx-abc\")"},{"m":11,"id":"error-handling-production-pattern-3-metrics-tracking","title":"Pattern 3: Metrics Tracking","text":"","code":"from collections import defaultdict from datetime import datetime class AgentMetrics: def __init__(self): self.call_count = 0 self.success_count = 0 self.error_count = 0 self.total_duration = 0 self.tool_usage = defaultdict(int) def record_call(self, success, duration, tools_used): \"\"\"Record metrics for an agent call\"\"\" self.call_count += 1 if success: self.success_count += 1 else: self.error_count += 1 self.total_duration += duration for tool in tools_used: self.tool_usage[tool] += 1 def get_stats(self): \"\"\"Get current metrics\"\"\" return { \"total_calls\": self.call_count, \"success_rate\": self.success_count / self.call_count if self.call_count > 0 else 0, \"avg_duration_ms\": (self.total_duration / self.call_count * 1000) if self.call_count > 0 else 0, \"most_used_tools\": sorted(self.tool_usage.items(), key=lambda x: x[1], reverse=True)[:5] } # Use it metrics = AgentMetrics() start = time.time() try: result = agent_executor.invoke({\"input\": query}, return_intermediate_steps=True) duration = time.time() - start tools_used = [step[0].tool for step in result[\"intermediate_steps\"]] metrics.record_call(success=True, duration=duration, tools_used=tools_used) except Exception: duration = time.time() - start metrics.record_call(success=False, duration=duration, tools_used=[]) # Print stats print(json.dumps(metrics.get_stats(), indent=2))"},{"m":11,"id":"error-handling-production-️-production-ready-agent","title":"🏗️ Production-Ready Agent","text":"Complete example with all error handling patterns:","code":"import logging import time import subprocess from typing import Optional from langchain.agents import create_react_agent, AgentExecutor from langchain_openai import ChatOpenAI from langchain.memory import ConversationBufferWindowMemory from langchain.tools import tool from openai import RateLimitError, APIError # Setup logging logging.basicConfig(level=logging.INFO) logger = logging.getLogger(__name__) # Define tools with error handling @tool def get_pod_status(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Get status of a Kubernetes pod with comprehensive error handling.\"\"\" try: result = subprocess.run( [\"kubectl\", \"get\", \"pod\", pod_name, \"-n\", namespace, \"-o\", \"wide\"], capture_output=True, text=True, timeout=10 ) if result.returncode != 0: if \"not found\" in result.stderr.lower(): return f\"Pod '{pod_name}' not found in namespace '{namespace}'\" return f\"Error: {result.stderr.strip()}\" return result.stdout.strip() except subprocess.TimeoutExpired: return f\"Error: Command timed out after 10 seconds\" except FileNotFoundError: return \"Error: kubectl not installed\" except Exception as e: logger.error(f\"get_pod_status error: {e}\") return f\"Unexpected error: {str(e)}\" tools = [get_pod_status] # Add more tools... # Production-ready agent class class ProductionK8sAgent: def __init__( self, model: str = \"gpt-4\", max_retries: int = 3, max_iterations: int = 5 ): self.max_retries = max_retries self.call_count = 0 self.error_count = 0 # Create LLM with retry self.llm = ChatOpenAI( model=model, temperature=0.0, request_timeout=30 ) # Create memory self.memory = ConversationBufferWindowMemory( k=10, memory_key=\"chat_history\", return_messages=True ) # Create agent agent = create_react_agent(self.llm, tools, prompt_template) # Create executor with error handling self.agent_executor = AgentExecutor( agent=agent, tools=tools, memory=self.memory, max_iterations=max_iterations, early_stopping_method=\"generate\", handle_parsing_errors=True, verbose=True ) def diagnose(self, query: str) -> dict: \"\"\"Diagnose with full error handling and retry logic\"\"\" self.call_count += 1 start_time = time.time() for attempt in range(self.max_retries): try: logger.info(f\"Attempt {attempt + 1}/{self.max_retries}: {query}\") result = self.agent_executor.invoke( {\"input\": query}, return_intermediate_steps=True ) duration = time.time() - start_time # Log success logger.info(f\"Success in {duration:.2f}s\") return { \"success\": True, \"output\": result[\"output\"], \"duration\": duration, \"attempts\": attempt + 1, \"steps\": len(result.get(\"intermediate_steps\", [])) } except RateLimitError as e: logger.warning(f\"Rate limited on attempt {attempt + 1}\") if attempt < self.max_retries - 1: wait_time = 2 ** attempt time.sleep(wait_time) else: self.error_count += 1 return { \"success\": False, \"error\": \"API rate limit exceeded\", \"duration\": time.time() - start_time } except APIError as e: logger.error(f\"API error on attempt {attempt + 1}: {e}\") if attempt < self.max_retries - 1: time.sleep(1) else: self.error_count += 1 return { \"success\": False, \"error\": f\"API unavailable: {str(e)}\", \"duration\": time.time() - start_time } except Exception as e: logger.error(f\"Unexpected error: {e}\") self.error_count += 1 return { \"success\": False, \"error\": str(e), \"duration\": time.time() - start_time } # Should never reach here return { \"success\": False, \"error\": \"Max retries exceeded\", \"duration\": time.time() - start_time } def get_stats(self): \"\"\"Get agent statistics\"\"\" return { \"total_calls\": self.call_count, \"errors\": self.error_count, \"success_rate\": (self.call_count - self.error_count) / self.call_count if self.call_count > 0 else 0 } # Use it agent = ProductionK8sAgent(model=\"gpt-4\", max_retries=3, max_iterations=5) # Diagnose result = agent.diagnose(\"Why is pod nginx-abc crashing?\") if result[\"success\"]: print(f\"✅ Diagnosis: {result['output']}\") print(f\"⏱️ Duration: {result['duration']:.2f}s\") else: print(f\"❌ Error: {result['error']}\") # Check stats print(agent.get_stats())"},{"m":11,"id":"error-handling-production--self-check-questions","title":"🎓 Self-Check Questions","text":"","code":""},{"m":11,"id":"error-handling-production-question-1-what-are-the-5-common-failure-modes-in-ai-agents","title":"Question 1: What are the 5 common failure modes in AI agents?","text":"Show Answer API Errors : Rate limits, timeouts, network issues Tool Execution Errors : kubectl fails, pod doesn't exist Parsing Errors : Agent output doesn't match expected format Infinite Loops : Agent repeats same action forever Token Overflow : Conversation history exceeds context window Solutions : Retry with exponential backoff Try-except in all tools, return error strings handle_parsing_errors=True max_iterations=5 ConversationBufferWindowMemory(k=10)","code":""},{"m":11,"id":"error-handling-production-question-2-what-is-exponential-backoff-and-when-should-you-use-it","title":"Question 2: What is exponential backoff and when should you use it?","text":"Show Answer Exponential backoff is a retry strategy where wait time increases exponentially: 1s, 2s, 4s, 8s, 16s... Formula : wait_time = base_delay * (2 ** attempt) When to use : ✅ API rate limits (give server time to recover) ✅ Network timeouts (transient issues) ✅ Database connection errors Why it works : Reduces load on failing service Gives service time to recover Prevents thundering herd problem","code":"for attempt in range(max_retries): try: return func() except Exception: wait = 2 ** attempt # 1s, 2s, 4s, 8s time.sleep(wait)"},{"m":11,"id":"error-handling-production-question-3-whats-the-purpose-of-a-circuit-breaker","title":"Question 3: What's the purpose of a circuit breaker?","text":"Show Answer Circuit breaker prevents cascading failures by \"opening\" when error rate exceeds threshold. States : CLOSED : Normal operation, requests pass through OPEN : Too many failures, all requests fail immediately (don't even try) HALF_OPEN : After timeout, try one request to test if service recovered Purpose : Prevent wasting resources on failing service Give failing service time to recover Fail fast instead of hanging Protect dependent services Example :","code":"# After 5 failures, circuit opens # All requests fail immediately for 60 seconds # After 60s, try one request # If success → circuit closes # If failure → circuit stays open another 60s"},{"m":11,"id":"error-handling-production-question-4-how-do-you-make-kubectl-tools-robust-against-errors","title":"Question 4: How do you make kubectl tools robust against errors?","text":"Show Answer Key points : Always use timeout Capture stderr Check return code Handle specific errors (not found, timeout, missing binary) Return error strings (not raise exceptions) Agent can handle error messages gracefully","code":"@tool def get_pod_status(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Get pod status with comprehensive error handling\"\"\" try: result = subprocess.run( [\"kubectl\", \"get\", \"pod\", pod_name, \"-n\", namespace], capture_output=True, # ✅ Capture stderr text=True, # ✅ Decode as text timeout=10 # ✅ Prevent hanging ) if result.returncode != 0: # ✅ Check specific errors if \"not found\" in result.stderr.lower(): return f\"Pod not found: {pod_name}\" return f\"Error: {result.stderr}\" return result.stdout except subprocess.TimeoutExpired: # ✅ Handle timeout return \"Error: Command timed out\" except FileNotFoundError: # ✅ Handle missing kubectl return \"Error: kubectl not installed\" except Exception as e: # ✅ Catch-all for unexpected errors return f\"Unexpected error: {str(e)}\""},{"m":11,"id":"error-handling-production-question-5-what-should-you-log-for-production-observability","title":"Question 5: What should you log for production observability?","text":"Show Answer Essential logs : Request/Response : Query Result Duration Success/failure Agent Steps : Tools called Tool inputs Tool outputs Reasoning (thoughts) Errors : Error type Error message Stack trace Retry attempts Metrics : Total calls Success rate Average duration Tool usage frequency Error rate by type Example : Why : Debug issues Monitor performance Identify patterns Optimize tool usage Track success rates","code":"log_entry = { \"timestamp\": \"2025-12-09T10:30:00Z\", \"query\": \"Why is pod crashing?\", \"success\": True, \"duration_ms\": 2340, \"tools_used\": [\"GetPodStatus\", \"GetPodLogs\"], \"iterations\": 2, \"result_length\": 450 }"},{"m":11,"id":"error-handling-production--key-takeaways","title":"🚀 Key Takeaways","text":"Always handle errors : API, tools, parsing, loops, tokens Use retries with exponential backoff : For transient failures Implement circuit breakers : For cascading failures Log everything : Queries, results, steps, errors, metrics Set timeouts : On API calls and subprocess commands Return error strings from tools : Don't raise exceptions Use max_iterations : Prevent infinite loops Monitor metrics : Success rate, duration, tool usage","code":""},{"m":11,"id":"error-handling-production--next-module","title":"🔗 Next Module","text":"Move on to Module 12: ML System Design & Best Practices for high-level architecture patterns! Time to complete this module : 45 minutes Hands-on practice : 30 minutes Total : ~1 hour 15 minutes","code":""},{"m":12,"id":"ml-system-design-best-practices-module-12-ml-system-design--best-practices","title":"Module 12: ML System Design & Best Practices","text":"Study Time : ~30 minutes Prerequisites : All previous modules","code":""},{"m":12,"id":"ml-system-design-best-practices--learning-objectives","title":"🎯 Learning Objectives","text":"By the end of this module, you'll understand: How to design scalable ML systems Common architecture patterns Development workflow (prototype → production) Evaluation and testing strategies Cost optimization How to talk about system design in interviews","code":""},{"m":12,"id":"ml-system-design-best-practices-️-ml-system-architecture-layers","title":"🏛️ ML System Architecture Layers","text":"","code":""},{"m":12,"id":"ml-system-design-best-practices-layer-1-presentation","title":"Layer 1: Presentation","text":"User interface (Web, CLI, API) Input validation Output formatting","code":""},{"m":12,"id":"ml-system-design-best-practices-layer-2-application-logic","title":"Layer 2: Application Logic","text":"Request routing Session management Business rules","code":""},{"m":12,"id":"ml-system-design-best-practices-layer-3-mlai-layer","title":"Layer 3: ML/AI Layer","text":"Agents LLM calls Tool execution Memory management","code":""},{"m":12,"id":"ml-system-design-best-practices-layer-4-data-layer","title":"Layer 4: Data Layer","text":"Vector databases Document stores Caching External APIs","code":""},{"m":12,"id":"ml-system-design-best-practices-layer-5-infrastructure","title":"Layer 5: Infrastructure","text":"Kubernetes (deployment, scaling) Monitoring & logging Security & RBAC","code":""},{"m":12,"id":"ml-system-design-best-practices--common-ml-architecture-patterns","title":"🎨 Common ML Architecture Patterns","text":"","code":""},{"m":12,"id":"ml-system-design-best-practices-pattern-1-simple-api-gateway","title":"Pattern 1: Simple API Gateway","text":"Use case : Simple Q&A, no tools, no memory Example : Pros : ✅ Simple, fast to build Cons : ❌ No state, no tools, limited use","code":"User → FastAPI → LLM → Response from fastapi import FastAPI from langchain_openai import ChatOpenAI app = FastAPI() llm = ChatOpenAI(model=\"gpt-4\", temperature=0.0) @app.post(\"/ask\") async def ask(query: str): response = llm.invoke(query) return {\"answer\": response.content}"},{"m":12,"id":"ml-system-design-best-practices-pattern-2-agent-with-tools","title":"Pattern 2: Agent with Tools","text":"Use case : Your K8s troubleshooting agent Example : Pros : ✅ Can take actions, maintains context Cons : ❌ Need session management for multi-user","code":"User → FastAPI → Agent → Tools → Response ↓ Memory from fastapi import FastAPI from langchain.agents import AgentExecutor from langchain.memory import ConversationBufferWindowMemory app = FastAPI() # Global agent (in production, use session management) memory = ConversationBufferWindowMemory(k=10) agent_executor = AgentExecutor(agent=agent, tools=tools, memory=memory) @app.post(\"/diagnose\") async def diagnose(query: str): result = agent_executor.invoke({\"input\": query}) return { \"diagnosis\": result[\"output\"], \"success\": True }"},{"m":12,"id":"ml-system-design-best-practices-pattern-3-rag-system","title":"Pattern 3: RAG System","text":"Use case : Document Q&A, knowledge base Example : Pros : ✅ Grounded in docs, cite sources Cons : ❌ Need document ingestion pipeline","code":"User → FastAPI → RAG Chain → Vector DB → LLM → Response from fastapi import FastAPI from langchain.chains import RetrievalQA from langchain.vectorstores import Chroma app = FastAPI() # Load vector store vectorstore = Chroma(persist_directory=\"./db\") qa_chain = RetrievalQA.from_chain_type( llm=llm, retriever=vectorstore.as_retriever() ) @app.post(\"/search\") async def search(query: str): result = qa_chain.invoke({\"query\": query}) return { \"answer\": result[\"result\"], \"sources\": result.get(\"source_documents\", []) }"},{"m":12,"id":"ml-system-design-best-practices-pattern-4-agent--rag-hybrid","title":"Pattern 4: Agent + RAG (Hybrid)","text":"Use case : Your K8s agent v2 (production) Architecture : Pros : ✅ Best of both worlds (real-time + docs) Cons : ❌ More complex, higher cost","code":"User → FastAPI → Agent → [Kubectl Tools, RAG Tool] → Response ↓ Memory from fastapi import FastAPI from langchain.agents import AgentExecutor from langchain.tools import tool # RAG as a tool @tool def search_runbooks(query: str) -> str: \"\"\"Search K8s runbooks\"\"\" return qa_chain.invoke({\"query\": query})[\"result\"] # Agent with kubectl + RAG tools tools = [ get_pod_status, get_pod_logs, describe_pod, search_runbooks # ⭐ RAG tool ] agent_executor = AgentExecutor(agent=agent, tools=tools, memory=memory) @app.post(\"/diagnose\") async def diagnose(query: str, session_id: str): # Get or create session memory memory = get_session_memory(session_id) result = agent_executor.invoke({\"input\": query}) return { \"diagnosis\": result[\"output\"], \"session_id\": session_id }"},{"m":12,"id":"ml-system-design-best-practices--your-k8s-agent-3-tier-architecture","title":"📊 Your K8s Agent: 3-Tier Architecture","text":"","code":""},{"m":12,"id":"ml-system-design-best-practices-tier-1-demomvp-what-youre-building","title":"Tier 1: Demo/MVP (What you're building)","text":"Characteristics : ✅ Simple, monolithic ✅ Local deployment (minikube) ✅ No database needed ✅ 5 tools, no RAG ✅ BufferWindowMemory (in-process) Suitable for : Demo, interview, proof of concept","code":"┌─────────────┐ │ Terminal │ (User) └──────┬──────┘ │ ┌──────▼────────┐ │ FastAPI App │ │ Port 8000 │ └──────┬────────┘ │ ┌──────▼─────────────────┐ │ LangChain Agent │ │ - GetPodStatus │ │ - GetPodLogs │ │ - DescribePod │ │ - CheckResources │ │ - AnalyzeErrors │ └──────┬─────────────────┘ │ ┌──────▼──────┐ │ kubectl │ (Local K8s) └─────────────┘"},{"m":12,"id":"ml-system-design-best-practices-tier-2-production-ready","title":"Tier 2: Production-Ready","text":"Additions : ✅ Web UI ✅ Authentication ✅ Session management (Redis) ✅ RAG for runbooks ✅ Deployed in K8s ✅ Monitoring & logs Suitable for : Internal tooling, small team","code":"┌──────────────┐ │ Web UI │ (React/Streamlit) └──────┬───────┘ │ ┌──────▼───────────────────┐ │ API Gateway (FastAPI) │ │ - Auth │ │ - Rate limiting │ │ - Session management │ └──────┬───────────────────┘ │ ┌──────▼────────────────────┐ │ Agent Service (K8s Pod) │ │ - LangChain Agent │ │ - Memory (Redis) │ │ - Tools (kubectl + RAG) │ └──────┬────────────────────┘ │ ┌──────▼───────┬─────────────┐ │ Vector DB │ K8s Cluster│ │ (Chroma) │ (kubectl) │ └──────────────┴─────────────┘"},{"m":12,"id":"ml-system-design-best-practices-tier-3-enterprise-scale","title":"Tier 3: Enterprise Scale","text":"Additions : ✅ Horizontal scaling ✅ High availability ✅ Managed services (Pinecone, Redis Cloud) ✅ Advanced observability ✅ Multi-cluster support ✅ Cost tracking & optimization Suitable for : Large enterprise, thousands of users","code":"┌────────────────────────────────────────┐ │ Load Balancer │ └────────┬───────────────────────────────┘ │ ┌────────▼────────────────────────────────┐ │ API Gateway (Kong/NGINX) │ │ - Auth (OAuth) │ │ - Rate limiting │ │ - Caching │ └────────┬────────────────────────────────┘ │ ┌────────▼────────────────────────────────┐ │ Agent Service (Auto-scaling Pods) │ │ - Multiple replicas │ │ - Load balanced │ └────────┬────────────────────────────────┘ │ ┌────┴────┐ │ │ ┌───▼───┐ ┌──▼──────────┐ │ Redis │ │ Vector DB │ │ Cluster│ │ (Pinecone) │ └───────┘ └─────────────┘ │ │ ┌───▼─────────▼────────┐ │ Observability │ │ - Prometheus │ │ - Grafana │ │ - ELK Stack │ └──────────────────────┘"},{"m":12,"id":"ml-system-design-best-practices--development-workflow","title":"🚀 Development Workflow","text":"","code":""},{"m":12,"id":"ml-system-design-best-practices-phase-1-prototype-1-2-days","title":"Phase 1: Prototype (1-2 days)","text":"Goal : Prove the concept works Tools : Python script or Jupyter notebook Local LLM (Ollama) or API (OpenAI) Hardcoded configs Print statements for debugging Output : Working demo, validated approach","code":"1. Define problem ✅ (K8s troubleshooting) 2. Build simplest version ✅ (5 tools, local) 3. Test with 10 scenarios ✅ 4. Demo to stakeholders ✅"},{"m":12,"id":"ml-system-design-best-practices-phase-2-mvp-3-5-days","title":"Phase 2: MVP (3-5 days)","text":"Goal : Production-ready v1 Tools : FastAPI Docker Kubernetes manifests pytest for testing Output : Deployable service, basic monitoring","code":"1. Add error handling ✅ 2. Create FastAPI service ✅ 3. Add logging ✅ 4. Write tests ✅ 5. Deploy to K8s ✅ 6. Document API ✅"},{"m":12,"id":"ml-system-design-best-practices-phase-3-production-1-2-weeks","title":"Phase 3: Production (1-2 weeks)","text":"Goal : Scale and polish Tools : Redis for sessions Chroma/Pinecone for RAG React/Streamlit for UI Prometheus + Grafana for monitoring Output : Production-ready system","code":"1. Add RAG for runbooks ✅ 2. Implement session management ✅ 3. Build web UI ✅ 4. Add authentication ✅ 5. Set up monitoring (Prometheus) ✅ 6. Load testing & optimization ✅ 7. Write runbooks for ops ✅"},{"m":12,"id":"ml-system-design-best-practices--design-principles","title":"📐 Design Principles","text":"","code":""},{"m":12,"id":"ml-system-design-best-practices-1-start-simple-add-complexity-later","title":"1. Start Simple, Add Complexity Later","text":"❌ Don't start here : ✅ Start here : Then add: More tools → RAG → Better memory → Production deployment → Monitoring","code":"Agent + RAG + Multi-model + Fine-tuning + Advanced memory + Vector DB + Kubernetes + Monitoring + ... Agent + 5 tools + Local deployment"},{"m":12,"id":"ml-system-design-best-practices-2-optimize-for-iteration-speed","title":"2. Optimize for Iteration Speed","text":"Early stages : Use APIs (OpenAI, Anthropic) Fast to test High quality Don't worry about cost yet Later : Optimize costs Self-hosted models (Llama 3) Caching Cheaper models for simple tasks","code":""},{"m":12,"id":"ml-system-design-best-practices-3-measure-before-optimizing","title":"3. Measure Before Optimizing","text":"Collect data first : Which tools are used most? What queries take longest? What's the error rate? What's the cost per query? Then optimize : Cache frequent tool outputs Use cheaper LLM for simple queries Remove unused tools","code":""},{"m":12,"id":"ml-system-design-best-practices-4-build-for-observability","title":"4. Build for Observability","text":"From day 1 : Log every agent call Track tool usage Monitor errors Measure latency Benefits : Debug issues faster Understand usage patterns Optimize based on data","code":""},{"m":12,"id":"ml-system-design-best-practices--testing--evaluation","title":"🧪 Testing & Evaluation","text":"","code":""},{"m":12,"id":"ml-system-design-best-practices-unit-tests","title":"Unit Tests","text":"Test individual tools:","code":"def test_get_pod_status(): \"\"\"Test pod status tool\"\"\" # Happy path result = get_pod_status(\"nginx-abc\", \"default\") assert \"nginx-abc\" in result.lower() # Pod not found result = get_pod_status(\"nonexistent-pod\", \"default\") assert \"not found\" in result.lower() # Invalid namespace result = get_pod_status(\"nginx-abc\", \"invalid-ns\") assert \"error\" in result.lower()"},{"m":12,"id":"ml-system-design-best-practices-integration-tests","title":"Integration Tests","text":"Test agent end-to-end:","code":"def test_agent_diagnose_crashloop(): \"\"\"Test agent can diagnose CrashLoopBackOff\"\"\" agent = ProductionK8sAgent() result = agent.diagnose(\"Why is pod nginx-abc crashing?\") assert result[\"success\"] == True assert \"crashloop\" in result[\"output\"].lower() or \"crash\" in result[\"output\"].lower() assert result[\"steps\"] >= 2 # Should call multiple tools"},{"m":12,"id":"ml-system-design-best-practices-evaluation-set","title":"Evaluation Set","text":"Create test cases:","code":"test_cases = [ { \"query\": \"Pod nginx-abc is CrashLoopBackOff\", \"expected_tools\": [\"GetPodStatus\", \"GetPodLogs\"], \"expected_keywords\": [\"crash\", \"error\", \"fix\"], \"max_iterations\": 3 }, { \"query\": \"Pod is OOMKilled\", \"expected_tools\": [\"GetPodStatus\", \"GetPodLogs\", \"CheckResources\"], \"expected_keywords\": [\"memory\", \"limit\", \"increase\"], \"max_iterations\": 3 }, # ... 20-50 test cases ] def evaluate_agent(agent, test_cases): \"\"\"Run agent on all test cases\"\"\" results = [] for test in test_cases: result = agent.diagnose(test[\"query\"]) # Check expected tools were called tools_called = extract_tools_from_result(result) tools_match = all(tool in tools_called for tool in test[\"expected_tools\"]) # Check expected keywords in output output_lower = result[\"output\"].lower() keywords_match = any(kw in output_lower for kw in test[\"expected_keywords\"]) # Check iterations iterations_ok = result[\"steps\"] <= test[\"max_iterations\"] results.append({ \"query\": test[\"query\"], \"success\": result[\"success\"], \"tools_match\": tools_match, \"keywords_match\": keywords_match, \"iterations_ok\": iterations_ok, \"score\": sum([result[\"success\"], tools_match, keywords_match, iterations_ok]) / 4 }) # Calculate metrics avg_score = sum(r[\"score\"] for r in results) / len(results) print(f\"Average Score: {avg_score:.2%}\") return results"},{"m":12,"id":"ml-system-design-best-practices--cost-optimization","title":"💰 Cost Optimization","text":"","code":""},{"m":12,"id":"ml-system-design-best-practices-1-model-selection","title":"1. Model Selection","text":"","code":"# Expensive: GPT-4 for everything llm = ChatOpenAI(model=\"gpt-4\") # $0.03/1K input tokens # Optimized: GPT-3.5 for simple, GPT-4 for complex def get_llm(query: str): if is_complex_query(query): return ChatOpenAI(model=\"gpt-4\") else: return ChatOpenAI(model=\"gpt-3.5-turbo\") # $0.0015/1K tokens (20x cheaper!)"},{"m":12,"id":"ml-system-design-best-practices-2-caching","title":"2. Caching","text":"","code":"from functools import lru_cache import hashlib # Cache tool outputs @lru_cache(maxsize=100) def get_pod_status_cached(pod_name: str, namespace: str) -> str: \"\"\"Cached version - pod status doesn't change every second\"\"\" return get_pod_status(pod_name, namespace) # Cache LLM responses class LLMCache: def __init__(self): self.cache = {} def get_or_call(self, prompt: str, llm): key = hashlib.md5(prompt.encode()).hexdigest() if key in self.cache: return self.cache[key] result = llm.invoke(prompt) self.cache[key] = result return result"},{"m":12,"id":"ml-system-design-best-practices-3-prompt-optimization","title":"3. Prompt Optimization","text":"","code":"# ❌ Verbose prompt (wastes tokens) prompt = f\"\"\" You are an expert Kubernetes administrator with 10 years of experience... [500 words of instructions] Question: {query} \"\"\" # ✅ Concise prompt prompt = f\"\"\" K8s troubleshooting assistant. Diagnose issues using tools. Question: {query} \"\"\""},{"m":12,"id":"ml-system-design-best-practices-4-batch-processing","title":"4. Batch Processing","text":"","code":"# ❌ One request per query for query in queries: result = llm.invoke(query) # ✅ Batch multiple queries batch_prompt = \"\\n\\n\".join([ f\"Query {i+1}: {q}\" for i, q in enumerate(queries) ]) result = llm.invoke(batch_prompt)"},{"m":12,"id":"ml-system-design-best-practices--interview-talking-points","title":"🎤 Interview Talking Points","text":"","code":""},{"m":12,"id":"ml-system-design-best-practices-walk-me-through-your-system-design","title":"\"Walk me through your system design\"","text":"\"I designed a 3-tier architecture: Tier 1 (Demo) : Monolithic FastAPI app with LangChain agent, 5 kubectl tools, in-process memory. Deployed locally with minikube. Simple, fast to build, proves concept. Tier 2 (Production) : Separate agent service in Kubernetes, Redis for session management, added RAG tool for runbooks. Includes monitoring, error handling, API authentication. Tier 3 (Scale) : Horizontal scaling with multiple agent replicas, managed services (Pinecone, Redis Cloud), advanced observability with Prometheus/Grafana, multi-cluster support. I started with Tier 1 for the demo, with clear path to Tier 2/3 for production.\"","code":""},{"m":12,"id":"ml-system-design-best-practices-how-did-you-choose-your-tech-stack","title":"\"How did you choose your tech stack?\"","text":"\"I evaluated options across 3 dimensions: LLM : GPT-4 vs Llama 3 GPT-4 : Better quality, code-aware (GitHub Copilot) Llama 3 : Free, can fine-tune Choice : GPT-4 for demo (quality matters), plan to add Llama 3 fallback Agent Framework : LangChain vs custom LangChain : Mature, well-documented, less boilerplate Custom : Full control, lighter weight Choice : LangChain (faster development) Memory : Buffer vs Window vs Summary BufferWindow : Fixed size, predictable Summary : Token-efficient but extra LLM calls Choice : BufferWindowMemory(k=10) - debugging sessions are short Every choice balances speed, quality, and cost.\"","code":""},{"m":12,"id":"ml-system-design-best-practices-how-would-you-improve-this-for-production","title":"\"How would you improve this for production?\"","text":"\"5 key improvements: RAG Integration : Add vector DB with runbooks so agent can reference documented solutions Session Management : Redis-backed memory for multi-user support Observability : Prometheus metrics, structured logging, distributed tracing Cost Optimization : Cache tool outputs, use GPT-3.5 for simple queries, batch processing Safety : Add approval workflows for write operations, limit to specific namespaces, RBAC I'd also add evaluation suite with 50+ test cases to measure accuracy before/after changes.\"","code":""},{"m":12,"id":"ml-system-design-best-practices--self-check-can-you-explain","title":"🎓 Self-Check: Can You Explain?","text":"Before the interview, make sure you can answer: ✅ Architecture : Why 3 tiers? (demo → prod → scale) Why FastAPI? (async, modern, fast) Why LangChain? (less boilerplate, mature) ✅ Design Choices : Why these 5 tools? (cover 80% of issues) Why BufferWindowMemory? (short sessions) Why temperature=0.0? (deterministic) ✅ Trade-offs : GPT-4 vs Llama 3? (quality vs cost) ReAct vs RAG? (real-time vs docs) BufferWindow vs Summary? (simple vs efficient) ✅ Production : How to scale? (K8s replicas, Redis) How to monitor? (Prometheus, logs) How to optimize cost? (caching, cheaper models) ✅ Improvement Path : v1 → v2 → v3 roadmap What to add next? (RAG, auth, UI) How to evaluate? (test cases, metrics)","code":""},{"m":12,"id":"ml-system-design-best-practices--key-takeaways","title":"🚀 Key Takeaways","text":"Start simple : Agent + tools → Add complexity later 3-tier architecture : Demo → Production → Scale Optimize for iteration : Fast feedback loop Measure everything : Logs, metrics, costs Test systematically : Unit → integration → evaluation Plan for scale : But don't over-engineer early Know trade-offs : Explain every design decision","code":""},{"m":12,"id":"ml-system-design-best-practices--congratulations","title":"🎉 Congratulations!","text":"You've completed all 12 core modules! You now have: ✅ Understanding of LLMs, tokens, embeddings ✅ Knowledge of ReAct, tool calling, agents ✅ Mastery of LangChain components ✅ Production patterns for error handling ✅ System design principles Next : Review QUICK_REFERENCE.md and INTERVIEW_DEMO_PREP.md, then build your project! Time to complete this module : 30 minutes Total learning time (all 12 modules) : ~8-10 hours You're ready to build! 🚀","code":""},{"m":13,"id":"hands-on-exercises-hands-on-exercises-build-your-skills","title":"Hands-On Exercises: Build Your Skills","text":"Total Time : ~2-3 hours Prerequisites : Complete Modules 1-12","code":""},{"m":13,"id":"hands-on-exercises--overview","title":"🎯 Overview","text":"These exercises will help you: Practice what you learned Build muscle memory for coding patterns Gain confidence before the project Identify knowledge gaps Approach : Try each exercise yourself first, then check the solution.","code":""},{"m":13,"id":"hands-on-exercises-️-exercise-1-call-an-llm-30-minutes","title":"🏋️ Exercise 1: Call an LLM (30 minutes)","text":"","code":""},{"m":13,"id":"hands-on-exercises-objective","title":"Objective","text":"Learn to make basic LLM API calls with different parameters.","code":""},{"m":13,"id":"hands-on-exercises-task","title":"Task","text":"Create a Python script that: Calls OpenAI API (or Ollama locally) Tests different temperatures (0.0, 0.5, 1.0) Compares outputs","code":""},{"m":13,"id":"hands-on-exercises-starter-code","title":"Starter Code","text":"","code":"from langchain_openai import ChatOpenAI def test_llm_temperatures(): \"\"\"Test LLM with different temperatures\"\"\" query = \"List 3 common Kubernetes pod issues\" for temp in [0.0, 0.5, 1.0]: print(f\"\\n{'='*50}\") print(f\"Temperature: {temp}\") print(f\"{'='*50}\") # TODO: Create LLM with this temperature # TODO: Call LLM with query # TODO: Print response if __name__ == \"__main__\": test_llm_temperatures()"},{"m":13,"id":"hands-on-exercises-your-solution","title":"Your Solution","text":"Show Solution Expected Output : Temperature 0.0: Same output every run Temperature 0.5: Slight variations Temperature 1.0: More creative, varied outputs","code":"# Write your code here from langchain_openai import ChatOpenAI from langchain.schema import HumanMessage def test_llm_temperatures(): \"\"\"Test LLM with different temperatures\"\"\" query = \"List 3 common Kubernetes pod issues\" for temp in [0.0, 0.5, 1.0]: print(f\"\\n{'='*50}\") print(f\"Temperature: {temp}\") print(f\"{'='*50}\") # Create LLM with temperature llm = ChatOpenAI( model=\"gpt-4\", temperature=temp ) # Call LLM response = llm.invoke([HumanMessage(content=query)]) # Print response print(response.content) print() if __name__ == \"__main__\": test_llm_temperatures()"},{"m":13,"id":"hands-on-exercises-bonus-challenge","title":"Bonus Challenge","text":"Modify to use a local Ollama model instead of OpenAI.","code":""},{"m":13,"id":"hands-on-exercises--exercise-2-create-a-tool-45-minutes","title":"🔧 Exercise 2: Create a Tool (45 minutes)","text":"","code":""},{"m":13,"id":"hands-on-exercises-objective-1","title":"Objective","text":"Build a kubectl tool with proper error handling.","code":""},{"m":13,"id":"hands-on-exercises-task-1","title":"Task","text":"Create a check_pod_resources tool that: Runs kubectl top pod <pod_name> Handles errors (pod not found, kubectl missing, timeout) Returns CPU and memory usage as a string","code":""},{"m":13,"id":"hands-on-exercises-starter-code-1","title":"Starter Code","text":"","code":"from langchain.tools import tool import subprocess @tool def check_pod_resources(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Check CPU and memory usage of a pod. Use this when you need to see if a pod is consuming too many resources or hitting resource limits. Args: pod_name: Name of the pod to check namespace: Kubernetes namespace (default: default) Returns: String with CPU and memory usage, or error message \"\"\" # TODO: Run kubectl top pod command # TODO: Handle errors (not found, timeout, kubectl missing) # TODO: Return formatted output pass # Test it if __name__ == \"__main__\": # Test with a pod that exists result = check_pod_resources(\"nginx-abc\") print(result) # Test with pod that doesn't exist result = check_pod_resources(\"nonexistent-pod\") print(result)"},{"m":13,"id":"hands-on-exercises-your-solution-1","title":"Your Solution","text":"Show Solution","code":"# Write your code here from langchain.tools import tool import subprocess @tool def check_pod_resources(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Check CPU and memory usage of a pod. Use this when you need to see if a pod is consuming too many resources or hitting resource limits. Args: pod_name: Name of the pod to check namespace: Kubernetes namespace (default: default) Returns: String with CPU and memory usage, or error message \"\"\" try: # Run kubectl top pod command result = subprocess.run( [\"kubectl\", \"top\", \"pod\", pod_name, \"-n\", namespace], capture_output=True, text=True, timeout=10 ) # Check if command succeeded if result.returncode != 0: if \"not found\" in result.stderr.lower(): return f\"Error: Pod '{pod_name}' not found in namespace '{namespace}'\" elif \"metrics not available\" in result.stderr.lower(): return f\"Error: Metrics not available. Is metrics-server installed?\" else: return f\"Error: {result.stderr.strip()}\" # Parse output # Format: NAME CPU(cores) MEMORY(bytes) lines = result.stdout.strip().split('\\n') if len(lines) < 2: return \"Error: Unexpected output format\" # Return the data line return f\"Pod resource usage:\\n{lines[1]}\" except subprocess.TimeoutExpired: return \"Error: Command timed out after 10 seconds\" except FileNotFoundError: return \"Error: kubectl command not found. Is it installed?\" except Exception as e: return f\"Unexpected error: {str(e)}\" # Test it if __name__ == \"__main__\": print(\"Test 1: Existing pod\") result = check_pod_resources(\"coredns-5d78c9869d-abcde\", \"kube-system\") print(result) print() print(\"Test 2: Non-existent pod\") result = check_pod_resources(\"nonexistent-pod\") print(result)"},{"m":13,"id":"hands-on-exercises-bonus-challenge-1","title":"Bonus Challenge","text":"Modify to also show resource limits from kubectl describe pod .","code":""},{"m":13,"id":"hands-on-exercises--exercise-3-build-a-simple-agent-1-hour","title":"🤖 Exercise 3: Build a Simple Agent (1 hour)","text":"","code":""},{"m":13,"id":"hands-on-exercises-objective-2","title":"Objective","text":"Create a working ReAct agent with 3 tools.","code":""},{"m":13,"id":"hands-on-exercises-task-2","title":"Task","text":"Build an agent that can: Get pod status Get pod logs (last 20 lines) Describe a pod Use memory to maintain context","code":""},{"m":13,"id":"hands-on-exercises-starter-code-2","title":"Starter Code","text":"","code":"from langchain.agents import create_react_agent, AgentExecutor from langchain_openai import ChatOpenAI from langchain.prompts import PromptTemplate from langchain.memory import ConversationBufferWindowMemory from langchain.tools import tool import subprocess # TODO: Define 3 tools (get_pod_status, get_pod_logs, describe_pod) # TODO: Create ReAct prompt template # TODO: Create agent # TODO: Create agent executor with memory # Test conversation if __name__ == \"__main__\": # Query 1 result = agent_executor.invoke({\"input\": \"Check status of pod nginx-abc\"}) print(result[\"output\"]) # Query 2 (agent should remember nginx-abc from context) result = agent_executor.invoke({\"input\": \"What are the logs?\"}) print(result[\"output\"])"},{"m":13,"id":"hands-on-exercises-your-solution-2","title":"Your Solution","text":"Show Solution","code":"# Write your code here from langchain.agents import create_react_agent, AgentExecutor from langchain_openai import ChatOpenAI from langchain.prompts import PromptTemplate from langchain.memory import ConversationBufferWindowMemory from langchain.tools import tool import subprocess # Define tools @tool def get_pod_status(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Get status of a Kubernetes pod. Use this FIRST when diagnosing issues.\"\"\" try: result = subprocess.run( [\"kubectl\", \"get\", \"pod\", pod_name, \"-n\", namespace], capture_output=True, text=True, timeout=5 ) return result.stdout if result.returncode == 0 else f\"Error: {result.stderr}\" except Exception as e: return f\"Error: {str(e)}\" @tool def get_pod_logs(pod_name: str, namespace: str = \"default\", tail: int = 20) -> str: \"\"\"Get pod logs. Use when pod is crashing to see error messages.\"\"\" try: result = subprocess.run( [\"kubectl\", \"logs\", pod_name, \"-n\", namespace, f\"--tail={tail}\"], capture_output=True, text=True, timeout=10 ) return result.stdout if result.returncode == 0 else f\"Error: {result.stderr}\" except Exception as e: return f\"Error: {str(e)}\" @tool def describe_pod(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Get detailed pod info and events. Use when status and logs aren't enough.\"\"\" try: result = subprocess.run( [\"kubectl\", \"describe\", \"pod\", pod_name, \"-n\", namespace], capture_output=True, text=True, timeout=10 ) return result.stdout if result.returncode == 0 else f\"Error: {result.stderr}\" except Exception as e: return f\"Error: {str(e)}\" tools = [get_pod_status, get_pod_logs, describe_pod] # Create prompt react_prompt = \"\"\" Answer the user's question using these tools: {tools} Tool names: {tool_names} Use this format: Question: the user's question Thought: think about what to do Action: the tool to use (one of [{tool_names}]) Action Input: the input to the tool Observation: the result from the tool ... (repeat Thought/Action/Observation as needed) Thought: I now know the final answer Final Answer: the complete answer Question: {input} {agent_scratchpad} \"\"\" prompt = PromptTemplate.from_template(react_prompt) # Create LLM llm = ChatOpenAI(model=\"gpt-4\", temperature=0.0) # Create agent agent = create_react_agent(llm=llm, tools=tools, prompt=prompt) # Create memory memory = ConversationBufferWindowMemory( k=5, memory_key=\"chat_history\", return_messages=True ) # Create agent executor agent_executor = AgentExecutor( agent=agent, tools=tools, memory=memory, max_iterations=5, verbose=True, handle_parsing_errors=True ) # Test conversation if __name__ == \"__main__\": print(\"\\n\" + \"=\"*50) print(\"Query 1: Check pod status\") print(\"=\"*50) result = agent_executor.invoke({\"input\": \"Check status of pod coredns-abc in kube-system\"}) print(f\"\\nResult: {result['output']}\") print(\"\\n\" + \"=\"*50) print(\"Query 2: Get logs (agent should remember the pod)\") print(\"=\"*50) result = agent_executor.invoke({\"input\": \"What are the logs?\"}) print(f\"\\nResult: {result['output']}\")"},{"m":13,"id":"hands-on-exercises-bonus-challenge-2","title":"Bonus Challenge","text":"Add a 4th tool that checks resource usage and have the agent use it appropriately.","code":""},{"m":13,"id":"hands-on-exercises--exercise-4-implement-memory-30-minutes","title":"💾 Exercise 4: Implement Memory (30 minutes)","text":"","code":""},{"m":13,"id":"hands-on-exercises-objective-3","title":"Objective","text":"Understand different memory types by implementing them.","code":""},{"m":13,"id":"hands-on-exercises-task-3","title":"Task","text":"Compare BufferMemory vs BufferWindowMemory: Create both memory types Add 10 message exchanges Check what each remembers","code":""},{"m":13,"id":"hands-on-exercises-starter-code-3","title":"Starter Code","text":"","code":"from langchain.memory import ConversationBufferMemory, ConversationBufferWindowMemory def test_memory_types(): \"\"\"Compare different memory types\"\"\" # TODO: Create BufferMemory buffer_memory = None # TODO: Create BufferWindowMemory with k=3 window_memory = None # Add 5 exchanges to both exchanges = [ (\"Check pod nginx-abc\", \"Pod is Running\"), (\"Check pod redis-xyz\", \"Pod is CrashLoopBackOff\"), (\"What are redis logs?\", \"Error: Connection refused\"), (\"Check pod mongo-123\", \"Pod is Pending\"), (\"What's mongo status?\", \"Waiting for PVC\") ] # TODO: Add all exchanges to both memories # TODO: Print what each memory remembers if __name__ == \"__main__\": test_memory_types()"},{"m":13,"id":"hands-on-exercises-your-solution-3","title":"Your Solution","text":"Show Solution Expected Output :","code":"# Write your code here from langchain.memory import ConversationBufferMemory, ConversationBufferWindowMemory def test_memory_types(): \"\"\"Compare different memory types\"\"\" # Create BufferMemory (stores all) buffer_memory = ConversationBufferMemory() # Create BufferWindowMemory (stores last k=3) window_memory = ConversationBufferWindowMemory(k=3) # Add 5 exchanges to both exchanges = [ (\"Check pod nginx-abc\", \"Pod is Running\"), (\"Check pod redis-xyz\", \"Pod is CrashLoopBackOff\"), (\"What are redis logs?\", \"Error: Connection refused\"), (\"Check pod mongo-123\", \"Pod is Pending\"), (\"What's mongo status?\", \"Waiting for PVC\") ] print(\"Adding 5 exchanges to both memories...\\n\") for user_input, ai_output in exchanges: buffer_memory.save_context( {\"input\": user_input}, {\"output\": ai_output} ) window_memory.save_context( {\"input\": user_input}, {\"output\": ai_output} ) # Check what each remembers print(\"=\"*60) print(\"BufferMemory (stores ALL):\") print(\"=\"*60) buffer_vars = buffer_memory.load_memory_variables({}) print(buffer_vars[\"history\"]) print() print(\"=\"*60) print(\"BufferWindowMemory with k=3 (stores last 3 exchanges):\") print(\"=\"*60) window_vars = window_memory.load_memory_variables({}) print(window_vars[\"history\"]) print() # Count messages buffer_lines = buffer_vars[\"history\"].count(\"\\n\") window_lines = window_vars[\"history\"].count(\"\\n\") print(f\"BufferMemory: {buffer_lines} lines (all 5 exchanges)\") print(f\"WindowMemory: {window_lines} lines (last 3 exchanges)\") print() print(\"Notice: WindowMemory dropped the first 2 exchanges (nginx and redis status)\") if __name__ == \"__main__\": test_memory_types() BufferMemory stores all 5 exchanges: - Check pod nginx-abc → Pod is Running - Check pod redis-xyz → Pod is CrashLoopBackOff - What are redis logs? → Error: Connection refused - Check pod mongo-123 → Pod is Pending - What's mongo status? → Waiting for PVC WindowMemory (k=3) stores only last 3: - What are redis logs? → Error: Connection refused - Check pod mongo-123 → Pod is Pending - What's mongo status? → Waiting for PVC (First 2 exchanges dropped)"},{"m":13,"id":"hands-on-exercises--exercise-5-practice-debugging-45-minutes","title":"🧬 Exercise 5: Practice Debugging (45 minutes)","text":"","code":""},{"m":13,"id":"hands-on-exercises-objective-4","title":"Objective","text":"Learn to debug agent issues using verbose mode and logs.","code":""},{"m":13,"id":"hands-on-exercises-task-4","title":"Task","text":"An agent is stuck in a loop. Fix it!","code":""},{"m":13,"id":"hands-on-exercises-broken-code","title":"Broken Code","text":"","code":"from langchain.agents import create_react_agent, AgentExecutor from langchain_openai import ChatOpenAI from langchain.prompts import PromptTemplate from langchain.tools import tool @tool def get_info(query: str) -> str: \"\"\"Get information\"\"\" # ⚠️ Vague description! return f\"Info about {query}\" @tool def check_status(query: str) -> str: \"\"\"Check status\"\"\" # ⚠️ Vague description! return f\"Status of {query}\" tools = [get_info, check_status] prompt = PromptTemplate.from_template(\"\"\" Answer: {input} {agent_scratchpad} \"\"\") # ⚠️ Missing format instructions! llm = ChatOpenAI(temperature=1.0) # ⚠️ High temperature! agent = create_react_agent(llm, tools, prompt) # ⚠️ No max_iterations! agent_executor = AgentExecutor(agent=agent, tools=tools, verbose=True) # This will likely loop or fail result = agent_executor.invoke({\"input\": \"Check pod status\"})"},{"m":13,"id":"hands-on-exercises-your-task","title":"Your Task","text":"Identify all problems Fix each one Test that it works","code":""},{"m":13,"id":"hands-on-exercises-your-solution-4","title":"Your Solution","text":"Show Solution Problems identified : ❌ Vague tool descriptions → Agent doesn't know when to use them ❌ Missing ReAct format in prompt → Agent doesn't know how to structure output ❌ High temperature (1.0) → Random tool selection ❌ No max_iterations → Can loop forever ❌ No error handling → Will crash on parsing errors Fixed code :","code":"# Write your fixed code here from langchain.agents import create_react_agent, AgentExecutor from langchain_openai import ChatOpenAI from langchain.prompts import PromptTemplate from langchain.tools import tool # ✅ Clear, specific tool descriptions @tool def get_pod_info(pod_name: str) -> str: \"\"\"Get general information about a pod. Use this when you need to see pod configuration, labels, or metadata. NOT for status (use check_pod_status instead). Args: pod_name: Name of the pod \"\"\" return f\"Info: Pod {pod_name} has labels app=nginx, replicas=3\" @tool def check_pod_status(pod_name: str) -> str: \"\"\"Check the current status of a pod. Use this when you need to see if pod is Running, Pending, CrashLoopBackOff, etc. This should be your FIRST step when diagnosing pod issues. Args: pod_name: Name of the pod \"\"\" return f\"Status: Pod {pod_name} is Running\" tools = [get_pod_info, check_pod_status] # ✅ Complete ReAct prompt template prompt = PromptTemplate.from_template(\"\"\" Answer the user's question using these tools: {tools} Tool names: {tool_names} Use this format: Question: the user's question Thought: think about what to do Action: the tool to use (one of [{tool_names}]) Action Input: the input to the tool Observation: the result from the tool ... (repeat as needed) Thought: I now know the final answer Final Answer: the answer Question: {input} {agent_scratchpad} \"\"\") # ✅ Low temperature for deterministic behavior llm = ChatOpenAI(model=\"gpt-4\", temperature=0.0) agent = create_react_agent(llm, tools, prompt) # ✅ Max iterations and error handling agent_executor = AgentExecutor( agent=agent, tools=tools, max_iterations=5, # ✅ Prevent infinite loops early_stopping_method=\"generate\", # ✅ Graceful exit handle_parsing_errors=True, # ✅ Handle format errors verbose=True ) # Now works correctly result = agent_executor.invoke({\"input\": \"Check status of pod nginx-abc\"}) print(f\"\\nResult: {result['output']}\")"},{"m":13,"id":"hands-on-exercises--exercise-6-end-to-end-system-1-hour","title":"🎯 Exercise 6: End-to-End System (1 hour)","text":"","code":""},{"m":13,"id":"hands-on-exercises-objective-5","title":"Objective","text":"Build a complete minimal system combining everything learned.","code":""},{"m":13,"id":"hands-on-exercises-task-5","title":"Task","text":"Create a FastAPI service with: An endpoint /diagnose that takes a pod name An agent with 3 tools Memory for conversation Error handling Basic logging","code":""},{"m":13,"id":"hands-on-exercises-starter-code-4","title":"Starter Code","text":"","code":"from fastapi import FastAPI, HTTPException from pydantic import BaseModel from langchain.agents import create_react_agent, AgentExecutor from langchain_openai import ChatOpenAI from langchain.memory import ConversationBufferWindowMemory import logging # Setup logging logging.basicConfig(level=logging.INFO) logger = logging.getLogger(__name__) app = FastAPI() # TODO: Define request/response models class DiagnoseRequest(BaseModel): pass # Fill this in class DiagnoseResponse(BaseModel): pass # Fill this in # TODO: Create agent with tools # TODO: Create endpoint @app.post(\"/diagnose\") async def diagnose(request: DiagnoseRequest): pass # Implement this if __name__ == \"__main__\": import uvicorn uvicorn.run(app, host=\"0.0.0.0\", port=8000)"},{"m":13,"id":"hands-on-exercises-your-solution-5","title":"Your Solution","text":"Show Solution Test it :","code":"# Write your code here from fastapi import FastAPI, HTTPException from pydantic import BaseModel from langchain.agents import create_react_agent, AgentExecutor from langchain_openai import ChatOpenAI from langchain.prompts import PromptTemplate from langchain.memory import ConversationBufferWindowMemory from langchain.tools import tool import subprocess import logging import time # Setup logging logging.basicConfig( level=logging.INFO, format='%(asctime)s - %(name)s - %(levelname)s - %(message)s' ) logger = logging.getLogger(__name__) app = FastAPI(title=\"K8s Diagnostic Agent\") # Request/Response models class DiagnoseRequest(BaseModel): pod_name: str namespace: str = \"default\" session_id: str = \"default\" class DiagnoseResponse(BaseModel): success: bool diagnosis: str duration_ms: float error: str = None # Define tools @tool def get_pod_status(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Get pod status. Use FIRST when diagnosing.\"\"\" try: result = subprocess.run( [\"kubectl\", \"get\", \"pod\", pod_name, \"-n\", namespace], capture_output=True, text=True, timeout=5 ) return result.stdout if result.returncode == 0 else f\"Error: {result.stderr}\" except Exception as e: return f\"Error: {str(e)}\" @tool def get_pod_logs(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Get pod logs when pod is crashing.\"\"\" try: result = subprocess.run( [\"kubectl\", \"logs\", pod_name, \"-n\", namespace, \"--tail=20\"], capture_output=True, text=True, timeout=10 ) return result.stdout if result.returncode == 0 else f\"Error: {result.stderr}\" except Exception as e: return f\"Error: {str(e)}\" @tool def describe_pod(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Get detailed pod info when status/logs aren't enough.\"\"\" try: result = subprocess.run( [\"kubectl\", \"describe\", \"pod\", pod_name, \"-n\", namespace], capture_output=True, text=True, timeout=10 ) return result.stdout if result.returncode == 0 else f\"Error: {result.stderr}\" except Exception as e: return f\"Error: {str(e)}\" tools = [get_pod_status, get_pod_logs, describe_pod] # Create prompt react_prompt = \"\"\" You are a Kubernetes troubleshooting expert. Tools: {tools} Tool names: {tool_names} Format: Question: {input} Thought: [reasoning] Action: [tool name] Action Input: [tool input] Observation: [result] ... (repeat) Final Answer: [diagnosis with recommended fixes] Question: {input} {agent_scratchpad} \"\"\" prompt = PromptTemplate.from_template(react_prompt) # Create LLM llm = ChatOpenAI(model=\"gpt-4\", temperature=0.0) # Create agent agent = create_react_agent(llm, tools, prompt) # Global memory (in production, use Redis with session IDs) memory = ConversationBufferWindowMemory( k=10, memory_key=\"chat_history\", return_messages=True ) # Create agent executor agent_executor = AgentExecutor( agent=agent, tools=tools, memory=memory, max_iterations=5, early_stopping_method=\"generate\", handle_parsing_errors=True, verbose=True ) @app.post(\"/diagnose\", response_model=DiagnoseResponse) async def diagnose(request: DiagnoseRequest): \"\"\"Diagnose a Kubernetes pod\"\"\" start_time = time.time() logger.info(f\"Diagnosing pod: {request.pod_name} in namespace: {request.namespace}\") try: # Build query query = f\"Diagnose pod {request.pod_name} in namespace {request.namespace}\" # Call agent result = agent_executor.invoke({\"input\": query}) duration = (time.time() - start_time) * 1000 logger.info(f\"Diagnosis completed in {duration:.0f}ms\") return DiagnoseResponse( success=True, diagnosis=result[\"output\"], duration_ms=duration ) except Exception as e: duration = (time.time() - start_time) * 1000 logger.error(f\"Error during diagnosis: {e}\") return DiagnoseResponse( success=False, diagnosis=\"\", duration_ms=duration, error=str(e) ) @app.get(\"/health\") async def health(): \"\"\"Health check endpoint\"\"\" return {\"status\": \"healthy\"} if __name__ == \"__main__\": import uvicorn uvicorn.run(app, host=\"0.0.0.0\", port=8000) # Terminal 1: Start server python app.py # Terminal 2: Test endpoint curl -X POST \"http://localhost:8000/diagnose\" \\ -H \"Content-Type: application/json\" \\ -d '{\"pod_name\": \"nginx-abc\", \"namespace\": \"default\"}'"},{"m":13,"id":"hands-on-exercises--self-assessment","title":"🎓 Self-Assessment","text":"After completing these exercises, you should be able to: ✅ Make basic LLM API calls ✅ Understand temperature effects ✅ Create tools with error handling ✅ Build a working ReAct agent ✅ Implement and compare memory types ✅ Debug agent issues ✅ Build a complete FastAPI service If you struggled with any : Review the relevant module Try the exercise again Check the solution and understand each line","code":""},{"m":13,"id":"hands-on-exercises--next-steps","title":"🚀 Next Steps","text":"You're now ready to: ✅ Build your K8s troubleshooting agent project ✅ Demo it to Hoang and the team ✅ Explain every technical decision confidently Before starting the project : Review QUICK_REFERENCE.md Read INTERVIEW_DEMO_PREP.md Practice explaining concepts out loud","code":""},{"m":13,"id":"hands-on-exercises--tips-for-success","title":"💡 Tips for Success","text":"Type, don't copy-paste : Muscle memory matters Experiment : Change parameters, see what happens Break things : Best way to learn is fixing errors Take notes : Write down your \"aha!\" moments Practice explaining : Teach concepts to rubber duck Congratulations on completing the hands-on exercises! You're ready to build! 🎉 Total learning time : ~10-12 hours (modules + exercises) Project time : ~8-12 hours (Level 1-3 implementation) Total : ~20-24 hours to master AI agent development!","code":""},{"m":14,"id":"interview-demo-prep-interview--demo-preparation-k8s-ai-agent-project","title":"Interview & Demo Preparation: K8s AI Agent Project","text":"Talking points for presenting to Hoang and team","code":""},{"m":14,"id":"interview-demo-prep--opening-statement-30-seconds","title":"🎯 Opening Statement (30 seconds)","text":"\"I built an AI-powered Kubernetes troubleshooting agent that uses the ReAct pattern to autonomously diagnose cluster issues. It combines GPT-4's reasoning with live kubectl commands through LangChain tools. The agent maintains conversation memory and can iteratively debug by calling tools, analyzing results, and deciding next steps. I deployed it as a FastAPI service in Kubernetes with RBAC for secure cluster access.\"","code":""},{"m":14,"id":"interview-demo-prep--demo-flow-5-10-minutes","title":"📋 Demo Flow (5-10 minutes)","text":"","code":""},{"m":14,"id":"interview-demo-prep-1-problem-statement-1-min","title":"1. Problem Statement (1 min)","text":"\"Traditional K8s troubleshooting requires manual kubectl commands and deep expertise. I wanted to create an intelligent assistant that could autonomously investigate issues and suggest fixes.\"","code":""},{"m":14,"id":"interview-demo-prep-2-architecture-overview-2-min","title":"2. Architecture Overview (2 min)","text":"Show diagram and explain: Key Points : ReAct pattern enables autonomous reasoning 5 focused kubectl tools (not 20+) Conversation memory for multi-turn debugging Structured output parsing for reliability","code":"User: \"Pod myapp-5678 is crashing\" ↓ FastAPI → LangChain ReAct Agent ↓ Thought: \"I need to check pod status first\" ↓ Action: GetPodStatus(pod_name=\"myapp-5678\") ↓ Observation: \"Pod is CrashLoopBackOff\" ↓ Thought: \"Now I need logs to see why\" ↓ Action: GetPodLogs(pod_name=\"myapp-5678\") ↓ Observation: \"Error: Connection to DB failed\" ↓ Final Answer: \"Pod failing due to DB connection issue...\""},{"m":14,"id":"interview-demo-prep-3-live-demo-3-5-min","title":"3. Live Demo (3-5 min)","text":"","code":""},{"m":14,"id":"interview-demo-prep-scenario-1-simple-diagnosis","title":"Scenario 1: Simple Diagnosis","text":"Expected Flow : Agent checks pod status (Pending) Agent describes pod (sees ImagePullBackOff) Agent returns: \"Pod can't pull image 'nginx:wrong-tag' - tag doesn't exist\" Talking Point : \"Notice the agent autonomously decided which tools to call. I didn't hardcode 'check status then describe pod' - it reasoned through the problem.\"","code":"# Start the agent kubectl port-forward svc/k8s-agent 8000:8000 # Query curl -X POST http://localhost:8000/agent \\ -d '{\"query\": \"Why is nginx-deployment-abc123 not starting?\"}'"},{"m":14,"id":"interview-demo-prep-scenario-2-multi-turn-debugging","title":"Scenario 2: Multi-Turn Debugging","text":"Talking Point : \"The agent maintains context across messages using BufferWindowMemory. It remembers we're debugging cart-service-xyz without me repeating it.\"","code":"User: \"Help me debug cart-service-xyz\" Agent: [checks status, finds CrashLoopBackOff] User: \"What's in the logs?\" Agent: [retrieves logs, finds OOMKilled] User: \"What are the resource limits?\" Agent: [checks resources, sees 128Mi limit] Agent: \"Container exceeds 128Mi memory limit. Recommendation: Increase to 256Mi.\""},{"m":14,"id":"interview-demo-prep-4-code-walkthrough-2-min","title":"4. Code Walkthrough (2 min)","text":"","code":""},{"m":14,"id":"interview-demo-prep-show-tool-implementation","title":"Show Tool Implementation","text":"Talking Points : ✅ Detailed description helps agent decide when to use tool ✅ Error handling prevents crashes ✅ Timeout prevents hanging ✅ Returns string (not object) for LLM parsing","code":"@tool def get_pod_status(pod_name: str, namespace: str = \"default\") -> str: \"\"\"Get the status of a Kubernetes pod. Use this tool when you need to check if a pod is Running, Pending, CrashLoopBackOff, or in any other state. Args: pod_name: Name of the pod (required) namespace: Kubernetes namespace (default: default) Returns: String describing pod status and conditions \"\"\" try: result = subprocess.run( [\"kubectl\", \"get\", \"pod\", pod_name, \"-n\", namespace], capture_output=True, text=True, timeout=5 ) if result.returncode != 0: return f\"Error: Pod {pod_name} not found in namespace {namespace}\" return result.stdout except Exception as e: return f\"Error checking pod status: {str(e)}\""},{"m":14,"id":"interview-demo-prep-show-agent-setup","title":"Show Agent Setup","text":"Talking Points : ✅ max_iterations prevents runaway loops ✅ handle_parsing_errors increases robustness ✅ verbose=True for debugging (disable in prod) ✅ BufferWindowMemory with k=10 balances context and tokens","code":"from langchain.agents import create_react_agent, AgentExecutor from langchain.memory import ConversationBufferWindowMemory memory = ConversationBufferWindowMemory( k=10, # Last 10 exchanges memory_key=\"chat_history\", return_messages=True ) agent_executor = AgentExecutor( agent=agent, tools=[get_pod_status, get_pod_logs, describe_pod, analyze_errors, check_resources], memory=memory, verbose=True, max_iterations=5, # Prevent infinite loops handle_parsing_errors=True )"},{"m":14,"id":"interview-demo-prep-️-anticipated-questions--answers","title":"🗣️ Anticipated Questions & Answers","text":"","code":""},{"m":14,"id":"interview-demo-prep-q-why-react-instead-of-rag","title":"Q: Why ReAct instead of RAG?","text":"A : \"RAG is for retrieval-augmented generation - great when you have a large knowledge base of documents to search. My agent needs to interact with live cluster state, not retrieve static docs. ReAct pattern allows the agent to call tools (kubectl commands) based on what it discovers. That said, a production version could combine both: use RAG to retrieve runbook docs, and ReAct to execute diagnostic commands.\"","code":""},{"m":14,"id":"interview-demo-prep-q-why-only-5-tools-why-not-cover-all-kubectl-commands","title":"Q: Why only 5 tools? Why not cover all kubectl commands?","text":"A : \"Research shows agents perform worse with too many tools - they get confused deciding which to use. I analyzed common K8s issues and found 80% fall into 5 categories: status checks, logs, resource descriptions, error patterns, and resource limits. These 5 tools cover most scenarios. For edge cases, I can add specialized tools, but starting focused improves accuracy.\"","code":""},{"m":14,"id":"interview-demo-prep-q-how-does-the-agent-decide-which-tool-to-call","title":"Q: How does the agent decide which tool to call?","text":"A : \"The LLM reads each tool's description and compares it to the current situation. For example, if the agent's thought is 'I need to check pod status', it scans all tool descriptions and finds GetPodStatus has 'Use this when checking if pod is Running, Pending, CrashLoopBackOff...' - that matches, so it calls that tool. This is why clear, detailed descriptions are critical.\"","code":""},{"m":14,"id":"interview-demo-prep-q-what-if-the-agent-hallucinates-or-gives-wrong-advice","title":"Q: What if the agent hallucinates or gives wrong advice?","text":"A : \"Several safeguards: First, I use temperature=0.0 for deterministic outputs. Second, all tools validate inputs before executing. Third, I set max_iterations=5 to prevent loops. Fourth, I parse tool outputs into structured format. But yes, hallucinations can still happen - in production I'd add human-in-the-loop approval for risky actions like pod deletion or config changes. This v1 is read-only for safety.\"","code":""},{"m":14,"id":"interview-demo-prep-q-why-github-copilot-instead-of-llama-or-gpt-4","title":"Q: Why GitHub Copilot instead of Llama or GPT-4?","text":"A : \"Three options I considered: GitHub Copilot: Access to our code repos, understands our deployment patterns. Best for code-aware troubleshooting. GPT-4: Highest quality reasoning but expensive ($$$) and no code context. Llama 3 70B: Free, open-source, good quality, but no code context and needs GPU. I chose Copilot for the demo since troubleshooting benefits from understanding our codebase. For cost-sensitive production, I'd evaluate Llama 3 with fine-tuning on our runbooks.\"","code":""},{"m":14,"id":"interview-demo-prep-q-how-does-memory-work","title":"Q: How does memory work?","text":"A : \"I use ConversationBufferWindowMemory which stores the last 10 message exchanges. When the agent receives a new query, it sees the last 10 back-and-forths, giving it context. For example: User: 'Debug cart-service-xyz' Agent: [checks status] User: 'What are the logs?' Agent: [knows we're still talking about cart-service-xyz] I chose window memory over summary memory because debugging sessions are typically short (5-10 exchanges). Window memory is simpler and more predictable. For longer sessions, I'd use SummaryBufferMemory which summarizes old context to save tokens.\"","code":""},{"m":14,"id":"interview-demo-prep-q-what-about-security-can-the-agent-delete-pods","title":"Q: What about security? Can the agent delete pods?","text":"A : \"Security through layers: RBAC: The service account only has read permissions - get, list, describe. No delete, create, or update. Tool design: All 5 tools are read-only operations. Future: For write operations, I'd add approval workflows or restrict to specific namespaces. This follows principle of least privilege. The agent can't break things because it literally doesn't have permission.\"","code":""},{"m":14,"id":"interview-demo-prep-q-how-would-you-improve-this-for-production","title":"Q: How would you improve this for production?","text":"Great question - my roadmap has 3 phases: Phase 1 (Current) : Read-only diagnostics with 5 tools Phase 2 : Add RAG for runbook retrieval, expand to 10 tools covering networking and storage Phase 3 : Safe write operations with approval (restart pod, scale deployment) Specific improvements : Evaluation : Collect 100 real issues, measure agent accuracy, identify failures Caching : Cache tool responses (pod status doesn't change every second) Observability : Log agent decisions, track which tools are used most Fine-tuning : Fine-tune Llama 3 on our runbooks to reduce cost vs Copilot UI : Build Streamlit dashboard for non-technical users Multi-cluster : Extend to work across dev/staging/prod environments Proactive monitoring : Agent detects issues before users report them","code":""},{"m":14,"id":"interview-demo-prep-q-how-long-did-this-take-you-to-build","title":"Q: How long did this take you to build?","text":"A : \"About 12 hours total: 2 hours: Learning AI fundamentals (LLMs, ReAct, LangChain) 3 hours: Designing architecture and choosing components 4 hours: Implementing tools, agent, and FastAPI service 2 hours: K8s deployment, RBAC setup, and testing 1 hour: Documentation and this demo The key was spending time upfront understanding the patterns rather than jumping into code. Once I grasped ReAct and tool calling, the implementation was straightforward.\"","code":""},{"m":14,"id":"interview-demo-prep-q-what-was-the-hardest-part","title":"Q: What was the hardest part?","text":"A : \"Two challenges: 1. Tool descriptions : My first attempt had vague descriptions like 'Get pod info'. The agent kept calling the wrong tools. I learned descriptions must be specific about WHEN to use the tool, not just WHAT it does. Added examples and use cases, which improved accuracy significantly.* 2. Token management : Early version crashed when debugging sessions exceeded context window. Switching to BufferWindowMemory and monitoring token usage fixed it. Learned to always consider token limits when designing agents.\"*","code":""},{"m":14,"id":"interview-demo-prep--key-talking-points-to-memorize","title":"🎯 Key Talking Points to Memorize","text":"","code":""},{"m":14,"id":"interview-demo-prep-why-react","title":"Why ReAct?","text":"✅ Enables tool calling for live data ✅ Autonomous reasoning ✅ Better than hardcoded if/else logic","code":""},{"m":14,"id":"interview-demo-prep-design-decisions","title":"Design Decisions","text":"✅ 5 focused tools > 20 generic tools (prevents confusion) ✅ Temperature 0.0 for deterministic tool selection ✅ max_iterations=5 prevents infinite loops ✅ Read-only tools for safety ✅ BufferWindowMemory for short debugging sessions","code":""},{"m":14,"id":"interview-demo-prep-production-considerations","title":"Production Considerations","text":"✅ Add RAG for runbook retrieval ✅ Implement approval workflows for write operations ✅ Cache tool responses ✅ Fine-tune on internal docs ✅ Add observability and metrics ✅ Evaluate accuracy on real issues","code":""},{"m":14,"id":"interview-demo-prep--demo-success-checklist","title":"🚀 Demo Success Checklist","text":"Before Demo : K8s cluster running (minikube start) Agent deployed (kubectl apply -f deployment.yaml) Create test pods with issues (ImagePullBackOff, CrashLoopBackOff, OOMKilled) Test queries work end-to-end Review all talking points Prepare 2-3 example queries During Demo : Start with architecture diagram Show live demo (don't just talk about it) Walk through code (tools & agent setup) Explain design decisions proactively Mention production improvements After Demo : Ask for feedback: \"What would you improve?\" Offer to add features: \"I can add X if helpful\" Show eagerness to learn: \"I'd love to extend this with RAG\"","code":""},{"m":14,"id":"interview-demo-prep--confidence-boosters","title":"💡 Confidence Boosters","text":"","code":""},{"m":14,"id":"interview-demo-prep-if-you-get-stuck","title":"If You Get Stuck","text":"\"That's a great question - I want to make sure I give you an accurate answer. Let me think through that...\" [Take 5 seconds to compose thoughts]","code":""},{"m":14,"id":"interview-demo-prep-if-you-dont-know","title":"If You Don't Know","text":"\"I haven't implemented that yet, but here's how I'd approach it...\" [Show your thinking process]","code":""},{"m":14,"id":"interview-demo-prep-if-demo-breaks","title":"If Demo Breaks","text":"\"Interesting - this is a great example of why robust error handling is critical. Let me check the logs...\" [Turn it into a learning moment]","code":""},{"m":14,"id":"interview-demo-prep-to-show-enthusiasm","title":"To Show Enthusiasm","text":"\"I'm really excited about this pattern because...\" \"One thing I'd love to explore next is...\" \"This project taught me...\"","code":""},{"m":14,"id":"interview-demo-prep--fast-review-5-min-before-demo","title":"🎓 Fast Review (5 min before demo)","text":"What is your agent? K8s troubleshooting assistant using ReAct pattern with 5 kubectl tools Why ReAct? Needs to call tools to get live cluster data, not just reason with training data Why 5 tools? Cover 80% of issues, more tools confuse agent Why this memory? BufferWindowMemory - debugging sessions are short, needs recent context Why Copilot? Code-aware troubleshooting, understands our repos Security? RBAC read-only, all tools are safe operations Production improvements? RAG, caching, fine-tuning, approval workflows, observability Time to build? ~12 hours (2 learning, 3 design, 4 implementation, 2 K8s, 1 docs)","code":""},{"m":14,"id":"interview-demo-prep--closing-statement","title":"🏆 Closing Statement","text":"\"This project demonstrates my ability to quickly learn and apply ML concepts to real problems. I understand the fundamentals - LLMs, agents, tool calling, memory management - and can explain every design decision. More importantly, I can iterate and improve: add RAG, expand tools, optimize for production. I'm excited to bring this fast-learning, first-principles approach to your ML team.\" You've got this! 🚀 Remember: Confidence comes from understanding, and you've built that foundation. Good luck!","code":""},{"m":15,"id":"quick-reference-quick-reference-aiml-concepts-for-k8s-agent-project","title":"Quick Reference: AI/ML Concepts for K8s Agent Project","text":"Use this as a cheat sheet during interviews and demos","code":""},{"m":15,"id":"quick-reference--llms-large-language-models","title":"🤖 LLMs (Large Language Models)","text":"","code":""},{"m":15,"id":"quick-reference-what-they-are","title":"What They Are","text":"Neural networks trained on massive text data Predict next token based on patterns Parameters = \"knobs\" (more = smarter but slower)","code":""},{"m":15,"id":"quick-reference-key-specs","title":"Key Specs","text":"Model Parameters Context Window Cost Speed GPT-4 ~1.7T 8K-128K $$$ Slow Llama 3 70B 70B 8K Free Medium Llama 3 7B 7B 8K Free Fast","code":""},{"m":15,"id":"quick-reference-important-numbers","title":"Important Numbers","text":"1 token ≈ 0.75 words 8K tokens ≈ 6K words ≈ 10 pages Temperature 0.0 = deterministic, 1.0 = creative","code":""},{"m":15,"id":"quick-reference-️-react-pattern","title":"⚛️ ReAct Pattern","text":"","code":""},{"m":15,"id":"quick-reference-the-loop","title":"The Loop","text":"","code":"Thought → Action → Observation → Thought → ..."},{"m":15,"id":"quick-reference-why-use-it","title":"Why Use It","text":"✅ Can call tools to get real data ✅ Can interact with systems (kubectl, APIs) ✅ Can verify facts, not just guess ❌ More complex than simple prompting ❌ Multiple LLM calls (slower/expensive)","code":""},{"m":15,"id":"quick-reference-when-to-use","title":"When to Use","text":"✅ Troubleshooting (need real cluster data) ✅ Math/calculations (need calculator) ✅ Current info (need search tool) ❌ Just explaining concepts (use simple prompt) ❌ Creative writing (no tools needed)","code":""},{"m":15,"id":"quick-reference--toolsfunction-calling","title":"🔧 Tools/Function Calling","text":"","code":""},{"m":15,"id":"quick-reference-3-essential-parts","title":"3 Essential Parts","text":"Name : What LLM calls it Function : Python code that executes Description : When/how to use it","code":""},{"m":15,"id":"quick-reference-good-description-template","title":"Good Description Template","text":"","code":"[What it does in one sentence] Use this when: - [Scenario 1] - [Scenario 2] Input: [Format] Output: [What it returns] Example: Input: [example] Output: [result]"},{"m":15,"id":"quick-reference-best-practices","title":"Best Practices","text":"✅ 5-7 tools (not 20+) ✅ Clear, specific descriptions ✅ Handle all errors ✅ Validate inputs ✅ Return strings (not objects)","code":""},{"m":15,"id":"quick-reference--memory-types","title":"🧠 Memory Types","text":"Type When to Use Pros Cons BufferMemory Demos, short sessions Simple Token overflow BufferWindowMemory ⭐ Multi-turn debugging Predictable Loses old context SummaryMemory Long sessions Saves tokens Extra LLM calls SummaryBufferMemory Production Best balance Complex","code":""},{"m":15,"id":"quick-reference-your-project-use-bufferwindowmemory","title":"Your Project: Use BufferWindowMemory","text":"","code":"from langchain.memory import ConversationBufferWindowMemory memory = ConversationBufferWindowMemory( k=10, # Last 10 exchanges memory_key=\"chat_history\", return_messages=True )"},{"m":15,"id":"quick-reference--rag-retrieval-augmented-generation","title":"📊 RAG (Retrieval-Augmented Generation)","text":"","code":""},{"m":15,"id":"quick-reference-what-it-is","title":"What It Is","text":"","code":"User Query → Retrieve Relevant Docs → LLM + Docs → Answer"},{"m":15,"id":"quick-reference-components","title":"Components","text":"Embeddings : Convert text to vectors Vector DB : Store/search embeddings (Chroma, Pinecone) Retriever : Find relevant docs Generator : LLM synthesizes answer","code":""},{"m":15,"id":"quick-reference-when-needed","title":"When Needed","text":"✅ Large knowledge base (docs, runbooks) ✅ Frequently updated info ✅ Want to cite sources ❌ Simple Q&A (overkill) ❌ Your project v1 (add later)","code":""},{"m":15,"id":"quick-reference-️-your-k8s-agent-architecture","title":"🏗️ Your K8s Agent Architecture","text":"","code":"User Query ↓ FastAPI Service (in K8s) ↓ LangChain ReAct Agent ├─ LLM (Copilot/Llama 3) ├─ Memory (BufferWindowMemory) ├─ Tools: │ ├─ GetPodStatus │ ├─ GetPodLogs │ ├─ DescribePod │ ├─ AnalyzeErrors │ └─ CheckResources └─ Output Parser (Pydantic) ↓ Structured Response"},{"m":15,"id":"quick-reference--component-trade-offs","title":"🎯 Component Trade-offs","text":"","code":""},{"m":15,"id":"quick-reference-llm-choice","title":"LLM Choice","text":"","code":""},{"m":15,"id":"quick-reference-github-copilot-gpt-4","title":"GitHub Copilot (GPT-4)","text":"✅ Best: Code understanding, your repos ✅ Quality: Highest accuracy ❌ Cost: $$$ per call ❌ Vendor lock-in","code":""},{"m":15,"id":"quick-reference-llama-3-70b","title":"Llama 3 70B","text":"✅ Free and open source ✅ Good quality (90% of GPT-4) ✅ Can fine-tune ❌ No code context ❌ Need GPU to run","code":""},{"m":15,"id":"quick-reference-llama-3-7b","title":"Llama 3 7B","text":"✅ Fast inference ✅ Runs on CPU ✅ Free ❌ Lower quality ❌ Simpler reasoning","code":""},{"m":15,"id":"quick-reference-agent-pattern","title":"Agent Pattern","text":"","code":""},{"m":15,"id":"quick-reference-react","title":"ReAct","text":"✅ Can use tools ✅ Autonomous decisions ✅ Best for troubleshooting ❌ Multiple LLM calls ❌ Complex to debug","code":""},{"m":15,"id":"quick-reference-chain-of-thought","title":"Chain-of-Thought","text":"✅ Simple reasoning ✅ One LLM call ❌ No tools ❌ Can't get real data","code":""},{"m":15,"id":"quick-reference-memory-strategy","title":"Memory Strategy","text":"","code":""},{"m":15,"id":"quick-reference-bufferwindowmemory-your-choice","title":"BufferWindowMemory (Your choice)","text":"✅ Simple, predictable ✅ Fixed token usage ✅ Good for debugging sessions ❌ Loses old context ❌ Not ideal for very long sessions","code":""},{"m":15,"id":"quick-reference-summarybuffermemory","title":"SummaryBufferMemory","text":"✅ Best token efficiency ✅ Preserves key info ❌ Extra LLM calls ❌ More complex ❌ Overkill for demo","code":""},{"m":15,"id":"quick-reference--interview-talking-points","title":"💬 Interview Talking Points","text":"","code":""},{"m":15,"id":"quick-reference-why-this-architecture","title":"Why This Architecture?","text":"\"I chose ReAct pattern because we need to interact with live Kubernetes clusters - the agent must call kubectl commands to get real data. Chain-of-Thought wouldn't work because it only reasons with training data.\"","code":""},{"m":15,"id":"quick-reference-why-these-tools","title":"Why These Tools?","text":"\"I focused on 5 essential diagnostic tools rather than creating one for every kubectl command. More tools confuse the agent and hurt performance. These 5 cover 90% of common issues: status checks, logs, details, error patterns, and resources.\"","code":""},{"m":15,"id":"quick-reference-why-this-memory","title":"Why This Memory?","text":"\"I used ConversationBufferWindowMemory with k=10 because debugging sessions typically involve 5-10 exchanges. This prevents token overflow while maintaining recent context. For production, I'd upgrade to SummaryBufferMemory for longer sessions.\"","code":""},{"m":15,"id":"quick-reference-why-copilot","title":"Why Copilot?","text":"\"GitHub Copilot has access to our code repositories, so it can analyze deployment YAMLs and suggest fixes specific to our stack. Alternative was Llama 3 which is free but lacks code context. Trade-off: cost vs accuracy.\"","code":""},{"m":15,"id":"quick-reference--common-pitfalls-to-avoid","title":"🚨 Common Pitfalls to Avoid","text":"Mistake Why Bad Fix Too many tools Confuses agent 5-7 focused tools max Vague tool descriptions Wrong tool selection Detailed descriptions with examples No error handling Agent crashes Try/except in all tools High temperature Inconsistent tool picks Use 0.0-0.3 for agents No max_iterations Infinite loops Set to 5-10 Ignoring token limits Context overflow Monitor and manage memory","code":""},{"m":15,"id":"quick-reference--quick-decision-matrix","title":"📝 Quick Decision Matrix","text":"","code":""},{"m":15,"id":"quick-reference-should-i-add-rag","title":"Should I add RAG?","text":"Do you have >100 pages of docs? → Yes Is info frequently updated? → Yes Demo only, static K8s? → No (add later)","code":""},{"m":15,"id":"quick-reference-should-i-use-gpt-4-or-llama","title":"Should I use GPT-4 or Llama?","text":"Need code analysis? → GPT-4/Copilot Budget constrained? → Llama 3 Demo simplicity? → Llama 3 (local, no API keys)","code":""},{"m":15,"id":"quick-reference-should-i-add-more-tools","title":"Should I add more tools?","text":"Is tool used >20% of time? → Yes Does it add unique capability? → Yes Just another view of same data? → No","code":""},{"m":15,"id":"quick-reference--one-sentence-explanations","title":"🎓 One-Sentence Explanations","text":"LLM : Neural network that predicts next token based on patterns in training data Token : Smallest unit LLM processes, roughly 0.75 words Context Window : Maximum tokens LLM can \"remember\" at once ReAct : Pattern where LLM thinks, calls tools, observes results, and repeats Tool Calling : Giving LLM ability to request function executions Memory : Storing conversation history to maintain context RAG : Retrieving relevant docs before generating answer Embeddings : Converting text to numeric vectors for similarity search Agent : LLM with tools and autonomy to solve tasks Temperature : Controls randomness (0=deterministic, 1=creative)","code":""},{"m":15,"id":"quick-reference--confidence-checklist","title":"🎯 Confidence Checklist","text":"Before the demo, can you explain: ✅ Why you chose ReAct over chain-of-thought? ✅ Why these specific 5 tools? ✅ How token limits affect your agent? ✅ Why you chose this memory type? ✅ Trade-offs of Copilot vs Llama? ✅ How the agent decides which tool to use? ✅ What happens if agent gets stuck in a loop? ✅ How you'd improve this in production? If yes to all → You're ready! 🚀","code":""}]};
@@ -16,6 +16,18 @@ if [ ! -f "index.html" ]; then
     exit 1
 fi
 
+# Check for broken links, assets and anchors before anything is pushed
+echo "🔗 Checking links..."
+if [ ! -d "hub-generator/node_modules" ]; then
+    echo "❌ Error: hub-generator dependencies missing. Run: cd hub-generator && npm install"
+    exit 1
+fi
+if ! node hub-generator/check-links.js; then
+    echo "❌ Error: fix the broken links above (or list known ones in .linkcheckignore) before deploying."
+    exit 1
+fi
+
+echo ""
 # Check git status
 echo "📋 Checking git status..."
 git status
@@ -0,0 +1,251 @@
+window.DOCS_MANIFEST = {
+  "roots": [
+    "blog",
+    "clouddevprep",
+    "prep-material",
+    "whitepaper"
+  ],
+  "collections": [
+    {
+      "id": "blog",
+      "title": "Blog",
+      "searchIndex": "docs-search/blog.search.js",
+      "docs": [
+        {
+          "path": "blog/README.md",
+          "title": "Blog Posts",
+          "group": null
+        },
+        {
+          "path": "blog/building-interactive-labs.md",
+          "title": "Building Interactive Hands-On Labs for HPE SilverCreek",
+          "group": null
+        },
+        {
+          "path": "blog/cost-optimization-kubernetes.md",
+          "title": "Cost Optimization Strategies for Kubernetes",
+          "group": null
+        },
+        {
+          "path": "blog/future-velero-hol-plan.md",
+          "title": "Future HOL: Converting the Blog Guide to Interactive Lab",
+          "group": null
+        },
+        {
+          "path": "blog/gitops-workflows.md",
+          "title": "GitOps Workflows: The Modern Way to Deploy",
+          "group": null
+        },
+        {
+          "path": "blog/helm-vs-kustomize.md",
+          "title": "Helm vs Kustomize: Choosing the Right Tool",
+          "group": null
+        },
+        {
+          "path": "blog/kubernetes-best-practices-2025.md",
+          "title": "Kubernetes Best Practices for 2025",
+          "group": null
+        },
+        {
+          "path": "blog/kubernetes-security-hardening.md",
+          "title": "Kubernetes Security Hardening: A Complete Guide",
+          "group": null
+        },
+        {
+          "path": "blog/kubernetes-troubleshooting-guide.md",
+          "title": "Kubernetes Troubleshooting Guide: From Pods to Nodes",
+          "group": null
+        },
+        {
+          "path": "blog/production-monitoring-strategies.md",
+          "title": "Production Monitoring Strategies for Kubernetes",
+          "group": null
+        },
+        {
+          "path": "blog/service-mesh-comparison.md",
+          "title": "Service Mesh Comparison: Istio vs Linkerd vs Consul",
+          "group": null
+        },
+        {
+          "path": "blog/velero-hands-on-guide.md",
+          "title": "Hands-On Guide: Installing and Configuring Velero for Kubernetes Backup and Restore",
+          "group": null
+        },
+        {
+          "path": "blog/zero-downtime-deployments.md",
+          "title": "Achieving Zero-Downtime Deployments in Kubernetes",
+          "group": null
+        }
+      ]
+    },
+    {
+      "id": "clouddevprep",
+      "title": "Cloud Developer Prep",
+      "searchIndex": "docs-search/clouddevprep.search.js",
+      "docs": [
+        {
+          "path": "clouddevprep/README.md",
+          "title": "Senior Cloud Developer - Interview Preparation 🎯",
+          "group": null
+        },
+        {
+          "path": "clouddevprep/01_SKILLS_REQUIRED.md",
+          "title": "Senior Cloud Developer - Required Skills Breakdown",
+          "group": null
+        },
+        {
+          "path": "clouddevprep/02_PYTHON_OOP.md",
+          "title": "Python OOP Deep Dive 🐍",
+          "group": null
+        },
+        {
+          "path": "clouddevprep/03_PYTHON_AWS_BOTO3.md",
+          "title": "Python for AWS Cloud (boto3) ☁️",
+          "group": null
+        },
+        {
+          "path": "clouddevprep/04_PYTHON_AZURE_SDK.md",
+          "title": "Python for Azure Cloud (Azure SDK) ☁️",
+          "group": null
+        },
+        {
+          "path": "clouddevprep/05_AWS_NETWORKING.md",
+          "title": "AWS Networking Deep Dive 🌐",
+          "group": null
+        },
+        {
+          "path": "clouddevprep/06_TERRAFORM.md",
+          "title": "Terraform Advanced (Infrastructure as Code) 🏗️",
+          "group": null
+        },
+        {
+          "path": "clouddevprep/07_CLOUDFORMATION.md",
+          "title": "AWS CloudFormation (Infrastructure as Code) ☁️",
+          "group": null
+        },
+        {
+          "path": "clouddevprep/08_JENKINS.md",
+          "title": "Jenkins CI/CD Pipelines 🚀",
+          "group": null
+        },
+        {
+          "path": "clouddevprep/09_NETWORKING_FUNDAMENTALS.md",
+          "title": "Networking Fundamentals 🌐",
+          "group": null
+        },
+        {
+          "path": "clouddevprep/10_CONTAINER_NETWORKING.md",
+          "title": "Container Networking (Docker & Kubernetes) 🐳",
+          "group": null
+        }
+      ]
+    },
+    {
+      "id": "prep-material",
+      "title": "Cloud Networking Prep",
+      "searchIndex": "docs-search/prep-material.search.js",
+      "docs": [
+        {
+          "path": "prep-material/README.md",
+          "title": "Senior Cloud Developer - Networking Fundamentals Preparation",
+          "group": null
+        },
+        {
+          "path": "prep-material/00_OVERVIEW.md",
+          "title": "Networking Fundamentals - Learning Path",
+          "group": null
+        },
+        {
+          "path": "prep-material/01_IP_ROUTING.md",
+          "title": "IP Routing",
+          "group": null
+        },
+        {
+          "path": "prep-material/01_NETWORKING_FUNDAMENTALS.md",
+          "title": "Networking Fundamentals for Cloud Developers",
+          "group": null
+        },
+        {
+          "path": "prep-material/02_FIREWALLS.md",
+          "title": "Firewalls",
+          "group": null
+        },
+        {
+          "path": "prep-material/03_LOAD_BALANCERS.md",
+          "title": "Load Balancers",
+          "group": null
+        },
+        {
+          "path": "prep-material/04_WEB_PROXIES.md",
+          "title": "Web Proxies",
+          "group": null
+        },
+        {
+          "path": "prep-material/05_DNS.md",
+          "title": "DNS (Domain Name System)",
+          "group": null
+        },
+        {
+          "path": "prep-material/06_INTERVIEW_QUESTIONS.md",
+          "title": "Interview Questions & Answers",
+          "group": null
+        },
+        {
+          "path": "prep-material/07_HANDS_ON_EXERCISES.md",
+          "title": "Hands-On Exercises & Labs",
+          "group": null
+        },
+        {
+          "path": "prep-material/08_QUICK_REFERENCE.md",
+          "title": "Quick Reference Guide",
+          "group": null
+        },
+        {
+          "path": "prep-material/COMPLETION_SUMMARY.md",
+          "title": "🎉 Interview Preparation Materials - Complete!",
+          "group": null
+        },
+        {
+          "path": "prep-material/INTERVIEW_PREP_PLAN.md",
+          "title": "Senior Cloud Developer Interview Preparation Plan",
+          "group": null
+        },
+        {
+          "path": "prep-material/README_NAVIGATION.md",
+          "title": "Interview Preparation - Complete Navigation Guide",
+          "group": null
+        },
+        {
+          "path": "prep-material/api/04_API_DEVELOPMENT.md",
+          "title": "API Development with FastAPI for Infrastructure Automation",
+          "group": "api"
+        },
+        {
+          "path": "prep-material/interview/06_INTERVIEW_QA.md",
+          "title": "Comprehensive Interview Questions & Answers",
+          "group": "interview"
+        },
+        {
+          "path": "prep-material/jenkins/03_JENKINS_CICD.md",
+          "title": "Jenkins CI/CD for Infrastructure Automation",
+          "group": "jenkins"
+        },
+        {
+          "path": "prep-material/projects/05_HANDS_ON_PROJECTS.md",
+          "title": "Hands-On Projects: Building a Complete Infrastructure Automation Platform",
+          "group": "projects"
+        },
+        {
+          "path": "prep-material/python/02_PYTHON_BOTO3.md",
+          "title": "Python Programming + AWS boto3 for Cloud Engineers",
+          "group": "python"
+        },
+        {
+          "path": "prep-material/terraform/01_TERRAFORM_FUNDAMENTALS.md",
+          "title": "Terraform Fundamentals for Cloud Network Engineers",
+          "group": "terraform"
+        }
+      ]
+    }
+  ]
+};
@@ -0,0 +1,2 @@
+window.DOCS_SEARCH_INDEX = window.DOCS_SEARCH_INDEX || {};
+window.DOCS_SEARCH_INDEX["blog"] = {"docs":[{"path":"blog/README.md","title":"Blog Posts"},{"path":"blog/building-interactive-labs.md","title":"Building Interactive Hands-On Labs for HPE SilverCreek"},{"path":"blog/cost-optimization-kubernetes.md","title":"Cost Optimization Strategies for Kubernetes"},{"path":"blog/future-velero-hol-plan.md","title":"Future HOL: Converting the Blog Guide to Interactive Lab"},{"path":"blog/gitops-workflows.md","title":"GitOps Workflows: The Modern Way to Deploy"},{"path":"blog/helm-vs-kustomize.md","title":"Helm vs Kustomize: Choosing the Right Tool"},{"path":"blog/kubernetes-best-practices-2025.md","title":"Kubernetes Best Practices for 2025"},{"path":"blog/kubernetes-security-hardening.md","title":"Kubernetes Security Hardening: A Complete Guide"},{"path":"blog/kubernetes-troubleshooting-guide.md","title":"Kubernetes Troubleshooting Guide: From Pods to Nodes"},{"path":"blog/production-monitoring-strategies.md","title":"Production Monitoring Strategies for Kubernetes"},{"path":"blog/service-mesh-comparison.md","title":"Service Mesh Comparison: Istio vs Linkerd vs Consul"},{"path":"blog/velero-hands-on-guide.md","title":"Hands-On Guide: Installing and Configuring Velero for Kubernetes Backup and Restore"},{"path":"blog/zero-downtime-deployments.md","title":"Achieving Zero-Downtime Deployments in Kubernetes"}],"sections":[{"d":0,"id":"blog-posts","title":"Blog Posts","text":"This directory contains blog posts and articles about the HPE SilverCreek platform and Kubernetes technologies.","code":""},{"d":0,"id":"published-posts","title":"Published Posts","text":"","code":""},{"d":0,"id":"infrastructure--architecture","title":"Infrastructure & Architecture","text":"Building Interactive Hands-On Labs for HPE SilverCreek - December 2025 Lab design and architecture Simulated vs real environment comparison Creating offline training materials Python-based local development setup Hands-On Guide: Installing and Configuring Velero for Kubernetes - December 2025 Step-by-step Velero installation with Helm Production-grade configuration examples Creating and restoring backups Multi-phase restore workflows Troubleshooting common issues Perfect for creating a future hands-on lab!","code":""},{"d":0,"id":"related-documentation","title":"Related Documentation","text":"White Paper : Velero-Based Backup and Restore for Kubernetes Clusters - Technical deep-dive on backup architecture","code":""},{"d":1,"id":"building-interactive-hands-on-labs-for-hpe-silvercreek","title":"Building Interactive Hands-On Labs for HPE SilverCreek","text":"Author: Sathwik Date: December 4, 2025 Category: Training & Education Tags: #HPE #SilverCreek #HandsOnLabs #Training #Education","code":""},{"d":1,"id":"introduction","title":"Introduction","text":"In the fast-paced world of enterprise IT, effective training materials can make or break the adoption of new technologies. When tasked with creating hands-on labs for HPE SilverCreek, I knew I needed something special—something that would work both online and offline, for beginners and experts alike. This is the story of how I built a dual-environment lab system that serves as both a safe learning playground and a production-ready testing ground.","code":""},{"d":1,"id":"the-challenge","title":"The Challenge","text":"HPE SilverCreek is a powerful platform, but like many enterprise systems, it presents unique training challenges: Access Limitations : Not everyone has credentials or network access to production systems Time Constraints : Real operations (backups, support bundles) take 10-30 minutes Risk Factor : Learners hesitate to experiment on real systems Offline Needs : Demos and training sessions don't always have internet","code":""},{"d":1,"id":"the-solution-dual-environment-architecture","title":"The Solution: Dual-Environment Architecture","text":"I created two parallel lab environments:","code":""},{"d":1,"id":"-simulated-lab","title":"🎭 Simulated Lab","text":"100% offline capability Mock operations complete in seconds Safe to experiment without consequences Perfect for initial learning and demos","code":""},{"d":1,"id":"-real-lab","title":"🏢 Real Lab","text":"Connects to actual HPE GreenLake system Real data and authentic workflows Production-ready testing environment Validates real-world scenarios","code":""},{"d":1,"id":"technical-implementation","title":"Technical Implementation","text":"","code":""},{"d":1,"id":"architecture-overview","title":"Architecture Overview","text":"","code":"hol-poc-please-delete/ ├── index.html # Beautiful lab selector ├── real-lab/ # Production system labs │ ├── 4 exercise pages │ └── Direct system integration └── simulated-lab/ # Offline simulation ├── 4 exercise pages └── mock-platform/ # Fake backend ├── login.html ├── dashboard.html ├── support-logs.html └── backup.html"},{"d":1,"id":"key-features","title":"Key Features","text":"1. Side-by-Side Window Approach Instead of iframes (which failed due to cookie/session issues), I implemented a window-based approach: Opens lab environment in separate window Maintains session across exercises Platform-specific split-screen instructions 2. Realistic Mock UI The simulated environment closely mirrors the real system: Authentic-looking forms and tables Progress bars with realistic steps Status badges and notifications S3 configuration interfaces 3. Progressive Exercises Both environments follow the same 4-exercise structure: Login & Workspace Selection Dashboard Navigation Support Bundle Generation System Backup Creation","code":""},{"d":1,"id":"results--impact","title":"Results & Impact","text":"","code":""},{"d":1,"id":"quantifiable-outcomes","title":"Quantifiable Outcomes","text":"Development Time : Completed in 1 day File Count : 25+ HTML/CSS/JS files Zero Dependencies : Works with just Python 3 Instant Startup : python3 -m http.server 8000","code":""},{"d":1,"id":"user-benefits","title":"User Benefits","text":"✅ For Learners : Safe practice environment with instant feedback ✅ For Instructors : Offline demos without system dependencies ✅ For Testers : Real system validation when needed ✅ For Everyone : Clear README with installation for Mac/Windows/Linux","code":""},{"d":1,"id":"technical-highlights","title":"Technical Highlights","text":"","code":""},{"d":1,"id":"1-mock-authentication-system","title":"1. Mock Authentication System","text":"","code":"// Validates credentials in simulated environment if (username === 'admin@silvercreek.local' && password === 'Demo@123') { localStorage.setItem('mockLoggedIn', 'true'); window.location.href = 'workspace-selection.html'; }"},{"d":1,"id":"2-simulated-progress-bars","title":"2. Simulated Progress Bars","text":"Real operations take 10-30 minutes; simulated ones complete in 5-10 seconds while showing realistic progress:","code":"const steps = [ 'Collecting system logs...', 'Gathering VM configurations...', 'Exporting network settings...', 'Compressing bundle...' ];"},{"d":1,"id":"3-window-management","title":"3. Window Management","text":"Clever use of named windows to maintain state:","code":"window.open('mock-platform/dashboard.html', 'SimulatedLab', 'width=1200,height=800');"},{"d":1,"id":"lessons-learned","title":"Lessons Learned","text":"","code":""},{"d":1,"id":"what-worked","title":"What Worked","text":"Starting with simulation allowed rapid iteration without system dependencies Parallel structure made it easy to switch between environments Python's http.server eliminated complex setup requirements Git repository enabled easy sharing and version control","code":""},{"d":1,"id":"challenges-overcome","title":"Challenges Overcome","text":"iframe Security : Modern browsers block third-party cookies in iframes Solution : Switched to window.open() with named windows Session Persistence : Maintaining login state across pages Solution : localStorage for mock, direct URLs for real system Visual Fidelity : Making simulation look realistic Solution : Studied real UI screenshots, added authentic-looking status badges and notifications","code":""},{"d":1,"id":"future-enhancements","title":"Future Enhancements","text":"Potential improvements for v2: Interactive quiz at the end of each exercise Progress tracking across sessions Video walkthrough embeds Multi-language support Dark mode toggle Certificate generation upon completion","code":""},{"d":1,"id":"how-to-use-these-labs","title":"How to Use These Labs","text":"","code":""},{"d":1,"id":"quick-start","title":"Quick Start","text":"","code":"# Clone the repository git clone git@github.com:sathwik-hpe/hol-poc-please-delete.git cd hol-poc-please-delete # Install Python 3 (if needed) brew install python3 # macOS # Start the server python3 -m http.server 8000 # Open browser open http://localhost:8000"},{"d":1,"id":"recommended-learning-path","title":"Recommended Learning Path","text":"Day 1 : Complete all 4 exercises in simulated environment Day 2 : Repeat exercises in real environment Day 3 : Experiment with variations and edge cases","code":""},{"d":1,"id":"conclusion","title":"Conclusion","text":"Building effective training materials doesn't have to be complicated. By combining simple web technologies with thoughtful design, we can create powerful learning experiences that work anywhere, anytime. The dual-environment approach provides the best of both worlds: Safety and speed for learning Authenticity and validation for testing Whether you're building labs for HPE SilverCreek or any other enterprise platform, remember: the best training tool is one that people actually want to use.","code":""},{"d":1,"id":"resources","title":"Resources","text":"GitHub Repository : hol-poc-please-delete HPE SilverCreek Docs : silvercreek.hstlabs.glcp.hpecorp.net Python Documentation : python.org","code":""},{"d":1,"id":"about-the-author","title":"About the Author","text":"Passionate about creating accessible, effective training materials for enterprise technologies. When not building labs, exploring ways to make complex systems easier to learn. Questions or feedback? Open an issue on the GitHub repository or reach out directly! Published: December 4, 2025","code":""},{"d":2,"id":"cost-optimization-strategies-for-kubernetes","title":"Cost Optimization Strategies for Kubernetes","text":"Published: January 2025 | Reading Time: 9 min Running Kubernetes in production can be expensive. This guide provides actionable strategies to optimize costs without sacrificing reliability.","code":""},{"d":2,"id":"understanding-kubernetes-costs","title":"Understanding Kubernetes Costs","text":"","code":""},{"d":2,"id":"cost-breakdown","title":"Cost Breakdown","text":"Compute : 60-70% (nodes, CPU, memory) Storage : 10-20% (persistent volumes) Network : 10-15% (data transfer, load balancers) Control Plane : 5-10% (managed services)","code":""},{"d":2,"id":"strategy-1-right-sizing-resources","title":"Strategy 1: Right-Sizing Resources","text":"","code":""},{"d":2,"id":"the-problem","title":"The Problem","text":"","code":"# Over-provisioned (wastes money) resources: requests: cpu: 2000m memory: 4Gi limits: cpu: 4000m memory: 8Gi # Actual usage: 200m CPU, 512Mi memory # Wasting 90% of allocated resources!"},{"d":2,"id":"the-solution-monitor-and-adjust","title":"The Solution: Monitor and Adjust","text":"1. Use Metrics 2. Vertical Pod Autoscaler (VPA) 3. Get VPA Recommendations 4. Right-Size Example","code":"# Check actual usage kubectl top pods --all-namespaces # Over week/month (Prometheus) avg_over_time(container_memory_working_set_bytes[7d]) avg_over_time(rate(container_cpu_usage_seconds_total[7d])[1h:5m]) apiVersion: autoscaling.k8s.io/v1 kind: VerticalPodAutoscaler metadata: name: myapp-vpa spec: targetRef: apiVersion: apps/v1 kind: Deployment name: myapp updatePolicy: updateMode: \"Auto\" # or \"Recommend\" for suggestions only # Install VPA git clone https://github.com/kubernetes/autoscaler.git cd autoscaler/vertical-pod-autoscaler ./hack/vpa-up.sh # Get recommendations kubectl describe vpa myapp-vpa # Sample output: # Recommendation: # Container: myapp # Target: # Cpu: 250m # Memory: 512Mi # Optimized (based on actual usage + buffer) resources: requests: cpu: 200m # Actual avg + 20% buffer memory: 512Mi # Actual avg + 20% buffer limits: cpu: 500m # 2.5x requests for burst memory: 1Gi # 2x requests # Cost savings: 75-80%!"},{"d":2,"id":"strategy-2-horizontal-pod-autoscaling","title":"Strategy 2: Horizontal Pod Autoscaling","text":"","code":""},{"d":2,"id":"dynamic-scaling","title":"Dynamic Scaling","text":"Cost Impact Without HPA : 20 replicas 24/7 = 480 pod-hours/day With HPA : avg 5 replicas = 120 pod-hours/day Savings : 75%","code":"apiVersion: autoscaling/v2 kind: HorizontalPodAutoscaler metadata: name: myapp-hpa spec: scaleTargetRef: apiVersion: apps/v1 kind: Deployment name: myapp minReplicas: 2 # Baseline during off-peak maxReplicas: 20 # Peak capacity metrics: - type: Resource resource: name: cpu target: type: Utilization averageUtilization: 70 - type: Resource resource: name: memory target: type: Utilization averageUtilization: 80 behavior: scaleDown: stabilizationWindowSeconds: 300 # Wait 5 min before scaling down policies: - type: Percent value: 50 # Scale down max 50% of pods periodSeconds: 60 scaleUp: stabilizationWindowSeconds: 0 # Scale up immediately policies: - type: Percent value: 100 # Double pods if needed periodSeconds: 15 - type: Pods value: 4 # Or add 4 pods periodSeconds: 15 selectPolicy: Max # Choose most aggressive"},{"d":2,"id":"strategy-3-cluster-autoscaling","title":"Strategy 3: Cluster Autoscaling","text":"","code":""},{"d":2,"id":"node-level-scaling","title":"Node-Level Scaling","text":"Cost Impact Scales down nodes during off-peak Removes nodes with <50% utilization Typical savings: 30-40%","code":"# AWS Cluster Autoscaler apiVersion: apps/v1 kind: Deployment metadata: name: cluster-autoscaler namespace: kube-system spec: template: spec: containers: - image: k8s.gcr.io/autoscaling/cluster-autoscaler:v1.28.0 name: cluster-autoscaler command: - ./cluster-autoscaler - --cloud-provider=aws - --namespace=kube-system - --node-group-auto-discovery=asg:tag=k8s.io/cluster-autoscaler/enabled,k8s.io/cluster-autoscaler/<cluster-name> - --balance-similar-node-groups - --skip-nodes-with-system-pods=false - --scale-down-enabled=true - --scale-down-delay-after-add=10m - --scale-down-unneeded-time=10m"},{"d":2,"id":"strategy-4-spotpreemptible-instances","title":"Strategy 4: Spot/Preemptible Instances","text":"","code":""},{"d":2,"id":"use-spot-instances-for-fault-tolerant-workloads","title":"Use Spot Instances for Fault-Tolerant Workloads","text":"AWS EKS Node Group Mix On-Demand and Spot Cost Impact Spot instances: 70-90% cheaper Run 50% of workload on spot: 35-45% total savings","code":"eksctl create nodegroup \\ --cluster=my-cluster \\ --name=spot-nodes \\ --instance-types=m5.large,m5a.large,m5d.large \\ --spot \\ --nodes-min=2 \\ --nodes-max=10 # Critical workloads: on-demand nodes apiVersion: apps/v1 kind: Deployment metadata: name: database spec: template: spec: nodeSelector: node-lifecycle: on-demand --- # Fault-tolerant: spot nodes apiVersion: apps/v1 kind: Deployment metadata: name: batch-processing spec: template: spec: nodeSelector: node-lifecycle: spot tolerations: - key: spot operator: Equal value: \"true\" effect: NoSchedule"},{"d":2,"id":"handle-spot-interruptions","title":"Handle Spot Interruptions","text":"","code":"# Use PodDisruptionBudget apiVersion: policy/v1 kind: PodDisruptionBudget metadata: name: myapp-pdb spec: minAvailable: 2 selector: matchLabels: app: myapp # Increase replicas on spot # If spot interrupted, on-demand nodes handle load"},{"d":2,"id":"strategy-5-storage-optimization","title":"Strategy 5: Storage Optimization","text":"","code":""},{"d":2,"id":"identify-unused-volumes","title":"Identify Unused Volumes","text":"","code":"# Find unattached PVs kubectl get pv --all-namespaces -o json | \\ jq -r '.items[] | select(.status.phase==\"Available\") | .metadata.name' # Find unused PVCs kubectl get pvc --all-namespaces -o json | \\ jq -r '.items[] | select(.status.phase!=\"Bound\") | \"\\(.metadata.namespace)/\\(.metadata.name)\"' # Delete unused PVCs kubectl delete pvc <pvc-name> -n <namespace>"},{"d":2,"id":"use-appropriate-storage-classes","title":"Use Appropriate Storage Classes","text":"Use Case Mapping io2/gp3 : Databases, high-performance apps (expensive) gp2 : General purpose (medium cost) st1 : Logs, backups (cheap)","code":"# Expensive (SSD, high IOPS) apiVersion: storage.k8s.io/v1 kind: StorageClass metadata: name: fast-ssd provisioner: kubernetes.io/aws-ebs parameters: type: io2 # Provisioned IOPS (expensive) iopsPerGB: \"100\" --- # Cheaper (HDD, for logs/backups) apiVersion: storage.k8s.io/v1 kind: StorageClass metadata: name: slow-hdd provisioner: kubernetes.io/aws-ebs parameters: type: st1 # Throughput optimized (cheap)"},{"d":2,"id":"snapshot-and-archive","title":"Snapshot and Archive","text":"Cost Impact gp2 → st1: 50% savings Delete unused PVs: 10-20% storage cost reduction","code":"# Snapshot volumes velero backup create monthly-backup --include-namespaces production # Delete old volumes # Move to S3/Glacier for long-term retention"},{"d":2,"id":"strategy-6-network-optimization","title":"Strategy 6: Network Optimization","text":"","code":""},{"d":2,"id":"reduce-data-transfer-costs","title":"Reduce Data Transfer Costs","text":"1. Use Same-Region Communication 2. NAT Gateway Optimization 3. Reduce Load Balancer Count","code":"# Topology-aware routing apiVersion: v1 kind: Service metadata: name: myapp annotations: service.kubernetes.io/topology-mode: Auto spec: topologyKeys: - kubernetes.io/hostname # Prefer same node - topology.kubernetes.io/zone # Then same AZ # Expensive: All egress through NAT Gateway # Solution: Use VPC endpoints for AWS services # Create VPC endpoints aws ec2 create-vpc-endpoint \\ --vpc-id vpc-xxx \\ --service-name com.amazonaws.us-east-1.s3 \\ --route-table-ids rtb-xxx # S3, DynamoDB, ECR: free VPC endpoints # Savings: $100-500/month on NAT Gateway # Bad: One LoadBalancer per service apiVersion: v1 kind: Service metadata: name: service1 spec: type: LoadBalancer # $18/month each --- # Good: Use Ingress (one LoadBalancer) apiVersion: networking.k8s.io/v1 kind: Ingress metadata: name: main-ingress spec: rules: - host: service1.example.com http: paths: - path: / backend: service: name: service1 port: number: 80 - host: service2.example.com http: paths: - path: / backend: service: name: service2 port: number: 80 # Cost: 1 load balancer vs 10+ = $180/month savings"},{"d":2,"id":"strategy-7-schedule-non-critical-workloads","title":"Strategy 7: Schedule Non-Critical Workloads","text":"","code":""},{"d":2,"id":"cronjobs-for-batch-processing","title":"CronJobs for Batch Processing","text":"","code":"# Run during off-peak hours apiVersion: batch/v1 kind: CronJob metadata: name: data-processing spec: schedule: \"0 2 * * *\" # 2 AM daily jobTemplate: spec: template: spec: nodeSelector: workload-type: batch containers: - name: processor image: myapp:latest resources: requests: cpu: 2000m # Use otherwise idle capacity memory: 4Gi restartPolicy: OnFailure"},{"d":2,"id":"scale-down-devtest-environments","title":"Scale Down Dev/Test Environments","text":"Cost Impact Dev environments idle 16 hours/day Savings: 66% on dev clusters","code":"# Automated scripts # Scale down dev at 6 PM kubectl scale deployment --all --replicas=0 -n development # Scale up at 8 AM kubectl scale deployment --all --replicas=2 -n development # Or use ArgoCD Application sync windows"},{"d":2,"id":"strategy-8-use-pod-priority-and-preemption","title":"Strategy 8: Use Pod Priority and Preemption","text":"","code":""},{"d":2,"id":"prioritize-critical-workloads","title":"Prioritize Critical Workloads","text":"Benefit : Better resource utilization without over-provisioning","code":"# High priority (critical) apiVersion: scheduling.k8s.io/v1 kind: PriorityClass metadata: name: high-priority value: 1000 globalDefault: false description: \"Critical production workloads\" --- # Low priority (batch jobs) apiVersion: scheduling.k8s.io/v1 kind: PriorityClass metadata: name: low-priority value: 100 globalDefault: false preemptionPolicy: PreemptLowerPriority description: \"Batch jobs, can be preempted\" --- # Use in deployments apiVersion: apps/v1 kind: Deployment metadata: name: critical-app spec: template: spec: priorityClassName: high-priority containers: - name: app image: myapp:latest --- apiVersion: batch/v1 kind: Job metadata: name: batch-job spec: template: spec: priorityClassName: low-priority containers: - name: processor image: processor:latest"},{"d":2,"id":"strategy-9-optimize-container-images","title":"Strategy 9: Optimize Container Images","text":"","code":""},{"d":2,"id":"reduce-image-size","title":"Reduce Image Size","text":"Cost Impact Faster pulls = faster scaling Less bandwidth = lower costs Faster startup = better HPA response","code":"# Bad: Large image (1.2GB) FROM ubuntu:22.04 RUN apt-get update && apt-get install -y python3 python3-pip COPY requirements.txt . RUN pip3 install -r requirements.txt COPY . . CMD [\"python3\", \"app.py\"] # Good: Smaller image (50MB) FROM python:3.11-alpine WORKDIR /app COPY requirements.txt . RUN pip install --no-cache-dir -r requirements.txt COPY . . CMD [\"python\", \"app.py\"] # Better: Multi-stage (20MB) FROM python:3.11 AS builder WORKDIR /app COPY requirements.txt . RUN pip install --user -r requirements.txt FROM python:3.11-slim WORKDIR /app COPY --from=builder /root/.local /root/.local COPY . . ENV PATH=/root/.local/bin:$PATH CMD [\"python\", \"app.py\"] # Best: Distroless (15MB) FROM gcr.io/distroless/python3 COPY --from=builder /app /app WORKDIR /app CMD [\"app.py\"]"},{"d":2,"id":"monitoring-and-alerting","title":"Monitoring and Alerting","text":"","code":""},{"d":2,"id":"track-cost-metrics","title":"Track Cost Metrics","text":"","code":"# Cost per pod (estimate) sum( avg_over_time(container_cpu_usage_seconds_total[1d]) * 0.04 + # $0.04/CPU-hour avg_over_time(container_memory_working_set_bytes[1d]) / 1073741824 * 0.005 # $0.005/GB-hour ) by (namespace, pod) # Unused resources (waste) sum( container_spec_cpu_quota / 100000 - on(pod,namespace,container) rate(container_cpu_usage_seconds_total[1h]) ) by (namespace) # Cost by namespace sum(kube_pod_container_resource_requests{resource=\"cpu\"}) by (namespace) * 0.04"},{"d":2,"id":"cost-optimization-alerts","title":"Cost Optimization Alerts","text":"","code":"groups: - name: cost-optimization rules: - alert: HighCPUWaste expr: | (sum(container_spec_cpu_quota) - sum(rate(container_cpu_usage_seconds_total[5m]))) / sum(container_spec_cpu_quota) > 0.5 annotations: summary: \"High CPU waste detected\" - alert: UnusedPersistentVolume expr: kube_persistentvolume_status_phase{phase=\"Available\"} == 1 for: 7d annotations: summary: \"PV {{ $labels.persistentvolume }} unused for 7 days\""},{"d":2,"id":"cost-optimization-checklist","title":"Cost Optimization Checklist","text":"Resources Right-size requests/limits (VPA) Enable HPA for variable workloads Use cluster autoscaler Implement pod priority Compute Use spot instances (50-90% of capacity) Scale down dev/test environments off-hours Schedule batch jobs during off-peak Storage Delete unused PVCs/PVs Use appropriate storage classes Implement retention policies Snapshot and archive Network Use Ingress instead of multiple LoadBalancers Enable VPC endpoints Use topology-aware routing Optimize NAT Gateway usage Containers Use smaller base images Multi-stage builds Layer caching Image pruning","code":""},{"d":2,"id":"tools","title":"Tools","text":"Cost Analysis Kubecost : Detailed K8s cost analysis Cloud Provider Tools : AWS Cost Explorer, GCP Cost Management Prometheus : Custom cost metrics Resource Optimization Vertical Pod Autoscaler : Right-sizing recommendations Goldilocks : VPA recommendations dashboard KRR (Kubernetes Resource Recommendations) : CLI tool for recommendations","code":""},{"d":2,"id":"conclusion","title":"Conclusion","text":"Cost optimization is ongoing, not one-time: Monitor : Track actual usage Right-Size : Adjust based on data Autoscale : Horizontal and vertical Spot Instances : Use for fault-tolerant workloads Clean Up : Delete unused resources Optimize : Storage, network, images Review : Monthly cost reviews Typical savings with these strategies: 40-60% Start with quick wins (delete unused resources, enable autoscaling), then tackle more complex optimizations. Learn more in our Kubernetes Labs at HPE Labs Hub.","code":""},{"d":3,"id":"future-hol-converting-the-blog-guide-to-interactive-lab","title":"Future HOL: Converting the Blog Guide to Interactive Lab","text":"","code":""},{"d":3,"id":"-vision-for-velero-hands-on-lab","title":"🎯 Vision for Velero Hands-On Lab","text":"This document outlines how to convert the Velero Hands-On Guide into an interactive lab similar to the existing SilverCreek labs.","code":""},{"d":3,"id":"-lab-structure-proposed","title":"📋 Lab Structure (Proposed)","text":"","code":""},{"d":3,"id":"exercise-1-installing-velero","title":"Exercise 1: Installing Velero","text":"Objective: Install Velero on a Kubernetes cluster using Helm Instructions Panel: Prerequisites check (kubectl, helm, cluster access) Step-by-step Helm installation Configuration explanation Practice Panel: Pre-configured Kubernetes cluster (Kind or K3s) Terminal with kubectl and helm pre-installed MinIO instance running in background Success Criteria: kubectl get pods -n velero shows Running pods BSL shows \"Available\" status","code":""},{"d":3,"id":"exercise-2-creating-your-first-backup","title":"Exercise 2: Creating Your First Backup","text":"Objective: Create a namespace with sample resources and back it up Instructions Panel: Creating sample application Understanding backup spec Triggering backup creation Practice Panel: Pre-created demo-app namespace Interactive terminal to run kubectl commands Real-time backup status monitoring Success Criteria: Backup completes successfully Can view backup in MinIO browser","code":""},{"d":3,"id":"exercise-3-performing-a-restore","title":"Exercise 3: Performing a Restore","text":"Objective: Delete a namespace and restore it from backup Instructions Panel: Understanding disaster scenarios Creating restore CR Validating restored resources Practice Panel: Delete demo-app namespace Run restore command Verify pods are back Success Criteria: All pods restored and Running ConfigMaps contain original data","code":""},{"d":3,"id":"exercise-4-multi-phase-restore-advanced","title":"Exercise 4: Multi-Phase Restore (Advanced)","text":"Objective: Restore a multi-tier application with dependencies Instructions Panel: Why ordering matters Phase 1: Storage layer Phase 2: PVCs Phase 3: Infrastructure Phase 4: Applications Practice Panel: Complex multi-namespace environment Step-by-step restore process Validation between phases Success Criteria: All 4 phases complete successfully Application dependencies satisfied No crash-looping pods","code":""},{"d":3,"id":"️-technical-implementation-plan","title":"🏗️ Technical Implementation Plan","text":"","code":""},{"d":3,"id":"option-1-simulated-environment-like-current-hol","title":"Option 1: Simulated Environment (Like Current HOL)","text":"Structure: Mock Terminal Features: Syntax highlighting for kubectl/helm commands Simulated command execution with delays Pre-scripted responses for expected commands Error messages for incorrect commands","code":"velero-lab/ ├── index.html (lab selector) ├── real-lab/ │ ├── index.html (Exercise 1) │ ├── lab2.html (Exercise 2) │ ├── lab3.html (Exercise 3) │ └── lab4.html (Exercise 4) └── simulated-lab/ ├── index.html ├── lab2.html ├── lab3.html ├── lab4.html └── mock-cluster/ ├── terminal.html (simulated terminal) ├── k8s-api-mock.js (fake kubectl responses) └── velero-mock.js (fake Velero operations)"},{"d":3,"id":"option-2-real-kubernetes-cluster","title":"Option 2: Real Kubernetes Cluster","text":"Requirements: Kind or K3s cluster (ephemeral, disposable) Jupyter Notebook-style interface Code cells for bash commands Inline output display Technologies: ttyd : Web-based terminal xterm.js : Terminal emulator in browser kubectl : Direct cluster access MinIO : Real object storage Advantages: Real commands, real output Actual learning experience Troubleshooting practice with real errors Challenges: Cluster provisioning per user Resource management Cleanup between sessions","code":""},{"d":3,"id":"option-3-hybrid-approach-recommended","title":"Option 3: Hybrid Approach (Recommended)","text":"Simulated Lab: Mock terminal with pre-scripted responses Perfect for demos and initial learning Zero infrastructure requirements Fast, predictable results Real Lab: Access to actual Kind cluster Real kubectl/helm commands Actual Velero operations Authentic troubleshooting experience Lab Flow: Users start with simulated lab to learn commands Graduate to real lab for actual practice Can repeat simulated lab for demos/training","code":""},{"d":3,"id":"-uiux-design-following-current-pattern","title":"🎨 UI/UX Design (Following Current Pattern)","text":"","code":""},{"d":3,"id":"layout","title":"Layout","text":"","code":"┌─────────────────────────────────────────────────────────────┐ │ Exercise 3: Performing a Restore [?] │ ├─────────────────────────────────────────────────────────────┤ │ Instructions (Left 40%) │ Terminal (Right 60%) │ │ │ │ │ 📖 Step 1: Verify Backup │ $ kubectl get backups -n ... │ │ │ NAME STATUS AGE │ │ The backup we created in │ demo-backup Complete 5m │ │ Exercise 2 should be │ │ │ available. Let's verify it. │ $ ▊ │ │ │ │ │ 💡 Tip: Use -o wide for │ [Copy Command] [Clear] │ │ more details │ │ │ │ ✅ Checkpoint 1/4 Complete │ │ [Show Sample Output] │ │ │ │ │ │ ──────────────────────── │ ──────────────────────────── │ │ │ │ │ 📖 Step 2: Delete Namespace │ Recent Commands: │ │ │ • kubectl get backups │ │ Now we'll simulate a │ • kubectl describe backup... │ │ disaster by deleting... │ │ └─────────────────────────────────────────────────────────────┘"},{"d":3,"id":"interactive-elements","title":"Interactive Elements","text":"Copy Command Buttons : Click to copy kubectl commands Progress Tracker : Visual checkpoints (✅ 3/4 Complete) Expandable Tips : Hover to see detailed explanations Sample Output Toggle : Show/hide expected output Help Modal : Context-sensitive help for each step Timer : Optional challenge mode with time limits","code":""},{"d":3,"id":"-sample-exercise-implementation","title":"📝 Sample Exercise Implementation","text":"","code":""},{"d":3,"id":"exercise-2-creating-your-first-backup-1","title":"Exercise 2: Creating Your First Backup","text":"HTML Structure: JavaScript Mock Functions:","code":"<div class=\"lab-container\"> <div class=\"instructions-panel\"> <h2>Exercise 2: Creating Your First Backup</h2> <div class=\"checkpoint\" data-checkpoint=\"1\"> <h3>📖 Step 1: Create Demo Application</h3> <p>First, let's create a namespace with some resources to backup.</p> <button class=\"copy-btn\" data-command=\"kubectl create namespace demo-app\"> kubectl create namespace demo-app </button> <div class=\"expected-output\"> <h4>Expected Output:</h4> <pre>namespace/demo-app created</pre> </div> </div> <div class=\"checkpoint\" data-checkpoint=\"2\"> <h3>📖 Step 2: Deploy Application</h3> <!-- ... --> </div> </div> <div class=\"terminal-panel\"> <div class=\"terminal-header\"> <span>🖥️ Kubernetes Terminal</span> <button onclick=\"clearTerminal()\">Clear</button> </div> <div id=\"terminal\" class=\"terminal-output\"></div> <div class=\"terminal-input\"> <span class=\"prompt\">$ </span> <input type=\"text\" id=\"command-input\" /> </div> </div> </div> const mockResponses = { 'kubectl create namespace demo-app': { output: 'namespace/demo-app created', checkpoint: 1, delay: 500 }, 'kubectl get namespaces': { output: `NAME STATUS AGE demo-app Active 10s default Active 5d kube-system Active 5d`, delay: 300 }, 'kubectl create backup': { output: 'backup.velero.io/demo-app-backup created', checkpoint: 3, delay: 1000, success: true } }; function executeCommand(cmd) { const response = mockResponses[cmd]; if (response) { setTimeout(() => { displayOutput(response.output); if (response.checkpoint) { markCheckpoint(response.checkpoint); } }, response.delay); } else { displayOutput(`Command not recognized: ${cmd}\\nTry one of the suggested commands.`); } }"},{"d":3,"id":"-development-phases","title":"🚀 Development Phases","text":"","code":""},{"d":3,"id":"phase-1-content-preparation--complete","title":"Phase 1: Content Preparation (✅ Complete)","text":"Blog guide with all commands Expected outputs documented Troubleshooting scenarios identified","code":""},{"d":3,"id":"phase-2-basic-simulation-estimated-2-3-days","title":"Phase 2: Basic Simulation (Estimated: 2-3 days)","text":"HTML structure for 4 exercises CSS styling matching current HOL JavaScript mock terminal Command parsing and validation Simulated kubectl responses","code":""},{"d":3,"id":"phase-3-enhanced-features-estimated-2-3-days","title":"Phase 3: Enhanced Features (Estimated: 2-3 days)","text":"Progress tracking with checkpoints Copy-to-clipboard functionality Collapsible tips and hints Sample output toggles Help modal system Success animations","code":""},{"d":3,"id":"phase-4-real-cluster-integration-estimated-3-5-days","title":"Phase 4: Real Cluster Integration (Estimated: 3-5 days)","text":"Kind/K3s cluster provisioning ttyd or xterm.js integration Real kubectl command execution MinIO integration for backup storage Session management Cleanup automation","code":""},{"d":3,"id":"phase-5-testing--polish-estimated-2-days","title":"Phase 5: Testing & Polish (Estimated: 2 days)","text":"User testing with engineers Bug fixes Performance optimization Documentation updates Demo video creation","code":""},{"d":3,"id":"-key-considerations","title":"💡 Key Considerations","text":"","code":""},{"d":3,"id":"simulated-lab-challenges","title":"Simulated Lab Challenges","text":"Command Variations : Users might type commands differently Solution: Normalize input (trim whitespace, handle aliases) Complex YAML : Multi-line backup specs Solution: Provide \"Load Template\" button to populate State Management : Each command should build on previous Solution: Use JavaScript state machine to track progress","code":""},{"d":3,"id":"real-lab-challenges","title":"Real Lab Challenges","text":"Cluster Provisioning Time : Kind takes 30-60 seconds to start Solution: Pre-warm clusters or show entertaining loading screen Resource Limits : Can't run infinite clusters Solution: Time-limited sessions with automatic cleanup Network Issues : Cluster might be unreachable Solution: Fallback to simulated mode","code":""},{"d":3,"id":"-success-metrics","title":"📊 Success Metrics","text":"","code":""},{"d":3,"id":"user-engagement","title":"User Engagement","text":"Completion rate per exercise Time spent on each exercise Repeat users (coming back to practice)","code":""},{"d":3,"id":"learning-outcomes","title":"Learning Outcomes","text":"Quiz results after lab completion Confidence survey (before/after) Real-world application feedback","code":""},{"d":3,"id":"technical-metrics","title":"Technical Metrics","text":"Simulated lab: Page load time < 2s Real lab: Cluster provision time < 60s Zero crashes during typical workflow","code":""},{"d":3,"id":"-next-steps","title":"🎓 Next Steps","text":"Review this plan with stakeholders Decide on approach : Simulated, Real, or Hybrid? Allocate resources : Developer time, infrastructure budget Set timeline : When should this be ready? Start with Phase 2 : Build basic simulation using blog guide","code":""},{"d":3,"id":"-resources-needed","title":"📚 Resources Needed","text":"","code":""},{"d":3,"id":"development","title":"Development","text":"Front-end developer (HTML/CSS/JS) Optional: Backend developer (if real cluster approach) Designer (for UI/UX polish)","code":""},{"d":3,"id":"infrastructure-if-real-cluster-approach","title":"Infrastructure (if real cluster approach)","text":"Kubernetes cluster hosting MinIO/S3 storage Domain/SSL certificates Load balancer","code":""},{"d":3,"id":"content","title":"Content","text":"Technical reviewer for accuracy Copy editor for instructions clarity Video producer for demo walkthrough Ready to build the next generation of Velero training? 🚀 The blog guide provides all the content—now it's time to make it interactive!","code":""},{"d":4,"id":"gitops-workflows-the-modern-way-to-deploy","title":"GitOps Workflows: The Modern Way to Deploy","text":"Published: January 2025 | Reading Time: 7 min GitOps has revolutionized how we deploy and manage Kubernetes applications. This guide explores implementing effective GitOps workflows.","code":""},{"d":4,"id":"what-is-gitops","title":"What is GitOps?","text":"GitOps uses Git as the single source of truth for declarative infrastructure and applications. Key principles: Declarative : System desired state defined declaratively Versioned : All changes tracked in Git Pulled : Automated agents pull changes from Git Continuously Reconciled : System converges to desired state","code":""},{"d":4,"id":"gitops-tools","title":"GitOps Tools","text":"","code":""},{"d":4,"id":"argocd","title":"ArgoCD","text":"Pros : Rich UI, multi-cluster, Helm/Kustomize support Cons : Heavier resource usage Best For : Teams wanting visibility and manual overrides","code":""},{"d":4,"id":"flux-cd","title":"Flux CD","text":"Pros : Lightweight, GitOps Toolkit, native Git integration Cons : Less intuitive UI Best For : Automation-first teams, multi-tenancy","code":""},{"d":4,"id":"repository-structures","title":"Repository Structures","text":"","code":""},{"d":4,"id":"monorepo-pattern","title":"Monorepo Pattern","text":"Advantages: Single source of truth Easy to see entire system Atomic changes across multiple apps Disadvantages: Access control complexity Larger repository","code":"gitops-repo/ ├── apps/ │ ├── frontend/ │ │ ├── base/ │ │ │ ├── deployment.yaml │ │ │ ├── service.yaml │ │ │ └── kustomization.yaml │ │ ├── overlays/ │ │ │ ├── dev/ │ │ │ ├── staging/ │ │ │ └── production/ │ └── backend/ ├── infrastructure/ │ ├── ingress-nginx/ │ ├── cert-manager/ │ └── monitoring/ └── clusters/ ├── dev-cluster/ ├── staging-cluster/ └── production-cluster/"},{"d":4,"id":"polyrepo-pattern","title":"Polyrepo Pattern","text":"Advantages: Fine-grained access control Team autonomy Smaller, focused repositories Disadvantages: Harder to coordinate changes Multiple sources of truth","code":"frontend-gitops/ ├── base/ └── overlays/ backend-gitops/ ├── base/ └── overlays/ infrastructure-gitops/ ├── ingress/ ├── monitoring/ └── security/"},{"d":4,"id":"argocd-application-patterns","title":"ArgoCD Application Patterns","text":"","code":""},{"d":4,"id":"app-of-apps-pattern","title":"App of Apps Pattern","text":"","code":"# apps/root-app.yaml apiVersion: argoproj.io/v1alpha1 kind: Application metadata: name: root-app namespace: argocd spec: project: default source: repoURL: https://github.com/company/gitops targetRevision: HEAD path: apps destination: server: https://kubernetes.default.svc namespace: argocd syncPolicy: automated: prune: true selfHeal: true --- # apps/frontend-app.yaml apiVersion: argoproj.io/v1alpha1 kind: Application metadata: name: frontend namespace: argocd spec: project: default source: repoURL: https://github.com/company/gitops targetRevision: HEAD path: apps/frontend/overlays/production destination: server: https://kubernetes.default.svc namespace: frontend syncPolicy: automated: prune: true selfHeal: true syncOptions: - CreateNamespace=true"},{"d":4,"id":"applicationset-for-multi-cluster","title":"ApplicationSet for Multi-Cluster","text":"","code":"apiVersion: argoproj.io/v1alpha1 kind: ApplicationSet metadata: name: frontend-multicluster spec: generators: - list: elements: - cluster: dev url: https://dev-cluster.example.com namespace: frontend-dev - cluster: staging url: https://staging-cluster.example.com namespace: frontend-staging - cluster: production url: https://production-cluster.example.com namespace: frontend template: metadata: name: '{{cluster}}-frontend' spec: project: default source: repoURL: https://github.com/company/gitops targetRevision: HEAD path: 'apps/frontend/overlays/{{cluster}}' destination: server: '{{url}}' namespace: '{{namespace}}' syncPolicy: automated: prune: true selfHeal: true"},{"d":4,"id":"cicd-integration","title":"CI/CD Integration","text":"","code":""},{"d":4,"id":"two-repo-strategy","title":"Two-Repo Strategy","text":"Code Repo (CI) GitOps Repo (CD) ArgoCD watches this repo Automatically deploys changes Manual promotion to production","code":"# .github/workflows/ci.yml name: CI on: [push] jobs: build: runs-on: ubuntu-latest steps: - uses: actions/checkout@v4 - name: Build and test run: | go test ./... docker build -t myapp:${{ github.sha }} . - name: Push image run: | docker push ghcr.io/company/myapp:${{ github.sha }} - name: Update GitOps repo run: | git clone https://github.com/company/gitops cd gitops/apps/myapp/overlays/dev kustomize edit set image myapp=ghcr.io/company/myapp:${{ github.sha }} git add . git commit -m \"Update myapp to ${{ github.sha }}\" git push"},{"d":4,"id":"image-updater-pattern","title":"Image Updater Pattern","text":"","code":"# ArgoCD Image Updater apiVersion: argoproj.io/v1alpha1 kind: Application metadata: name: myapp annotations: argocd-image-updater.argoproj.io/image-list: myapp=ghcr.io/company/myapp argocd-image-updater.argoproj.io/myapp.update-strategy: digest argocd-image-updater.argoproj.io/write-back-method: git spec: source: repoURL: https://github.com/company/gitops path: apps/myapp"},{"d":4,"id":"environment-promotion","title":"Environment Promotion","text":"","code":""},{"d":4,"id":"manual-promotion","title":"Manual Promotion","text":"","code":"# Developer merges to main -> auto-deploy to dev git checkout main git merge feature-branch # QA approves -> promote to staging git checkout staging git merge main git push # Product owner approves -> promote to production git checkout production git merge staging git push"},{"d":4,"id":"pr-based-promotion","title":"PR-Based Promotion","text":"","code":"# .github/workflows/promote-to-prod.yml name: Promote to Production on: pull_request: branches: [production] paths: - 'apps/**/overlays/production/**' jobs: validate: runs-on: ubuntu-latest steps: - uses: actions/checkout@v4 - name: Validate manifests run: | kubectl apply --dry-run=client -k apps/myapp/overlays/production - name: Security scan run: | kube-score score apps/myapp/overlays/production/*.yaml"},{"d":4,"id":"secrets-management","title":"Secrets Management","text":"","code":""},{"d":4,"id":"sealed-secrets","title":"Sealed Secrets","text":"","code":"# Seal secret kubectl create secret generic db-creds \\ --from-literal=password=supersecret \\ --dry-run=client -o yaml | \\ kubeseal -o yaml > sealed-secret.yaml # Commit to Git (safe) git add sealed-secret.yaml git commit -m \"Add database credentials\""},{"d":4,"id":"external-secrets-operator","title":"External Secrets Operator","text":"","code":"# external-secret.yaml (safe to commit) apiVersion: external-secrets.io/v1beta1 kind: ExternalSecret metadata: name: db-secret spec: refreshInterval: 1h secretStoreRef: name: aws-secrets-manager kind: SecretStore target: name: db-secret data: - secretKey: password remoteRef: key: prod/database/password"},{"d":4,"id":"rollback-strategies","title":"Rollback Strategies","text":"","code":""},{"d":4,"id":"git-revert","title":"Git Revert","text":"","code":"# Identify bad commit git log --oneline # Revert git revert <bad-commit-hash> git push # ArgoCD automatically rolls back"},{"d":4,"id":"argocd-rollback","title":"ArgoCD Rollback","text":"","code":"# Via UI: Click \"Rollback\" button # Via CLI argocd app rollback myapp argocd app rollback myapp --to-revision=5"},{"d":4,"id":"canary-with-argo-rollouts","title":"Canary with Argo Rollouts","text":"","code":"apiVersion: argoproj.io/v1alpha1 kind: Rollout metadata: name: myapp spec: replicas: 10 strategy: canary: steps: - setWeight: 20 - pause: {duration: 5m} - setWeight: 40 - pause: {duration: 5m} - setWeight: 60 - pause: {duration: 5m} - setWeight: 80 - pause: {duration: 5m} analysis: templates: - templateName: error-rate-analysis startingStep: 2 # Auto-rollback on failure rollback: enabled: true"},{"d":4,"id":"sync-policies","title":"Sync Policies","text":"","code":""},{"d":4,"id":"automatic-sync","title":"Automatic Sync","text":"","code":"syncPolicy: automated: prune: true # Delete resources not in Git selfHeal: true # Auto-correct drift syncOptions: - CreateNamespace=true - PruneLast=true # Delete resources after creating new ones"},{"d":4,"id":"manual-sync","title":"Manual Sync","text":"","code":"syncPolicy: syncOptions: - CreateNamespace=true # No automated field = manual sync required"},{"d":4,"id":"sync-windows","title":"Sync Windows","text":"","code":"# Only sync during maintenance window apiVersion: argoproj.io/v1alpha1 kind: AppProject metadata: name: production spec: syncWindows: - kind: allow schedule: '0 2 * * *' # 2 AM daily duration: 1h applications: - '*'"},{"d":4,"id":"monitoring-gitops","title":"Monitoring GitOps","text":"","code":""},{"d":4,"id":"key-metrics","title":"Key Metrics","text":"","code":"# Sync failures argocd_app_sync_total{phase=\"Failed\"} # Out of sync apps count(argocd_app_info{sync_status!=\"Synced\"}) # Health status argocd_app_info{health_status!=\"Healthy\"}"},{"d":4,"id":"alerts","title":"Alerts","text":"","code":"groups: - name: argocd rules: - alert: ArgocdSyncFailed expr: argocd_app_sync_total{phase=\"Failed\"} > 0 annotations: summary: \"ArgoCD sync failed for {{ $labels.name }}\" - alert: ArgocdOutOfSync expr: argocd_app_info{sync_status!=\"Synced\"} > 0 for: 10m annotations: summary: \"App {{ $labels.name }} out of sync\""},{"d":4,"id":"best-practices","title":"Best Practices","text":"","code":""},{"d":4,"id":"repository-structure","title":"Repository Structure","text":"✅ Separate application code from GitOps manifests ✅ Use Kustomize overlays for environments ✅ Store base manifests separately ✅ Document repository structure in README","code":""},{"d":4,"id":"security","title":"Security","text":"✅ Never commit secrets to Git ✅ Use Sealed Secrets or External Secrets Operator ✅ Require PR reviews for production changes ✅ Implement RBAC for ArgoCD","code":""},{"d":4,"id":"sync-strategy","title":"Sync Strategy","text":"✅ Enable automated sync for non-production ✅ Use manual sync for production (initial phases) ✅ Enable prune and selfHeal after gaining confidence ✅ Use sync waves for ordering dependencies","code":""},{"d":4,"id":"validation","title":"Validation","text":"✅ Validate manifests in CI pipeline ✅ Run security scans (kube-score, Polaris) ✅ Test in dev/staging before production ✅ Implement automated rollback on failures","code":""},{"d":4,"id":"troubleshooting","title":"Troubleshooting","text":"","code":""},{"d":4,"id":"out-of-sync","title":"Out of Sync","text":"","code":"# Check diff argocd app diff myapp # Force sync argocd app sync myapp --force # Check status argocd app get myapp"},{"d":4,"id":"sync-failures","title":"Sync Failures","text":"","code":"# View events kubectl get events -n myapp # Check ArgoCD logs kubectl logs -n argocd deployment/argocd-application-controller # Validate manifests kubectl apply --dry-run=server -k path/to/manifests"},{"d":4,"id":"conclusion","title":"Conclusion","text":"GitOps transforms deployment practices: Git as Source of Truth : All changes tracked and auditable Automated Deployments : Reduce human error Easy Rollbacks : Just revert Git commits Consistent Environments : Dev, staging, prod from same codebase Disaster Recovery : Entire cluster state in Git Start with manual syncs, gradually enable automation as confidence grows. Practice GitOps in our ArgoCD Lab at HPE Labs Hub.","code":""},{"d":5,"id":"helm-vs-kustomize-choosing-the-right-tool","title":"Helm vs Kustomize: Choosing the Right Tool","text":"Published: January 2025 | Reading Time: 6 min Both Helm and Kustomize are popular Kubernetes manifest management tools, but they take different approaches. This guide helps you choose the right one for your needs.","code":""},{"d":5,"id":"quick-comparison","title":"Quick Comparison","text":"Feature Helm Kustomize Approach Templating Overlay/Patching Complexity Higher learning curve Simpler to start Package Management Built-in (charts) No packaging Reusability High (public charts) Medium Native K8s External tool Built into kubectl Dependencies Supported Manual","code":""},{"d":5,"id":"helm-the-package-manager","title":"Helm: The Package Manager","text":"","code":""},{"d":5,"id":"strengths","title":"Strengths","text":"1. Package Management 2. Templating Power 3. Release Management 4. Dependencies","code":"# Install from public repository helm repo add bitnami https://charts.bitnami.com/bitnami helm install my-redis bitnami/redis # Instant deployment of complex applications helm install my-postgres bitnami/postgresql-ha # values.yaml replicaCount: {{ .Values.replicaCount }} image: repository: {{ .Values.image.repository }} tag: {{ .Values.image.tag | default .Chart.AppVersion }} {{- if .Values.ingress.enabled }} --- apiVersion: networking.k8s.io/v1 kind: Ingress metadata: name: {{ include \"myapp.fullname\" . }} spec: # ... {{- end }} # Install helm install myapp ./mychart # Upgrade helm upgrade myapp ./mychart --set replicaCount=5 # Rollback helm rollback myapp 2 # History helm history myapp # Chart.yaml dependencies: - name: redis version: \"17.x.x\" repository: https://charts.bitnami.com/bitnami - name: postgresql version: \"12.x.x\" repository: https://charts.bitnami.com/bitnami"},{"d":5,"id":"weaknesses","title":"Weaknesses","text":"1. Template Complexity 2. Debugging Difficulty 3. Chart Maintenance Need to maintain Chart.yaml, values.yaml, templates/ Template functions can be obscure Harder to review changes in PRs","code":"# Can become hard to read {{- range $key, $value := .Values.env }} {{- if and (ne $key \"existingSecret\") (ne $key \"existingConfigMap\") }} {{- if kindIs \"map\" $value }} {{- range $subKey, $subValue := $value }} - name: {{ $key }}_{{ $subKey | upper }} value: {{ $subValue | quote }} {{- end }} {{- else }} - name: {{ $key | upper }} value: {{ $value | quote }} {{- end }} {{- end }} {{- end }} # Must render template to see actual YAML helm template myapp ./mychart --debug # Dry-run to validate helm install myapp ./mychart --dry-run"},{"d":5,"id":"kustomize-the-overlay-approach","title":"Kustomize: The Overlay Approach","text":"","code":""},{"d":5,"id":"strengths-1","title":"Strengths","text":"1. Simplicity 2. Environment Overlays 3. Native kubectl Integration 4. GitOps Friendly","code":"# base/kustomization.yaml resources: - deployment.yaml - service.yaml # No templating - just plain YAML # overlays/production/kustomization.yaml bases: - ../../base replicas: - name: myapp count: 10 images: - name: myapp newTag: v1.2.3 patchesStrategicMerge: - increase-resources.yaml # Apply with kubectl kubectl apply -k overlays/production # Diff kubectl diff -k overlays/production # Built into kubectl (no installation needed) # Easy to see what changed git diff overlays/production/ # Clear, readable YAML in Git # No template rendering needed"},{"d":5,"id":"weaknesses-1","title":"Weaknesses","text":"1. No Package Management 2. Limited Templating 3. Complex Patches","code":"# Can't do this: # kustomize install redis # Must manually copy base manifests # Can't do conditional resources easily # Must use multiple overlays or patches # JSON patches can be verbose patchesJson6902: - target: group: apps version: v1 kind: Deployment name: myapp patch: |- - op: replace path: /spec/replicas value: 3"},{"d":5,"id":"when-to-use-helm","title":"When to Use Helm","text":"","code":""},{"d":5,"id":"-use-helm-when","title":"✅ Use Helm When:","text":"1. Installing Third-Party Applications 2. Distributing Applications Creating reusable charts for multiple teams Open-source projects Marketplace applications 3. Complex Templating Needed 4. Dependency Management","code":"# Perfect for installing standard software helm install prometheus prometheus-community/kube-prometheus-stack helm install ingress-nginx ingress-nginx/ingress-nginx helm install argocd argo/argo-cd # When you need logic in manifests {{- if eq .Values.database.type \"postgres\" }} # Postgres-specific config {{- else if eq .Values.database.type \"mysql\" }} # MySQL-specific config {{- end }} # When app requires multiple components dependencies: - name: redis - name: postgresql - name: rabbitmq"},{"d":5,"id":"when-to-use-kustomize","title":"When to Use Kustomize","text":"","code":""},{"d":5,"id":"-use-kustomize-when","title":"✅ Use Kustomize When:","text":"1. Managing Your Own Applications 2. GitOps Workflows All YAML in Git (no rendering needed) Easy PR reviews Clear diff of changes ArgoCD native support 3. Simple Environment Variations 4. Kubernetes-Native Approach No external tools required Works with kubectl Official Kubernetes SIG project","code":"# Your microservices with environment-specific configs myapp/ ├── base/ │ ├── deployment.yaml │ └── service.yaml └── overlays/ ├── dev/ ├── staging/ └── production/ # production overlay replicas: - name: myapp count: 10 resources: - increase-resources.yaml"},{"d":5,"id":"hybrid-approach","title":"Hybrid Approach","text":"","code":""},{"d":5,"id":"best-of-both-worlds","title":"Best of Both Worlds","text":"Use Helm for Infrastructure Use Kustomize for Applications","code":"# Install infrastructure with Helm helm install prometheus prometheus-community/kube-prometheus-stack helm install ingress-nginx ingress-nginx/ingress-nginx # Manage your apps with Kustomize kubectl apply -k apps/frontend/overlays/production kubectl apply -k apps/backend/overlays/production"},{"d":5,"id":"kustomize--helm-charts","title":"Kustomize + Helm Charts","text":"","code":"# kustomization.yaml helmCharts: - name: redis repo: https://charts.bitnami.com/bitnami version: 17.0.0 releaseName: myredis namespace: cache valuesInline: replicaCount: 3 resources: - deployment.yaml - service.yaml"},{"d":5,"id":"argocd-with-both","title":"ArgoCD with Both","text":"","code":"# Helm application apiVersion: argoproj.io/v1alpha1 kind: Application metadata: name: prometheus spec: source: chart: kube-prometheus-stack repoURL: https://prometheus-community.github.io/helm-charts targetRevision: 45.0.0 --- # Kustomize application apiVersion: argoproj.io/v1alpha1 kind: Application metadata: name: frontend spec: source: repoURL: https://github.com/company/gitops path: apps/frontend/overlays/production"},{"d":5,"id":"migration-strategies","title":"Migration Strategies","text":"","code":""},{"d":5,"id":"helm-to-kustomize","title":"Helm to Kustomize","text":"","code":"# 1. Render Helm chart helm template myapp ./mychart > manifests.yaml # 2. Split into individual files # 3. Create Kustomize structure # 4. Add overlays for environments # 5. Test kubectl apply -k base --dry-run=server"},{"d":5,"id":"kustomize-to-helm","title":"Kustomize to Helm","text":"","code":"# 1. Create chart structure helm create mychart # 2. Move manifests to templates/ # 3. Parameterize with values.yaml # 4. Add template functions # 5. Test helm template mychart ./ helm install mychart ./ --dry-run"},{"d":5,"id":"decision-matrix","title":"Decision Matrix","text":"","code":""},{"d":5,"id":"choose-helm-if","title":"Choose Helm if:","text":"✅ Installing third-party software ✅ Need package versioning ✅ Complex conditional logic required ✅ Managing dependencies ✅ Distributing charts to others ✅ Need rollback functionality","code":""},{"d":5,"id":"choose-kustomize-if","title":"Choose Kustomize if:","text":"✅ Managing your own applications ✅ Using GitOps (ArgoCD/Flux) ✅ Want simple environment overlays ✅ Prefer declarative, no templating ✅ Kubernetes-native approach ✅ Easy code reviews","code":""},{"d":5,"id":"use-both-if","title":"Use Both if:","text":"✅ Helm for infrastructure/third-party ✅ Kustomize for your applications ✅ Best of both worlds","code":""},{"d":5,"id":"practical-example","title":"Practical Example","text":"","code":""},{"d":5,"id":"same-app-helm-vs-kustomize","title":"Same App: Helm vs Kustomize","text":"Helm Chart Kustomize","code":"# values.yaml replicaCount: 3 image: repository: myapp tag: \"1.0.0\" service: type: ClusterIP port: 80 # templates/deployment.yaml apiVersion: apps/v1 kind: Deployment metadata: name: {{ include \"myapp.fullname\" . }} spec: replicas: {{ .Values.replicaCount }} template: spec: containers: - name: myapp image: \"{{ .Values.image.repository }}:{{ .Values.image.tag }}\" # base/deployment.yaml apiVersion: apps/v1 kind: Deployment metadata: name: myapp spec: replicas: 3 template: spec: containers: - name: myapp image: myapp:1.0.0 # overlays/production/kustomization.yaml resources: - ../../base replicas: - name: myapp count: 10 images: - name: myapp newTag: 1.0.0"},{"d":5,"id":"conclusion","title":"Conclusion","text":"Helm : Power and ecosystem at the cost of complexity Kustomize : Simplicity and clarity for your own apps Most production environments benefit from using both: Helm for infrastructure Kustomize for applications ArgoCD to deploy both Choose based on your needs, not trends. Both are excellent tools. Try both in our labs: Helm Lab and ArgoCD Lab at HPE Labs Hub.","code":""},{"d":6,"id":"kubernetes-best-practices-for-2025","title":"Kubernetes Best Practices for 2025","text":"Published: January 2025 | Reading Time: 8 min As Kubernetes continues to dominate container orchestration, staying current with best practices is crucial. Here are the essential practices every K8s engineer should follow in 2025.","code":""},{"d":6,"id":"1-security-first","title":"1. Security First","text":"","code":""},{"d":6,"id":"rbac-configuration","title":"RBAC Configuration","text":"Always use Role-Based Access Control (RBAC) with the principle of least privilege:","code":"apiVersion: rbac.authorization.k8s.io/v1 kind: Role metadata: name: pod-reader rules: - apiGroups: [\"\"] resources: [\"pods\"] verbs: [\"get\", \"list\"]"},{"d":6,"id":"pod-security-standards","title":"Pod Security Standards","text":"Implement Pod Security Standards (PSS) at the namespace level: Privileged : Unrestricted (avoid in production) Baseline : Minimal restrictions Restricted : Heavily restricted (recommended)","code":""},{"d":6,"id":"network-policies","title":"Network Policies","text":"Isolate workloads with NetworkPolicies:","code":"apiVersion: networking.k8s.io/v1 kind: NetworkPolicy metadata: name: deny-all-ingress spec: podSelector: {} policyTypes: - Ingress"},{"d":6,"id":"2-resource-management","title":"2. Resource Management","text":"","code":""},{"d":6,"id":"set-resource-requests-and-limits","title":"Set Resource Requests and Limits","text":"Always define resources to prevent resource exhaustion:","code":"resources: requests: memory: \"128Mi\" cpu: \"100m\" limits: memory: \"256Mi\" cpu: \"200m\""},{"d":6,"id":"use-horizontal-pod-autoscaling","title":"Use Horizontal Pod Autoscaling","text":"Automatically scale based on metrics:","code":"kubectl autoscale deployment myapp --cpu-percent=70 --min=2 --max=10"},{"d":6,"id":"implement-pod-disruption-budgets","title":"Implement Pod Disruption Budgets","text":"Ensure availability during updates:","code":"apiVersion: policy/v1 kind: PodDisruptionBudget metadata: name: myapp-pdb spec: minAvailable: 2 selector: matchLabels: app: myapp"},{"d":6,"id":"3-observability","title":"3. Observability","text":"","code":""},{"d":6,"id":"structured-logging","title":"Structured Logging","text":"Use JSON logging for easier parsing:","code":"{\"level\":\"info\",\"timestamp\":\"2025-01-05T10:30:00Z\",\"msg\":\"Request processed\",\"duration\":125}"},{"d":6,"id":"distributed-tracing","title":"Distributed Tracing","text":"Implement OpenTelemetry for end-to-end visibility.","code":""},{"d":6,"id":"golden-signals","title":"Golden Signals","text":"Monitor these four metrics: Latency : Response time Traffic : Request rate Errors : Error rate Saturation : Resource utilization","code":""},{"d":6,"id":"4-gitops","title":"4. GitOps","text":"Use GitOps for declarative configuration management: Store manifests in Git ArgoCD/Flux for automatic synchronization Separate repos for code and config Environment-specific overlays with Kustomize","code":""},{"d":6,"id":"5-cost-optimization","title":"5. Cost Optimization","text":"","code":""},{"d":6,"id":"right-sizing","title":"Right-Sizing","text":"Regularly review and adjust resource requests based on actual usage.","code":""},{"d":6,"id":"cluster-autoscaler","title":"Cluster Autoscaler","text":"Scale nodes based on demand:","code":"# AWS eksctl create cluster --asg-access --managed --node-type t3.medium"},{"d":6,"id":"spot-instances","title":"Spot Instances","text":"Use spot instances for non-critical workloads to save up to 90%.","code":""},{"d":6,"id":"6-disaster-recovery","title":"6. Disaster Recovery","text":"","code":""},{"d":6,"id":"backup-strategy","title":"Backup Strategy","text":"Use Velero for cluster backups:","code":"velero backup create daily-backup --include-namespaces=production"},{"d":6,"id":"multi-regionmulti-cluster","title":"Multi-Region/Multi-Cluster","text":"Distribute workloads across regions for high availability.","code":""},{"d":6,"id":"regular-dr-drills","title":"Regular DR Drills","text":"Test recovery procedures quarterly.","code":""},{"d":6,"id":"7-cicd-integration","title":"7. CI/CD Integration","text":"","code":""},{"d":6,"id":"automated-testing","title":"Automated Testing","text":"Unit tests in CI Integration tests in staging Smoke tests post-deployment","code":""},{"d":6,"id":"progressive-delivery","title":"Progressive Delivery","text":"Canary deployments Blue-green deployments Automated rollbacks","code":""},{"d":6,"id":"8-configuration-management","title":"8. Configuration Management","text":"","code":""},{"d":6,"id":"use-configmaps-and-secrets","title":"Use ConfigMaps and Secrets","text":"Never hardcode configuration:","code":"env: - name: DATABASE_URL valueFrom: secretKeyRef: name: db-secret key: url"},{"d":6,"id":"external-secrets-operator","title":"External Secrets Operator","text":"Sync secrets from external vaults (AWS Secrets Manager, HashiCorp Vault).","code":""},{"d":6,"id":"9-monitoring-and-alerting","title":"9. Monitoring and Alerting","text":"","code":""},{"d":6,"id":"essential-alerts","title":"Essential Alerts","text":"Pod crash loops High memory/CPU usage Failed deployments Certificate expiration","code":""},{"d":6,"id":"slos-and-slis","title":"SLOs and SLIs","text":"Define Service Level Objectives: 99.9% uptime P95 latency < 200ms Error rate < 0.1%","code":""},{"d":6,"id":"10-documentation","title":"10. Documentation","text":"","code":""},{"d":6,"id":"as-code-documentation","title":"As-Code Documentation","text":"Document architecture with code:","code":"# This deployment handles user authentication # Dependencies: postgres, redis # Scaling: HPA configured for CPU > 70%"},{"d":6,"id":"runbooks","title":"Runbooks","text":"Create runbooks for common issues: Pod stuck in Pending OOMKilled errors Node NotReady","code":""},{"d":6,"id":"conclusion","title":"Conclusion","text":"Following these best practices will ensure your Kubernetes clusters are secure, reliable, and cost-effective in 2025. Remember: Kubernetes is a powerful tool, but with great power comes great responsibility. Key Takeaways: Security is not optional Observability enables reliability GitOps ensures consistency Cost optimization is ongoing Disaster recovery planning is critical Want to learn more? Check out our hands-on Kubernetes labs at HPE Labs Hub .","code":""},{"d":7,"id":"kubernetes-security-hardening-a-complete-guide","title":"Kubernetes Security Hardening: A Complete Guide","text":"Published: January 2025 | Reading Time: 10 min Security in Kubernetes is multi-layered. This comprehensive guide covers everything from cluster setup to runtime protection.","code":""},{"d":7,"id":"layer-1-cluster-security","title":"Layer 1: Cluster Security","text":"","code":""},{"d":7,"id":"api-server-hardening","title":"API Server Hardening","text":"","code":"# kube-apiserver flags --anonymous-auth=false --authorization-mode=RBAC,Node --enable-admission-plugins=NodeRestriction,PodSecurityPolicy,ServiceAccount --audit-log-path=/var/log/kubernetes/audit.log --audit-log-maxage=30 --tls-cert-file=/path/to/cert --tls-private-key-file=/path/to/key"},{"d":7,"id":"etcd-encryption-at-rest","title":"etcd Encryption at Rest","text":"Apply configuration:","code":"apiVersion: apiserver.config.k8s.io/v1 kind: EncryptionConfiguration resources: - resources: - secrets providers: - aescbc: keys: - name: key1 secret: <base64-encoded-32-byte-key> - identity: {} kube-apiserver --encryption-provider-config=/path/to/encryption-config.yaml"},{"d":7,"id":"network-segmentation","title":"Network Segmentation","text":"","code":"# Deny all traffic by default apiVersion: networking.k8s.io/v1 kind: NetworkPolicy metadata: name: default-deny-all namespace: production spec: podSelector: {} policyTypes: - Ingress - Egress --- # Allow specific traffic apiVersion: networking.k8s.io/v1 kind: NetworkPolicy metadata: name: allow-frontend-to-backend spec: podSelector: matchLabels: app: backend policyTypes: - Ingress ingress: - from: - podSelector: matchLabels: app: frontend ports: - protocol: TCP port: 8080"},{"d":7,"id":"layer-2-rbac-configuration","title":"Layer 2: RBAC Configuration","text":"","code":""},{"d":7,"id":"principle-of-least-privilege","title":"Principle of Least Privilege","text":"","code":"# Bad: Too permissive apiVersion: rbac.authorization.k8s.io/v1 kind: ClusterRole metadata: name: bad-role rules: - apiGroups: [\"*\"] resources: [\"*\"] verbs: [\"*\"] --- # Good: Specific permissions apiVersion: rbac.authorization.k8s.io/v1 kind: Role metadata: name: pod-reader namespace: development rules: - apiGroups: [\"\"] resources: [\"pods\"] verbs: [\"get\", \"list\"] --- apiVersion: rbac.authorization.k8s.io/v1 kind: RoleBinding metadata: name: read-pods namespace: development subjects: - kind: User name: developer@company.com apiGroup: rbac.authorization.k8s.io roleRef: kind: Role name: pod-reader apiGroup: rbac.authorization.k8s.io"},{"d":7,"id":"service-account-best-practices","title":"Service Account Best Practices","text":"","code":"# Disable default service account token mounting apiVersion: v1 kind: ServiceAccount metadata: name: app-sa automountServiceAccountToken: false --- apiVersion: apps/v1 kind: Deployment metadata: name: myapp spec: template: spec: serviceAccountName: app-sa automountServiceAccountToken: false # Explicitly disable if not needed"},{"d":7,"id":"audit-rbac-permissions","title":"Audit RBAC Permissions","text":"","code":"# Check what a user can do kubectl auth can-i --list --as=developer@company.com # Check specific permission kubectl auth can-i delete pods --as=developer@company.com -n production # Find overly permissive roles kubectl get clusterrolebindings -o json | jq '.items[] | select(.roleRef.name==\"cluster-admin\")'"},{"d":7,"id":"layer-3-pod-security","title":"Layer 3: Pod Security","text":"","code":""},{"d":7,"id":"pod-security-standards","title":"Pod Security Standards","text":"","code":"# Enforce at namespace level apiVersion: v1 kind: Namespace metadata: name: production labels: pod-security.kubernetes.io/enforce: restricted pod-security.kubernetes.io/audit: restricted pod-security.kubernetes.io/warn: restricted"},{"d":7,"id":"security-context","title":"Security Context","text":"","code":"apiVersion: apps/v1 kind: Deployment metadata: name: secure-app spec: template: spec: securityContext: runAsNonRoot: true runAsUser: 1000 fsGroup: 2000 seccompProfile: type: RuntimeDefault containers: - name: app image: myapp:latest securityContext: allowPrivilegeEscalation: false readOnlyRootFilesystem: true capabilities: drop: - ALL volumeMounts: - name: tmp mountPath: /tmp - name: cache mountPath: /app/cache volumes: - name: tmp emptyDir: {} - name: cache emptyDir: {}"},{"d":7,"id":"apparmor-and-seccomp","title":"AppArmor and Seccomp","text":"","code":"apiVersion: v1 kind: Pod metadata: name: secure-pod annotations: container.apparmor.security.beta.kubernetes.io/app: runtime/default spec: securityContext: seccompProfile: type: Localhost localhostProfile: profiles/audit.json containers: - name: app image: myapp:latest"},{"d":7,"id":"layer-4-image-security","title":"Layer 4: Image Security","text":"","code":""},{"d":7,"id":"image-scanning","title":"Image Scanning","text":"","code":"# Trivy scan in CI/CD - name: Scan image run: | trivy image --severity HIGH,CRITICAL --exit-code 1 myapp:latest # Admission webhook to block vulnerable images apiVersion: admissionregistration.k8s.io/v1 kind: ValidatingWebhookConfiguration metadata: name: image-scan webhooks: - name: scan.example.com rules: - operations: [\"CREATE\", \"UPDATE\"] apiGroups: [\"\"] apiVersions: [\"v1\"] resources: [\"pods\"] clientConfig: service: name: image-scanner namespace: security"},{"d":7,"id":"image-pull-policies","title":"Image Pull Policies","text":"","code":"spec: containers: - name: app image: registry.company.com/myapp:v1.2.3 # Use specific tags, not :latest imagePullPolicy: Always # Always pull to ensure latest security patches imagePullSecrets: - name: registry-credentials"},{"d":7,"id":"distroless-images","title":"Distroless Images","text":"","code":"# Use Google's distroless base images FROM gcr.io/distroless/static-debian11 COPY --from=builder /app/binary /app/binary USER 65532:65532 ENTRYPOINT [\"/app/binary\"]"},{"d":7,"id":"layer-5-secrets-management","title":"Layer 5: Secrets Management","text":"","code":""},{"d":7,"id":"never-commit-secrets-to-git","title":"Never Commit Secrets to Git","text":"","code":"# Bad apiVersion: v1 kind: Secret metadata: name: db-secret data: password: cGFzc3dvcmQxMjM= # base64 is NOT encryption! # Good: Use external secrets operator apiVersion: external-secrets.io/v1beta1 kind: ExternalSecret metadata: name: db-secret spec: refreshInterval: 1h secretStoreRef: name: aws-secrets-manager kind: SecretStore target: name: db-secret data: - secretKey: password remoteRef: key: prod/database/password"},{"d":7,"id":"sealed-secrets","title":"Sealed Secrets","text":"","code":"# Install Sealed Secrets controller kubectl apply -f https://github.com/bitnami-labs/sealed-secrets/releases/download/v0.24.0/controller.yaml # Seal a secret echo -n mypassword | kubectl create secret generic mysecret --dry-run=client --from-file=password=/dev/stdin -o yaml | \\ kubeseal -o yaml > mysealedsecret.yaml # Commit sealed secret to git (safe) git add mysealedsecret.yaml"},{"d":7,"id":"rotate-secrets-regularly","title":"Rotate Secrets Regularly","text":"","code":"# External Secrets with rotation apiVersion: external-secrets.io/v1beta1 kind: ExternalSecret metadata: name: rotating-secret spec: refreshInterval: 24h # Automatically sync every 24h secretStoreRef: name: vault kind: SecretStore target: name: app-secret creationPolicy: Owner template: type: Opaque engineVersion: v2 dataFrom: - extract: key: secret/app"},{"d":7,"id":"layer-6-runtime-security","title":"Layer 6: Runtime Security","text":"","code":""},{"d":7,"id":"falco-for-runtime-detection","title":"Falco for Runtime Detection","text":"","code":"# Deploy Falco helm repo add falcosecurity https://falcosecurity.github.io/charts helm install falco falcosecurity/falco \\ --namespace falco \\ --create-namespace \\ --set driver.kind=ebpf # Custom Falco rules - rule: Unexpected outbound connection desc: Detect unexpected outbound connections condition: > outbound and container and not fd.sip in (allowed_ips) output: > Unexpected outbound connection (user=%user.name container=%container.name dest=%fd.rip) priority: WARNING"},{"d":7,"id":"opa-gatekeeper","title":"OPA Gatekeeper","text":"","code":"# Install Gatekeeper kubectl apply -f https://raw.githubusercontent.com/open-policy-agent/gatekeeper/release-3.14/deploy/gatekeeper.yaml # Constraint template: Require labels apiVersion: templates.gatekeeper.sh/v1 kind: ConstraintTemplate metadata: name: k8srequiredlabels spec: crd: spec: names: kind: K8sRequiredLabels validation: openAPIV3Schema: properties: labels: type: array items: type: string targets: - target: admission.k8s.gatekeeper.sh rego: | package k8srequiredlabels violation[{\"msg\": msg}] { provided := {label | input.review.object.metadata.labels[label]} required := {label | label := input.parameters.labels[_]} missing := required - provided count(missing) > 0 msg := sprintf(\"Missing required labels: %v\", [missing]) } --- # Apply constraint apiVersion: constraints.gatekeeper.sh/v1beta1 kind: K8sRequiredLabels metadata: name: require-labels spec: match: kinds: - apiGroups: [\"\"] kinds: [\"Pod\"] parameters: labels: - app - environment - owner"},{"d":7,"id":"layer-7-supply-chain-security","title":"Layer 7: Supply Chain Security","text":"","code":""},{"d":7,"id":"sbom-software-bill-of-materials","title":"SBOM (Software Bill of Materials)","text":"","code":"# Generate SBOM with Syft syft packages myapp:latest -o spdx-json > sbom.json # Verify with Cosign cosign verify --key cosign.pub myapp:latest"},{"d":7,"id":"image-signing","title":"Image Signing","text":"","code":"# Sign images with Cosign cosign generate-key-pair cosign sign --key cosign.key myapp:latest # Verify in admission controller apiVersion: kyverno.io/v1 kind: ClusterPolicy metadata: name: verify-image spec: validationFailureAction: enforce rules: - name: verify-signature match: resources: kinds: - Pod verifyImages: - imageReferences: - \"registry.company.com/*\" attestors: - entries: - keys: publicKeys: |- -----BEGIN PUBLIC KEY----- ... -----END PUBLIC KEY-----"},{"d":7,"id":"security-auditing","title":"Security Auditing","text":"","code":""},{"d":7,"id":"cis-benchmark","title":"CIS Benchmark","text":"","code":"# Run kube-bench kubectl apply -f https://raw.githubusercontent.com/aquasecurity/kube-bench/main/job.yaml kubectl logs -f job/kube-bench # Review findings kubectl logs job/kube-bench | grep -E \"FAIL|WARN\""},{"d":7,"id":"regular-penetration-testing","title":"Regular Penetration Testing","text":"","code":"# kube-hunter for vulnerability scanning kubectl apply -f https://raw.githubusercontent.com/aquasecurity/kube-hunter/main/job.yaml # Review results kubectl logs -f job/kube-hunter"},{"d":7,"id":"security-checklist","title":"Security Checklist","text":"Cluster Level: API server has TLS enabled etcd encryption at rest enabled RBAC enabled Admission controllers configured Audit logging enabled Network policies enforced Pod Level: Run as non-root Read-only root filesystem Drop all capabilities Pod Security Standards enforced Resource limits set Security context configured Image Level: Images scanned for vulnerabilities Using minimal base images (distroless) Images signed No secrets in images Specific image tags (not :latest) Secrets Management: Secrets stored externally (Vault/AWS Secrets Manager) Secrets encrypted at rest Secret rotation implemented No secrets in environment variables Sealed Secrets for GitOps Runtime: Falco deployed for anomaly detection OPA Gatekeeper for policy enforcement Regular security audits Incident response plan documented","code":""},{"d":7,"id":"conclusion","title":"Conclusion","text":"Kubernetes security is not a one-time task but an ongoing process. Key principles: Defense in Depth : Multiple layers of security Least Privilege : Minimal permissions Zero Trust : Verify everything Automation : Security as code Monitoring : Detect and respond Stay vigilant, automate security checks, and regularly audit your cluster. Practice security techniques in our Kubernetes Labs at HPE Labs Hub.","code":""},{"d":8,"id":"kubernetes-troubleshooting-guide-from-pods-to-nodes","title":"Kubernetes Troubleshooting Guide: From Pods to Nodes","text":"Published: January 2025 | Reading Time: 12 min Troubleshooting Kubernetes can be daunting. This comprehensive guide covers common issues and systematic debugging approaches.","code":""},{"d":8,"id":"troubleshooting-methodology","title":"Troubleshooting Methodology","text":"","code":""},{"d":8,"id":"the-5-step-process","title":"The 5-Step Process","text":"Identify : What's the symptom? Isolate : Which component is failing? Investigate : Gather logs and metrics Diagnose : Find root cause Resolve : Fix and verify","code":""},{"d":8,"id":"pod-issues","title":"Pod Issues","text":"","code":""},{"d":8,"id":"pod-stuck-in-pending","title":"Pod Stuck in Pending","text":"Symptom : Pod shows Pending status Check Events Solution 1: Insufficient Resources Solution 2: Node Selector Issues Solution 3: PVC Not Bound","code":"kubectl describe pod <pod-name> # Common reasons in events: # - Insufficient CPU/memory # - No nodes match nodeSelector/affinity # - Volume not available # - Image pull backoff # Check node capacity kubectl describe nodes | grep -A 5 \"Allocated resources\" # Reduce resource requests or add nodes # Check pod's nodeSelector kubectl get pod <pod-name> -o yaml | grep -A 5 nodeSelector # Check node labels kubectl get nodes --show-labels # Add missing label or remove nodeSelector kubectl label nodes <node-name> disktype=ssd # Check PVC status kubectl get pvc # Check storage class kubectl get sc # Verify PV exists kubectl get pv"},{"d":8,"id":"pod-stuck-in-crashloopbackoff","title":"Pod Stuck in CrashLoopBackOff","text":"Symptom : Pod repeatedly crashes Investigate Common Causes 1. Application Error 2. Configuration Error 3. Probe Misconfiguration","code":"# Check logs from crashed container kubectl logs <pod-name> --previous # Check events kubectl describe pod <pod-name> # Check liveness/readiness probes kubectl get pod <pod-name> -o yaml | grep -A 10 livenessProbe # View application logs kubectl logs <pod-name> --tail=100 # If multiple containers kubectl logs <pod-name> -c <container-name> # Follow logs kubectl logs <pod-name> -f # Check environment variables kubectl exec <pod-name> -- env # Check mounted config kubectl exec <pod-name> -- cat /etc/config/app.conf # Verify secrets/configmaps exist kubectl get secrets kubectl get configmaps # Fix: Increase initialDelaySeconds livenessProbe: httpGet: path: /healthz port: 8080 initialDelaySeconds: 60 # Increase if app starts slowly periodSeconds: 10 timeoutSeconds: 5 failureThreshold: 3"},{"d":8,"id":"pod-oomkilled","title":"Pod OOMKilled","text":"Symptom : Pod terminated with OOMKilled status Diagnose Solution","code":"# Check exit code (137 = OOMKilled) kubectl get pod <pod-name> -o jsonpath='{.status.containerStatuses[*].lastState.terminated.exitCode}' # Check memory limit kubectl get pod <pod-name> -o jsonpath='{.spec.containers[*].resources.limits.memory}' # View metrics kubectl top pod <pod-name> # Increase memory limit resources: requests: memory: \"256Mi\" limits: memory: \"512Mi\" # Increase this # Or investigate memory leak # Profile application # Fix memory leak in code"},{"d":8,"id":"imagepullbackoff","title":"ImagePullBackOff","text":"Symptom : Cannot pull container image Diagnose Solution 1: Image Doesn't Exist Solution 2: Authentication Required Solution 3: Rate Limited (Docker Hub)","code":"# Check events kubectl describe pod <pod-name> # Common errors: # - \"image not found\" # - \"unauthorized\" # - \"manifest unknown\" # Verify image name and tag docker pull <image-name>:<tag> # Fix typo in deployment kubectl set image deployment/<name> <container>=<correct-image> # Create docker-registry secret kubectl create secret docker-registry regcred \\ --docker-server=<registry> \\ --docker-username=<username> \\ --docker-password=<password> \\ --docker-email=<email> # Add to deployment spec: imagePullSecrets: - name: regcred # Use authenticated pulls # Or use alternative registry (ghcr.io, quay.io) # Check rate limit status docker run --rm -it alpine sh -c \\ \"TOKEN=\\$(wget -qO- 'https://auth.docker.io/token?service=registry.docker.io&scope=repository:ratelimitpreview/test:pull' | jq -r .token) && \\ wget -qO- --header=\\\"Authorization: Bearer \\$TOKEN\\\" https://registry-1.docker.io/v2/ratelimitpreview/test/manifests/latest 2>&1 | grep -i ratelimit\""},{"d":8,"id":"deployment-issues","title":"Deployment Issues","text":"","code":""},{"d":8,"id":"deployment-not-rolling-out","title":"Deployment Not Rolling Out","text":"Symptom : New version not deploying Check Rollout Status Common Issues 1. Pod Not Ready 2. ImagePullBackOff 3. Insufficient Quota Rollback","code":"# View rollout status kubectl rollout status deployment/<name> # View rollout history kubectl rollout history deployment/<name> # Describe deployment kubectl describe deployment <name> # Check why pods aren't ready kubectl get pods -l app=<name> kubectl describe pod <pod-name> # Often due to: # - Failing readiness probe # - Application not starting # - Dependency not available # New image doesn't exist or can't be pulled # See ImagePullBackOff section above # Check resource quotas kubectl describe quota -n <namespace> # Check limit ranges kubectl describe limitrange -n <namespace> # Rollback to previous version kubectl rollout undo deployment/<name> # Rollback to specific revision kubectl rollout undo deployment/<name> --to-revision=2 # Check rollout history kubectl rollout history deployment/<name>"},{"d":8,"id":"service-and-networking-issues","title":"Service and Networking Issues","text":"","code":""},{"d":8,"id":"service-not-accessible","title":"Service Not Accessible","text":"Symptom : Cannot reach service Systematic Debugging 1. Check Service Exists 2. Verify Pod Labels Match 3. Test from Within Cluster 4. Check Network Policies 5. Check Container Port","code":"kubectl get svc <service-name> kubectl describe svc <service-name> # Check endpoints kubectl get endpoints <service-name> # Should show pod IPs # Service selector kubectl get svc <service-name> -o jsonpath='{.spec.selector}' # Pod labels kubectl get pods --show-labels # If no match: fix selector or labels # Create debug pod kubectl run debug --image=nicolaka/netshoot -it --rm -- bash # Test service DNS nslookup <service-name> nslookup <service-name>.<namespace>.svc.cluster.local # Test service IP curl http://<service-ip>:<port> # Test pod directly curl http://<pod-ip>:<container-port> # List network policies kubectl get networkpolicies # Describe policy kubectl describe networkpolicy <policy-name> # If traffic blocked: update policy # Verify container is listening kubectl exec <pod-name> -- netstat -tlnp # Check logs for errors kubectl logs <pod-name>"},{"d":8,"id":"ingress-not-working","title":"Ingress Not Working","text":"Symptom : External traffic not reaching application Debug Steps 1. Check Ingress Controller 2. Check Ingress Resource 3. Test Service Directly 4. Check DNS 5. Check TLS","code":"# Verify ingress controller running kubectl get pods -n ingress-nginx # Check logs kubectl logs -n ingress-nginx deployment/ingress-nginx-controller kubectl get ingress kubectl describe ingress <ingress-name> # Verify host and path # Check backend service # Port-forward to service kubectl port-forward svc/<service-name> 8080:80 # Test locally curl http://localhost:8080 # If this works, issue is with ingress # Verify DNS resolves nslookup <hostname> # Should point to load balancer IP kubectl get svc -n ingress-nginx ingress-nginx-controller # Verify cert exists kubectl get secret <tls-secret> # Check cert details kubectl get secret <tls-secret> -o jsonpath='{.data.tls\\.crt}' | base64 -d | openssl x509 -text -noout # Test with curl curl -v https://<hostname>"},{"d":8,"id":"node-issues","title":"Node Issues","text":"","code":""},{"d":8,"id":"node-notready","title":"Node NotReady","text":"Symptom : Node shows NotReady status Check Node Condition Common Causes 1. Kubelet Not Running 2. Disk Pressure 3. Network Issues","code":"kubectl describe node <node-name> # Check conditions: # - DiskPressure # - MemoryPressure # - PIDPressure # - NetworkUnavailable # SSH to node ssh <node> # Check kubelet systemctl status kubelet journalctl -u kubelet -f # Restart if needed systemctl restart kubelet # Check disk usage df -h # Clean up docker system prune -a journalctl --vacuum-time=3d # Check kubelet garbage collection kubectl get node <node-name> -o yaml | grep -A 10 allocatable # Check CNI plugin kubectl get pods -n kube-system | grep -i cni # Check CNI logs kubectl logs -n kube-system <cni-pod> # Restart CNI if needed kubectl delete pod -n kube-system <cni-pod>"},{"d":8,"id":"node-high-cpumemory","title":"Node High CPU/Memory","text":"Diagnose Solutions 1. Scale Down/Evict Pods 2. Adjust Resource Limits 3. Add More Nodes","code":"# Check node resources kubectl top nodes # Find resource hogs kubectl top pods --all-namespaces --sort-by=memory kubectl top pods --all-namespaces --sort-by=cpu # SSH to node and check top htop # Cordon node (prevent new pods) kubectl cordon <node-name> # Drain node kubectl drain <node-name> --ignore-daemonsets --delete-emptydir-data # Set appropriate limits resources: requests: cpu: 100m memory: 128Mi limits: cpu: 500m memory: 512Mi # Scale node group (cloud provider specific) # AWS EKS eksctl scale nodegroup --cluster=<cluster> --name=<nodegroup> --nodes=5 # GKE gcloud container clusters resize <cluster> --num-nodes=5"},{"d":8,"id":"persistent-volume-issues","title":"Persistent Volume Issues","text":"","code":""},{"d":8,"id":"pvc-stuck-in-pending","title":"PVC Stuck in Pending","text":"Symptom : PersistentVolumeClaim not bound Diagnose Solutions 1. No Storage Class 2. No Matching PV 3. Provisioner Error","code":"kubectl describe pvc <pvc-name> # Check events: # - No storage class available # - No PV matches # - Storage class provisioner error # Check storage classes kubectl get sc # If none, create one or use existing apiVersion: v1 kind: PersistentVolumeClaim metadata: name: my-pvc spec: storageClassName: \"standard\" # Specify explicitly accessModes: - ReadWriteOnce resources: requests: storage: 10Gi # Check available PVs kubectl get pv # Create PV or use dynamic provisioning # Check storage class provisioner logs # AWS EBS CSI Driver kubectl logs -n kube-system -l app=ebs-csi-controller # Google PD CSI Driver kubectl logs -n kube-system -l app=gcp-compute-persistent-disk-csi-driver"},{"d":8,"id":"performance-issues","title":"Performance Issues","text":"","code":""},{"d":8,"id":"slow-api-server","title":"Slow API Server","text":"Symptoms : kubectl commands slow Diagnose Solutions Reduce object count (old deployments, pods) Scale etcd (if applicable) Increase API server resources Enable API priority and fairness","code":"# Check API server metrics kubectl get --raw /metrics | grep apiserver_request_duration # Check etcd latency kubectl get --raw /metrics | grep etcd_request_duration # Check API server logs kubectl logs -n kube-system -l component=kube-apiserver"},{"d":8,"id":"slow-pod-startup","title":"Slow Pod Startup","text":"Diagnose Solutions 1. Slow Image Pull 2. Init Containers","code":"# Check events timeline kubectl describe pod <pod-name> # Common delays: # - Image pull # - Volume mounting # - Init containers # - Application startup # Use local registry or cache # Reduce image size # Pre-pull images to nodes # Optimize or parallelize init containers initContainers: - name: wait-for-db image: busybox command: ['sh', '-c', 'until nc -z db 5432; do sleep 1; done'] # Ensure this completes quickly"},{"d":8,"id":"debugging-tools","title":"Debugging Tools","text":"","code":""},{"d":8,"id":"essential-commands","title":"Essential Commands","text":"","code":"# Events (cluster-wide) kubectl get events --all-namespaces --sort-by='.lastTimestamp' # Resource usage kubectl top nodes kubectl top pods # Port forwarding kubectl port-forward pod/<pod> 8080:80 # Exec into pod kubectl exec -it <pod> -- /bin/bash # Copy files kubectl cp <pod>:/path/to/file ./local-file # Debug with ephemeral container kubectl debug <pod> -it --image=busybox --target=<container>"},{"d":8,"id":"debug-pod","title":"Debug Pod","text":"","code":"# Create debug pod kubectl run debug --image=nicolaka/netshoot -it --rm -- bash # Tools included: # - curl, wget # - netstat, ss, nmap # - dig, nslookup # - tcpdump, iftop # - iperf, netperf"},{"d":8,"id":"conclusion","title":"Conclusion","text":"Effective Kubernetes troubleshooting requires: Systematic Approach : Follow the 5-step process Know Your Tools : kubectl, logs, events, describe Understand Architecture : How components interact Check Logs : Application and K8s components Use Metrics : Monitor resource usage Practice : The more you troubleshoot, the faster you become Keep this guide handy. Kubernetes issues will happen, but with the right approach, they're always solvable. Practice troubleshooting in our Kubernetes Labs at HPE Labs Hub.","code":""},{"d":9,"id":"production-monitoring-strategies-for-kubernetes","title":"Production Monitoring Strategies for Kubernetes","text":"Published: January 2025 | Reading Time: 9 min Effective monitoring is the foundation of reliable Kubernetes operations. This guide covers comprehensive monitoring strategies from metrics to distributed tracing.","code":""},{"d":9,"id":"the-monitoring-stack","title":"The Monitoring Stack","text":"","code":""},{"d":9,"id":"core-components","title":"Core Components","text":"Metrics : Prometheus Visualization : Grafana Logging : Loki or ELK Stack Tracing : Jaeger or Tempo Alerting : Alertmanager","code":""},{"d":9,"id":"metrics-collection-strategy","title":"Metrics Collection Strategy","text":"","code":""},{"d":9,"id":"the-four-golden-signals","title":"The Four Golden Signals","text":"Latency : How long requests take Traffic : Request rate Errors : Error rate Saturation : Resource utilization","code":"# P95 latency histogram_quantile(0.95, rate(http_request_duration_seconds_bucket[5m]) ) # Per endpoint histogram_quantile(0.95, sum(rate(http_request_duration_seconds_bucket[5m])) by (le, endpoint) ) # Requests per second sum(rate(http_requests_total[5m])) # By status code sum(rate(http_requests_total[5m])) by (status) # Error percentage sum(rate(http_requests_total{status=~\"5..\"}[5m])) / sum(rate(http_requests_total[5m])) * 100 # CPU saturation sum(rate(container_cpu_usage_seconds_total[5m])) by (pod) / sum(container_spec_cpu_quota/container_spec_cpu_period) by (pod) * 100 # Memory saturation sum(container_memory_working_set_bytes) by (pod) / sum(container_spec_memory_limit_bytes) by (pod) * 100"},{"d":9,"id":"use-method-resources","title":"USE Method (Resources)","text":"Utilization : Average time resource was busy Saturation : Degree of queued work Errors : Count of error events","code":"# Node CPU utilization 100 - (avg(irate(node_cpu_seconds_total{mode=\"idle\"}[5m])) by (instance) * 100) # Disk utilization 100 - ((node_filesystem_avail_bytes / node_filesystem_size_bytes) * 100) # CPU throttling (containers being throttled) rate(container_cpu_cfs_throttled_seconds_total[5m]) # Memory pressure rate(container_memory_failures_total[5m]) # OOM kills rate(container_oom_events_total[5m]) # Disk errors rate(node_disk_io_errors_total[5m])"},{"d":9,"id":"red-method-services","title":"RED Method (Services)","text":"Rate : Requests per second Errors : Failed requests per second Duration : Distribution of request latency","code":"sum(rate(http_requests_total[5m])) by (service) sum(rate(http_requests_total{status=~\"5..\"}[5m])) by (service) histogram_quantile(0.99, sum(rate(http_request_duration_seconds_bucket[5m])) by (le, service) )"},{"d":9,"id":"kubernetes-specific-metrics","title":"Kubernetes-Specific Metrics","text":"","code":""},{"d":9,"id":"cluster-health","title":"Cluster Health","text":"","code":"# Node status kube_node_status_condition{condition=\"Ready\",status=\"true\"} # API server availability up{job=\"kubernetes-apiservers\"} # Control plane components up{job=~\"kube-scheduler|kube-controller-manager|etcd\"}"},{"d":9,"id":"pod-health","title":"Pod Health","text":"","code":"# Pods not running count(kube_pod_status_phase{phase!=\"Running\"}) by (namespace) # Pod restarts (crash loops) rate(kube_pod_container_status_restarts_total[15m]) > 0 # Pods pending too long kube_pod_status_phase{phase=\"Pending\"} * on(pod,namespace) (time() - kube_pod_created) > 300"},{"d":9,"id":"resource-capacity","title":"Resource Capacity","text":"","code":"# CPU capacity vs usage sum(kube_node_status_allocatable{resource=\"cpu\"}) - sum(kube_pod_container_resource_requests{resource=\"cpu\"}) # Memory capacity sum(kube_node_status_allocatable{resource=\"memory\"}) - sum(kube_pod_container_resource_requests{resource=\"memory\"}) # Disk pressure 100 - (kubelet_volume_stats_available_bytes / kubelet_volume_stats_capacity_bytes) * 100"},{"d":9,"id":"logging-strategy","title":"Logging Strategy","text":"","code":""},{"d":9,"id":"structured-logging","title":"Structured Logging","text":"","code":"// Go example with zap logger.Info(\"User login\", zap.String(\"user_id\", \"12345\"), zap.String(\"ip\", \"192.168.1.1\"), zap.Duration(\"duration\", elapsed), ) // Output (JSON) { \"level\": \"info\", \"msg\": \"User login\", \"user_id\": \"12345\", \"ip\": \"192.168.1.1\", \"duration\": 125.5, \"timestamp\": \"2025-01-05T10:30:00Z\" }"},{"d":9,"id":"log-levels","title":"Log Levels","text":"DEBUG : Detailed diagnostic information INFO : General informational messages WARN : Warning messages (potential issues) ERROR : Error messages (failures) FATAL : Critical errors (application crash)","code":""},{"d":9,"id":"loki-query-language-logql","title":"Loki Query Language (LogQL)","text":"","code":"# Find errors in last hour {namespace=\"production\"} |= \"error\" | json # Count errors by service sum(count_over_time({namespace=\"production\"} |= \"error\" [1h])) by (service) # Find slow requests {app=\"api\"} | json | duration > 1s # Pattern matching {namespace=\"production\"} |~ \"timeout|connection refused\" # Extract and aggregate sum by (status) ( rate({app=\"nginx\"} | json | __error__=\"\" [5m]) )"},{"d":9,"id":"distributed-tracing","title":"Distributed Tracing","text":"","code":""},{"d":9,"id":"opentelemetry-instrumentation","title":"OpenTelemetry Instrumentation","text":"","code":"// Go example import ( \"go.opentelemetry.io/otel\" \"go.opentelemetry.io/otel/trace\" ) func processRequest(ctx context.Context) { tracer := otel.Tracer(\"myapp\") ctx, span := tracer.Start(ctx, \"processRequest\") defer span.End() // Add attributes span.SetAttributes( attribute.String(\"user.id\", \"12345\"), attribute.Int64(\"item.count\", 10), ) // Call downstream service result := callDatabase(ctx) if err != nil { span.RecordError(err) span.SetStatus(codes.Error, err.Error()) } }"},{"d":9,"id":"jaeger-queries","title":"Jaeger Queries","text":"","code":"# Find slow traces service=myapp AND duration>1s # Find errors service=myapp AND error=true # Specific operation service=myapp AND operation=processPayment # By tag service=myapp AND http.status_code=500"},{"d":9,"id":"alerting-best-practices","title":"Alerting Best Practices","text":"","code":""},{"d":9,"id":"alert-design","title":"Alert Design","text":"","code":"groups: - name: SLO-based-alerts rules: # Error budget burn rate - alert: ErrorBudgetBurnRate expr: | sum(rate(http_requests_total{status=~\"5..\"}[1h])) / sum(rate(http_requests_total[1h])) > 0.001 for: 5m labels: severity: critical annotations: summary: \"High error rate depleting error budget\" description: \"Error rate is {{ $value | humanizePercentage }}\" runbook_url: \"https://wiki.company.com/runbooks/error-budget\" # Latency SLO violation - alert: HighLatency expr: | histogram_quantile(0.95, sum(rate(http_request_duration_seconds_bucket[5m])) by (le) ) > 0.5 for: 10m labels: severity: warning annotations: summary: \"P95 latency above SLO\" description: \"P95 latency is {{ $value }}s (SLO: 0.5s)\" # Resource exhaustion - alert: PodMemoryExhaustion expr: | (sum(container_memory_working_set_bytes) by (pod,namespace) / sum(container_spec_memory_limit_bytes) by (pod,namespace)) > 0.9 for: 5m labels: severity: warning annotations: summary: \"Pod {{ $labels.namespace }}/{{ $labels.pod }} high memory\" description: \"Memory usage at {{ $value | humanizePercentage }}\""},{"d":9,"id":"alert-routing","title":"Alert Routing","text":"","code":"# alertmanager.yml route: receiver: 'default' group_by: ['alertname', 'cluster'] group_wait: 30s group_interval: 5m repeat_interval: 12h routes: # Critical alerts to PagerDuty - match: severity: critical receiver: 'pagerduty' continue: true # Also send to Slack # Critical alerts to Slack - match: severity: critical receiver: 'slack-critical' # Warnings to Slack only - match: severity: warning receiver: 'slack-warnings' # Database alerts to DBA team - match_re: alertname: ^Database.* receiver: 'dba-team' receivers: - name: 'pagerduty' pagerduty_configs: - service_key: '<pagerduty-key>' - name: 'slack-critical' slack_configs: - api_url: '<webhook-url>' channel: '#critical-alerts' title: '{{ .GroupLabels.alertname }}' text: '{{ range .Alerts }}{{ .Annotations.description }}{{ end }}' - name: 'slack-warnings' slack_configs: - api_url: '<webhook-url>' channel: '#warnings'"},{"d":9,"id":"dashboard-design","title":"Dashboard Design","text":"","code":""},{"d":9,"id":"essential-dashboards","title":"Essential Dashboards","text":"1. Cluster Overview Node status and resource utilization Pod distribution Network traffic Storage usage 2. Application Dashboard Request rate (RED) Error rate Latency (P50, P95, P99) Resource usage 3. Infrastructure Dashboard Node metrics (USE) Disk I/O Network I/O Control plane health","code":""},{"d":9,"id":"grafana-best-practices","title":"Grafana Best Practices","text":"","code":"{ \"dashboard\": { \"title\": \"Service Overview\", \"templating\": { \"list\": [ { \"name\": \"namespace\", \"type\": \"query\", \"query\": \"label_values(kube_pod_info, namespace)\" }, { \"name\": \"service\", \"type\": \"query\", \"query\": \"label_values(kube_service_info{namespace=\\\"$namespace\\\"}, service)\" } ] }, \"panels\": [ { \"title\": \"Request Rate\", \"targets\": [ { \"expr\": \"sum(rate(http_requests_total{namespace=\\\"$namespace\\\",service=\\\"$service\\\"}[5m]))\" } ] }, { \"title\": \"Error Rate\", \"targets\": [ { \"expr\": \"sum(rate(http_requests_total{namespace=\\\"$namespace\\\",service=\\\"$service\\\",status=~\\\"5..\\\"}[5m])) / sum(rate(http_requests_total{namespace=\\\"$namespace\\\",service=\\\"$service\\\"}[5m]))\" } ] } ] } }"},{"d":9,"id":"service-level-objectives-slos","title":"Service Level Objectives (SLOs)","text":"","code":""},{"d":9,"id":"defining-slos","title":"Defining SLOs","text":"","code":"# SLO: 99.9% availability # Error budget: 0.1% = 43.2 minutes/month # SLI: Availability availability = (total_requests - error_requests) / total_requests # SLI: Latency latency_sli = requests_under_threshold / total_requests # Example: 95% of requests < 500ms"},{"d":9,"id":"monitoring-error-budget","title":"Monitoring Error Budget","text":"","code":"# Error budget remaining (30 days) 1 - ( sum(increase(http_requests_total{status=~\"5..\"}[30d])) / sum(increase(http_requests_total[30d])) ) / 0.001 # SLO: 99.9% # Days until error budget exhausted (error_budget_remaining * 30) / current_error_rate"},{"d":9,"id":"cost-optimization","title":"Cost Optimization","text":"","code":""},{"d":9,"id":"monitor-unused-resources","title":"Monitor Unused Resources","text":"","code":"# PVCs with low utilization (kubelet_volume_stats_used_bytes / kubelet_volume_stats_capacity_bytes) < 0.2 # Oversized pods container_memory_working_set_bytes / container_spec_memory_limit_bytes < 0.5"},{"d":9,"id":"right-sizing-recommendations","title":"Right-Sizing Recommendations","text":"","code":"# Use metrics-server and VPA recommender kubectl top pods --all-namespaces kubectl get vpa --all-namespaces"},{"d":9,"id":"monitoring-checklist","title":"Monitoring Checklist","text":"Prometheus scraping all targets Grafana dashboards for all critical services Alerts configured for SLO violations Runbooks linked in alert annotations Log aggregation (Loki/ELK) deployed Distributed tracing (Jaeger/Tempo) configured Alertmanager routing configured SLOs defined and tracked Error budgets monitored Cost optimization dashboards","code":""},{"d":9,"id":"conclusion","title":"Conclusion","text":"Effective monitoring requires: Comprehensive Coverage : Metrics, logs, traces Actionable Alerts : Based on SLOs, not symptoms Clear Dashboards : Focus on what matters Fast Response : Automated remediation where possible Continuous Improvement : Regular review and optimization Remember: Monitor what matters, alert on what's actionable. Learn hands-on monitoring in our Prometheus & Grafana Lab at HPE Labs Hub.","code":""},{"d":10,"id":"service-mesh-comparison-istio-vs-linkerd-vs-consul","title":"Service Mesh Comparison: Istio vs Linkerd vs Consul","text":"Published: January 2025 | Reading Time: 8 min Service meshes have become essential for microservices architecture. This guide compares the three leading options to help you choose wisely.","code":""},{"d":10,"id":"quick-comparison","title":"Quick Comparison","text":"Feature Istio Linkerd Consul Maturity Very mature Mature Mature Complexity High Low Medium Performance Good Excellent Good Resource Usage High Low Medium Features Most complete Essential features Enterprise focus Multi-cluster Excellent Good Excellent Learning Curve Steep Gentle Medium","code":""},{"d":10,"id":"istio-the-feature-rich-giant","title":"Istio: The Feature-Rich Giant","text":"","code":""},{"d":10,"id":"architecture","title":"Architecture","text":"","code":"Control Plane: istiod (single binary) Data Plane: Envoy sidecars"},{"d":10,"id":"strengths","title":"Strengths","text":"1. Comprehensive Feature Set Advanced traffic management Sophisticated security policies Rich observability Multi-cluster support VM integration 2. Traffic Management 3. Security 4. Observability","code":"# Fine-grained routing apiVersion: networking.istio.io/v1beta1 kind: VirtualService metadata: name: reviews spec: hosts: - reviews http: - match: - headers: user-agent: regex: \".*Mobile.*\" route: - destination: host: reviews subset: mobile - route: - destination: host: reviews subset: desktop --- # Sophisticated traffic splitting apiVersion: networking.istio.io/v1beta1 kind: DestinationRule metadata: name: reviews spec: host: reviews trafficPolicy: loadBalancer: consistentHash: httpHeaderName: user-id subsets: - name: v1 labels: version: v1 - name: v2 labels: version: v2 trafficPolicy: connectionPool: tcp: maxConnections: 100 http: http1MaxPendingRequests: 1 maxRequestsPerConnection: 2 # Automatic mTLS apiVersion: security.istio.io/v1beta1 kind: PeerAuthentication metadata: name: default spec: mtls: mode: STRICT --- # Fine-grained authorization apiVersion: security.istio.io/v1beta1 kind: AuthorizationPolicy metadata: name: frontend-policy spec: selector: matchLabels: app: frontend action: ALLOW rules: - from: - source: principals: [\"cluster.local/ns/default/sa/api-gateway\"] to: - operation: methods: [\"GET\", \"POST\"] paths: [\"/api/*\"] when: - key: request.auth.claims[group] values: [\"admin\", \"user\"] # Built-in integrations istioctl dashboard kiali # Topology visualization istioctl dashboard jaeger # Distributed tracing istioctl dashboard grafana # Metrics dashboards istioctl dashboard prometheus # Metrics collection"},{"d":10,"id":"weaknesses","title":"Weaknesses","text":"1. Resource Consumption 2. Complexity Steep learning curve Many CRDs to learn (20+) Difficult to debug Complex configuration 3. Troubleshooting","code":"# Control plane istiod: ~500Mi memory, 200m CPU # Per-pod sidecar istio-proxy: ~50-100Mi memory, 100m CPU # For 100 pods: ~5-10Gi memory overhead # Often requires deep Envoy knowledge istioctl proxy-config routes pod-name istioctl proxy-config clusters pod-name istioctl analyze # Error messages can be cryptic"},{"d":10,"id":"best-for","title":"Best For","text":"✅ Large enterprises ✅ Complex traffic requirements ✅ Multi-cluster deployments ✅ Need advanced features ✅ Have dedicated platform team","code":""},{"d":10,"id":"linkerd-the-lightweight-champion","title":"Linkerd: The Lightweight Champion","text":"","code":""},{"d":10,"id":"architecture-1","title":"Architecture","text":"","code":"Control Plane: linkerd-controller, linkerd-destination, linkerd-identity Data Plane: linkerd-proxy (Rust-based, purpose-built)"},{"d":10,"id":"strengths-1","title":"Strengths","text":"1. Simplicity 2. Performance 3. Security by Default 4. Observability 5. GitOps Friendly","code":"# Installation linkerd install | kubectl apply -f - # Add to namespace kubectl annotate namespace myapp linkerd.io/inject=enabled # Check linkerd check Latency overhead: <1ms (p99) Memory per sidecar: ~20Mi Rust-based proxy: Very fast, minimal overhead # Automatic mTLS - no configuration needed # Just inject the sidecar # Check mTLS status linkerd viz edges deployment # Output shows 🔒 for mTLS connections # Simple but effective dashboards linkerd viz dashboard # Service-level metrics linkerd viz stat deployments linkerd viz top deployments linkerd viz tap deployment/myapp # Golden metrics out of the box SUCCESS_RATE, RPS, LATENCY (P50, P95, P99) # Simple YAML annotations apiVersion: apps/v1 kind: Deployment metadata: name: myapp annotations: linkerd.io/inject: enabled spec: # ... rest of deployment"},{"d":10,"id":"weaknesses-1","title":"Weaknesses","text":"1. Limited Advanced Features Basic traffic splitting (no header-based routing) No JWT validation No rate limiting (use nginx/envoy) Limited multi-cluster features 2. Less Ecosystem Smaller community than Istio Fewer integrations Less tooling 3. Configuration","code":"# Must use annotations or separate CRDs # No VirtualService equivalent apiVersion: split.smi-spec.io/v1alpha2 kind: TrafficSplit metadata: name: myapp-split spec: service: myapp backends: - service: myapp-v1 weight: 90 - service: myapp-v2 weight: 10"},{"d":10,"id":"best-for-1","title":"Best For","text":"✅ Simplicity-first teams ✅ Performance-critical applications ✅ Resource-constrained clusters ✅ Don't need advanced features ✅ Want quick wins","code":""},{"d":10,"id":"consul-the-multi-platform-solution","title":"Consul: The Multi-Platform Solution","text":"","code":""},{"d":10,"id":"architecture-2","title":"Architecture","text":"","code":"Control Plane: Consul servers Data Plane: Envoy sidecars (like Istio) Can run on VMs, Kubernetes, bare metal"},{"d":10,"id":"strengths-2","title":"Strengths","text":"1. Multi-Platform 2. Service Discovery 3. Configuration Management 4. Enterprise Features Network segments Namespaces Read replicas Audit logging Automated backups","code":"# Services on VMs service { name = \"web\" port = 8080 connect { sidecar_service {} } } # Works with Kubernetes too # Built-in service registry consul catalog services consul catalog nodes # DNS interface dig @consul myservice.service.consul # Key-value store consul kv put config/database/url \"postgres://...\" consul kv get config/database/url # Dynamic configuration"},{"d":10,"id":"weaknesses-2","title":"Weaknesses","text":"1. Kubernetes-Specific Features Not as Kubernetes-native as Istio/Linkerd More complex setup for K8s 2. Resource Usage Heavier than Linkerd Consul servers + Envoy sidecars 3. Learning Curve Must learn Consul concepts Different from pure Kubernetes","code":""},{"d":10,"id":"best-for-2","title":"Best For","text":"✅ Hybrid environments (K8s + VMs) ✅ Multi-cloud deployments ✅ Need service discovery beyond K8s ✅ Enterprise support requirements ✅ HashiCorp ecosystem users","code":""},{"d":10,"id":"feature-comparison","title":"Feature Comparison","text":"","code":""},{"d":10,"id":"traffic-management","title":"Traffic Management","text":"Feature Istio Linkerd Consul Traffic splitting ✅ Advanced ✅ Basic ✅ Medium Header-based routing ✅ ❌ ✅ Retries ✅ ✅ ✅ Timeouts ✅ ✅ ✅ Circuit breaking ✅ ✅ ✅ Fault injection ✅ ❌ ✅","code":""},{"d":10,"id":"security","title":"Security","text":"Feature Istio Linkerd Consul Automatic mTLS ✅ ✅ ✅ Authorization policies ✅ Advanced ✅ Basic ✅ Medium JWT validation ✅ ❌ ✅ Certificate rotation ✅ ✅ ✅","code":""},{"d":10,"id":"observability","title":"Observability","text":"Feature Istio Linkerd Consul Metrics ✅ Rich ✅ Golden signals ✅ Rich Distributed tracing ✅ ✅ ✅ Access logs ✅ ✅ ✅ Dashboard Kiali Linkerd Viz Consul UI","code":""},{"d":10,"id":"performance-benchmarks","title":"Performance Benchmarks","text":"","code":""},{"d":10,"id":"latency-overhead-p99","title":"Latency Overhead (p99)","text":"Linkerd : <1ms Istio : 2-5ms Consul : 2-4ms","code":""},{"d":10,"id":"memory-per-sidecar","title":"Memory per Sidecar","text":"Linkerd : ~20Mi Istio : ~50-100Mi Consul : ~40-80Mi","code":""},{"d":10,"id":"throughput","title":"Throughput","text":"Linkerd : Minimal impact (<1%) Istio : 2-5% overhead Consul : 2-5% overhead","code":""},{"d":10,"id":"decision-framework","title":"Decision Framework","text":"","code":""},{"d":10,"id":"start-with-linkerd-if","title":"Start with Linkerd if:","text":"","code":"priorities: - simplicity: high - performance: critical - resources: limited - features_needed: basic - team_size: small"},{"d":10,"id":"choose-istio-if","title":"Choose Istio if:","text":"","code":"priorities: - features: comprehensive - traffic_management: advanced - multi_cluster: required - team: has service mesh expertise - resources: available"},{"d":10,"id":"pick-consul-if","title":"Pick Consul if:","text":"","code":"priorities: - hybrid_environment: kubernetes + vms - multi_cloud: required - service_discovery: beyond kubernetes - hashicorp_stack: already using - enterprise_support: needed"},{"d":10,"id":"migration-path","title":"Migration Path","text":"","code":""},{"d":10,"id":"start-simple-scale-up","title":"Start Simple, Scale Up","text":"","code":"Phase 1: Linkerd - Deploy Linkerd - Get mTLS and observability - Learn service mesh concepts Phase 2: Evaluate - Do you need advanced features? - Is performance acceptable? - Are resources constrained? Phase 3: Migrate to Istio (if needed) - Complex traffic management requirements - Multi-cluster becomes critical - Need advanced security policies"},{"d":10,"id":"real-world-usage","title":"Real-World Usage","text":"","code":""},{"d":10,"id":"istio","title":"Istio","text":"Companies : Google, IBM, eBay, T-Mobile Use Cases : Large microservices deployments, multi-cluster","code":""},{"d":10,"id":"linkerd","title":"Linkerd","text":"Companies : Microsoft, Nordstrom, HP, Expedia Use Cases : Performance-critical, resource-constrained","code":""},{"d":10,"id":"consul","title":"Consul","text":"Companies : Barclays, Citadel, Critical Stack Use Cases : Hybrid cloud, VM + K8s environments","code":""},{"d":10,"id":"conclusion","title":"Conclusion","text":"Linkerd : Start here Simplest to adopt Best performance Lowest resource usage 80% of use cases covered Istio : Scale to this When you need advanced features Complex traffic management Multi-cluster requirements Have dedicated team Consul : Choose for hybrid VMs + Kubernetes Multi-cloud Beyond container orchestration HashiCorp ecosystem Most teams should start with Linkerd . Migrate to Istio only when you hit its limitations. Try Istio in our Service Mesh Lab at HPE Labs Hub.","code":""},{"d":11,"id":"hands-on-guide-installing-and-configuring-velero-for-kubernetes-backup-and-restore","title":"Hands-On Guide: Installing and Configuring Velero for Kubernetes Backup and Restore","text":"","code":""},{"d":11,"id":"a-step-by-step-tutorial-with-real-examples","title":"A Step-by-Step Tutorial with Real Examples","text":"Author: Technical Documentation Team Date: December 2025 Estimated Time: 45 minutes Difficulty: Intermediate","code":""},{"d":11,"id":"-what-youll-learn","title":"🎯 What You'll Learn","text":"By the end of this guide, you'll be able to: Install Velero using Helm with production-grade configuration Configure S3-compatible storage (MinIO) as a backup destination Create manual backups of your Kubernetes cluster Perform multi-phase restores with proper dependency ordering Validate backup and restore operations","code":""},{"d":11,"id":"-prerequisites","title":"📋 Prerequisites","text":"Before starting, ensure you have: A running Kubernetes cluster (1.21+) kubectl configured to access your cluster helm CLI (version 3.x) S3-compatible object storage (MinIO or AWS S3) Cluster admin permissions","code":""},{"d":11,"id":"verify-prerequisites","title":"Verify Prerequisites","text":"","code":"# Check Kubernetes connection kubectl cluster-info # Expected output: # Kubernetes control plane is running at https://your-cluster:6443 # CoreDNS is running at https://your-cluster:6443/api/v1/namespaces/kube-system/services/kube-dns:dns/proxy # Check Helm version helm version --short # Expected output: # v3.12.0+g1234abc"},{"d":11,"id":"️-part-1-preparing-your-environment","title":"🏗️ Part 1: Preparing Your Environment","text":"","code":""},{"d":11,"id":"step-1-set-up-minio-storage","title":"Step 1: Set Up MinIO Storage","text":"We'll use MinIO as our S3-compatible backup storage.","code":"# Set your MinIO credentials export MINIO_ENDPOINT=\"https://10.14.183.240:9000\" export MINIO_ACCESS_KEY=\"vmreadwrite\" export MINIO_SECRET_KEY=\"shell_pass@123\" export MINIO_BUCKET=\"backup-storage\""},{"d":11,"id":"step-2-create-velero-credentials-file","title":"Step 2: Create Velero Credentials File","text":"Create a temporary credentials file for Velero to access MinIO: Expected output:","code":"# Create credentials file cat > /tmp/velero-credentials <<EOF [default] aws_access_key_id=${MINIO_ACCESS_KEY} aws_secret_access_key=${MINIO_SECRET_KEY} EOF # Verify credentials file cat /tmp/velero-credentials [default] aws_access_key_id=vmreadwrite aws_secret_access_key=shell_pass@123"},{"d":11,"id":"step-3-download-velero-helm-chart","title":"Step 3: Download Velero Helm Chart","text":"Expected output:","code":"# Add Velero Helm repository helm repo add vmware-tanzu https://vmware-tanzu.github.io/helm-charts # Update Helm repositories helm repo update # Verify Velero chart is available helm search repo velero NAME CHART VERSION APP VERSION DESCRIPTION vmware-tanzu/velero 5.1.0 1.12.0 A Helm chart for velero"},{"d":11,"id":"-part-2-installing-velero","title":"🚀 Part 2: Installing Velero","text":"","code":""},{"d":11,"id":"step-4-install-velero-with-helm","title":"Step 4: Install Velero with Helm","text":"Now we'll install Velero with production-grade configuration matching the implementation from the white paper. Expected output: 🔍 Configuration Breakdown: Parameter Value Why? s3ForcePathStyle=true Enabled Required for MinIO (uses path-based URLs) uploaderType=kopia kopia Modern, faster alternative to Restic defaultSnapshotMoveData=true Enabled Moves snapshot data to object storage features=EnableCSI Enabled Integrates with CSI drivers for volume snapshots deployNodeAgent=true Enabled DaemonSet for file system backups checksumAlgorithm=\"\" Empty Avoids checksum validation issues with MinIO","code":"helm upgrade --install velero vmware-tanzu/velero \\ --namespace velero \\ --create-namespace \\ --set-file credentials.secretContents.cloud=/tmp/velero-credentials \\ --set configuration.backupStorageLocation[0].name=default \\ --set configuration.backupStorageLocation[0].provider=aws \\ --set configuration.backupStorageLocation[0].bucket=\"${MINIO_BUCKET}\" \\ --set configuration.backupStorageLocation[0].config.region=us-east-1 \\ --set configuration.backupStorageLocation[0].config.s3ForcePathStyle=true \\ --set configuration.backupStorageLocation[0].config.s3Url=${MINIO_ENDPOINT} \\ --set configuration.backupStorageLocation[0].config.checksumAlgorithm=\"\" \\ --set configuration.volumeSnapshotLocation[0].name=default-snapshot-location \\ --set configuration.volumeSnapshotLocation[0].provider=aws \\ --set configuration.volumeSnapshotLocation[0].config.region=us-east-1 \\ --set initContainers[0].name=velero-plugin-for-aws \\ --set initContainers[0].image=velero/velero-plugin-for-aws:v1.10.0 \\ --set initContainers[0].volumeMounts[0].mountPath=/target \\ --set initContainers[0].volumeMounts[0].name=plugins \\ --set deployNodeAgent=true \\ --set configuration.uploaderType=kopia \\ --set configuration.defaultSnapshotMoveData=true \\ --set configuration.features=EnableCSI \\ --set configuration.repositoryMaintenanceJob.latestJobsCount=1 \\ --set snapshotsEnabled=true Release \"velero\" does not exist. Installing it now. NAME: velero LAST DEPLOYED: Thu Dec 4 10:30:00 2025 NAMESPACE: velero STATUS: deployed REVISION: 1 TEST SUITE: None"},{"d":11,"id":"step-5-verify-velero-installation","title":"Step 5: Verify Velero Installation","text":"Expected output:","code":"# Check Velero deployment kubectl get deployment -n velero # Expected output: # NAME READY UP-TO-DATE AVAILABLE AGE # velero 1/1 1 1 30s # Check Velero node agent (runs on all nodes) kubectl get daemonset -n velero # Expected output: # NAME DESIRED CURRENT READY UP-TO-DATE AVAILABLE NODE SELECTOR AGE # node-agent 3 3 3 3 3 <none> 30s # Check Velero pods kubectl get pods -n velero NAME READY STATUS RESTARTS AGE velero-6c8d7b5b5d-abc12 1/1 Running 0 1m node-agent-xyz45 1/1 Running 0 1m node-agent-def67 1/1 Running 0 1m node-agent-ghi89 1/1 Running 0 1m"},{"d":11,"id":"step-6-verify-backup-storage-location","title":"Step 6: Verify Backup Storage Location","text":"Expected output:","code":"# Check BSL status kubectl get backupstoragelocation -n velero # Expected output: # NAME PHASE LAST VALIDATED AGE DEFAULT # default Available 10s 1m true # Get detailed BSL information kubectl describe backupstoragelocation default -n velero Name: default Namespace: velero Labels: <none> Annotations: <none> API Version: velero.io/v1 Kind: BackupStorageLocation Spec: Config: Region: us-east-1 S3 Force Path Style: true S3 Url: https://10.14.183.240:9000 checksumAlgorithm: Object Storage: Bucket: backup-storage Provider: aws Status: Phase: Available Last Validated Time: 2025-12-04T10:31:00Z"},{"d":11,"id":"-part-3-configuring-csi-integration","title":"🔧 Part 3: Configuring CSI Integration","text":"For clusters using CSI drivers (like Mayastor, AWS EBS, etc.), we need to configure VolumeSnapshotClass.","code":""},{"d":11,"id":"step-7-create-csi-driver-configuration-mayastor-example","title":"Step 7: Create CSI Driver Configuration (Mayastor Example)","text":"Expected output:","code":"# Create CSI Driver resource cat <<EOF | kubectl apply -f - apiVersion: storage.k8s.io/v1 kind: CSIDriver metadata: name: io.openebs.csi-mayastor spec: attachRequired: true podInfoOnMount: false volumeLifecycleModes: - Persistent EOF csidriver.storage.k8s.io/io.openebs.csi-mayastor created"},{"d":11,"id":"step-8-create-volumesnapshotclass","title":"Step 8: Create VolumeSnapshotClass","text":"Expected output: 🔍 Key Label: The velero.io/csi-volumesnapshot-class: \"true\" label tells Velero to use this snapshot class for PVC backups.","code":"# Create VolumeSnapshotClass for Velero cat <<EOF | kubectl apply -f - apiVersion: snapshot.storage.k8s.io/v1 kind: VolumeSnapshotClass metadata: name: mayastor-snapshot-class labels: velero.io/csi-volumesnapshot-class: \"true\" driver: io.openebs.csi-mayastor deletionPolicy: Delete parameters: quiesceFs: none EOF volumesnapshotclass.snapshot.storage.k8s.io/mayastor-snapshot-class created"},{"d":11,"id":"step-9-configure-node-agent-performance","title":"Step 9: Configure Node Agent Performance","text":"Expected output: What is loadConcurrency ? This setting allows 24 parallel file operations during backup/restore, significantly reducing time for large volumes.","code":"# Create node-agent configuration for optimal performance cat > /tmp/node-agent-config.json <<EOF { \"loadConcurrency\": { \"globalConfig\": 24 } } EOF # Create ConfigMap kubectl create configmap node-agent-config \\ -n velero \\ --from-file=/tmp/node-agent-config.json # Restart node-agent pods to apply configuration kubectl delete pods -n velero -l name=node-agent configmap/node-agent-config created pod \"node-agent-xyz45\" deleted pod \"node-agent-def67\" deleted pod \"node-agent-ghi89\" deleted"},{"d":11,"id":"-part-4-creating-your-first-backup","title":"💾 Part 4: Creating Your First Backup","text":"","code":""},{"d":11,"id":"step-10-create-a-test-namespace-with-data","title":"Step 10: Create a Test Namespace with Data","text":"Let's create a sample application to backup: Expected output:","code":"# Create test namespace kubectl create namespace demo-app # Create a ConfigMap with some data kubectl create configmap app-config \\ -n demo-app \\ --from-literal=database_url=\"postgresql://db.example.com:5432\" \\ --from-literal=api_key=\"demo-key-12345\" # Create a deployment kubectl create deployment nginx \\ -n demo-app \\ --image=nginx:latest \\ --replicas=2 # Create a service kubectl expose deployment nginx \\ -n demo-app \\ --port=80 \\ --type=ClusterIP # Verify resources kubectl get all,configmap -n demo-app NAME READY STATUS RESTARTS AGE pod/nginx-7c5d7c7b6d-abc12 1/1 Running 0 10s pod/nginx-7c5d7c7b6d-def34 1/1 Running 0 10s NAME TYPE CLUSTER-IP EXTERNAL-IP PORT(S) AGE service/nginx ClusterIP 10.96.123.456 <none> 80/TCP 5s NAME READY UP-TO-DATE AVAILABLE AGE deployment.apps/nginx 2/2 2 2 10s NAME DESIRED CURRENT READY AGE replicaset.apps/nginx-7c5d7c7b6d 2 2 2 10s NAME DATA AGE configmap/app-config 2 15s"},{"d":11,"id":"step-11-create-a-manual-backup","title":"Step 11: Create a Manual Backup","text":"Expected output:","code":"# Create backup of demo-app namespace cat <<EOF | kubectl apply -f - apiVersion: velero.io/v1 kind: Backup metadata: name: demo-app-backup-$(date +%Y%m%d-%H%M%S) namespace: velero annotations: description: \"Manual backup of demo application\" manual-backup: \"true\" spec: includedNamespaces: - demo-app storageLocation: default ttl: 240h0m0s snapshotVolumes: true snapshotMoveData: true includeClusterResources: true EOF backup.velero.io/demo-app-backup-20251204-103000 created"},{"d":11,"id":"step-12-monitor-backup-progress","title":"Step 12: Monitor Backup Progress","text":"Expected output:","code":"# Watch backup status kubectl get backups -n velero -w # Expected progression: # NAME STATUS CREATED EXPIRES STORAGE LOCATION SELECTOR # demo-app-backup-20251204-103000 InProgress 2025-12-04T10:30:00Z 9d default <none> # demo-app-backup-20251204-103000 Completed 2025-12-04T10:30:45Z 9d default <none> # Get detailed backup information kubectl describe backup demo-app-backup-20251204-103000 -n velero Name: demo-app-backup-20251204-103000 Namespace: velero Labels: <none> Annotations: description: Manual backup of demo application manual-backup: true API Version: velero.io/v1 Kind: Backup Spec: Included Namespaces: demo-app Storage Location: default TTL: 240h0m0s Snapshot Volumes: true Snapshot Move Data: true Status: Phase: Completed Start Timestamp: 2025-12-04T10:30:00Z Completion Timestamp: 2025-12-04T10:30:45Z Expiration: 2025-12-14T10:30:00Z Format Version: 1.1.0 Backup Item Operations Attempted: 0 Backup Item Operations Completed: 0 Backup Item Operations Failed: 0 Progress: Items Backed Up: 15 Total Items: 15 Version: 1 Events: <none>"},{"d":11,"id":"step-13-verify-backup-contents","title":"Step 13: Verify Backup Contents","text":"","code":"# List all backed-up resources kubectl get backup demo-app-backup-20251204-103000 -n velero -o jsonpath='{.status.progress}' | jq # Check backup in MinIO (if you have MinIO client) mc ls minio/backup-storage/backups/"},{"d":11,"id":"-part-5-performing-a-restore","title":"🔄 Part 5: Performing a Restore","text":"","code":""},{"d":11,"id":"step-14-simulate-disaster-delete-the-namespace","title":"Step 14: Simulate Disaster (Delete the Namespace)","text":"Expected output:","code":"# Delete the entire demo-app namespace kubectl delete namespace demo-app # Verify it's gone kubectl get namespace demo-app Error from server (NotFound): namespaces \"demo-app\" not found"},{"d":11,"id":"step-15-create-a-restore","title":"Step 15: Create a Restore","text":"Expected output:","code":"# Restore from backup cat <<EOF | kubectl apply -f - apiVersion: velero.io/v1 kind: Restore metadata: name: demo-app-restore-$(date +%Y%m%d-%H%M%S) namespace: velero spec: backupName: demo-app-backup-20251204-103000 includedNamespaces: - demo-app restorePVs: true includeClusterResources: true EOF restore.velero.io/demo-app-restore-20251204-104500 created"},{"d":11,"id":"step-16-monitor-restore-progress","title":"Step 16: Monitor Restore Progress","text":"Expected output:","code":"# Watch restore status kubectl get restores -n velero -w # Expected progression: # NAME STATUS CREATED AGE # demo-app-restore-20251204-104500 InProgress 2025-12-04T10:45:00Z 10s # demo-app-restore-20251204-104500 Completed 2025-12-04T10:45:30Z 40s # Get detailed restore information kubectl describe restore demo-app-restore-20251204-104500 -n velero Name: demo-app-restore-20251204-104500 Namespace: velero Labels: <none> Annotations: <none> API Version: velero.io/v1 Kind: Restore Spec: Backup Name: demo-app-backup-20251204-103000 Included Namespaces: demo-app Restore PVs: true Include Cluster Resources: true Status: Phase: Completed Start Timestamp: 2025-12-04T10:45:00Z Completion Timestamp: 2025-12-04T10:45:30Z Progress: Items Restored: 15 Total Items: 15 Warnings: 0 Errors: 0 Events: <none>"},{"d":11,"id":"step-17-verify-restored-resources","title":"Step 17: Verify Restored Resources","text":"Expected output: Expected ConfigMap output: ✅ Success! Your application has been fully restored.","code":"# Check that demo-app namespace is back kubectl get namespace demo-app # Verify all resources are restored kubectl get all,configmap -n demo-app NAME READY STATUS RESTARTS AGE pod/nginx-7c5d7c7b6d-abc12 1/1 Running 0 30s pod/nginx-7c5d7c7b6d-def34 1/1 Running 0 30s NAME TYPE CLUSTER-IP EXTERNAL-IP PORT(S) AGE service/nginx ClusterIP 10.96.123.456 <none> 80/TCP 30s NAME READY UP-TO-DATE AVAILABLE AGE deployment.apps/nginx 2/2 2 2 30s NAME DESIRED CURRENT READY AGE replicaset.apps/nginx-7c5d7c7b6d 2 2 2 30s NAME DATA AGE configmap/app-config 2 30s # Verify ConfigMap data is intact kubectl get configmap app-config -n demo-app -o yaml apiVersion: v1 data: api_key: demo-key-12345 database_url: postgresql://db.example.com:5432 kind: ConfigMap metadata: name: app-config namespace: demo-app"},{"d":11,"id":"️-part-6-advanced-multi-phase-restore","title":"🏗️ Part 6: Advanced Multi-Phase Restore","text":"For complex environments with dependencies (like the 900-service example in the white paper), you need ordered restoration.","code":""},{"d":11,"id":"step-18-understanding-multi-phase-restore","title":"Step 18: Understanding Multi-Phase Restore","text":"Let's simulate a multi-tier application with dependencies:","code":"# Create infrastructure namespace (storage layer) kubectl create namespace storage-infra # Create application namespace kubectl create namespace production-app # Deploy storage-infra resources kubectl create deployment storage-controller \\ -n storage-infra \\ --image=nginx:latest # Deploy production app that depends on storage kubectl create deployment app-backend \\ -n production-app \\ --image=nginx:latest \\ --replicas=3"},{"d":11,"id":"step-19-create-a-full-backup","title":"Step 19: Create a Full Backup","text":"","code":"# Backup both namespaces cat <<EOF | kubectl apply -f - apiVersion: velero.io/v1 kind: Backup metadata: name: full-backup-$(date +%Y%m%d-%H%M%S) namespace: velero spec: includedNamespaces: - storage-infra - production-app storageLocation: default ttl: 240h0m0s snapshotVolumes: true EOF"},{"d":11,"id":"step-20-perform-multi-phase-restore","title":"Step 20: Perform Multi-Phase Restore","text":"Phase 1: Restore Storage Infrastructure First Wait for Phase 1 completion: Phase 2: Restore Applications Verify both phases:","code":"cat <<EOF | kubectl apply -f - apiVersion: velero.io/v1 kind: Restore metadata: name: restore-phase1-storage-$(date +%Y%m%d-%H%M%S) namespace: velero spec: backupName: full-backup-20251204-105000 includedNamespaces: - storage-infra restorePVs: true EOF # Wait for storage layer to be ready kubectl wait --for=condition=ready pod \\ -l app=storage-controller \\ -n storage-infra \\ --timeout=300s # Expected output: # pod/storage-controller-abc123 condition met cat <<EOF | kubectl apply -f - apiVersion: velero.io/v1 kind: Restore metadata: name: restore-phase2-apps-$(date +%Y%m%d-%H%M%S) namespace: velero spec: backupName: full-backup-20251204-105000 includedNamespaces: - production-app restorePVs: false EOF # Check all restores kubectl get restores -n velero # Expected output: # NAME STATUS CREATED # restore-phase1-storage-20251204... Completed 2m # restore-phase2-apps-20251204... Completed 1m"},{"d":11,"id":"-part-7-monitoring-and-troubleshooting","title":"📊 Part 7: Monitoring and Troubleshooting","text":"","code":""},{"d":11,"id":"step-21-check-velero-logs","title":"Step 21: Check Velero Logs","text":"","code":"# View Velero server logs kubectl logs deployment/velero -n velero --tail=50 # View node-agent logs (for file system operations) kubectl logs daemonset/node-agent -n velero --tail=50"},{"d":11,"id":"step-22-list-all-backups","title":"Step 22: List All Backups","text":"Expected output:","code":"# List all backups kubectl get backups -n velero # Get backup details in JSON kubectl get backups -n velero -o json | jq '.items[] | {name: .metadata.name, phase: .status.phase, startTime: .status.startTimestamp}' { \"name\": \"demo-app-backup-20251204-103000\", \"phase\": \"Completed\", \"startTime\": \"2025-12-04T10:30:00Z\" } { \"name\": \"full-backup-20251204-105000\", \"phase\": \"Completed\", \"startTime\": \"2025-12-04T10:50:00Z\" }"},{"d":11,"id":"step-23-check-backup-storage-location-status","title":"Step 23: Check Backup Storage Location Status","text":"Expected output:","code":"# Verify BSL connectivity kubectl get backupstoragelocation -n velero # Force BSL validation kubectl annotate backupstoragelocation default \\ -n velero \\ velero.io/force-update=$(date +%s) # Check validation result kubectl get backupstoragelocation default -n velero -o jsonpath='{.status.phase}' Available"},{"d":11,"id":"step-24-view-backup-repositories","title":"Step 24: View Backup Repositories","text":"","code":"# List Kopia backup repositories kubectl get backuprepositories -n velero # Expected output: # NAME AGE # default-demo-app-abc123 5m # default-production-app-def456 3m"},{"d":11,"id":"-part-8-updating-backup-storage-location","title":"🔧 Part 8: Updating Backup Storage Location","text":"","code":""},{"d":11,"id":"step-25-update-bsl-configuration","title":"Step 25: Update BSL Configuration","text":"If you need to change your storage backend: Example BSL update:","code":"# Get current BSL kubectl get backupstoragelocation default -n velero -o yaml > bsl-backup.yaml # Edit BSL (change endpoint, bucket, etc.) kubectl edit backupstoragelocation default -n velero apiVersion: velero.io/v1 kind: BackupStorageLocation metadata: name: default namespace: velero spec: provider: aws objectStorage: bucket: new-backup-bucket # Changed bucket config: region: us-east-1 s3ForcePathStyle: \"true\" s3Url: https://new-minio.example.com:9000 # Changed endpoint"},{"d":11,"id":"step-26-update-velero-credentials","title":"Step 26: Update Velero Credentials","text":"","code":"# Create new credentials file cat > /tmp/new-credentials <<EOF [default] aws_access_key_id=new-access-key aws_secret_access_key=new-secret-key EOF # Update Velero secret kubectl create secret generic velero \\ -n velero \\ --from-file=cloud=/tmp/new-credentials \\ --dry-run=client -o yaml | kubectl apply -f - # Restart Velero to pick up new credentials kubectl rollout restart deployment/velero -n velero"},{"d":11,"id":"-part-9-scheduling-automated-backups","title":"📅 Part 9: Scheduling Automated Backups","text":"","code":""},{"d":11,"id":"step-27-create-a-backup-schedule","title":"Step 27: Create a Backup Schedule","text":"Expected output:","code":"# Create daily backup schedule cat <<EOF | kubectl apply -f - apiVersion: velero.io/v1 kind: Schedule metadata: name: daily-backup namespace: velero spec: schedule: \"0 2 * * *\" # 2 AM every day template: includedNamespaces: - demo-app - production-app storageLocation: default ttl: 720h0m0s # 30 days retention snapshotVolumes: true snapshotMoveData: true EOF schedule.velero.io/daily-backup created"},{"d":11,"id":"step-28-verify-schedule","title":"Step 28: Verify Schedule","text":"Expected output:","code":"# Check schedule status kubectl get schedules -n velero # Expected output: # NAME STATUS SCHEDULE BACKUP TTL LAST BACKUP AGE # daily-backup Enabled 0 2 * * * 30d n/a 10s # View schedule details kubectl describe schedule daily-backup -n velero Name: daily-backup Namespace: velero Labels: <none> Annotations: <none> API Version: velero.io/v1 Kind: Schedule Spec: Schedule: 0 2 * * * Template: Included Namespaces: demo-app production-app Storage Location: default TTL: 720h0m0s Snapshot Volumes: true Status: Phase: Enabled Last Backup: <none> Events: <none>"},{"d":11,"id":"-part-10-testing-and-validation","title":"🧪 Part 10: Testing and Validation","text":"","code":""},{"d":11,"id":"step-29-perform-a-backup-validation-test","title":"Step 29: Perform a Backup Validation Test","text":"Expected output:","code":"# Create a test backup BACKUP_NAME=\"validation-test-$(date +%Y%m%d-%H%M%S)\" cat <<EOF | kubectl apply -f - apiVersion: velero.io/v1 kind: Backup metadata: name: ${BACKUP_NAME} namespace: velero spec: includedNamespaces: - demo-app storageLocation: default EOF # Wait for completion kubectl wait --for=jsonpath='{.status.phase}'=Completed \\ backup/${BACKUP_NAME} \\ -n velero \\ --timeout=300s # Validate backup kubectl get backup ${BACKUP_NAME} -n velero -o jsonpath='{.status.progress}' {\"itemsBackedUp\":15,\"totalItems\":15}"},{"d":11,"id":"step-30-cleanup-test-resources","title":"Step 30: Cleanup Test Resources","text":"","code":"# Delete test namespaces kubectl delete namespace demo-app --wait=false kubectl delete namespace production-app --wait=false kubectl delete namespace storage-infra --wait=false # Clean up old backups (optional) kubectl delete backup validation-test-20251204-110000 -n velero # Remove credentials file rm /tmp/velero-credentials /tmp/new-credentials /tmp/node-agent-config.json"},{"d":11,"id":"-summary-command-quick-reference","title":"📚 Summary: Command Quick Reference","text":"","code":""},{"d":11,"id":"installation-commands","title":"Installation Commands","text":"","code":"# Install Velero with Helm helm upgrade --install velero vmware-tanzu/velero \\ --namespace velero \\ --create-namespace \\ --set-file credentials.secretContents.cloud=/tmp/velero-credentials \\ --set configuration.backupStorageLocation[0].provider=aws \\ --set configuration.uploaderType=kopia \\ --set deployNodeAgent=true"},{"d":11,"id":"backup-commands","title":"Backup Commands","text":"","code":"# Create backup kubectl create backup my-backup -n velero --include-namespaces demo-app # List backups kubectl get backups -n velero # Describe backup kubectl describe backup my-backup -n velero # Delete backup kubectl delete backup my-backup -n velero"},{"d":11,"id":"restore-commands","title":"Restore Commands","text":"","code":"# Create restore kubectl create restore my-restore -n velero --from-backup my-backup # List restores kubectl get restores -n velero # Describe restore kubectl describe restore my-restore -n velero"},{"d":11,"id":"monitoring-commands","title":"Monitoring Commands","text":"","code":"# Check Velero status kubectl get deployments,daemonsets,pods -n velero # View Velero logs kubectl logs deployment/velero -n velero # Check BSL status kubectl get backupstoragelocation -n velero # List backup repositories kubectl get backuprepositories -n velero"},{"d":11,"id":"-key-takeaways","title":"🎓 Key Takeaways","text":"Production Configuration : We used kopia uploader, CSI integration, and parallel downloads for optimal performance Multi-Phase Restore : Critical for complex environments—restore storage infrastructure before applications Validation at Every Step : Always verify BSL status, pod readiness, and backup completion Automation : Use schedules for daily backups with appropriate retention policies Monitoring : Regularly check Velero logs and backup repository status","code":""},{"d":11,"id":"-next-steps","title":"🚀 Next Steps","text":"Now that you have a working Velero installation, consider: Creating a disaster recovery runbook based on your restore procedures Implementing automated restore testing in a staging environment Setting up monitoring alerts for failed backups Documenting your backup and restore procedures for your team Reviewing the Velero White Paper for advanced architectures","code":""},{"d":11,"id":"-common-issues-and-solutions","title":"🐛 Common Issues and Solutions","text":"","code":""},{"d":11,"id":"issue-1-bsl-shows-unavailable","title":"Issue 1: BSL Shows \"Unavailable\"","text":"Symptom: Solution:","code":"kubectl get backupstoragelocation -n velero # NAME PHASE LAST VALIDATED AGE # default Unavailable 1m 5m # Check Velero logs kubectl logs deployment/velero -n velero | grep -i \"error\\|failed\" # Verify MinIO connectivity curl -k ${MINIO_ENDPOINT} # Check credentials kubectl get secret velero -n velero -o jsonpath='{.data.cloud}' | base64 -d"},{"d":11,"id":"issue-2-backup-stuck-in-inprogress","title":"Issue 2: Backup Stuck in \"InProgress\"","text":"Symptom: Solution:","code":"kubectl get backup my-backup -n velero # NAME STATUS CREATED # my-backup InProgress 10m # Check node-agent logs kubectl logs daemonset/node-agent -n velero --all-containers # Verify there's no resource exhaustion kubectl top pods -n velero # Check for stuck volumes kubectl get volumesnapshots --all-namespaces"},{"d":11,"id":"issue-3-restore-completes-but-pods-not-running","title":"Issue 3: Restore Completes but Pods Not Running","text":"Symptom: Solution:","code":"kubectl get pods -n demo-app # NAME READY STATUS RESTARTS AGE # nginx-abc123 0/1 Pending 0 2m # Check PVC status kubectl get pvc -n demo-app # Verify VolumeSnapshotClass exists kubectl get volumesnapshotclass # Check node-agent is running kubectl get pods -n velero -l name=node-agent"},{"d":11,"id":"-additional-resources","title":"📖 Additional Resources","text":"Official Velero Documentation : https://velero.io/docs/ Kopia Documentation : https://kopia.io/docs/ White Paper : Velero vs VMware Snapshots Community Support : https://kubernetes.slack.com (#velero) 🎉 Congratulations! You've successfully installed and configured Velero for Kubernetes backup and restore. You're now ready to protect your production workloads with confidence. Questions or feedback? Let us know how this guide worked for you!","code":""},{"d":12,"id":"achieving-zero-downtime-deployments-in-kubernetes","title":"Achieving Zero-Downtime Deployments in Kubernetes","text":"Published: January 2025 | Reading Time: 7 min Deploying applications without downtime is critical for modern businesses. This guide shows you how to achieve true zero-downtime deployments in Kubernetes.","code":""},{"d":12,"id":"the-challenge","title":"The Challenge","text":"Traditional deployments often cause brief outages: Old pods terminate before new ones are ready Health checks aren't properly configured Database migrations cause downtime Load balancers remove backends prematurely","code":""},{"d":12,"id":"strategy-1-rolling-updates-with-proper-configuration","title":"Strategy 1: Rolling Updates with Proper Configuration","text":"","code":""},{"d":12,"id":"deployment-strategy","title":"Deployment Strategy","text":"","code":"apiVersion: apps/v1 kind: Deployment metadata: name: myapp spec: replicas: 3 strategy: type: RollingUpdate rollingUpdate: maxUnavailable: 0 # Critical: never go below desired replicas maxSurge: 1 # Create new pods before terminating old ones template: spec: containers: - name: app image: myapp:v2 readinessProbe: httpGet: path: /health/ready port: 8080 initialDelaySeconds: 10 periodSeconds: 5 livenessProbe: httpGet: path: /health/live port: 8080 initialDelaySeconds: 30 periodSeconds: 10 lifecycle: preStop: exec: command: [\"/bin/sh\", \"-c\", \"sleep 15\"] # Grace period for connections to drain"},{"d":12,"id":"key-settings","title":"Key Settings","text":"maxUnavailable: 0 Never reduce capacity during rollout Ensures minimum replicas always available maxSurge: 1 Creates new pod before terminating old one Temporarily exceeds desired replicas readinessProbe Determines when pod is ready to receive traffic Service only routes to ready pods preStop Hook Gives time for connections to drain Waits before SIGTERM","code":""},{"d":12,"id":"strategy-2-blue-green-deployment","title":"Strategy 2: Blue-Green Deployment","text":"Deploy new version alongside old, then switch traffic instantly: Cutover Process: Deploy green deployment Verify green is healthy Update service selector: version: green Monitor for issues Delete blue deployment if successful, or rollback by switching selector Advantages: Instant cutover Easy rollback Test new version in production environment Disadvantages: Requires 2x resources during deployment More complex to automate","code":"# Blue service (current production) apiVersion: v1 kind: Service metadata: name: myapp spec: selector: app: myapp version: blue ports: - port: 80 targetPort: 8080 --- # Deploy green (new version) apiVersion: apps/v1 kind: Deployment metadata: name: myapp-green spec: replicas: 3 selector: matchLabels: app: myapp version: green template: metadata: labels: app: myapp version: green spec: containers: - name: app image: myapp:v2"},{"d":12,"id":"strategy-3-canary-deployment","title":"Strategy 3: Canary Deployment","text":"Gradually shift traffic to new version: Analysis Template:","code":"# Using Argo Rollouts apiVersion: argoproj.io/v1alpha1 kind: Rollout metadata: name: myapp spec: replicas: 10 strategy: canary: steps: - setWeight: 10 # 10% traffic to new version - pause: {duration: 2m} - setWeight: 25 - pause: {duration: 2m} - setWeight: 50 - pause: {duration: 2m} - setWeight: 100 analysis: templates: - templateName: error-rate startingStep: 2 args: - name: service-name value: myapp apiVersion: argoproj.io/v1alpha1 kind: AnalysisTemplate metadata: name: error-rate spec: metrics: - name: error-rate interval: 1m successCondition: result < 0.05 provider: prometheus: address: http://prometheus:9090 query: | sum(rate(http_requests_total{service=\"{{args.service-name}}\",status=~\"5..\"}[5m])) / sum(rate(http_requests_total{service=\"{{args.service-name}}\"}[5m]))"},{"d":12,"id":"strategy-4-database-migrations","title":"Strategy 4: Database Migrations","text":"Database changes are often the cause of downtime. Use backward-compatible migrations:","code":""},{"d":12,"id":"approach-expand-contract-pattern","title":"Approach: Expand-Contract Pattern","text":"Phase 1: Expand (Additive Changes) Phase 2: Migrate Data Phase 3: Contract (Remove Old)","code":"-- Add new column (nullable initially) ALTER TABLE users ADD COLUMN email_verified BOOLEAN DEFAULT NULL; -- Deploy application v2 that writes to both old and new schema -- Backfill data UPDATE users SET email_verified = (verified_at IS NOT NULL) WHERE email_verified IS NULL; -- Make column non-nullable ALTER TABLE users ALTER COLUMN email_verified SET NOT NULL; -- Deploy application v3 that only uses new schema -- Remove old column ALTER TABLE users DROP COLUMN verified_at;"},{"d":12,"id":"using-flywayliquibase","title":"Using Flyway/Liquibase","text":"","code":"apiVersion: batch/v1 kind: Job metadata: name: db-migration spec: template: spec: initContainers: - name: migrate image: flyway/flyway command: ['flyway', 'migrate'] env: - name: FLYWAY_URL value: jdbc:postgresql://db:5432/mydb containers: - name: app image: myapp:v2 restartPolicy: Never"},{"d":12,"id":"load-balancer-configuration","title":"Load Balancer Configuration","text":"","code":""},{"d":12,"id":"service-configuration","title":"Service Configuration","text":"","code":"apiVersion: v1 kind: Service metadata: name: myapp annotations: service.beta.kubernetes.io/aws-load-balancer-connection-draining-enabled: \"true\" service.beta.kubernetes.io/aws-load-balancer-connection-draining-timeout: \"60\" spec: type: LoadBalancer externalTrafficPolicy: Local # Preserves source IP, better for connection draining ports: - port: 80 targetPort: 8080"},{"d":12,"id":"handling-stateful-applications","title":"Handling Stateful Applications","text":"","code":""},{"d":12,"id":"statefulset-with-podmanagementpolicy","title":"StatefulSet with PodManagementPolicy","text":"","code":"apiVersion: apps/v1 kind: StatefulSet metadata: name: redis spec: podManagementPolicy: Parallel # Update all pods simultaneously for faster rollout updateStrategy: type: RollingUpdate rollingUpdate: partition: 0 # Update pods from partition onwards"},{"d":12,"id":"progressive-rollout","title":"Progressive Rollout","text":"","code":"# Update one pod at a time kubectl patch statefulset redis -p '{\"spec\":{\"updateStrategy\":{\"rollingUpdate\":{\"partition\":2}}}}' # Verify pod-2 is healthy kubectl patch statefulset redis -p '{\"spec\":{\"updateStrategy\":{\"rollingUpdate\":{\"partition\":1}}}}' # Verify pod-1 is healthy kubectl patch statefulset redis -p '{\"spec\":{\"updateStrategy\":{\"rollingUpdate\":{\"partition\":0}}}}'"},{"d":12,"id":"monitoring-and-validation","title":"Monitoring and Validation","text":"","code":""},{"d":12,"id":"key-metrics-to-monitor","title":"Key Metrics to Monitor","text":"","code":"# Error rate sum(rate(http_requests_total{status=~\"5..\"}[5m])) / sum(rate(http_requests_total[5m])) # Latency histogram_quantile(0.95, rate(http_request_duration_seconds_bucket[5m])) # Pod restarts rate(kube_pod_container_status_restarts_total[15m]) > 0"},{"d":12,"id":"automated-rollback","title":"Automated Rollback","text":"","code":"# Argo Rollouts automatic rollback spec: strategy: canary: steps: - setWeight: 25 - pause: {duration: 5m} analysis: templates: - templateName: error-rate args: - name: error-threshold value: \"0.05\" # Auto-rollback if analysis fails rollback: enabled: true"},{"d":12,"id":"pre-deployment-checklist","title":"Pre-Deployment Checklist","text":"Health checks configured (readiness + liveness) Resource requests and limits set PodDisruptionBudget created maxUnavailable set to 0 preStop hook configured Database migrations are backward-compatible Monitoring alerts configured Rollback procedure documented Load testing completed in staging Gradual rollout strategy defined","code":""},{"d":12,"id":"conclusion","title":"Conclusion","text":"Zero-downtime deployments require careful planning and configuration. Key principles: Never reduce capacity : maxUnavailable: 0 Health checks are critical : Readiness probes determine traffic routing Graceful shutdown : preStop hooks and connection draining Backward-compatible changes : Especially for databases Progressive rollout : Canary or blue-green for risk mitigation Automated validation : Metrics-driven rollback decisions By following these strategies, you can achieve truly zero-downtime deployments and maintain high availability for your applications. Try these techniques in our CI/CD Lab at HPE Labs Hub.","code":""}]};
@@ -0,0 +1,2 @@
+window.DOCS_SEARCH_INDEX = window.DOCS_SEARCH_INDEX || {};
+window.DOCS_SEARCH_INDEX["clouddevprep"] = {"docs":[{"path":"clouddevprep/README.md","title":"Senior Cloud Developer - Interview Preparation 🎯"},{"path":"clouddevprep/01_SKILLS_REQUIRED.md","title":"Senior Cloud Developer - Required Skills Breakdown"},{"path":"clouddevprep/02_PYTHON_OOP.md","title":"Python OOP Deep Dive 🐍"},{"path":"clouddevprep/03_PYTHON_AWS_BOTO3.md","title":"Python for AWS Cloud (boto3) ☁️"},{"path":"clouddevprep/04_PYTHON_AZURE_SDK.md","title":"Python for Azure Cloud (Azure SDK) ☁️"},{"path":"clouddevprep/05_AWS_NETWORKING.md","title":"AWS Networking Deep Dive 🌐"},{"path":"clouddevprep/06_TERRAFORM.md","title":"Terraform Advanced (Infrastructure as Code) 🏗️"},{"path":"clouddevprep/07_CLOUDFORMATION.md","title":"AWS CloudFormation (Infrastructure as Code) ☁️"},{"path":"clouddevprep/08_JENKINS.md","title":"Jenkins CI/CD Pipelines 🚀"},{"path":"clouddevprep/09_NETWORKING_FUNDAMENTALS.md","title":"Networking Fundamentals 🌐"},{"path":"clouddevprep/10_CONTAINER_NETWORKING.md","title":"Container Networking (Docker & Kubernetes) 🐳"}],"sections":[{"d":0,"id":"senior-cloud-developer---interview-preparation-","title":"Senior Cloud Developer - Interview Preparation 🎯","text":"","code":""},{"d":0,"id":"overview","title":"Overview","text":"Complete preparation package for Senior Cloud Developer role (Cloud Network Team). Preparation Status : ✅ COMPLETE Last Updated : December 12, 2025","code":""},{"d":0,"id":"-learning-materials-10-comprehensive-modules","title":"📚 Learning Materials (10 Comprehensive Modules)","text":"","code":""},{"d":0,"id":"core-skills-documents","title":"Core Skills Documents","text":"# Module Topics Covered Your Match Priority 01 Skills Required Complete breakdown of all role requirements Analysis ⭐⭐⭐ 02 Python OOP Classes, inheritance, design patterns, enterprise Python 🟡 Medium ⭐⭐⭐ 03 Python AWS (boto3) VPC automation, EC2, S3, IAM with boto3 🟢 Good ⭐⭐⭐ 04 Python Azure SDK VNet, NSG, Resource Groups with Azure SDK 🔴 GAP ⭐⭐⭐ 05 AWS Networking VPC, routing, security groups, connectivity 🟢 Good ⭐⭐⭐ 06 Terraform Advanced Modules, state, backends, multi-cloud 🟢 Strong ⭐⭐ 07 CloudFormation Templates, intrinsic functions, nested stacks 🟡 Medium ⭐⭐ 08 Jenkins CI/CD Pipeline as code, validation, deployment 🟢 Strong ⭐⭐ 09 Networking Fundamentals OSI, TCP/IP, routing, firewalls, DNS 🟡 Medium ⭐⭐⭐ 10 Container Networking Docker, K8s, CNI, Services, NetworkPolicy 🟢 STRENGTH ⭐⭐ Legend : 🟢 Strong | 🟡 Medium | 🔴 Gap to Fill","code":""},{"d":0,"id":"-your-competitive-advantages-hpe-experience","title":"🎯 Your Competitive Advantages (HPE Experience)","text":"","code":""},{"d":0,"id":"-strengths-emphasize-in-interview","title":"💪 STRENGTHS (Emphasize in Interview!)","text":"✅ Kubernetes Expert - 900+ service deployments at HPE ✅ Platform Engineering - $1B+ DISA contract infrastructure ✅ High Availability - Disaster recovery, backup/restore (45min → 5min optimization) ✅ Microservices - Large-scale distributed systems ✅ Infrastructure as Code - Terraform, Ansible, Helm ✅ Observability - Production monitoring and debugging ✅ AWS Experience - VPC, EC2, S3, EMR, Glue (Amazon internship) ✅ CI/CD - Jenkins pipelines, automated deployments","code":""},{"d":0,"id":"️-gaps-focus-study-time","title":"⚠️ GAPS (Focus Study Time)","text":"🔴 Azure - No experience (use Module 04) 🟡 Python OOP Depth - More scripting than enterprise OOP (use Module 02) 🟡 Advanced Networking - Network-specific tools, protocols (use Module 09) 🟡 CloudFormation - Limited compared to Terraform (use Module 07)","code":""},{"d":0,"id":"-suggested-study-plan","title":"📅 Suggested Study Plan","text":"","code":""},{"d":0,"id":"week-1-core-skills-gaps","title":"Week 1: Core Skills (Gaps)","text":"Day 1-2 : Python OOP (Module 02) Practice design patterns Build cloud resource classes Enterprise error handling Day 3-4 : Azure Fundamentals (Module 04) Complete all Azure SDK examples Create VNet + NSG with Python Compare AWS vs Azure networking Day 5-7 : Advanced Networking (Module 09) Review OSI model, subnetting Practice troubleshooting scenarios Understand routing protocols (BGP, OSPF)","code":""},{"d":0,"id":"week-2-deep-dive--practice","title":"Week 2: Deep Dive & Practice","text":"Day 1-2 : AWS Networking (Module 05) Trace packet flows Security Group vs NACL VPC connectivity patterns Day 3 : CloudFormation (Module 07) Practice intrinsic functions Create complete VPC template Day 4-5 : Python Cloud Automation (Modules 03 & 04) Build multi-cloud network provisioner Error handling, logging, testing Day 6-7 : Mock Interviews Practice STAR responses System design scenarios Code challenges (Python)","code":""},{"d":0,"id":"-interview-preparation","title":"🎤 Interview Preparation","text":"","code":""},{"d":0,"id":"technical-topics-to-master","title":"Technical Topics to Master","text":"1. Python Development (30% of interview) OOP principles and design patterns boto3 for AWS automation Azure SDK for multi-cloud Error handling, logging, testing 2. Cloud Networking (40% of interview) - YOUR CORE ROLE AWS VPC architecture (public/private subnets, routing) Azure VNet fundamentals Security groups vs NACLs Load balancers (ALB vs NLB) DNS (Route 53, Azure DNS) VPN and Direct Connect 3. Infrastructure as Code (20% of interview) Terraform modules and state management CloudFormation templates Multi-cloud provisioning 4. CI/CD & DevOps (10% of interview) Jenkins pipelines Infrastructure validation Deployment strategies","code":""},{"d":0,"id":"behavioral-questions-use-star-method","title":"Behavioral Questions (Use STAR Method)","text":"Prepare 5-7 stories from your HPE experience: Complex Problem Solving Situation : Backup/restore taking 45 minutes Task : Reduce recovery time for production Action : Optimized Velero configuration, parallelization Result : Reduced to 5 minutes (9x improvement) Cross-Team Collaboration Situation : Platform serving multiple customer teams Task : Standardize infrastructure provisioning Action : Created reusable Terraform modules, documentation Result : 900+ services deployed, reduced errors Learning New Technology Situation : Needed to implement Istio service mesh Task : Learn and deploy for 900+ services Action : Research, POC, gradual rollout Result : Improved observability, security Handling Production Incident Situation : Network connectivity issue affecting services Task : Diagnose and resolve quickly Action : Systematic troubleshooting (routing, security groups, DNS) Result : Root cause identified, fixed, documented","code":""},{"d":0,"id":"-hands-on-practice-projects","title":"🧪 Hands-On Practice Projects","text":"","code":""},{"d":0,"id":"project-1-multi-cloud-network-provisioner-python","title":"Project 1: Multi-Cloud Network Provisioner (Python)","text":"","code":"Build CLI tool that: - Creates VPC (AWS) or VNet (Azure) - Sets up public/private subnets - Configures routing and security - Supports both clouds with same interface (polymorphism!)"},{"d":0,"id":"project-2-infrastructure-validator-jenkins--terraform","title":"Project 2: Infrastructure Validator (Jenkins + Terraform)","text":"","code":"Create Jenkins pipeline that: - Validates Terraform code - Runs security scans (Checkov) - Posts plan to PR comments - Requires approval for production"},{"d":0,"id":"project-3-network-troubleshooting-simulator","title":"Project 3: Network Troubleshooting Simulator","text":"","code":"Python script that: - Simulates common network issues - Provides symptoms - You diagnose and fix - Checks your solution"},{"d":0,"id":"-self-assessment-checklist","title":"📊 Self-Assessment Checklist","text":"","code":""},{"d":0,"id":"python-target-85","title":"Python (Target: 85%+)","text":"Can explain OOP principles with cloud infrastructure examples Can write boto3 code to create VPC, subnets, security groups Can use Azure SDK to create VNet and NSG Understand error handling, logging, type hints Can write unit tests for infrastructure code","code":""},{"d":0,"id":"networking-target-80","title":"Networking (Target: 80%+)","text":"Can explain OSI model and TCP/IP stack Understand CIDR notation and subnetting Can trace packet flow from EC2 to internet Know difference between Security Groups and NACLs Understand routing (static, dynamic, longest prefix match) Can explain Layer 4 vs Layer 7 load balancing Understand DNS record types and routing policies","code":""},{"d":0,"id":"aws-target-85","title":"AWS (Target: 85%+)","text":"Can design multi-AZ VPC architecture Understand VPC connectivity (peering, Transit Gateway) Know when to use IGW vs NAT Gateway Can troubleshoot EC2 connectivity issues Understand ELB types (ALB, NLB) and use cases","code":""},{"d":0,"id":"azure-target-70","title":"Azure (Target: 70%+)","text":"Understand Resource Groups vs AWS Tags Can create VNet with subnets Know NSG vs AWS Security Group differences Understand VNet peering and ExpressRoute","code":""},{"d":0,"id":"iac-target-85","title":"IaC (Target: 85%+)","text":"Can write Terraform modules Understand state management and backends Can write CloudFormation templates Know intrinsic functions (!Ref, !Sub, !GetAtt)","code":""},{"d":0,"id":"cicd-target-80","title":"CI/CD (Target: 80%+)","text":"Can write declarative Jenkins pipeline Understand infrastructure validation steps Know how to handle secrets Can implement approval steps","code":""},{"d":0,"id":"container-networking-target-90---your-strength","title":"Container Networking (Target: 90%+ - YOUR STRENGTH!)","text":"Understand Kubernetes networking model Can explain CNI plugins (Calico, Flannel) Know Service types (ClusterIP, NodePort, LoadBalancer) Can write NetworkPolicies Understand Ingress and Istio","code":""},{"d":0,"id":"-additional-resources","title":"🔗 Additional Resources","text":"","code":""},{"d":0,"id":"documentation","title":"Documentation","text":"AWS VPC: https://docs.aws.amazon.com/vpc/ Azure Virtual Network: https://learn.microsoft.com/azure/virtual-network/ Terraform AWS Provider: https://registry.terraform.io/providers/hashicorp/aws/ Kubernetes Networking: https://kubernetes.io/docs/concepts/services-networking/","code":""},{"d":0,"id":"practice","title":"Practice","text":"Python OOP: \"Fluent Python\" by Luciano Ramalho AWS Networking: AWS Solutions Architect Associate cert materials Kubernetes: CKAD certification practice","code":""},{"d":0,"id":"-day-before-interview-checklist","title":"💡 Day-Before-Interview Checklist","text":"Review all 10 learning modules (skim key takeaways) Practice 3-5 STAR stories from HPE experience Review Python code examples (boto3, Azure SDK) Practice whiteboard: \"Design a multi-cloud network\" Prepare questions for interviewer Set up quiet interview space Test video/audio Have pen and paper ready Get good sleep!","code":""},{"d":0,"id":"-questions-to-ask-interviewer","title":"🎯 Questions to Ask Interviewer","text":"Team Structure : \"Can you describe the Cloud Network team structure and how you collaborate?\" Day-to-Day : \"What does a typical day look like for someone in this role?\" Technology Stack : \"What specific networking technologies and tools does the team use?\" Challenges : \"What are the biggest networking challenges the team is currently facing?\" Growth : \"What learning and development opportunities are available?\" On-Call : \"How does the on-call rotation work?\" Success Metrics : \"How is success measured in this role?\"","code":""},{"d":0,"id":"-support","title":"📞 Support","text":"Prepared by : GitHub Copilot Date : December 12, 2025 Status : ✅ All Materials Complete Next Step : Review all modules and practice coding examples! Good luck with your interview! You have strong relevant experience - be confident and emphasize your Kubernetes/platform engineering strengths! 💪","code":""},{"d":1,"id":"senior-cloud-developer---required-skills-breakdown","title":"Senior Cloud Developer - Required Skills Breakdown","text":"","code":""},{"d":1,"id":"-what-target-company-is-looking-for","title":"🎯 What Target Company Is Looking For","text":"Based on the job description, here are ALL the skills they want, organized by importance:","code":""},{"d":1,"id":"critical-skills-must-demonstrate-strong-competency","title":"CRITICAL SKILLS (Must Demonstrate Strong Competency)","text":"","code":""},{"d":1,"id":"1-python-development-primary-language---2-years-required","title":"1. Python Development (Primary Language - 2+ years required)","text":"What They Want : Advanced Python (NOT just basic scripting) Object-Oriented Design principles Production-quality code with proper structure Your Current Status : ⚠️ NEED TO STRENGTHEN Resume shows: Python for data manipulation, automation scripts Gap: Need to demonstrate advanced OOP, design patterns, enterprise-scale Python What This Means for the Role : Daily work will be in Python Building APIs for network automation Writing infrastructure automation tools Developing self-service platforms","code":""},{"d":1,"id":"2-aws-cloud-services-preferred-certification","title":"2. AWS Cloud Services (Preferred Certification)","text":"What They Want : AWS Networking : VPC, Subnets, Security Groups, NACLs, Route Tables AWS Compute : EC2, Lambda AWS Storage : S3 AWS Database : RDS AWS Connectivity : VPN, Direct Connect, Transit Gateway Your Current Status : ✅ STRONG FOUNDATION Resume shows: AWS EMR, Glue, S3, EC2, VPC, IAM, Athena, SNS, SQS, RDS, Redshift, Lambda Gap: Deep networking focus (VPC design, security groups, Transit Gateway) What This Means for the Role : Design VPC architectures for enterprise applications Automate network provisioning Troubleshoot connectivity issues Manage hybrid cloud connectivity","code":""},{"d":1,"id":"3-terraform-infrastructure-as-code","title":"3. Terraform (Infrastructure as Code)","text":"What They Want : Create reusable Terraform modules Manage infrastructure state Multi-environment deployments AWS provider expertise Your Current Status : ✅ HAVE EXPERIENCE Resume shows: Terraform listed in skills and HPE experience Gap: Need to demonstrate module development, state management best practices What This Means for the Role : Everything is defined in Terraform NO manual console work Create network resources programmatically Version control all infrastructure","code":""},{"d":1,"id":"4-virtual-networking-concepts","title":"4. Virtual Networking Concepts","text":"What They Want : AWS : VPC, Subnets, Route Tables, Security Groups, NACLs, Transit Gateway Azure : VNets, Network Security Groups (NSG), User-Defined Routes (UDR), Service Endpoints Your Current Status : ⚠️ NEED TO DEEPEN Resume shows: VPC mentioned in AWS experience Gap: Deep architectural knowledge, security best practices, multi-region designs What This Means for the Role : Design network architectures from scratch Implement network segmentation for security Enable connectivity between cloud and on-prem Troubleshoot complex network issues","code":""},{"d":1,"id":"5-cicd-pipelines---jenkins-specific-tool","title":"5. CI/CD Pipelines - Jenkins (Specific Tool)","text":"What They Want : Jenkins pipeline development Automated Terraform validation Policy compliance checks Multi-stage deployments Your Current Status : ✅ HAVE JENKINS EXPERIENCE Resume shows: Jenkins in HPE environment Gap: Terraform-specific pipelines, policy-as-code integration What This Means for the Role : All infrastructure changes go through CI/CD Automated validation before deployment Policy checks for compliance No manual deployments","code":""},{"d":1,"id":"6-networking-fundamentals","title":"6. Networking Fundamentals","text":"What They Want : IP routing and subnetting (CIDR calculations) Firewalls and security rules Load balancers (ALB, NLB, Gateway LB) Web proxies (forward/reverse) DNS (Route53, private hosted zones) Your Current Status : ⚠️ NEED TO LEARN Resume shows: Application-level experience, not network-level Gap: Deep networking fundamentals, troubleshooting skills What This Means for the Role : Troubleshoot \"application can't connect to database\" issues Design firewall rules and security groups Configure load balancers for applications Manage DNS and routing","code":""},{"d":1,"id":"high-priority-skills-should-know-well","title":"HIGH-PRIORITY SKILLS (Should Know Well)","text":"","code":""},{"d":1,"id":"7-azure-cloud-platform","title":"7. Azure Cloud Platform","text":"What They Want : Azure VNets (equivalent to AWS VPC) Network Security Groups (NSG) Application Security Groups (ASG) VNet Peering Azure Firewall ExpressRoute (equivalent to AWS Direct Connect) Your Current Status : ⚠️ NEED TO LEARN Resume shows: Azure mentioned only in OneTrust role (UI work) Gap: Azure networking concepts and services What This Means for the Role : Target Company uses both AWS and Azure Need to design networks in both clouds Understand differences and similarities","code":""},{"d":1,"id":"8-aws-cloudformation-alternative-iac","title":"8. AWS CloudFormation (Alternative IaC)","text":"What They Want : CloudFormation templates (YAML/JSON) Stack management Change sets Nested stacks Your Current Status : ⚠️ NEED TO LEARN Resume shows: Terraform experience, not CloudFormation Gap: CloudFormation syntax and best practices What This Means for the Role : Some teams may use CloudFormation instead of Terraform Need to understand both approaches May need to convert between them","code":""},{"d":1,"id":"9-docker--kubernetes-containerization","title":"9. Docker & Kubernetes (Containerization)","text":"What They Want : Container networking concepts CNI plugins (Calico, Cilium) Service mesh (Istio) Container orchestration Your Current Status : ✅ STRONG EXPERTISE Resume shows: Extensive Kubernetes, Docker, Istio, MicroK8s experience at HPE This is one of your STRONGEST areas! What This Means for the Role : Applications run in containers Need to understand container networking May manage EKS/AKS clusters Network policies for pods","code":""},{"d":1,"id":"10-object-oriented-design-principles","title":"10. Object-Oriented Design Principles","text":"What They Want : SOLID principles Design patterns (Factory, Singleton, Strategy, etc.) Clean code practices Code maintainability Your Current Status : ✅ HAVE FOUNDATION Resume shows: OOP with Java (Spring Boot), GoLang experience Gap: Demonstrate this in Python specifically What This Means for the Role : Code will be reviewed for quality Need to write maintainable, extensible code Follow established design patterns Mentor others on best practices","code":""},{"d":1,"id":"medium-priority-skills-nice-to-have","title":"MEDIUM-PRIORITY SKILLS (Nice to Have)","text":"","code":""},{"d":1,"id":"11-policy-as-code","title":"11. Policy as Code","text":"What They Want : Open Policy Agent (OPA) HashiCorp Sentinel AWS Config Rules Azure Policy Your Current Status : ❌ NEW SKILL TO LEARN Gap: Policy-driven infrastructure validation What This Means for the Role : Enforce compliance automatically Validate configurations before deployment Prevent security misconfigurations","code":""},{"d":1,"id":"12-documentation-skills","title":"12. Documentation Skills","text":"What They Want : Design documentation Operations runbooks User guides API documentation Your Current Status : ✅ HAVE EXPERIENCE Resume shows: \"Support documentation, feature training recordings, demonstrations and troubleshooting guide\" What This Means for the Role : Document everything you build Create runbooks for operations Write user guides for self-service platforms","code":""},{"d":1,"id":"13-collaboration-skills","title":"13. Collaboration Skills","text":"What They Want : Work across teams and business units Seek clarity in ambiguous situations Mentor other engineers Present technical solutions Your Current Status : ✅ STRONG EXPERIENCE Resume shows: Cross-functional collaboration, customer onboarding, training What This Means for the Role : You're not working in isolation Need to explain technical concepts to non-technical stakeholders Help other teams adopt cloud solutions","code":""},{"d":1,"id":"your-competitive-advantages","title":"YOUR COMPETITIVE ADVANTAGES","text":"","code":""},{"d":1,"id":"-strengths-you-already-have","title":"✅ Strengths You Already Have:","text":"Kubernetes Expertise (900+ service deployments) This is HUGE for containerized applications Most cloud engineers don't have this depth GoLang + Python (Multi-language proficiency) Shows you can learn languages quickly GoLang experience demonstrates systems programming knowledge Platform Engineering (HPE Silvercreek) Built infrastructure for $1B+ contracts Exactly the scale Target Company operates at Observability & Monitoring (Fluent, Elasticsearch, Kibana) Critical for network troubleshooting Shows you understand system visibility Disaster Recovery (Velero, backup/restore) 89% reduction in downtime Financial services cares deeply about DR Customer-Facing Experience (CCS, DSCC onboarding) Shows you can communicate with business stakeholders Not just a \"backend developer\" AWS Experience (EMR, Glue, S3, EC2, VPC, RDS, Lambda) Already familiar with AWS ecosystem Just need to deepen networking focus Terraform Experience Already using IaC Just need to demonstrate advanced patterns","code":""},{"d":1,"id":"skills-gap-analysis","title":"SKILLS GAP ANALYSIS","text":"","code":""},{"d":1,"id":"-critical-gaps-to-fill-focus-here-first","title":"🔴 Critical Gaps to Fill (Focus Here First):","text":"Advanced Python (NOT just scripting) Current: Data manipulation scripts Need: OOP design, API development, production code AWS VPC Deep Dive (Networking focus) Current: Used VPC in projects Need: Design from scratch, security best practices, troubleshooting Network Troubleshooting (Systematic approach) Current: Application-level debugging Need: Network-level debugging (security groups, route tables, DNS) Azure Networking (Second cloud platform) Current: Minimal Azure experience Need: VNets, NSGs, VNet Peering basics","code":""},{"d":1,"id":"-secondary-gaps-learn-after-priorities","title":"🟡 Secondary Gaps (Learn After Priorities):","text":"CloudFormation (Alternative IaC) Current: Terraform experience Need: CloudFormation basics for comparison Jenkins for Terraform (Specific workflow) Current: General Jenkins experience Need: Terraform-specific pipelines Policy as Code (OPA, Sentinel) Current: No experience Need: Basic policy validation concepts","code":""},{"d":1,"id":"-minimal-gaps-quick-review","title":"🟢 Minimal Gaps (Quick Review):","text":"Networking Fundamentals (Refresh knowledge) CIDR calculations Subnetting Routing basics","code":""},{"d":1,"id":"skill-priority-matrix","title":"SKILL PRIORITY MATRIX","text":"Skill Target Company Priority Your Current Level Gap Size Study Hours Needed Python (Advanced) ⭐⭐⭐⭐⭐ 🟡 Intermediate 🔴 Large 20 hours AWS VPC Networking ⭐⭐⭐⭐⭐ 🟡 Intermediate 🔴 Large 25 hours Terraform (Advanced) ⭐⭐⭐⭐⭐ 🟢 Good 🟡 Medium 15 hours Network Troubleshooting ⭐⭐⭐⭐⭐ 🔴 Beginner 🔴 Large 15 hours Jenkins for IaC ⭐⭐⭐⭐ 🟢 Good 🟡 Medium 10 hours Kubernetes Networking ⭐⭐⭐⭐ 🟢 Strong 🟢 Small 5 hours Azure Networking ⭐⭐⭐⭐ 🔴 Beginner 🔴 Large 15 hours CloudFormation ⭐⭐⭐ 🔴 None 🟡 Medium 8 hours OOP Design (Python) ⭐⭐⭐⭐ 🟡 Intermediate 🟡 Medium 10 hours Policy as Code ⭐⭐⭐ 🔴 None 🟡 Medium 8 hours DNS & Load Balancers ⭐⭐⭐⭐ 🟡 Intermediate 🟡 Medium 8 hours Documentation ⭐⭐⭐ 🟢 Strong 🟢 Small 2 hours Collaboration ⭐⭐⭐⭐ 🟢 Strong 🟢 Small 0 hours Total Study Time Needed : ~141 hours = ~3-4 weeks of focused study (4 hours/day)","code":""},{"d":1,"id":"how-to-position-your-experience","title":"HOW TO POSITION YOUR EXPERIENCE","text":"","code":""},{"d":1,"id":"-strong-points-to-emphasize","title":"✅ Strong Points to Emphasize:","text":"From HPE Experience : \"Architected platform infrastructure supporting $1B+ contracts\" \"Managed 900+ service deployments across Kubernetes clusters\" \"Reduced system recovery time by 89% through innovative automation\" \"Built observability and disaster recovery solutions\" \"Terraform and Ansible for infrastructure automation\" From AWS Experience : \"Designed end-to-end data pipeline on AWS using EMR, S3, Glue\" \"Implemented CI/CD pipelines with AWS services\" \"Worked with VPC, IAM, EC2, RDS in production\" Technical Breadth : \"6+ years across GoLang, Python, Java, JavaScript\" \"Deep Kubernetes expertise with production experience\" \"Cross-cloud experience (AWS at Amazon, Azure at OneTrust)\"","code":""},{"d":1,"id":"️-gaps-to-acknowledge--frame-positively","title":"⚠️ Gaps to Acknowledge & Frame Positively:","text":"Python Depth : DON'T SAY: \"I mostly use GoLang\" DO SAY: \"I have Python experience in data engineering and automation. I'm currently deepening my expertise in Python for cloud automation and API development, building on my strong OOP foundation from GoLang and Java.\" Azure Networking : DON'T SAY: \"I haven't used Azure much\" DO SAY: \"I have AWS networking experience and I'm familiar with Azure from my OneTrust role. I'm currently studying Azure VNets and NSGs to understand both cloud platforms deeply.\" Network Focus : DON'T SAY: \"I'm more of an application developer\" DO SAY: \"My background spans full-stack development to platform engineering. At HPE, I worked on infrastructure automation with Kubernetes networking and Istio service mesh. I'm now focusing specifically on cloud network automation.\"","code":""},{"d":1,"id":"what-success-looks-like","title":"WHAT SUCCESS LOOKS LIKE","text":"In 2 Weeks (Minimum Prep): ✅ Can design a 3-tier VPC architecture from scratch ✅ Can write Terraform modules for network resources ✅ Can explain security groups vs NACLs clearly ✅ Have working Python examples of AWS automation ✅ Can troubleshoot common connectivity issues In 4 Weeks (Recommended Prep): ✅ Everything above, plus: ✅ Deep AWS VPC expertise with hands-on labs ✅ Azure networking fundamentals ✅ Jenkins pipeline for Terraform deployments ✅ Policy-as-code examples ✅ Portfolio projects demonstrating skills In 6 Weeks (Ideal Prep): ✅ Everything above, plus: ✅ AWS Solutions Architect certification ✅ Published blog posts on network automation ✅ Open-source contributions ✅ Complete portfolio of reusable modules","code":""},{"d":1,"id":"next-steps","title":"NEXT STEPS","text":"Read Document 2 (Learning Materials) - Deep dive into each skill Read Document 3 (Interview Questions) - Practice Q&A Start with Priority 1 skills - Python, AWS VPC, Terraform Build portfolio projects - Demonstrate competency Practice explaining your experience - Connect HPE work to Target Company needs","code":""},{"d":1,"id":"key-takeaway","title":"KEY TAKEAWAY","text":"You are a STRONG candidate! Your HPE experience is directly relevant: Platform engineering ✅ Infrastructure automation ✅ Kubernetes expertise ✅ Customer-facing work ✅ Scale ($1B+ contracts) ✅ Main gaps : Python depth (vs GoLang focus) AWS networking specialization (vs general AWS) Azure basics These gaps are VERY fillable in 2-4 weeks of focused study! Ready to dive into the learning materials? Check Document 2 next! 🚀","code":""},{"d":2,"id":"python-oop-deep-dive-","title":"Python OOP Deep Dive 🐍","text":"","code":""},{"d":2,"id":"why-this-matters-for-target-company-role","title":"Why This Matters for Target Company Role","text":"The job requires \"2+ years of hands-on experience with Python as your primary language\" and \"4+ years building enterprise-level software using OOP principles\" . This is CRITICAL for the Cloud Network team.","code":""},{"d":2,"id":"1-object-oriented-programming-fundamentals","title":"1. Object-Oriented Programming Fundamentals","text":"","code":""},{"d":2,"id":"classes-and-objects","title":"Classes and Objects","text":"Concept : Classes are blueprints, objects are instances. Interview Tip : Be ready to explain self , __init__ , instance vs class attributes.","code":"# Basic class definition class VPC: \"\"\"Represents an AWS VPC resource\"\"\" def __init__(self, vpc_id, cidr_block, region): # Instance attributes self.vpc_id = vpc_id self.cidr_block = cidr_block self.region = region self.subnets = [] self.route_tables = [] def add_subnet(self, subnet): \"\"\"Add a subnet to this VPC\"\"\" self.subnets.append(subnet) return f\"Added subnet {subnet.subnet_id} to VPC {self.vpc_id}\" def get_available_ips(self): \"\"\"Calculate available IP addresses\"\"\" # CIDR /16 = 65,536 IPs, /24 = 256 IPs, etc. prefix = int(self.cidr_block.split('/')[1]) return 2 ** (32 - prefix) - 5 # AWS reserves 5 IPs per subnet # Usage production_vpc = VPC('vpc-12345', '10.0.0.0/16', 'us-east-1') print(production_vpc.get_available_ips()) # 65531"},{"d":2,"id":"inheritance","title":"Inheritance","text":"Concept : Child classes inherit from parent classes, promoting code reuse. Your HPE Experience : You've likely used inheritance in microservices architecture. Mention base service classes!","code":"# Base class for all network resources class NetworkResource: \"\"\"Base class for AWS/Azure network components\"\"\" def __init__(self, resource_id, name, tags=None): self.resource_id = resource_id self.name = name self.tags = tags or {} self.created_at = None def add_tag(self, key, value): \"\"\"Add a tag to the resource\"\"\" self.tags[key] = value def validate(self): \"\"\"Validate resource configuration - to be overridden\"\"\" raise NotImplementedError(\"Subclasses must implement validate()\") # Child class - inherits from NetworkResource class Subnet(NetworkResource): \"\"\"Represents a subnet within a VPC\"\"\" def __init__(self, resource_id, name, cidr_block, availability_zone, tags=None): # Call parent constructor super().__init__(resource_id, name, tags) self.cidr_block = cidr_block self.availability_zone = availability_zone self.is_public = False def validate(self): \"\"\"Override parent method\"\"\" # Check CIDR is valid if not self._is_valid_cidr(self.cidr_block): return False, \"Invalid CIDR block\" # Check AZ is specified if not self.availability_zone: return False, \"Availability zone required\" return True, \"Valid\" def _is_valid_cidr(self, cidr): \"\"\"Private method to validate CIDR notation\"\"\" import ipaddress try: ipaddress.ip_network(cidr) return True except ValueError: return False # Usage subnet = Subnet('subnet-abc123', 'web-subnet', '10.0.1.0/24', 'us-east-1a') subnet.add_tag('Environment', 'Production') is_valid, message = subnet.validate() print(f\"Subnet validation: {message}\")"},{"d":2,"id":"polymorphism","title":"Polymorphism","text":"Concept : Different classes can be treated uniformly through shared interfaces. Target Company Connection : Multi-cloud support (AWS + Azure) requires polymorphic design!","code":"from abc import ABC, abstractmethod # Abstract base class (interface) class CloudProvider(ABC): \"\"\"Interface for cloud provider operations\"\"\" @abstractmethod def create_network(self, cidr_block): \"\"\"Create a virtual network\"\"\" pass @abstractmethod def create_subnet(self, network_id, cidr_block): \"\"\"Create a subnet\"\"\" pass @abstractmethod def get_pricing(self): \"\"\"Get pricing information\"\"\" pass # AWS implementation class AWSProvider(CloudProvider): def __init__(self, region): self.region = region def create_network(self, cidr_block): return f\"Creating AWS VPC with {cidr_block} in {self.region}\" def create_subnet(self, network_id, cidr_block): return f\"Creating AWS subnet in VPC {network_id}\" def get_pricing(self): return {\"vpc\": 0.00, \"subnet\": 0.00, \"nat_gateway\": 0.045} # Azure implementation class AzureProvider(CloudProvider): def __init__(self, region): self.region = region def create_network(self, cidr_block): return f\"Creating Azure VNet with {cidr_block} in {self.region}\" def create_subnet(self, network_id, cidr_block): return f\"Creating Azure subnet in VNet {network_id}\" def get_pricing(self): return {\"vnet\": 0.00, \"subnet\": 0.00, \"nat_gateway\": 0.05} # Polymorphic function - works with any CloudProvider def provision_network(provider: CloudProvider, cidr: str): \"\"\"Provision network on any cloud provider\"\"\" print(provider.create_network(cidr)) print(f\"Pricing: {provider.get_pricing()}\") return \"Success\" # Usage - same function, different implementations aws = AWSProvider('us-east-1') azure = AzureProvider('eastus') provision_network(aws, '10.0.0.0/16') # Works with AWS provision_network(azure, '10.1.0.0/16') # Works with Azure"},{"d":2,"id":"composition-vs-inheritance","title":"Composition vs Inheritance","text":"Rule : \"Favor composition over inheritance\" - Gang of Four When to Use Each : Inheritance : \"is-a\" relationship (Subnet IS-A NetworkResource) Composition : \"has-a\" relationship (NetworkInterface HAS-A SecurityGroup)","code":"# COMPOSITION APPROACH (Preferred for complex systems) class SecurityGroup: \"\"\"Firewall rules for network resources\"\"\" def __init__(self, sg_id, name): self.sg_id = sg_id self.name = name self.ingress_rules = [] self.egress_rules = [] def add_ingress_rule(self, port, protocol, source): rule = { 'port': port, 'protocol': protocol, 'source': source } self.ingress_rules.append(rule) class NetworkInterface: \"\"\"Network interface with composed security\"\"\" def __init__(self, nic_id, ip_address): self.nic_id = nic_id self.ip_address = ip_address # COMPOSITION - \"has-a\" relationship self.security_groups = [] # List of SecurityGroup objects def attach_security_group(self, security_group): \"\"\"Attach a security group to this NIC\"\"\" self.security_groups.append(security_group) def is_port_allowed(self, port, protocol): \"\"\"Check if traffic is allowed through any attached SG\"\"\" for sg in self.security_groups: for rule in sg.ingress_rules: if rule['port'] == port and rule['protocol'] == protocol: return True return False # Usage web_sg = SecurityGroup('sg-web', 'web-security-group') web_sg.add_ingress_rule(443, 'tcp', '0.0.0.0/0') web_sg.add_ingress_rule(80, 'tcp', '0.0.0.0/0') nic = NetworkInterface('eni-123', '10.0.1.50') nic.attach_security_group(web_sg) print(nic.is_port_allowed(443, 'tcp')) # True print(nic.is_port_allowed(22, 'tcp')) # False"},{"d":2,"id":"2-design-patterns-for-cloud-infrastructure","title":"2. Design Patterns for Cloud Infrastructure","text":"","code":""},{"d":2,"id":"factory-pattern","title":"Factory Pattern","text":"Use Case : Creating different cloud resources based on configuration. Interview Question : \"How would you design a system to provision different cloud resources?\" Answer : Factory pattern for flexibility and extensibility!","code":"class NetworkResourceFactory: \"\"\"Factory for creating network resources\"\"\" @staticmethod def create_resource(resource_type, config): \"\"\"Create appropriate resource based on type\"\"\" if resource_type == 'vpc': return VPC( vpc_id=config['id'], cidr_block=config['cidr'], region=config['region'] ) elif resource_type == 'subnet': return Subnet( resource_id=config['id'], name=config['name'], cidr_block=config['cidr'], availability_zone=config['az'] ) elif resource_type == 'security_group': return SecurityGroup( sg_id=config['id'], name=config['name'] ) else: raise ValueError(f\"Unknown resource type: {resource_type}\") # Usage config = { 'id': 'vpc-123', 'cidr': '10.0.0.0/16', 'region': 'us-east-1' } vpc = NetworkResourceFactory.create_resource('vpc', config)"},{"d":2,"id":"singleton-pattern","title":"Singleton Pattern","text":"Use Case : Single configuration manager or connection pool.","code":"class CloudConfigManager: \"\"\"Singleton configuration manager\"\"\" _instance = None def __new__(cls): if cls._instance is None: cls._instance = super().__new__(cls) cls._instance.config = {} cls._instance.initialized = False return cls._instance def load_config(self, config_file): \"\"\"Load configuration (only once)\"\"\" if not self.initialized: # Load from file, environment, etc. self.config = { 'aws_region': 'us-east-1', 'azure_region': 'eastus', 'default_cidr': '10.0.0.0/16' } self.initialized = True def get(self, key, default=None): \"\"\"Get configuration value\"\"\" return self.config.get(key, default) # Usage - always returns same instance config1 = CloudConfigManager() config2 = CloudConfigManager() print(config1 is config2) # True - same object"},{"d":2,"id":"strategy-pattern","title":"Strategy Pattern","text":"Use Case : Different deployment strategies (blue/green, canary, rolling). Your HPE Experience : You've done 900+ deployments - mention your deployment strategies!","code":"from abc import ABC, abstractmethod class DeploymentStrategy(ABC): \"\"\"Abstract deployment strategy\"\"\" @abstractmethod def deploy(self, resources): pass class BlueGreenDeployment(DeploymentStrategy): \"\"\"Blue/Green deployment strategy\"\"\" def deploy(self, resources): steps = [ \"1. Deploy to GREEN environment\", \"2. Run smoke tests on GREEN\", \"3. Switch traffic from BLUE to GREEN\", \"4. Keep BLUE for rollback\" ] return steps class CanaryDeployment(DeploymentStrategy): \"\"\"Canary deployment strategy\"\"\" def deploy(self, resources): steps = [ \"1. Deploy to 10% of instances\", \"2. Monitor metrics for 10 minutes\", \"3. Deploy to 50% if healthy\", \"4. Deploy to 100% if healthy\" ] return steps class DeploymentExecutor: \"\"\"Execute deployment with chosen strategy\"\"\" def __init__(self, strategy: DeploymentStrategy): self.strategy = strategy def execute(self, resources): print(f\"Executing {self.strategy.__class__.__name__}\") return self.strategy.deploy(resources) # Usage resources = [\"web-server\", \"api-server\", \"database\"] # Blue/Green deployment executor = DeploymentExecutor(BlueGreenDeployment()) executor.execute(resources) # Switch to Canary executor.strategy = CanaryDeployment() executor.execute(resources)"},{"d":2,"id":"3-enterprise-python-practices","title":"3. Enterprise Python Practices","text":"","code":""},{"d":2,"id":"error-handling","title":"Error Handling","text":"","code":"import logging from typing import Optional, Tuple # Configure logging logging.basicConfig(level=logging.INFO) logger = logging.getLogger(__name__) class NetworkProvisioningError(Exception): \"\"\"Custom exception for network provisioning failures\"\"\" pass class NetworkProvisioner: \"\"\"Enterprise-grade network provisioning\"\"\" def provision_vpc(self, cidr: str, region: str) -> Tuple[bool, Optional[str], Optional[dict]]: \"\"\" Provision a VPC with proper error handling Returns: (success, error_message, vpc_details) \"\"\" try: # Validation if not self._validate_cidr(cidr): raise ValueError(f\"Invalid CIDR block: {cidr}\") if not self._validate_region(region): raise ValueError(f\"Invalid region: {region}\") # Provision (simulate) logger.info(f\"Provisioning VPC in {region} with CIDR {cidr}\") # Simulate API call vpc_id = self._call_cloud_api('create_vpc', { 'cidr': cidr, 'region': region }) vpc_details = { 'vpc_id': vpc_id, 'cidr': cidr, 'region': region, 'state': 'available' } logger.info(f\"Successfully created VPC: {vpc_id}\") return True, None, vpc_details except ValueError as e: logger.error(f\"Validation error: {e}\") return False, str(e), None except NetworkProvisioningError as e: logger.error(f\"Provisioning failed: {e}\") return False, str(e), None except Exception as e: logger.exception(f\"Unexpected error: {e}\") return False, \"Internal error occurred\", None def _validate_cidr(self, cidr: str) -> bool: \"\"\"Validate CIDR notation\"\"\" import ipaddress try: network = ipaddress.ip_network(cidr) # Check if it's a valid private network return network.is_private except ValueError: return False def _validate_region(self, region: str) -> bool: \"\"\"Validate AWS region\"\"\" valid_regions = ['us-east-1', 'us-west-2', 'eu-west-1'] return region in valid_regions def _call_cloud_api(self, operation: str, params: dict) -> str: \"\"\"Simulate cloud API call\"\"\" # In real code, this would use boto3 or Azure SDK if operation == 'create_vpc': return f\"vpc-{hash(params['cidr']) % 100000}\" raise NetworkProvisioningError(f\"Unknown operation: {operation}\") # Usage provisioner = NetworkProvisioner() success, error, vpc = provisioner.provision_vpc('10.0.0.0/16', 'us-east-1') if success: print(f\"VPC created: {vpc['vpc_id']}\") else: print(f\"Failed: {error}\")"},{"d":2,"id":"type-hints-and-documentation","title":"Type Hints and Documentation","text":"","code":"from typing import List, Dict, Optional, Union from dataclasses import dataclass from datetime import datetime @dataclass class Route: \"\"\"Represents a network route\"\"\" destination: str target: str state: str = 'active' created_at: datetime = None class RouteTable: \"\"\" Manages routes for network traffic Attributes: route_table_id: Unique identifier vpc_id: Associated VPC ID routes: List of Route objects Example: >>> rt = RouteTable('rtb-123', 'vpc-456') >>> rt.add_route('0.0.0.0/0', 'igw-789') >>> rt.get_route_to('8.8.8.8') Route(destination='0.0.0.0/0', target='igw-789') \"\"\" def __init__(self, route_table_id: str, vpc_id: str): self.route_table_id: str = route_table_id self.vpc_id: str = vpc_id self.routes: List[Route] = [] def add_route( self, destination: str, target: str, state: str = 'active' ) -> Route: \"\"\" Add a route to the route table Args: destination: CIDR block for destination (e.g., '0.0.0.0/0') target: Route target (e.g., 'igw-123', 'nat-456') state: Route state ('active', 'blackhole') Returns: The created Route object Raises: ValueError: If destination CIDR is invalid \"\"\" route = Route( destination=destination, target=target, state=state, created_at=datetime.now() ) self.routes.append(route) return route def get_route_to(self, ip_address: str) -> Optional[Route]: \"\"\" Find the matching route for an IP address Args: ip_address: Destination IP to route Returns: Matching Route object, or None if no route found \"\"\" import ipaddress ip = ipaddress.ip_address(ip_address) # Find most specific route (longest prefix match) best_match = None best_prefix_len = -1 for route in self.routes: network = ipaddress.ip_network(route.destination) if ip in network: prefix_len = network.prefixlen if prefix_len > best_prefix_len: best_match = route best_prefix_len = prefix_len return best_match def to_dict(self) -> Dict[str, Union[str, List[Dict]]]: \"\"\"Convert to dictionary for serialization\"\"\" return { 'route_table_id': self.route_table_id, 'vpc_id': self.vpc_id, 'routes': [ { 'destination': r.destination, 'target': r.target, 'state': r.state } for r in self.routes ] }"},{"d":2,"id":"unit-testing","title":"Unit Testing","text":"","code":"import unittest from unittest.mock import Mock, patch class TestRouteTable(unittest.TestCase): \"\"\"Test suite for RouteTable class\"\"\" def setUp(self): \"\"\"Set up test fixtures\"\"\" self.route_table = RouteTable('rtb-test', 'vpc-test') def test_add_route(self): \"\"\"Test adding a route\"\"\" route = self.route_table.add_route('10.0.0.0/16', 'local') self.assertEqual(route.destination, '10.0.0.0/16') self.assertEqual(route.target, 'local') self.assertEqual(len(self.route_table.routes), 1) def test_get_route_to_exact_match(self): \"\"\"Test finding route with exact match\"\"\" self.route_table.add_route('10.0.0.0/16', 'local') route = self.route_table.get_route_to('10.0.1.50') self.assertIsNotNone(route) self.assertEqual(route.target, 'local') def test_get_route_to_no_match(self): \"\"\"Test finding route with no match\"\"\" self.route_table.add_route('10.0.0.0/16', 'local') route = self.route_table.get_route_to('192.168.1.1') self.assertIsNone(route) def test_longest_prefix_match(self): \"\"\"Test longest prefix matching (most specific route wins)\"\"\" # Add broad route self.route_table.add_route('0.0.0.0/0', 'igw-internet') # Add specific route self.route_table.add_route('10.0.1.0/24', 'nat-specific') # Should match specific route route = self.route_table.get_route_to('10.0.1.50') self.assertEqual(route.target, 'nat-specific') # Should match broad route route = self.route_table.get_route_to('8.8.8.8') self.assertEqual(route.target, 'igw-internet') def test_to_dict(self): \"\"\"Test serialization to dictionary\"\"\" self.route_table.add_route('0.0.0.0/0', 'igw-123') result = self.route_table.to_dict() self.assertEqual(result['route_table_id'], 'rtb-test') self.assertEqual(len(result['routes']), 1) self.assertEqual(result['routes'][0]['target'], 'igw-123') # Run tests if __name__ == '__main__': unittest.main()"},{"d":2,"id":"4-practice-exercises","title":"4. Practice Exercises","text":"","code":""},{"d":2,"id":"exercise-1-load-balancer-class","title":"Exercise 1: Load Balancer Class","text":"Task : Create a LoadBalancer class with: Health check functionality Target registration/deregistration Traffic distribution algorithm (round-robin) Click for solution","code":"from typing import List from enum import Enum class HealthStatus(Enum): HEALTHY = \"healthy\" UNHEALTHY = \"unhealthy\" UNKNOWN = \"unknown\" class Target: def __init__(self, target_id: str, ip_address: str, port: int): self.target_id = target_id self.ip_address = ip_address self.port = port self.health_status = HealthStatus.UNKNOWN def __repr__(self): return f\"Target({self.target_id}, {self.ip_address}:{self.port})\" class LoadBalancer: def __init__(self, lb_id: str, name: str): self.lb_id = lb_id self.name = name self.targets: List[Target] = [] self.current_target_index = 0 def register_target(self, target: Target): \"\"\"Register a target with the load balancer\"\"\" self.targets.append(target) target.health_status = HealthStatus.HEALTHY def deregister_target(self, target_id: str): \"\"\"Deregister a target\"\"\" self.targets = [t for t in self.targets if t.target_id != target_id] def perform_health_check(self, target: Target) -> bool: \"\"\"Perform health check (simulated)\"\"\" # In real implementation, this would make HTTP/TCP request import random is_healthy = random.choice([True, True, True, False]) # 75% healthy target.health_status = HealthStatus.HEALTHY if is_healthy else HealthStatus.UNHEALTHY return is_healthy def get_healthy_targets(self) -> List[Target]: \"\"\"Get list of healthy targets\"\"\" return [t for t in self.targets if t.health_status == HealthStatus.HEALTHY] def route_request(self) -> Target: \"\"\"Route request using round-robin algorithm\"\"\" healthy_targets = self.get_healthy_targets() if not healthy_targets: raise Exception(\"No healthy targets available\") # Round-robin target = healthy_targets[self.current_target_index % len(healthy_targets)] self.current_target_index += 1 return target # Usage lb = LoadBalancer('lb-123', 'web-load-balancer') lb.register_target(Target('target-1', '10.0.1.10', 80)) lb.register_target(Target('target-2', '10.0.1.20', 80)) lb.register_target(Target('target-3', '10.0.1.30', 80)) # Simulate requests for i in range(5): target = lb.route_request() print(f\"Request {i+1} routed to {target}\")"},{"d":2,"id":"exercise-2-network-policy-validator","title":"Exercise 2: Network Policy Validator","text":"Task : Create a class that validates network security policies against compliance rules. Requirements : Check if SSH (port 22) is open to the internet (0.0.0.0/0) Verify all production resources have required tags Ensure encryption is enabled","code":""},{"d":2,"id":"5-interview-preparation","title":"5. Interview Preparation","text":"","code":""},{"d":2,"id":"common-python-oop-questions","title":"Common Python OOP Questions","text":"Q1: Explain the difference between @staticmethod , @classmethod , and instance methods. Answer : Instance method : Operates on instance data ( self ) Class method : Operates on class data ( cls ), can be used as alternative constructors Static method : Utility function, no access to instance or class data Q2: What are Python properties and why use them? Answer : Properties provide controlled access to attributes with validation, computed values, and backward compatibility. Q3: How do you handle multiple inheritance in Python? Answer : Python uses C3 linearization (MRO). Left-to-right, depth-first order. Use super() for cooperative multiple inheritance.","code":"class NetworkUtils: # Class variable default_region = 'us-east-1' # Instance method - has access to instance (self) def get_instance_region(self): return self.default_region # Class method - has access to class (cls) @classmethod def set_default_region(cls, region): cls.default_region = region # Static method - no access to instance or class @staticmethod def validate_cidr(cidr): import ipaddress try: ipaddress.ip_network(cidr) return True except ValueError: return False # Usage NetworkUtils.validate_cidr('10.0.0.0/16') # Static - no instance needed NetworkUtils.set_default_region('us-west-2') # Class method - modifies class util = NetworkUtils() util.get_instance_region() # Instance method - needs object class VPCConfig: def __init__(self, cidr): self._cidr = cidr # Private attribute @property def cidr(self): \"\"\"Getter - accessed like an attribute\"\"\" return self._cidr @cidr.setter def cidr(self, value): \"\"\"Setter - with validation\"\"\" import ipaddress try: network = ipaddress.ip_network(value) if not network.is_private: raise ValueError(\"Must be private IP range\") self._cidr = value except ValueError as e: raise ValueError(f\"Invalid CIDR: {e}\") @property def ip_count(self): \"\"\"Computed property (no setter - read-only)\"\"\" import ipaddress network = ipaddress.ip_network(self._cidr) return network.num_addresses # Usage vpc = VPCConfig('10.0.0.0/16') print(vpc.cidr) # Getter - looks like attribute access print(vpc.ip_count) # Computed - calculated on demand vpc.cidr = '10.1.0.0/16' # Setter - with validation # vpc.cidr = '1.1.1.1/32' # Raises ValueError - not private # Method Resolution Order (MRO) example class AWSResource: def deploy(self): return \"Deploying to AWS\" class AzureResource: def deploy(self): return \"Deploying to Azure\" class MultiCloudResource(AWSResource, AzureResource): \"\"\"Multiple inheritance - AWS takes precedence (left-to-right)\"\"\" pass resource = MultiCloudResource() print(resource.deploy()) # \"Deploying to AWS\" - first parent wins print(MultiCloudResource.__mro__) # Show method resolution order"},{"d":2,"id":"key-takeaways-for-target-company-interview","title":"Key Takeaways for Target Company Interview","text":"✅ Demonstrate Enterprise Thinking : Show you understand large-scale systems, not just scripts ✅ Use Real Examples : Reference your HPE platform engineering, 900+ deployments ✅ Focus on Maintainability : Emphasize testing, error handling, documentation ✅ Show Multi-Cloud : AWS + Azure polymorphic design ✅ Network Context : Apply OOP to network resources (VPC, subnets, routes) Next Steps : Practice coding challenges on LeetCode (Medium level, Python) Review your HPE code for OOP examples to discuss Read \"Fluent Python\" by Luciano Ramalho (Chapters 1-5) Build a small project: \"Multi-cloud network provisioner\" Related Documents : 01_SKILLS_REQUIRED.md - Overview of all Target Company requirements Coming next: Python for Cloud (AWS boto3)","code":""},{"d":3,"id":"python-for-aws-cloud-boto3-️","title":"Python for AWS Cloud (boto3) ☁️","text":"","code":""},{"d":3,"id":"why-this-matters-for-target-company-role","title":"Why This Matters for Target Company Role","text":"The job requires \"experience with cloud APIs such as AWS and Azure\" and \"automating cloud infrastructure provisioning\" . boto3 is Python's AWS SDK - THIS IS CRITICAL .","code":""},{"d":3,"id":"1-boto3-fundamentals","title":"1. boto3 Fundamentals","text":"","code":""},{"d":3,"id":"installation-and-setup","title":"Installation and Setup","text":"","code":"# Install boto3 pip install boto3 # Install with type hints pip install boto3-stubs[ec2,s3,iam]"},{"d":3,"id":"authentication","title":"Authentication","text":"Interview Tip : Know the difference between clients (low-level) vs resources (high-level OOP).","code":"import boto3 from botocore.exceptions import ClientError, BotoCoreError # Method 1: AWS CLI credentials (~/.aws/credentials) # [default] # aws_access_key_id = YOUR_KEY # aws_secret_access_key = YOUR_SECRET # Method 2: Environment variables # export AWS_ACCESS_KEY_ID=xxx # export AWS_SECRET_ACCESS_KEY=yyy # export AWS_DEFAULT_REGION=us-east-1 # Method 3: IAM Role (best for EC2/Lambda) # Automatic when running on AWS infrastructure # Create clients ec2_client = boto3.client('ec2', region_name='us-east-1') s3_client = boto3.client('s3') iam_client = boto3.client('iam') # Create resources (higher-level, object-oriented) ec2_resource = boto3.resource('ec2', region_name='us-east-1') s3_resource = boto3.resource('s3')"},{"d":3,"id":"2-vpc-management-with-boto3","title":"2. VPC Management with boto3","text":"","code":""},{"d":3,"id":"creating-a-vpc","title":"Creating a VPC","text":"Your HPE Experience : You've worked with VPCs for platform infrastructure - mention this!","code":"import boto3 from typing import Dict, Optional import logging logging.basicConfig(level=logging.INFO) logger = logging.getLogger(__name__) class AWSNetworkManager: \"\"\"Manage AWS VPC networking with boto3\"\"\" def __init__(self, region: str = 'us-east-1'): self.ec2_client = boto3.client('ec2', region_name=region) self.ec2_resource = boto3.resource('ec2', region_name=region) self.region = region def create_vpc(self, cidr_block: str, name: str) -> Optional[Dict]: \"\"\" Create a VPC with tags Args: cidr_block: CIDR block (e.g., '10.0.0.0/16') name: VPC name for tagging Returns: VPC details dict or None on error \"\"\" try: # Create VPC response = self.ec2_client.create_vpc( CidrBlock=cidr_block, AmazonProvidedIpv6CidrBlock=False, TagSpecifications=[ { 'ResourceType': 'vpc', 'Tags': [ {'Key': 'Name', 'Value': name}, {'Key': 'ManagedBy', 'Value': 'Python'}, {'Key': 'Environment', 'Value': 'Production'} ] } ] ) vpc_id = response['Vpc']['VpcId'] logger.info(f\"Created VPC: {vpc_id} with CIDR {cidr_block}\") # Wait for VPC to be available waiter = self.ec2_client.get_waiter('vpc_available') waiter.wait(VpcIds=[vpc_id]) # Enable DNS hostnames (important for instances) self.ec2_client.modify_vpc_attribute( VpcId=vpc_id, EnableDnsHostnames={'Value': True} ) # Enable DNS support self.ec2_client.modify_vpc_attribute( VpcId=vpc_id, EnableDnsSupport={'Value': True} ) return { 'vpc_id': vpc_id, 'cidr_block': cidr_block, 'name': name, 'region': self.region, 'state': 'available' } except ClientError as e: logger.error(f\"Failed to create VPC: {e}\") return None def delete_vpc(self, vpc_id: str) -> bool: \"\"\" Delete a VPC (must delete dependencies first) Args: vpc_id: VPC ID to delete Returns: True if successful, False otherwise \"\"\" try: # First, delete all dependencies vpc = self.ec2_resource.Vpc(vpc_id) # Delete subnets for subnet in vpc.subnets.all(): logger.info(f\"Deleting subnet: {subnet.id}\") subnet.delete() # Delete route tables (except main) for route_table in vpc.route_tables.all(): if not route_table.associations_attribute: continue is_main = any(assoc.get('Main') for assoc in route_table.associations_attribute) if not is_main: logger.info(f\"Deleting route table: {route_table.id}\") route_table.delete() # Delete internet gateways for igw in vpc.internet_gateways.all(): logger.info(f\"Detaching and deleting IGW: {igw.id}\") vpc.detach_internet_gateway(InternetGatewayId=igw.id) igw.delete() # Delete security groups (except default) for sg in vpc.security_groups.all(): if sg.group_name != 'default': logger.info(f\"Deleting security group: {sg.id}\") sg.delete() # Finally, delete VPC logger.info(f\"Deleting VPC: {vpc_id}\") vpc.delete() return True except ClientError as e: logger.error(f\"Failed to delete VPC: {e}\") return False # Usage network_mgr = AWSNetworkManager(region='us-east-1') vpc = network_mgr.create_vpc('10.0.0.0/16', 'production-vpc') print(f\"Created VPC: {vpc}\")"},{"d":3,"id":"creating-subnets","title":"Creating Subnets","text":"","code":"class AWSNetworkManager: # ... (previous code) def create_subnet( self, vpc_id: str, cidr_block: str, availability_zone: str, name: str, is_public: bool = False ) -> Optional[Dict]: \"\"\" Create a subnet in a VPC Args: vpc_id: Parent VPC ID cidr_block: Subnet CIDR (e.g., '10.0.1.0/24') availability_zone: AZ (e.g., 'us-east-1a') name: Subnet name is_public: Whether to map public IPs automatically Returns: Subnet details dict or None on error \"\"\" try: response = self.ec2_client.create_subnet( VpcId=vpc_id, CidrBlock=cidr_block, AvailabilityZone=availability_zone, TagSpecifications=[ { 'ResourceType': 'subnet', 'Tags': [ {'Key': 'Name', 'Value': name}, {'Key': 'Type', 'Value': 'Public' if is_public else 'Private'} ] } ] ) subnet_id = response['Subnet']['SubnetId'] logger.info(f\"Created subnet: {subnet_id} in AZ {availability_zone}\") # Auto-assign public IPs if public subnet if is_public: self.ec2_client.modify_subnet_attribute( SubnetId=subnet_id, MapPublicIpOnLaunch={'Value': True} ) return { 'subnet_id': subnet_id, 'vpc_id': vpc_id, 'cidr_block': cidr_block, 'availability_zone': availability_zone, 'is_public': is_public } except ClientError as e: logger.error(f\"Failed to create subnet: {e}\") return None def create_multi_az_subnets( self, vpc_id: str, base_cidr: str = '10.0', availability_zones: list = None ) -> Dict[str, list]: \"\"\" Create public and private subnets across multiple AZs Args: vpc_id: VPC ID base_cidr: Base for CIDR blocks (e.g., '10.0') availability_zones: List of AZs (defaults to first 3 in region) Returns: Dict with 'public' and 'private' subnet lists \"\"\" if not availability_zones: # Get available AZs in region azs_response = self.ec2_client.describe_availability_zones( Filters=[{'Name': 'state', 'Values': ['available']}] ) availability_zones = [az['ZoneName'] for az in azs_response['AvailabilityZones'][:3]] public_subnets = [] private_subnets = [] for i, az in enumerate(availability_zones): # Public subnet (e.g., 10.0.1.0/24, 10.0.2.0/24, 10.0.3.0/24) public_cidr = f\"{base_cidr}.{i+1}.0/24\" public_subnet = self.create_subnet( vpc_id=vpc_id, cidr_block=public_cidr, availability_zone=az, name=f\"public-subnet-{az}\", is_public=True ) if public_subnet: public_subnets.append(public_subnet) # Private subnet (e.g., 10.0.11.0/24, 10.0.12.0/24, 10.0.13.0/24) private_cidr = f\"{base_cidr}.{i+11}.0/24\" private_subnet = self.create_subnet( vpc_id=vpc_id, cidr_block=private_cidr, availability_zone=az, name=f\"private-subnet-{az}\", is_public=False ) if private_subnet: private_subnets.append(private_subnet) logger.info(f\"Created {len(public_subnets)} public and {len(private_subnets)} private subnets\") return { 'public': public_subnets, 'private': private_subnets } # Usage subnets = network_mgr.create_multi_az_subnets( vpc_id='vpc-123456', base_cidr='10.0' ) print(f\"Public subnets: {len(subnets['public'])}\") print(f\"Private subnets: {len(subnets['private'])}\")"},{"d":3,"id":"3-internet-gateway-and-nat-gateway","title":"3. Internet Gateway and NAT Gateway","text":"","code":"class AWSNetworkManager: # ... (previous code) def create_internet_gateway(self, vpc_id: str, name: str) -> Optional[str]: \"\"\" Create and attach Internet Gateway to VPC Args: vpc_id: VPC ID to attach to name: IGW name for tagging Returns: Internet Gateway ID or None \"\"\" try: # Create IGW response = self.ec2_client.create_internet_gateway( TagSpecifications=[ { 'ResourceType': 'internet-gateway', 'Tags': [{'Key': 'Name', 'Value': name}] } ] ) igw_id = response['InternetGateway']['InternetGatewayId'] logger.info(f\"Created Internet Gateway: {igw_id}\") # Attach to VPC self.ec2_client.attach_internet_gateway( InternetGatewayId=igw_id, VpcId=vpc_id ) logger.info(f\"Attached IGW {igw_id} to VPC {vpc_id}\") return igw_id except ClientError as e: logger.error(f\"Failed to create IGW: {e}\") return None def create_nat_gateway( self, subnet_id: str, name: str, allocation_id: str = None ) -> Optional[str]: \"\"\" Create NAT Gateway in a public subnet Args: subnet_id: Public subnet ID name: NAT Gateway name allocation_id: Elastic IP allocation ID (creates new if None) Returns: NAT Gateway ID or None \"\"\" try: # Allocate Elastic IP if not provided if not allocation_id: eip_response = self.ec2_client.allocate_address(Domain='vpc') allocation_id = eip_response['AllocationId'] logger.info(f\"Allocated Elastic IP: {allocation_id}\") # Create NAT Gateway response = self.ec2_client.create_nat_gateway( SubnetId=subnet_id, AllocationId=allocation_id, TagSpecifications=[ { 'ResourceType': 'natgateway', 'Tags': [{'Key': 'Name', 'Value': name}] } ] ) nat_gateway_id = response['NatGateway']['NatGatewayId'] logger.info(f\"Created NAT Gateway: {nat_gateway_id}\") # Wait for NAT Gateway to be available waiter = self.ec2_client.get_waiter('nat_gateway_available') waiter.wait(NatGatewayIds=[nat_gateway_id]) logger.info(f\"NAT Gateway {nat_gateway_id} is now available\") return nat_gateway_id except ClientError as e: logger.error(f\"Failed to create NAT Gateway: {e}\") return None # Usage igw_id = network_mgr.create_internet_gateway('vpc-123456', 'production-igw') nat_gw_id = network_mgr.create_nat_gateway('subnet-abc123', 'production-nat-gw')"},{"d":3,"id":"4-route-tables","title":"4. Route Tables","text":"","code":"class AWSNetworkManager: # ... (previous code) def create_route_table( self, vpc_id: str, name: str, routes: list = None ) -> Optional[str]: \"\"\" Create a route table with optional routes Args: vpc_id: VPC ID name: Route table name routes: List of route dicts [{'destination': '0.0.0.0/0', 'target': 'igw-xxx'}] Returns: Route table ID or None \"\"\" try: # Create route table response = self.ec2_client.create_route_table( VpcId=vpc_id, TagSpecifications=[ { 'ResourceType': 'route-table', 'Tags': [{'Key': 'Name', 'Value': name}] } ] ) route_table_id = response['RouteTable']['RouteTableId'] logger.info(f\"Created route table: {route_table_id}\") # Add routes if routes: for route in routes: self.add_route( route_table_id=route_table_id, destination_cidr=route['destination'], **{k: v for k, v in route.items() if k != 'destination'} ) return route_table_id except ClientError as e: logger.error(f\"Failed to create route table: {e}\") return None def add_route( self, route_table_id: str, destination_cidr: str, gateway_id: str = None, nat_gateway_id: str = None, instance_id: str = None, network_interface_id: str = None, vpc_peering_connection_id: str = None ) -> bool: \"\"\" Add a route to a route table Args: route_table_id: Route table ID destination_cidr: Destination CIDR block gateway_id: Internet gateway ID (for public routes) nat_gateway_id: NAT gateway ID (for private routes) instance_id: EC2 instance ID network_interface_id: ENI ID vpc_peering_connection_id: VPC peering connection ID Returns: True if successful \"\"\" try: # Build route parameters route_params = { 'RouteTableId': route_table_id, 'DestinationCidrBlock': destination_cidr } # Add target (only one can be specified) if gateway_id: route_params['GatewayId'] = gateway_id elif nat_gateway_id: route_params['NatGatewayId'] = nat_gateway_id elif instance_id: route_params['InstanceId'] = instance_id elif network_interface_id: route_params['NetworkInterfaceId'] = network_interface_id elif vpc_peering_connection_id: route_params['VpcPeeringConnectionId'] = vpc_peering_connection_id else: raise ValueError(\"Must specify a target for the route\") self.ec2_client.create_route(**route_params) logger.info(f\"Added route {destination_cidr} to route table {route_table_id}\") return True except ClientError as e: logger.error(f\"Failed to add route: {e}\") return False def associate_route_table(self, route_table_id: str, subnet_id: str) -> Optional[str]: \"\"\" Associate a route table with a subnet Args: route_table_id: Route table ID subnet_id: Subnet ID Returns: Association ID or None \"\"\" try: response = self.ec2_client.associate_route_table( RouteTableId=route_table_id, SubnetId=subnet_id ) association_id = response['AssociationId'] logger.info(f\"Associated route table {route_table_id} with subnet {subnet_id}\") return association_id except ClientError as e: logger.error(f\"Failed to associate route table: {e}\") return None # Usage - Complete public/private routing setup # Public route table (internet access) public_rt_id = network_mgr.create_route_table( vpc_id='vpc-123456', name='public-route-table', routes=[ {'destination': '0.0.0.0/0', 'gateway_id': igw_id} ] ) # Private route table (NAT gateway for outbound) private_rt_id = network_mgr.create_route_table( vpc_id='vpc-123456', name='private-route-table', routes=[ {'destination': '0.0.0.0/0', 'nat_gateway_id': nat_gw_id} ] ) # Associate with subnets network_mgr.associate_route_table(public_rt_id, 'subnet-public-123') network_mgr.associate_route_table(private_rt_id, 'subnet-private-456')"},{"d":3,"id":"5-security-groups","title":"5. Security Groups","text":"","code":"class AWSNetworkManager: # ... (previous code) def create_security_group( self, vpc_id: str, name: str, description: str, ingress_rules: list = None, egress_rules: list = None ) -> Optional[str]: \"\"\" Create a security group with rules Args: vpc_id: VPC ID name: Security group name description: Security group description ingress_rules: List of ingress rule dicts egress_rules: List of egress rule dicts (default allows all outbound) Returns: Security group ID or None Example ingress rule: { 'protocol': 'tcp', 'port': 443, 'source': '0.0.0.0/0', 'description': 'HTTPS from anywhere' } \"\"\" try: # Create security group response = self.ec2_client.create_security_group( GroupName=name, Description=description, VpcId=vpc_id, TagSpecifications=[ { 'ResourceType': 'security-group', 'Tags': [{'Key': 'Name', 'Value': name}] } ] ) sg_id = response['GroupId'] logger.info(f\"Created security group: {sg_id}\") # Add ingress rules if ingress_rules: for rule in ingress_rules: self.add_security_group_rule( sg_id=sg_id, rule_type='ingress', **rule ) # Add egress rules (default allows all if not specified) if egress_rules: # Remove default egress rule first self.ec2_client.revoke_security_group_egress( GroupId=sg_id, IpPermissions=[ { 'IpProtocol': '-1', 'IpRanges': [{'CidrIp': '0.0.0.0/0'}] } ] ) # Add custom egress rules for rule in egress_rules: self.add_security_group_rule( sg_id=sg_id, rule_type='egress', **rule ) return sg_id except ClientError as e: logger.error(f\"Failed to create security group: {e}\") return None def add_security_group_rule( self, sg_id: str, rule_type: str, # 'ingress' or 'egress' protocol: str, # 'tcp', 'udp', 'icmp', or '-1' for all port: int = None, # Single port port_range: tuple = None, # (from_port, to_port) source: str = None, # CIDR for ingress destination: str = None, # CIDR for egress source_sg: str = None, # Source security group ID description: str = '' ) -> bool: \"\"\"Add a single rule to a security group\"\"\" try: # Determine port range if port: from_port = to_port = port elif port_range: from_port, to_port = port_range else: from_port = to_port = -1 # Build IP permission ip_permission = { 'IpProtocol': protocol, 'FromPort': from_port, 'ToPort': to_port } # Add source/destination if source_sg: ip_permission['UserIdGroupPairs'] = [ { 'GroupId': source_sg, 'Description': description } ] elif source: ip_permission['IpRanges'] = [ { 'CidrIp': source, 'Description': description } ] elif destination: ip_permission['IpRanges'] = [ { 'CidrIp': destination, 'Description': description } ] # Add rule if rule_type == 'ingress': self.ec2_client.authorize_security_group_ingress( GroupId=sg_id, IpPermissions=[ip_permission] ) else: self.ec2_client.authorize_security_group_egress( GroupId=sg_id, IpPermissions=[ip_permission] ) logger.info(f\"Added {rule_type} rule to {sg_id}: {protocol}:{from_port}-{to_port}\") return True except ClientError as e: if e.response['Error']['Code'] == 'InvalidPermission.Duplicate': logger.warning(f\"Rule already exists: {e}\") return True logger.error(f\"Failed to add security group rule: {e}\") return False # Usage - Web server security group web_sg_id = network_mgr.create_security_group( vpc_id='vpc-123456', name='web-server-sg', description='Security group for web servers', ingress_rules=[ { 'protocol': 'tcp', 'port': 443, 'source': '0.0.0.0/0', 'description': 'HTTPS from internet' }, { 'protocol': 'tcp', 'port': 80, 'source': '0.0.0.0/0', 'description': 'HTTP from internet' }, { 'protocol': 'tcp', 'port': 22, 'source': '10.0.0.0/16', 'description': 'SSH from VPC only' } ] ) # Database security group (only allows traffic from web SG) db_sg_id = network_mgr.create_security_group( vpc_id='vpc-123456', name='database-sg', description='Security group for databases', ingress_rules=[ { 'protocol': 'tcp', 'port': 3306, 'source_sg': web_sg_id, 'description': 'MySQL from web servers only' } ] )"},{"d":3,"id":"6-complete-vpc-setup-putting-it-all-together","title":"6. Complete VPC Setup (Putting It All Together)","text":"","code":"def provision_complete_vpc( region: str = 'us-east-1', vpc_cidr: str = '10.0.0.0/16', environment: str = 'production' ) -> Dict: \"\"\" Provision a complete, production-ready VPC with: - 3 public subnets (across 3 AZs) - 3 private subnets (across 3 AZs) - Internet Gateway - NAT Gateways (one per AZ for high availability) - Route tables (public and private) - Security groups (web, app, db tiers) Args: region: AWS region vpc_cidr: VPC CIDR block environment: Environment name (production, staging, etc.) Returns: Dict with all created resource IDs \"\"\" mgr = AWSNetworkManager(region=region) resources = {} # 1. Create VPC logger.info(\"=\" * 60) logger.info(\"STEP 1: Creating VPC\") logger.info(\"=\" * 60) vpc = mgr.create_vpc(vpc_cidr, f\"{environment}-vpc\") resources['vpc'] = vpc # 2. Create subnets logger.info(\"\\n\" + \"=\" * 60) logger.info(\"STEP 2: Creating subnets across 3 AZs\") logger.info(\"=\" * 60) subnets = mgr.create_multi_az_subnets( vpc_id=vpc['vpc_id'], base_cidr=vpc_cidr.split('.0.0/')[0] # Extract '10.0' ) resources['subnets'] = subnets # 3. Create Internet Gateway logger.info(\"\\n\" + \"=\" * 60) logger.info(\"STEP 3: Creating Internet Gateway\") logger.info(\"=\" * 60) igw_id = mgr.create_internet_gateway(vpc['vpc_id'], f\"{environment}-igw\") resources['internet_gateway'] = igw_id # 4. Create NAT Gateways (one per AZ for HA) logger.info(\"\\n\" + \"=\" * 60) logger.info(\"STEP 4: Creating NAT Gateways (one per AZ)\") logger.info(\"=\" * 60) nat_gateways = [] for i, public_subnet in enumerate(subnets['public']): nat_gw_id = mgr.create_nat_gateway( subnet_id=public_subnet['subnet_id'], name=f\"{environment}-nat-gw-az{i+1}\" ) nat_gateways.append(nat_gw_id) resources['nat_gateways'] = nat_gateways # 5. Create and configure route tables logger.info(\"\\n\" + \"=\" * 60) logger.info(\"STEP 5: Creating route tables\") logger.info(\"=\" * 60) # Public route table (shared by all public subnets) public_rt_id = mgr.create_route_table( vpc_id=vpc['vpc_id'], name=f\"{environment}-public-rt\", routes=[{'destination': '0.0.0.0/0', 'gateway_id': igw_id}] ) # Associate public route table with all public subnets for public_subnet in subnets['public']: mgr.associate_route_table(public_rt_id, public_subnet['subnet_id']) # Private route tables (one per AZ, each with its own NAT gateway) private_rt_ids = [] for i, (private_subnet, nat_gw_id) in enumerate(zip(subnets['private'], nat_gateways)): private_rt_id = mgr.create_route_table( vpc_id=vpc['vpc_id'], name=f\"{environment}-private-rt-az{i+1}\", routes=[{'destination': '0.0.0.0/0', 'nat_gateway_id': nat_gw_id}] ) mgr.associate_route_table(private_rt_id, private_subnet['subnet_id']) private_rt_ids.append(private_rt_id) resources['route_tables'] = { 'public': public_rt_id, 'private': private_rt_ids } # 6. Create security groups logger.info(\"\\n\" + \"=\" * 60) logger.info(\"STEP 6: Creating security groups (3-tier architecture)\") logger.info(\"=\" * 60) # Web tier security group web_sg_id = mgr.create_security_group( vpc_id=vpc['vpc_id'], name=f\"{environment}-web-sg\", description='Security group for web tier', ingress_rules=[ {'protocol': 'tcp', 'port': 443, 'source': '0.0.0.0/0', 'description': 'HTTPS'}, {'protocol': 'tcp', 'port': 80, 'source': '0.0.0.0/0', 'description': 'HTTP'}, ] ) # App tier security group app_sg_id = mgr.create_security_group( vpc_id=vpc['vpc_id'], name=f\"{environment}-app-sg\", description='Security group for application tier', ingress_rules=[ {'protocol': 'tcp', 'port': 8080, 'source_sg': web_sg_id, 'description': 'App from web tier'}, ] ) # Database tier security group db_sg_id = mgr.create_security_group( vpc_id=vpc['vpc_id'], name=f\"{environment}-db-sg\", description='Security group for database tier', ingress_rules=[ {'protocol': 'tcp', 'port': 3306, 'source_sg': app_sg_id, 'description': 'MySQL from app tier'}, {'protocol': 'tcp', 'port': 5432, 'source_sg': app_sg_id, 'description': 'PostgreSQL from app tier'}, ] ) resources['security_groups'] = { 'web': web_sg_id, 'app': app_sg_id, 'database': db_sg_id } # Summary logger.info(\"\\n\" + \"=\" * 60) logger.info(\"VPC PROVISIONING COMPLETE!\") logger.info(\"=\" * 60) logger.info(f\"VPC ID: {vpc['vpc_id']}\") logger.info(f\"Public Subnets: {len(subnets['public'])}\") logger.info(f\"Private Subnets: {len(subnets['private'])}\") logger.info(f\"NAT Gateways: {len(nat_gateways)}\") logger.info(f\"Security Groups: 3 (web, app, db)\") return resources # Usage if __name__ == '__main__': resources = provision_complete_vpc( region='us-east-1', vpc_cidr='10.0.0.0/16', environment='production' ) import json print(\"\\nCreated Resources:\") print(json.dumps(resources, indent=2, default=str))"},{"d":3,"id":"7-interview-practice-scenarios","title":"7. Interview Practice Scenarios","text":"","code":""},{"d":3,"id":"scenario-1-vpc-peering","title":"Scenario 1: VPC Peering","text":"Question : \"How would you connect two VPCs using boto3?\"","code":"def create_vpc_peering( requester_vpc_id: str, accepter_vpc_id: str, accepter_region: str = None ) -> Optional[str]: \"\"\"Create VPC peering connection\"\"\" ec2_client = boto3.client('ec2') try: # Create peering connection params = { 'VpcId': requester_vpc_id, 'PeerVpcId': accepter_vpc_id } if accepter_region: params['PeerRegion'] = accepter_region response = ec2_client.create_vpc_peering_connection(**params) peering_id = response['VpcPeeringConnection']['VpcPeeringConnectionId'] # Accept peering (if same account) ec2_client.accept_vpc_peering_connection( VpcPeeringConnectionId=peering_id ) logger.info(f\"Created and accepted VPC peering: {peering_id}\") return peering_id except ClientError as e: logger.error(f\"Failed to create VPC peering: {e}\") return None"},{"d":3,"id":"scenario-2-cost-optimization","title":"Scenario 2: Cost Optimization","text":"Question : \"How would you identify unused resources to save costs?\"","code":"def find_unused_network_resources(region: str = 'us-east-1') -> Dict: \"\"\"Find unused network resources that cost money\"\"\" ec2_client = boto3.client('ec2', region_name=region) unused = { 'elastic_ips': [], 'nat_gateways': [], 'network_interfaces': [] } # Find unattached Elastic IPs ($0.005/hour = $3.60/month each) eips = ec2_client.describe_addresses() for eip in eips['Addresses']: if 'InstanceId' not in eip and 'NetworkInterfaceId' not in eip: unused['elastic_ips'].append({ 'allocation_id': eip['AllocationId'], 'public_ip': eip['PublicIp'], 'cost_per_month': 3.60 }) # Find idle NAT Gateways ($0.045/hour = $32.40/month each) nat_gateways = ec2_client.describe_nat_gateways( Filters=[{'Name': 'state', 'Values': ['available']}] ) # Would need CloudWatch metrics to determine if truly idle for nat_gw in nat_gateways['NatGateways']: unused['nat_gateways'].append({ 'nat_gateway_id': nat_gw['NatGatewayId'], 'subnet_id': nat_gw['SubnetId'], 'cost_per_month': 32.40 }) # Calculate total potential savings total_savings = ( len(unused['elastic_ips']) * 3.60 + len(unused['nat_gateways']) * 32.40 ) print(f\"Potential monthly savings: ${total_savings:.2f}\") return unused"},{"d":3,"id":"key-takeaways-for-target-company-interview","title":"Key Takeaways for Target Company Interview","text":"✅ Know boto3 Clients vs Resources : Clients are low-level, Resources are OOP ✅ Error Handling : Always use try/except with ClientError ✅ Waiters : Use get_waiter() for resource state transitions ✅ Pagination : Use paginators for describe_* operations with many results ✅ Cost Awareness : Know NAT Gateway costs, Elastic IP costs ✅ High Availability : Multi-AZ design (3 AZs, NAT gateway per AZ) ✅ Security : Principle of least privilege in security groups Your HPE Advantage : You've built platform infrastructure - connect this to AWS networking! Next Module : Azure SDK (Python for Azure Cloud)","code":""},{"d":4,"id":"python-for-azure-cloud-azure-sdk-️","title":"Python for Azure Cloud (Azure SDK) ☁️","text":"","code":""},{"d":4,"id":"why-this-matters","title":"Why This Matters","text":"Target Company requires \"experience with AWS and Azure cloud APIs\" . While you have AWS experience, Azure is a GAP . This is CRITICAL to learn.","code":""},{"d":4,"id":"1-azure-sdk-setup","title":"1. Azure SDK Setup","text":"","code":"# Install Azure SDK packages pip install azure-identity pip install azure-mgmt-network pip install azure-mgmt-resource pip install azure-mgmt-compute"},{"d":4,"id":"authentication","title":"Authentication","text":"","code":"from azure.identity import DefaultAzureCredential, ClientSecretCredential from azure.mgmt.network import NetworkManagementClient from azure.mgmt.resource import ResourceManagementClient # Method 1: Azure CLI (az login) credential = DefaultAzureCredential() # Method 2: Service Principal credential = ClientSecretCredential( tenant_id=\"your-tenant-id\", client_id=\"your-client-id\", client_secret=\"your-client-secret\" ) # Initialize clients subscription_id = \"your-subscription-id\" network_client = NetworkManagementClient(credential, subscription_id) resource_client = ResourceManagementClient(credential, subscription_id)"},{"d":4,"id":"2-vnet-management-azures-vpc","title":"2. VNet Management (Azure's VPC)","text":"","code":"from azure.mgmt.network import NetworkManagementClient from azure.mgmt.resource import ResourceManagementClient from azure.identity import DefaultAzureCredential import logging logging.basicConfig(level=logging.INFO) logger = logging.getLogger(__name__) class AzureNetworkManager: \"\"\"Manage Azure Virtual Networks\"\"\" def __init__(self, subscription_id: str, resource_group: str, location: str = 'eastus'): credential = DefaultAzureCredential() self.network_client = NetworkManagementClient(credential, subscription_id) self.resource_client = ResourceManagementClient(credential, subscription_id) self.resource_group = resource_group self.location = location def create_resource_group(self): \"\"\"Create resource group (Azure's resource container)\"\"\" rg_result = self.resource_client.resource_groups.create_or_update( self.resource_group, {\"location\": self.location} ) logger.info(f\"Created resource group: {rg_result.name}\") return rg_result def create_vnet(self, vnet_name: str, address_prefix: str): \"\"\"Create Virtual Network\"\"\" vnet_params = { 'location': self.location, 'address_space': { 'address_prefixes': [address_prefix] } } poller = self.network_client.virtual_networks.begin_create_or_update( self.resource_group, vnet_name, vnet_params ) vnet = poller.result() logger.info(f\"Created VNet: {vnet.name}\") return vnet def create_subnet(self, vnet_name: str, subnet_name: str, address_prefix: str): \"\"\"Create subnet in VNet\"\"\" subnet_params = { 'address_prefix': address_prefix } poller = self.network_client.subnets.begin_create_or_update( self.resource_group, vnet_name, subnet_name, subnet_params ) subnet = poller.result() logger.info(f\"Created subnet: {subnet.name}\") return subnet def create_nsg(self, nsg_name: str, rules: list = None): \"\"\"Create Network Security Group (like AWS Security Group)\"\"\" nsg_params = { 'location': self.location, 'security_rules': [] } # Add security rules if provided if rules: for i, rule in enumerate(rules): nsg_params['security_rules'].append({ 'name': rule.get('name', f'rule-{i}'), 'priority': rule.get('priority', 100 + i * 10), 'protocol': rule.get('protocol', 'Tcp'), 'access': rule.get('access', 'Allow'), 'direction': rule.get('direction', 'Inbound'), 'source_address_prefix': rule.get('source', '*'), 'source_port_range': '*', 'destination_address_prefix': '*', 'destination_port_range': str(rule.get('port', '*')) }) poller = self.network_client.network_security_groups.begin_create_or_update( self.resource_group, nsg_name, nsg_params ) nsg = poller.result() logger.info(f\"Created NSG: {nsg.name}\") return nsg # Usage mgr = AzureNetworkManager( subscription_id='your-sub-id', resource_group='fidelity-demo-rg', location='eastus' ) mgr.create_resource_group() vnet = mgr.create_vnet('production-vnet', '10.0.0.0/16') subnet = mgr.create_subnet('production-vnet', 'web-subnet', '10.0.1.0/24') # Create NSG with web server rules nsg = mgr.create_nsg('web-nsg', rules=[ {'name': 'allow-https', 'priority': 100, 'port': 443, 'source': '*'}, {'name': 'allow-http', 'priority': 110, 'port': 80, 'source': '*'} ])"},{"d":4,"id":"3-key-differences-aws-vs-azure","title":"3. Key Differences: AWS vs Azure","text":"Concept AWS Azure Virtual Network VPC VNet Subnet Subnet Subnet Firewall Security Group Network Security Group (NSG) Outbound NAT NAT Gateway NAT Gateway / Azure Firewall Load Balancer ELB (ALB/NLB) Load Balancer / Application Gateway Connectivity VPC Peering / Transit Gateway VNet Peering / Virtual WAN DNS Route 53 Azure DNS / Traffic Manager Resource Grouping Tags Resource Groups (required)","code":""},{"d":4,"id":"4-interview-questions","title":"4. Interview Questions","text":"Q: How is Azure Resource Group different from AWS? A : Azure requires Resource Groups to organize resources. AWS uses tags optionally. Resource Groups are regional containers that simplify lifecycle management. Q: Create a complete VNet with public/private subnets","code":"def provision_azure_network(): mgr = AzureNetworkManager('sub-id', 'prod-rg', 'eastus') # Resource group mgr.create_resource_group() # VNet vnet = mgr.create_vnet('prod-vnet', '10.0.0.0/16') # Subnets public_subnet = mgr.create_subnet('prod-vnet', 'public', '10.0.1.0/24') private_subnet = mgr.create_subnet('prod-vnet', 'private', '10.0.2.0/24') # NSGs web_nsg = mgr.create_nsg('web-nsg', rules=[ {'name': 'https', 'priority': 100, 'port': 443}, {'name': 'http', 'priority': 110, 'port': 80} ]) return vnet"},{"d":4,"id":"key-takeaways","title":"Key Takeaways","text":"✅ Azure SDK uses async patterns ( .begin_create_or_update() returns pollers) ✅ Resource Groups are mandatory in Azure (not optional like AWS tags) ✅ NSG = AWS Security Group (but attached to subnet OR NIC) ✅ VNet Peering = VPC Peering (can be global across regions) Action : Practice creating VNets to match your AWS VPC knowledge! Next : AWS Networking Deep Dive","code":""},{"d":5,"id":"aws-networking-deep-dive-","title":"AWS Networking Deep Dive 🌐","text":"","code":""},{"d":5,"id":"critical-for-cloud-network-team","title":"Critical for Cloud Network Team","text":"This is YOUR CORE RESPONSIBILITY at Target Company. Master these concepts!","code":""},{"d":5,"id":"1-vpc-architecture","title":"1. VPC Architecture","text":"","code":""},{"d":5,"id":"cidr-planning","title":"CIDR Planning","text":"","code":"VPC: 10.0.0.0/16 (65,536 IPs) ├── Public Subnets (DMZ) │ ├── 10.0.1.0/24 (us-east-1a) - 251 usable IPs │ ├── 10.0.2.0/24 (us-east-1b) │ └── 10.0.3.0/24 (us-east-1c) └── Private Subnets (Internal) ├── 10.0.11.0/24 (us-east-1a) ├── 10.0.12.0/24 (us-east-1b) └── 10.0.13.0/24 (us-east-1c) AWS reserves 5 IPs per subnet: - .0: Network address - .1: VPC router - .2: DNS server - .3: Future use - .255: Broadcast (not used in VPC but reserved)"},{"d":5,"id":"2-routing-deep-dive","title":"2. Routing Deep Dive","text":"","code":""},{"d":5,"id":"route-table-priority-longest-prefix-match","title":"Route Table Priority (Longest Prefix Match)","text":"","code":"Route Table: Priority | Destination | Target | Explanation ---------|----------------|-------------|------------------ 1st | 10.0.1.50/32 | eni-123 | Most specific (/32) 2nd | 10.0.1.0/24 | local | Subnet route 3rd | 10.0.0.0/16 | local | VPC route 4th | 0.0.0.0/0 | igw-456 | Default route Packet to 10.0.1.50 → Matches /32 first (wins!) Packet to 10.0.1.100 → Matches /24 (local) Packet to 8.8.8.8 → Matches 0.0.0.0/0 (internet)"},{"d":5,"id":"public-vs-private-routing","title":"Public vs Private Routing","text":"Public Subnet Route Table: Private Subnet Route Table:","code":"Destination Target 10.0.0.0/16 local # VPC internal 0.0.0.0/0 igw-xxx # Internet via IGW Destination Target 10.0.0.0/16 local # VPC internal 0.0.0.0/0 nat-xxx # Internet via NAT Gateway"},{"d":5,"id":"3-security-groups-vs-nacls","title":"3. Security Groups vs NACLs","text":"","code":""},{"d":5,"id":"security-groups-stateful-firewall","title":"Security Groups (Stateful Firewall)","text":"","code":"# Example: Web server security group { \"Ingress\": [ { \"Protocol\": \"tcp\", \"Port\": 443, \"Source\": \"0.0.0.0/0\", # HTTPS from anywhere \"Description\": \"Allow HTTPS traffic\" }, { \"Protocol\": \"tcp\", \"Port\": 80, \"Source\": \"0.0.0.0/0\", # HTTP from anywhere \"Description\": \"Allow HTTP traffic\" }, { \"Protocol\": \"tcp\", \"Port\": 22, \"Source\": \"sg-bastion-123\", # SSH from bastion only \"Description\": \"SSH from bastion host\" } ], \"Egress\": [ { \"Protocol\": \"-1\", # All protocols \"Destination\": \"0.0.0.0/0\", # Allow all outbound (default) \"Description\": \"Allow all outbound traffic\" } ] } # Stateful: Return traffic automatically allowed! # If inbound HTTPS (443) is allowed, response goes out automatically"},{"d":5,"id":"nacls-stateless-firewall","title":"NACLs (Stateless Firewall)","text":"Interview Tip : NACLs are stateless! Must explicitly allow return traffic on ephemeral ports (1024-65535).","code":"# Network ACL (stateless - must allow both directions) { \"Inbound Rules\": [ { \"Rule\": 100, \"Protocol\": \"tcp\", \"Port\": 443, \"Source\": \"0.0.0.0/0\", \"Action\": \"ALLOW\" }, { \"Rule\": 110, \"Protocol\": \"tcp\", \"Port\": 1024-65535, # Ephemeral ports for return traffic! \"Source\": \"0.0.0.0/0\", \"Action\": \"ALLOW\" }, { \"Rule\": \"*\", # Default deny \"Action\": \"DENY\" } ], \"Outbound Rules\": [ { \"Rule\": 100, \"Protocol\": \"tcp\", \"Port\": 1024-65535, # Response goes back on ephemeral port \"Destination\": \"0.0.0.0/0\", \"Action\": \"ALLOW\" }, { \"Rule\": \"*\", \"Action\": \"DENY\" } ] }"},{"d":5,"id":"4-vpc-connectivity","title":"4. VPC Connectivity","text":"","code":""},{"d":5,"id":"vpc-peering","title":"VPC Peering","text":"Limitations : Non-transitive (A→B→C doesn't work, need A→C peering) No overlapping CIDRs DNS resolution requires enabling settings","code":"VPC-A (10.0.0.0/16) <---Peering---> VPC-B (10.1.0.0/16) Route Table in VPC-A: Destination Target 10.0.0.0/16 local 10.1.0.0/16 pcx-123456 # Peering connection"},{"d":5,"id":"transit-gateway-solves-transitive-routing","title":"Transit Gateway (Solves Transitive Routing)","text":"","code":"Transit Gateway /|\\ / | \\ / | \\ VPC-A VPC-B VPC-C All VPCs route to TGW (acts as hub) Transitive routing works!"},{"d":5,"id":"5-load-balancers","title":"5. Load Balancers","text":"","code":""},{"d":5,"id":"application-load-balancer-layer-7","title":"Application Load Balancer (Layer 7)","text":"Python Example: Health Check","code":"Internet → ALB → Target Group (EC2 instances) Features: - HTTP/HTTPS routing - Host-based routing (api.example.com → API servers) - Path-based routing (/api/* → API, /images/* → CDN) - SSL/TLS termination - WebSocket support # Register targets with ALB response = elbv2_client.register_targets( TargetGroupArn='arn:aws:elasticloadbalancing:...', Targets=[ {'Id': 'i-1234567890abcdef0', 'Port': 80}, {'Id': 'i-abcdef1234567890', 'Port': 80} ] ) # Configure health check elbv2_client.modify_target_group( TargetGroupArn='arn:...', HealthCheckProtocol='HTTP', HealthCheckPath='/health', HealthCheckIntervalSeconds=30, HealthyThresholdCount=2, UnhealthyThresholdCount=2 )"},{"d":5,"id":"network-load-balancer-layer-4","title":"Network Load Balancer (Layer 4)","text":"","code":"Features: - TCP/UDP/TLS - Ultra-high performance (millions of requests/sec) - Static IP support - Preserves source IP"},{"d":5,"id":"6-route-53-dns","title":"6. Route 53 (DNS)","text":"","code":""},{"d":5,"id":"routing-policies","title":"Routing Policies","text":"","code":"# 1. Simple Routing: Single resource example.com → 54.123.45.67 # 2. Weighted Routing: Traffic distribution example.com → 70% to ALB-1, 30% to ALB-2 # 3. Latency-based: Route to lowest latency region example.com → - User in US → us-east-1 - User in EU → eu-west-1 # 4. Failover: Primary/Secondary example.com → - Primary: us-east-1 ALB (healthy) - Secondary: us-west-2 ALB (standby) # 5. Geolocation: Based on user location example.com → - North America → us-east-1 - Europe → eu-west-1 - Asia → ap-southeast-1"},{"d":5,"id":"7-vpn-and-direct-connect","title":"7. VPN and Direct Connect","text":"","code":""},{"d":5,"id":"site-to-site-vpn","title":"Site-to-Site VPN","text":"","code":"On-Premises Network ←--IPsec VPN--→ AWS VPC (Corporate DC) (Virtual Private Gateway) Bandwidth: Up to 1.25 Gbps per tunnel Latency: Internet-dependent Cost: Low (data transfer charges only) Setup: Minutes to hours"},{"d":5,"id":"direct-connect","title":"Direct Connect","text":"","code":"On-Premises ←--Dedicated Fiber--→ AWS Direct Connect Location → AWS VPC Bandwidth: 1 Gbps to 100 Gbps Latency: Consistent, low latency Cost: Higher (port hours + data transfer) Setup: Weeks to months Use case: High bandwidth, predictable performance"},{"d":5,"id":"8-troubleshooting-scenarios-interview","title":"8. Troubleshooting Scenarios (Interview!)","text":"","code":""},{"d":5,"id":"scenario-1-ec2-cant-access-internet","title":"Scenario 1: EC2 Can't Access Internet","text":"Checklist : ✅ Instance in public subnet? ✅ Public IP or Elastic IP attached? ✅ Route table has 0.0.0.0/0 → IGW? ✅ Security group allows outbound? ✅ NACL allows outbound + return traffic (ephemeral ports)?","code":""},{"d":5,"id":"scenario-2-cant-ssh-to-ec2","title":"Scenario 2: Can't SSH to EC2","text":"","code":"# Debug with boto3 def debug_ssh_access(instance_id): \"\"\" Check why SSH isn't working \"\"\" ec2 = boto3.client('ec2') # Get instance details response = ec2.describe_instances(InstanceIds=[instance_id]) instance = response['Reservations'][0]['Instances'][0] checks = [] # Check 1: Instance running? if instance['State']['Name'] != 'running': checks.append(f\"❌ Instance not running: {instance['State']['Name']}\") else: checks.append(\"✅ Instance is running\") # Check 2: Has public IP? if 'PublicIpAddress' not in instance: checks.append(\"❌ No public IP address\") else: checks.append(f\"✅ Public IP: {instance['PublicIpAddress']}\") # Check 3: Security group allows SSH (port 22)? sg_ids = [sg['GroupId'] for sg in instance['SecurityGroups']] sgs = ec2.describe_security_groups(GroupIds=sg_ids) ssh_allowed = False for sg in sgs['SecurityGroups']: for rule in sg['IpPermissions']: if rule.get('FromPort') == 22 and rule.get('ToPort') == 22: ssh_allowed = True break if ssh_allowed: checks.append(\"✅ Security group allows SSH\") else: checks.append(\"❌ Security group blocks SSH (port 22)\") # Check 4: Key pair configured? if 'KeyName' not in instance: checks.append(\"❌ No key pair configured\") else: checks.append(f\"✅ Key pair: {instance['KeyName']}\") return \"\\n\".join(checks) # Usage print(debug_ssh_access('i-1234567890abcdef0'))"},{"d":5,"id":"9-interview-questions","title":"9. Interview Questions","text":"Q: Explain the packet flow from EC2 to internet Q: How does NAT Gateway differ from Internet Gateway?","code":"1. EC2 instance (10.0.1.50) sends packet to 8.8.8.8 2. Checks security group (outbound allowed?) 3. Checks subnet route table: 0.0.0.0/0 → IGW 4. Packet goes to Internet Gateway 5. IGW performs NAT: 10.0.1.50 → Public IP (52.1.2.3) 6. Packet routed to 8.8.8.8 7. Response comes back: 8.8.8.8 → 52.1.2.3 8. IGW translates: 52.1.2.3 → 10.0.1.50 9. Security group allows response (stateful!) 10. Packet delivered to EC2 Internet Gateway (IGW): - Bidirectional (inbound + outbound) - 1:1 NAT (public IP mapped to private IP) - No cost - For public subnets NAT Gateway: - Outbound only (private → internet) - Many:1 NAT (many private IPs → 1 Elastic IP) - $0.045/hour + data charges - For private subnets - Stateful (allows return traffic)"},{"d":5,"id":"key-takeaways","title":"Key Takeaways","text":"✅ Routing : Longest prefix match wins ✅ Security Groups : Stateful (return traffic automatic) ✅ NACLs : Stateless (must allow ephemeral ports) ✅ HA Design : Multi-AZ (3 AZs, NAT Gateway per AZ) ✅ Troubleshooting : Systematic checklist (instance → SG → route table → NACL → IGW) Your HPE Advantage : Platform infrastructure, VPC experience - connect this! Next : Azure Networking Fundamentals","code":""},{"d":6,"id":"terraform-advanced-infrastructure-as-code-️","title":"Terraform Advanced (Infrastructure as Code) 🏗️","text":"","code":""},{"d":6,"id":"critical-for-target-company-role","title":"Critical for Target Company Role","text":"Job requires \"Terraform and AWS CloudFormation\" - Terraform is ESSENTIAL!","code":""},{"d":6,"id":"1-terraform-basics","title":"1. Terraform Basics","text":"","code":""},{"d":6,"id":"hcl-syntax","title":"HCL Syntax","text":"","code":"# Provider configuration provider \"aws\" { region = \"us-east-1\" } # Resource: VPC resource \"aws_vpc\" \"main\" { cidr_block = \"10.0.0.0/16\" enable_dns_hostnames = true enable_dns_support = true tags = { Name = \"production-vpc\" Environment = \"production\" ManagedBy = \"Terraform\" } } # Data source: Get available AZs data \"aws_availability_zones\" \"available\" { state = \"available\" } # Output output \"vpc_id\" { description = \"The ID of the VPC\" value = aws_vpc.main.id }"},{"d":6,"id":"2-modules-reusable-infrastructure","title":"2. Modules (Reusable Infrastructure)","text":"","code":""},{"d":6,"id":"module-structure","title":"Module Structure","text":"","code":"modules/ └── vpc/ ├── main.tf # Resources ├── variables.tf # Input variables ├── outputs.tf # Outputs └── README.md # Documentation"},{"d":6,"id":"vpc-module-example","title":"VPC Module Example","text":"modules/vpc/variables.tf: modules/vpc/main.tf: modules/vpc/outputs.tf:","code":"variable \"vpc_cidr\" { description = \"CIDR block for VPC\" type = string default = \"10.0.0.0/16\" } variable \"environment\" { description = \"Environment name\" type = string } variable \"azs\" { description = \"Availability zones\" type = list(string) } resource \"aws_vpc\" \"this\" { cidr_block = var.vpc_cidr enable_dns_hostnames = true enable_dns_support = true tags = { Name = \"${var.environment}-vpc\" Environment = var.environment } } resource \"aws_subnet\" \"public\" { count = length(var.azs) vpc_id = aws_vpc.this.id cidr_block = cidrsubnet(var.vpc_cidr, 8, count.index + 1) availability_zone = var.azs[count.index] tags = { Name = \"${var.environment}-public-${var.azs[count.index]}\" Type = \"Public\" } } resource \"aws_subnet\" \"private\" { count = length(var.azs) vpc_id = aws_vpc.this.id cidr_block = cidrsubnet(var.vpc_cidr, 8, count.index + 11) availability_zone = var.azs[count.index] tags = { Name = \"${var.environment}-private-${var.azs[count.index]}\" Type = \"Private\" } } output \"vpc_id\" { description = \"VPC ID\" value = aws_vpc.this.id } output \"public_subnet_ids\" { description = \"List of public subnet IDs\" value = aws_subnet.public[*].id } output \"private_subnet_ids\" { description = \"List of private subnet IDs\" value = aws_subnet.private[*].id }"},{"d":6,"id":"using-the-module","title":"Using the Module","text":"main.tf:","code":"module \"vpc\" { source = \"./modules/vpc\" vpc_cidr = \"10.0.0.0/16\" environment = \"production\" azs = [\"us-east-1a\", \"us-east-1b\", \"us-east-1c\"] } # Use module outputs resource \"aws_security_group\" \"web\" { vpc_id = module.vpc.vpc_id # ... rest of configuration }"},{"d":6,"id":"3-state-management","title":"3. State Management","text":"","code":""},{"d":6,"id":"remote-backend-s3--dynamodb","title":"Remote Backend (S3 + DynamoDB)","text":"","code":"terraform { backend \"s3\" { bucket = \"my-terraform-state\" key = \"production/vpc/terraform.tfstate\" region = \"us-east-1\" encrypt = true dynamodb_table = \"terraform-locks\" # For state locking } } # State locking prevents concurrent modifications # DynamoDB table needs \"LockID\" primary key"},{"d":6,"id":"state-commands","title":"State Commands","text":"","code":"# Initialize backend terraform init # View state terraform state list terraform state show aws_vpc.main # Move resource in state terraform state mv aws_instance.old aws_instance.new # Remove from state (doesn't delete resource!) terraform state rm aws_instance.test # Import existing resource terraform import aws_vpc.main vpc-12345 # Refresh state from actual infrastructure terraform refresh"},{"d":6,"id":"4-workspaces-multi-environment","title":"4. Workspaces (Multi-Environment)","text":"Use workspace in code:","code":"# Create workspaces terraform workspace new dev terraform workspace new staging terraform workspace new production # List workspaces terraform workspace list # Switch workspace terraform workspace select production # Current workspace terraform workspace show resource \"aws_vpc\" \"main\" { cidr_block = var.vpc_cidrs[terraform.workspace] tags = { Environment = terraform.workspace } } variable \"vpc_cidrs\" { type = map(string) default = { dev = \"10.0.0.0/16\" staging = \"10.1.0.0/16\" production = \"10.2.0.0/16\" } }"},{"d":6,"id":"5-advanced-patterns","title":"5. Advanced Patterns","text":"","code":""},{"d":6,"id":"for_each-vs-count","title":"For_each vs Count","text":"","code":"# Count: Use for simple lists resource \"aws_subnet\" \"example\" { count = 3 cidr_block = cidrsubnet(\"10.0.0.0/16\", 8, count.index) # Problem: Changing list order recreates resources! } # For_each: Use for maps/sets (better!) resource \"aws_subnet\" \"example\" { for_each = toset([\"web\", \"app\", \"db\"]) cidr_block = cidrsubnet(\"10.0.0.0/16\", 8, index([\"web\", \"app\", \"db\"], each.key)) tags = { Name = \"${each.key}-subnet\" } } # Access outputs output \"subnet_ids\" { value = { for k, v in aws_subnet.example : k => v.id } # Result: { web = \"subnet-123\", app = \"subnet-456\", db = \"subnet-789\" } }"},{"d":6,"id":"dynamic-blocks","title":"Dynamic Blocks","text":"","code":"resource \"aws_security_group\" \"web\" { name = \"web-sg\" vpc_id = aws_vpc.main.id # Dynamic ingress rules dynamic \"ingress\" { for_each = var.ingress_rules content { from_port = ingress.value.port to_port = ingress.value.port protocol = ingress.value.protocol cidr_blocks = ingress.value.cidr_blocks description = ingress.value.description } } } variable \"ingress_rules\" { type = list(object({ port = number protocol = string cidr_blocks = list(string) description = string })) default = [ { port = 443 protocol = \"tcp\" cidr_blocks = [\"0.0.0.0/0\"] description = \"HTTPS\" }, { port = 80 protocol = \"tcp\" cidr_blocks = [\"0.0.0.0/0\"] description = \"HTTP\" } ] }"},{"d":6,"id":"6-multi-cloud-aws--azure","title":"6. Multi-Cloud (AWS + Azure)","text":"","code":"# providers.tf terraform { required_providers { aws = { source = \"hashicorp/aws\" version = \"~> 5.0\" } azurerm = { source = \"hashicorp/azurerm\" version = \"~> 3.0\" } } } provider \"aws\" { region = \"us-east-1\" } provider \"azurerm\" { features {} } # AWS VPC resource \"aws_vpc\" \"main\" { cidr_block = \"10.0.0.0/16\" } # Azure VNet resource \"azurerm_virtual_network\" \"main\" { name = \"production-vnet\" resource_group_name = azurerm_resource_group.main.name location = \"East US\" address_space = [\"10.1.0.0/16\"] }"},{"d":6,"id":"7-testing-and-validation","title":"7. Testing and Validation","text":"","code":""},{"d":6,"id":"terraform-validate","title":"Terraform Validate","text":"","code":"# Validate syntax terraform validate # Format code terraform fmt -recursive # Show plan (dry run) terraform plan # Show plan with detailed diff terraform plan -out=tfplan terraform show tfplan"},{"d":6,"id":"policy-as-code-sentinel","title":"Policy as Code (Sentinel)","text":"","code":"# sentinel.hcl policy \"require-vpc-tags\" { enforcement_level = \"hard-mandatory\" } # require-vpc-tags.sentinel import \"tfplan/v2\" as tfplan # Ensure all VPCs have required tags main = rule { all tfplan.resource_changes as _, rc { rc.type is \"aws_vpc\" implies rc.change.after.tags contains \"Environment\" and rc.change.after.tags contains \"ManagedBy\" } }"},{"d":6,"id":"8-interview-questions","title":"8. Interview Questions","text":"Q: How do you handle secrets in Terraform? Q: How do you prevent resource deletion? Q: How do you manage Terraform in a team?","code":"# Option 1: AWS Secrets Manager data \"aws_secretsmanager_secret_version\" \"db_password\" { secret_id = \"production/db/password\" } resource \"aws_db_instance\" \"main\" { password = data.aws_secretsmanager_secret_version.db_password.secret_string # DON'T: password = \"hardcoded_password\" } # Option 2: Environment variables variable \"db_password\" { type = string sensitive = true } # Set via: export TF_VAR_db_password=xxx # Option 3: HashiCorp Vault data \"vault_generic_secret\" \"db_creds\" { path = \"secret/database/production\" } resource \"aws_vpc\" \"main\" { cidr_block = \"10.0.0.0/16\" lifecycle { prevent_destroy = true # Terraform will error if you try to destroy } } resource \"aws_instance\" \"web\" { ami = \"ami-12345\" instance_type = \"t3.micro\" lifecycle { create_before_destroy = true # Create new before destroying old } } 1. Remote state (S3 + DynamoDB locking) 2. State locking (prevents concurrent runs) 3. Pull request reviews for terraform plan 4. CI/CD integration (terraform validate, plan, apply) 5. Module versioning (Git tags) 6. Separate workspaces/accounts per environment"},{"d":6,"id":"9-best-practices","title":"9. Best Practices","text":"✅ Use modules for reusable infrastructure ✅ Remote state with locking (S3 + DynamoDB) ✅ Version providers ( required_providers ) ✅ Separate environments (workspaces or separate state files) ✅ Never commit .tfstate or secrets ✅ Use for_each over count for stability ✅ Tag everything for cost tracking and organization ✅ Plan before apply always!","code":""},{"d":6,"id":"key-takeaways","title":"Key Takeaways","text":"✅ Modules : Reusable, versioned infrastructure components ✅ State Management : Remote backend with locking for team collaboration ✅ Multi-Cloud : Single tool for AWS, Azure, GCP ✅ Validation : terraform validate , fmt , plan before apply Your HPE Advantage : Terraform/Ansible experience - emphasize in interview! Next : AWS CloudFormation","code":""},{"d":7,"id":"aws-cloudformation-infrastructure-as-code-️","title":"AWS CloudFormation (Infrastructure as Code) ☁️","text":"","code":""},{"d":7,"id":"why-this-matters","title":"Why This Matters","text":"Target Company requires \"Terraform and AWS CloudFormation\" . CF is AWS-native IaC.","code":""},{"d":7,"id":"1-cloudformation-basics","title":"1. CloudFormation Basics","text":"","code":""},{"d":7,"id":"template-structure-yaml","title":"Template Structure (YAML)","text":"","code":"AWSTemplateFormatVersion: '2010-09-09' Description: 'Production VPC with public and private subnets' Parameters: VpcCidr: Type: String Default: '10.0.0.0/16' Description: CIDR block for VPC Mappings: RegionMap: us-east-1: AMI: ami-0c55b159cbfafe1f0 us-west-2: AMI: ami-0d1cd67c26f5fca19 Conditions: IsProduction: !Equals [!Ref Environment, 'production'] Resources: VPC: Type: AWS::EC2::VPC Properties: CidrBlock: !Ref VpcCidr EnableDnsHostnames: true EnableDnsSupport: true Tags: - Key: Name Value: !Sub '${AWS::StackName}-vpc' Outputs: VpcId: Description: VPC ID Value: !Ref VPC Export: Name: !Sub '${AWS::StackName}-VpcId'"},{"d":7,"id":"2-intrinsic-functions","title":"2. Intrinsic Functions","text":"","code":"# !Ref - Reference parameter/resource VpcId: !Ref VPC # !Sub - String substitution Name: !Sub '${Environment}-vpc' Complex: !Sub - 'arn:aws:s3:::${BucketName}/path' - BucketName: !Ref MyBucket # !GetAtt - Get resource attribute DnsName: !GetAtt LoadBalancer.DNSName # !Join - Join strings SecurityGroups: !Join [',', [!Ref SG1, !Ref SG2]] # !Select - Select from list FirstAz: !Select [0, !GetAZs ''] # !If - Conditional InstanceType: !If [IsProduction, 't3.large', 't3.micro'] # !FindInMap - Lookup in Mappings ImageId: !FindInMap [RegionMap, !Ref 'AWS::Region', AMI] # !GetAZs - Get availability zones AvailabilityZones: !GetAZs '' # All AZs in region # !Cidr - Generate CIDR blocks SubnetCidrs: !Cidr [!Ref VpcCidr, 6, 8] # 6 subnets with /24"},{"d":7,"id":"3-complete-vpc-template","title":"3. Complete VPC Template","text":"","code":"AWSTemplateFormatVersion: '2010-09-09' Description: 'Production VPC with Multi-AZ subnets, NAT Gateways, and routing' Parameters: Environment: Type: String Default: production AllowedValues: - development - staging - production VpcCidr: Type: String Default: '10.0.0.0/16' Resources: # VPC VPC: Type: AWS::EC2::VPC Properties: CidrBlock: !Ref VpcCidr EnableDnsHostnames: true EnableDnsSupport: true Tags: - Key: Name Value: !Sub '${Environment}-vpc' # Internet Gateway InternetGateway: Type: AWS::EC2::InternetGateway Properties: Tags: - Key: Name Value: !Sub '${Environment}-igw' AttachGateway: Type: AWS::EC2::VPCGatewayAttachment Properties: VpcId: !Ref VPC InternetGatewayId: !Ref InternetGateway # Public Subnets PublicSubnet1: Type: AWS::EC2::Subnet Properties: VpcId: !Ref VPC CidrBlock: !Select [0, !Cidr [!Ref VpcCidr, 6, 8]] AvailabilityZone: !Select [0, !GetAZs ''] MapPublicIpOnLaunch: true Tags: - Key: Name Value: !Sub '${Environment}-public-1a' PublicSubnet2: Type: AWS::EC2::Subnet Properties: VpcId: !Ref VPC CidrBlock: !Select [1, !Cidr [!Ref VpcCidr, 6, 8]] AvailabilityZone: !Select [1, !GetAZs ''] MapPublicIpOnLaunch: true Tags: - Key: Name Value: !Sub '${Environment}-public-1b' # NAT Gateways NatGateway1EIP: Type: AWS::EC2::EIP DependsOn: AttachGateway Properties: Domain: vpc NatGateway1: Type: AWS::EC2::NatGateway Properties: AllocationId: !GetAtt NatGateway1EIP.AllocationId SubnetId: !Ref PublicSubnet1 # Private Subnets PrivateSubnet1: Type: AWS::EC2::Subnet Properties: VpcId: !Ref VPC CidrBlock: !Select [3, !Cidr [!Ref VpcCidr, 6, 8]] AvailabilityZone: !Select [0, !GetAZs ''] Tags: - Key: Name Value: !Sub '${Environment}-private-1a' # Route Tables PublicRouteTable: Type: AWS::EC2::RouteTable Properties: VpcId: !Ref VPC Tags: - Key: Name Value: !Sub '${Environment}-public-rt' DefaultPublicRoute: Type: AWS::EC2::Route DependsOn: AttachGateway Properties: RouteTableId: !Ref PublicRouteTable DestinationCidrBlock: 0.0.0.0/0 GatewayId: !Ref InternetGateway PublicSubnet1RouteTableAssociation: Type: AWS::EC2::SubnetRouteTableAssociation Properties: RouteTableId: !Ref PublicRouteTable SubnetId: !Ref PublicSubnet1 # Security Group WebServerSecurityGroup: Type: AWS::EC2::SecurityGroup Properties: GroupDescription: Allow HTTP/HTTPS traffic VpcId: !Ref VPC SecurityGroupIngress: - IpProtocol: tcp FromPort: 443 ToPort: 443 CidrIp: 0.0.0.0/0 Description: HTTPS from internet - IpProtocol: tcp FromPort: 80 ToPort: 80 CidrIp: 0.0.0.0/0 Description: HTTP from internet Tags: - Key: Name Value: !Sub '${Environment}-web-sg' Outputs: VpcId: Description: VPC ID Value: !Ref VPC Export: Name: !Sub '${AWS::StackName}-VpcId' PublicSubnets: Description: Public subnet IDs Value: !Join [',', [!Ref PublicSubnet1, !Ref PublicSubnet2]] Export: Name: !Sub '${AWS::StackName}-PublicSubnets'"},{"d":7,"id":"4-nested-stacks","title":"4. Nested Stacks","text":"Parent Stack:","code":"Resources: NetworkStack: Type: AWS::CloudFormation::Stack Properties: TemplateURL: https://s3.amazonaws.com/my-templates/vpc.yaml Parameters: Environment: production VpcCidr: '10.0.0.0/16' ApplicationStack: Type: AWS::CloudFormation::Stack DependsOn: NetworkStack Properties: TemplateURL: https://s3.amazonaws.com/my-templates/app.yaml Parameters: VpcId: !GetAtt NetworkStack.Outputs.VpcId SubnetIds: !GetAtt NetworkStack.Outputs.PublicSubnets"},{"d":7,"id":"5-stack-operations-cli","title":"5. Stack Operations (CLI)","text":"","code":"# Create stack aws cloudformation create-stack \\ --stack-name production-vpc \\ --template-body file://vpc.yaml \\ --parameters ParameterKey=Environment,ParameterValue=production # Update stack aws cloudformation update-stack \\ --stack-name production-vpc \\ --template-body file://vpc.yaml # Delete stack aws cloudformation delete-stack \\ --stack-name production-vpc # Describe stack aws cloudformation describe-stacks \\ --stack-name production-vpc # Get stack outputs aws cloudformation describe-stacks \\ --stack-name production-vpc \\ --query 'Stacks[0].Outputs' # List stack resources aws cloudformation list-stack-resources \\ --stack-name production-vpc"},{"d":7,"id":"6-drift-detection","title":"6. Drift Detection","text":"","code":"# Detect drift (check if actual differs from template) aws cloudformation detect-stack-drift \\ --stack-name production-vpc # Get drift results aws cloudformation describe-stack-drift-detection-status \\ --stack-drift-detection-id <detection-id> # View resource drifts aws cloudformation describe-stack-resource-drifts \\ --stack-name production-vpc"},{"d":7,"id":"7-interview-questions","title":"7. Interview Questions","text":"Q: CloudFormation vs Terraform? Q: How do you handle secrets?","code":"CloudFormation: ✅ AWS-native, deep AWS integration ✅ No state file management ✅ Free (only pay for resources) ❌ AWS-only (not multi-cloud) ❌ Slower iteration (YAML verbose) Terraform: ✅ Multi-cloud (AWS, Azure, GCP) ✅ HCL more concise than YAML ✅ Large community, many providers ❌ State file management required ❌ Licensing changes (BSL now) Parameters: DBPassword: Type: String NoEcho: true # Hides value in console # Better: Use Secrets Manager Resources: DBInstance: Type: AWS::RDS::DBInstance Properties: MasterUserPassword: !Sub '{{resolve:secretsmanager:${MySecret}:SecretString:password}}'"},{"d":7,"id":"key-takeaways","title":"Key Takeaways","text":"✅ Intrinsic Functions : !Ref, !Sub, !GetAtt, !Join, !If ✅ Nested Stacks : Modular, reusable templates ✅ Drift Detection : Find manual changes ✅ Export/Import : Cross-stack references Next : Jenkins CI/CD Pipelines","code":""},{"d":8,"id":"jenkins-cicd-pipelines-","title":"Jenkins CI/CD Pipelines 🚀","text":"","code":""},{"d":8,"id":"critical-for-target-company","title":"Critical for Target Company","text":"Job requires \"Jenkins for CI/CD\" - This is how you'll deploy infrastructure!","code":""},{"d":8,"id":"1-jenkinsfile-pipeline-as-code","title":"1. Jenkinsfile (Pipeline as Code)","text":"","code":""},{"d":8,"id":"declarative-pipeline","title":"Declarative Pipeline","text":"","code":"pipeline { agent any environment { AWS_REGION = 'us-east-1' TF_VERSION = '1.6.0' } stages { stage('Checkout') { steps { git branch: 'main', url: 'https://github.com/org/infrastructure.git' } } stage('Terraform Init') { steps { sh ''' cd terraform/ terraform init \\ -backend-config=\"bucket=my-tf-state\" \\ -backend-config=\"key=${ENV_NAME}/terraform.tfstate\" ''' } } stage('Terraform Plan') { steps { sh ''' cd terraform/ terraform plan -out=tfplan ''' } } stage('Approval') { when { branch 'main' } steps { input message: 'Apply Terraform changes?', ok: 'Deploy' } } stage('Terraform Apply') { when { branch 'main' } steps { sh ''' cd terraform/ terraform apply tfplan ''' } } } post { success { echo 'Infrastructure deployment successful!' // Notify Slack, email, etc. } failure { echo 'Deployment failed!' // Send alerts } always { cleanWs() // Clean workspace } } }"},{"d":8,"id":"2-infrastructure-validation-pipeline","title":"2. Infrastructure Validation Pipeline","text":"","code":"pipeline { agent any stages { stage('Terraform Validate') { steps { sh 'terraform validate' } } stage('Terraform Format Check') { steps { sh ''' terraform fmt -check -recursive if [ $? -ne 0 ]; then echo \"Code not formatted! Run: terraform fmt -recursive\" exit 1 fi ''' } } stage('TFLint') { steps { sh ''' tflint --init tflint ''' } } stage('Checkov Security Scan') { steps { sh ''' checkov -d . \\ --framework terraform \\ --output junitxml > checkov-report.xml ''' } } stage('Cost Estimation') { steps { sh ''' infracost breakdown \\ --path . \\ --format json \\ --out-file infracost.json ''' } } } }"},{"d":8,"id":"3-multi-environment-pipeline","title":"3. Multi-Environment Pipeline","text":"","code":"pipeline { agent any parameters { choice( name: 'ENVIRONMENT', choices: ['dev', 'staging', 'production'], description: 'Target environment' ) booleanParam( name: 'DESTROY', defaultValue: false, description: 'Destroy infrastructure?' ) } stages { stage('Setup') { steps { script { // Set workspace based on environment sh \"terraform workspace select ${params.ENVIRONMENT} || terraform workspace new ${params.ENVIRONMENT}\" } } } stage('Plan') { steps { script { if (params.DESTROY) { sh 'terraform plan -destroy -out=tfplan' } else { sh 'terraform plan -out=tfplan' } } } } stage('Apply') { when { expression { // Require approval for production return params.ENVIRONMENT == 'production' } } steps { input message: \"Deploy to ${params.ENVIRONMENT}?\", ok: 'Deploy' sh 'terraform apply tfplan' } } } }"},{"d":8,"id":"4-shared-library-reusable-functions","title":"4. Shared Library (Reusable Functions)","text":"vars/terraform.groovy: Jenkinsfile using shared library:","code":"def validate() { sh 'terraform validate' sh 'terraform fmt -check' } def plan(String environment) { sh \"\"\" terraform workspace select ${environment} terraform plan -out=tfplan \"\"\" } def apply() { sh 'terraform apply tfplan' } def destroy(String environment) { sh \"\"\" terraform workspace select ${environment} terraform destroy -auto-approve \"\"\" } @Library('shared-pipeline-library') _ pipeline { agent any stages { stage('Validate') { steps { terraform.validate() } } stage('Plan') { steps { terraform.plan('production') } } stage('Apply') { steps { terraform.apply() } } } }"},{"d":8,"id":"5-parallel-execution","title":"5. Parallel Execution","text":"","code":"pipeline { agent any stages { stage('Parallel Validation') { parallel { stage('Terraform Validate') { steps { sh 'terraform validate' } } stage('Security Scan') { steps { sh 'checkov -d .' } } stage('Lint') { steps { sh 'tflint' } } } } } }"},{"d":8,"id":"6-interview-questions","title":"6. Interview Questions","text":"Q: How do you handle secrets in Jenkins? Q: How do you ensure infrastructure changes are reviewed?","code":"pipeline { environment { AWS_CREDENTIALS = credentials('aws-credentials-id') } stages { stage('Deploy') { steps { withAWS(credentials: 'aws-credentials-id', region: 'us-east-1') { sh 'terraform apply' } } } } } 1. Pull request triggers Jenkins job 2. Jenkins runs: validate, plan, security scan 3. Post plan output as PR comment 4. Require approval from team 5. Merge triggers apply job 6. Production requires manual approval step"},{"d":8,"id":"key-takeaways","title":"Key Takeaways","text":"✅ Pipeline as Code : Jenkinsfile in version control ✅ Validation : Format, lint, security scans before apply ✅ Approval : Manual approval for production ✅ Parallel : Run independent checks concurrently ✅ Shared Libraries : Reusable pipeline functions Your HPE Advantage : Jenkins experience - mention 900+ deployments! Next : Networking Fundamentals","code":""},{"d":9,"id":"networking-fundamentals-","title":"Networking Fundamentals 🌐","text":"","code":""},{"d":9,"id":"critical-for-cloud-network-team","title":"Critical for Cloud Network Team","text":"Target Company requires \"understanding of IP routing, firewalls, load balancers, DNS\"","code":""},{"d":9,"id":"1-osi-model--tcpip-stack","title":"1. OSI Model & TCP/IP Stack","text":"Interview Tip : Remember \"Please Do Not Throw Sausage Pizza Away\"","code":"OSI Model TCP/IP Model Examples ----------- -------------- ---------- 7. Application ┐ HTTP, DNS, SSH 6. Presentation ├─ Application TLS/SSL, JSON 5. Session ┘ NetBIOS, RPC 4. Transport ─── Transport TCP, UDP Port numbers 3. Network ─── Internet IP, ICMP, IGMP Routing 2. Data Link ┐ Ethernet, Wi-Fi 1. Physical └── Network Access Cables, NIC"},{"d":9,"id":"2-ip-addressing--subnetting","title":"2. IP Addressing & Subnetting","text":"","code":""},{"d":9,"id":"ipv4-structure","title":"IPv4 Structure","text":"","code":"32-bit address: 192.168.1.10 Binary: 11000000.10101000.00000001.00001010 Classes (historical): Class A: 0.0.0.0 - 127.255.255.255 (8-bit network) Class B: 128.0.0.0 - 191.255.255.255 (16-bit network) Class C: 192.0.0.0 - 223.255.255.255 (24-bit network) Private Ranges (RFC 1918): 10.0.0.0/8 - 10.255.255.255 (16 million IPs) 172.16.0.0/12 - 172.31.255.255 (1 million IPs) 192.168.0.0/16 - 192.168.255.255 (65K IPs)"},{"d":9,"id":"cidr-notation","title":"CIDR Notation","text":"","code":"10.0.0.0/16 └── 16 network bits, 16 host bits Total IPs: 2^(32-16) = 65,536 Usable IPs: 65,536 - 2 = 65,534 (minus network & broadcast) Common CIDR Blocks: /32 = 1 IP (host route) /31 = 2 IPs (point-to-point) /30 = 4 IPs (2 usable - common for router links) /29 = 8 IPs (6 usable) /28 = 16 IPs (14 usable) /27 = 32 IPs (30 usable) /26 = 64 IPs (62 usable) /25 = 128 IPs (126 usable) /24 = 256 IPs (254 usable - typical subnet) /16 = 65,536 IPs (65,534 usable - typical VPC) /8 = 16.7M IPs (Class A)"},{"d":9,"id":"subnetting-example","title":"Subnetting Example","text":"","code":"# Network: 10.0.0.0/16 → Split into /24 subnets 10.0.0.0/24 - Web Tier (10.0.0.1 - 10.0.0.254) 10.0.1.0/24 - App Tier 10.0.2.0/24 - DB Tier 10.0.3.0/24 - Management ... 10.0.255.0/24 - Last /24 subnet # Python to calculate subnets import ipaddress network = ipaddress.ip_network('10.0.0.0/16') subnets = list(network.subnets(new_prefix=24)) print(f\"Total /24 subnets: {len(subnets)}\") # 256 print(f\"First subnet: {subnets[0]}\") # 10.0.0.0/24 print(f\"Last subnet: {subnets[-1]}\") # 10.0.255.0/24"},{"d":9,"id":"3-routing","title":"3. Routing","text":"","code":""},{"d":9,"id":"static-vs-dynamic-routing","title":"Static vs Dynamic Routing","text":"Static Routing: Dynamic Routing (BGP, OSPF):","code":"Router configuration: ip route 10.1.0.0/16 via 192.168.1.1 Pros: ✅ Simple, predictable ✅ Low overhead ✅ Full control Cons: ❌ No automatic failover ❌ Manual updates required ❌ Doesn't scale BGP (Border Gateway Protocol): - Path-vector protocol - Used between autonomous systems (internet backbone) - AWS uses BGP for Direct Connect, VPN OSPF (Open Shortest Path First): - Link-state protocol - Used within an organization - Calculates shortest path Example: AWS Transit Gateway uses BGP"},{"d":9,"id":"longest-prefix-match","title":"Longest Prefix Match","text":"","code":"Routing table: Destination Next Hop Metric 10.0.1.0/24 Router-A 10 10.0.0.0/16 Router-B 20 0.0.0.0/0 Router-C 50 (default) Packet to 10.0.1.50: - Matches 10.0.1.0/24 (/24 = 24 bits) ← WINS (most specific) - Matches 10.0.0.0/16 (/16 = 16 bits) - Matches 0.0.0.0/0 (/0 = 0 bits) → Routes via Router-A"},{"d":9,"id":"4-firewalls","title":"4. Firewalls","text":"","code":""},{"d":9,"id":"stateful-vs-stateless","title":"Stateful vs Stateless","text":"Stateful (AWS Security Group): Stateless (AWS NACL):","code":"Rule: Allow inbound HTTPS (443) Connection established: Client:50000 → Server:443 ✅ Allowed (matches rule) Server:443 → Client:50000 ✅ Allowed (return traffic, stateful!) Firewall remembers connection state Inbound Rules: Rule 100: Allow TCP 443 from 0.0.0.0/0 Outbound Rules: Rule 100: Allow TCP 1024-65535 to 0.0.0.0/0 ← MUST ADD THIS! Connection: Client:50000 → Server:443 ✅ Allowed (inbound rule 100) Server:443 → Client:50000 ✅ Allowed (outbound rule 100, ephemeral port) Firewall does NOT track state"},{"d":9,"id":"firewall-zones","title":"Firewall Zones","text":"","code":"Internet (Untrusted) ↓ DMZ (Public Zone) - Web servers ↓ Internal Zone - App servers ↓ Secure Zone - Databases Rules: - Internet → DMZ: Allow 80, 443 - DMZ → Internal: Allow specific app ports - Internal → Secure: Allow DB ports (3306, 5432) - Secure → Internet: Deny all"},{"d":9,"id":"5-load-balancers","title":"5. Load Balancers","text":"","code":""},{"d":9,"id":"layer-4-transport-layer","title":"Layer 4 (Transport Layer)","text":"","code":"Client → Load Balancer → Backend Servers Operates on: IP + Port Protocol: TCP/UDP Features: ✅ Extremely fast (no packet inspection) ✅ Supports any TCP/UDP protocol ✅ Preserves source IP ✅ Used for: Databases, gaming servers, non-HTTP Example: AWS Network Load Balancer (NLB) Client:12345 → LB:443 → Server:443 Source IP preserved: Client sees real client IP"},{"d":9,"id":"layer-7-application-layer","title":"Layer 7 (Application Layer)","text":"","code":"Client → Load Balancer → Backend Servers Operates on: HTTP/HTTPS content Protocol: HTTP/HTTPS Features: ✅ Content-based routing ✅ SSL/TLS termination ✅ Cookie-based session persistence ✅ WAF integration Example: AWS Application Load Balancer (ALB) Routing rules: api.example.com → API server pool www.example.com → Web server pool /images/* → CDN/image servers"},{"d":9,"id":"load-balancing-algorithms","title":"Load Balancing Algorithms","text":"","code":"# Round Robin servers = ['server1', 'server2', 'server3'] current = 0 def route_request(): global current server = servers[current % len(servers)] current += 1 return server # Least Connections servers_connections = { 'server1': 10, 'server2': 5, 'server3': 8 } def route_request(): return min(servers_connections, key=servers_connections.get) # Weighted Round Robin (based on capacity) servers_weights = { 'server1': 5, # Large instance, more traffic 'server2': 3, 'server3': 2 }"},{"d":9,"id":"6-dns-domain-name-system","title":"6. DNS (Domain Name System)","text":"","code":""},{"d":9,"id":"dns-hierarchy","title":"DNS Hierarchy","text":"","code":"Root DNS Servers (.) ↓ TLD DNS Servers (.com, .org, .net) ↓ Authoritative DNS Servers (example.com) ↓ Record Types"},{"d":9,"id":"dns-record-types","title":"DNS Record Types","text":"","code":"A Record: example.com → 54.123.45.67 (IPv4) AAAA Record: example.com → 2001:0db8::1 (IPv6) CNAME Record: www.example.com → example.com (alias) MX Record: example.com → mail.example.com (email) TXT Record: example.com → \"v=spf1 include:_spf.google.com ~all\" NS Record: example.com → ns1.aws.com (nameserver) SOA Record: Start of Authority (zone info) PTR Record: Reverse DNS (IP → domain name) SRV Record: Service discovery"},{"d":9,"id":"dns-query-flow","title":"DNS Query Flow","text":"Python DNS Lookup:","code":"1. User types \"example.com\" in browser 2. Check local DNS cache 3. Query recursive DNS resolver (8.8.8.8, 1.1.1.1) 4. Resolver queries root DNS → .com TLD DNS → example.com authoritative DNS 5. Get A record: 54.123.45.67 6. Cache result (TTL: 300 seconds) 7. Browser connects to 54.123.45.67:443 import socket import dns.resolver # Simple lookup ip = socket.gethostbyname('example.com') print(f\"example.com → {ip}\") # Advanced lookup with dnspython resolver = dns.resolver.Resolver() # A record answers = resolver.resolve('example.com', 'A') for rdata in answers: print(f\"A: {rdata}\") # MX record mx_records = resolver.resolve('example.com', 'MX') for mx in mx_records: print(f\"MX: {mx.preference} {mx.exchange}\")"},{"d":9,"id":"7-nat-network-address-translation","title":"7. NAT (Network Address Translation)","text":"","code":""},{"d":9,"id":"source-nat-snat","title":"Source NAT (SNAT)","text":"","code":"Private network → Public IP translation Internal: 10.0.1.50:12345 → NAT Gateway → Internet: 52.1.2.3:5000 NAT table: Internal IP:Port Public IP:Port 10.0.1.50:12345 → 52.1.2.3:5000 10.0.1.51:12346 → 52.1.2.3:5001 Return traffic: 52.1.2.3:5000 → Translates back to → 10.0.1.50:12345"},{"d":9,"id":"destination-nat-dnat","title":"Destination NAT (DNAT)","text":"","code":"Load balancer, port forwarding Internet: 54.1.2.3:80 → Load Balancer → Internal: 10.0.1.50:8080 Public request to port 80 → Translated to backend port 8080"},{"d":9,"id":"8-interview-questions","title":"8. Interview Questions","text":"Q: Trace a packet from EC2 to internet Q: Why can't I SSH to EC2?","code":"1. Application generates packet (Layer 7) 2. TCP adds port numbers (Layer 4) - Source: 10.0.1.50:54321 3. IP adds addresses (Layer 3) - Dest: 8.8.8.8 4. Ethernet frame (Layer 2) 5. Security Group check (stateful firewall) 6. Route table lookup: 0.0.0.0/0 → IGW 7. NACL check (stateless) 8. Internet Gateway: NAT 10.0.1.50 → 52.1.2.3 (public IP) 9. Packet routed through internet 10. Response: 8.8.8.8 → 52.1.2.3 11. IGW reverse NAT: 52.1.2.3 → 10.0.1.50 12. Security Group allows return (stateful!) 13. Packet delivered to EC2 Checklist: 1. ❌ Instance running? 2. ❌ Public IP assigned? 3. ❌ Security Group allows port 22? 4. ❌ NACL allows 22 inbound + ephemeral outbound? 5. ❌ Route table: 0.0.0.0/0 → IGW? 6. ❌ SSH key correct? 7. ❌ OS firewall (iptables) blocking?"},{"d":9,"id":"key-takeaways","title":"Key Takeaways","text":"✅ OSI Model : 7 layers, remember PDNTSPA ✅ CIDR : /16 = 65K IPs, /24 = 256 IPs ✅ Routing : Longest prefix match wins ✅ Firewalls : Stateful vs Stateless, ephemeral ports ✅ Load Balancers : L4 (fast) vs L7 (smart) ✅ DNS : A, CNAME, MX records ✅ NAT : Many private IPs → One public IP Next : Container Networking (Docker & Kubernetes)","code":""},{"d":10,"id":"container-networking-docker--kubernetes-","title":"Container Networking (Docker & Kubernetes) 🐳","text":"","code":""},{"d":10,"id":"your-strength-hpe-experience","title":"YOUR STRENGTH! (HPE Experience)","text":"You have 900+ Kubernetes deployments - This is your ADVANTAGE!","code":""},{"d":10,"id":"1-docker-networking","title":"1. Docker Networking","text":"","code":""},{"d":10,"id":"network-drivers","title":"Network Drivers","text":"","code":"# Bridge (default) - containers on same host docker network create my-bridge-network docker run --network my-bridge-network nginx # Host - share host's network stack docker run --network host nginx # None - no networking docker run --network none nginx # Overlay - multi-host networking (Swarm) docker network create --driver overlay my-overlay"},{"d":10,"id":"bridge-network-deep-dive","title":"Bridge Network Deep Dive","text":"Inspect Docker Network:","code":"Host Machine (10.0.1.50) ├── docker0 bridge (172.17.0.1) │ ├── veth1 ←→ eth0 in Container1 (172.17.0.2) │ ├── veth2 ←→ eth0 in Container2 (172.17.0.3) │ └── veth3 ←→ eth0 in Container3 (172.17.0.4) Traffic flow: Container1:172.17.0.2 → Container2:172.17.0.3 - Stays on docker0 bridge (same network) Container1:172.17.0.2 → Internet:8.8.8.8 - docker0 → Host (10.0.1.50) → NAT → Internet # Create custom bridge docker network create --driver bridge \\ --subnet 172.20.0.0/16 \\ --gateway 172.20.0.1 \\ my-network # Inspect docker network inspect my-network # Run container docker run -d \\ --name web \\ --network my-network \\ --ip 172.20.0.10 \\ nginx # Container can resolve other containers by name! docker run --network my-network alpine ping web"},{"d":10,"id":"2-kubernetes-networking-model","title":"2. Kubernetes Networking Model","text":"","code":""},{"d":10,"id":"fundamental-rules","title":"Fundamental Rules","text":"","code":"Kubernetes Network Model requires: 1. All Pods can communicate with all other Pods (without NAT) 2. All Nodes can communicate with all Pods (without NAT) 3. Pod's IP is the same as others see it (no NAT) No NAT = Simplifies networking, debugging"},{"d":10,"id":"pod-networking","title":"Pod Networking","text":"","code":"Node (10.0.1.50) ├── Pod CIDR: 10.244.0.0/24 │ ├── Pod1 (10.244.0.10) │ │ └── Container1, Container2 (share network namespace) │ ├── Pod2 (10.244.0.11) │ └── Pod3 (10.244.0.12) Different Node (10.0.1.51) ├── Pod CIDR: 10.244.1.0/24 │ ├── Pod4 (10.244.1.10) │ ├── Pod5 (10.244.1.11) Pod1 (10.244.0.10) → Pod4 (10.244.1.10) - CNI plugin handles cross-node routing"},{"d":10,"id":"3-cni-container-network-interface","title":"3. CNI (Container Network Interface)","text":"","code":""},{"d":10,"id":"popular-cni-plugins","title":"Popular CNI Plugins","text":"","code":"# Calico - Network Policy + BGP routing # Your HPE experience likely uses this! # Features: ✅ NetworkPolicy enforcement ✅ BGP routing (scalable) ✅ IP-in-IP or VXLAN encapsulation ✅ eBPF dataplane option # Flannel - Simple overlay ✅ Easy setup ✅ VXLAN overlay ❌ No NetworkPolicy # Cilium - eBPF-based ✅ High performance (eBPF) ✅ L7 visibility ✅ Service Mesh features # AWS VPC CNI ✅ Pods get real VPC IPs ✅ Security groups for pods ❌ IP address exhaustion risk"},{"d":10,"id":"how-cni-works","title":"How CNI Works","text":"","code":"# When Pod starts: 1. kubelet calls CNI plugin 2. CNI creates network namespace 3. CNI creates veth pair (virtual ethernet) 4. CNI assigns IP from Pod CIDR 5. CNI sets up routes 6. CNI returns IP to kubelet # Example CNI config cat /etc/cni/net.d/10-calico.conf { \"name\": \"k8s-pod-network\", \"cniVersion\": \"0.3.1\", \"plugins\": [ { \"type\": \"calico\", \"ipam\": { \"type\": \"calico-ipam\" } } ] }"},{"d":10,"id":"4-kubernetes-services","title":"4. Kubernetes Services","text":"","code":""},{"d":10,"id":"clusterip-default","title":"ClusterIP (Default)","text":"","code":"apiVersion: v1 kind: Service metadata: name: web-service spec: type: ClusterIP # Internal only selector: app: web ports: - port: 80 targetPort: 8080 # Creates: # Service IP: 10.96.0.100 (virtual IP) # Endpoints: Pod IPs (10.244.0.10, 10.244.0.11, ...) # Traffic flow: Pod → web-service:80 → kube-proxy (iptables/IPVS rules) → Load balanced to backend Pods:8080"},{"d":10,"id":"nodeport","title":"NodePort","text":"","code":"apiVersion: v1 kind: Service metadata: name: web-service spec: type: NodePort selector: app: web ports: - port: 80 targetPort: 8080 nodePort: 30080 # Exposed on every node # Access from outside: http://any-node-ip:30080 → Pods:8080"},{"d":10,"id":"loadbalancer-cloud","title":"LoadBalancer (Cloud)","text":"","code":"apiVersion: v1 kind: Service metadata: name: web-service spec: type: LoadBalancer selector: app: web ports: - port: 80 targetPort: 8080 # AWS creates ELB/NLB # External IP: a1b2c3.us-east-1.elb.amazonaws.com # Internet → ELB → NodePort:30080 → Pods:8080"},{"d":10,"id":"service-discovery","title":"Service Discovery","text":"","code":"# DNS-based service discovery (CoreDNS) # Service: web-service in namespace: production # From same namespace: curl http://web-service # From different namespace: curl http://web-service.production.svc.cluster.local # Full DNS name format: <service-name>.<namespace>.svc.cluster.local"},{"d":10,"id":"5-network-policies","title":"5. Network Policies","text":"YOUR HPE EXPERIENCE - Security policies for 900+ services! Default Deny All:","code":"apiVersion: networking.k8s.io/v1 kind: NetworkPolicy metadata: name: web-policy namespace: production spec: podSelector: matchLabels: app: web policyTypes: - Ingress - Egress ingress: # Allow traffic from app tier - from: - podSelector: matchLabels: app: app-tier ports: - protocol: TCP port: 8080 # Allow traffic from ingress controller - from: - namespaceSelector: matchLabels: name: ingress-nginx ports: - protocol: TCP port: 8080 egress: # Allow DNS - to: - namespaceSelector: matchLabels: name: kube-system - podSelector: matchLabels: k8s-app: kube-dns ports: - protocol: UDP port: 53 # Allow to database - to: - podSelector: matchLabels: app: postgres ports: - protocol: TCP port: 5432 apiVersion: networking.k8s.io/v1 kind: NetworkPolicy metadata: name: default-deny-all spec: podSelector: {} # Matches all pods policyTypes: - Ingress - Egress # No ingress/egress rules = deny all"},{"d":10,"id":"6-ingress-l7-routing","title":"6. Ingress (L7 Routing)","text":"","code":"apiVersion: networking.k8s.io/v1 kind: Ingress metadata: name: web-ingress annotations: nginx.ingress.kubernetes.io/rewrite-target: / spec: ingressClassName: nginx rules: # Host-based routing - host: api.example.com http: paths: - path: / pathType: Prefix backend: service: name: api-service port: number: 80 # Path-based routing - host: example.com http: paths: - path: /api pathType: Prefix backend: service: name: api-service port: number: 80 - path: /web pathType: Prefix backend: service: name: web-service port: number: 80 # TLS configuration tls: - hosts: - api.example.com - example.com secretName: tls-secret # Creates: Internet → Ingress Controller (LoadBalancer) → Host/Path routing → Backend Services → Pods"},{"d":10,"id":"7-service-mesh-istio","title":"7. Service Mesh (Istio)","text":"YOUR HPE EXPERIENCE - Platform uses Istio!","code":"# VirtualService - L7 routing apiVersion: networking.istio.io/v1beta1 kind: VirtualService metadata: name: reviews-route spec: hosts: - reviews.production.svc.cluster.local http: # Canary deployment - 90% v1, 10% v2 - match: - headers: user-agent: regex: \".*Chrome.*\" route: - destination: host: reviews subset: v2 weight: 10 - destination: host: reviews subset: v1 weight: 90 # DestinationRule - Load balancing, circuit breaking apiVersion: networking.istio.io/v1beta1 kind: DestinationRule metadata: name: reviews-destination spec: host: reviews trafficPolicy: loadBalancer: simple: ROUND_ROBIN connectionPool: tcp: maxConnections: 100 http: http1MaxPendingRequests: 10 http2MaxRequests: 100 outlierDetection: consecutiveErrors: 5 interval: 30s baseEjectionTime: 30s subsets: - name: v1 labels: version: v1 - name: v2 labels: version: v2"},{"d":10,"id":"8-troubleshooting-interview-scenarios","title":"8. Troubleshooting (Interview Scenarios)","text":"","code":""},{"d":10,"id":"scenario-1-pod-cant-reach-service","title":"Scenario 1: Pod Can't Reach Service","text":"","code":"# Step 1: Check Pod status kubectl get pods -o wide # Step 2: Check Service kubectl get svc web-service kubectl describe svc web-service # Check Endpoints! # Step 3: Test DNS resolution kubectl run -it debug --image=busybox --rm -- sh nslookup web-service # Should return: 10.96.0.100 # Step 4: Check Network Policy kubectl get networkpolicies kubectl describe networkpolicy web-policy # Step 5: Test connectivity kubectl exec -it debug-pod -- wget -O- http://web-service # Step 6: Check CNI kubectl get pods -n kube-system | grep -i calico kubectl logs -n kube-system calico-node-xxxx"},{"d":10,"id":"scenario-2-external-traffic-not-reaching-pod","title":"Scenario 2: External Traffic Not Reaching Pod","text":"","code":"# Ingress → Service → Pod chain # 1. Check Ingress kubectl get ingress kubectl describe ingress web-ingress # 2. Check Ingress Controller kubectl get pods -n ingress-nginx kubectl logs -n ingress-nginx nginx-ingress-controller-xxx # 3. Check Service kubectl get svc web-service kubectl get endpoints web-service # Are Pod IPs listed? # 4. Test from inside cluster kubectl run -it test --image=busybox --rm wget -O- http://web-service # 5. Check LoadBalancer kubectl get svc -o wide | grep LoadBalancer # Verify External-IP exists"},{"d":10,"id":"9-interview-questions","title":"9. Interview Questions","text":"Q: Explain pod-to-pod communication across nodes Q: How does Kubernetes Service work?","code":"Pod1 (Node1: 10.244.0.10) → Pod2 (Node2: 10.244.1.10) 1. Pod1 sends packet: src=10.244.0.10, dst=10.244.1.10 2. Node1 routing table: 10.244.1.0/24 → Node2 3. CNI encapsulates (VXLAN or IP-in-IP) - Outer header: src=Node1 IP, dst=Node2 IP - Inner packet: src=Pod1 IP, dst=Pod2 IP 4. Packet sent to Node2 5. Node2 decapsulates 6. Packet delivered to Pod2 No NAT! Pod IPs are consistent. Service (ClusterIP: 10.96.0.100) Endpoints: [10.244.0.10, 10.244.0.11, 10.244.0.12] kube-proxy creates iptables rules: -A KUBE-SERVICES -d 10.96.0.100/32 -p tcp -m tcp --dport 80 \\ -j KUBE-SVC-XXXXX -A KUBE-SVC-XXXXX -m statistic --mode random --probability 0.33 \\ -j KUBE-SEP-1 # 10.244.0.10 -A KUBE-SVC-XXXXX -m statistic --mode random --probability 0.50 \\ -j KUBE-SEP-2 # 10.244.0.11 -A KUBE-SVC-XXXXX -j KUBE-SEP-3 # 10.244.0.12 Random load balancing via iptables!"},{"d":10,"id":"key-takeaways","title":"Key Takeaways","text":"✅ Docker Networks : Bridge (default), Host, Overlay ✅ K8s Networking : No NAT, every Pod can reach every Pod ✅ CNI : Calico, Flannel, Cilium - handles Pod networking ✅ Services : ClusterIP (internal), NodePort, LoadBalancer ✅ NetworkPolicy : Firewall rules for Pods (YOUR STRENGTH!) ✅ Ingress : L7 HTTP routing (host/path-based) ✅ Service Mesh : Istio for advanced traffic management YOUR HPE ADVANTAGE : 900+ Kubernetes deployments NetworkPolicy enforcement Istio service mesh Multi-cluster networking EMPHASIZE THIS IN INTERVIEW! Next : Comprehensive Interview Q&A Document","code":""}]};
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+const path = require('path');
+const { loadDocsConfig, writeDocs } = require('./lib/docs');
+
+const USAGE = `Usage: node hub-generator/build-docs.js [--config <docs.json>]
+
+Writes the docs manifest viewer.html uses for its collection sidebar and
+previous/next links, plus a search index per collection.
+
+Options:
+  --config <path>     Docs config (default: hub-generator/docs.json)`;
+
+function parseArgs(argv) {
+    const options = { config: path.join(__dirname, 'docs.json') };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--config') {
+            const value = argv[++i];
+            if (!value) {
+                throw new Error(`${arg} needs a value`);
+            }
+            options.config = value;
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const config = loadDocsConfig(options.config);
+    const { collections } = writeDocs(config);
+
+    console.log(`✅ Created ${config.out}`);
+    collections.forEach(collection => {
+        console.log(`🔍 Created ${collection.searchPath}`);
+        console.log(`  ${collection.title}: ${collection.docs.length} documents`);
+    });
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { checkLinks, parseIgnoreList } = require('./lib/link-check');
+const { loadDocsConfig, viewerRoots } = require('./lib/docs');
+
+const USAGE = `Usage: node hub-generator/check-links.js [--root <dir>] [--docs-config <file>]
+
+Checks every relative link, asset, viewer.html?doc= target and #anchor in the
+site's HTML and markdown files, offline. Exits with status 1 if any are broken.
+Known broken links listed in <root>/.linkcheckignore are skipped.
+
+Options:
+  --root <dir>          Site directory to crawl (default: the repository root)
+  --docs-config <file>  Viewer collections config naming the folders viewer.html
+                        opens documents from (default: hub-generator/docs.json)`;
+
+function parseArgs(argv) {
+    const options = { root: path.join(__dirname, '..'), docsConfig: path.join(__dirname, 'docs.json') };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--root') {
+            const value = argv[++i];
+            if (!value) {
+                throw new Error(`${arg} needs a value`);
+            }
+            options.root = path.resolve(value);
+        } else if (arg === '--docs-config') {
+            const value = argv[++i];
+            if (!value) {
+                throw new Error(`${arg} needs a value`);
+            }
+            options.docsConfig = path.resolve(value);
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const ignoreFile = path.join(options.root, '.linkcheckignore');
+    const ignore = fs.existsSync(ignoreFile) ? parseIgnoreList(fs.readFileSync(ignoreFile, 'utf8')) : [];
+    const docRoots = viewerRoots(loadDocsConfig(options.docsConfig));
+    const { fileCount, linkCount, ignoredCount, broken } = checkLinks({ root: options.root, ignore, docRoots });
+
+    console.log(`🔗 Checked ${linkCount} links in ${fileCount} files`);
+    if (ignoredCount) {
+        console.log(`🙈 Skipped ${ignoredCount} known broken link${ignoredCount === 1 ? '' : 's'} from .linkcheckignore`);
+    }
+    broken.forEach(link => {
+        console.log(`  ${link.file}:${link.line} → ${link.url} (${link.reason})`);
+    });
+
+    if (broken.length) {
+        console.error(`❌ ${broken.length} broken link${broken.length === 1 ? '' : 's'}`);
+        process.exit(1);
+    }
+    console.log('✅ No broken links');
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+const path = require('path');
+const { loadManifest, writeHub } = require('./lib/generator');
+const { writeEpub, writePdf, writePrint } = require('./lib/export');
+const { watchHubs } = require('./lib/watch');
+
+const USAGE = `Usage: node hub-generator/cli.js --manifest <hub.json> [--manifest <hub.json> ...] [options]
+
+Options:
+  --out <path>        Output file, or directory with --pages (only with a single --manifest;
+                      defaults to the manifest's "out", or "pagesOut" with --pages)
+  --pages             Write one page per module plus an index instead of a single file
+  --epub              Export an EPUB book with one chapter per module
+  --print             Export a print-ready single HTML page
+  --pdf               Export a PDF (prints the --print page with a local Chrome/Chromium;
+                      set CHROME_PATH to choose one)
+                      Exports default to the manifest's "exportDir" as <manifest name>.epub,
+                      .print.html or .pdf
+  --watch             Rebuild changed modules and serve the hubs with live reload
+  --port <number>     Dev server port for --watch (default 8080)`;
+
+const EXPORTS = {
+    epub: { extension: '.epub', write: writeEpub },
+    print: { extension: '.print.html', write: writePrint },
+    pdf: { extension: '.pdf', write: writePdf }
+};
+
+function setFormat(options, format) {
+    if (options.format) {
+        throw new Error(`--${options.format} and --${format} cannot be combined`);
+    }
+    options.format = format;
+}
+
+function parseArgs(argv) {
+    const options = { manifests: [], port: 8080, format: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (arg === '--watch') {
+            options.watch = true;
+        } else if (['--pages', '--epub', '--print', '--pdf'].includes(arg)) {
+            setFormat(options, arg.slice(2));
+        } else if (arg === '--manifest' || arg === '--out' || arg === '--port') {
+            const value = argv[++i];
+            if (!value) {
+                throw new Error(`${arg} needs a value`);
+            }
+            if (arg === '--manifest') {
+                options.manifests.push(value);
+            } else if (arg === '--port') {
+                options.port = Number(value);
+                if (!Number.isInteger(options.port) || options.port <= 0) {
+                    throw new Error(`Invalid --port: ${value}`);
+                }
+            } else {
+                options.out = value;
+            }
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function resolveTargets(options) {
+    if (options.out && options.manifests.length > 1) {
+        throw new Error('--out can only be used with a single --manifest');
+    }
+
+    return options.manifests.map(manifestPath => {
+        const manifest = loadManifest(manifestPath);
+        const format = options.format;
+
+        if (EXPORTS[format]) {
+            const name = path.basename(manifestPath, '.json');
+            const outputPath = options.out
+                ? path.resolve(options.out)
+                : manifest.exportDir && path.join(manifest.exportDir, name + EXPORTS[format].extension);
+            if (!outputPath) {
+                throw new Error(`${manifestPath}: no export file: pass --out or set "exportDir" in the manifest`);
+            }
+            return { manifest, outputPath, format };
+        }
+
+        const pages = format === 'pages';
+        const key = pages ? 'pagesOut' : 'out';
+        const outputPath = options.out ? path.resolve(options.out) : manifest[key];
+        if (!outputPath) {
+            throw new Error(`${manifestPath}: no output ${pages ? 'directory' : 'file'}: pass --out or set "${key}" in the manifest`);
+        }
+        return { manifest, outputPath, pages };
+    });
+}
+
+function exportHub({ manifest, outputPath, format }) {
+    const { modules } = EXPORTS[format].write(manifest, outputPath);
+
+    console.log(`✅ Created ${outputPath}`);
+    console.log(`📚 Exported ${modules.length} modules`);
+}
+
+function build({ manifest, outputPath, pages }) {
+    const { modules, groups, indexPath } = writeHub(manifest, outputPath, { pages });
+    const entryPage = pages ? path.join(outputPath, 'index.html') : outputPath;
+
+    console.log(`✅ Created ${pages ? `${modules.length + 1} pages in ${outputPath}` : outputPath}`);
+    console.log(`🔍 Created ${indexPath}`);
+    console.log(`📚 Converted ${modules.length} modules`);
+    console.log(`🌐 Open file://${entryPage} in your browser`);
+
+    if (groups) {
+        console.log('');
+        console.log('📋 Module Structure:');
+        groups.forEach(group => {
+            console.log(`  ${group.name}: ${group.modules.length} modules`);
+        });
+    }
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!options.manifests.length) {
+        throw new Error(`--manifest is required\n${USAGE}`);
+    }
+
+    const targets = resolveTargets(options);
+
+    if (EXPORTS[options.format]) {
+        if (options.watch) {
+            throw new Error(`--watch cannot be combined with --${options.format}`);
+        }
+        targets.forEach(exportHub);
+    } else if (options.watch) {
+        watchHubs(targets, { port: options.port });
+    } else {
+        targets.forEach(build);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.pdf': 'application/pdf'
+};
+
+// Injected into every served HTML page. On a reload event for this page it
+// remembers the open module and scroll position, reloads, and restores them.
+const LIVE_RELOAD_SCRIPT = `
+<script>
+    (function () {
+        const STATE_KEY = 'hub-live-reload:' + location.pathname;
+        const saved = sessionStorage.getItem(STATE_KEY);
+
+        if (saved) {
+            sessionStorage.removeItem(STATE_KEY);
+            document.addEventListener('DOMContentLoaded', () => {
+                const state = JSON.parse(saved);
+                if (state.moduleId && document.getElementById(state.moduleId) && typeof showModule === 'function') {
+                    showModule(state.moduleId);
+                }
+                setTimeout(() => window.scrollTo({ top: state.scrollY, behavior: 'instant' }), 50);
+            });
+        }
+
+        const events = new EventSource('/__livereload');
+        events.onmessage = (event) => {
+            const { page } = JSON.parse(event.data);
+            const current = location.pathname.endsWith('/') ? location.pathname + 'index.html' : location.pathname;
+            const matches = page.endsWith('/') ? current.startsWith(page) : current === page;
+            if (!matches) {
+                return;
+            }
+            const active = document.querySelector('.module-content.active');
+            sessionStorage.setItem(STATE_KEY, JSON.stringify({
+                moduleId: active ? active.id : null,
+                scrollY: window.scrollY
+            }));
+            location.reload();
+        };
+    })();
+</script>
+`;
+
+function injectLiveReload(html) {
+    const index = html.lastIndexOf('</body>');
+    return index === -1
+        ? html + LIVE_RELOAD_SCRIPT
+        : html.slice(0, index) + LIVE_RELOAD_SCRIPT + html.slice(index);
+}
+
+// Static file server for the generated hubs with a server-sent events
+// channel that tells open pages to reload. Listens on localhost only.
+function startDevServer({ root, port }) {
+    const clients = new Set();
+
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+
+        if (pathname === '/__livereload') {
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive'
+            });
+            res.write(': connected\n\n');
+            clients.add(res);
+            req.on('close', () => clients.delete(res));
+            return;
+        }
+
+        let filePath;
+        try {
+            filePath = path.join(root, decodeURIComponent(pathname));
+        } catch (error) {
+            filePath = null;
+        }
+        if (!filePath || (filePath !== root && !filePath.startsWith(root + path.sep))) {
+            res.writeHead(403);
+            res.end('Forbidden');
+            return;
+        }
+        if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+        }
+
+        fs.readFile(filePath, (error, data) => {
+            if (error) {
+                res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+                res.end('Not found');
+                return;
+            }
+
+            const type = CONTENT_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+            res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+            res.end(type.startsWith('text/html') ? injectLiveReload(data.toString('utf8')) : data);
+        });
+    });
+
+    server.listen(port, '127.0.0.1');
+
+    return {
+        server,
+        // Ask open copies of a page (URL path such as /ai-learning.html, or a
+        // directory such as /ai-learning/ for all of its pages) to reload
+        reload(page) {
+            const message = `data: ${JSON.stringify({ page })}\n\n`;
+            clients.forEach(client => client.write(message));
+        },
+        close() {
+            clients.forEach(client => client.end());
+            server.close();
+        }
+    };
+}
+
+module.exports = {
+    startDevServer
+};
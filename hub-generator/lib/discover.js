@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+
+const NUMBERED = /^(\d+)_.+\.md$/;
+
+function moduleNumber(file) {
+    const match = file.match(NUMBERED);
+    return match ? Number(match[1]) : null;
+}
+
+// Numbered modules must run without gaps or repeats from the first number
+function checkNumbering(entries, errors) {
+    const byNumber = new Map();
+    entries.forEach(entry => {
+        if (!byNumber.has(entry.number)) {
+            byNumber.set(entry.number, []);
+        }
+        byNumber.get(entry.number).push(entry.file);
+    });
+
+    for (const [number, files] of byNumber) {
+        if (files.length > 1) {
+            errors.push(`Duplicate module number ${number}: ${files.join(', ')}`);
+        }
+    }
+
+    const numbers = [...byNumber.keys()].sort((a, b) => a - b);
+    for (let n = numbers[0]; n < numbers[numbers.length - 1]; n++) {
+        if (!byNumber.has(n)) {
+            errors.push(`Missing module number ${n}`);
+        }
+    }
+}
+
+// Work out which markdown files make up a hub, in order. Without an explicit
+// "files" list every NN_*.md file in sourceDir is a module, sorted by NN,
+// followed by any "appendix" files. All problems are reported together.
+function discoverModules(manifest) {
+    const errors = [];
+    let present;
+
+    try {
+        present = fs.readdirSync(manifest.sourceDir).filter(file => file.endsWith('.md'));
+    } catch (error) {
+        throw new Error(`Cannot read module directory ${manifest.sourceDir}: ${error.message}`);
+    }
+
+    const listed = manifest.files || present.filter(file => NUMBERED.test(file));
+    const entries = listed.map(file => ({ file, number: moduleNumber(file) }));
+    const numbered = entries.filter(entry => entry.number !== null);
+
+    if (!manifest.files) {
+        numbered.sort((a, b) => a.number - b.number || a.file.localeCompare(b.file));
+    }
+    checkNumbering(numbered, errors);
+
+    const appendix = (manifest.appendix || []).map(file => ({ file, number: moduleNumber(file) }));
+    const all = manifest.files ? entries.concat(appendix) : numbered.concat(appendix);
+
+    const seen = new Set();
+    all.forEach(entry => {
+        if (!present.includes(entry.file)) {
+            errors.push(`${entry.file} is listed in the manifest but does not exist in ${path.relative(process.cwd(), manifest.sourceDir) || '.'}`);
+        }
+        if (seen.has(entry.file)) {
+            errors.push(`${entry.file} is listed more than once`);
+        }
+        seen.add(entry.file);
+    });
+
+    if (!all.length) {
+        errors.push(`No modules found in ${manifest.sourceDir}`);
+    }
+    if (errors.length) {
+        throw new Error(`Module discovery failed:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return all;
+}
+
+module.exports = {
+    discoverModules
+};
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { renderMarkdown, documentTitle } = require('./markdown');
+const { parseFrontMatter } = require('./front-matter');
+
+const NUMBERED = /^(\d+)_/;
+const DOC_PATH = /^[\w\-./]+\.md$/i;
+const MAX_DOC_PATH = 300;
+
+// Read the viewer's docs config and resolve its paths relative to the file
+function loadDocsConfig(configPath) {
+    const absolutePath = path.resolve(configPath);
+    const config = JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+    const baseDir = path.dirname(absolutePath);
+    const errors = [];
+
+    if (!config.out) {
+        errors.push('missing "out"');
+    }
+    if (!Array.isArray(config.collections) || !config.collections.length) {
+        errors.push('"collections" must be a non-empty list');
+    }
+    const ids = new Set();
+    (config.collections || []).forEach((collection, index) => {
+        for (const key of ['id', 'title', 'dir']) {
+            if (!collection[key]) {
+                errors.push(`collection ${index + 1}: missing "${key}"`);
+            }
+        }
+        if (collection.id && !/^[a-z0-9-]+$/.test(collection.id)) {
+            errors.push(`collection ${index + 1}: "id" may only use a-z, 0-9 and "-"`);
+        }
+        if (ids.has(collection.id)) {
+            errors.push(`duplicate collection id "${collection.id}"`);
+        }
+        ids.add(collection.id);
+    });
+    if (config.roots !== undefined && (!Array.isArray(config.roots) || config.roots.some(root => typeof root !== 'string' || !root))) {
+        errors.push('"roots" must be a list of directories');
+    }
+    if (errors.length) {
+        throw new Error(`${configPath}:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    const out = path.resolve(baseDir, config.out);
+    return {
+        out,
+        searchDir: path.resolve(baseDir, config.searchDir || path.join(path.dirname(out), 'docs-search')),
+        roots: (config.roots || []).map(root => path.resolve(baseDir, root)),
+        collections: config.collections.map(collection => ({
+            ...collection,
+            dir: path.resolve(baseDir, collection.dir)
+        }))
+    };
+}
+
+// The folders viewer.html may open documents from, relative to it (and the
+// manifest next to it): every collection's directory plus the extra "roots"
+function viewerRoots(config) {
+    const baseDir = path.dirname(config.out);
+    const dirs = [...config.collections.map(collection => collection.dir), ...config.roots];
+    return [...new Set(dirs.map(dir => path.relative(baseDir, dir).split(path.sep).join('/')))];
+}
+
+// Why viewer.html refuses a ?doc= value, or null when it opens it. The
+// viewer's checkDocParam() applies the same rules: a plain relative path to a
+// .md file (no scheme, leading slash, backslash, "." or ".." segment) below
+// one of the roots.
+function checkDocPath(doc, roots) {
+    if (!DOC_PATH.test(doc) || doc.length > MAX_DOC_PATH) {
+        return 'not a relative path to a .md file';
+    }
+    if (doc.split('/').some(segment => segment === '' || segment === '.' || segment === '..')) {
+        return 'empty, "." or ".." path segment';
+    }
+    if (!roots.some(root => doc.startsWith(`${root}/`))) {
+        return `not below ${roots.map(root => `${root}/`).join(', ')}`;
+    }
+    return null;
+}
+
+// Every markdown file below dir, as paths relative to it
+function collectMarkdown(dir, prefix = '', files = []) {
+    fs.readdirSync(path.join(dir, prefix), { withFileTypes: true }).forEach(entry => {
+        const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.isDirectory()) {
+            if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+                collectMarkdown(dir, relative, files);
+            }
+        } else if (entry.name.toLowerCase().endsWith('.md')) {
+            files.push(relative);
+        }
+    });
+    return files;
+}
+
+// Top-level documents first, then one group per subdirectory. Within a
+// directory the README leads, numbered files follow by number and the rest
+// by name.
+function compareDocs(a, b) {
+    const dirA = path.posix.dirname(a);
+    const dirB = path.posix.dirname(b);
+    if (dirA !== dirB) {
+        return dirA === '.' ? -1 : dirB === '.' ? 1 : dirA.localeCompare(dirB);
+    }
+    const rank = file => {
+        const name = path.posix.basename(file);
+        const number = name.match(NUMBERED);
+        if (/^readme\.md$/i.test(name)) {
+            return [0, 0];
+        }
+        return number ? [1, Number(number[1])] : [2, 0];
+    };
+    const [kindA, numberA] = rank(a);
+    const [kindB, numberB] = rank(b);
+    return kindA - kindB || numberA - numberB || a.localeCompare(b);
+}
+
+// Title from front matter, else the first "# " heading, else the file name
+function loadDoc(collection, file, baseDir) {
+    const filePath = path.join(collection.dir, file);
+    const source = fs.readFileSync(filePath, 'utf8');
+    const { meta, body } = parseFrontMatter(source, path.relative(baseDir, filePath));
+    const title = meta.title || documentTitle(body) ||
+        path.posix.basename(file, path.extname(file)).replace(/^\d+_/, '').replace(/[_-]/g, ' ');
+    const { sections } = renderMarkdown(body, { title });
+    const dir = path.posix.dirname(file);
+
+    return {
+        path: path.relative(baseDir, filePath).split(path.sep).join('/'),
+        title,
+        group: dir === '.' ? null : dir,
+        sections
+    };
+}
+
+// Build the manifest the viewer reads: each collection with its documents
+// in order, plus a search index per collection. Document paths are relative
+// to the manifest, which sits next to viewer.html.
+function buildDocs(config) {
+    const baseDir = path.dirname(config.out);
+
+    const collections = config.collections.map(collection => {
+        let files;
+        try {
+            files = collectMarkdown(collection.dir);
+        } catch (error) {
+            throw new Error(`Cannot read collection directory ${collection.dir}: ${error.message}`);
+        }
+        const docs = files.sort(compareDocs).map(file => loadDoc(collection, file, baseDir));
+        const searchPath = path.join(config.searchDir, `${collection.id}.search.js`);
+
+        return {
+            id: collection.id,
+            title: collection.title,
+            searchIndex: path.relative(baseDir, searchPath).split(path.sep).join('/'),
+            searchPath,
+            docs
+        };
+    });
+
+    const manifest = {
+        roots: viewerRoots(config),
+        collections: collections.map(collection => ({
+            id: collection.id,
+            title: collection.title,
+            searchIndex: collection.searchIndex,
+            docs: collection.docs.map(doc => ({ path: doc.path, title: doc.title, group: doc.group }))
+        }))
+    };
+
+    return { manifest, collections };
+}
+
+// Search index of one collection, in the same shape as a hub's, loaded as
+// a script only once the reader searches
+function buildDocsSearchIndex(collection) {
+    const index = {
+        docs: collection.docs.map(doc => ({ path: doc.path, title: doc.title })),
+        sections: []
+    };
+
+    collection.docs.forEach((doc, docIndex) => {
+        doc.sections.forEach(section => {
+            index.sections.push({ d: docIndex, ...section });
+        });
+    });
+
+    return `window.DOCS_SEARCH_INDEX = window.DOCS_SEARCH_INDEX || {};\n` +
+        `window.DOCS_SEARCH_INDEX[${JSON.stringify(collection.id)}] = ${JSON.stringify(index)};\n`;
+}
+
+// Write docs-manifest.js and one <collection>.search.js per collection
+function writeDocs(config) {
+    const { manifest, collections } = buildDocs(config);
+
+    fs.mkdirSync(path.dirname(config.out), { recursive: true });
+    fs.writeFileSync(config.out, `window.DOCS_MANIFEST = ${JSON.stringify(manifest, null, 2)};\n`);
+    fs.mkdirSync(config.searchDir, { recursive: true });
+    collections.forEach(collection => {
+        fs.writeFileSync(collection.searchPath, buildDocsSearchIndex(collection));
+    });
+
+    return { manifest, collections };
+}
+
+module.exports = {
+    loadDocsConfig,
+    viewerRoots,
+    checkDocPath,
+    buildDocs,
+    writeDocs
+};
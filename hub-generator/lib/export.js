@@ -0,0 +1,496 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const hljs = require('highlight.js');
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { buildHub } = require('./generator');
+const { escapeHtml } = require('./markdown');
+const { DEFAULT_THEME } = require('./template');
+const { createZip } = require('./zip');
+
+// Offline exports of a hub: an EPUB with one chapter per module, and a
+// print-ready single HTML page that a local Chrome can turn into a PDF.
+// Everything is inlined or packaged; no fonts or scripts are fetched.
+
+const FONT_STACK = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif";
+const CODE_FONT_STACK = "'Monaco', 'Menlo', 'Consolas', 'Liberation Mono', monospace";
+
+const BROWSERS = [
+    'google-chrome',
+    'google-chrome-stable',
+    'chromium',
+    'chromium-browser',
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+    '/Applications/Chromium.app/Contents/MacOS/Chromium'
+];
+
+function unescapeHtml(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&#039;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+function highlightCss() {
+    return fs.readFileSync(require.resolve('highlight.js/styles/github.css'), 'utf8');
+}
+
+function exportCss(manifest) {
+    const theme = { ...DEFAULT_THEME, ...manifest.theme };
+
+    return `
+body {
+    font-family: ${FONT_STACK};
+    line-height: 1.6;
+    color: #333;
+}
+
+h1, h2, h3, h4, h5, h6 {
+    color: ${theme.headingColor};
+    line-height: 1.3;
+    margin: 1.4em 0 0.6em;
+}
+
+h1 {
+    border-bottom: 3px solid ${theme.accent};
+    padding-bottom: 0.3em;
+}
+
+h3, h4 {
+    color: ${theme.subheadingColor};
+}
+
+a {
+    color: ${theme.accent};
+}
+
+pre {
+    background: #f6f8fa;
+    border-left: 4px solid ${theme.accent};
+    padding: 0.8em 1em;
+    white-space: pre-wrap;
+    word-wrap: break-word;
+}
+
+code {
+    font-family: ${CODE_FONT_STACK};
+    font-size: 0.85em;
+}
+
+p code, li code, td code, blockquote code {
+    background: #f6f8fa;
+    padding: 0.1em 0.3em;
+}
+
+table {
+    border-collapse: collapse;
+    width: 100%;
+    margin: 1em 0;
+}
+
+th, td {
+    border: 1px solid #cbd5e0;
+    padding: 0.4em 0.6em;
+    text-align: left;
+    vertical-align: top;
+}
+
+th {
+    background: #edf2f7;
+}
+
+blockquote {
+    border-left: 4px solid #cbd5e0;
+    margin: 1em 0;
+    padding: 0.2em 1em;
+    color: #4a5568;
+}
+
+img {
+    max-width: 100%;
+}
+
+.details {
+    border: 1px solid #e2e8f0;
+    padding: 0.5em 1em;
+    margin: 1em 0;
+}
+
+.details-summary {
+    font-weight: bold;
+}
+
+.chapter-meta {
+    color: #4a5568;
+    font-size: 0.9em;
+}
+
+.cover {
+    text-align: center;
+    padding-top: 30%;
+}
+
+.cover h1 {
+    border: none;
+}
+
+.toc ol {
+    list-style: none;
+    padding-left: 1.2em;
+}
+
+.toc > ol {
+    padding-left: 0;
+}
+
+.toc-group {
+    font-weight: bold;
+    margin-top: 0.8em;
+}
+
+${highlightCss()}`;
+}
+
+// Print and e-readers cannot expand <details>, and the "#" heading anchors
+// only make sense on screen
+function printableContent(html) {
+    return html
+        .replace(/<a class="heading-anchor"[^>]*>#<\/a>/g, '')
+        .replace(/<details[^>]*>/g, '<div class="details">')
+        .replace(/<\/details>/g, '</div>')
+        .replace(/<summary>([\s\S]*?)<\/summary>/g, '<p class="details-summary">$1</p>');
+}
+
+// Highlight fenced code whose language highlight.js knows; leave the rest
+function highlightCode(html) {
+    return html.replace(/<pre><code(?: class="language-([^"]+)")?>([\s\S]*?)<\/code><\/pre>/g, (match, language, code) => {
+        if (!language || !hljs.getLanguage(language)) {
+            return match;
+        }
+        const { value } = hljs.highlight(unescapeHtml(code), { language, ignoreIllegals: true });
+        return `<pre><code class="hljs language-${language}">${value}</code></pre>`;
+    });
+}
+
+function moduleMeta(m) {
+    const parts = [];
+    if (m.meta.difficulty) {
+        parts.push(m.meta.difficulty);
+    }
+    if (m.meta.estimatedTime) {
+        parts.push(`⏱ ${escapeHtml(m.meta.estimatedTime)}`);
+    }
+    if (m.meta.tags.length) {
+        parts.push(m.meta.tags.map(tag => `#${escapeHtml(tag)}`).join(' '));
+    }
+    if (m.prerequisites.length) {
+        parts.push(`Prerequisites: ${m.prerequisites.map(pre => escapeHtml(pre.title)).join(', ')}`);
+    }
+    return parts.length ? `<p class="chapter-meta">${parts.join(' · ')}</p>` : '';
+}
+
+// Second-level headings of a module, for the table of contents
+function moduleSections(m) {
+    const sections = [];
+    for (const match of m.content.matchAll(/<h2 id="([^"]+)">([\s\S]*?)<\/h2>/g)) {
+        const title = unescapeHtml(match[2].replace(/<a class="heading-anchor"[^>]*>#<\/a>/, '').replace(/<[^>]*>/g, '')).trim();
+        sections.push({ id: match[1], title });
+    }
+    return sections;
+}
+
+function tocGroups({ modules, groups }) {
+    return groups || [{ name: null, modules }];
+}
+
+// Ordered list of groups, modules and their sections; href(m, anchorId)
+// decides where each entry points
+function renderToc(hub, href) {
+    const moduleItem = m => {
+        const sections = moduleSections(m).map(section => {
+            return `<li><a href="${href(m, section.id)}">${escapeHtml(section.title)}</a></li>`;
+        });
+        return `<li><a href="${href(m, null)}">${escapeHtml(m.title)}</a>${sections.length ? `<ol>${sections.join('')}</ol>` : ''}</li>`;
+    };
+
+    return tocGroups(hub).map(group => {
+        const items = group.modules.map(moduleItem).join('\n');
+        return group.name
+            ? `<li><span class="toc-group">${escapeHtml(group.name)}</span><ol>${items}</ol></li>`
+            : items;
+    }).join('\n');
+}
+
+function renderPrintPage(hub) {
+    const { manifest, modules } = hub;
+    const chapters = modules.map(m => `
+<section class="chapter" id="${m.id}">
+${moduleMeta(m)}
+${highlightCode(printableContent(m.content))}
+</section>`);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(manifest.title)}</title>
+<style>
+@page {
+    size: A4;
+    margin: 20mm 18mm;
+}
+
+@media print {
+    pre, table, blockquote, .details {
+        break-inside: avoid;
+    }
+
+    h1, h2, h3, h4 {
+        break-after: avoid;
+    }
+}
+
+.cover, .toc, .chapter {
+    break-after: page;
+}
+
+.chapter:last-child {
+    break-after: auto;
+}
+
+body {
+    max-width: 60em;
+    margin: 0 auto;
+    padding: 0 1em;
+}
+${exportCss(manifest)}
+</style>
+</head>
+<body>
+<section class="cover">
+<h1>${escapeHtml(manifest.heading)}</h1>
+${manifest.tagline ? `<p>${escapeHtml(manifest.tagline)}</p>` : ''}
+</section>
+<nav class="toc">
+<h1>Contents</h1>
+<ol>
+${renderToc(hub, (m, anchorId) => `#${anchorId || m.id}`)}
+</ol>
+</nav>
+${chapters.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Write a print-ready single page with a table of contents and a page
+// break before every module
+function writePrint(manifest, outputPath) {
+    const hub = buildHub(manifest);
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, renderPrintPage(hub));
+    return { ...hub, outputPath };
+}
+
+function findBrowser() {
+    const candidates = process.env.CHROME_PATH ? [process.env.CHROME_PATH] : BROWSERS;
+    for (const candidate of candidates) {
+        try {
+            execFileSync(candidate, ['--version'], { stdio: 'ignore', timeout: 10000 });
+            return candidate;
+        } catch (error) {
+            // not installed here; try the next one
+        }
+    }
+    return null;
+}
+
+// Print the print page to PDF with a locally installed Chrome or Chromium
+function writePdf(manifest, outputPath) {
+    const browser = findBrowser();
+    if (!browser) {
+        throw new Error('No Chrome or Chromium found for PDF export: set CHROME_PATH, or export with --print and print that page to PDF from a browser');
+    }
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'hub-print-'));
+    const printPath = path.join(tempDir, 'print.html');
+    try {
+        const hub = writePrint(manifest, printPath);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        execFileSync(browser, [
+            '--headless',
+            '--disable-gpu',
+            '--no-pdf-header-footer',
+            `--print-to-pdf=${outputPath}`,
+            `file://${printPath}`
+        ], { stdio: 'ignore', timeout: 300000 });
+        return { ...hub, outputPath };
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+}
+
+// Re-serialise rendered HTML as well-formed XHTML, pointing links between
+// modules at their chapter files
+function toXhtml(html, chapterIds) {
+    const document = parseDocument(html);
+    DomUtils.findAll(element => element.name === 'a' && Boolean(element.attribs.href), document.children)
+        .forEach(link => {
+            const match = link.attribs.href.match(/^([\w-]+)\.html(#.*)?$/);
+            if (match && chapterIds.has(match[1])) {
+                link.attribs.href = `${match[1]}.xhtml${match[2] || ''}`;
+            }
+        });
+    return DomUtils.getOuterHTML(document, { xmlMode: true, encodeEntities: 'utf8' });
+}
+
+function xhtmlPage(title, body) {
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en" xml:lang="en">
+<head>
+<meta charset="UTF-8"/>
+<title>${escapeHtml(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+function xmlEscape(text) {
+    return escapeHtml(text).replace(/&#039;/g, '&#39;');
+}
+
+// Stable book identifier and modification date, so rebuilding unchanged
+// modules produces the same EPUB
+function bookIdentity(manifest, modules) {
+    const hash = crypto.createHash('sha1').update(manifest.title).digest('hex');
+    const uuid = `${hash.slice(0, 8)}-${hash.slice(8, 12)}-5${hash.slice(13, 16)}-a${hash.slice(17, 20)}-${hash.slice(20, 32)}`;
+    const newest = Math.max(...modules.map(m => fs.statSync(path.join(manifest.sourceDir, m.file)).mtimeMs));
+    const modified = new Date(Math.floor(newest / 1000) * 1000).toISOString().replace(/\.\d{3}Z$/, 'Z');
+    return { uuid, modified };
+}
+
+function renderNcx(hub, uuid) {
+    let order = 0;
+    const point = (id, label, src, playOrder, children = '') => {
+        return `<navPoint id="${id}" playOrder="${playOrder}"><navLabel><text>${xmlEscape(label)}</text></navLabel><content src="${src}"/>${children}</navPoint>`;
+    };
+    const modulePoint = m => point(`nav-${m.id}`, m.title, `${m.id}.xhtml`, ++order);
+
+    const points = tocGroups(hub).map((group, index) => {
+        if (!group.name) {
+            return group.modules.map(modulePoint).join('\n');
+        }
+        // A group opens its first module, so both share a play order
+        const first = order + 1;
+        const children = group.modules.map(modulePoint).join('');
+        return point(`nav-group-${index + 1}`, group.name, `${group.modules[0].id}.xhtml`, first, children);
+    }).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+<head>
+<meta name="dtb:uid" content="urn:uuid:${uuid}"/>
+</head>
+<docTitle><text>${xmlEscape(hub.manifest.title)}</text></docTitle>
+<navMap>
+${points}
+</navMap>
+</ncx>
+`;
+}
+
+function renderOpf(hub, { uuid, modified }) {
+    const { manifest, modules } = hub;
+    const items = modules.map(m => `<item id="${m.id}" href="${m.id}.xhtml" media-type="application/xhtml+xml"/>`);
+    const spine = modules.map(m => `<itemref idref="${m.id}"/>`);
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="en">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:uuid:${uuid}</dc:identifier>
+<dc:title>${xmlEscape(manifest.title)}</dc:title>
+<dc:language>en</dc:language>
+${manifest.tagline ? `<dc:description>${xmlEscape(manifest.tagline)}</dc:description>` : ''}
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+<item id="style" href="style.css" media-type="text/css"/>
+<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>
+${items.join('\n')}
+</manifest>
+<spine toc="ncx">
+<itemref idref="cover"/>
+<itemref idref="nav"/>
+${spine.join('\n')}
+</spine>
+</package>
+`;
+}
+
+// Write an EPUB 3 book (with an EPUB 2 toc.ncx for older readers): a title
+// page, a contents page grouped like the hub, and one chapter per module
+function writeEpub(manifest, outputPath) {
+    const hub = buildHub(manifest, { pages: true });
+    const { modules } = hub;
+    const chapterIds = new Set(modules.map(m => m.id));
+    const identity = bookIdentity(manifest, modules);
+
+    const cover = `<section epub:type="titlepage" class="cover">
+<h1>${escapeHtml(manifest.heading)}</h1>
+${manifest.tagline ? `<p>${escapeHtml(manifest.tagline)}</p>` : ''}
+</section>`;
+    const nav = `<nav epub:type="toc" id="toc" class="toc">
+<h1>Contents</h1>
+<ol>
+${renderToc(hub, (m, anchorId) => `${m.id}.xhtml${anchorId ? `#${anchorId}` : ''}`)}
+</ol>
+</nav>`;
+
+    const entries = [
+        { name: 'mimetype', data: 'application/epub+zip', store: true },
+        {
+            name: 'META-INF/container.xml',
+            data: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles>
+<rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+</rootfiles>
+</container>
+`
+        },
+        { name: 'OEBPS/content.opf', data: renderOpf(hub, identity) },
+        { name: 'OEBPS/toc.ncx', data: renderNcx(hub, identity.uuid) },
+        { name: 'OEBPS/nav.xhtml', data: xhtmlPage('Contents', toXhtml(nav, chapterIds)) },
+        { name: 'OEBPS/style.css', data: exportCss(manifest) },
+        { name: 'OEBPS/cover.xhtml', data: xhtmlPage(manifest.title, toXhtml(cover, chapterIds)) }
+    ];
+
+    modules.forEach(m => {
+        const chapter = `<section epub:type="chapter" id="${m.id}">
+${moduleMeta(m)}
+${highlightCode(printableContent(m.content))}
+</section>`;
+        entries.push({ name: `OEBPS/${m.id}.xhtml`, data: xhtmlPage(m.title, toXhtml(chapter, chapterIds)) });
+    });
+
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, createZip(entries));
+    return { ...hub, outputPath };
+}
+
+module.exports = {
+    writePrint,
+    writePdf,
+    writeEpub
+};
@@ -0,0 +1,65 @@
+const yaml = require('js-yaml');
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+
+function toList(value, key, file) {
+    if (value === undefined || value === null) {
+        return [];
+    }
+    if (!Array.isArray(value)) {
+        value = [value];
+    }
+    return value.map(item => {
+        if (typeof item !== 'string' && typeof item !== 'number') {
+            throw new Error(`${file}: "${key}" entries must be strings`);
+        }
+        return String(item);
+    });
+}
+
+// Split YAML front matter from a markdown module and normalise the fields
+// the hubs understand: title, difficulty, estimated_time, tags, prerequisites
+// and group.
+function parseFrontMatter(source, file) {
+    const match = source.match(FRONT_MATTER);
+    if (!match) {
+        return { meta: { tags: [], prerequisites: [] }, body: source };
+    }
+
+    let data;
+    try {
+        data = yaml.load(match[1]) || {};
+    } catch (error) {
+        throw new Error(`${file}: invalid front matter: ${error.reason || error.message}`);
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(`${file}: front matter must be a YAML mapping`);
+    }
+
+    const meta = {};
+    if (data.title !== undefined) {
+        meta.title = String(data.title);
+    }
+    if (data.difficulty !== undefined) {
+        meta.difficulty = String(data.difficulty).toLowerCase();
+        if (!DIFFICULTIES.includes(meta.difficulty)) {
+            throw new Error(`${file}: difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+        }
+    }
+    if (data.group !== undefined) {
+        meta.group = String(data.group);
+    }
+    if (data.estimated_time !== undefined) {
+        meta.estimatedTime = String(data.estimated_time);
+    }
+    meta.tags = toList(data.tags, 'tags', file).map(tag => tag.toLowerCase());
+    meta.prerequisites = toList(data.prerequisites, 'prerequisites', file);
+
+    return { meta, body: source.slice(match[0].length) };
+}
+
+module.exports = {
+    DIFFICULTIES,
+    parseFrontMatter
+};
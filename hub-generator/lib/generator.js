@@ -0,0 +1,224 @@
+const fs = require('fs');
+const path = require('path');
+const { renderMarkdown } = require('./markdown');
+const { parseFrontMatter } = require('./front-matter');
+const { discoverModules } = require('./discover');
+const { buildSearchIndex } = require('./search');
+const { createSlugger } = require('./slug');
+const { moduleHref, renderPage, renderModulePage, renderIndexPage } = require('./template');
+
+// Read a hub manifest and resolve its paths relative to the manifest file
+function loadManifest(manifestPath) {
+    const absolutePath = path.resolve(manifestPath);
+    const manifest = JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+    const baseDir = path.dirname(absolutePath);
+
+    for (const key of ['title', 'sourceDir']) {
+        if (!manifest[key]) {
+            throw new Error(`${manifestPath}: missing "${key}"`);
+        }
+    }
+
+    return {
+        id: path.basename(absolutePath, '.json'),
+        heading: manifest.title,
+        tagline: '',
+        ...manifest,
+        sourceDir: path.resolve(baseDir, manifest.sourceDir),
+        out: manifest.out ? path.resolve(baseDir, manifest.out) : null,
+        pagesOut: manifest.pagesOut ? path.resolve(baseDir, manifest.pagesOut) : null,
+        exportDir: manifest.exportDir ? path.resolve(baseDir, manifest.exportDir) : null
+    };
+}
+
+// A module's group comes from its front matter "group", or else from the
+// manifest group whose "from" number is the closest one at or below the
+// module's number. Manifest groups fix the order; others follow as found.
+function resolveGroups(manifest, modules) {
+    const declared = (manifest.groups || []).map(group => {
+        return typeof group === 'string' ? { name: group } : group;
+    });
+
+    if (!declared.length && !modules.some(m => m.meta.group)) {
+        return null;
+    }
+
+    const groups = declared.map(group => ({ name: group.name, from: group.from, modules: [] }));
+    const byName = new Map(groups.map(group => [group.name, group]));
+    const ranged = groups.filter(group => group.from !== undefined).sort((a, b) => b.from - a.from);
+    const errors = [];
+
+    modules.forEach(m => {
+        let group = null;
+
+        if (m.meta.group) {
+            group = byName.get(m.meta.group);
+            if (!group) {
+                group = { name: m.meta.group, modules: [] };
+                byName.set(group.name, group);
+                groups.push(group);
+            }
+        } else if (m.number !== null) {
+            group = ranged.find(candidate => m.number >= candidate.from);
+        }
+
+        if (group) {
+            group.modules.push(m);
+        } else {
+            errors.push(`${m.file} has no group: set "group" in its front matter or give a manifest group a "from" number`);
+        }
+    });
+
+    if (errors.length) {
+        throw new Error(`Group assignment failed:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return groups.filter(group => group.modules.length);
+}
+
+// Prerequisites may name another module by file (with or without .md) or
+// title; those become links, anything else stays plain text
+function resolvePrerequisites(modules) {
+    const byName = new Map();
+    modules.forEach(m => {
+        byName.set(m.file, m);
+        byName.set(m.file.replace(/\.md$/, ''), m);
+        byName.set(m.title.toLowerCase(), m);
+    });
+
+    modules.forEach(m => {
+        m.prerequisites = m.meta.prerequisites.map(name => {
+            const target = byName.get(name) || byName.get(name.toLowerCase());
+            return target ? { title: target.title, id: target.id } : { title: name, id: null };
+        });
+    });
+}
+
+// Stable module IDs from file names: 05_Tool_Calling.md -> tool-calling.
+// "index" is reserved for the landing page in pages mode.
+function moduleIds(entries) {
+    const slugger = createSlugger();
+    slugger.slug('index');
+
+    return entries.map(({ file }) => {
+        const name = file.replace(/\.md$/, '').replace(/^\d+_/, '').replace(/_/g, ' ');
+        return slugger.slug(name) || slugger.slug('module');
+    });
+}
+
+// Modules link to each other by source file (./02_Go_Concurrency.md#setup)
+// and to their own headings by plain slug (#setup). In a hub those have to
+// point at the module and its prefixed heading IDs instead.
+function hubLinkResolver(moduleIdsByFile, currentId, pages) {
+    return href => {
+        const match = href.match(/^(?:\.\/)?([^/?#]*)(?:#(.*))?$/);
+        const moduleId = match && (match[1] ? moduleIdsByFile.get(match[1]) : currentId);
+        if (!moduleId) {
+            return href;
+        }
+        return moduleHref(moduleId, match[2] ? `${moduleId}-${match[2]}` : null, pages);
+    };
+}
+
+// Render one module. With a cache (file -> entry) an unchanged file at the
+// same position is reused instead of being converted again.
+function loadModule(manifest, { file, number }, id, { cache, links }) {
+    const filePath = path.join(manifest.sourceDir, file);
+    const { mtimeMs, size } = fs.statSync(filePath);
+    const cached = cache && cache.get(file);
+
+    if (cached && cached.id === id && cached.linksKey === links.key &&
+        cached.mtimeMs === mtimeMs && cached.size === size) {
+        return { module: cached.module, rendered: false };
+    }
+
+    const source = fs.readFileSync(filePath, 'utf8');
+    const { meta, body } = parseFrontMatter(source, file);
+    const title = meta.title || file.replace(/\.md$/, '').replace(/_/g, ' ');
+    const { html, sections } = renderMarkdown(body, {
+        idPrefix: `${id}-`,
+        title,
+        resolveLink: hubLinkResolver(links.byFile, id, links.pages)
+    });
+    const module = {
+        id,
+        title,
+        file,
+        number,
+        meta,
+        content: html,
+        sections
+    };
+
+    if (cache) {
+        cache.set(file, { id, linksKey: links.key, mtimeMs, size, module });
+    }
+    return { module, rendered: true };
+}
+
+// Convert every module of a hub and build its search index. Pass a Map as
+// cache to only re-render modules that changed since the last build.
+// pages decides whether links between modules go to pages or to #anchors.
+function buildHub(manifest, { cache = null, pages = false } = {}) {
+    const rendered = [];
+    const entries = discoverModules(manifest);
+    const ids = moduleIds(entries);
+    const byFile = new Map(entries.map((entry, index) => [entry.file, ids[index]]));
+    // Cached modules are stale once any module moves or the link style changes
+    const links = { byFile, pages, key: JSON.stringify([pages, ...byFile]) };
+    const modules = entries.map((entry, index) => {
+        const result = loadModule(manifest, entry, ids[index], { cache, links });
+        if (result.rendered) {
+            rendered.push(entry.file);
+        }
+        return result.module;
+    });
+
+    if (cache) {
+        const current = new Set(modules.map(m => m.file));
+        [...cache.keys()].filter(file => !current.has(file)).forEach(file => cache.delete(file));
+    }
+
+    resolvePrerequisites(modules);
+    const groups = resolveGroups(manifest, modules);
+    const searchIndex = buildSearchIndex(modules);
+
+    return { manifest, modules, groups, searchIndex, rendered };
+}
+
+// Search index file that sits next to a hub page
+function searchIndexPath(outputPath) {
+    return outputPath.replace(/\.html?$/, '') + '.search.js';
+}
+
+// Build a hub and write it with its search index. By default outputPath is
+// a single HTML file; with pages it is a directory that gets index.html,
+// one <module-id>.html per module and search.js.
+function writeHub(manifest, outputPath, { cache, pages = false } = {}) {
+    const hub = buildHub(manifest, { cache, pages });
+    let indexPath;
+
+    if (pages) {
+        indexPath = path.join(outputPath, 'search.js');
+        const context = { ...hub, searchIndexSrc: path.basename(indexPath) };
+
+        fs.mkdirSync(outputPath, { recursive: true });
+        fs.writeFileSync(path.join(outputPath, 'index.html'), renderIndexPage(context));
+        hub.modules.forEach((m, index) => {
+            fs.writeFileSync(path.join(outputPath, `${m.id}.html`), renderModulePage(context, index));
+        });
+    } else {
+        indexPath = searchIndexPath(outputPath);
+        fs.writeFileSync(outputPath, renderPage({ ...hub, searchIndexSrc: path.basename(indexPath) }));
+    }
+    fs.writeFileSync(indexPath, hub.searchIndex);
+
+    return { ...hub, outputPath, indexPath };
+}
+
+module.exports = {
+    loadManifest,
+    buildHub,
+    searchIndexPath,
+    writeHub
+};
@@ -0,0 +1,285 @@
+const fs = require('fs');
+const path = require('path');
+const { Marked } = require('marked');
+const { parseFrontMatter } = require('./front-matter');
+const { headingIds } = require('./markdown');
+const { checkDocPath } = require('./docs');
+
+const SKIP_DIRS = new Set(['.git', 'node_modules']);
+const EXTERNAL = /^(?:[a-z][a-z0-9+.-]*:|\/\/)/i;
+const TAG = /<[a-zA-Z][\w-]*(?:\s[^>]*)?>/g;
+const LINK_ATTR = /\s(?:href|src)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+const ID_ATTR = /\s(?:id|name)\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+
+// Every .html and .md file under root, sorted, skipping .git and node_modules
+function collectFiles(root, dir = root, files = []) {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (!SKIP_DIRS.has(entry.name)) {
+                collectFiles(root, fullPath, files);
+            }
+        } else if (/\.(?:html|md)$/i.test(entry.name)) {
+            files.push(fullPath);
+        }
+    });
+    return files.sort();
+}
+
+// Maps a character offset to its 1-based line number
+function lineLocator(source) {
+    const starts = [0];
+    for (let i = 0; i < source.length; i++) {
+        if (source[i] === '\n') {
+            starts.push(i + 1);
+        }
+    }
+    return offset => {
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (starts[mid] <= offset) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low + 1;
+    };
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&#039;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// Blank out comments and script/style bodies, keeping line numbers intact,
+// so links built by client-side code are not mistaken for real ones
+function stripInactive(html) {
+    const blank = text => text.replace(/[^\n]/g, ' ');
+    return html
+        .replace(/<!--[\s\S]*?-->/g, blank)
+        .replace(/(<(script|style)\b[^>]*>)([\s\S]*?)(<\/\2\s*>)/gi,
+            (match, open, name, body, close) => open + blank(body) + close);
+}
+
+function attributeValues(html, pattern, offset = 0) {
+    const values = [];
+    for (const tag of html.matchAll(TAG)) {
+        for (const attr of tag[0].matchAll(pattern)) {
+            values.push({
+                value: decodeEntities(attr[1] !== undefined ? attr[1] : attr[2]),
+                index: offset + tag.index + attr.index
+            });
+        }
+    }
+    return values;
+}
+
+function extractHtmlLinks(html) {
+    const source = stripInactive(html);
+    const lineAt = lineLocator(source);
+    return attributeValues(source, LINK_ATTR).map(({ value, index }) => ({ url: value, line: lineAt(index) }));
+}
+
+function extractHtmlIds(html) {
+    return attributeValues(stripInactive(html), ID_ATTR).map(({ value }) => value);
+}
+
+function markdownBody(source, file) {
+    try {
+        return parseFrontMatter(source, file).body;
+    } catch (error) {
+        return source;
+    }
+}
+
+// Links and images in markdown, plus href/src attributes in inline HTML.
+// Code spans and blocks are skipped because the lexer keeps them as code.
+function extractMarkdownLinks(source, file) {
+    const body = markdownBody(source, file);
+    const bodyStart = source.length - body.length;
+    const lineAt = lineLocator(source);
+    const links = [];
+    let cursor = bodyStart;
+
+    const marked = new Marked({ gfm: true });
+    marked.walkTokens(marked.lexer(body), token => {
+        const found = [];
+        if ((token.type === 'link' || token.type === 'image') && token.href) {
+            found.push(token.href);
+        } else if (token.type === 'html') {
+            attributeValues(stripInactive(token.raw), LINK_ATTR).forEach(({ value }) => found.push(value));
+        }
+        found.forEach(url => {
+            const index = source.indexOf(url, cursor);
+            if (index !== -1) {
+                cursor = index;
+            }
+            links.push({ url, line: lineAt(index === -1 ? cursor : index) });
+        });
+    });
+    return links;
+}
+
+function markdownAnchors(source, file) {
+    const body = markdownBody(source, file);
+    return headingIds(body).concat(extractHtmlIds(body));
+}
+
+function globToRegExp(glob) {
+    const pattern = glob.split('*').map(part => part.replace(/[.+?^$()|[\]\\{}]/g, '\\$&')).join('.*');
+    return new RegExp(`^${pattern}$`);
+}
+
+// Known broken links, one "<file> <url>" pair per line with * wildcards and
+// # comments, e.g. "index.html demos/*.mp4"
+function parseIgnoreList(text) {
+    return text.split('\n')
+        .map(line => line.replace(/(^|\s)#\s.*$/, '').trim())
+        .filter(Boolean)
+        .map(line => {
+            const [file, url] = line.split(/\s+/);
+            if (!url) {
+                throw new Error(`Invalid ignore entry "${line}": expected "<file> <url>"`);
+            }
+            return { file: globToRegExp(file), url: globToRegExp(url) };
+        });
+}
+
+// Runtime values and templates cannot be checked offline
+function isCheckable(url) {
+    return url && url !== '#' && !EXTERNAL.test(url) && !/\$\{|\{\{/.test(url);
+}
+
+function safeDecode(text) {
+    try {
+        return decodeURIComponent(text);
+    } catch (error) {
+        return text;
+    }
+}
+
+function isInside(root, target) {
+    return target === root || target.startsWith(root + path.sep);
+}
+
+// Crawl every HTML page and markdown file under root without touching the
+// network. Relative links must point at existing files, directories linked
+// from HTML need an index.html, viewer.html?doc= targets must exist and be
+// documents the viewer opens (below one of `docRoots`, see checkDocPath), and
+// #fragments must match an id in the target page or a heading slug in the
+// target markdown file. Links matching an ignore entry are counted but not
+// reported as broken.
+function checkLinks({ root, ignore = [], docRoots = [] }) {
+    root = path.resolve(root);
+    const files = collectFiles(root);
+    const anchorCache = new Map();
+    const broken = [];
+    let linkCount = 0;
+    let ignoredCount = 0;
+
+    function anchorsOf(file) {
+        if (!anchorCache.has(file)) {
+            const source = fs.readFileSync(file, 'utf8');
+            const ids = file.toLowerCase().endsWith('.md')
+                ? markdownAnchors(source, file)
+                : extractHtmlIds(source);
+            anchorCache.set(file, new Set(ids));
+        }
+        return anchorCache.get(file);
+    }
+
+    function checkFragment(target, fragment) {
+        if (!fragment || !/\.(?:html|md)$/i.test(target)) {
+            return null;
+        }
+        const anchor = safeDecode(fragment);
+        return anchorsOf(target).has(anchor) ? null : `missing anchor #${anchor}`;
+    }
+
+    function checkUrl(file, url) {
+        const hashIndex = url.indexOf('#');
+        const fragment = hashIndex === -1 ? '' : url.slice(hashIndex + 1);
+        const beforeHash = hashIndex === -1 ? url : url.slice(0, hashIndex);
+        const queryIndex = beforeHash.indexOf('?');
+        const pathPart = safeDecode(queryIndex === -1 ? beforeHash : beforeHash.slice(0, queryIndex));
+        const query = new URLSearchParams(queryIndex === -1 ? '' : beforeHash.slice(queryIndex + 1));
+
+        let target = file;
+        if (pathPart) {
+            target = pathPart.startsWith('/')
+                ? path.join(root, pathPart)
+                : path.resolve(path.dirname(file), pathPart);
+        }
+        if (!isInside(root, target)) {
+            return 'points outside the site';
+        }
+        if (!fs.existsSync(target)) {
+            return 'file not found';
+        }
+        if (fs.statSync(target).isDirectory()) {
+            // GitHub lists directories linked from markdown; Pages needs an index
+            if (file.toLowerCase().endsWith('.md')) {
+                return null;
+            }
+            target = path.join(target, 'index.html');
+            if (!fs.existsSync(target)) {
+                return 'directory has no index.html';
+            }
+        }
+
+        const doc = query.get('doc');
+        if (path.basename(target) === 'viewer.html' && doc !== null) {
+            const refused = checkDocPath(doc, docRoots);
+            if (refused) {
+                return `viewer refuses document ${doc}: ${refused}`;
+            }
+            const docPath = path.resolve(path.dirname(target), doc);
+            if (!isInside(root, docPath)) {
+                return `viewer document points outside the site: ${doc}`;
+            }
+            if (!fs.existsSync(docPath) || !fs.statSync(docPath).isFile()) {
+                return `viewer document not found: ${doc}`;
+            }
+            return checkFragment(docPath, fragment);
+        }
+
+        return checkFragment(target, fragment);
+    }
+
+    files.forEach(file => {
+        const source = fs.readFileSync(file, 'utf8');
+        const links = file.toLowerCase().endsWith('.md')
+            ? extractMarkdownLinks(source, file)
+            : extractHtmlLinks(source);
+
+        links.filter(link => isCheckable(link.url)).forEach(link => {
+            linkCount += 1;
+            const reason = checkUrl(file, link.url);
+            if (!reason) {
+                return;
+            }
+            const relative = path.relative(root, file).split(path.sep).join('/');
+            if (ignore.some(entry => entry.file.test(relative) && entry.url.test(link.url))) {
+                ignoredCount += 1;
+            } else {
+                broken.push({ file: relative, line: link.line, url: link.url, reason });
+            }
+        });
+    });
+
+    return { root, fileCount: files.length, linkCount, ignoredCount, broken };
+}
+
+module.exports = {
+    checkLinks,
+    parseIgnoreList,
+    extractHtmlLinks,
+    extractMarkdownLinks
+};
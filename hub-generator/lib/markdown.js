@@ -0,0 +1,91 @@
+const { Marked } = require('marked');
+const { createSlugger } = require('./slug');
+const { collectSections } = require('./search');
+
+// Plain text of rendered inline HTML, used for heading slugs
+function toPlainText(html) {
+    return html
+        .replace(/<[^>]*>/g, '')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&#039;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+// Render GitHub-flavoured markdown (tables, task lists, strikethrough,
+// autolinks) with slug IDs and anchor links on every heading, and split it
+// into heading sections for the search index.
+// idPrefix keeps heading IDs unique when several modules share one page;
+// resolveLink(href) can rewrite link targets for where the HTML ends up.
+function renderMarkdown(markdown, { idPrefix = '', title = '', resolveLink = null } = {}) {
+    const slugger = createSlugger();
+    const marked = new Marked({
+        gfm: true,
+        renderer: {
+            heading({ tokens, depth, anchorId }) {
+                const text = this.parser.parseInline(tokens);
+
+                return `<h${depth} id="${anchorId}"><a class="heading-anchor" href="#${anchorId}" aria-hidden="true">#</a>${text}</h${depth}>\n`;
+            }
+        }
+    });
+
+    // Assign heading IDs up front so the HTML and the search sections agree
+    const tokens = marked.lexer(markdown);
+    marked.walkTokens(tokens, token => {
+        if (token.type === 'heading') {
+            token.plainText = toPlainText(marked.parseInline(token.text));
+            token.anchorId = idPrefix + slugger.slug(token.plainText);
+        } else if (token.type === 'link' && resolveLink) {
+            token.href = resolveLink(token.href);
+        }
+    });
+
+    return {
+        html: marked.parser(tokens),
+        sections: collectSections(tokens, { title })
+    };
+}
+
+function markdownToHtml(markdown, options) {
+    return renderMarkdown(markdown, options).html;
+}
+
+// Anchor IDs GitHub gives the headings of a markdown file, in order
+function headingIds(markdown) {
+    const slugger = createSlugger();
+    const marked = new Marked({ gfm: true });
+    const ids = [];
+
+    marked.walkTokens(marked.lexer(markdown), token => {
+        if (token.type === 'heading') {
+            ids.push(slugger.slug(toPlainText(marked.parseInline(token.text))));
+        }
+    });
+    return ids;
+}
+
+// Plain text of the first level-1 heading, or null
+function documentTitle(markdown) {
+    const marked = new Marked({ gfm: true });
+    const heading = marked.lexer(markdown).find(token => token.type === 'heading' && token.depth === 1);
+    return heading ? toPlainText(marked.parseInline(heading.text)).trim() : null;
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+module.exports = {
+    renderMarkdown,
+    markdownToHtml,
+    headingIds,
+    documentTitle,
+    escapeHtml
+};
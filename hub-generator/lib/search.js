@@ -0,0 +1,79 @@
+// Build-time full-text search index. Each module is split into sections at
+// its headings; a section keeps its heading ID so search results can jump
+// straight to it.
+
+function collapse(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+
+// Gather prose and code from a token tree into separate buckets
+function collectText(tokens, out) {
+    for (const token of tokens) {
+        if (token.type === 'code') {
+            out.code.push(token.text);
+        } else if (token.type === 'html') {
+            out.text.push(token.text.replace(/<[^>]*>/g, ' '));
+        } else if (token.type === 'table') {
+            token.header.forEach(cell => collectText(cell.tokens, out));
+            token.rows.forEach(row => row.forEach(cell => collectText(cell.tokens, out)));
+        } else if (token.type === 'list') {
+            token.items.forEach(item => collectText(item.tokens, out));
+        } else if (token.tokens) {
+            collectText(token.tokens, out);
+        } else if (token.type !== 'space' && token.type !== 'hr' && token.text) {
+            out.text.push(token.text);
+        }
+    }
+}
+
+// Split a module's top-level tokens into heading sections. Text before the
+// first heading belongs to a section with no anchor (the module itself).
+function collectSections(tokens, { title }) {
+    const sections = [];
+    let current = { id: null, title, tokens: [] };
+
+    for (const token of tokens) {
+        if (token.type === 'heading') {
+            sections.push(current);
+            current = { id: token.anchorId, title: token.plainText, tokens: [] };
+        } else {
+            current.tokens.push(token);
+        }
+    }
+    sections.push(current);
+
+    return sections
+        .map(section => {
+            const out = { text: [], code: [] };
+            collectText(section.tokens, out);
+
+            return {
+                id: section.id,
+                title: section.title,
+                text: collapse(out.text.join(' ')),
+                code: collapse(out.code.join(' '))
+            };
+        })
+        .filter(section => section.id || section.text || section.code);
+}
+
+// Serialise the index as a script so it also loads from file:// URLs
+function buildSearchIndex(modules) {
+    const index = {
+        modules: modules.map(m => ({ id: m.id, title: m.title })),
+        sections: []
+    };
+
+    modules.forEach((m, moduleIndex) => {
+        m.sections.forEach(section => {
+            index.sections.push({ m: moduleIndex, ...section });
+        });
+    });
+
+    return `window.HUB_SEARCH_INDEX = ${JSON.stringify(index)};\n`;
+}
+
+module.exports = {
+    collectSections,
+    buildSearchIndex
+};
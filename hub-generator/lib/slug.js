@@ -0,0 +1,33 @@
+// GitHub-compatible heading slugs: lower-case, drop punctuation and emoji,
+// turn spaces into hyphens, and suffix repeats with -1, -2, ...
+const STRIP = /[^\p{L}\p{M}\p{N}\p{Pc} -]/gu;
+
+function slugify(text) {
+    return text.toLowerCase().replace(STRIP, '').replace(/ /g, '-');
+}
+
+function createSlugger() {
+    const seen = new Map();
+
+    return {
+        slug(text) {
+            const base = slugify(text);
+            let slug = base;
+            let count = seen.get(base) || 0;
+
+            while (seen.has(slug)) {
+                count += 1;
+                slug = `${base}-${count}`;
+            }
+
+            seen.set(base, count);
+            seen.set(slug, 0);
+            return slug;
+        }
+    };
+}
+
+module.exports = {
+    slugify,
+    createSlugger
+};
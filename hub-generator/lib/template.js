@@ -0,0 +1,1530 @@
+const { escapeHtml } = require('./markdown');
+const { DIFFICULTIES } = require('./front-matter');
+
+// Colours and sizes used when a hub manifest does not override them
+const DEFAULT_THEME = {
+    sidebarWidth: 300,
+    sidebarBackground: 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+    progressBackground: 'linear-gradient(90deg, #667eea 0%, #764ba2 100%)',
+    accent: '#667eea',
+    accentHover: '#764ba2',
+    accentShadow: 'rgba(102, 126, 234, 0.4)',
+    headingColor: '#2d3748',
+    subheadingColor: '#4a5568',
+    codeBackground: '#2d3748',
+    bullet: '▶'
+};
+
+// Where a module (or a section inside it) lives: a hash on the single-page
+// hub, a separate file in pages mode
+function moduleHref(moduleId, anchorId, pages) {
+    if (pages) {
+        return `${moduleId}.html${anchorId ? `#${anchorId}` : ''}`;
+    }
+    return `#${anchorId || moduleId}`;
+}
+
+function renderNavItem(module, { pages, activeId }) {
+    const difficulty = module.meta.difficulty || '';
+    const tags = module.meta.tags.join(' ');
+    const active = module.id === activeId ? ' active' : '';
+
+    return `<a href="${moduleHref(module.id, null, pages)}" class="nav-item${active}" data-module="${module.id}" data-difficulty="${difficulty}" data-tags="${escapeHtml(tags)}">${escapeHtml(module.title)}</a>`;
+}
+
+// Difficulty and tag pickers, only offered when modules carry that metadata
+function renderFilters(modules) {
+    const difficulties = DIFFICULTIES.filter(level => modules.some(m => m.meta.difficulty === level));
+    const tags = [...new Set(modules.flatMap(m => m.meta.tags))].sort();
+
+    if (!difficulties.length && !tags.length) {
+        return '';
+    }
+
+    const options = values => values.map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+
+    return `
+            <div class="nav-filters">
+                <select id="difficultyFilter" onchange="filterModules()" aria-label="Filter by difficulty">
+                    <option value="">All levels</option>
+                    ${options(difficulties)}
+                </select>
+                <select id="tagFilter" onchange="filterModules()" aria-label="Filter by tag">
+                    <option value="">All tags</option>
+                    ${options(tags)}
+                </select>
+            </div>`;
+}
+
+// Badges shown above a module: difficulty, time, tags and prerequisites
+function renderModuleMeta(module, { pages }) {
+    const { difficulty, estimatedTime, tags } = module.meta;
+    const badges = [];
+
+    if (difficulty) {
+        badges.push(`<span class="badge badge-${difficulty}">${difficulty}</span>`);
+    }
+    if (estimatedTime) {
+        badges.push(`<span class="badge badge-time">⏱ ${escapeHtml(estimatedTime)}</span>`);
+    }
+    tags.forEach(tag => {
+        badges.push(`<a href="#" class="badge badge-tag" data-tag="${escapeHtml(tag)}">#${escapeHtml(tag)}</a>`);
+    });
+
+    const prerequisites = module.prerequisites.map(pre => {
+        return pre.id
+            ? `<a href="${moduleHref(pre.id, null, pages)}">${escapeHtml(pre.title)}</a>`
+            : escapeHtml(pre.title);
+    });
+
+    if (!badges.length && !prerequisites.length) {
+        return '';
+    }
+
+    return `<div class="module-meta">
+            ${badges.join('\n            ')}
+            ${prerequisites.length ? `<div class="module-prerequisites">Prerequisites: ${prerequisites.join(', ')}</div>` : ''}
+        </div>`;
+}
+
+// Flat list when the hub has no groups, otherwise one block per group
+function renderNav(modules, groups, options) {
+    if (!groups) {
+        return modules.map(m => renderNavItem(m, options)).join('\n');
+    }
+
+    return groups.map(group => {
+        const items = group.modules.map(m => renderNavItem(m, options)).join('\n');
+
+        return `
+        <div class="nav-group">
+            <div class="nav-group-title">${escapeHtml(group.name)}<span class="nav-group-count"></span></div>
+            <div class="reading-progress"><div class="reading-progress-fill"></div></div>
+            ${items}
+        </div>
+    `;
+    }).join('\n');
+}
+
+// Previous / next links at the foot of a module
+function renderPager(prev, next, { pages }) {
+    const link = (module, direction, label) => {
+        return module
+            ? `<a href="${moduleHref(module.id, null, pages)}" class="pager-${direction}"><span>${label}</span>${escapeHtml(module.title)}</a>`
+            : '<span></span>';
+    };
+
+    return `<nav class="module-pager">
+            ${link(prev, 'prev', '← Previous')}
+            ${link(next, 'next', 'Next →')}
+        </nav>`;
+}
+
+function renderModule(modules, index, options) {
+    const m = modules[index];
+    const active = options.pages ? ' active' : '';
+
+    return `
+    <div class="module-content${active}" id="${m.id}">
+        ${renderModuleMeta(m, options)}
+        ${m.content}
+        <button type="button" class="complete-toggle" data-module="${m.id}" onclick="toggleComplete('${m.id}')">Mark as complete</button>
+        ${renderPager(modules[index - 1], modules[index + 1], options)}
+    </div>
+    `;
+}
+
+// Landing page for pages mode: every module grouped, with its badges
+function renderIndex(manifest, modules, groups, options) {
+    const card = m => `
+            <a href="${moduleHref(m.id, null, true)}" class="index-card nav-item" data-module="${m.id}" data-difficulty="${m.meta.difficulty || ''}" data-tags="${escapeHtml(m.meta.tags.join(' '))}">
+                <span class="index-card-title">${escapeHtml(m.title)}</span>
+                ${m.meta.difficulty ? `<span class="badge badge-${m.meta.difficulty}">${m.meta.difficulty}</span>` : ''}
+                ${m.meta.estimatedTime ? `<span class="badge badge-time">⏱ ${escapeHtml(m.meta.estimatedTime)}</span>` : ''}
+            </a>`;
+    const sections = (groups || [{ name: null, modules }]).map(group => `
+        <section class="index-group">
+            ${group.name ? `<h2>${escapeHtml(group.name)}</h2>` : ''}
+            ${group.modules.map(card).join('')}
+        </section>`);
+
+    return `
+    <div class="module-content active" id="hub-index">
+        <h1>${escapeHtml(manifest.heading)}</h1>
+        <p>${escapeHtml(manifest.tagline)}</p>
+        ${sections.join('\n')}
+    </div>
+    `;
+}
+
+// Single-page hub: every module in one file, routed by location.hash
+function renderPage({ manifest, modules, groups, searchIndexSrc }) {
+    const options = { pages: false, activeId: null };
+
+    return renderShell({
+        manifest,
+        title: manifest.title,
+        navHtml: renderNav(modules, groups, options),
+        filtersHtml: renderFilters(modules),
+        mainHtml: modules.map((m, index) => renderModule(modules, index, options)).join('\n'),
+        searchIndexSrc,
+        pages: false
+    });
+}
+
+// Pages mode: one file per module, named after the module ID
+function renderModulePage({ manifest, modules, groups, searchIndexSrc }, index) {
+    const m = modules[index];
+    const options = { pages: true, activeId: m.id };
+
+    return renderShell({
+        manifest,
+        title: `${m.title} - ${manifest.title}`,
+        navHtml: renderNav(modules, groups, options),
+        filtersHtml: renderFilters(modules),
+        mainHtml: renderModule(modules, index, options),
+        searchIndexSrc,
+        pages: true
+    });
+}
+
+function renderIndexPage({ manifest, modules, groups, searchIndexSrc }) {
+    const options = { pages: true, activeId: null };
+
+    return renderShell({
+        manifest,
+        title: manifest.title,
+        navHtml: renderNav(modules, groups, options),
+        filtersHtml: renderFilters(modules),
+        mainHtml: renderIndex(manifest, modules, groups, options),
+        searchIndexSrc,
+        pages: true
+    });
+}
+
+// Page chrome shared by every layout: styles, sidebar, search and scripts
+function renderShell({ manifest, title, navHtml, filtersHtml, mainHtml, searchIndexSrc, pages }) {
+    const theme = { ...DEFAULT_THEME, ...manifest.theme };
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <script src="${escapeHtml(searchIndexSrc)}" defer></script>
+    <style>
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+            line-height: 1.6;
+            color: #333;
+            background: #f5f7fa;
+        }
+
+        .container {
+            display: flex;
+            min-height: 100vh;
+        }
+
+        /* Sidebar Navigation */
+        .sidebar {
+            width: ${theme.sidebarWidth}px;
+            background: ${theme.sidebarBackground};
+            color: white;
+            padding: 30px 20px;
+            position: fixed;
+            height: 100vh;
+            overflow-y: auto;
+            box-shadow: 2px 0 10px rgba(0,0,0,0.2);
+        }
+
+        .sidebar h1 {
+            font-size: 24px;
+            margin-bottom: 10px;
+            font-weight: 700;
+        }
+
+        .sidebar p {
+            font-size: 14px;
+            opacity: 0.9;
+            margin-bottom: 30px;
+        }
+
+        .nav-group {
+            margin-bottom: 25px;
+        }
+
+        .nav-group-title {
+            font-size: 12px;
+            text-transform: uppercase;
+            letter-spacing: 1px;
+            opacity: 0.7;
+            margin-bottom: 10px;
+            font-weight: 600;
+        }
+
+        .nav-item {
+            display: block;
+            padding: 10px 15px;
+            margin: 5px 0;
+            color: white;
+            text-decoration: none;
+            border-radius: 6px;
+            transition: all 0.3s ease;
+            font-size: 13px;
+            background: rgba(255,255,255,0.05);
+        }
+
+        .nav-item:hover {
+            background: rgba(255,255,255,0.15);
+            transform: translateX(5px);
+        }
+
+        .nav-item.active {
+            background: rgba(255,255,255,0.25);
+            font-weight: 600;
+        }
+
+        .nav-item.filtered-out,
+        .nav-group.filtered-out {
+            display: none;
+        }
+
+        .nav-filters {
+            display: flex;
+            gap: 8px;
+            margin-bottom: 20px;
+        }
+
+        .nav-filters select {
+            flex: 1;
+            min-width: 0;
+            padding: 8px 10px;
+            border: 1px solid rgba(255,255,255,0.2);
+            background: rgba(255,255,255,0.1);
+            color: white;
+            border-radius: 6px;
+            font-size: 13px;
+        }
+
+        .nav-filters option {
+            color: #2d3748;
+        }
+
+        /* Previous / next links */
+        .module-pager {
+            display: flex;
+            justify-content: space-between;
+            gap: 20px;
+            margin-top: 50px;
+            padding-top: 25px;
+            border-top: 1px solid #e2e8f0;
+        }
+
+        .module-pager a {
+            display: flex;
+            flex-direction: column;
+            max-width: 45%;
+            color: ${theme.accent};
+            text-decoration: none;
+            font-weight: 600;
+        }
+
+        .module-pager a span {
+            font-size: 12px;
+            text-transform: uppercase;
+            letter-spacing: 1px;
+            color: #718096;
+        }
+
+        .module-pager .pager-next {
+            margin-left: auto;
+            text-align: right;
+        }
+
+        /* Pages mode landing page */
+        .index-group {
+            margin-bottom: 30px;
+        }
+
+        .index-card.nav-item {
+            display: flex;
+            align-items: center;
+            gap: 10px;
+            color: #2d3748;
+            background: #f7fafc;
+            font-size: 15px;
+        }
+
+        .index-card.nav-item:hover {
+            background: #edf2f7;
+        }
+
+        .index-card-title {
+            flex: 1;
+        }
+
+        /* Module metadata badges */
+        .module-meta {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 30px;
+        }
+
+        .badge {
+            display: inline-block;
+            padding: 4px 12px;
+            border-radius: 999px;
+            font-size: 12px;
+            font-weight: 600;
+            text-decoration: none;
+            background: #edf2f7;
+            color: #4a5568;
+        }
+
+        .badge-beginner {
+            background: #c6f6d5;
+            color: #22543d;
+        }
+
+        .badge-intermediate {
+            background: #fefcbf;
+            color: #744210;
+        }
+
+        .badge-advanced {
+            background: #fed7d7;
+            color: #822727;
+        }
+
+        .badge-tag {
+            color: ${theme.accent};
+        }
+
+        .badge-tag:hover {
+            background: #e2e8f0;
+        }
+
+        .module-prerequisites {
+            flex-basis: 100%;
+            font-size: 14px;
+            color: #718096;
+        }
+
+        /* Main Content */
+        .main-content {
+            margin-left: ${theme.sidebarWidth}px;
+            flex: 1;
+            padding: 40px 60px;
+            max-width: 1200px;
+        }
+
+        .module-content {
+            display: none;
+            background: white;
+            padding: 50px;
+            border-radius: 15px;
+            box-shadow: 0 2px 20px rgba(0,0,0,0.08);
+            animation: fadeIn 0.5s ease;
+        }
+
+        .module-content.active {
+            display: block;
+        }
+
+        @keyframes fadeIn {
+            from {
+                opacity: 0;
+                transform: translateY(20px);
+            }
+            to {
+                opacity: 1;
+                transform: translateY(0);
+            }
+        }
+
+        /* Typography */
+        h1 {
+            font-size: 42px;
+            color: ${theme.headingColor};
+            margin-bottom: 20px;
+            font-weight: 800;
+            line-height: 1.2;
+        }
+
+        h2 {
+            font-size: 32px;
+            color: ${theme.subheadingColor};
+            margin: 40px 0 20px 0;
+            font-weight: 700;
+            border-bottom: 3px solid ${theme.accent};
+            padding-bottom: 10px;
+        }
+
+        h3 {
+            font-size: 24px;
+            color: ${theme.accent};
+            margin: 30px 0 15px 0;
+            font-weight: 600;
+        }
+
+        h4, h5, h6 {
+            font-size: 18px;
+            color: ${theme.subheadingColor};
+            margin: 25px 0 10px 0;
+            font-weight: 600;
+        }
+
+        .heading-anchor {
+            float: left;
+            margin-left: -28px;
+            width: 28px;
+            color: ${theme.accent};
+            text-decoration: none;
+            opacity: 0;
+            transition: opacity 0.2s ease;
+        }
+
+        h1:hover .heading-anchor,
+        h2:hover .heading-anchor,
+        h3:hover .heading-anchor,
+        h4:hover .heading-anchor,
+        h5:hover .heading-anchor,
+        h6:hover .heading-anchor {
+            opacity: 0.6;
+        }
+
+        a {
+            color: ${theme.accent};
+        }
+
+        a:hover {
+            color: ${theme.accentHover};
+        }
+
+        img {
+            max-width: 100%;
+            height: auto;
+        }
+
+        hr {
+            border: none;
+            border-top: 1px solid #e2e8f0;
+            margin: 40px 0;
+        }
+
+        blockquote {
+            margin: 25px 0;
+            padding: 5px 25px;
+            border-left: 4px solid ${theme.accent};
+            background: #f7fafc;
+            border-radius: 0 8px 8px 0;
+        }
+
+        p {
+            margin: 15px 0;
+            color: #4a5568;
+            font-size: 16px;
+            line-height: 1.8;
+        }
+
+        /* Lists */
+        ul {
+            margin: 20px 0;
+            padding-left: 0;
+            list-style: none;
+        }
+
+        ol {
+            margin: 20px 0;
+            padding-left: 30px;
+        }
+
+        ol > li {
+            padding-left: 5px;
+        }
+
+        li > ul,
+        li > ol {
+            margin: 5px 0;
+        }
+
+        /* Task lists render their own checkbox instead of a bullet */
+        ul > li:has(> input[type="checkbox"]) {
+            padding-left: 0;
+        }
+
+        ul > li:has(> input[type="checkbox"]):before {
+            content: none;
+        }
+
+        li > input[type="checkbox"] {
+            margin-right: 8px;
+        }
+
+        li {
+            margin: 12px 0;
+            padding-left: 30px;
+            position: relative;
+            color: #4a5568;
+            line-height: 1.8;
+        }
+
+        ul > li:before {
+            content: "${theme.bullet}";
+            position: absolute;
+            left: 0;
+            color: ${theme.accent};
+            font-size: 14px;
+            font-weight: bold;
+        }
+
+        /* Code Blocks */
+        pre {
+            background: ${theme.codeBackground};
+            color: #e2e8f0;
+            padding: 25px;
+            border-radius: 10px;
+            overflow-x: auto;
+            margin: 25px 0;
+            border-left: 4px solid ${theme.accent};
+        }
+
+        code {
+            font-family: 'Monaco', 'Menlo', 'Consolas', monospace;
+            font-size: 14px;
+            line-height: 1.6;
+        }
+
+        p code, li code, td code, blockquote code {
+            background: #f7fafc;
+            color: ${theme.accent};
+            padding: 3px 8px;
+            border-radius: 4px;
+            font-size: 14px;
+            font-weight: 600;
+        }
+
+        strong {
+            color: ${theme.headingColor};
+            font-weight: 600;
+        }
+
+        /* Tables */
+        table {
+            width: 100%;
+            border-collapse: collapse;
+            margin: 25px 0;
+        }
+
+        th, td {
+            padding: 12px;
+            text-align: left;
+            border-bottom: 1px solid #e2e8f0;
+        }
+
+        th {
+            background: #f7fafc;
+            font-weight: 600;
+            color: #2d3748;
+        }
+
+        del {
+            color: #a0aec0;
+        }
+
+        /* Responsive */
+        @media (max-width: 768px) {
+            .sidebar {
+                width: 100%;
+                position: relative;
+                height: auto;
+            }
+
+            .main-content {
+                margin-left: 0;
+                padding: 20px;
+            }
+
+            .container {
+                flex-direction: column;
+            }
+
+            .module-content {
+                padding: 30px 20px;
+            }
+        }
+
+        /* Progress Indicator */
+        .progress-bar {
+            position: fixed;
+            top: 0;
+            left: ${theme.sidebarWidth}px;
+            right: 0;
+            height: 4px;
+            background: ${theme.progressBackground};
+            transform-origin: left;
+            z-index: 1000;
+        }
+
+        /* Scroll to Top */
+        .scroll-top {
+            position: fixed;
+            bottom: 30px;
+            right: 30px;
+            width: 50px;
+            height: 50px;
+            background: ${theme.accent};
+            color: white;
+            border: none;
+            border-radius: 50%;
+            font-size: 24px;
+            cursor: pointer;
+            box-shadow: 0 4px 12px ${theme.accentShadow};
+            transition: all 0.3s ease;
+            opacity: 0;
+            pointer-events: none;
+        }
+
+        .scroll-top.visible {
+            opacity: 1;
+            pointer-events: all;
+        }
+
+        .scroll-top:hover {
+            transform: scale(1.1);
+            background: ${theme.accentHover};
+        }
+
+        /* Search Box */
+        .search-box {
+            margin-bottom: 20px;
+            position: relative;
+        }
+
+        .search-box input {
+            width: 100%;
+            padding: 12px 15px;
+            border: 1px solid rgba(255,255,255,0.2);
+            background: rgba(255,255,255,0.1);
+            color: white;
+            border-radius: 8px;
+            font-size: 14px;
+        }
+
+        .search-box input::placeholder {
+            color: rgba(255,255,255,0.6);
+        }
+
+        .search-box input:focus {
+            outline: none;
+            background: rgba(255,255,255,0.15);
+            border-color: rgba(255,255,255,0.3);
+        }
+
+        .search-results {
+            display: none;
+            margin-top: 10px;
+            max-height: 60vh;
+            overflow-y: auto;
+        }
+
+        .search-results.visible {
+            display: block;
+        }
+
+        .search-result {
+            display: block;
+            padding: 10px 12px;
+            margin-bottom: 6px;
+            color: white;
+            text-decoration: none;
+            border-radius: 6px;
+            background: rgba(255,255,255,0.08);
+        }
+
+        .search-result:hover {
+            background: rgba(255,255,255,0.18);
+        }
+
+        .search-result-title {
+            font-size: 13px;
+            font-weight: 600;
+        }
+
+        .search-result-module {
+            font-size: 11px;
+            opacity: 0.7;
+        }
+
+        .search-result-snippet {
+            font-size: 12px;
+            opacity: 0.85;
+            margin-top: 4px;
+            line-height: 1.5;
+        }
+
+        .search-result-snippet mark {
+            background: rgba(255,255,255,0.35);
+            color: white;
+            border-radius: 2px;
+        }
+
+        .search-empty {
+            font-size: 13px;
+            opacity: 0.7;
+            padding: 5px 2px;
+        }
+
+        /* Section reached from a search result */
+        .search-hit {
+            animation: searchHit 2s ease;
+        }
+
+        @keyframes searchHit {
+            from {
+                background: rgba(255, 221, 87, 0.6);
+            }
+            to {
+                background: transparent;
+            }
+        }
+
+        /* Reading progress */
+        .progress-panel {
+            margin-bottom: 25px;
+            padding: 12px 15px;
+            border-radius: 8px;
+            background: rgba(255,255,255,0.1);
+            font-size: 13px;
+        }
+
+        .reading-progress {
+            height: 6px;
+            margin: 6px 0 10px;
+            border-radius: 3px;
+            background: rgba(255,255,255,0.2);
+            overflow: hidden;
+        }
+
+        .reading-progress-fill {
+            width: 0;
+            height: 100%;
+            background: white;
+            transition: width 0.3s ease;
+        }
+
+        .nav-group .reading-progress {
+            height: 4px;
+            margin-top: -4px;
+        }
+
+        .nav-group-count {
+            float: right;
+        }
+
+        .resume-link {
+            display: block;
+            margin-bottom: 8px;
+            color: white;
+            font-weight: 600;
+            text-decoration: none;
+        }
+
+        .resume-link[hidden] {
+            display: none;
+        }
+
+        .resume-link:hover {
+            color: white;
+            text-decoration: underline;
+        }
+
+        .bookmarks summary {
+            cursor: pointer;
+            margin-bottom: 6px;
+        }
+
+        .bookmark-item {
+            display: flex;
+            align-items: flex-start;
+            gap: 6px;
+            margin: 4px 0;
+        }
+
+        .bookmark-item a {
+            flex: 1;
+            color: white;
+            text-decoration: none;
+            line-height: 1.4;
+        }
+
+        .bookmark-item a:hover {
+            color: white;
+            text-decoration: underline;
+        }
+
+        .bookmark-item small {
+            display: block;
+            opacity: 0.7;
+        }
+
+        .bookmark-item button,
+        .progress-actions button {
+            border: 1px solid rgba(255,255,255,0.3);
+            background: rgba(255,255,255,0.1);
+            color: white;
+            border-radius: 4px;
+            cursor: pointer;
+            font-size: 12px;
+            padding: 2px 8px;
+        }
+
+        .progress-actions {
+            display: flex;
+            gap: 6px;
+            margin-top: 10px;
+        }
+
+        .progress-status {
+            margin-top: 6px;
+            opacity: 0.85;
+        }
+
+        .progress-status:empty {
+            display: none;
+        }
+
+        .nav-item.completed::after {
+            content: "✓";
+            float: right;
+            font-weight: 700;
+        }
+
+        .complete-toggle {
+            margin-top: 40px;
+            padding: 10px 20px;
+            border: 2px solid ${theme.accent};
+            border-radius: 8px;
+            background: white;
+            color: ${theme.accent};
+            font-size: 15px;
+            font-weight: 600;
+            cursor: pointer;
+        }
+
+        .complete-toggle.done {
+            background: ${theme.accent};
+            color: white;
+        }
+
+        .bookmark-toggle {
+            margin-left: 10px;
+            border: none;
+            background: none;
+            color: ${theme.accent};
+            font-size: 0.7em;
+            vertical-align: middle;
+            cursor: pointer;
+            opacity: 0;
+            transition: opacity 0.2s ease;
+        }
+
+        h2:hover .bookmark-toggle,
+        h3:hover .bookmark-toggle,
+        .bookmark-toggle:focus-visible,
+        .bookmark-toggle[aria-pressed="true"] {
+            opacity: 1;
+        }
+    </style>
+</head>
+<body>
+    <div class="progress-bar" id="progressBar"></div>
+    
+    <div class="container">
+        <aside class="sidebar">
+            <h1>${escapeHtml(manifest.heading)}</h1>
+            <p>${escapeHtml(manifest.tagline)}</p>
+            
+            <div class="search-box">
+                <input type="search" id="searchInput" placeholder="Search all modules..." oninput="searchModules()" autocomplete="off">
+                <div class="search-results" id="searchResults"></div>
+            </div>
+            ${filtersHtml}
+
+            <div class="progress-panel">
+                <div class="progress-summary" id="progressSummary"></div>
+                <div class="reading-progress"><div class="reading-progress-fill" id="progressOverall"></div></div>
+                <a href="#" class="resume-link" id="resumeLink" hidden></a>
+                <details class="bookmarks">
+                    <summary>🔖 Bookmarks (<span id="bookmarkCount">0</span>)</summary>
+                    <div id="bookmarkList"></div>
+                </details>
+                <div class="progress-actions">
+                    <button type="button" onclick="exportProgress()">Export progress</button>
+                    <button type="button" onclick="document.getElementById('progressFile').click()">Import</button>
+                    <input type="file" id="progressFile" accept=".json,application/json" hidden onchange="importProgress(this)">
+                </div>
+                <div class="progress-status" id="progressStatus" role="status"></div>
+            </div>
+            
+            <nav id="navigation">
+                ${navHtml}
+            </nav>
+        </aside>
+
+        <main class="main-content">
+            ${mainHtml}
+        </main>
+    </div>
+
+    <button class="scroll-top" id="scrollTop" onclick="scrollToTop()">↑</button>
+
+    <script>
+        // Pages mode has one file per module; the single-page hub routes on location.hash
+        const PAGE_MODE = ${pages};
+
+        function moduleHref(moduleId, anchorId) {
+            if (PAGE_MODE) {
+                return moduleId + '.html' + (anchorId ? '#' + anchorId : '');
+            }
+            return '#' + (anchorId || moduleId);
+        }
+
+        function flashSection(anchor) {
+            anchor.classList.remove('search-hit');
+            void anchor.offsetWidth;
+            anchor.classList.add('search-hit');
+        }
+
+        // anchorId scrolls to a section inside the module, scrollTop to a
+        // saved position, and neither to the top
+        function showModule(moduleId, anchorId, scrollTop) {
+            // Hide all modules
+            document.querySelectorAll('.module-content').forEach(el => {
+                el.classList.remove('active');
+            });
+
+            // Show selected module
+            const selectedModule = document.getElementById(moduleId);
+            if (selectedModule) {
+                selectedModule.classList.add('active');
+            }
+
+            // Update nav active state
+            document.querySelectorAll('.nav-item').forEach(el => {
+                el.classList.toggle('active', el.dataset.module === moduleId);
+            });
+
+            const anchor = anchorId && document.getElementById(anchorId);
+            if (anchor) {
+                anchor.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                flashSection(anchor);
+            } else if (scrollTop) {
+                window.scrollTo({ top: scrollTop });
+            } else {
+                // Scroll to top
+                window.scrollTo({ top: 0, behavior: 'smooth' });
+            }
+            rememberPosition();
+        }
+
+        // A malformed escape such as #%E0 is kept as it is instead of throwing
+        function safeDecode(text) {
+            try {
+                return decodeURIComponent(text);
+            } catch (error) {
+                return text;
+            }
+        }
+
+        // The hash names a module or a heading inside one; anything else
+        // falls back to the first module
+        function showFromHash() {
+            const target = safeDecode(location.hash.slice(1));
+            const element = target && document.getElementById(target);
+            const module = element && element.closest('.module-content');
+
+            if (!module) {
+                const first = document.querySelector('.module-content');
+                if (first) {
+                    showModule(first.id);
+                }
+                return;
+            }
+            showModule(module.id, element === module ? null : element.id);
+        }
+
+        // Opening the hub without a hash, or reloading the module last read,
+        // goes back to where the reader left off
+        document.addEventListener('DOMContentLoaded', () => {
+            addBookmarkButtons();
+            renderProgress();
+
+            const target = safeDecode(location.hash.slice(1));
+            const last = progress.last;
+            if (!PAGE_MODE) {
+                if (last && (!target || target === last.module)) {
+                    history.replaceState(null, '', '#' + last.module);
+                    showModule(last.module, null, last.scroll);
+                } else {
+                    showFromHash();
+                }
+            } else if (target) {
+                const anchor = document.getElementById(target);
+                if (anchor) {
+                    flashSection(anchor);
+                }
+            } else if (last && last.module === currentModuleId()) {
+                window.scrollTo({ top: last.scroll });
+            }
+        });
+
+        // Back/forward and in-page links only change the hash
+        window.addEventListener('hashchange', () => {
+            if (!PAGE_MODE) {
+                showFromHash();
+            }
+        });
+
+        // Nav filter by difficulty and tag; groups with nothing left are hidden
+        function filterModules() {
+            const difficultyFilter = document.getElementById('difficultyFilter');
+            const tagFilter = document.getElementById('tagFilter');
+            if (!difficultyFilter || !tagFilter) {
+                return;
+            }
+
+            const difficulty = difficultyFilter.value;
+            const tag = tagFilter.value;
+
+            document.querySelectorAll('.nav-item').forEach(item => {
+                const matches = (!difficulty || item.dataset.difficulty === difficulty) &&
+                    (!tag || item.dataset.tags.split(' ').includes(tag));
+                item.classList.toggle('filtered-out', !matches);
+            });
+
+            document.querySelectorAll('.nav-group').forEach(group => {
+                group.classList.toggle('filtered-out', !group.querySelector('.nav-item:not(.filtered-out)'));
+            });
+        }
+
+        function filterByTag(event, tag) {
+            event.preventDefault();
+            document.getElementById('tagFilter').value = tag;
+            filterModules();
+        }
+
+        // Tag badges carry their tag as data, so no tag text ends up in script
+        document.addEventListener('click', event => {
+            const badge = event.target.closest('.badge-tag');
+            if (badge) {
+                filterByTag(event, badge.dataset.tag);
+            }
+        });
+
+        // Full-text search over the build-time index (window.HUB_SEARCH_INDEX)
+        let searchResults = [];
+
+        function escapeHtml(text) {
+            return text
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;');
+        }
+
+        function escapeRegExp(text) {
+            return text.replace(/[.*+?^$()|[\\]\\\\{}]/g, '\\\\$&');
+        }
+
+        function countMatches(haystack, needle) {
+            let count = 0;
+            let index = haystack.indexOf(needle);
+            while (index !== -1) {
+                count++;
+                index = haystack.indexOf(needle, index + needle.length);
+            }
+            return count;
+        }
+
+        // Every term must appear somewhere in the section. Heading matches
+        // weigh most, and the whole query as a phrase earns a bonus.
+        function scoreSection(section, terms, phrase) {
+            const title = section.title.toLowerCase();
+            const text = section.text.toLowerCase();
+            const code = section.code.toLowerCase();
+            let score = 0;
+
+            for (const term of terms) {
+                const inTitle = countMatches(title, term);
+                const inBody = countMatches(text, term) + countMatches(code, term);
+                if (!inTitle && !inBody) {
+                    return 0;
+                }
+                score += inTitle * 10 + Math.min(inBody, 5);
+            }
+
+            if (terms.length > 1) {
+                if (title.includes(phrase)) score += 20;
+                if (text.includes(phrase) || code.includes(phrase)) score += 10;
+            }
+            return score;
+        }
+
+        // Short excerpt around the first match, with every term highlighted
+        function makeSnippet(section, terms, phrase) {
+            const source = section.text.toLowerCase().includes(terms[0]) ? section.text : section.code;
+            const lower = source.toLowerCase();
+            let position = lower.indexOf(phrase);
+            if (position === -1) position = lower.indexOf(terms[0]);
+            if (position === -1) position = 0;
+
+            const start = Math.max(0, position - 60);
+            const end = Math.min(source.length, position + 140);
+            const excerpt = (start > 0 ? '…' : '') + source.slice(start, end) + (end < source.length ? '…' : '');
+            const pattern = new RegExp('(' + terms.map(escapeRegExp).join('|') + ')', 'gi');
+
+            return excerpt.split(pattern).map((part, i) => {
+                return i % 2 ? \`<mark>\${escapeHtml(part)}</mark>\` : escapeHtml(part);
+            }).join('');
+        }
+
+        function searchModules() {
+            const query = document.getElementById('searchInput').value.trim().toLowerCase();
+            const container = document.getElementById('searchResults');
+            const terms = query.split(/\\s+/).filter(Boolean);
+            const index = window.HUB_SEARCH_INDEX;
+
+            if (!terms.length || !index) {
+                searchResults = [];
+                container.innerHTML = '';
+                container.classList.remove('visible');
+                return;
+            }
+
+            searchResults = index.sections
+                .map(section => ({ section, score: scoreSection(section, terms, query) }))
+                .filter(result => result.score > 0)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, 20)
+                .map(result => result.section);
+
+            container.innerHTML = searchResults.length ? searchResults.map((section, i) => {
+                const module = index.modules[section.m];
+                return \`
+                    <a href="\${moduleHref(module.id, section.id)}" class="search-result" onclick="openSearchResult(event, \${i})">
+                        <div class="search-result-title">\${escapeHtml(section.title)}</div>
+                        <div class="search-result-module">\${escapeHtml(module.title)}</div>
+                        <div class="search-result-snippet">\${makeSnippet(section, terms, query)}</div>
+                    </a>\`;
+            }).join('') : '<div class="search-empty">No matches</div>';
+            container.classList.add('visible');
+        }
+
+        // Links navigate on their own; only re-show when the hash would not change
+        function openSearchResult(event, i) {
+            const section = searchResults[i];
+            const moduleId = window.HUB_SEARCH_INDEX.modules[section.m].id;
+            if (!PAGE_MODE && location.hash === moduleHref(moduleId, section.id)) {
+                event.preventDefault();
+                showModule(moduleId, section.id);
+            }
+        }
+
+        // Reading progress, saved in localStorage per hub: completed modules,
+        // bookmarked sections and the last module read with its scroll
+        // position. Export/import moves it between machines as JSON.
+        const HUB_ID = ${JSON.stringify(manifest.id)};
+        const PROGRESS_KEY = 'learning-progress:' + HUB_ID;
+        const MODULE_TITLES = new Map(Array.from(document.querySelectorAll('#navigation .nav-item'), item => {
+            return [item.dataset.module, item.textContent];
+        }));
+
+        // Keep only well-formed entries for modules this hub has
+        function normalizeProgress(data) {
+            const completed = {};
+            Object.entries(data.completed || {}).forEach(([id, at]) => {
+                if (MODULE_TITLES.has(id)) {
+                    completed[id] = Number(at) || Date.now();
+                }
+            });
+            const bookmarks = (Array.isArray(data.bookmarks) ? data.bookmarks : [])
+                .filter(b => b && MODULE_TITLES.has(b.module) && typeof b.anchor === 'string' && typeof b.title === 'string')
+                .map(b => ({ module: b.module, anchor: b.anchor, title: b.title, at: Number(b.at) || Date.now() }));
+            const last = data.last && MODULE_TITLES.has(data.last.module)
+                ? { module: data.last.module, scroll: Math.max(0, Number(data.last.scroll) || 0), at: Number(data.last.at) || 0 }
+                : null;
+            return { completed, bookmarks, last };
+        }
+
+        function loadProgress() {
+            try {
+                const saved = JSON.parse(localStorage.getItem(PROGRESS_KEY));
+                if (saved && typeof saved === 'object') {
+                    return normalizeProgress(saved);
+                }
+            } catch (error) {
+                // Unreadable or blocked storage: start afresh
+            }
+            return { completed: {}, bookmarks: [], last: null };
+        }
+
+        let progress = loadProgress();
+
+        function saveProgress() {
+            try {
+                localStorage.setItem(PROGRESS_KEY, JSON.stringify(progress));
+            } catch (error) {
+                // Private browsing or full storage: progress lasts for this visit
+            }
+        }
+
+        function currentModuleId() {
+            const active = document.querySelector('.module-content.active');
+            return active && MODULE_TITLES.has(active.id) ? active.id : null;
+        }
+
+        function rememberPosition() {
+            const module = currentModuleId();
+            if (module) {
+                progress.last = { module, scroll: Math.round(window.scrollY), at: Date.now() };
+                saveProgress();
+                renderResumeLink();
+            }
+        }
+
+        let positionTimer = null;
+        window.addEventListener('scroll', () => {
+            if (!positionTimer) {
+                positionTimer = setTimeout(() => {
+                    positionTimer = null;
+                    rememberPosition();
+                }, 500);
+            }
+        }, { passive: true });
+        window.addEventListener('pagehide', rememberPosition);
+
+        // Another tab of the same hub saved progress
+        window.addEventListener('storage', event => {
+            if (event.key === PROGRESS_KEY) {
+                progress = loadProgress();
+                renderProgress();
+            }
+        });
+
+        function toggleComplete(moduleId) {
+            if (progress.completed[moduleId]) {
+                delete progress.completed[moduleId];
+            } else {
+                progress.completed[moduleId] = Date.now();
+            }
+            saveProgress();
+            renderProgress();
+        }
+
+        function toggleBookmark(moduleId, anchorId, title) {
+            const index = progress.bookmarks.findIndex(b => b.anchor === anchorId);
+            if (index === -1) {
+                progress.bookmarks.push({ module: moduleId, anchor: anchorId, title, at: Date.now() });
+            } else {
+                progress.bookmarks.splice(index, 1);
+            }
+            saveProgress();
+            renderProgress();
+        }
+
+        // A bookmark button on every h2 and h3 of the modules
+        function addBookmarkButtons() {
+            document.querySelectorAll('.module-content').forEach(module => {
+                if (!MODULE_TITLES.has(module.id)) {
+                    return;
+                }
+                module.querySelectorAll('h2[id], h3[id]').forEach(heading => {
+                    const anchorLink = heading.querySelector('.heading-anchor');
+                    const title = heading.textContent.slice(anchorLink ? anchorLink.textContent.length : 0).trim();
+                    const button = document.createElement('button');
+                    button.type = 'button';
+                    button.className = 'bookmark-toggle';
+                    button.dataset.anchor = heading.id;
+                    button.addEventListener('click', () => toggleBookmark(module.id, heading.id, title));
+                    heading.appendChild(button);
+                });
+            });
+        }
+
+        function renderResumeLink() {
+            const link = document.getElementById('resumeLink');
+            const last = progress.last;
+            link.hidden = !last || last.module === currentModuleId();
+            if (!link.hidden) {
+                link.href = moduleHref(last.module);
+                link.textContent = '↩ Resume: ' + MODULE_TITLES.get(last.module);
+            }
+        }
+
+        function renderBookmarks() {
+            const list = document.getElementById('bookmarkList');
+            document.getElementById('bookmarkCount').textContent = progress.bookmarks.length;
+            list.replaceChildren(...progress.bookmarks.map(bookmark => {
+                const item = document.createElement('div');
+                item.className = 'bookmark-item';
+                const link = document.createElement('a');
+                link.href = moduleHref(bookmark.module, bookmark.anchor);
+                link.textContent = bookmark.title;
+                const module = document.createElement('small');
+                module.textContent = MODULE_TITLES.get(bookmark.module);
+                link.appendChild(module);
+                // Following the link would not change the hash
+                link.addEventListener('click', event => {
+                    if (!PAGE_MODE && location.hash === link.hash) {
+                        event.preventDefault();
+                        showModule(bookmark.module, bookmark.anchor);
+                    }
+                });
+                const remove = document.createElement('button');
+                remove.type = 'button';
+                remove.textContent = '×';
+                remove.title = 'Remove bookmark';
+                remove.addEventListener('click', () => toggleBookmark(bookmark.module, bookmark.anchor, bookmark.title));
+                item.append(link, remove);
+                return item;
+            }));
+        }
+
+        // Checkmarks in the sidebar, a bar per group and one for the hub
+        function renderProgress() {
+            const isDone = id => Boolean(progress.completed[id]);
+            const done = [...MODULE_TITLES.keys()].filter(isDone).length;
+
+            document.getElementById('progressSummary').textContent = done + ' of ' + MODULE_TITLES.size + ' modules completed';
+            document.getElementById('progressOverall').style.width = (done / MODULE_TITLES.size * 100) + '%';
+            document.querySelectorAll('.nav-item[data-module]').forEach(item => {
+                item.classList.toggle('completed', isDone(item.dataset.module));
+            });
+            document.querySelectorAll('.nav-group').forEach(group => {
+                const items = group.querySelectorAll('.nav-item');
+                const finished = group.querySelectorAll('.nav-item.completed').length;
+                group.querySelector('.nav-group-count').textContent = finished + '/' + items.length;
+                group.querySelector('.reading-progress-fill').style.width = (finished / items.length * 100) + '%';
+            });
+            document.querySelectorAll('.complete-toggle').forEach(button => {
+                const complete = isDone(button.dataset.module);
+                button.classList.toggle('done', complete);
+                button.textContent = complete ? '✓ Completed' : 'Mark as complete';
+                button.setAttribute('aria-pressed', complete);
+            });
+            const bookmarked = new Set(progress.bookmarks.map(b => b.anchor));
+            document.querySelectorAll('.bookmark-toggle').forEach(button => {
+                const marked = bookmarked.has(button.dataset.anchor);
+                button.textContent = marked ? '★' : '☆';
+                button.title = marked ? 'Remove bookmark' : 'Bookmark this section';
+                button.setAttribute('aria-pressed', marked);
+            });
+            renderBookmarks();
+            renderResumeLink();
+        }
+
+        function setProgressStatus(text) {
+            document.getElementById('progressStatus').textContent = text;
+        }
+
+        function exportProgress() {
+            const data = { format: 'learning-progress', version: 1, hub: HUB_ID, exportedAt: new Date().toISOString(), ...progress };
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+            link.download = HUB_ID + '-progress.json';
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        }
+
+        // Merge an exported file into this browser's progress: completed
+        // modules and bookmarks add up, the more recent resume point wins
+        function importProgress(input) {
+            const file = input.files[0];
+            input.value = '';
+            if (!file) {
+                return;
+            }
+            file.text().then(text => {
+                const data = JSON.parse(text);
+                if (!data || data.format !== 'learning-progress') {
+                    throw new Error('That file is not an exported progress file');
+                }
+                if (data.hub !== HUB_ID) {
+                    throw new Error('That file holds progress for "' + data.hub + '", not this hub');
+                }
+                const incoming = normalizeProgress(data);
+                Object.assign(progress.completed, incoming.completed);
+                incoming.bookmarks.forEach(bookmark => {
+                    if (!progress.bookmarks.some(b => b.anchor === bookmark.anchor)) {
+                        progress.bookmarks.push(bookmark);
+                    }
+                });
+                if (incoming.last && (!progress.last || incoming.last.at > progress.last.at)) {
+                    progress.last = incoming.last;
+                }
+                saveProgress();
+                renderProgress();
+                setProgressStatus('Imported ' + Object.keys(incoming.completed).length + ' completed modules and ' +
+                    incoming.bookmarks.length + ' bookmarks');
+            }).catch(error => {
+                setProgressStatus(error instanceof SyntaxError ? 'That file is not valid JSON' : error.message);
+            });
+        }
+
+        // Progress bar
+        window.addEventListener('scroll', () => {
+            const winScroll = document.body.scrollTop || document.documentElement.scrollTop;
+            const height = document.documentElement.scrollHeight - document.documentElement.clientHeight;
+            const scrolled = (winScroll / height) * 100;
+            document.getElementById('progressBar').style.transform = \`scaleX(\${scrolled / 100})\`;
+
+            // Show/hide scroll to top button
+            const scrollTop = document.getElementById('scrollTop');
+            if (winScroll > 300) {
+                scrollTop.classList.add('visible');
+            } else {
+                scrollTop.classList.remove('visible');
+            }
+        });
+
+        function scrollToTop() {
+            window.scrollTo({ top: 0, behavior: 'smooth' });
+        }
+
+        // Keyboard navigation
+        document.addEventListener('keydown', (e) => {
+            if (e.target.matches('input, textarea')) {
+                return;
+            }
+
+            // Follow the active module's previous/next link
+            const direction = { ArrowLeft: 'prev', ArrowRight: 'next' }[e.key];
+            const link = direction && document.querySelector(\`.module-content.active .pager-\${direction}\`);
+            if (link) {
+                link.click();
+            }
+        });
+    </script>
+</body>
+</html>`;
+}
+
+module.exports = {
+    DEFAULT_THEME,
+    moduleHref,
+    renderPage,
+    renderModulePage,
+    renderIndexPage
+};
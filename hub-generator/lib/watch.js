@@ -0,0 +1,74 @@
+const fs = require('fs');
+const path = require('path');
+const { writeHub } = require('./generator');
+const { startDevServer } = require('./dev-server');
+
+const DEBOUNCE_MS = 100;
+
+// URL path of a hub's output; a trailing slash covers every page in pages mode
+function pageUrl(root, target) {
+    const page = '/' + path.relative(root, target.outputPath).split(path.sep).join('/');
+    return target.pages ? `${page}/` : page;
+}
+
+// Rebuild one hub, re-rendering only the modules whose files changed. A
+// failed build is reported and the previous output is left in place.
+function rebuild(target, server, root) {
+    const started = Date.now();
+
+    try {
+        const { rendered, modules } = writeHub(target.manifest, target.outputPath, {
+            cache: target.cache,
+            pages: target.pages
+        });
+        const changed = rendered.length === modules.length ? 'all modules' : rendered.join(', ') || 'no modules';
+        console.log(`🔁 ${path.basename(target.outputPath)}: rebuilt ${changed} in ${Date.now() - started}ms`);
+
+        server.reload(pageUrl(root, target));
+    } catch (error) {
+        console.error(`❌ ${path.basename(target.outputPath)}: ${error.message}`);
+    }
+}
+
+// Build every hub, serve the output directory and rebuild whenever a
+// markdown file in a hub's source directory changes
+function watchHubs(targets, { port }) {
+    const root = path.dirname(targets[0].outputPath);
+    const server = startDevServer({ root, port });
+
+    targets.forEach(target => {
+        target.cache = new Map();
+        rebuild(target, server, root);
+
+        if (path.relative(root, target.outputPath).startsWith('..')) {
+            console.warn(`⚠️  ${target.outputPath} is outside ${root} and will not be served`);
+        }
+
+        let timer = null;
+        fs.watch(target.manifest.sourceDir, (eventType, filename) => {
+            if (filename && !filename.endsWith('.md')) {
+                return;
+            }
+            clearTimeout(timer);
+            timer = setTimeout(() => rebuild(target, server, root), DEBOUNCE_MS);
+        });
+    });
+
+    server.server.on('listening', () => {
+        console.log('');
+        console.log(`👀 Watching for changes, serving ${root}`);
+        targets.forEach(target => {
+            console.log(`🌐 http://localhost:${port}${pageUrl(root, target)}`);
+        });
+    });
+    server.server.on('error', error => {
+        console.error(`❌ Dev server: ${error.message}`);
+        process.exit(1);
+    });
+
+    return server;
+}
+
+module.exports = {
+    watchHubs
+};
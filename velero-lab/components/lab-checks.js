@@ -0,0 +1,140 @@
+/*
+    Lab Step Checks
+
+    Adds a "Verify this step" box to every step of a lab page that has checks
+    on the terminal server (terminal-server/checks/<lab>.json). The checks run
+    in the learner's terminal session for the lab, so the page's terminal must
+    be open; results show pass/fail per check with a hint for failures.
+
+    Usage:
+    <script src="../components/lab-checks.js" data-lab="velero-lab2"></script>
+
+    data-server overrides the terminal server URL (default http://localhost:7681).
+*/
+(function () {
+    const script = document.currentScript;
+    const lab = script.dataset.lab;
+    const server = script.dataset.server || 'http://localhost:7681';
+
+    const ICONS = { pass: '✅', fail: '❌', error: '⚠️', pending: '⏳', unknown: '⬜' };
+
+    function stepNumber(stepElement) {
+        const heading = stepElement.querySelector('h2');
+        const match = heading && /Step (\d+)/.exec(heading.textContent);
+        return match ? Number(match[1]) : null;
+    }
+
+    function element(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) {
+            node.className = className;
+        }
+        if (text !== undefined) {
+            node.textContent = text;
+        }
+        return node;
+    }
+
+    function renderCheck(item, check, result) {
+        const status = result ? result.status : 'unknown';
+        item.className = 'lab-check lab-check-' + status;
+        item.replaceChildren(element('span', 'lab-check-icon', ICONS[status]), element('span', 'lab-check-title', check.title));
+
+        if (result && result.status !== 'pass') {
+            if (result.reason) {
+                item.appendChild(element('div', 'lab-check-reason', result.reason));
+            }
+            if (result.hint) {
+                item.appendChild(element('div', 'lab-check-hint', '💡 ' + result.hint));
+            }
+            if (result.output) {
+                const details = element('details', 'lab-check-output');
+                details.appendChild(element('summary', null, 'Command output'));
+                details.appendChild(element('pre', null, result.output));
+                item.appendChild(details);
+            }
+        }
+    }
+
+    function addStepBox(stepElement, step, checks) {
+        const box = element('div', 'lab-checks');
+        const header = element('div', 'lab-checks-header');
+        const title = element('h4', null, '🔎 Verify this step');
+        const button = element('button', 'lab-checks-btn', 'Check');
+        const message = element('div', 'lab-checks-message');
+        const list = element('ul', 'lab-checks-list');
+        header.append(title, button);
+        box.append(header, message, list);
+
+        const items = new Map();
+        checks.forEach(check => {
+            const item = element('li');
+            renderCheck(item, check, null);
+            items.set(check.id, item);
+            list.appendChild(item);
+        });
+
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            message.textContent = '';
+            checks.forEach(check => renderCheck(items.get(check.id), check, { status: 'pending' }));
+            try {
+                const response = await fetch(server + '/checks/' + encodeURIComponent(lab) + '/run?step=' + step, {
+                    method: 'POST',
+                    credentials: 'include'
+                });
+                const body = await response.json();
+                if (!response.ok) {
+                    throw new Error(body.error || 'Checks failed with HTTP ' + response.status);
+                }
+                body.results.forEach(result => {
+                    const check = checks.find(candidate => candidate.id === result.id);
+                    renderCheck(items.get(result.id), check, result);
+                });
+                message.textContent = body.passed === body.total
+                    ? '🎉 Step ' + step + ' complete!'
+                    : body.passed + ' of ' + body.total + ' checks passed';
+            } catch (error) {
+                checks.forEach(check => renderCheck(items.get(check.id), check, null));
+                message.textContent = 'Could not run the checks: ' + error.message;
+            } finally {
+                button.disabled = false;
+            }
+        });
+
+        stepElement.appendChild(box);
+    }
+
+    async function init() {
+        let definition;
+        try {
+            const response = await fetch(server + '/checks/' + encodeURIComponent(lab), { credentials: 'include' });
+            if (response.status === 404) {
+                return;
+            }
+            if (!response.ok) {
+                throw new Error('HTTP ' + response.status);
+            }
+            definition = await response.json();
+        } catch (error) {
+            // Terminal server not running or not signed in yet: try again
+            // later, the page works without checks meanwhile
+            setTimeout(init, 10000);
+            return;
+        }
+
+        document.querySelectorAll('.step').forEach(stepElement => {
+            const step = stepNumber(stepElement);
+            const checks = definition.checks.filter(check => check.step === step);
+            if (step !== null && checks.length) {
+                addStepBox(stepElement, step, checks);
+            }
+        });
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', init);
+    } else {
+        init();
+    }
+})();
@@ -5,7 +5,8 @@
 
 set -e
 
-LAB_DIR="/Users/kondapus/Desktop/glcp/hol/velero-lab"
+# The directory this script is in, so it runs from any checkout and any cwd
+LAB_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 LAB_PORT=8000
 TERMINAL_PORT=7681
 
@@ -53,7 +54,8 @@ trap cleanup SIGINT SIGTERM
 if [ "$TERMINAL_METHOD" = "ttyd" ]; then
     echo ""
     echo "🚀 Starting ttyd terminal server on port $TERMINAL_PORT..."
-    ttyd -p $TERMINAL_PORT -W zsh &
+    TTYD_SHELL="$(command -v zsh || command -v bash || echo sh)"
+    ttyd -p $TERMINAL_PORT -W "$TTYD_SHELL" &
     TERMINAL_PID=$!
     sleep 2
     echo "✓ Terminal server running at http://localhost:$TERMINAL_PORT"
@@ -0,0 +1,800 @@
+const express = require('express');
+const expressWs = require('express-ws');
+const path = require('path');
+const logger = require('./logger');
+const { createAuth } = require('./auth');
+const { createSandbox } = require('./sandbox');
+const { SessionError, createSessionStore } = require('./sessions');
+const { createRecorder } = require('./recording');
+const { loadChecks, runChecks, describeLab } = require('./checks');
+const { loadProfiles } = require('./profiles');
+const { FileError, listFiles, downloadFile, uploadFile } = require('./files');
+const { createMetrics } = require('./metrics');
+const { createHealthCheck } = require('./health');
+const { PROTOCOL, ProtocolError, isDimension, parseClientFrame, frames } = require('./protocol');
+const { createNodePtyBackend } = require('./pty');
+
+// The terminal server directory, which static files are served from
+const ROOT = path.join(__dirname, '..');
+
+// WebSocket close codes for sessions that cannot be opened
+const CLOSE_CODES = {
+  'bad-session': 1008,
+  'session-ended': 1013,
+  'too-many-sessions': 1013,
+  'too-many-user-sessions': 1013
+};
+// HTTP statuses for file transfers that fail
+const FILE_STATUS = {
+  'bad-path': 400,
+  'not-found': 404,
+  exists: 409,
+  'too-large': 413,
+  unsupported: 501,
+  failed: 500
+};
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// The terminal page at /. ?session= and ?lab= are passed on to /terminal.
+function terminalPage(userName, recorded) {
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>Terminal</title>
+    <link rel="stylesheet" href="/xterm/xterm.css" />
+    <style>
+        body {
+            margin: 0;
+            padding: 20px;
+            background: #1e1e1e;
+            font-family: 'Courier New', monospace;
+        }
+        #terminal {
+            width: 100%;
+            height: 600px;
+        }
+        .header {
+            color: #fff;
+            margin-bottom: 20px;
+        }
+        #idle-banner {
+            display: none;
+            background: #fbbf24;
+            color: #1e1e1e;
+            padding: 10px 15px;
+            margin-bottom: 10px;
+            border-radius: 4px;
+        }
+        .toolbar {
+            display: flex;
+            gap: 10px;
+            align-items: center;
+            margin-bottom: 10px;
+            color: #aaa;
+        }
+        .toolbar button {
+            background: #2d2d2d;
+            color: #f0f0f0;
+            border: 1px solid #555;
+            border-radius: 4px;
+            padding: 4px 10px;
+            font-family: inherit;
+            cursor: pointer;
+        }
+        .toolbar button:disabled {
+            opacity: 0.5;
+            cursor: default;
+        }
+        #files-panel {
+            display: none;
+            background: #2d2d2d;
+            color: #f0f0f0;
+            padding: 10px 15px;
+            margin-bottom: 10px;
+            border-radius: 4px;
+            max-height: 200px;
+            overflow-y: auto;
+        }
+        #files-panel ul {
+            list-style: none;
+            margin: 5px 0 0;
+            padding: 0;
+        }
+        #files-panel a {
+            color: #63b3ed;
+            cursor: pointer;
+        }
+        #terminal.drop-target {
+            outline: 2px dashed #63b3ed;
+        }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h2>Interactive Terminal - Velero Lab</h2>
+        <p>Connected to your local shell as ${escapeHtml(userName)}${recorded ? ' (recorded, <a href="/replay" target="_blank" style="color: #63b3ed;">replays</a>)' : ''}</p>
+    </div>
+    <div id="idle-banner"></div>
+    <div class="toolbar">
+        <button id="upload-button" disabled>⬆️ Upload</button>
+        <button id="files-button" disabled>📁 Files</button>
+        <input type="file" id="upload-input" multiple hidden />
+        <span id="transfer-status">Drop files on the terminal to upload them to its working directory</span>
+    </div>
+    <div id="files-panel">
+        <strong id="files-dir"></strong>
+        <ul id="files-list"></ul>
+    </div>
+    <div id="terminal"></div>
+    
+    <script src="/xterm-js/xterm.js"></script>
+    <script src="/xterm-addon-fit/xterm-addon-fit.js"></script>
+    <script src="/xterm-addon-web-links/xterm-addon-web-links.js"></script>
+    <script>
+        const term = new Terminal({
+            cursorBlink: true,
+            theme: {
+                background: '#1e1e1e',
+                foreground: '#f0f0f0'
+            }
+        });
+        
+        const fitAddon = new FitAddon.FitAddon();
+        term.loadAddon(fitAddon);
+        term.loadAddon(new WebLinksAddon.WebLinksAddon());
+        
+        term.open(document.getElementById('terminal'));
+        fitAddon.fit();
+        
+        // Reloading the page reattaches to the same shell. ?lab= sets up a
+        // new shell with that lab's profile; the server names the session
+        // after the lab unless ?session= says otherwise.
+        const pageParams = new URLSearchParams(location.search);
+        const socketParams = new URLSearchParams({ cols: term.cols, rows: term.rows });
+        ['session', 'lab'].forEach(key => {
+            if (pageParams.get(key)) {
+                socketParams.set(key, pageParams.get(key));
+            }
+        });
+        const ws = new WebSocket('ws://' + location.host + '/terminal?' + socketParams, ${JSON.stringify(PROTOCOL)});
+        let exitReported = false;
+
+        function send(frame) {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify(frame));
+            }
+        }
+
+        function sendSize() {
+            send({ type: 'resize', cols: term.cols, rows: term.rows });
+        }
+        
+        ws.onopen = () => {
+            console.log('WebSocket connected');
+            term.writeln('\\x1b[32mConnected to terminal server\\x1b[0m');
+            sendSize();
+        };
+        
+        ws.onmessage = (event) => {
+            const frame = JSON.parse(event.data);
+            if (frame.type === 'output') {
+                term.write(frame.data);
+            } else if (frame.type === 'session') {
+                enableFiles(frame.name);
+                if (frame.resumed) {
+                    term.writeln('\\x1b[32mReattached to session ' + frame.name + '\\x1b[0m');
+                }
+            } else if (frame.type === 'idle-warning') {
+                showIdleWarning(frame.secondsLeft);
+            } else if (frame.type === 'notice') {
+                term.write('\\r\\n\\x1b[33m📢 ' + frame.from + ': ' + frame.message + '\\x1b[0m\\r\\n');
+            } else if (frame.type === 'join-request') {
+                // Ask before an instructor can type in this terminal
+                const accept = confirm(frame.from + ' wants to join your terminal and type in it. Allow?');
+                send({ type: 'join-response', requestId: frame.requestId, accept });
+            } else if (frame.type === 'exit') {
+                exitReported = true;
+                const reason = frame.signal ? 'signal ' + frame.signal : 'code ' + frame.code;
+                const color = frame.code === 0 && !frame.signal ? '32' : '31';
+                term.writeln('\\r\\n\\x1b[' + color + 'mShell exited with ' + reason + '\\x1b[0m');
+            } else if (frame.type === 'error') {
+                term.writeln('\\r\\n\\x1b[31mError: ' + frame.message + '\\x1b[0m');
+            }
+        };
+        
+        ws.onerror = (error) => {
+            console.error('WebSocket error:', error);
+            term.writeln('\\x1b[31mConnection error\\x1b[0m');
+        };
+        
+        ws.onclose = () => {
+            console.log('WebSocket closed');
+            clearInterval(heartbeat);
+            hideIdleWarning();
+            if (!exitReported) {
+                term.writeln('\\x1b[31mConnection closed\\x1b[0m');
+            }
+        };
+        
+        term.onData((data) => {
+            hideIdleWarning();
+            send({ type: 'input', data });
+        });
+
+        // Counts down until an idle session is closed; typing anything keeps it
+        const idleBanner = document.getElementById('idle-banner');
+        let idleCountdown = null;
+
+        function showIdleWarning(secondsLeft) {
+            let remaining = secondsLeft;
+            const render = () => {
+                idleBanner.textContent = '⏰ This terminal has been idle and will close in ' + remaining + ' seconds. Press any key in it to keep it open.';
+            };
+            clearInterval(idleCountdown);
+            render();
+            idleBanner.style.display = 'block';
+            idleCountdown = setInterval(() => {
+                remaining = Math.max(remaining - 1, 0);
+                render();
+            }, 1000);
+        }
+
+        function hideIdleWarning() {
+            clearInterval(idleCountdown);
+            idleBanner.style.display = 'none';
+        }
+        
+        // File transfer to and from the session's working directory. Uploads
+        // go to the directory open in the files panel.
+        const files = {
+            uploadButton: document.getElementById('upload-button'),
+            filesButton: document.getElementById('files-button'),
+            input: document.getElementById('upload-input'),
+            status: document.getElementById('transfer-status'),
+            panel: document.getElementById('files-panel'),
+            dir: document.getElementById('files-dir'),
+            list: document.getElementById('files-list')
+        };
+        let filesSession = null;
+        let filesDir = '';
+
+        function filesUrl(suffix, params) {
+            return '/sessions/' + encodeURIComponent(filesSession) + suffix + '?' + new URLSearchParams(params);
+        }
+
+        function joinPath(dir, name) {
+            return dir ? dir + '/' + name : name;
+        }
+
+        function enableFiles(name) {
+            filesSession = name;
+            files.uploadButton.disabled = false;
+            files.filesButton.disabled = false;
+        }
+
+        async function showFiles(dir) {
+            const response = await fetch(filesUrl('/files', { dir }));
+            const body = await response.json();
+            if (!response.ok) {
+                files.status.textContent = body.error;
+                return;
+            }
+            filesDir = body.dir === '.' ? '' : body.dir;
+            files.dir.textContent = '~ working directory' + (filesDir ? ' / ' + filesDir : '');
+            files.list.replaceChildren();
+            const entries = filesDir ? [{ name: '..', type: 'directory' }, ...body.entries] : body.entries;
+            entries.forEach(entry => {
+                const item = document.createElement('li');
+                const link = document.createElement('a');
+                if (entry.type === 'directory') {
+                    link.textContent = '📁 ' + entry.name + '/';
+                    link.addEventListener('click', () => {
+                        showFiles(entry.name === '..' ? filesDir.split('/').slice(0, -1).join('/') : joinPath(filesDir, entry.name));
+                    });
+                } else {
+                    link.textContent = '📄 ' + entry.name;
+                    link.href = filesUrl('/file', { path: joinPath(filesDir, entry.name) });
+                    link.download = entry.name;
+                }
+                item.appendChild(link);
+                files.list.appendChild(item);
+            });
+            files.panel.style.display = 'block';
+        }
+
+        async function upload(file) {
+            const path = joinPath(filesDir, file.name);
+            files.status.textContent = 'Uploading ' + file.name + '...';
+            let response = await fetch(filesUrl('/file', { path }), { method: 'PUT', body: file });
+            if (response.status === 409 && confirm(path + ' already exists in the terminal. Replace it?')) {
+                response = await fetch(filesUrl('/file', { path, overwrite: 'true' }), { method: 'PUT', body: file });
+            }
+            const body = await response.json();
+            files.status.textContent = response.ok ? 'Uploaded ' + body.path + ' (' + body.size + ' bytes)' : body.error;
+            if (response.ok && files.panel.style.display === 'block') {
+                showFiles(filesDir);
+            }
+        }
+
+        async function uploadAll(list) {
+            for (const file of list) {
+                await upload(file);
+            }
+            term.focus();
+        }
+
+        files.uploadButton.addEventListener('click', () => files.input.click());
+        files.input.addEventListener('change', () => {
+            uploadAll([...files.input.files]);
+            files.input.value = '';
+        });
+        files.filesButton.addEventListener('click', () => {
+            if (files.panel.style.display === 'block') {
+                files.panel.style.display = 'none';
+            } else {
+                showFiles(filesDir);
+            }
+        });
+
+        const terminalElement = document.getElementById('terminal');
+        terminalElement.addEventListener('dragover', (event) => {
+            if (filesSession) {
+                event.preventDefault();
+                terminalElement.classList.add('drop-target');
+            }
+        });
+        terminalElement.addEventListener('dragleave', () => terminalElement.classList.remove('drop-target'));
+        terminalElement.addEventListener('drop', (event) => {
+            event.preventDefault();
+            terminalElement.classList.remove('drop-target');
+            if (filesSession) {
+                uploadAll([...event.dataTransfer.files]);
+            }
+        });
+
+        // Handle resize
+        window.addEventListener('resize', () => {
+            fitAddon.fit();
+            sendSize();
+        });
+
+        // Keep idle connections alive through proxies
+        const heartbeat = setInterval(() => send({ type: 'ping', id: Date.now() }), 25000);
+    </script>
+</body>
+</html>
+  `;
+}
+
+// The terminal server as an Express app with its WebSocket routes, not yet
+// listening. `pty` is the PTY backend (lib/pty.js); tests pass a fake one.
+// Returns { app, sessions }.
+function createApp(config, { pty = createNodePtyBackend() } = {}) {
+  const auth = createAuth(config);
+  const metrics = createMetrics();
+  const health = createHealthCheck({
+    shell: config.shell,
+    pty,
+    container: config.sandbox.type === 'local-container' ? config.sandbox.container : null
+  });
+  const recorder = createRecorder(config.recording);
+  const labs = loadChecks(config.checks);
+  const profiles = loadProfiles(config.profiles);
+  const sessions = createSessionStore({
+    sandbox: createSandbox(config.sandbox),
+    settings: config.sessions,
+    lifetimeMinutes: config.sandbox.limits.lifetimeMinutes,
+    recorder,
+    metrics,
+    pty
+  });
+
+  const app = express();
+  // Every WebSocket upgrade needs an allowed Origin and a valid token
+  const { getWss } = expressWs(app, null, {
+    wsOptions: {
+      verifyClient: (info, done) => auth.verifyClient(info, (allowed, ...rest) => {
+        if (!allowed) {
+          metrics.wsError('rejected');
+        }
+        done(allowed, ...rest);
+      }),
+      handleProtocols: (protocols) => (protocols.includes(PROTOCOL) ? PROTOCOL : false)
+    }
+  });
+
+  // Drop connections that stop answering WebSocket pings, so a browser that
+  // vanished without a close frame detaches from its session like one that
+  // closed properly
+  const { heartbeatSeconds } = config.sessions;
+  const wss = getWss();
+  wss.on('connection', (ws) => {
+    ws.isAlive = true;
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+    ws.on('error', (error) => {
+      metrics.wsError('socket');
+      logger.warn('WebSocket error', { error });
+    });
+  });
+  if (heartbeatSeconds) {
+    setInterval(() => {
+      wss.clients.forEach((ws) => {
+        if (!ws.isAlive) {
+          metrics.wsError('heartbeat');
+          ws.terminate();
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, heartbeatSeconds * 1000).unref();
+  }
+
+  // Enable CORS for the lab interface origins only
+  app.use(auth.cors);
+
+  // Serve xterm.js and addons
+  app.use('/xterm', express.static(path.join(ROOT, 'node_modules/xterm/css')));
+  app.use('/xterm-js', express.static(path.join(ROOT, 'node_modules/xterm/lib')));
+  app.use('/xterm-addon-fit', express.static(path.join(ROOT, 'node_modules/xterm-addon-fit/lib')));
+  app.use('/xterm-addon-web-links', express.static(path.join(ROOT, 'node_modules/xterm-addon-web-links/lib')));
+
+  // WebSocket endpoint for terminal. Speaks the framed protocol in
+  // lib/protocol.js; clients must ask for it as the WebSocket subprotocol.
+  // ?session=<name> picks the session to start or reattach to, ?lab=<lab> the
+  // lab profile a new session is set up with (and, without ?session=, names the
+  // session after the lab), and ?cols=&rows= its initial size.
+  app.ws('/terminal', (ws, req) => {
+    const client = {
+      send(frame) {
+        if (ws.readyState === ws.OPEN) {
+          ws.send(JSON.stringify(frame));
+        }
+      },
+      close(code, reason) {
+        ws.close(code, reason);
+      }
+    };
+
+    if (ws.protocol !== PROTOCOL) {
+      client.send(frames.error('unsupported-protocol', `Connect with the "${PROTOCOL}" WebSocket subprotocol`));
+      ws.close(1002, 'Unsupported protocol');
+      return;
+    }
+
+    const lab = typeof req.query.lab === 'string' ? req.query.lab : null;
+    const profile = lab ? profiles.get(lab) || null : null;
+    if (lab && !profile) {
+      client.send(frames.error('unknown-lab', `There is no lab profile named ${lab}`));
+      ws.close(1008, 'Unknown lab');
+      return;
+    }
+    const name = typeof req.query.session === 'string' ? req.query.session : lab || 'default';
+    const cols = Number(req.query.cols);
+    const rows = Number(req.query.rows);
+    const launch = {
+      shell: (profile && profile.shell) || config.shell,
+      profile,
+      cols: isDimension(cols) ? cols : 80,
+      rows: isDimension(rows) ? rows : 30
+    };
+    let session;
+    try {
+      session = sessions.attach(req.user, name, launch, client);
+    } catch (error) {
+      if (!(error instanceof SessionError)) {
+        throw error;
+      }
+      logger.warn('Could not open session', { session: name, user: req.user.name, code: error.code, error: error.message });
+      client.send(frames.error(error.code, error.message));
+      ws.close(CLOSE_CODES[error.code] || 1011, 'Session unavailable');
+      return;
+    }
+
+    ws.on('message', (message) => {
+      let frame;
+      try {
+        frame = parseClientFrame(message);
+      } catch (error) {
+        if (!(error instanceof ProtocolError)) {
+          throw error;
+        }
+        metrics.wsError('protocol');
+        client.send(frames.error(error.code, error.message));
+        return;
+      }
+
+      if (session.client !== client) {
+        return;
+      }
+      if (frame.type === 'input') {
+        sessions.write(session, frame.data);
+      } else if (frame.type === 'resize') {
+        sessions.resize(session, frame.cols, frame.rows);
+      } else if (frame.type === 'ping') {
+        client.send(frames.pong(frame.id));
+      } else if (frame.type === 'join-response') {
+        sessions.respondJoin(session, client, frame.requestId, frame.accept);
+      }
+    });
+
+    // Keep the shell for the grace period so a reload can reattach
+    ws.on('close', () => {
+      sessions.detach(session, client);
+    });
+  });
+
+  // Read-only mirror of any session for instructors (?session=<id>). Sending
+  // { type: 'join' } asks the learner for consent to type in their session.
+  app.ws('/instructor/watch', (ws, req) => {
+    const viewer = {
+      user: req.user.name,
+      canWrite: false,
+      send(frame) {
+        if (ws.readyState === ws.OPEN) {
+          ws.send(JSON.stringify(frame));
+        }
+      },
+      close(code, reason) {
+        ws.close(code, reason);
+      }
+    };
+
+    if (ws.protocol !== PROTOCOL) {
+      viewer.send(frames.error('unsupported-protocol', `Connect with the "${PROTOCOL}" WebSocket subprotocol`));
+      ws.close(1002, 'Unsupported protocol');
+      return;
+    }
+    if (req.user.role !== 'instructor') {
+      viewer.send(frames.error('forbidden', 'Only instructors can watch sessions'));
+      ws.close(1008, 'Forbidden');
+      return;
+    }
+    const session = sessions.getById(String(req.query.session));
+    if (!session) {
+      viewer.send(frames.error('no-session', 'That session has ended'));
+      ws.close(1008, 'No such session');
+      return;
+    }
+
+    sessions.watch(session, viewer);
+    logger.info('Instructor is watching a session', { sessionId: session.id, user: session.user, instructor: req.user.name });
+
+    ws.on('message', (message) => {
+      let frame;
+      try {
+        frame = parseClientFrame(message);
+      } catch (error) {
+        if (!(error instanceof ProtocolError)) {
+          throw error;
+        }
+        metrics.wsError('protocol');
+        viewer.send(frames.error(error.code, error.message));
+        return;
+      }
+
+      if (frame.type === 'input') {
+        if (viewer.canWrite) {
+          sessions.write(session, frame.data);
+        } else {
+          viewer.send(frames.error('read-only', 'Ask the learner to let you join before typing'));
+        }
+      } else if (frame.type === 'join') {
+        try {
+          sessions.requestJoin(session, viewer);
+        } catch (error) {
+          if (!(error instanceof SessionError)) {
+            throw error;
+          }
+          viewer.send(frames.error(error.code, error.message));
+        }
+      } else if (frame.type === 'ping') {
+        viewer.send(frames.pong(frame.id));
+      }
+    });
+
+    ws.on('close', () => {
+      sessions.unwatch(session, viewer);
+    });
+  });
+
+  // Instructor dashboard: every session, and messages to all terminals
+  app.get('/instructor', auth.requireInstructor, (req, res) => {
+    res.sendFile(path.join(ROOT, 'public', 'instructor.html'));
+  });
+
+  app.get('/instructor/sessions', auth.requireInstructor, (req, res) => {
+    res.json({ sessions: sessions.listAll() });
+  });
+
+  app.post('/instructor/broadcast', auth.requireInstructor, express.json(), (req, res) => {
+    const message = req.body && req.body.message;
+    if (typeof message !== 'string' || !message.trim() || message.length > 500) {
+      res.status(400).json({ error: '"message" must be 1-500 characters' });
+      return;
+    }
+    // Control characters would let a message rewrite the learners' screens
+    const text = message.trim().replace(/[\u0000-\u001f\u007f]/g, ' ');
+    res.json({ delivered: sessions.broadcast(req.user.name, text) });
+  });
+
+  // The signed-in user's sessions
+  app.get('/sessions', auth.requireUser, (req, res) => {
+    res.json({ sessions: sessions.list(req.user.name) });
+  });
+
+  app.delete('/sessions/:name', auth.requireUser, (req, res) => {
+    if (!sessions.kill(req.user.name, req.params.name)) {
+      res.status(404).json({ error: `No session named ${req.params.name}` });
+      return;
+    }
+    res.status(204).end();
+  });
+
+  // Files in the working directory of one of the user's sessions, moved with
+  // the session's own user and sandbox (see lib/files.js). ?path= and ?dir=
+  // are relative to the working directory.
+  function sessionFiles(handler) {
+    return async (req, res) => {
+      const session = sessions.get(req.user.name, req.params.name);
+      if (!session) {
+        res.status(404).json({ error: `No session named ${req.params.name}` });
+        return;
+      }
+      try {
+        await handler(session, req, res);
+      } catch (error) {
+        // Express 4 does not catch rejected handlers, so nothing may escape
+        let failure = error;
+        if (!(error instanceof FileError)) {
+          logger.error('File transfer failed', { sessionId: session.id, error });
+          failure = new FileError('failed', 'The file transfer failed');
+        }
+        if (res.headersSent) {
+          res.destroy();
+          return;
+        }
+        res.status(FILE_STATUS[failure.code] || 500).json({ error: failure.message });
+      }
+    };
+  }
+
+  app.get('/sessions/:name/files', auth.requireUser, sessionFiles(async (session, req, res) => {
+    res.json(await listFiles(session.exec, typeof req.query.dir === 'string' ? req.query.dir : ''));
+  }));
+
+  app.get('/sessions/:name/file', auth.requireUser, sessionFiles(async (session, req, res) => {
+    await downloadFile(session.exec, req.query.path, res, {
+      maxBytes: config.files.maxDownloadMb * 1024 * 1024,
+      onStart({ name, size }) {
+        res.attachment(name);
+        res.set('Content-Length', String(size));
+        res.type('application/octet-stream');
+      }
+    });
+    logger.info('File downloaded', { sessionId: session.id, user: session.user, path: req.query.path });
+  }));
+
+  // The request body is the file's content, e.g. curl --upload-file
+  app.put('/sessions/:name/file', auth.requireUser, sessionFiles(async (session, req, res) => {
+    const result = await uploadFile(session.exec, req.query.path, req, {
+      maxBytes: config.files.maxUploadMb * 1024 * 1024,
+      overwrite: req.query.overwrite === 'true'
+    });
+    logger.info('File uploaded', { sessionId: session.id, user: session.user, path: result.path, size: result.size });
+    res.status(201).json(result);
+  }));
+
+  // Lab step checks. They run in the user's terminal session for the lab
+  // (?session=, by default named after the lab), as that session's user and in
+  // its home, so the lab page must have opened its terminal first.
+  app.get('/checks/:lab', auth.requireUser, (req, res) => {
+    const lab = labs.get(req.params.lab);
+    if (!lab) {
+      res.status(404).json({ error: `No checks for lab ${req.params.lab}` });
+      return;
+    }
+    res.json(describeLab(lab));
+  });
+
+  app.post('/checks/:lab/run', auth.requireUser, async (req, res) => {
+    const lab = labs.get(req.params.lab);
+    if (!lab) {
+      res.status(404).json({ error: `No checks for lab ${req.params.lab}` });
+      return;
+    }
+    const name = typeof req.query.session === 'string' ? req.query.session : lab.lab;
+    const session = sessions.get(req.user.name, name);
+    if (!session) {
+      res.status(409).json({ error: `No terminal session named ${name}: open the lab terminal first` });
+      return;
+    }
+    const step = req.query.step === undefined ? null : Number(req.query.step);
+    if (step !== null && !Number.isInteger(step)) {
+      res.status(400).json({ error: '"step" must be a step number' });
+      return;
+    }
+    let results;
+    try {
+      results = await runChecks(lab, session.exec, { step, timeoutSeconds: config.checks.timeoutSeconds });
+    } catch (error) {
+      logger.error('Checks could not run', { lab: lab.lab, sessionId: session.id, error });
+      res.status(500).json({ error: 'The checks could not be run' });
+      return;
+    }
+    res.json({
+      lab: lab.lab,
+      session: name,
+      passed: results.filter(result => result.status === 'pass').length,
+      total: results.length,
+      results
+    });
+  });
+
+  // The signed-in user's recordings and the page that plays them back
+  app.get('/recordings', auth.requireUser, (req, res) => {
+    res.json({ enabled: Boolean(recorder), recordings: recorder ? recorder.list(req.user.name) : [] });
+  });
+
+  app.get('/recordings/:file', auth.requireUser, (req, res) => {
+    const file = recorder && recorder.find(req.user.name, req.params.file);
+    if (!file) {
+      res.status(404).json({ error: `No recording named ${req.params.file}` });
+      return;
+    }
+    res.type('application/x-asciicast').sendFile(file);
+  });
+
+  app.get('/replay', auth.requireUser, (req, res) => {
+    res.sendFile(path.join(ROOT, 'public', 'replay.html'));
+  });
+
+  // Readiness check: 503 while the configured shell cannot be spawned
+  app.get('/health', async (req, res) => {
+    let result;
+    try {
+      result = await health.check();
+    } catch (error) {
+      logger.error('Health check failed', { error });
+      res.status(503).json({ status: 'unavailable', error: error.message });
+      return;
+    }
+    if (!result.ready) {
+      res.status(503).json({ status: 'unavailable', shell: result.shell, checkedAt: result.checkedAt, error: result.error });
+      return;
+    }
+    res.json({ status: 'ok', shell: result.shell, fallbackFrom: result.fallbackFrom, checkedAt: result.checkedAt });
+  });
+
+  // Prometheus metrics, unauthenticated like /health so a scraper needs no token
+  if (config.metrics.enabled) {
+    app.get('/metrics', (req, res) => {
+      res.type('text/plain; version=0.0.4').send(metrics.render({
+        ...sessions.counts(),
+        connections: wss.clients.size
+      }));
+    });
+  }
+
+  // Simple HTML page to test terminal
+  app.get('/', auth.requireUser, (req, res) => {
+    res.send(terminalPage(req.user.name, Boolean(recorder)));
+  });
+
+  return { app, sessions };
+}
+
+module.exports = {
+  createApp
+};
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+
+const COOKIE_NAME = 'terminal_token';
+
+function digest(token) {
+  return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+// The login cookie's value, or null. Other apps on the same host can set
+// cookies too, so the rest are left undecoded and a malformed value counts
+// as no token.
+function cookieToken(header = '') {
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index !== -1 && part.slice(0, index).trim() === COOKIE_NAME) {
+      try {
+        return decodeURIComponent(part.slice(index + 1).trim());
+      } catch (error) {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// Token authentication and Origin checks shared by the HTTP routes and the
+// /terminal WebSocket upgrade. A token is accepted from an
+// "Authorization: Bearer" header, a ?token= query parameter or the login
+// cookie set by the terminal page.
+function createAuth(config) {
+  const users = config.users.map(user => ({ user, digest: digest(user.token) }));
+  const allowedOrigins = new Set([
+    `http://localhost:${config.port}`,
+    `http://127.0.0.1:${config.port}`,
+    `http://${config.host}:${config.port}`,
+    ...config.allowedOrigins
+  ]);
+
+  function tokenFrom(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+      return header.slice('Bearer '.length);
+    }
+    const { searchParams } = new URL(req.url, 'http://localhost');
+    return searchParams.get('token') || cookieToken(req.headers.cookie) || null;
+  }
+
+  function authenticate(req) {
+    const token = tokenFrom(req);
+    if (!token) {
+      return null;
+    }
+    const candidate = digest(token);
+    const match = users.find(entry => crypto.timingSafeEqual(entry.digest, candidate));
+    return match ? match.user : null;
+  }
+
+  // Browsers always send Origin on WebSocket upgrades; command line clients
+  // usually do not, and still need a token
+  function isAllowedOrigin(origin) {
+    return !origin || allowedOrigins.has(origin);
+  }
+
+  // Pages need a signed-in user. Opening a page with a valid ?token= stores
+  // it in an HttpOnly cookie and redirects to the same page without it, so
+  // the token does not stay in the address bar or history. Only a ?token= that
+  // signed the request in is stored: with an Authorization header it is
+  // never checked, and a link could plant any value.
+  function requireUser(req, res, next) {
+    const user = authenticate(req);
+    if (!user) {
+      res.status(401).send('Unauthorized: open the sign-in URL printed by the terminal server');
+      return;
+    }
+    req.user = user;
+
+    const url = new URL(req.originalUrl, 'http://localhost');
+    const token = url.searchParams.get('token');
+    if (req.method === 'GET' && token && tokenFrom(req) === token) {
+      url.searchParams.delete('token');
+      res.cookie(COOKIE_NAME, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        path: '/'
+      });
+      res.redirect(url.pathname + url.search);
+      return;
+    }
+    next();
+  }
+
+  return {
+    authenticate,
+    isAllowedOrigin,
+    requireUser,
+
+    // The instructor dashboard and its API
+    requireInstructor(req, res, next) {
+      requireUser(req, res, () => {
+        if (req.user.role !== 'instructor') {
+          res.status(403).send('Forbidden: instructors only');
+          return;
+        }
+        next();
+      });
+    },
+
+    // ws verifyClient hook: refuse the upgrade before a shell is spawned
+    verifyClient(info, done) {
+      if (!isAllowedOrigin(info.origin)) {
+        done(false, 403, 'Origin not allowed');
+        return;
+      }
+      const user = authenticate(info.req);
+      if (!user) {
+        done(false, 401, 'Unauthorized');
+        return;
+      }
+      info.req.user = user;
+      done(true);
+    },
+
+    // CORS for allowed origins only, instead of "*"
+    cors(req, res, next) {
+      const origin = req.headers.origin;
+      if (origin && allowedOrigins.has(origin)) {
+        res.header('Access-Control-Allow-Origin', origin);
+        res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
+        res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+        // Lab pages call the API with the login cookie
+        res.header('Access-Control-Allow-Credentials', 'true');
+        res.header('Vary', 'Origin');
+      }
+      next();
+    }
+  };
+}
+
+module.exports = {
+  createAuth
+};
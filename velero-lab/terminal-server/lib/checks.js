@@ -0,0 +1,169 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+
+// Output checked against "contains"/"matches", and the tail of it returned
+// for the lab page to show
+const MAX_CAPTURE = 1024 * 1024;
+const MAX_OUTPUT = 4096;
+
+// Checks live in <dir>/<lab>.json:
+//
+//   {
+//     "title": "Exercise 2: Creating Your First Backup",
+//     "checks": [{
+//       "id": "backup-completed", "step": 3, "title": "...",
+//       "command": "kubectl get backups -n velero ...",
+//       "expect": { "exitCode": 0, "contains": "...", "matches": "^regex$" },
+//       "hint": "What to do when it fails"
+//     }]
+//   }
+//
+// exitCode defaults to 0; "contains" and "matches" (a multiline regular
+// expression) test stdout and stderr together.
+function validateLab(lab, definition, file) {
+  if (!Array.isArray(definition.checks)) {
+    throw new Error(`${file}: needs a "checks" array`);
+  }
+  const ids = new Set();
+  return {
+    lab,
+    title: definition.title || lab,
+    checks: definition.checks.map((check, index) => {
+      if (!check.id || !check.title || !check.command) {
+        throw new Error(`${file}: checks[${index}] needs an "id", a "title" and a "command"`);
+      }
+      if (ids.has(check.id)) {
+        throw new Error(`${file}: duplicate check "${check.id}"`);
+      }
+      ids.add(check.id);
+      const expect = check.expect || {};
+      let matches = null;
+      if (expect.matches) {
+        try {
+          matches = new RegExp(expect.matches, 'm');
+        } catch (error) {
+          throw new Error(`${file}: check "${check.id}" has an invalid "matches": ${error.message}`);
+        }
+      }
+      return {
+        id: check.id,
+        step: check.step === undefined ? null : check.step,
+        title: check.title,
+        command: check.command,
+        hint: check.hint || null,
+        expect: {
+          exitCode: expect.exitCode === undefined ? 0 : expect.exitCode,
+          contains: expect.contains || null,
+          matches
+        }
+      };
+    })
+  };
+}
+
+// Every lab's checks, keyed by lab name (the file name without .json)
+function loadChecks(settings) {
+  const dir = path.resolve(__dirname, '..', settings.dir);
+  const labs = new Map();
+  if (!fs.existsSync(dir)) {
+    return labs;
+  }
+  fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .forEach(name => {
+      const file = path.join(dir, name);
+      let definition;
+      try {
+        definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Cannot read lab checks ${file}: ${error.message}`);
+      }
+      const lab = path.basename(name, '.json');
+      labs.set(lab, validateLab(lab, definition, file));
+    });
+  return labs;
+}
+
+// Run one check with the session's exec() and report pass or fail
+function runCheck(check, exec, timeoutSeconds) {
+  const { file, args, options } = exec(check.command);
+  const started = Date.now();
+
+  return new Promise(resolve => {
+    let output = '';
+    let timedOut = false;
+    let finished = false;
+    const collect = (chunk) => {
+      output = (output + chunk).slice(-MAX_CAPTURE);
+    };
+    const child = spawn(file, args, { ...options, stdio: ['ignore', 'pipe', 'pipe'] });
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGKILL');
+    }, timeoutSeconds * 1000);
+
+    // 'error' and 'close' can both fire when the command cannot start
+    const finish = (result) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      clearTimeout(timer);
+      resolve({
+        id: check.id,
+        step: check.step,
+        title: check.title,
+        ...result,
+        hint: result.status === 'pass' ? null : check.hint,
+        output: output.slice(-MAX_OUTPUT),
+        durationMs: Date.now() - started
+      });
+    };
+
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    child.on('error', error => finish({ status: 'error', exitCode: null, reason: `Could not run the check: ${error.message}` }));
+    child.on('close', (exitCode) => {
+      if (timedOut) {
+        finish({ status: 'error', exitCode: null, reason: `Timed out after ${timeoutSeconds} seconds` });
+        return;
+      }
+      const { expect } = check;
+      let reason = null;
+      if (exitCode !== expect.exitCode) {
+        reason = `Exit code ${exitCode}, expected ${expect.exitCode}`;
+      } else if (expect.contains && !output.includes(expect.contains)) {
+        reason = `Output does not contain "${expect.contains}"`;
+      } else if (expect.matches && !expect.matches.test(output)) {
+        reason = `Output does not match /${expect.matches.source}/`;
+      }
+      finish({ status: reason ? 'fail' : 'pass', exitCode, reason });
+    });
+  });
+}
+
+// Run a lab's checks one after another, optionally only those for one step
+async function runChecks(lab, exec, { step = null, timeoutSeconds }) {
+  const checks = step === null ? lab.checks : lab.checks.filter(check => check.step === step);
+  const results = [];
+  for (const check of checks) {
+    results.push(await runCheck(check, exec, timeoutSeconds));
+  }
+  return results;
+}
+
+// What the lab page needs to draw the checks, without the commands
+function describeLab(lab) {
+  return {
+    lab: lab.lab,
+    title: lab.title,
+    checks: lab.checks.map(({ id, step, title, hint }) => ({ id, step, title, hint }))
+  };
+}
+
+module.exports = {
+  loadChecks,
+  runChecks,
+  describeLab
+};
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config.json');
+
+// Environment variables a shell inherits from the server unless the policy
+// says otherwise. Everything else (tokens, cloud credentials, ...) stays out.
+const DEFAULT_INHERIT = ['PATH', 'LANG', 'LC_ALL', 'LC_CTYPE', 'TZ'];
+
+const ROLES = ['learner', 'instructor'];
+
+const DEFAULTS = {
+  host: '127.0.0.1',
+  port: 7681,
+  // Pages that may open the terminal, besides the server's own origin.
+  // The lab web server started by start-lab.sh runs on port 8000.
+  allowedOrigins: ['http://localhost:8000', 'http://127.0.0.1:8000'],
+  // Shell started in terminal sessions, and checked by /health
+  shell: os.platform() === 'win32' ? 'powershell.exe' : 'zsh',
+  // JSON log lines at this level and above (debug, info, warn, error)
+  log: {
+    level: 'info'
+  },
+  // Prometheus metrics on /metrics
+  metrics: {
+    enabled: true
+  },
+  policy: {
+    cwd: '~',
+    uid: null,
+    gid: null,
+    env: {
+      inherit: DEFAULT_INHERIT,
+      set: {}
+    }
+  },
+  // How long shells outlive their WebSocket, how much output is replayed
+  // when a page reconnects, and limits on how many run and for how long
+  sessions: {
+    graceSeconds: 300,
+    scrollbackKb: 256,
+    maxTotal: 50,
+    maxPerUser: 5,
+    idleMinutes: 30,
+    idleWarningSeconds: 60,
+    heartbeatSeconds: 30
+  },
+  // asciicast recordings of every session, in <dir>/<user>/ (relative to
+  // the terminal server directory)
+  recording: {
+    enabled: false,
+    dir: 'recordings',
+    input: true
+  },
+  // Lab step checks, <dir>/<lab>.json (relative to the terminal server
+  // directory); see lib/checks.js
+  checks: {
+    dir: 'checks',
+    timeoutSeconds: 30
+  },
+  // File transfer to and from sessions' working directories
+  files: {
+    maxUploadMb: 10,
+    maxDownloadMb: 50
+  },
+  // Lab profiles, <dir>/<lab>.json (relative to the terminal server
+  // directory); see lib/profiles.js
+  profiles: {
+    dir: 'profiles'
+  },
+  // How shells are isolated; see lib/sandbox
+  sandbox: {
+    type: 'none',
+    user: null,
+    homeDir: null,
+    keepHome: false,
+    namespaces: [],
+    chroot: null,
+    limits: {
+      cpuSeconds: null,
+      memoryMb: null,
+      processes: null,
+      lifetimeMinutes: null
+    },
+    container: {
+      runtime: 'docker',
+      image: null,
+      shell: '/bin/bash',
+      network: 'none'
+    }
+  },
+  users: []
+};
+
+// "~" is the server user's home, or the session home inside a sandbox
+function expandHome(dir, home = os.homedir()) {
+  if (dir === '~') {
+    return home;
+  }
+  return dir.startsWith('~/') ? path.join(home, dir.slice(2)) : dir;
+}
+
+// Per-user policy fields override the defaults; env.set values are merged
+function mergePolicy(base, override = {}) {
+  const env = override.env || {};
+  return {
+    ...base,
+    ...override,
+    env: {
+      inherit: env.inherit || base.env.inherit,
+      set: { ...base.env.set, ...env.set }
+    }
+  };
+}
+
+function validateUsers(users, file) {
+  const names = new Set();
+  const tokens = new Set();
+
+  users.forEach((user, index) => {
+    if (!user.name || !user.token) {
+      throw new Error(`${file}: users[${index}] needs a "name" and a "token"`);
+    }
+    if (names.has(user.name)) {
+      throw new Error(`${file}: duplicate user "${user.name}"`);
+    }
+    if (tokens.has(user.token)) {
+      throw new Error(`${file}: users "${user.name}" and another user share a token`);
+    }
+    if (user.role !== undefined && !ROLES.includes(user.role)) {
+      throw new Error(`${file}: user "${user.name}" has unknown role "${user.role}" (use ${ROLES.join(' or ')})`);
+    }
+    names.add(user.name);
+    tokens.add(user.token);
+  });
+}
+
+// Load the server configuration from TERMINAL_CONFIG (or config.json next to
+// server.js when it exists) on top of the defaults. PORT, HOST, LOG_LEVEL and
+// TERMINAL_TOKEN environment variables override the file. Without any user
+// a "learner" user with a random token is created for this run.
+function loadConfig(env = process.env) {
+  const file = env.TERMINAL_CONFIG || DEFAULT_CONFIG_PATH;
+  let fromFile = {};
+
+  if (env.TERMINAL_CONFIG || fs.existsSync(file)) {
+    try {
+      fromFile = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot read terminal server config ${file}: ${error.message}`);
+    }
+  }
+
+  const policy = mergePolicy(DEFAULTS.policy, fromFile.policy);
+  const sandbox = fromFile.sandbox || {};
+  const config = {
+    ...DEFAULTS,
+    ...fromFile,
+    policy,
+    log: { ...DEFAULTS.log, ...fromFile.log },
+    metrics: { ...DEFAULTS.metrics, ...fromFile.metrics },
+    sessions: { ...DEFAULTS.sessions, ...fromFile.sessions },
+    recording: { ...DEFAULTS.recording, ...fromFile.recording },
+    checks: { ...DEFAULTS.checks, ...fromFile.checks },
+    profiles: { ...DEFAULTS.profiles, ...fromFile.profiles },
+    files: { ...DEFAULTS.files, ...fromFile.files },
+    sandbox: {
+      ...DEFAULTS.sandbox,
+      ...sandbox,
+      limits: { ...DEFAULTS.sandbox.limits, ...sandbox.limits },
+      container: { ...DEFAULTS.sandbox.container, ...sandbox.container }
+    }
+  };
+
+  if (env.HOST) {
+    config.host = env.HOST;
+  }
+  if (env.PORT) {
+    config.port = Number(env.PORT);
+  }
+  if (env.LOG_LEVEL) {
+    config.log.level = env.LOG_LEVEL;
+  }
+
+  let users = fromFile.users || [];
+  let generatedToken = false;
+  if (env.TERMINAL_TOKEN) {
+    users = [{ name: env.TERMINAL_USER || 'learner', token: env.TERMINAL_TOKEN }];
+  } else if (!users.length) {
+    users = [{ name: 'learner', token: crypto.randomBytes(24).toString('hex') }];
+    generatedToken = true;
+  }
+  validateUsers(users, file);
+
+  config.users = users.map(user => ({
+    name: user.name,
+    token: user.token,
+    role: user.role || 'learner',
+    policy: mergePolicy(policy, user.policy)
+  }));
+  config.generatedToken = generatedToken;
+
+  return config;
+}
+
+module.exports = {
+  DEFAULT_INHERIT,
+  expandHome,
+  mergePolicy,
+  loadConfig
+};
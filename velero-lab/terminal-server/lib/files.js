@@ -0,0 +1,201 @@
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+
+// Longest path accepted, and how long listing or sizing a file may take
+const MAX_PATH = 1024;
+const COMMAND_TIMEOUT_MS = 15000;
+
+class FileError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Files move through the session's exec(), so they are read and written as
+// the session's user, inside its chroot or container, relative to its
+// working directory. Paths must stay below that directory: no absolute paths
+// and no "..".
+function checkPath(relative, { allowEmpty = false } = {}) {
+  if (os.platform() === 'win32') {
+    throw new FileError('unsupported', 'File transfer needs a POSIX shell, which Windows sessions do not have');
+  }
+  if (typeof relative !== 'string' || relative.length > MAX_PATH || relative.includes('\0')) {
+    throw new FileError('bad-path', `"path" must be a path of at most ${MAX_PATH} characters`);
+  }
+  const normalized = path.posix.normalize(relative || '.');
+  if (path.posix.isAbsolute(normalized) || normalized.split('/').includes('..')) {
+    throw new FileError('bad-path', 'Paths must be relative to the session\'s working directory and may not contain ".."');
+  }
+  if (normalized === '.' && !allowEmpty) {
+    throw new FileError('bad-path', '"path" must name a file');
+  }
+  return normalized;
+}
+
+// Single-quote for /bin/sh
+function quote(text) {
+  return `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+// Run `command` to completion; resolves to { exitCode, stdout, stderr }
+function run(exec, command) {
+  const { file, args, options } = exec(command);
+  return new Promise((resolve, reject) => {
+    const child = spawn(file, args, { ...options, stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => child.kill('SIGKILL'), COMMAND_TIMEOUT_MS);
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+    });
+    child.stderr.on('data', chunk => {
+      stderr = (stderr + chunk).slice(-4096);
+    });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(new FileError('failed', `Could not reach the session: ${error.message}`));
+    });
+    child.on('close', exitCode => {
+      clearTimeout(timer);
+      resolve({ exitCode, stdout, stderr: stderr.trim() });
+    });
+  });
+}
+
+// Exit codes the commands below use to say what went wrong
+const NOT_FOUND = 3;
+const EXISTS = 4;
+const NOT_A_DIRECTORY = 5;
+
+// Entries of a directory below the working directory, directories first
+async function listFiles(exec, dir) {
+  const relative = checkPath(dir, { allowEmpty: true });
+  const { exitCode, stdout, stderr } = await run(exec, `cd -- ${quote(relative)} 2>/dev/null || exit ${NOT_A_DIRECTORY}; ls -1Ap`);
+  if (exitCode === NOT_A_DIRECTORY) {
+    throw new FileError('not-found', `No directory ${relative}`);
+  }
+  if (exitCode !== 0) {
+    throw new FileError('failed', stderr || `Listing ${relative} failed`);
+  }
+  const entries = stdout.split('\n').filter(Boolean).map(entry => (entry.endsWith('/')
+    ? { name: entry.slice(0, -1), type: 'directory' }
+    : { name: entry, type: 'file' }));
+  entries.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'directory' ? -1 : 1));
+  return { dir: relative, entries };
+}
+
+// Stream a file to `output` (the HTTP response). onStart({ name, size }) is
+// called before the first byte so headers can be set; files over maxBytes
+// are refused. The response only ends normally once cat has exited cleanly
+// after sending exactly `size` bytes; otherwise this rejects, and the caller
+// aborts the response rather than pass off a truncated file as complete.
+async function downloadFile(exec, file, output, { maxBytes, onStart }) {
+  const relative = checkPath(file);
+  const { exitCode, stdout, stderr } = await run(exec, `[ -f ${quote(relative)} ] && [ -r ${quote(relative)} ] || exit ${NOT_FOUND}; wc -c < ${quote(relative)}`);
+  if (exitCode === NOT_FOUND) {
+    throw new FileError('not-found', `No readable file ${relative}`);
+  }
+  if (exitCode !== 0) {
+    throw new FileError('failed', stderr || `Reading ${relative} failed`);
+  }
+  const size = Number(stdout.trim());
+  if (size > maxBytes) {
+    throw new FileError('too-large', `${relative} is ${size} bytes; downloads are limited to ${maxBytes} bytes`);
+  }
+
+  const { file: program, args, options } = exec(`exec cat -- ${quote(relative)}`);
+  onStart({ name: path.posix.basename(relative), size });
+  return new Promise((resolve, reject) => {
+    const child = spawn(program, args, { ...options, stdio: ['ignore', 'pipe', 'ignore'] });
+    let sent = 0;
+    child.stdout.on('data', chunk => {
+      sent += chunk.length;
+    });
+    child.stdout.pipe(output, { end: false });
+    // Stop reading when the browser goes away
+    output.on('close', () => child.kill('SIGKILL'));
+    child.on('error', error => reject(new FileError('failed', `Could not reach the session: ${error.message}`)));
+    child.on('close', exitCode => {
+      if (exitCode !== 0) {
+        reject(new FileError('failed', `Reading ${relative} failed`));
+      } else if (sent !== size) {
+        reject(new FileError('failed', `${relative} changed while it was being downloaded`));
+      } else {
+        output.end();
+        resolve();
+      }
+    });
+  });
+}
+
+// Write the request body to a file below the working directory, creating
+// its parent directories. The body goes to a temporary file that replaces
+// the target only once it is complete and within maxBytes; an existing
+// target is only replaced with `overwrite`.
+async function uploadFile(exec, file, input, { maxBytes, overwrite }) {
+  const relative = checkPath(file);
+  const declared = Number(input.headers['content-length']);
+  if (declared > maxBytes) {
+    throw new FileError('too-large', `Uploads are limited to ${maxBytes} bytes`);
+  }
+
+  const target = quote(relative);
+  const temporary = quote(path.posix.join(path.posix.dirname(relative), `.${path.posix.basename(relative)}.upload-${crypto.randomBytes(4).toString('hex')}`));
+  const { file: program, args, options } = exec([
+    overwrite ? null : `[ -e ${target} ] && exit ${EXISTS}`,
+    `mkdir -p -- ${quote(path.posix.dirname(relative))}`,
+    `cat > ${temporary} || { rm -f -- ${temporary}; exit 1; }`,
+    `mv -f -- ${temporary} ${target}`
+  ].filter(Boolean).join('\n'));
+
+  const child = spawn(program, args, { ...options, stdio: ['pipe', 'ignore', 'pipe'] });
+  let received = 0;
+  let tooLarge = false;
+  let stderr = '';
+  child.stderr.on('data', chunk => {
+    stderr = (stderr + chunk).slice(-4096);
+  });
+  // The shell may exit (file exists) before reading its input
+  child.stdin.on('error', () => {});
+
+  input.on('data', chunk => {
+    received += chunk.length;
+    if (received > maxBytes && !tooLarge) {
+      tooLarge = true;
+      child.kill('SIGKILL');
+      input.unpipe(child.stdin);
+      child.stdin.destroy();
+      input.resume();
+    }
+  });
+  input.pipe(child.stdin);
+
+  const exitCode = await new Promise((resolve, reject) => {
+    child.on('error', error => reject(new FileError('failed', `Could not reach the session: ${error.message}`)));
+    child.on('close', resolve);
+  });
+  // Whatever the shell did not read
+  input.unpipe(child.stdin);
+  input.resume();
+  if (tooLarge) {
+    await run(exec, `rm -f -- ${temporary}`);
+    throw new FileError('too-large', `Uploads are limited to ${maxBytes} bytes`);
+  }
+  if (exitCode === EXISTS) {
+    throw new FileError('exists', `${relative} already exists; upload with overwrite to replace it`);
+  }
+  if (exitCode !== 0) {
+    throw new FileError('failed', stderr.trim() || `Writing ${relative} failed`);
+  }
+  return { path: relative, size: received };
+}
+
+module.exports = {
+  FileError,
+  listFiles,
+  downloadFile,
+  uploadFile
+};
@@ -0,0 +1,110 @@
+const os = require('os');
+const { resolveShell } = require('./profiles');
+
+// How long a spawn may take before the shell counts as unavailable, and how
+// often the shell is probed
+const SPAWN_TIMEOUT_MS = 5000;
+const PROBE_INTERVAL_MS = 30000;
+
+// Arguments that make the shell exit straight away with status 0
+function exitArgs(shell) {
+  return /powershell|pwsh/i.test(shell) ? ['-NoProfile', '-Command', 'exit 0'] : ['-c', 'exit 0'];
+}
+
+// Start the shell in a pty the way sessions do and wait for a clean exit.
+// `file` and `args` start it some other way, such as in a container.
+function spawnShell(pty, shell, { file = shell, args = exitArgs(shell) } = {}) {
+  return new Promise((resolve, reject) => {
+    let child;
+    try {
+      child = pty.spawn(file, args, {
+        name: 'xterm-color',
+        cols: 80,
+        rows: 24,
+        cwd: os.homedir(),
+        env: process.env
+      });
+    } catch (error) {
+      reject(error);
+      return;
+    }
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`${shell} did not exit within ${SPAWN_TIMEOUT_MS / 1000} seconds`));
+    }, SPAWN_TIMEOUT_MS);
+    child.onExit(({ exitCode }) => {
+      clearTimeout(timer);
+      if (exitCode === 0) {
+        resolve();
+      } else {
+        reject(new Error(`${shell} exited with code ${exitCode}`));
+      }
+    });
+  });
+}
+
+// Readiness check: can the PTY backend spawn the configured shell, or the shell
+// sessions fall back to without it? check() resolves to
+// { ready, shell, fallbackFrom?, checkedAt, error? } and never rejects.
+//
+// With the local-container sandbox (`container` is its settings) sessions run
+// the image's shell, not one from this machine, so that shell is started in a
+// throwaway container instead.
+//
+// The probe runs when the check is created and then every PROBE_INTERVAL_MS
+// in the background. /health is public, so requests only ever read the
+// latest result and cannot make the server start shells or containers.
+function createHealthCheck({ shell, pty, container = null }) {
+  let last = null;
+
+  async function probeContainer() {
+    const checkedAt = new Date().toISOString();
+    try {
+      await spawnShell(pty, container.shell, {
+        file: container.runtime,
+        args: ['run', '--rm', '--pull=never', '--network=none', container.image, container.shell, ...exitArgs(container.shell)]
+      });
+      return { ready: true, shell: container.shell, checkedAt };
+    } catch (error) {
+      return { ready: false, shell: container.shell, checkedAt, error: error.message };
+    }
+  }
+
+  async function probe() {
+    if (container) {
+      return probeContainer();
+    }
+    const checkedAt = new Date().toISOString();
+    let resolved = shell;
+    try {
+      resolved = resolveShell(shell).shell;
+      await spawnShell(pty, resolved);
+      return resolved === shell
+        ? { ready: true, shell, checkedAt }
+        : { ready: true, shell: resolved, fallbackFrom: shell, checkedAt };
+    } catch (error) {
+      return { ready: false, shell: resolved, checkedAt, error: error.message };
+    }
+  }
+
+  function refresh() {
+    return probe().then(result => {
+      last = result;
+      return result;
+    });
+  }
+
+  const first = refresh();
+  setInterval(refresh, PROBE_INTERVAL_MS).unref();
+
+  return {
+    // The latest result, waiting only for the very first probe
+    check() {
+      return last ? Promise.resolve(last) : first;
+    }
+  };
+}
+
+module.exports = {
+  createHealthCheck
+};
@@ -0,0 +1,35 @@
+// JSON lines on stdout (stderr for warnings and errors), one object per event:
+//
+//   {"time":"...","level":"info","msg":"Terminal session started","sessionId":"...","user":"learner"}
+//
+// Shared by every module; server.js sets the level from config.log.
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+let minimum = LEVELS.indexOf('info');
+
+function configure({ level }) {
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}" (use ${LEVELS.join(', ')})`);
+  }
+  minimum = LEVELS.indexOf(level);
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS.indexOf(level) < minimum) {
+    return;
+  }
+  const entry = { time: new Date().toISOString(), level, msg, ...fields };
+  if (fields.error instanceof Error) {
+    entry.error = fields.error.message;
+  }
+  const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+module.exports = {
+  configure,
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
@@ -0,0 +1,92 @@
+// Prometheus metrics for /metrics, in the text exposition format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/). The few
+// series the server needs do not warrant a client library.
+const DURATION_BUCKETS = [60, 300, 900, 1800, 3600, 7200, 14400];
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) {
+    return '';
+  }
+  const pairs = entries.map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+function createMetrics() {
+  const counters = {
+    sessionsStarted: 0,
+    spawnFailures: 0,
+    inputBytes: 0,
+    outputBytes: 0
+  };
+  // WebSocket errors by type: protocol (rejected frames), heartbeat (missed
+  // pongs), socket (errors on the connection), rejected (refused upgrades)
+  const wsErrors = new Map();
+  const durations = { buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+  // Sessions that ended, by why: exit (the shell exited by itself), killed,
+  // abandoned (no reconnect within the grace period), idle, expired
+  const endings = new Map();
+
+  return {
+    sessionStarted() {
+      counters.sessionsStarted++;
+    },
+    sessionEnded(seconds, reason) {
+      DURATION_BUCKETS.forEach((bound, index) => {
+        if (seconds <= bound) {
+          durations.buckets[index]++;
+        }
+      });
+      durations.sum += seconds;
+      durations.count++;
+      endings.set(reason, (endings.get(reason) || 0) + 1);
+    },
+    spawnFailed() {
+      counters.spawnFailures++;
+    },
+    bytesIn(count) {
+      counters.inputBytes += count;
+    },
+    bytesOut(count) {
+      counters.outputBytes += count;
+    },
+    wsError(type) {
+      wsErrors.set(type, (wsErrors.get(type) || 0) + 1);
+    },
+
+    // gauges: { activeSessions, attachedSessions, connections }
+    render(gauges) {
+      const lines = [];
+      const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        samples.forEach(([suffix, labels, value]) => {
+          lines.push(`${name}${suffix}${formatLabels(labels)} ${value}`);
+        });
+      };
+
+      metric('terminal_sessions_active', 'gauge', 'Terminal sessions with a running shell.', [['', {}, gauges.activeSessions]]);
+      metric('terminal_sessions_attached', 'gauge', 'Terminal sessions with a connected page.', [['', {}, gauges.attachedSessions]]);
+      metric('terminal_websocket_connections', 'gauge', 'Open WebSocket connections, including instructor mirrors.', [['', {}, gauges.connections]]);
+      metric('terminal_sessions_started_total', 'counter', 'Terminal sessions started.', [['', {}, counters.sessionsStarted]]);
+      metric('terminal_sessions_ended_total', 'counter', 'Terminal sessions ended, by reason.',
+        [...endings].map(([reason, value]) => ['', { reason }, value]));
+      metric('terminal_session_duration_seconds', 'histogram', 'How long terminal sessions ran.', [
+        ...DURATION_BUCKETS.map((bound, index) => ['_bucket', { le: bound }, durations.buckets[index]]),
+        ['_bucket', { le: '+Inf' }, durations.count],
+        ['_sum', {}, durations.sum],
+        ['_count', {}, durations.count]
+      ]);
+      metric('terminal_input_bytes_total', 'counter', 'Bytes typed into terminal sessions.', [['', {}, counters.inputBytes]]);
+      metric('terminal_output_bytes_total', 'counter', 'Bytes of terminal output sent to sessions.', [['', {}, counters.outputBytes]]);
+      metric('terminal_spawn_failures_total', 'counter', 'Terminal sessions whose shell could not be started.', [['', {}, counters.spawnFailures]]);
+      metric('terminal_websocket_errors_total', 'counter', 'WebSocket errors, by type.',
+        [...wsErrors].map(([type, value]) => ['', { type }, value]));
+
+      return `${lines.join('\n')}\n`;
+    }
+  };
+}
+
+module.exports = {
+  createMetrics
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const { expandHome } = require('./config');
+
+// Environment for a user's shell: only the variables the policy inherits
+// from the server, plus the ones it sets explicitly ("~" in those is the
+// session home)
+function sessionEnvironment(user, { home = expandHome('~'), serverEnv = process.env } = {}) {
+  const env = {};
+  user.policy.env.inherit.forEach(name => {
+    if (serverEnv[name] !== undefined) {
+      env[name] = serverEnv[name];
+    }
+  });
+
+  const set = {};
+  Object.entries(user.policy.env.set).forEach(([name, value]) => {
+    set[name] = typeof value === 'string' ? expandHome(value, home) : value;
+  });
+
+  return {
+    ...env,
+    HOME: home,
+    LAB_USER: user.name,
+    ...set
+  };
+}
+
+// pty.spawn options for a user: terminal size, working directory,
+// environment and, when the server runs as root, the uid/gid the shell should
+// run as. A sandbox passes the session's own home, which "~" in the policy
+// then refers to.
+function spawnOptions(user, { home, cols = 80, rows = 30 } = {}) {
+  const { policy } = user;
+  const cwd = expandHome(policy.cwd, home);
+
+  if (!fs.existsSync(cwd) || !fs.statSync(cwd).isDirectory()) {
+    throw new Error(`Working directory ${cwd} does not exist`);
+  }
+
+  const options = {
+    name: 'xterm-color',
+    cols,
+    rows,
+    cwd,
+    env: sessionEnvironment(user, { home: home || expandHome('~') })
+  };
+  if (policy.uid !== null && policy.uid !== undefined) {
+    options.uid = policy.uid;
+  }
+  if (policy.gid !== null && policy.gid !== undefined) {
+    options.gid = policy.gid;
+  }
+  return options;
+}
+
+module.exports = {
+  sessionEnvironment,
+  spawnOptions
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const os = require('os');
+
+// How long processes get to exit after SIGHUP before they are killed
+const KILL_DELAY_MS = 5000;
+
+// Processes in the terminal session led by `leader`. node-pty starts the
+// shell in a new session, and with job control every background job gets its
+// own process group inside it, so the session is what ties them together.
+function sessionMembers(leader) {
+  if (os.platform() !== 'linux') {
+    return [];
+  }
+  const members = [];
+  for (const entry of fs.readdirSync('/proc')) {
+    if (!/^\d+$/.test(entry)) {
+      continue;
+    }
+    try {
+      const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+      // Fields after the ")" that closes the command name: state ppid pgrp session
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      if (Number(fields[3]) === leader) {
+        members.push(Number(entry));
+      }
+    } catch (error) {
+      // The process exited while we were looking
+    }
+  }
+  return members;
+}
+
+// Signal the session's members, and with `group` the shell's process group
+// too, which is all there is to go on where /proc is not available
+function signalAll(leader, signal, { group = true } = {}) {
+  const targets = new Set(sessionMembers(leader));
+  if (group) {
+    try {
+      process.kill(-leader, signal);
+    } catch (error) {
+      // Already gone
+    }
+  }
+  targets.forEach(pid => {
+    try {
+      process.kill(pid, signal);
+    } catch (error) {
+      // Already gone
+    }
+  });
+}
+
+// Hang up on a shell and everything it started, then kill whatever is left
+// once the shell exits, or after KILL_DELAY_MS if it does not. After the exit
+// the shell's pid is free to be reused, so the timer is cleared and only
+// processes still in the session are killed: while any is alive, the session
+// id (the old pid) cannot be handed out again.
+// Processes that left the session (setsid, nohup + disown) are out of reach;
+// the local-host sandbox's "pid" namespace catches those too.
+function killSession(ptyProcess) {
+  const leader = ptyProcess.pid;
+  const timer = setTimeout(() => {
+    exit.dispose();
+    signalAll(leader, 'SIGKILL');
+  }, KILL_DELAY_MS);
+  timer.unref();
+  const exit = ptyProcess.onExit(() => {
+    clearTimeout(timer);
+    exit.dispose();
+    signalAll(leader, 'SIGKILL', { group: false });
+  });
+  signalAll(leader, 'SIGHUP');
+}
+
+module.exports = {
+  killSession
+};
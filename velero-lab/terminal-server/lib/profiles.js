@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mergePolicy } = require('./config');
+const { findExecutable, ensureDirectory, isRoot } = require('./sandbox/util');
+
+// Shells tried, in order, when the one a session asks for is not installed
+const FALLBACK_SHELLS = ['bash', 'sh'];
+
+// Lab profiles live in <dir>/<lab>.json and set up the shell of a session
+// opened with /terminal?lab=<lab>:
+//
+//   {
+//     "title": "Exercise 2: Creating Your First Backup",
+//     "shell": "zsh",
+//     "cwd": "~/velero-lab",
+//     "env": { "KUBECONFIG": "~/.kube/lab.yaml" },
+//     "files": { "velero-lab/README.txt": "..." },
+//     "startup": ["kubectl config current-context"]
+//   }
+//
+// Every key is optional. "shell" defaults to the server's, "cwd" and "env"
+// are merged over the user's policy, "files" (relative to the session home)
+// are written when missing, and "startup" (a string or lines) runs in the
+// shell before its first prompt.
+function validateProfile(lab, definition, file) {
+  const startup = Array.isArray(definition.startup) ? definition.startup.join('\n') : definition.startup;
+  if (startup !== undefined && typeof startup !== 'string') {
+    throw new Error(`${file}: "startup" must be a string or an array of lines`);
+  }
+  ['env', 'files'].forEach(key => {
+    const value = definition[key];
+    if (value === undefined) {
+      return;
+    }
+    if (typeof value !== 'object' || value === null || Array.isArray(value)
+      || Object.values(value).some(entry => typeof entry !== 'string')) {
+      throw new Error(`${file}: "${key}" must map names to strings`);
+    }
+  });
+  Object.keys(definition.files || {}).forEach(name => {
+    const normalized = path.normalize(name);
+    if (path.isAbsolute(normalized) || normalized === '.' || normalized.startsWith('..')) {
+      throw new Error(`${file}: file "${name}" must be a path inside the session home`);
+    }
+  });
+
+  return {
+    lab,
+    title: definition.title || lab,
+    shell: definition.shell || null,
+    cwd: definition.cwd || null,
+    env: definition.env || {},
+    files: definition.files || {},
+    startup: startup || null
+  };
+}
+
+// Every lab profile, keyed by lab name (the file name without .json)
+function loadProfiles(settings) {
+  const dir = path.resolve(__dirname, '..', settings.dir);
+  const profiles = new Map();
+  if (!fs.existsSync(dir)) {
+    return profiles;
+  }
+  fs.readdirSync(dir)
+    .filter(name => name.endsWith('.json'))
+    .forEach(name => {
+      const file = path.join(dir, name);
+      let definition;
+      try {
+        definition = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (error) {
+        throw new Error(`Cannot read lab profile ${file}: ${error.message}`);
+      }
+      const lab = path.basename(name, '.json');
+      profiles.set(lab, validateProfile(lab, definition, file));
+    });
+  return profiles;
+}
+
+// The user as the profile's session sees it: its cwd and env on top of the
+// user's own policy
+function applyProfile(user, profile) {
+  if (!profile) {
+    return user;
+  }
+  const override = { env: { set: profile.env } };
+  if (profile.cwd) {
+    override.cwd = profile.cwd;
+  }
+  return { ...user, policy: mergePolicy(user.policy, override) };
+}
+
+// The shell to start: `shell` when it is installed, otherwise the first
+// fallback that is, with a message for the learner saying so. Throws when
+// there is no shell at all.
+function resolveShell(shell) {
+  if (os.platform() === 'win32' || findExecutable(shell)) {
+    return { shell, message: null };
+  }
+  const fallback = FALLBACK_SHELLS.find(candidate => findExecutable(candidate));
+  if (!fallback) {
+    throw new Error(`${shell} is not installed and neither is ${FALLBACK_SHELLS.join(' or ')}`);
+  }
+  return { shell: fallback, message: `${shell} is not installed on this machine, so this terminal runs ${fallback} instead.` };
+}
+
+// Arguments that run the startup script before the interactive shell. The
+// script runs in the same process, which then becomes the interactive shell,
+// so variables it exports and directories it changes to are kept.
+function shellArgs(shell, startup) {
+  if (!startup) {
+    return [];
+  }
+  if (/powershell|pwsh/i.test(shell)) {
+    return ['-NoExit', '-Command', startup];
+  }
+  return ['-c', `${startup}\nexec "$0" -i`];
+}
+
+// Write the profile's files into a session home, leaving files the learner
+// already has alone. They belong to whoever owns the home.
+function seedFiles(home, files) {
+  const { uid, gid } = fs.statSync(home);
+  const owner = { uid, gid };
+  Object.entries(files).forEach(([name, content]) => {
+    const file = path.join(home, name);
+    if (fs.existsSync(file)) {
+      return;
+    }
+    ensureDirectory(path.dirname(file), home, owner);
+    fs.writeFileSync(file, content, { mode: 0o644 });
+    if (isRoot()) {
+      fs.chownSync(file, uid, gid);
+    }
+  });
+}
+
+module.exports = {
+  loadProfiles,
+  applyProfile,
+  resolveShell,
+  shellArgs,
+  seedFiles
+};
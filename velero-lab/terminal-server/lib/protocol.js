@@ -0,0 +1,106 @@
+// Framing for the /terminal WebSocket. Clients ask for the protocol version
+// as a WebSocket subprotocol; every message is then a JSON text frame with a
+// "type":
+//
+//   client -> server   { type: 'input', data }
+//                      { type: 'resize', cols, rows }
+//                      { type: 'ping', id? }
+//                      { type: 'join-response', requestId, accept }
+//                      { type: 'join' }                 (instructors watching)
+//   server -> client   { type: 'session', id, name, resumed }
+//                      { type: 'output', data }
+//                      { type: 'pong', id? }
+//                      { type: 'exit', code, signal }
+//                      { type: 'error', code, message }
+//                      { type: 'notice', from, message }
+//                      { type: 'join-request', requestId, from }
+//                      { type: 'pair', status }
+//                      { type: 'idle-warning', secondsLeft }
+const PROTOCOL = 'velero-terminal.v1';
+
+const MAX_DIMENSION = 1000;
+
+class ProtocolError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function isDimension(value) {
+  return Number.isInteger(value) && value > 0 && value <= MAX_DIMENSION;
+}
+
+const VALIDATORS = {
+  input(frame) {
+    if (typeof frame.data !== 'string') {
+      throw new ProtocolError('bad-frame', 'input frames need a string "data"');
+    }
+    return { type: 'input', data: frame.data };
+  },
+  resize(frame) {
+    if (!isDimension(frame.cols) || !isDimension(frame.rows)) {
+      throw new ProtocolError('bad-frame', `resize frames need integer "cols" and "rows" between 1 and ${MAX_DIMENSION}`);
+    }
+    return { type: 'resize', cols: frame.cols, rows: frame.rows };
+  },
+  ping(frame) {
+    if (frame.id !== undefined && typeof frame.id !== 'string' && typeof frame.id !== 'number') {
+      throw new ProtocolError('bad-frame', 'ping "id" must be a string or number');
+    }
+    return { type: 'ping', id: frame.id };
+  },
+  join() {
+    return { type: 'join' };
+  },
+  'join-response'(frame) {
+    if (typeof frame.requestId !== 'string' || typeof frame.accept !== 'boolean') {
+      throw new ProtocolError('bad-frame', 'join-response frames need a string "requestId" and a boolean "accept"');
+    }
+    return { type: 'join-response', requestId: frame.requestId, accept: frame.accept };
+  }
+};
+
+// Validate one message from a client. Throws ProtocolError for binary or
+// malformed messages and for frame types the server does not know.
+function parseClientFrame(message, isBinary = false) {
+  if (isBinary || typeof message !== 'string') {
+    throw new ProtocolError('bad-frame', 'frames must be JSON text');
+  }
+
+  let frame;
+  try {
+    frame = JSON.parse(message);
+  } catch (error) {
+    throw new ProtocolError('bad-frame', 'frames must be JSON text');
+  }
+  if (!frame || typeof frame !== 'object' || Array.isArray(frame)) {
+    throw new ProtocolError('bad-frame', 'frames must be JSON objects');
+  }
+
+  const validate = Object.prototype.hasOwnProperty.call(VALIDATORS, frame.type) && VALIDATORS[frame.type];
+  if (!validate) {
+    throw new ProtocolError('unknown-frame', `unknown frame type: ${JSON.stringify(frame.type)}`);
+  }
+  return validate(frame);
+}
+
+const frames = {
+  session: (id, name, resumed) => ({ type: 'session', id, name, resumed }),
+  output: data => ({ type: 'output', data }),
+  pong: id => (id === undefined ? { type: 'pong' } : { type: 'pong', id }),
+  exit: (code, signal) => ({ type: 'exit', code, signal: signal || null }),
+  error: (code, message) => ({ type: 'error', code, message }),
+  notice: (from, message) => ({ type: 'notice', from, message }),
+  joinRequest: (requestId, from) => ({ type: 'join-request', requestId, from }),
+  pair: status => ({ type: 'pair', status }),
+  idleWarning: secondsLeft => ({ type: 'idle-warning', secondsLeft })
+};
+
+module.exports = {
+  PROTOCOL,
+  ProtocolError,
+  isDimension,
+  parseClientFrame,
+  frames
+};
@@ -0,0 +1,32 @@
+const os = require('os');
+const { killSession } = require('./processes');
+
+// PTY backends start shells for sessions and the health check:
+//
+//   {
+//     spawn(file, args, options) -> a node-pty IPty: { pid, onData(listener),
+//                                   onExit(listener), write(data),
+//                                   resize(cols, rows), kill(signal) }
+//     terminate(ptyProcess)      // end the shell and everything it started
+//   }
+//
+// The server uses node-pty; tests pass a scripted fake (test/fake-pty.js).
+function createNodePtyBackend() {
+  const pty = require('node-pty');
+  return {
+    spawn(file, args, options) {
+      return pty.spawn(file, args, options);
+    },
+    terminate(ptyProcess) {
+      if (os.platform() === 'win32') {
+        ptyProcess.kill();
+      } else {
+        killSession(ptyProcess);
+      }
+    }
+  };
+}
+
+module.exports = {
+  createNodePtyBackend
+};
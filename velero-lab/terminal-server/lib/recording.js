@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Recordings are asciicast v2 files (https://docs.asciinema.org/manual/asciicast/v2/):
+// a JSON header line, then one [seconds, code, data] line per event, where
+// code is "o" for output, "i" for input and "r" for a resize ("COLSxROWS").
+const RECORDING_FILE = /^[A-Za-z0-9_.-]+\.cast$/;
+
+function fileStamp(date) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+// Writes each session to <dir>/<user>/<start>_<session name>_<id>.cast.
+// Returns null when recording is switched off.
+function createRecorder(settings) {
+  if (!settings.enabled) {
+    return null;
+  }
+  const dir = path.resolve(__dirname, '..', settings.dir);
+
+  // One folder per user, named so that no two users share it: anything but
+  // letters, digits, "_" and "-" is percent-encoded, dots included
+  function userDir(userName) {
+    const folder = encodeURIComponent(userName)
+      .replace(/[.!~*'()]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return path.join(dir, folder);
+  }
+
+  return {
+    // session: { id, name, user, startedAt }; the terminal's initial size,
+    // shell and TERM go in the header
+    start(session, { cols, rows, shell, term }) {
+      const folder = userDir(session.user);
+      fs.mkdirSync(folder, { recursive: true });
+      const file = path.join(folder, `${fileStamp(session.startedAt)}_${session.name}_${session.id.slice(0, 8)}.cast`);
+      const stream = fs.createWriteStream(file, { flags: 'wx', mode: 0o600 });
+      stream.on('error', error => logger.error('Recording failed', { sessionId: session.id, file, error }));
+
+      const started = process.hrtime.bigint();
+      const elapsed = () => Number(process.hrtime.bigint() - started) / 1e9;
+      const write = (code, data) => {
+        stream.write(`${JSON.stringify([Number(elapsed().toFixed(6)), code, data])}\n`);
+      };
+
+      stream.write(`${JSON.stringify({
+        version: 2,
+        width: cols,
+        height: rows,
+        timestamp: Math.floor(session.startedAt.getTime() / 1000),
+        title: `${session.user} - ${session.name}`,
+        env: { SHELL: shell, TERM: term }
+      })}\n`);
+
+      return {
+        file,
+        output: data => write('o', data),
+        input: data => {
+          if (settings.input) {
+            write('i', data);
+          }
+        },
+        resize: (newCols, newRows) => write('r', `${newCols}x${newRows}`),
+        close: () => stream.end()
+      };
+    },
+
+    // A user's recordings, newest first
+    list(userName) {
+      const folder = userDir(userName);
+      if (!fs.existsSync(folder)) {
+        return [];
+      }
+      return fs.readdirSync(folder)
+        .filter(name => RECORDING_FILE.test(name))
+        .map(name => {
+          const stat = fs.statSync(path.join(folder, name));
+          return { file: name, size: stat.size, modifiedAt: stat.mtime.toISOString() };
+        })
+        .sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+    },
+
+    // Full path of one of the user's recordings, or null
+    find(userName, name) {
+      if (!RECORDING_FILE.test(name)) {
+        return null;
+      }
+      const file = path.join(userDir(userName), name);
+      return fs.existsSync(file) ? file : null;
+    }
+  };
+}
+
+module.exports = {
+  createRecorder
+};
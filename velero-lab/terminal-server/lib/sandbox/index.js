@@ -0,0 +1,39 @@
+// Sandbox backends decide how a session's shell is started. Each one is a
+// factory taking config.sandbox and returning:
+//
+//   {
+//     type,
+//     prepare(user, { shell, shellArgs, sessionId, cols, rows }) -> {
+//       file, args, options,  // what to pass to pty.spawn
+//       home,                 // the session's home directory on this machine
+//       exec(command),        // { file, args, options } for child_process.spawn
+//                             // running `command` as the session's user, in
+//                             // its home, environment and limits
+//       cleanup()             // called once the shell has ended
+//     }
+//   }
+//
+// prepare throws when the session cannot be started. Factories throw on bad
+// configuration so the server refuses to start rather than fail per session.
+const { createNoneSandbox } = require('./none');
+const { createLocalHostSandbox } = require('./local-host');
+const { createLocalContainerSandbox } = require('./local-container');
+
+const BACKENDS = {
+  none: createNoneSandbox,
+  'local-host': createLocalHostSandbox,
+  'local-container': createLocalContainerSandbox
+};
+
+function createSandbox(settings) {
+  const create = Object.prototype.hasOwnProperty.call(BACKENDS, settings.type) && BACKENDS[settings.type];
+  if (!create) {
+    throw new Error(`Unknown sandbox type "${settings.type}" (use ${Object.keys(BACKENDS).join(', ')})`);
+  }
+  return create(settings);
+}
+
+module.exports = {
+  BACKENDS,
+  createSandbox
+};
@@ -0,0 +1,109 @@
+const { execFile } = require('child_process');
+const { expandHome } = require('../config');
+const { sessionEnvironment } = require('../policy');
+const { requireExecutable, isRoot, createHome, ensureDirectory, removeHome } = require('./util');
+
+// Where the session home is mounted inside the container
+const CONTAINER_HOME = '/home/lab';
+
+// Numeric "uid:gid" the container runs as. Without one the shell runs as the
+// server user, so it can write to the home the server created, or as nobody
+// when the server is root.
+function containerUser(spec) {
+  if (spec === null || spec === undefined) {
+    return isRoot() ? { uid: 65534, gid: 65534 } : { uid: process.getuid(), gid: process.getgid() };
+  }
+  const match = /^(\d+)(?::(\d+))?$/.exec(String(spec));
+  if (!match) {
+    throw new Error('sandbox.user for local-container must be a numeric "uid:gid"');
+  }
+  return { uid: Number(match[1]), gid: Number(match[2] || match[1]) };
+}
+
+// Shells run in a throwaway container from a local image. Images are never
+// pulled and networking is off by default, so this works offline once the
+// image is built or loaded.
+function createLocalContainerSandbox(settings) {
+  const { runtime, image, shell, network } = settings.container;
+  if (!image) {
+    throw new Error('The local-container sandbox needs sandbox.container.image');
+  }
+  requireExecutable(runtime, 'The local-container sandbox');
+
+  const owner = containerUser(settings.user);
+  const { limits } = settings;
+
+  return {
+    type: 'local-container',
+    prepare(user, { shellArgs = [], sessionId, cols = 80, rows = 30 }) {
+      const hostHome = createHome(settings.homeDir, user.name, owner);
+      const cwd = expandHome(user.policy.cwd, CONTAINER_HOME);
+      if (cwd === CONTAINER_HOME || cwd.startsWith(`${CONTAINER_HOME}/`)) {
+        ensureDirectory(hostHome + cwd.slice(CONTAINER_HOME.length), hostHome, owner);
+      }
+
+      // The container has its own PATH
+      const { PATH, ...env } = sessionEnvironment(user, { home: CONTAINER_HOME });
+      const name = `lab-${sessionId}`;
+      const args = [
+        'run', '--rm', '--interactive', '--tty',
+        '--name', name,
+        '--hostname', 'lab',
+        '--pull=never',
+        `--network=${network}`,
+        `--user=${owner.uid}:${owner.gid}`,
+        '--cap-drop=ALL',
+        '--security-opt=no-new-privileges',
+        `--volume=${hostHome}:${CONTAINER_HOME}`,
+        `--workdir=${cwd}`
+      ];
+      if (limits.memoryMb) {
+        args.push(`--memory=${limits.memoryMb}m`);
+      }
+      if (limits.processes) {
+        args.push(`--pids-limit=${limits.processes}`);
+      }
+      if (limits.cpuSeconds) {
+        args.push(`--ulimit=cpu=${limits.cpuSeconds}:${limits.cpuSeconds}`);
+      }
+      Object.entries(env).forEach(([key, value]) => {
+        args.push(`--env=${key}=${value}`);
+      });
+      args.push(image, shell, ...shellArgs);
+
+      return {
+        file: runtime,
+        args,
+        options: {
+          name: 'xterm-color',
+          cols,
+          rows,
+          cwd: hostHome,
+          // The runtime's own CLI, not the learner, sees the server environment
+          env: process.env
+        },
+        home: hostHome,
+        // Runs inside the session's running container, with stdin passed on
+        // for file uploads
+        exec(command) {
+          return {
+            file: runtime,
+            args: ['exec', '--interactive', `--user=${owner.uid}:${owner.gid}`, `--workdir=${cwd}`, name, '/bin/sh', '-c', command],
+            options: { env: process.env }
+          };
+        },
+        cleanup() {
+          execFile(runtime, ['rm', '--force', name], () => {
+            if (!settings.keepHome) {
+              removeHome(hostHome);
+            }
+          });
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createLocalContainerSandbox
+};
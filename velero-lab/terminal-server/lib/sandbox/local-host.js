@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expandHome } = require('../config');
+const { sessionEnvironment } = require('../policy');
+const { requireExecutable, resolveUser, isRoot, createHome, ensureDirectory, removeHome } = require('./util');
+
+// unshare(1) flags for each namespace a config may ask for. A PID namespace
+// makes the shell PID 1 of its own tree, so killing it ends every process the
+// learner started.
+const NAMESPACE_FLAGS = {
+  pid: ['--fork', '--pid', '--mount-proc', '--kill-child'],
+  mount: ['--mount'],
+  ipc: ['--ipc'],
+  uts: ['--uts'],
+  net: ['--net']
+};
+
+// prlimit(1) flags for the configured resource limits
+function limitFlags(limits) {
+  const flags = [];
+  if (limits.cpuSeconds) {
+    flags.push(`--cpu=${limits.cpuSeconds}`);
+  }
+  if (limits.memoryMb) {
+    flags.push(`--as=${limits.memoryMb * 1024 * 1024}`);
+  }
+  if (limits.processes) {
+    flags.push(`--nproc=${limits.processes}`);
+  }
+  return flags;
+}
+
+// Shells run on this machine with standard Linux tools, no network needed:
+//
+//   prlimit <limits> -- unshare <namespaces> [--root <chroot>] -- setpriv <user> -- <shell>
+//
+// Each session gets a fresh home under sandbox.homeDir that is removed when it
+// ends. Steps that are not configured are left out of the chain.
+function createLocalHostSandbox(settings) {
+  if (os.platform() !== 'linux') {
+    throw new Error('The local-host sandbox only runs on Linux');
+  }
+
+  const root = isRoot();
+  let owner = null;
+  if (settings.user) {
+    if (!root) {
+      throw new Error('sandbox.user needs the terminal server to run as root');
+    }
+    owner = resolveUser(settings.user);
+    if (owner.uid === 0) {
+      throw new Error('sandbox.user must be an unprivileged user, not root');
+    }
+  } else if (root) {
+    throw new Error('The terminal server runs as root: set sandbox.user to an unprivileged user such as "nobody"');
+  }
+
+  const namespaces = settings.namespaces || [];
+  namespaces.forEach(name => {
+    if (!NAMESPACE_FLAGS[name]) {
+      throw new Error(`Unknown sandbox namespace "${name}" (use ${Object.keys(NAMESPACE_FLAGS).join(', ')})`);
+    }
+  });
+  if ((namespaces.length || settings.chroot) && !root) {
+    throw new Error('sandbox.namespaces and sandbox.chroot need the terminal server to run as root');
+  }
+  if (settings.chroot && !fs.existsSync(settings.chroot)) {
+    throw new Error(`sandbox.chroot ${settings.chroot} does not exist`);
+  }
+
+  const limits = limitFlags(settings.limits);
+  const unshare = [...new Set(namespaces.flatMap(name => NAMESPACE_FLAGS[name]))];
+  if (limits.length) {
+    requireExecutable('prlimit', 'sandbox.limits');
+  }
+  if (unshare.length || settings.chroot) {
+    requireExecutable('unshare', 'sandbox.namespaces and sandbox.chroot');
+  }
+  if (owner) {
+    requireExecutable('setpriv', 'sandbox.user');
+  }
+
+  // Inside a chroot the homes must live in it too
+  const homeParent = settings.homeDir || (settings.chroot ? path.join(settings.chroot, 'home') : os.tmpdir());
+
+  return {
+    type: 'local-host',
+    prepare(user, { shell, shellArgs = [], cols = 80, rows = 30 }) {
+      const hostHome = createHome(homeParent, user.name, owner);
+      const inRoot = (dir) => (settings.chroot ? path.join(settings.chroot, dir) : dir);
+      const home = settings.chroot ? `/${path.relative(settings.chroot, hostHome)}` : hostHome;
+      const cwd = expandHome(user.policy.cwd, home);
+
+      try {
+        ensureDirectory(inRoot(cwd), hostHome, owner);
+        if (!fs.existsSync(inRoot(cwd))) {
+          throw new Error(`Working directory ${cwd} does not exist`);
+        }
+      } catch (error) {
+        removeHome(hostHome);
+        throw error;
+      }
+
+      const env = sessionEnvironment(user, { home });
+      if (owner) {
+        env.USER = owner.name;
+        env.LOGNAME = owner.name;
+      }
+
+      // The same chain for the shell and for exec'd commands
+      const wrap = (...program) => {
+        const command = [];
+        if (limits.length) {
+          command.push('prlimit', ...limits, '--');
+        }
+        if (unshare.length || settings.chroot) {
+          command.push('unshare', ...unshare);
+          if (settings.chroot) {
+            command.push(`--root=${settings.chroot}`, `--wd=${cwd}`);
+          }
+          command.push('--');
+        }
+        if (owner) {
+          command.push('setpriv', `--reuid=${owner.uid}`, `--regid=${owner.gid}`, '--clear-groups', '--no-new-privs', '--');
+        }
+        command.push(...program);
+        return { file: command[0], args: command.slice(1) };
+      };
+
+      return {
+        ...wrap(shell, ...shellArgs),
+        options: {
+          name: 'xterm-color',
+          cols,
+          rows,
+          cwd: inRoot(cwd),
+          env
+        },
+        home: hostHome,
+        exec(command) {
+          return { ...wrap('/bin/sh', '-c', command), options: { cwd: inRoot(cwd), env } };
+        },
+        cleanup() {
+          if (!settings.keepHome) {
+            removeHome(hostHome);
+          }
+        }
+      };
+    }
+  };
+}
+
+module.exports = {
+  createLocalHostSandbox
+};
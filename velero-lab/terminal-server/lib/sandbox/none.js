@@ -0,0 +1,34 @@
+const os = require('os');
+const { expandHome } = require('../config');
+const { spawnOptions } = require('../policy');
+const { ensureDirectory } = require('./util');
+
+// No isolation: the shell runs on the host as the server user (or the
+// policy's uid/gid) in the policy's directory. Fine on a learner's own laptop.
+function createNoneSandbox() {
+  return {
+    type: 'none',
+    prepare(user, { shell, shellArgs = [], cols, rows }) {
+      const home = expandHome('~');
+      ensureDirectory(expandHome(user.policy.cwd), home, null);
+      const options = spawnOptions(user, { cols, rows });
+      return {
+        file: shell,
+        args: shellArgs,
+        options,
+        home,
+        exec(command) {
+          const { cwd, env, uid, gid } = options;
+          return os.platform() === 'win32'
+            ? { file: 'powershell.exe', args: ['-NoProfile', '-Command', command], options: { cwd, env } }
+            : { file: '/bin/sh', args: ['-c', command], options: { cwd, env, uid, gid } };
+        },
+        cleanup() {}
+      };
+    }
+  };
+}
+
+module.exports = {
+  createNoneSandbox
+};
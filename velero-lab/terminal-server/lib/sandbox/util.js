@@ -0,0 +1,104 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../logger');
+
+// Full path of an executable on PATH, or null
+function findExecutable(name, searchPath = process.env.PATH || '') {
+  if (name.includes('/')) {
+    return isExecutable(name) ? name : null;
+  }
+  for (const dir of searchPath.split(path.delimiter).filter(Boolean)) {
+    const candidate = path.join(dir, name);
+    if (isExecutable(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+function isExecutable(file) {
+  try {
+    fs.accessSync(file, fs.constants.X_OK);
+    return fs.statSync(file).isFile();
+  } catch (error) {
+    return false;
+  }
+}
+
+function requireExecutable(name, reason) {
+  const file = findExecutable(name);
+  if (!file) {
+    throw new Error(`${reason} needs "${name}" on PATH`);
+  }
+  return file;
+}
+
+// { name, uid, gid } for a user name or numeric uid on this machine
+function resolveUser(spec) {
+  const query = String(spec);
+  try {
+    const uid = Number(execFileSync('id', ['-u', query], { encoding: 'utf8' }).trim());
+    const gid = Number(execFileSync('id', ['-g', query], { encoding: 'utf8' }).trim());
+    const name = execFileSync('id', ['-un', query], { encoding: 'utf8' }).trim();
+    return { name, uid, gid };
+  } catch (error) {
+    throw new Error(`Sandbox user "${query}" does not exist on this machine`);
+  }
+}
+
+function isRoot() {
+  return typeof process.getuid === 'function' && process.getuid() === 0;
+}
+
+// A fresh, private home directory for one session, owned by the sandbox user
+// when the server can hand it over
+function createHome(parent, label, owner) {
+  const base = parent || os.tmpdir();
+  fs.mkdirSync(base, { recursive: true });
+  const safeLabel = String(label).toLowerCase().replace(/[^a-z0-9_-]+/g, '-');
+  const home = fs.mkdtempSync(path.join(base, `lab-${safeLabel}-`));
+  fs.chmodSync(home, 0o700);
+  if (owner && isRoot()) {
+    fs.chownSync(home, owner.uid, owner.gid);
+  }
+  return home;
+}
+
+// Create a working directory below the session home (e.g. "~/velero-lab")
+// so that policies pointing into the home still work in a fresh one
+function ensureDirectory(dir, home, owner) {
+  const relative = path.relative(home, dir);
+  if (relative.startsWith('..') || path.isAbsolute(relative) || fs.existsSync(dir)) {
+    return;
+  }
+  let current = home;
+  for (const part of relative.split(path.sep)) {
+    current = path.join(current, part);
+    if (!fs.existsSync(current)) {
+      fs.mkdirSync(current, { mode: 0o755 });
+      if (owner && isRoot()) {
+        fs.chownSync(current, owner.uid, owner.gid);
+      }
+    }
+  }
+}
+
+function removeHome(home) {
+  try {
+    fs.rmSync(home, { recursive: true, force: true });
+  } catch (error) {
+    logger.error('Could not remove sandbox home', { home, error });
+  }
+}
+
+module.exports = {
+  findExecutable,
+  requireExecutable,
+  resolveUser,
+  isRoot,
+  createHome,
+  ensureDirectory,
+  removeHome
+};
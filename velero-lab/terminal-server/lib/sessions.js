@@ -0,0 +1,496 @@
+const crypto = require('crypto');
+const logger = require('./logger');
+const { createMetrics } = require('./metrics');
+const { frames } = require('./protocol');
+const { applyProfile, resolveShell, shellArgs, seedFiles } = require('./profiles');
+
+// How often idle sessions are looked for
+const IDLE_SWEEP_MS = 5000;
+
+// Session names come from the page (?session=lab2); each user has their own
+const SESSION_NAME = /^[A-Za-z0-9_.-]{1,64}$/;
+
+class SessionError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+// Escape sequences such as arrow keys, which are not part of a typed command
+const ESCAPE_SEQUENCE = /\x1b\[[0-9;?]*[A-Za-z~]|\x1bO?./g;
+
+// Follow what the learner types to know their last command. It is the line
+// as typed, so tab completion and history recall are not reflected.
+function trackInput(session, data) {
+  session.lastInputAt = new Date();
+  for (const char of data.replace(ESCAPE_SEQUENCE, '')) {
+    if (char === '\r' || char === '\n') {
+      if (session.inputLine.trim()) {
+        session.lastCommand = session.inputLine.trim();
+      }
+      session.inputLine = '';
+    } else if (char === '\x7f' || char === '\b') {
+      session.inputLine = session.inputLine.slice(0, -1);
+    } else if (char === '\x03' || char === '\x15') {
+      // Ctrl+C, Ctrl+U
+      session.inputLine = '';
+    } else if (char >= ' ') {
+      session.inputLine = (session.inputLine + char).slice(-500);
+    }
+  }
+}
+
+// Keep the last `limit` characters, starting at a line break when there is
+// one close by so the replay does not begin halfway through a line
+function trimScrollback(text, limit) {
+  if (text.length <= limit) {
+    return text;
+  }
+  const tail = text.slice(text.length - limit);
+  const lineStart = tail.indexOf('\n');
+  return lineStart !== -1 && lineStart < 1024 ? tail.slice(lineStart + 1) : tail;
+}
+
+// Shells that outlive their WebSocket. A session is started on a user's first
+// connection with a given name; when the connection drops the shell keeps
+// running for graceSeconds, and a new connection with the same name takes it
+// over and gets the scrollback replayed.
+//
+// A client is { send(frame), close(code, reason) }; one client is attached to
+// a session at a time. With a recorder every session is also recorded. A
+// session opened for a lab is set up by the lab's profile (lib/profiles.js).
+//
+// Shells are started and ended through the PTY backend (lib/pty.js).
+//
+// Instructors watch sessions as viewers ({ user, canWrite, send, close }),
+// which get the output but cannot type until the learner accepts their
+// request to join.
+function createSessionStore({ sandbox, settings, lifetimeMinutes, recorder = null, metrics = createMetrics(), pty }) {
+  const sessions = new Map();
+  const scrollbackLimit = settings.scrollbackKb * 1024;
+
+  const keyOf = (userName, name) => `${userName}/${name}`;
+
+  // End a session's shell and every process it started. `reason` is what the
+  // session is counted under in the metrics when it ends.
+  function terminate(session, reason) {
+    session.endReason = reason;
+    session.ended = true;
+    pty.terminate(session.pty);
+  }
+
+  function start(user, name, { shell: requested, profile, cols, rows }) {
+    const id = crypto.randomUUID();
+    // Containers bring their own shell, which cannot be looked for here
+    const { shell, message } = sandbox.type === 'local-container'
+      ? { shell: requested, message: null }
+      : resolveShell(requested);
+    const startup = profile && profile.startup;
+    const prepared = sandbox.prepare(applyProfile(user, profile), {
+      shell,
+      shellArgs: shellArgs(shell, startup),
+      sessionId: id,
+      cols,
+      rows
+    });
+    // Without a sandbox the session home is the server user's own home,
+    // which profile files must not be written into
+    const files = profile ? Object.keys(profile.files) : [];
+    const skipFiles = sandbox.type === 'none' && files.length > 0;
+    let ptyProcess;
+    try {
+      if (files.length && !skipFiles) {
+        seedFiles(prepared.home, profile.files);
+      }
+      ptyProcess = pty.spawn(prepared.file, prepared.args, prepared.options);
+    } catch (error) {
+      prepared.cleanup();
+      throw error;
+    }
+
+    const session = {
+      id,
+      name,
+      user: user.name,
+      lab: profile ? profile.lab : null,
+      home: prepared.home,
+      exec: prepared.exec,
+      pty: ptyProcess,
+      startedAt: new Date(),
+      detachedAt: null,
+      scrollback: '',
+      client: null,
+      viewers: new Set(),
+      joinRequests: new Map(),
+      lastInputAt: null,
+      lastCommand: null,
+      inputLine: '',
+      idleWarned: false,
+      timedOut: false,
+      endReason: 'exit',
+      // Set once the shell is being ended or has exited
+      ended: false,
+      graceTimer: null,
+      lifetimeTimer: null,
+      recording: null
+    };
+    if (recorder) {
+      const { cols, rows, name: term } = prepared.options;
+      try {
+        session.recording = recorder.start(session, { cols, rows, shell, term });
+      } catch (error) {
+        logger.error('Could not record session', { sessionId: id, error });
+      }
+    }
+
+    ptyProcess.onData((data) => {
+      metrics.bytesOut(Buffer.byteLength(data));
+      output(session, data);
+    });
+    if (message) {
+      output(session, `\x1b[33m${message}\x1b[0m\r\n`);
+    }
+    if (skipFiles) {
+      output(session, `\x1b[33mThis lab's files (${files.join(', ')}) are only set up in a sandbox; see the terminal server README.\x1b[0m\r\n`);
+    }
+
+    // Report how the shell ended, then close the connection
+    ptyProcess.onExit(({ exitCode, signal }) => {
+      session.ended = true;
+      clearTimeout(session.graceTimer);
+      clearTimeout(session.lifetimeTimer);
+      sessions.delete(keyOf(session.user, name));
+      prepared.cleanup();
+      if (session.recording) {
+        session.recording.close();
+      }
+      const seconds = (Date.now() - session.startedAt.getTime()) / 1000;
+      metrics.sessionEnded(seconds, session.endReason);
+      logger.info('Terminal session ended', {
+        sessionId: id,
+        session: name,
+        user: session.user,
+        reason: session.endReason,
+        exitCode,
+        signal,
+        durationSeconds: Math.round(seconds)
+      });
+      if (session.client) {
+        session.client.send(frames.exit(exitCode, signal));
+        session.client.close(1000, 'Shell exited');
+        session.client = null;
+      }
+      session.viewers.forEach(viewer => {
+        viewer.send(frames.exit(exitCode, signal));
+        viewer.close(1000, 'Shell exited');
+      });
+      session.viewers.clear();
+    });
+
+    // End sessions that outlive the configured lifetime
+    if (lifetimeMinutes) {
+      session.lifetimeTimer = setTimeout(() => {
+        if (session.client) {
+          session.client.send(frames.error('session-expired', `Session ended after ${lifetimeMinutes} minutes`));
+        }
+        terminate(session, 'expired');
+      }, lifetimeMinutes * 60 * 1000);
+    }
+
+    sessions.set(keyOf(user.name, name), session);
+    metrics.sessionStarted();
+    logger.info('Terminal session started', {
+      sessionId: id,
+      session: name,
+      user: user.name,
+      lab: session.lab,
+      shell,
+      sandbox: sandbox.type,
+      home: prepared.home,
+      pid: ptyProcess.pid
+    });
+    return session;
+  }
+
+  // Output of a session's shell (or from the server about it) to everyone
+  // following the session
+  function output(session, data) {
+    session.scrollback = trimScrollback(session.scrollback + data, scrollbackLimit);
+    if (session.recording) {
+      session.recording.output(data);
+    }
+    if (session.client) {
+      session.client.send(frames.output(data));
+    }
+    session.viewers.forEach(viewer => viewer.send(frames.output(data)));
+  }
+
+  // Refuse a new session past the configured limits. Reattaching to a
+  // running session is always allowed.
+  function checkLimits(user) {
+    if (settings.maxTotal && sessions.size >= settings.maxTotal) {
+      throw new SessionError('too-many-sessions', `The server is running its maximum of ${settings.maxTotal} terminal sessions; try again later`);
+    }
+    const own = [...sessions.values()].filter(session => session.user === user.name);
+    if (settings.maxPerUser && own.length >= settings.maxPerUser) {
+      const names = own.map(session => session.name).join(', ');
+      throw new SessionError('too-many-user-sessions', `You already have ${own.length} terminal sessions (${names}); close one first`);
+    }
+  }
+
+  // Attach a client to the user's session called `name`, starting it if
+  // needed with launch = { shell, profile, cols, rows } (profile may be
+  // null). Throws SessionError for bad names, past the session limits and
+  // when the shell cannot start.
+  function attach(user, name, launch, client) {
+    if (!SESSION_NAME.test(name)) {
+      throw new SessionError('bad-session', 'Session names are 1-64 letters, digits, ".", "_" or "-"');
+    }
+
+    let session = sessions.get(keyOf(user.name, name));
+    // A shell that is being ended stays listed until it has exited, but
+    // attaching to it would only give a dead terminal
+    if (session && session.ended) {
+      throw new SessionError('session-ended', 'This session is ending; reconnect in a moment to start a new one');
+    }
+    const resumed = Boolean(session);
+    if (!session) {
+      checkLimits(user);
+      try {
+        session = start(user, name, launch);
+      } catch (error) {
+        metrics.spawnFailed();
+        throw new SessionError('spawn-failed', `Could not start terminal: ${error.message}`);
+      }
+    }
+
+    clearTimeout(session.graceTimer);
+    if (session.client) {
+      session.client.send(frames.error('session-taken', 'This session was opened in another window'));
+      session.client.close(4000, 'Session taken over');
+    }
+    session.client = client;
+    session.detachedAt = null;
+
+    client.send(frames.session(session.id, name, resumed));
+    // A new session's scrollback only holds messages from the server so far
+    if (session.scrollback) {
+      client.send(frames.output(session.scrollback));
+    }
+    // Requests to join that the previous window did not answer
+    session.joinRequests.forEach((viewer, requestId) => {
+      client.send(frames.joinRequest(requestId, viewer.user));
+    });
+    return session;
+  }
+
+  // The client's connection closed: keep the shell for the grace period
+  function detach(session, client) {
+    if (session.client !== client) {
+      return;
+    }
+    session.client = null;
+    if (session.ended || !sessions.has(keyOf(session.user, session.name))) {
+      return;
+    }
+    session.detachedAt = new Date();
+    if (!settings.graceSeconds) {
+      terminate(session, 'abandoned');
+      return;
+    }
+    session.graceTimer = setTimeout(() => terminate(session, 'abandoned'), settings.graceSeconds * 1000);
+  }
+
+  // Keystrokes and size changes from the attached client (or a joined
+  // instructor)
+  function write(session, data) {
+    trackInput(session, data);
+    metrics.bytesIn(Buffer.byteLength(data));
+    session.idleWarned = false;
+    session.pty.write(data);
+    if (session.recording) {
+      session.recording.input(data);
+    }
+  }
+
+  function resize(session, cols, rows) {
+    session.pty.resize(cols, rows);
+    if (session.recording) {
+      session.recording.resize(cols, rows);
+    }
+  }
+
+  // Mirror a session to an instructor, starting with its scrollback
+  function watch(session, viewer) {
+    session.viewers.add(viewer);
+    viewer.send(frames.session(session.id, session.name, true));
+    if (session.scrollback) {
+      viewer.send(frames.output(session.scrollback));
+    }
+    if (session.client) {
+      session.client.send(frames.notice(viewer.user, 'is now viewing your terminal'));
+    }
+  }
+
+  function unwatch(session, viewer) {
+    if (!session.viewers.delete(viewer)) {
+      return;
+    }
+    session.joinRequests.forEach((requester, requestId) => {
+      if (requester === viewer) {
+        session.joinRequests.delete(requestId);
+      }
+    });
+    if (session.client) {
+      session.client.send(frames.notice(viewer.user, viewer.canWrite ? 'left your session' : 'stopped viewing your terminal'));
+    }
+  }
+
+  // Ask the learner whether a viewer may type in their session. Throws
+  // SessionError when there is no learner connected to ask.
+  function requestJoin(session, viewer) {
+    if (!session.client) {
+      throw new SessionError('learner-absent', 'The learner is not connected, so they cannot agree to a join');
+    }
+    const requestId = crypto.randomUUID();
+    session.joinRequests.set(requestId, viewer);
+    session.client.send(frames.joinRequest(requestId, viewer.user));
+    viewer.send(frames.pair('pending'));
+  }
+
+  // The learner's answer to requestJoin
+  function respondJoin(session, client, requestId, accept) {
+    const viewer = session.joinRequests.get(requestId);
+    if (session.client !== client || !viewer) {
+      return;
+    }
+    session.joinRequests.delete(requestId);
+    if (!session.viewers.has(viewer)) {
+      return;
+    }
+    viewer.canWrite = accept;
+    viewer.send(frames.pair(accept ? 'accepted' : 'declined'));
+    if (accept) {
+      client.send(frames.notice(viewer.user, 'joined your session and can type in it'));
+    }
+  }
+
+  // Show a message in every connected terminal; returns how many got it
+  function broadcast(from, message) {
+    let delivered = 0;
+    sessions.forEach(session => {
+      if (session.client) {
+        session.client.send(frames.notice(from, message));
+        delivered++;
+      }
+    });
+    return delivered;
+  }
+
+  function describe(session) {
+    const lastActive = session.lastInputAt || session.startedAt;
+    return {
+      id: session.id,
+      name: session.name,
+      user: session.user,
+      lab: session.lab,
+      pid: session.pty.pid,
+      startedAt: session.startedAt.toISOString(),
+      attached: Boolean(session.client),
+      viewers: session.viewers.size,
+      lastCommand: session.lastCommand,
+      lastInputAt: session.lastInputAt && session.lastInputAt.toISOString(),
+      idleSeconds: Math.floor((Date.now() - lastActive.getTime()) / 1000),
+      detachedAt: session.detachedAt && session.detachedAt.toISOString(),
+      expiresAt: session.detachedAt && settings.graceSeconds
+        ? new Date(session.detachedAt.getTime() + settings.graceSeconds * 1000).toISOString()
+        : null
+    };
+  }
+
+  function list(userName) {
+    return [...sessions.values()].filter(session => session.user === userName).map(describe);
+  }
+
+  // Every user's sessions, for instructors
+  function listAll() {
+    return [...sessions.values()].map(describe);
+  }
+
+  function get(userName, name) {
+    return sessions.get(keyOf(userName, name)) || null;
+  }
+
+  function getById(id) {
+    return [...sessions.values()].find(session => session.id === id) || null;
+  }
+
+  // Gauges for the metrics endpoint
+  function counts() {
+    const all = [...sessions.values()];
+    return {
+      activeSessions: all.length,
+      attachedSessions: all.filter(session => session.client).length
+    };
+  }
+
+  // Kill the user's session called `name`; false when there is none
+  function kill(userName, name) {
+    const session = sessions.get(keyOf(userName, name));
+    if (!session) {
+      return false;
+    }
+    terminate(session, 'killed');
+    return true;
+  }
+
+  // Warn about, then end, sessions nobody has typed in for idleMinutes
+  function sweepIdle() {
+    const limit = settings.idleMinutes * 60;
+    const now = Date.now();
+    sessions.forEach(session => {
+      const idle = (now - (session.lastInputAt || session.startedAt).getTime()) / 1000;
+      if (session.timedOut) {
+        return;
+      }
+      if (idle >= limit) {
+        session.timedOut = true;
+        if (session.client) {
+          session.client.send(frames.error('idle-timeout', `Session closed after ${settings.idleMinutes} minutes without input`));
+        }
+        logger.info('Terminal session timed out', { sessionId: session.id, session: session.name, user: session.user });
+        terminate(session, 'idle');
+      } else if (idle >= limit - settings.idleWarningSeconds && !session.idleWarned && session.client) {
+        session.idleWarned = true;
+        session.client.send(frames.idleWarning(Math.ceil(limit - idle)));
+      }
+    });
+  }
+  if (settings.idleMinutes) {
+    setInterval(sweepIdle, IDLE_SWEEP_MS).unref();
+  }
+
+  return {
+    attach,
+    detach,
+    write,
+    resize,
+    watch,
+    unwatch,
+    requestJoin,
+    respondJoin,
+    broadcast,
+    list,
+    listAll,
+    get,
+    getById,
+    counts,
+    kill
+  };
+}
+
+module.exports = {
+  SessionError,
+  createSessionStore
+};
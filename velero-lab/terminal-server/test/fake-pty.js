@@ -0,0 +1,129 @@
+const { EventEmitter } = require('events');
+
+// A scripted stand-in for node-pty, following the backend interface in
+// lib/pty.js. Each fake shell prints a prompt, echoes what it is sent and,
+// per line, runs:
+//
+//   echo <text>    prints <text>
+//   exit <code>    exits with <code>
+//   anything else  prints "fake: <line>: command not found"
+//
+// Shells started with -c (the health check) exit straight away. Everything a
+// shell was sent is kept on it for assertions: `writes`, `resizes`, `killed`.
+// With `ignoreHangup` a shell survives SIGHUP until exit() is called.
+const PROMPT = '$ ';
+
+class FakeShell extends EventEmitter {
+  constructor(file, args, options, pid, ignoreHangup) {
+    super();
+    this.ignoreHangup = ignoreHangup;
+    this.file = file;
+    this.args = args;
+    this.options = options;
+    this.pid = pid;
+    this.cols = options.cols;
+    this.rows = options.rows;
+    this.writes = [];
+    this.resizes = [];
+    this.killed = false;
+    this.exited = false;
+    this.line = '';
+
+    setImmediate(() => {
+      if (args[0] === '-c') {
+        const match = /^exit (\d+)$/.exec(args[1]);
+        this.exit(match ? Number(match[1]) : 0);
+      } else {
+        this.emit('data', PROMPT);
+      }
+    });
+  }
+
+  onData(listener) {
+    this.on('data', listener);
+    return { dispose: () => this.off('data', listener) };
+  }
+
+  onExit(listener) {
+    this.on('exit', listener);
+    return { dispose: () => this.off('exit', listener) };
+  }
+
+  write(data) {
+    if (this.exited) {
+      throw new Error('write after exit');
+    }
+    this.writes.push(data);
+    for (const char of data) {
+      if (char === '\r') {
+        this.emit('data', '\r\n');
+        this.run(this.line.trim());
+        this.line = '';
+      } else {
+        this.line += char;
+        this.emit('data', char);
+      }
+    }
+  }
+
+  run(line) {
+    let match;
+    if ((match = /^exit (\d+)$/.exec(line))) {
+      this.exit(Number(match[1]));
+      return;
+    }
+    if ((match = /^echo (.*)$/.exec(line))) {
+      this.emit('data', `${match[1]}\r\n`);
+    } else if (line) {
+      this.emit('data', `fake: ${line}: command not found\r\n`);
+    }
+    this.emit('data', PROMPT);
+  }
+
+  resize(cols, rows) {
+    this.cols = cols;
+    this.rows = rows;
+    this.resizes.push({ cols, rows });
+  }
+
+  kill(signal = 'SIGHUP') {
+    this.killed = true;
+    if (signal === 'SIGHUP' && this.ignoreHangup) {
+      return;
+    }
+    this.exit(0, signal === 'SIGKILL' ? 9 : 1);
+  }
+
+  exit(exitCode, signal = 0) {
+    if (this.exited) {
+      return;
+    }
+    this.exited = true;
+    setImmediate(() => this.emit('exit', { exitCode, signal }));
+  }
+}
+
+// The fake backend. `shells` lists every shell it started, oldest first;
+// with `failSpawn` every spawn throws, like node-pty without a usable shell.
+function createFakePty({ failSpawn = false, ignoreHangup = false } = {}) {
+  const shells = [];
+  let nextPid = 40000;
+  return {
+    shells,
+    spawn(file, args, options) {
+      if (failSpawn) {
+        throw new Error(`posix_spawnp failed for ${file}`);
+      }
+      const shell = new FakeShell(file, args, options, nextPid++, ignoreHangup);
+      shells.push(shell);
+      return shell;
+    },
+    terminate(shell) {
+      shell.kill();
+    }
+  };
+}
+
+module.exports = {
+  createFakePty
+};
@@ -0,0 +1,373 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const logger = require('../lib/logger');
+const { loadConfig } = require('../lib/config');
+const { createApp } = require('../lib/app');
+const { PROTOCOL } = require('../lib/protocol');
+const { createFakePty } = require('./fake-pty');
+
+const TOKEN = 'test-token';
+const WAIT_MS = 2000;
+
+logger.configure({ level: 'error' });
+
+// Poll until `check` returns something truthy
+async function waitFor(check, what) {
+  const deadline = Date.now() + WAIT_MS;
+  for (;;) {
+    const result = check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${what}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+// A terminal server on a free port with a fake PTY backend. `settings` go
+// in its config file on top of test defaults.
+async function startServer(settings = {}, ptyOptions = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terminal-test-'));
+  const file = path.join(dir, 'config.json');
+  fs.writeFileSync(file, JSON.stringify({
+    shell: 'sh',
+    policy: { cwd: dir },
+    ...settings,
+    sessions: { graceSeconds: 0, idleMinutes: 0, heartbeatSeconds: 0, ...settings.sessions }
+  }));
+  const config = loadConfig({ TERMINAL_CONFIG: file, TERMINAL_TOKEN: TOKEN });
+  const pty = createFakePty(ptyOptions);
+  const { app, sessions } = createApp(config, { pty });
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `127.0.0.1:${server.address().port}`;
+
+  return {
+    pty,
+    sessions,
+    base,
+    request(route, options = {}) {
+      return fetch(`http://${base}${route}`, {
+        ...options,
+        headers: { Authorization: `Bearer ${TOKEN}`, ...options.headers }
+      });
+    },
+    close() {
+      sessions.listAll().forEach(session => sessions.kill(session.user, session.name));
+      server.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+// A /terminal client that keeps every frame it gets
+function connect(server, query = '', { protocol = PROTOCOL, token = TOKEN } = {}) {
+  const ws = new WebSocket(`ws://${server.base}/terminal?token=${token}${query}`, protocol);
+  const client = {
+    ws,
+    frames: [],
+    closed: null,
+    opened: new Promise((resolve, reject) => {
+      ws.on('open', resolve);
+      ws.on('error', reject);
+    }),
+    output() {
+      return client.frames.filter(frame => frame.type === 'output').map(frame => frame.data).join('');
+    },
+    frame(type) {
+      return waitFor(() => client.frames.find(frame => frame.type === type), `a "${type}" frame`);
+    },
+    send(frame) {
+      ws.send(typeof frame === 'string' ? frame : JSON.stringify(frame));
+    },
+    close() {
+      ws.close();
+      return waitFor(() => client.closed, 'the connection to close');
+    }
+  };
+  ws.on('message', data => client.frames.push(JSON.parse(data)));
+  ws.on('close', code => {
+    client.closed = { code };
+  });
+  return client;
+}
+
+// Connect and wait for the fake shell's first prompt
+async function openTerminal(server, query) {
+  const client = connect(server, query);
+  await client.opened;
+  await waitFor(() => client.output().includes('$ '), 'the prompt');
+  return client;
+}
+
+describe('/terminal', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  it('starts a shell and announces the session', async () => {
+    const client = await openTerminal(server, '&session=start');
+    const session = await client.frame('session');
+    assert.strictEqual(session.name, 'start');
+    assert.strictEqual(session.resumed, false);
+    assert.strictEqual(server.pty.shells.at(-1).file, 'sh');
+    await client.close();
+  });
+
+  it('writes input to the shell exactly once', async () => {
+    const client = await openTerminal(server, '&session=input');
+    const shell = server.pty.shells.at(-1);
+    client.send({ type: 'input', data: 'echo hello\r' });
+    await waitFor(() => client.output().includes('hello\r\n$ '), 'the echo');
+    assert.deepStrictEqual(shell.writes, ['echo hello\r']);
+    assert.strictEqual((client.output().match(/echo hello/g) || []).length, 1);
+    await client.close();
+  });
+
+  it('resizes the pty without writing to the shell', async () => {
+    const client = await openTerminal(server, '&session=resize&cols=100&rows=50');
+    const shell = server.pty.shells.at(-1);
+    assert.deepStrictEqual([shell.options.cols, shell.options.rows], [100, 50]);
+    client.send({ type: 'resize', cols: 120, rows: 40 });
+    await waitFor(() => shell.resizes.length, 'the resize');
+    assert.deepStrictEqual(shell.resizes, [{ cols: 120, rows: 40 }]);
+    assert.deepStrictEqual(shell.writes, []);
+    await client.close();
+  });
+
+  it('rejects malformed frames and keeps the session', async () => {
+    const client = await openTerminal(server, '&session=frames');
+    const shell = server.pty.shells.at(-1);
+    client.send('not json');
+    client.send({ type: 'resize', cols: 0, rows: 40 });
+    client.send({ type: 'launch-missiles' });
+    await waitFor(() => client.frames.filter(frame => frame.type === 'error').length === 3, 'three errors');
+    assert.deepStrictEqual(client.frames.filter(frame => frame.type === 'error').map(frame => frame.code),
+      ['bad-frame', 'bad-frame', 'unknown-frame']);
+    assert.deepStrictEqual(shell.writes, []);
+    assert.deepStrictEqual(shell.resizes, []);
+    client.send({ type: 'ping', id: 7 });
+    assert.strictEqual((await client.frame('pong')).id, 7);
+    await client.close();
+  });
+
+  it('reports the exit code and closes when the shell exits', async () => {
+    const client = await openTerminal(server, '&session=exit');
+    client.send({ type: 'input', data: 'exit 3\r' });
+    const exit = await client.frame('exit');
+    assert.strictEqual(exit.code, 3);
+    await waitFor(() => client.closed, 'the close');
+    assert.strictEqual(client.closed.code, 1000);
+    assert.strictEqual(server.sessions.get('learner', 'exit'), null);
+  });
+
+  it('refuses clients without the subprotocol or a token', async () => {
+    const client = connect(server, '', { protocol: [] });
+    const error = await client.frame('error');
+    assert.strictEqual(error.code, 'unsupported-protocol');
+    await waitFor(() => client.closed, 'the close');
+
+    const anonymous = connect(server, '', { token: 'wrong' });
+    await assert.rejects(anonymous.opened, /401/);
+  });
+
+  it('ignores malformed cookies set by other apps', async () => {
+    const cookie = `other=%zz; terminal_token=${TOKEN}`;
+    const ws = new WebSocket(`ws://${server.base}/terminal?session=cookie`, PROTOCOL, { headers: { cookie } });
+    await new Promise((resolve, reject) => {
+      ws.on('open', resolve);
+      ws.on('error', reject);
+    });
+    ws.close();
+
+    const response = await fetch(`http://${server.base}/sessions`, { headers: { cookie: 'terminal_token=%E0' } });
+    assert.strictEqual(response.status, 401);
+  });
+});
+
+describe('sign-in cookie', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(() => server.close());
+
+  it('stores a ?token= that signed the request in', async () => {
+    const response = await fetch(`http://${server.base}/?token=${TOKEN}&session=a`, { redirect: 'manual' });
+    assert.strictEqual(response.status, 302);
+    assert.strictEqual(response.headers.get('location'), '/?session=a');
+    assert.match(response.headers.get('set-cookie'), new RegExp(`^terminal_token=${TOKEN};`));
+  });
+
+  it('ignores a ?token= next to an Authorization header', async () => {
+    const response = await server.request('/?token=planted', { redirect: 'manual' });
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.headers.get('set-cookie'), null);
+  });
+});
+
+describe('lab profiles', () => {
+  it('does not seed files into the server user\'s home without a sandbox', async () => {
+    const profiles = fs.mkdtempSync(path.join(os.tmpdir(), 'terminal-profiles-'));
+    fs.writeFileSync(path.join(profiles, 'seeded.json'), JSON.stringify({ files: { 'seeded-lab/notes.txt': 'notes' } }));
+    const server = await startServer({ profiles: { dir: profiles } });
+    try {
+      const client = await openTerminal(server, '&lab=seeded');
+      assert.match(client.output(), /This lab's files \(seeded-lab\/notes\.txt\) are only set up in a sandbox/);
+      assert.strictEqual(fs.existsSync(path.join(os.homedir(), 'seeded-lab')), false);
+      await client.close();
+    } finally {
+      server.close();
+      fs.rmSync(profiles, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('file transfer', () => {
+  it('uploads a file and downloads it whole', async () => {
+    const server = await startServer();
+    try {
+      const client = await openTerminal(server, '&session=files');
+      const upload = await server.request('/sessions/files/file?path=notes/today.txt', { method: 'PUT', body: 'hello files\n' });
+      assert.strictEqual(upload.status, 201);
+
+      const download = await server.request('/sessions/files/file?path=notes/today.txt');
+      assert.strictEqual(download.status, 200);
+      assert.strictEqual(download.headers.get('content-length'), '12');
+      assert.strictEqual(await download.text(), 'hello files\n');
+
+      const missing = await server.request('/sessions/files/file?path=notes/gone.txt');
+      assert.strictEqual(missing.status, 404);
+      await client.close();
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('disconnect cleanup', () => {
+  it('ends the shell when the page disconnects without a grace period', async () => {
+    const server = await startServer();
+    try {
+      const client = await openTerminal(server, '&session=gone');
+      const shell = server.pty.shells.at(-1);
+      await client.close();
+      await waitFor(() => shell.killed, 'the shell to be killed');
+      await waitFor(() => !server.sessions.get('learner', 'gone'), 'the session to end');
+      const response = await server.request('/sessions');
+      assert.deepStrictEqual((await response.json()).sessions, []);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('keeps the shell for the grace period and replays it on reconnect', async () => {
+    const server = await startServer({ sessions: { graceSeconds: 60 } });
+    try {
+      const first = await openTerminal(server, '&session=kept');
+      const shell = server.pty.shells.at(-1);
+      first.send({ type: 'input', data: 'echo before\r' });
+      await waitFor(() => first.output().includes('before\r\n'), 'the echo');
+      await first.close();
+      assert.strictEqual(shell.killed, false);
+
+      const second = connect(server, '&session=kept');
+      const session = await second.frame('session');
+      assert.strictEqual(session.resumed, true);
+      await waitFor(() => second.output().includes('before\r\n'), 'the scrollback');
+      assert.strictEqual(server.pty.shells.filter(each => each.args[0] !== '-c').length, 1);
+
+      const response = await server.request('/sessions/kept', { method: 'DELETE' });
+      assert.strictEqual(response.status, 204);
+      await waitFor(() => shell.killed, 'the shell to be killed');
+      await second.frame('exit');
+    } finally {
+      server.close();
+    }
+  });
+
+  it('refuses to reattach to a shell that is being ended', async () => {
+    const server = await startServer({ sessions: { graceSeconds: 60 } }, { ignoreHangup: true });
+    try {
+      const first = await openTerminal(server, '&session=ending');
+      const shell = server.pty.shells.at(-1);
+      assert.strictEqual(server.sessions.kill('learner', 'ending'), true);
+      await first.close();
+
+      const second = connect(server, '&session=ending');
+      const error = await second.frame('error');
+      assert.strictEqual(error.code, 'session-ended');
+      await waitFor(() => second.closed, 'the close');
+      assert.strictEqual(second.closed.code, 1013);
+
+      shell.exit(0);
+      await waitFor(() => !server.sessions.get('learner', 'ending'), 'the session to end');
+      const third = await openTerminal(server, '&session=ending');
+      assert.strictEqual((await third.frame('session')).resumed, false);
+      server.sessions.kill('learner', 'ending');
+      server.pty.shells.at(-1).exit(0);
+      await third.frame('exit');
+    } finally {
+      server.close();
+    }
+  });
+});
+
+describe('/health', () => {
+  it('is ok when the shell can be spawned', async () => {
+    const server = await startServer();
+    try {
+      const response = await fetch(`http://${server.base}/health`);
+      assert.strictEqual(response.status, 200);
+      const body = await response.json();
+      assert.strictEqual(body.status, 'ok');
+      assert.strictEqual(body.shell, 'sh');
+      assert.deepStrictEqual(server.pty.shells.at(-1).args, ['-c', 'exit 0']);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('answers from the background probe without starting shells', async () => {
+    const server = await startServer();
+    try {
+      for (let i = 0; i < 5; i++) {
+        assert.strictEqual((await fetch(`http://${server.base}/health`)).status, 200);
+      }
+      assert.strictEqual(server.pty.shells.length, 1);
+    } finally {
+      server.close();
+    }
+  });
+
+  it('is unavailable when spawning fails', async () => {
+    const server = await startServer({}, { failSpawn: true });
+    try {
+      const response = await fetch(`http://${server.base}/health`);
+      assert.strictEqual(response.status, 503);
+      const body = await response.json();
+      assert.strictEqual(body.status, 'unavailable');
+      assert.match(body.error, /posix_spawnp failed/);
+
+      const client = connect(server);
+      const error = await client.frame('error');
+      assert.strictEqual(error.code, 'spawn-failed');
+      await waitFor(() => client.closed, 'the close');
+    } finally {
+      server.close();
+    }
+  });
+});